@@ -0,0 +1,35 @@
+import * as THREE from 'three'
+
+export class BedGhost {
+  /** @param {{getHeightAt?: (x: number, z: number) => number}} [params] */
+  constructor({ getHeightAt = () => 0 } = {}) {
+    this.getHeightAt = getHeightAt
+    this.mesh = new THREE.Group()
+
+    const mat = new THREE.MeshStandardMaterial({ color: 0x9ff5a8, roughness: 1.0, transparent: true, opacity: 0.45 })
+
+    const frame = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.2, 2.1), mat)
+    frame.position.y = 0.1
+    const pillow = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.1, 0.32), mat)
+    pillow.position.set(0, 0.25, -0.65)
+
+    this.mesh.add(frame)
+    this.mesh.add(pillow)
+    this.mesh.visible = false
+  }
+
+  setVisible(v) {
+    this.mesh.visible = !!v
+  }
+
+  setValid(v) {
+    const col = v ? 0x9ff5a8 : 0xff7a7a
+    for (const ch of this.mesh.children) {
+      if (ch.material) ch.material.color.setHex(col)
+    }
+  }
+
+  setPos(x, z) {
+    this.mesh.position.set(x, this.getHeightAt(x, z), z)
+  }
+}
@@ -0,0 +1,109 @@
+import * as THREE from 'three'
+
+/** Placed beds (respawn points; walkable, no collider). */
+export class BedManager {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
+    this.scene = scene
+    this.getHeightAt = getHeightAt
+    this._beds = new Map()
+    this._ray = new THREE.Raycaster()
+    this._id = 1
+  }
+
+  resetAll() {
+    for (const b of this._beds.values()) b.mesh.removeFromParent()
+    this._beds.clear()
+    this._id = 1
+  }
+
+  _makeMesh() {
+    const g = new THREE.Group()
+
+    const wood = new THREE.MeshStandardMaterial({ color: 0x5a3a22, roughness: 1.0 })
+    const leaves = new THREE.MeshStandardMaterial({ color: 0x3f6b2f, roughness: 1.0 })
+    const fiber = new THREE.MeshStandardMaterial({ color: 0xc8b88a, roughness: 1.0 })
+
+    // Log frame
+    const sideGeo = new THREE.CylinderGeometry(0.1, 0.1, 2.0, 8)
+    for (const x of [-0.5, 0.5]) {
+      const side = new THREE.Mesh(sideGeo, wood)
+      side.rotation.x = Math.PI / 2
+      side.position.set(x, 0.1, 0)
+      g.add(side)
+    }
+    const endGeo = new THREE.CylinderGeometry(0.1, 0.1, 1.1, 8)
+    for (const z of [-0.95, 0.95]) {
+      const end = new THREE.Mesh(endGeo, wood)
+      end.rotation.z = Math.PI / 2
+      end.position.set(0, 0.1, z)
+      g.add(end)
+    }
+
+    // Leaf mattress + fiber pillow
+    const mattress = new THREE.Mesh(new THREE.BoxGeometry(0.9, 0.16, 1.8), leaves)
+    mattress.position.y = 0.16
+    const pillow = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.1, 0.32), fiber)
+    pillow.position.set(0, 0.29, -0.65)
+
+    g.add(mattress)
+    g.add(pillow)
+
+    return g
+  }
+
+  /** @param {{x:number,z:number}} pos */
+  place(pos, id = null) {
+    const assigned = id ? String(id) : String(this._id++)
+    const mesh = this._makeMesh()
+    mesh.position.set(pos.x, this.getHeightAt(pos.x, pos.z), pos.z)
+    mesh.userData.bedId = assigned
+    this.scene.add(mesh)
+
+    this._beds.set(assigned, { id: assigned, mesh })
+    return assigned
+  }
+
+  /** Bed footprints (placement spacing only; beds don't block movement). */
+  getPositions() {
+    const out = []
+    for (const b of this._beds.values()) out.push({ x: b.mesh.position.x, z: b.mesh.position.z })
+    return out
+  }
+
+  /** @param {THREE.Camera} camera */
+  raycastFromCamera(camera) {
+    const origin = new THREE.Vector3()
+    const dir = new THREE.Vector3()
+    camera.getWorldPosition(origin)
+    camera.getWorldDirection(dir)
+
+    this._ray.set(origin, dir)
+    this._ray.far = 3.0
+
+    const roots = []
+    for (const b of this._beds.values()) roots.push(b.mesh)
+
+    const hits = this._ray.intersectObjects(roots, true)
+    if (!hits.length) return null
+
+    let obj = hits[0].object
+    while (obj && !obj.userData.bedId && obj.parent) obj = obj.parent
+    const bedId = obj?.userData?.bedId
+    if (!bedId) return null
+
+    return { bedId: String(bedId), point: hits[0].point, distance: hits[0].distance }
+  }
+
+  get(id) {
+    return this._beds.get(String(id))
+  }
+
+  remove(id) {
+    const b = this._beds.get(String(id))
+    if (!b) return false
+    b.mesh.removeFromParent()
+    this._beds.delete(String(id))
+    return true
+  }
+}
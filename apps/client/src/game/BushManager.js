@@ -1,5 +1,5 @@
 import * as THREE from 'three'
-import { mulberry32 } from './util.js'
+import { disposeObject3D, mulberry32 } from './util.js'
 
 function makeBushMesh(rng) {
   const group = new THREE.Group()
@@ -33,44 +33,55 @@ function makeBushMesh(rng) {
 }
 
 export class BushManager {
-  /** @param {{scene: THREE.Scene}} params */
-  constructor({ scene }) {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
     this.scene = scene
+    this.getHeightAt = getHeightAt
     this._bushes = new Map() // id -> group
     this._bushesByChunk = new Map() // "cx:cz" -> Set<id>
     this._raycaster = new THREE.Raycaster()
     this._raycaster.far = 2.6
-
-    // Must match server wsServer.ts
-    this._chunkSize = 32
-
-    this._idCounter = 1
   }
 
-  init({ seed = 2026, count = 26, radius = 46 } = {}) {
-    const rng = mulberry32(seed)
-
-    for (let i = 0; i < count; i++) {
-      const id = String(this._idCounter++)
-      const mesh = makeBushMesh(rng)
+  /**
+   * Builds the bushes of one chunk from its procedural layout (shared `generateChunk`).
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @param {Array<{id:string, x:number, z:number, rot:number, seed:number}>} spawns
+   */
+  loadChunk(chunkX, chunkZ, spawns) {
+    const ck = `${chunkX}:${chunkZ}`
+    if (this._bushesByChunk.has(ck)) return
+    const ids = new Set()
+
+    for (const sp of spawns) {
+      const id = String(sp.id)
+      const mesh = makeBushMesh(mulberry32(sp.seed))
       mesh.userData.id = id
-
-      // Scatter in the world ring, keep away from exact center a bit.
-      const ang = rng() * Math.PI * 2
-      const rr = (0.22 + rng() * 0.78) * radius
-      mesh.position.set(Math.cos(ang) * rr, 0.01, Math.sin(ang) * rr)
-
-      const cx = Math.floor(mesh.position.x / this._chunkSize)
-      const cz = Math.floor(mesh.position.z / this._chunkSize)
-      mesh.userData.chunkX = cx
-      mesh.userData.chunkZ = cz
-      const ck = `${cx}:${cz}`
-      if (!this._bushesByChunk.has(ck)) this._bushesByChunk.set(ck, new Set())
-      this._bushesByChunk.get(ck).add(id)
+      mesh.position.set(sp.x, this.getHeightAt(sp.x, sp.z) + 0.01, sp.z)
+      mesh.userData.chunkX = chunkX
+      mesh.userData.chunkZ = chunkZ
+      ids.add(id)
 
       this.scene.add(mesh)
       this._bushes.set(id, mesh)
     }
+    this._bushesByChunk.set(ck, ids)
+  }
+
+  unloadChunk(chunkX, chunkZ) {
+    const ck = `${chunkX}:${chunkZ}`
+    const ids = this._bushesByChunk.get(ck)
+    if (!ids) return
+    for (const id of ids) {
+      const mesh = this._bushes.get(id)
+      if (mesh) {
+        this.scene.remove(mesh)
+        disposeObject3D(mesh)
+      }
+      this._bushes.delete(id)
+    }
+    this._bushesByChunk.delete(ck)
   }
 
   update(dt) {
@@ -1,7 +1,9 @@
 import * as THREE from 'three'
 
 export class CampfireGhost {
-  constructor() {
+  /** @param {{getHeightAt?: (x: number, z: number) => number}} [params] */
+  constructor({ getHeightAt = () => 0 } = {}) {
+    this.getHeightAt = getHeightAt
     const g = new THREE.Group()
 
     const baseGeo = new THREE.CylinderGeometry(0.28, 0.34, 0.08, 12)
@@ -35,6 +37,6 @@ export class CampfireGhost {
   }
 
   setPos(x, z) {
-    this.mesh.position.set(x, 0, z)
+    this.mesh.position.set(x, this.getHeightAt(x, z), z)
   }
 }
@@ -1,4 +1,5 @@
 import * as THREE from 'three'
+import { advanceCooking, CAMPFIRE_BURN_SECONDS, CAMPFIRE_COOK_SLOTS } from '@jarvis-woodcutter-fps/shared'
 
 function makeCampfireMesh() {
   const g = new THREE.Group()
@@ -52,10 +53,14 @@ function makeCampfireMesh() {
 
 export class CampfireManager {
   _ray = new THREE.Raycaster()
-  /** @param {{scene: THREE.Scene}} params */
-  constructor({ scene }) {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
     this.scene = scene
-    /** @type {Map<string, {mesh:THREE.Group, light:THREE.PointLight, lit:boolean}>} */
+    this.getHeightAt = getHeightAt
+    /**
+     * Cooking slots (`cook`/`prog`/`output`) follow the server's campfire_state (see applyState).
+     * @type {Map<string, {mesh:THREE.Group, light:THREE.PointLight, lit:boolean, ttl:number, cook:any[], prog:number[], output:any[], dirty:boolean}>}
+     */
     this._fires = new Map()
     this._idCounter = 1
 
@@ -67,14 +72,15 @@ export class CampfireManager {
   place(pos, id = null) {
     const assigned = id ? String(id) : String(this._idCounter++)
     const mesh = makeCampfireMesh()
-    mesh.position.set(pos.x, 0, pos.z)
+    mesh.position.set(pos.x, this.getHeightAt(pos.x, pos.z), pos.z)
 
     const light = new THREE.PointLight(0xffa24a, 0.0, 20, 1.15)
     light.position.set(0, 0.65, 0)
     mesh.add(light)
 
     this.scene.add(mesh)
-    this._fires.set(assigned, { mesh, light, lit: false, ttl: 0 })
+    const empty = () => Array.from({ length: CAMPFIRE_COOK_SLOTS }, () => null)
+    this._fires.set(assigned, { mesh, light, lit: false, ttl: 0, cook: empty(), prog: [], output: empty(), dirty: false })
     mesh.userData.id = assigned
 
     return assigned
@@ -106,6 +112,9 @@ export class CampfireManager {
       // Lifetime countdown (3 min while lit)
       f.ttl = Math.max(0, (f.ttl ?? 0) - dt)
 
+      // Food cooks only over a lit fire (same rule as the server catch-up).
+      if (advanceCooking(f, dt) > 0) f.dirty = true
+
       // Fade in last 30s
       const fade = f.ttl <= 30 ? Math.max(0, f.ttl / 30) : 1
 
@@ -124,10 +133,10 @@ export class CampfireManager {
       }
 
       if (f.ttl <= 0) {
-        // Remove fire cleanly (local visual) and report expiration.
+        // Burned out: put it out and report expiration (Game removes it once the server agrees;
+        // a campfire with food in it stays).
         expired.push({ id: String(id), x: Number(f.mesh.position.x), z: Number(f.mesh.position.z) })
-        f.mesh.removeFromParent()
-        this._fires.delete(id)
+        this.setLit(id, false)
       }
     }
     return expired
@@ -154,11 +163,11 @@ export class CampfireManager {
     return best
   }
 
-  setLit(id, lit) {
+  setLit(id, lit, ttl = CAMPFIRE_BURN_SECONDS) {
     const f = this._fires.get(String(id))
     if (!f) return false
     f.lit = !!lit
-    if (f.lit) f.ttl = 180
+    if (f.lit) f.ttl = ttl
     // Doubled campfire brightness.
     f.light.intensity = f.lit ? this._torchMain * 7.2 : 0.0
     const ember = f.mesh.userData.ember
@@ -200,6 +209,32 @@ export class CampfireManager {
     return this._fires.get(String(id))
   }
 
+  /** Apply server campfire state (cooking slots + how long it still burns). */
+  applyState(id, st) {
+    const f = this._fires.get(String(id))
+    if (!f || !st) return false
+    const slots = (arr) => Array.from({ length: CAMPFIRE_COOK_SLOTS }, (_, i) => (arr?.[i] ? { id: arr[i].id, qty: arr[i].qty } : null))
+    f.cook = slots(st.cook)
+    f.output = slots(st.output)
+    f.prog = Array.from({ length: CAMPFIRE_COOK_SLOTS }, (_, i) => Number(st.prog?.[i]) || 0)
+
+    const left = (Number(st.litUntil) || 0) - Date.now()
+    if (left > 0) this.setLit(id, true, left / 1000)
+    else if (f.lit) this.setLit(id, false)
+    f.dirty = true
+    return true
+  }
+
+  exportState(id) {
+    const f = this._fires.get(String(id))
+    if (!f) return null
+    return {
+      cook: f.cook.map((s) => (s ? { id: s.id, qty: s.qty } : null)),
+      prog: f.prog.slice(0, CAMPFIRE_COOK_SLOTS),
+      output: f.output.map((s) => (s ? { id: s.id, qty: s.qty } : null)),
+    }
+  }
+
   remove(id) {
     const f = this._fires.get(String(id))
     if (!f) return false
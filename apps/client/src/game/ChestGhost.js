@@ -1,7 +1,9 @@
 import * as THREE from 'three'
 
 export class ChestGhost {
-  constructor() {
+  /** @param {{getHeightAt?: (x: number, z: number) => number}} [params] */
+  constructor({ getHeightAt = () => 0 } = {}) {
+    this.getHeightAt = getHeightAt
     const g = new THREE.Group()
 
     const geo = new THREE.BoxGeometry(1.05, 0.55, 0.7)
@@ -34,6 +36,6 @@ export class ChestGhost {
   }
 
   setPos(x, z) {
-    this.mesh.position.set(x, 0, z)
+    this.mesh.position.set(x, this.getHeightAt(x, z), z)
   }
 }
@@ -1,9 +1,11 @@
 import * as THREE from 'three'
+import { PLACED_COLLIDER_RADIUS } from '@jarvis-woodcutter-fps/shared'
 
 export class ChestManager {
-  /** @param {{scene: THREE.Scene}} params */
-  constructor({ scene }) {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
     this.scene = scene
+    this.getHeightAt = getHeightAt
     this._chests = new Map()
     this._ray = new THREE.Raycaster()
   }
@@ -43,7 +45,7 @@ export class ChestManager {
   place(pos, id = null) {
     const assigned = id ? String(id) : (crypto.randomUUID?.() ?? String(Math.random()).slice(2))
     const mesh = this._makeMesh()
-    mesh.position.set(pos.x, 0, pos.z)
+    mesh.position.set(pos.x, this.getHeightAt(pos.x, pos.z), pos.z)
     mesh.userData.chestId = assigned
     this.scene.add(mesh)
     this._chests.set(assigned, { id: assigned, mesh })
@@ -54,7 +56,7 @@ export class ChestManager {
   getColliders() {
     const out = []
     for (const c of this._chests.values()) {
-      out.push({ x: c.mesh.position.x, z: c.mesh.position.z, r: 0.9 })
+      out.push({ x: c.mesh.position.x, z: c.mesh.position.z, r: PLACED_COLLIDER_RADIUS.chest })
     }
     return out
   }
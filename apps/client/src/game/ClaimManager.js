@@ -0,0 +1,150 @@
+import * as THREE from 'three'
+import { CHUNK_SIZE } from '@jarvis-woodcutter-fps/shared'
+
+const COLOR_OWN = 0x7feaa0
+const COLOR_TRUSTED = 0x6fb7ff
+const COLOR_FOREIGN = 0xff5a4a
+const COLOR_FREE = 0xffe08a
+
+const BORDER_STEP = 1 // m between border samples (follows the terrain)
+const BORDER_LIFT = 0.15
+const POST_HEIGHT = 2.2
+
+/**
+ * Land claims (one claim = one chunk), as sent by the server in worldChunk (`claim`).
+ * Borders are only drawn while the player holds the claim flag: own claims in green, claims
+ * that trust the player in blue, others in red and the current chunk (if free) in yellow.
+ */
+export class ClaimManager {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
+    this.scene = scene
+    this.getHeightAt = getHeightAt
+    this._claims = new Map() // "cx:cz" -> { ownerId, ownerName, trusted }
+    this._borders = new Map() // "cx:cz" -> THREE.Group
+    this._visible = false
+    this._previewKey = null
+  }
+
+  /** @param {null | {ownerId: string, ownerName?: string, trusted?: string[]}} claim */
+  applyChunkState(chunkX, chunkZ, claim) {
+    const ck = `${Number(chunkX)}:${Number(chunkZ)}`
+    if (claim?.ownerId) {
+      this._claims.set(ck, {
+        ownerId: String(claim.ownerId),
+        ownerName: String(claim.ownerName || ''),
+        trusted: Array.isArray(claim.trusted) ? claim.trusted.map(String) : [],
+      })
+    } else {
+      this._claims.delete(ck)
+    }
+    // Color depends on the claim: rebuild lazily on the next update.
+    this._removeBorder(ck)
+  }
+
+  get(chunkX, chunkZ) {
+    return this._claims.get(`${chunkX}:${chunkZ}`) || null
+  }
+
+  /** Claim covering a world position (null = free land). */
+  at(x, z) {
+    return this.get(Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE))
+  }
+
+  /** @param {string | null} meId */
+  canBuildAt(x, z, meId) {
+    const c = this.at(x, z)
+    return !c || (!!meId && (c.ownerId === meId || c.trusted.includes(meId)))
+  }
+
+  setVisible(v) {
+    this._visible = !!v
+    for (const g of this._borders.values()) g.visible = this._visible
+  }
+
+  /**
+   * @param {{x: number, z: number}} pos player position (for the free-chunk preview)
+   * @param {string | null} meId
+   */
+  update(pos, meId) {
+    if (!this._visible) return
+
+    for (const [ck, c] of this._claims) {
+      if (this._borders.has(ck)) continue
+      const color = c.ownerId === meId ? COLOR_OWN : meId && c.trusted.includes(meId) ? COLOR_TRUSTED : COLOR_FOREIGN
+      this._addBorder(ck, color)
+    }
+
+    // Preview: the chunk a flag would claim right now.
+    const cx = Math.floor(pos.x / CHUNK_SIZE)
+    const cz = Math.floor(pos.z / CHUNK_SIZE)
+    const next = this._claims.has(`${cx}:${cz}`) ? null : `${cx}:${cz}`
+    if (next !== this._previewKey) {
+      if (this._previewKey && !this._claims.has(this._previewKey)) this._removeBorder(this._previewKey)
+      this._previewKey = next
+      if (next) this._addBorder(next, COLOR_FREE)
+    }
+  }
+
+  clear() {
+    for (const ck of [...this._borders.keys()]) this._removeBorder(ck)
+    this._claims.clear()
+    this._previewKey = null
+  }
+
+  _addBorder(ck, color) {
+    const [cx, cz] = ck.split(':').map(Number)
+    const x0 = cx * CHUNK_SIZE
+    const z0 = cz * CHUNK_SIZE
+    const x1 = x0 + CHUNK_SIZE
+    const z1 = z0 + CHUNK_SIZE
+
+    const pts = []
+    const edge = (ax, az, bx, bz) => {
+      const n = Math.ceil(CHUNK_SIZE / BORDER_STEP)
+      for (let i = 0; i < n; i++) {
+        const x = ax + ((bx - ax) * i) / n
+        const z = az + ((bz - az) * i) / n
+        pts.push(new THREE.Vector3(x, this.getHeightAt(x, z) + BORDER_LIFT, z))
+      }
+    }
+    edge(x0, z0, x1, z0)
+    edge(x1, z0, x1, z1)
+    edge(x1, z1, x0, z1)
+    edge(x0, z1, x0, z0)
+
+    const g = new THREE.Group()
+    const lineMat = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.9 })
+    g.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(pts), lineMat))
+
+    // Corner posts: readable from a distance, where the thin line isn't.
+    const postMat = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.75 })
+    const postGeo = new THREE.CylinderGeometry(0.05, 0.05, POST_HEIGHT, 6)
+    for (const [x, z] of [[x0, z0], [x1, z0], [x1, z1], [x0, z1]]) {
+      const post = new THREE.Mesh(postGeo, postMat)
+      post.position.set(x, this.getHeightAt(x, z) + POST_HEIGHT / 2, z)
+      g.add(post)
+    }
+
+    g.visible = this._visible
+    this.scene.add(g)
+    this._borders.set(ck, g)
+  }
+
+  _removeBorder(ck) {
+    const g = this._borders.get(ck)
+    if (!g) return
+    this.scene.remove(g)
+    const disposed = new Set()
+    g.traverse((obj) => {
+      for (const r of [obj.geometry, obj.material]) {
+        if (r && !disposed.has(r)) {
+          disposed.add(r)
+          r.dispose?.()
+        }
+      }
+    })
+    this._borders.delete(ck)
+    if (ck === this._previewKey) this._previewKey = null
+  }
+}
@@ -0,0 +1,206 @@
+import * as THREE from 'three'
+import { creatureKindOf } from '@jarvis-woodcutter-fps/shared'
+
+/** Low-poly bodies per kind (m). Models face -Z, like the yaw the server sends. */
+const SHAPES = {
+  deer: { color: 0x8b5a2b, head: 0xa0703f, body: [0.45, 0.55, 1.15], legH: 0.75, headBox: [0.26, 0.28, 0.42], neck: 0.45, ears: false },
+  rabbit: { color: 0x9c8a74, head: 0xb3a189, body: [0.24, 0.24, 0.38], legH: 0.1, headBox: [0.17, 0.17, 0.2], neck: 0.06, ears: true },
+  wolf: { color: 0x5f6166, head: 0x74767c, body: [0.38, 0.42, 0.95], legH: 0.5, headBox: [0.24, 0.24, 0.38], neck: 0.12, ears: true },
+}
+
+// Same presentation delay as remote players (snapshots are interpolated, not extrapolated).
+const INTERP_DELAY_MS = 150
+/** Creatures missing from snapshots after a recent hit of ours play a fall instead of vanishing. */
+const KILL_WINDOW_MS = 2000
+const DEATH_MS = 700
+
+/** Wildlife simulated by the server, replicated as snapshot entries (`c:<kind>:<n>` ids). */
+export class CreatureManager {
+  /** @param {{scene: THREE.Scene}} params */
+  constructor({ scene }) {
+    this.scene = scene
+    /** id -> { id, kind, root, legs, samples: Array<{t,x,y,z,yaw}>, hitAt, phase } */
+    this.creatures = new Map()
+    /** Killed ones playing their fall: Array<{ root, t }> */
+    this._dying = []
+    this._mats = new Map()
+    this._ray = new THREE.Raycaster()
+  }
+
+  _mat(color) {
+    let m = this._mats.get(color)
+    if (!m) {
+      m = new THREE.MeshStandardMaterial({ color, roughness: 0.95, metalness: 0, flatShading: true })
+      this._mats.set(color, m)
+    }
+    return m
+  }
+
+  _build(kind) {
+    const s = SHAPES[kind]
+    const root = new THREE.Group()
+    root.name = `Creature:${kind}`
+    const [bw, bh, bl] = s.body
+    const bodyY = s.legH + bh / 2
+
+    const body = new THREE.Mesh(new THREE.BoxGeometry(bw, bh, bl), this._mat(s.color))
+    body.position.y = bodyY
+    root.add(body)
+
+    const [hw, hh, hl] = s.headBox
+    const head = new THREE.Mesh(new THREE.BoxGeometry(hw, hh, hl), this._mat(s.head))
+    head.position.set(0, bodyY + bh / 2 + s.neck - hh / 2, -bl / 2 - hl / 3)
+    root.add(head)
+
+    if (s.ears) {
+      for (const side of [-1, 1]) {
+        const ear = new THREE.Mesh(new THREE.BoxGeometry(hw * 0.2, hh * (kind === 'rabbit' ? 1.6 : 0.6), hw * 0.12), this._mat(s.head))
+        ear.position.set(side * hw * 0.28, head.position.y + hh * (kind === 'rabbit' ? 1.2 : 0.7), head.position.z + hl * 0.2)
+        root.add(ear)
+      }
+    }
+
+    // Legs pivot at the hip so they can swing.
+    const legs = []
+    const legGeo = new THREE.BoxGeometry(Math.max(0.06, bw * 0.2), s.legH, Math.max(0.06, bw * 0.2))
+    legGeo.translate(0, -s.legH / 2, 0)
+    for (const [lx, lz] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+      const leg = new THREE.Mesh(legGeo, this._mat(s.color))
+      leg.position.set(lx * bw * 0.32, s.legH, lz * bl * 0.36)
+      root.add(leg)
+      legs.push(leg)
+    }
+
+    return { root, legs }
+  }
+
+  _remove(id, { fall = false } = {}) {
+    const c = this.creatures.get(id)
+    if (!c) return
+    this.creatures.delete(id)
+    if (fall) this._dying.push({ root: c.root, t: 0 })
+    else c.root.removeFromParent()
+  }
+
+  /**
+   * Creature entries of a snapshot (objects or compact tuples `[id,x,y,z,yaw]`). Snapshots carry
+   * everything in the AOI, so creatures missing from one are gone.
+   */
+  applySnapshot(entries) {
+    const now = performance.now()
+    const ids = new Set()
+    for (const e of entries || []) {
+      const p = Array.isArray(e) ? { id: e[0], x: e[1], y: e[2], z: e[3], yaw: e[4] } : e
+      const id = String(p?.id || '')
+      const kind = creatureKindOf(id)
+      if (!kind) continue
+      ids.add(id)
+
+      let c = this.creatures.get(id)
+      if (!c) {
+        const { root, legs } = this._build(kind)
+        root.traverse((o) => (o.userData.creatureId = id))
+        this.scene.add(root)
+        c = { id, kind, root, legs, samples: [], hitAt: -Infinity, phase: 0 }
+        this.creatures.set(id, c)
+      }
+      c.samples.push({ t: now, x: Number(p.x) || 0, y: Number(p.y) || 0, z: Number(p.z) || 0, yaw: Number(p.yaw) || 0 })
+      if (c.samples.length > 20) c.samples.splice(0, c.samples.length - 20)
+    }
+
+    for (const [id, c] of this.creatures) {
+      if (!ids.has(id)) this._remove(id, { fall: now - c.hitAt < KILL_WINDOW_MS })
+    }
+  }
+
+  /** Our swing landed on it (a disappearance right after plays the fall). */
+  markHit(id) {
+    const c = this.creatures.get(String(id))
+    if (c) c.hitAt = performance.now()
+  }
+
+  get(id) {
+    return this.creatures.get(String(id))
+  }
+
+  /** @param {THREE.Camera} camera */
+  raycastFromCamera(camera) {
+    const origin = new THREE.Vector3()
+    const dir = new THREE.Vector3()
+    camera.getWorldPosition(origin)
+    camera.getWorldDirection(dir)
+
+    this._ray.set(origin, dir)
+    this._ray.far = 4.0
+
+    const roots = []
+    for (const c of this.creatures.values()) roots.push(c.root)
+
+    const hits = this._ray.intersectObjects(roots, true)
+    if (!hits.length) return null
+
+    const creatureId = hits[0].object.userData.creatureId
+    const c = creatureId ? this.creatures.get(creatureId) : null
+    if (!c) return null
+
+    return { creatureId, kind: c.kind, point: hits[0].point, distance: hits[0].distance }
+  }
+
+  _lerpAngle(a, b, t) {
+    let d = b - a
+    while (d > Math.PI) d -= Math.PI * 2
+    while (d < -Math.PI) d += Math.PI * 2
+    return a + d * t
+  }
+
+  update(dt) {
+    const targetT = performance.now() - INTERP_DELAY_MS
+
+    for (const c of this.creatures.values()) {
+      const s = c.samples
+      if (!s.length) continue
+      let a = s[0]
+      let b = s[s.length - 1]
+      for (let i = 0; i < s.length; i++) {
+        if (s[i].t <= targetT) a = s[i]
+        if (s[i].t >= targetT) {
+          b = s[i]
+          break
+        }
+      }
+      const t = b.t > a.t ? Math.max(0, Math.min(1, (targetT - a.t) / (b.t - a.t))) : 1
+      const x = a.x + (b.x - a.x) * t
+      const z = a.z + (b.z - a.z) * t
+
+      // Walk cycle from the rendered speed.
+      const moved = Math.hypot(x - c.root.position.x, z - c.root.position.z)
+      const speed = dt > 0 ? moved / dt : 0
+      c.phase += dt * Math.min(14, speed * 3.2)
+      const swing = speed > 0.2 ? Math.sin(c.phase) * Math.min(0.7, 0.25 + speed * 0.08) : 0
+      c.legs.forEach((leg, i) => (leg.rotation.x = i === 0 || i === 3 ? swing : -swing))
+
+      c.root.position.set(x, a.y + (b.y - a.y) * t, z)
+      c.root.rotation.y = this._lerpAngle(a.yaw, b.yaw, t)
+    }
+
+    for (let i = this._dying.length - 1; i >= 0; i--) {
+      const d = this._dying[i]
+      d.t += dt * 1000
+      const k = Math.min(1, d.t / DEATH_MS)
+      d.root.rotation.z = k * (Math.PI / 2)
+      if (k >= 1) {
+        d.root.position.y -= dt * 0.4
+        if (d.t > DEATH_MS + 1200) {
+          d.root.removeFromParent()
+          this._dying.splice(i, 1)
+        }
+      }
+    }
+  }
+
+  clear() {
+    for (const id of [...this.creatures.keys()]) this._remove(id)
+    for (const d of this._dying) d.root.removeFromParent()
+    this._dying = []
+  }
+}
@@ -38,9 +38,10 @@ function makePlantMesh() {
  * Authoritative state comes from server via worldChunk (farmPlots).
  */
 export class FarmManager {
-  /** @param {{scene: THREE.Scene}} params */
-  constructor({ scene }) {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
     this.scene = scene
+    this.getHeightAt = getHeightAt
     this._plots = new Map() // id -> { st, tile, plant }
     this._plotsByChunk = new Map() // "cx:cz" -> Set<id>
     this._chunkSize = 32 // must match server
@@ -117,14 +118,14 @@ export class FarmManager {
 
       let rec = this._plots.get(id)
       if (!rec) {
+        const y = this.getHeightAt(x, z)
         const tile = makeTilledTile()
-        tile.position.x = x
-        tile.position.z = z
+        tile.position.set(x, y + 0.01, z)
+        this._alignToSlope(tile, x, z)
         this.scene.add(tile)
 
         const plant = makePlantMesh()
-        plant.position.x = x
-        plant.position.z = z
+        plant.position.set(x, y + 0.02, z)
         this.scene.add(plant)
 
         rec = { st: {}, tile, plant }
@@ -145,6 +146,16 @@ export class FarmManager {
     this._plotsByChunk.set(ck, chunkSet)
   }
 
+  /** Tilt a (rotated, flat) tile so it lies on the terrain instead of clipping into slopes. */
+  _alignToSlope(tile, x, z) {
+    const e = 0.5
+    const dx = (this.getHeightAt(x + e, z) - this.getHeightAt(x - e, z)) / (2 * e)
+    const dz = (this.getHeightAt(x, z + e) - this.getHeightAt(x, z - e)) / (2 * e)
+    const n = new THREE.Vector3(-dx, 1, -dz).normalize()
+    // PlaneGeometry faces +Z.
+    tile.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), n)
+  }
+
   getPlot(plotId) {
     const rec = this._plots.get(String(plotId))
     return rec?.st || null
@@ -0,0 +1,100 @@
+import * as THREE from 'three'
+
+const LINE_POINTS = 16
+
+/** Bobber on the water and the line back to the rod tip (fishing; visual only). */
+export class FishingBobber {
+  /** @param {{scene: THREE.Scene}} params */
+  constructor({ scene }) {
+    this.scene = scene
+
+    this._group = new THREE.Group()
+    this._group.name = 'FishingBobber'
+    this._group.visible = false
+
+    this._bobber = new THREE.Group()
+    const top = new THREE.Mesh(new THREE.SphereGeometry(0.06, 10, 6, 0, Math.PI * 2, 0, Math.PI / 2), new THREE.MeshStandardMaterial({ color: 0xd8322a, roughness: 0.6 }))
+    const bottom = new THREE.Mesh(new THREE.SphereGeometry(0.06, 10, 6, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2), new THREE.MeshStandardMaterial({ color: 0xf2f2f2, roughness: 0.6 }))
+    this._bobber.add(top, bottom)
+    this._group.add(this._bobber)
+
+    this._linePos = new Float32Array(LINE_POINTS * 3)
+    const geo = new THREE.BufferGeometry()
+    geo.setAttribute('position', new THREE.BufferAttribute(this._linePos, 3))
+    this._line = new THREE.Line(geo, new THREE.LineBasicMaterial({ color: 0xe8e8e8, transparent: true, opacity: 0.7 }))
+    this._line.frustumCulled = false
+    this._group.add(this._line)
+
+    this._water = new THREE.Vector3()
+    this._t = 0
+    /** 'wait' | 'bite' | 'reel' */
+    this._mode = 'wait'
+    // Cast: the bobber flies from the tip to the water.
+    this._flyT = 0
+    this._from = new THREE.Vector3()
+
+    scene.add(this._group)
+  }
+
+  get visible() {
+    return this._group.visible
+  }
+
+  /** @param {{x:number,y:number,z:number}} water where it lands @param {THREE.Vector3|null} from rod tip */
+  cast(water, from) {
+    this._water.set(water.x, water.y, water.z)
+    this._from.copy(from ?? this._water)
+    this._flyT = from ? 0 : 1
+    this._t = 0
+    this._mode = 'wait'
+    this._group.visible = true
+  }
+
+  /** @param {'wait'|'bite'|'reel'} mode */
+  setMode(mode) {
+    this._mode = mode
+  }
+
+  hide() {
+    this._group.visible = false
+  }
+
+  /**
+   * @param {number} dt
+   * @param {THREE.Vector3|null} tip rod tip (world); the line is hidden without it
+   * @param {number} [reel01] reel progress: the bobber comes in towards the tip
+   */
+  update(dt, tip, reel01 = 0) {
+    if (!this._group.visible) return
+    this._t += dt
+
+    const p = this._bobber.position
+    if (this._flyT < 1) {
+      this._flyT = Math.min(1, this._flyT + dt / 0.45)
+      const k = this._flyT
+      p.lerpVectors(this._from, this._water, k)
+      p.y += Math.sin(k * Math.PI) * 1.2
+    } else {
+      p.copy(this._water)
+      if (this._mode === 'bite') p.y += -0.07 + Math.sin(this._t * 28) * 0.03
+      else if (this._mode === 'reel') p.y += Math.sin(this._t * 16) * 0.02
+      else p.y += Math.sin(this._t * 2.4) * 0.012
+      if (tip && reel01 > 0) {
+        p.x += (tip.x - p.x) * reel01 * 0.8
+        p.z += (tip.z - p.z) * reel01 * 0.8
+      }
+    }
+
+    this._line.visible = !!tip
+    if (!tip) return
+    // Sagging line: slack while waiting, taut while reeling.
+    const sag = this._mode === 'reel' ? 0.05 : 0.35
+    for (let i = 0; i < LINE_POINTS; i++) {
+      const k = i / (LINE_POINTS - 1)
+      this._linePos[i * 3] = tip.x + (p.x - tip.x) * k
+      this._linePos[i * 3 + 1] = tip.y + (p.y - tip.y) * k - Math.sin(k * Math.PI) * sag
+      this._linePos[i * 3 + 2] = tip.z + (p.z - tip.z) * k
+    }
+    this._line.geometry.attributes.position.needsUpdate = true
+  }
+}
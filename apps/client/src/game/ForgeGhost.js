@@ -1,7 +1,9 @@
 import * as THREE from 'three'
 
 export class ForgeGhost {
-  constructor() {
+  /** @param {{getHeightAt?: (x: number, z: number) => number}} [params] */
+  constructor({ getHeightAt = () => 0 } = {}) {
+    this.getHeightAt = getHeightAt
     this.mesh = new THREE.Group()
 
     const stoneMat = new THREE.MeshStandardMaterial({ color: 0x2a2a2f, roughness: 1.0, metalness: 0.0, transparent: true, opacity: 0.55 })
@@ -34,4 +36,8 @@ export class ForgeGhost {
       if (ch.material) ch.material.color.setHex(col)
     }
   }
+
+  setPos(x, z) {
+    this.mesh.position.set(x, this.getHeightAt(x, z), z)
+  }
 }
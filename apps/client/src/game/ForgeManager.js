@@ -1,5 +1,5 @@
 import * as THREE from 'three'
-import { ItemId } from './items.js'
+import { FORGE_FUEL_SECONDS, FORGE_OUTPUT_MAX_STACK, forgeSmeltTarget, isForgeFuel, PLACED_COLLIDER_RADIUS } from '@jarvis-woodcutter-fps/shared'
 
 function makeRadialTexture({ inner = 'rgba(255,140,40,1)', outer = 'rgba(255,140,40,0)', size = 128 } = {}) {
   const c = document.createElement('canvas')
@@ -16,25 +16,30 @@ function makeRadialTexture({ inner = 'rgba(255,140,40,1)', outer = 'rgba(255,140
   return tex
 }
 
+const SLOT_KEYS = ['fuel', 'input', 'output']
+
+function markSynced(f) {
+  f.synced = structuredClone({ fuel: f.fuel, input: f.input, output: f.output })
+}
+
 export class ForgeManager {
-  /** @param {{scene: THREE.Scene}} params */
-  constructor({ scene }) {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
     this.scene = scene
+    this.getHeightAt = getHeightAt
     this._forges = new Map()
     this._t = 0
     this._ray = new THREE.Raycaster()
 
-    // Balance
-    this.fuelSeconds = {
-      [ItemId.LOG]: 22,
-      [ItemId.STICK]: 6,
-      [ItemId.LEAF]: 2,
-    }
-
-    this.secondsPerIngot = 10
+    // Balance (shared with the server forge simulation; recipes in SMELTING_RECIPES)
+    this.fuelSeconds = FORGE_FUEL_SECONDS
 
     this._torchMain = 1.0
 
+    // Online: the server simulates forges (forge tick) and streams `forgeStatus`; locally we only
+    // extrapolate the bars between messages. Offline: full local simulation.
+    this.serverDriven = false
+
     // Shared lightweight textures for fire/smoke sprites.
     this._texFire = makeRadialTexture({ inner: 'rgba(255,180,80,1)', outer: 'rgba(255,120,20,0)', size: 128 })
     this._texSmoke = makeRadialTexture({ inner: 'rgba(140,140,160,0.55)', outer: 'rgba(20,20,25,0)', size: 128 })
@@ -146,7 +151,7 @@ export class ForgeManager {
   place(pos, id = null) {
     const assigned = id ? String(id) : (crypto.randomUUID?.() ?? String(Math.random()).slice(2))
     const mesh = this._makeForgeMesh()
-    mesh.position.set(pos.x, 0, pos.z)
+    mesh.position.set(pos.x, this.getHeightAt(pos.x, pos.z), pos.z)
     mesh.userData.forgeId = assigned
 
     // Light: warm point (small)
@@ -164,6 +169,8 @@ export class ForgeManager {
       fuel: [null, null],
       input: [null, null],
       output: [null, null],
+      // Slots of the last server state applied: local edits are relative to them (save `base`).
+      synced: { fuel: [null, null], input: [null, null], output: [null, null] },
       burn: 0,
       prog: 0,
       enabled: false,
@@ -191,7 +198,7 @@ export class ForgeManager {
   getColliders() {
     const out = []
     for (const f of this._forges.values()) {
-      out.push({ x: f.mesh.position.x, z: f.mesh.position.z, r: 1.15 })
+      out.push({ x: f.mesh.position.x, z: f.mesh.position.z, r: PLACED_COLLIDER_RADIUS.forge })
     }
     return out
   }
@@ -262,11 +269,70 @@ export class ForgeManager {
     while (f.fuel.length < 2) f.fuel.push(null)
     while (f.input.length < 2) f.input.push(null)
     while (f.output.length < 2) f.output.push(null)
+    markSynced(f)
 
     f.dirty = true
     return true
   }
 
+  /** Slots the player's pending edits started from (sent as `base` with a save). */
+  syncedSlots(id) {
+    const f = this._forges.get(String(id))
+    return f ? structuredClone(f.synced) : null
+  }
+
+  /**
+   * A save went through: the server's slots (`st`, merged with what the tick did meanwhile) become
+   * the base. Slots edited while the save was in flight (no longer equal to `sent`) keep the edit.
+   */
+  applySaved(id, sent, st) {
+    const f = this._forges.get(String(id))
+    if (!f || !st) return false
+
+    f.burn = Number(st.burn || 0)
+    f.prog = Number(st.prog || 0)
+    for (const k of SLOT_KEYS) {
+      for (let i = 0; i < 2; i++) {
+        if (JSON.stringify(f[k][i] ?? null) === JSON.stringify(sent[k]?.[i] ?? null)) f[k][i] = st[k]?.[i] ? structuredClone(st[k][i]) : null
+      }
+    }
+    f.synced = structuredClone({ fuel: st.fuel, input: st.input, output: st.output })
+    f.dirty = true
+    return true
+  }
+
+  setServerDriven(v) {
+    this.serverDriven = !!v
+  }
+
+  /**
+   * Server `forgeStatus`. `slots: false` keeps local fuel/input/output (the player is editing them and
+   * a save is on its way).
+   */
+  applyStatus(id, st, { slots = true } = {}) {
+    const f = this._forges.get(String(id))
+    if (!f || !st) return false
+
+    f.burn = Number(st.burn || 0)
+    f.prog = Number(st.prog || 0)
+    if (!slots) return true
+
+    const norm = (arr) => {
+      const out = Array.isArray(arr) ? arr.slice(0, 2) : []
+      while (out.length < 2) out.push(null)
+      return out
+    }
+    const next = { enabled: !!st.enabled, fuel: norm(st.fuel), input: norm(st.input), output: norm(st.output) }
+    const prev = { enabled: f.enabled, fuel: f.fuel, input: f.input, output: f.output }
+    if (JSON.stringify(next) !== JSON.stringify(prev)) {
+      Object.assign(f, next)
+      f.dirty = true
+    }
+    markSynced(f)
+    if (!f.enabled) f.vfx.activeUntil = 0
+    return true
+  }
+
   get(id) {
     return this._forges.get(String(id))
   }
@@ -291,32 +357,35 @@ export class ForgeManager {
       // burn down (only while enabled)
       if (f.enabled && f.burn > 0) f.burn = Math.max(0, f.burn - dt)
 
-      // if we have burn and input ore and output has room -> progress
-      const hasOre = f.input.some((s) => s && s.id === ItemId.IRON_ORE && s.qty > 0)
-      const outSpace = this._outputHasSpace(f)
+      // if we have burn and something smeltable whose output fits -> progress
+      const target = forgeSmeltTarget(f)
+      const canSmelt = !!target
 
-      if (f.enabled && f.burn > 0 && hasOre && outSpace) {
+      if (this.serverDriven) {
+        // Items only move on the server; just keep the progress bar moving until the next status.
+        if (f.enabled && f.burn > 0 && target) f.prog = Math.min(target.recipe.seconds, f.prog + dt)
+      } else if (f.enabled && f.burn > 0 && target) {
         f.prog += dt
-        if (f.prog >= this.secondsPerIngot) {
+        if (f.prog >= target.recipe.seconds) {
           f.prog = 0
-          this._consumeOneOre(f)
-          this._addOutput(f, ItemId.IRON_INGOT, 1)
+          this._consumeOneInput(f, target.slot)
+          this._addOutput(f, target.recipe.output.id, target.recipe.output.qty)
           f.dirty = true
         }
       }
 
       // auto-consume fuel only when enabled (so player must explicitly start)
-      if (f.enabled && (f.burn <= 0.1 || (f.burn > 0 && f.burn < 2.5 && hasOre)) && this._hasFuelItem(f)) {
+      if (!this.serverDriven && f.enabled && (f.burn <= 0.1 || (f.burn > 0 && f.burn < 2.5 && canSmelt)) && this._hasFuelItem(f)) {
         // consume one unit at a time to keep UX predictable
         if (this._consumeOneFuel(f)) f.dirty = true
       }
 
       // Auto-shutdown rules:
-      // - If ore is missing while enabled, shut down immediately.
+      // - If there is nothing left to smelt while enabled, shut down immediately.
       // - If burn is depleted and there is no fuel to consume, shut down.
-      if (f.enabled) {
+      if (f.enabled && !this.serverDriven) {
         const hasFuelItem = this._hasFuelItem(f)
-        if (!hasOre || (!hasFuelItem && f.burn <= 0.001)) {
+        if (!forgeSmeltTarget(f) || (!hasFuelItem && f.burn <= 0.001)) {
           f.enabled = false
           f.dirty = true
           // Stop VFX quickly.
@@ -343,7 +412,7 @@ export class ForgeManager {
       }
 
       // Active only while processing is actually happening
-      const isActive = f.enabled && f.burn > 0 && hasOre && outSpace
+      const isActive = f.enabled && f.burn > 0 && canSmelt
       if (isActive) f.vfx.activeUntil = this._t + 1.6
 
       const vfxOn = this._t < (f.vfx.activeUntil || 0)
@@ -419,7 +488,7 @@ export class ForgeManager {
   }
 
   _hasFuelItem(f) {
-    return f.fuel.some((s) => s && (s.id === ItemId.LOG || s.id === ItemId.STICK || s.id === ItemId.LEAF) && s.qty > 0)
+    return f.fuel.some((s) => s && isForgeFuel(s.id) && s.qty > 0)
   }
 
   _consumeOneFuel(f) {
@@ -441,24 +510,13 @@ export class ForgeManager {
     return false
   }
 
-  _consumeOneOre(f) {
-    for (let i = 0; i < f.input.length; i++) {
-      const s = f.input[i]
-      if (!s || s.id !== ItemId.IRON_ORE) continue
-      s.qty -= 1
-      if (s.qty <= 0) f.input[i] = null
-      f.dirty = true
-      return true
-    }
-    return false
-  }
-
-  _outputHasSpace(f) {
-    for (const s of f.output) {
-      if (!s) return true
-      if (s.id === ItemId.IRON_INGOT && s.qty < 100) return true
-    }
-    return false
+  _consumeOneInput(f, slot) {
+    const s = f.input[slot]
+    if (!s) return false
+    s.qty -= 1
+    if (s.qty <= 0) f.input[slot] = null
+    f.dirty = true
+    return true
   }
 
   _addOutput(f, id, qty) {
@@ -466,7 +524,7 @@ export class ForgeManager {
     for (let i = 0; i < f.output.length; i++) {
       const s = f.output[i]
       if (s && s.id === id) {
-        const space = 100 - s.qty
+        const space = FORGE_OUTPUT_MAX_STACK - s.qty
         const take = Math.min(space, qty)
         s.qty += take
         qty -= take
@@ -477,7 +535,7 @@ export class ForgeManager {
 
     for (let i = 0; i < f.output.length; i++) {
       if (!f.output[i]) {
-        const take = Math.min(100, qty)
+        const take = Math.min(FORGE_OUTPUT_MAX_STACK, qty)
         f.output[i] = { id, qty: take }
         qty -= take
         f.dirty = true
@@ -1,7 +1,9 @@
 import * as THREE from 'three'
 
 export class ForgeTableGhost {
-  constructor() {
+  /** @param {{getHeightAt?: (x: number, z: number) => number}} [params] */
+  constructor({ getHeightAt = () => 0 } = {}) {
+    this.getHeightAt = getHeightAt
     this.mesh = new THREE.Group()
 
     const woodMat = new THREE.MeshStandardMaterial({ color: 0x9ff5a8, roughness: 1.0, transparent: true, opacity: 0.45 })
@@ -36,4 +38,8 @@ export class ForgeTableGhost {
       if (ch.material) ch.material.color.setHex(col)
     }
   }
+
+  setPos(x, z) {
+    this.mesh.position.set(x, this.getHeightAt(x, z), z)
+  }
 }
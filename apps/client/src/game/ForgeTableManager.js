@@ -1,9 +1,11 @@
 import * as THREE from 'three'
+import { PLACED_COLLIDER_RADIUS } from '@jarvis-woodcutter-fps/shared'
 
 export class ForgeTableManager {
-  /** @param {{scene: THREE.Scene}} params */
-  constructor({ scene }) {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
     this.scene = scene
+    this.getHeightAt = getHeightAt
     this._tables = new Map()
     this._ray = new THREE.Raycaster()
     this._id = 1
@@ -74,7 +76,7 @@ export class ForgeTableManager {
   place(pos, id = null) {
     const assigned = id ? String(id) : String(this._id++)
     const mesh = this._makeMesh()
-    mesh.position.set(pos.x, 0, pos.z)
+    mesh.position.set(pos.x, this.getHeightAt(pos.x, pos.z), pos.z)
     mesh.userData.forgeTableId = assigned
     this.scene.add(mesh)
 
@@ -85,7 +87,7 @@ export class ForgeTableManager {
   /** @returns {{x:number,z:number,r:number}[]} */
   getColliders() {
     const out = []
-    for (const t of this._tables.values()) out.push({ x: t.mesh.position.x, z: t.mesh.position.z, r: 1.2 })
+    for (const t of this._tables.values()) out.push({ x: t.mesh.position.x, z: t.mesh.position.z, r: PLACED_COLLIDER_RADIUS.forgeTable })
     return out
   }
 
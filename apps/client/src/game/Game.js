@@ -13,23 +13,69 @@ import { LakeManager } from './LakeManager.js'
 import { CampfireManager } from './CampfireManager.js'
 import { ForgeManager } from './ForgeManager.js'
 import { ForgeTableManager } from './ForgeTableManager.js'
+import { BedManager } from './BedManager.js'
+import { LootBagManager } from './LootBagManager.js'
+import { GroundItemManager } from './GroundItemManager.js'
 import { MineManager } from './MineManager.js'
 import { OreManager } from './OreManager.js'
 import { Sfx } from './Sfx.js'
 import { clamp } from './util.js'
-import { Inventory } from './Inventory.js'
-import { ITEMS, ItemId } from './items.js'
+import {
+  BUFFS,
+  buffUntilKey,
+  campfireHasItems,
+  canOpenLootBag,
+  canSprint,
+  CHUNK_SIZE,
+  createTerrain,
+  CREATURE,
+  creatureKindOf,
+  DAMAGE_CAUSES,
+  DURABILITY,
+  findCookingRecipe,
+  findSmeltingRecipe,
+  FISHING,
+  FOOD_EFFECTS,
+  FORGE_TABLE_RECIPES,
+  forgeSmeltTarget,
+  generateChunk,
+  GROUND_ITEM,
+  HEALTH,
+  Inventory,
+  isNightHours,
+  isForgeFuel,
+  ITEMS,
+  ItemId,
+  LOOT_BAG,
+  mineOreCount,
+  normalizeGeneration,
+  normalizeHealth,
+  normalizeSurvival,
+  RECIPES,
+  spendStamina,
+  STEADY_WEAR_CHANCE,
+  stepSurvival,
+  STRENGTH_DAMAGE_MULT,
+  SURVIVAL,
+  TERRAIN,
+  TOOL_STATS,
+  waterBodyAt,
+  worldHoursAt,
+} from '@jarvis-woodcutter-fps/shared'
 import { TimeSystem } from './TimeSystem.js'
 import { Perf } from './Perf.js'
 import { DamageNumbers } from './DamageNumbers.js'
-import { RECIPES, DURABILITY, FORGE_TABLE_RECIPES, TOOL_STATS } from './recipes.js'
 import { CampfireGhost } from './CampfireGhost.js'
 import { ForgeGhost } from './ForgeGhost.js'
 import { ForgeTableGhost } from './ForgeTableGhost.js'
+import { BedGhost } from './BedGhost.js'
 import { ChestManager } from './ChestManager.js'
+import { ClaimManager } from './ClaimManager.js'
 import { ChestGhost } from './ChestGhost.js'
 import { raycastGround } from './raycastGround.js'
 import { RemotePlayersManager } from './RemotePlayersManager.js'
+import { CreatureManager } from './CreatureManager.js'
+import { FishingBobber } from './FishingBobber.js'
 import { WsClient } from '../net/wsClient.js'
 
 export class Game {
@@ -55,6 +101,8 @@ export class Game {
     /** @type {any|null} */
     this._persistedState = null
     this._persistTimer = 0
+    /** Set by main.js: world reset/archived while playing (refresh the world browser). @type {((code: string) => void)|null} */
+    this.onWorldClosed = null
 
     this.scene = new THREE.Scene()
     this.scene.fog = new THREE.FogExp2(0x0b160b, 0.022)
@@ -64,9 +112,20 @@ export class Game {
     this.clock = new THREE.Clock()
     this.renderer = new Renderer({ canvas })
 
+    // World seed + generation config: terrain, river/lake, ore veins and the per-chunk resource
+    // layout derive from them (server too). Replaced by the world's config in playFromMenu.
+    this.worldSeed = TERRAIN.seed
+    this.worldGeneration = normalizeGeneration()
+    // World rule: hunger/stamina meters on (default) or off, from the same config.
+    this.worldSurvival = true
+    // Seeded heightmap: rendering, placement and player physics all sample it (server too).
+    this.terrain = createTerrain({ seed: this.worldSeed, generation: this.worldGeneration })
+    const getHeightAt = (x, z) => this.terrain.getHeightAt(x, z)
+    this.getHeightAt = getHeightAt
+
     this.world = new World({ scene: this.scene })
     this.player = new Player({ camera: this.camera, domElement: canvas })
-    this.grass = new GrassManager({ scene: this.scene })
+    this.grass = new GrassManager({ scene: this.scene, getHeightAt })
     this.river = new RiverManager({ scene: this.scene })
     this.lake = new LakeManager({ scene: this.scene })
 
@@ -83,30 +142,49 @@ export class Game {
     this.torchSpot.position.set(0.15, -0.05, -0.10)
     this.torchSpot.target = this.torchTarget
     this.camera.add(this.torchSpot)
-    this.trees = new TreeManager({ scene: this.scene })
-    this.rocks = new RockManager({ scene: this.scene })
-    this.sticks = new StickManager({ scene: this.scene })
-    this.bushes = new BushManager({ scene: this.scene })
-    this.farm = new FarmManager({ scene: this.scene })
-    this.fires = new CampfireManager({ scene: this.scene })
-    this.forges = new ForgeManager({ scene: this.scene })
-    this.forgeTables = new ForgeTableManager({ scene: this.scene })
-    this.chests = new ChestManager({ scene: this.scene })
+    this.trees = new TreeManager({ scene: this.scene, getHeightAt })
+    this.rocks = new RockManager({ scene: this.scene, getHeightAt })
+    this.sticks = new StickManager({ scene: this.scene, getHeightAt })
+    this.bushes = new BushManager({ scene: this.scene, getHeightAt })
+    this.farm = new FarmManager({ scene: this.scene, getHeightAt })
+    this.fires = new CampfireManager({ scene: this.scene, getHeightAt })
+    this.forges = new ForgeManager({ scene: this.scene, getHeightAt })
+    this.forgeTables = new ForgeTableManager({ scene: this.scene, getHeightAt })
+    this.beds = new BedManager({ scene: this.scene, getHeightAt })
+    this.lootBags = new LootBagManager({ scene: this.scene, getHeightAt })
+    this.groundItems = new GroundItemManager({ scene: this.scene, getHeightAt })
+    this.chests = new ChestManager({ scene: this.scene, getHeightAt })
+    this.claims = new ClaimManager({ scene: this.scene, getHeightAt })
     this.mine = new MineManager({ scene: this.scene })
     this.ores = new OreManager({ scene: this.scene })
 
     this.remotePlayers = new RemotePlayersManager({ scene: this.scene })
+    this.creatures = new CreatureManager({ scene: this.scene })
+    this.fishingBobber = new FishingBobber({ scene: this.scene })
+    /** Fishing minigame (tool 'rod'): null | { phase: 'wait'|'bite'|'reel', water, x, z, t, biteAt, reel, tension, pull, nextPull } */
+    this._fishing = null
     this.ws = null
     this.wsMeId = null
-    this._wsPoseAt = 0
+    /** Own display name (`welcome.name`). */
+    this.wsMeName = null
+    /** Server clock minus ours (ms), from `welcome.now`; null until connected. */
+    this._serverClockOffsetMs = null
     this._wsConnected = false
     this._lastColliders = []
     this._lastGroundY = 0
-    this._reconCooldownUntil = 0
+    // Client prediction: sent-but-unacked input commands (oldest first) and the one being
+    // accumulated. Snapshots echo the last seq the server simulated; the rest is replayed.
+    this._inputRing = []
+    this._inputOpen = null
+    // Reconciliation corrections [{at, d}] for the net debug overlay.
+    this._corrections = []
 
     // World persistence (F3): strict, server-confirmed events.
     // key -> { fn, accepted, timeoutId }
     this._pendingWorldActions = new Map()
+    // Server-validated crafting: reqId -> { recipeId, label, timeoutId }
+    this._pendingCrafts = new Map()
+    this._craftReqSeq = 0
     this._appliedWorld = {
       trees: new Set(),
       rocks: new Set(),
@@ -117,12 +195,20 @@ export class Game {
       forges: new Set(),
       forgeTables: new Set(),
       chests: new Set(),
+      beds: new Set(),
+      lootBags: new Set(),
     }
 
     // Track placed structures per chunk so removals (server-authoritative) can be applied.
     // ck -> Map<id,type>
     this._placedByChunk = new Map()
 
+    // Resource chunks streamed around the player ("cx:cz"). Radius follows the server AOI
+    // (sent in `welcome`) so every loaded chunk gets its authoritative state.
+    this._loadedChunks = new Set()
+    this._streamCenter = null
+    this._chunkRadius = 2
+
     this._inMine = false
     this._fadeEl = null
     this._fade = { active: false, t: 0, dur: 0.22, phase: 'in' }
@@ -136,8 +222,12 @@ export class Game {
     // Equipment + buffs (saved in gameSave v3)
     /** @type {{hat:any|null, shirt:any|null, pants:any|null, boots:any|null, gloves:any|null, backpack:any|null}} */
     this.equipment = { hat: null, shirt: null, pants: null, boots: null, gloves: null, backpack: null }
-    /** @type {{luckUntilMs:number}} */
-    this.buffs = { luckUntilMs: 0 }
+    /** Food buffs (shared BUFFS): `<buff>UntilMs` per buff. @type {{luckUntilMs:number, strengthUntilMs:number, steadyUntilMs:number}} */
+    this.buffs = { luckUntilMs: 0, strengthUntilMs: 0, steadyUntilMs: 0 }
+    /** Survival meters (shared stepSurvival; saved in gameSave v4). */
+    this.survival = { ...normalizeSurvival(), restSec: 0, exhausted: false }
+    /** Health: the server owns it (`health` messages); the last value is kept in gameSave v5. */
+    this.health = { hp: HEALTH.max, dead: false }
 
     this.time = new TimeSystem({ startHours: 9.0 })
     this.perf = new Perf()
@@ -151,14 +241,24 @@ export class Game {
     this._placingForge = false
     this._placingForgeTable = false
     this._placingChest = false
+    this._placingBed = false
 
     this._activeForgeId = null
+    this._activeCampfireId = null
     this._activeForgeTableId = null
     this._activeChestId = null
+    /** 'chest' | 'lootBag': the chest panel also shows death bags (take-only). */
+    this._activeChestKind = 'chest'
+    this._shareChestId = null
+    this._claimPanelChunk = null
 
     // Locks (Redis) for shared resources (best-effort)
     this._forgeLockToken = null
     this._forgeLockTimer = 0
+    this._forgeEditAt = 0 // last local forge edit/save: forgeStatus keeps our slots right after
+    this._campfireLockToken = null
+    this._campfireLockTimer = 0
+    this._expiringCampfires = new Set() // burned out, removal pending (server keeps them if food is inside)
     this._chestLockToken = null
     this._chestLockTimer = 0
 
@@ -170,15 +270,17 @@ export class Game {
 
     this._chestSlots = Array.from({ length: 15 }, () => null)
 
-    this._ghost = new CampfireGhost()
-    this._forgeGhost = new ForgeGhost()
-    this._forgeTableGhost = new ForgeTableGhost()
-    this._chestGhost = new ChestGhost()
+    this._ghost = new CampfireGhost({ getHeightAt: this.getHeightAt })
+    this._forgeGhost = new ForgeGhost({ getHeightAt: this.getHeightAt })
+    this._forgeTableGhost = new ForgeTableGhost({ getHeightAt: this.getHeightAt })
+    this._chestGhost = new ChestGhost({ getHeightAt: this.getHeightAt })
+    this._bedGhost = new BedGhost({ getHeightAt: this.getHeightAt })
 
     this.scene.add(this._ghost.mesh)
     this.scene.add(this._forgeGhost.mesh)
     this.scene.add(this._forgeTableGhost.mesh)
     this.scene.add(this._chestGhost.mesh)
+    this.scene.add(this._bedGhost.mesh)
 
     this._ghostX = 0
     this._ghostZ = 0
@@ -192,7 +294,7 @@ export class Game {
     this.score = 0
     this._running = false
 
-    /** @type {'menu'|'playing'|'paused'|'inventory'|'crafting'|'forge'|'forgeTable'|'chest'|'wheel'|'controls-menu'|'controls-pause'} */
+    /** @type {'menu'|'playing'|'paused'|'inventory'|'crafting'|'forge'|'campfire'|'forgeTable'|'chest'|'wheel'|'dead'|'controls-menu'|'controls-pause'} */
     this.state = 'menu'
 
     this._onResize = () => this._resize()
@@ -233,6 +335,18 @@ export class Game {
     this._onKeyDown = (e) => this._onKeyDownAny(e)
     this._onKeyUp = (e) => this._onKeyUpAny(e)
     this._onMouseMoveUI = (e) => this._onMouseMoveUIAny(e)
+
+    // Chat overlay (Enter/T). Keys typed in it are skipped by _onKeyDownAny and Player.
+    /** @type {'proximity'|'global'} */
+    this._chatChannel = 'proximity'
+    this.ui.bindChat?.({
+      onSubmit: (text) => this._sendChat(text),
+      onClose: () => this.closeChat(),
+      onToggleChannel: () => {
+        this._chatChannel = this._chatChannel === 'global' ? 'proximity' : 'global'
+        this.ui.setChatChannel(this._chatChannel)
+      },
+    })
   }
 
   setPreview3DEnabled(v) {
@@ -273,14 +387,12 @@ export class Game {
     this.canvas.addEventListener('click', this._onCanvasClick)
     this.canvas.addEventListener('contextmenu', (e) => e.preventDefault())
 
-    this.world.init()
+    this.world.init({ getHeightAt: this.getHeightAt })
     // Player rig (yaw->pitch->camera)
     this.scene.add(this.player.yaw)
 
-    this.trees.init({ seed: 1337, count: 42, radius: 42 })
-    this.rocks.init({ seed: 2026, count: 32, radius: 45 })
-    this.sticks.init({ seed: 1991, count: 46, radius: 45 })
-    this.bushes.init({ seed: 3033, count: 26, radius: 46 })
+    // Trees, rocks, sticks, bushes and ground tiles stream per chunk around the player.
+    this._streamWorldChunks()
 
     // Farm plots are server-authoritative; start empty until chunks arrive.
 
@@ -288,16 +400,11 @@ export class Game {
     // Hide interior while in the world (prevents reaching it by walking out of bounds).
     this.mine.setInteriorVisible(false)
 
-    this.ores.init({ points: this.mine.getOreSpawnPoints() })
+    // Terrain, ores, grass, river and lake (rebuilt when the world's config arrives).
+    this._initWorldLayout()
     // Ores belong to the mine interior; hide them while outside.
     this.ores.setVisible(false)
 
-    this.grass.init({ seed: 909, radius: 92 })
-    this.river.init({ radius: 96, width: 8, segments: 240 })
-    // Lake patch near the river seam to remove the perceived "end" of the river.
-    // Keep it small (close to river width) and slightly organic.
-    this.lake.init({ center: { x: 102, z: 0 }, baseR: 6.2 })
-
     this._ensureFadeOverlay()
 
     // Accessibility: view bob/sway toggle (visual-only; does not affect raycasts)
@@ -317,6 +424,7 @@ export class Game {
       if (this.state !== 'playing') return
       if (document.pointerLockElement !== this.canvas) return
 
+      if (this._tryHitCreature()) return
       if (this.tool === 'axe') this._tryChop()
       else if (this.tool === 'pickaxe') this._tryMine()
       else if (this.tool === 'hoe') this._tryHoe()
@@ -373,6 +481,13 @@ export class Game {
 
   _onKeyDownAny(e) {
     if (document.body.classList.contains('loading-lock')) return
+    if (this.ui.isChatTarget?.(e.target)) return
+
+    // Chat: Enter in any in-game state (pointer locked or not), T while playing.
+    if (e.code === 'Enter' || e.code === 'NumpadEnter' || (e.code === 'KeyT' && this.state === 'playing')) {
+      if (this.openChat()) e.preventDefault?.()
+      return
+    }
 
     // Hotbar slots (teclado): 1..9,0 -> índices 0..9
     // idx 0 (tecla 1) = mão fixa.
@@ -402,7 +517,8 @@ export class Game {
     if (e.code === 'Space') {
       if (this.state === 'playing') {
         e.preventDefault?.()
-        this.player.jump()
+        if (this.worldSurvival && this.survival.stamina < SURVIVAL.jumpCost) return
+        if (this.player.jump() && this.worldSurvival) spendStamina(this.survival, SURVIVAL.jumpCost)
       }
       return
     }
@@ -476,7 +592,10 @@ export class Game {
       this.state === 'inventory' ||
       this.state === 'crafting' ||
       this.state === 'forge' ||
+      this.state === 'campfire' ||
       this.state === 'forgeTable' ||
+      this.state === 'chestShare' ||
+      this.state === 'claim' ||
       this.state === 'wheel' ||
       this.state === 'controls-menu' ||
       this.state === 'controls-pause'
@@ -564,6 +683,17 @@ export class Game {
       // No pickup for campfire.
       return [
         { id: 'primary', label: lit ? 'Apagar' : 'Acender' },
+        { id: 'cook', label: 'Cozinhar' },
+        { id: 'destroy', label: 'Destruir', danger: true },
+      ]
+    }
+
+    if (target.kind === 'lootBag') return [{ id: 'open', label: 'Abrir' }]
+    if (target.kind === 'groundItem') return [{ id: 'open', label: 'Pegar' }]
+
+    if (target.kind === 'bed') {
+      return [
+        { id: 'pickup', label: 'Recolher' },
         { id: 'destroy', label: 'Destruir', danger: true },
       ]
     }
@@ -585,16 +715,25 @@ export class Game {
 
     // If chest/forge might be locked, do a quick status check so we can show lock-only UI.
     try {
-      if ((target?.kind === 'forge') && this._persistCtx?.worldId && this._persistCtx?.guestId) {
+      if ((target?.kind === 'chest') && this._persistCtx?.worldId && this._persistCtx?.guestId) {
         const { getChestAccess } = await import('../net/chestState.js')
         const st = await getChestAccess({ worldId: this._persistCtx.worldId, chestId: target.id, guestId: this._persistCtx.guestId })
         if (st?.ok && st.access === 'forbidden') actions = [{ id: 'locked', label: '🔒' }]
+        // Compartilhado/público: só abrir (recolher/destruir/compartilhar são do dono).
+        else if (st?.ok && (st.access === 'shared' || st.access === 'public')) actions = [{ id: 'open', label: 'Abrir' }]
+        else if (st?.ok && st.access === 'owner') actions = [...actions.slice(0, 1), { id: 'share', label: 'Compartilhar' }, ...actions.slice(1)]
       }
       if ((target?.kind === 'forge') && this._persistCtx?.worldId && this._persistCtx?.guestId) {
         const { getForgeLockStatus } = await import('../net/forgeState.js')
         const st = await getForgeLockStatus({ worldId: this._persistCtx.worldId, forgeId: target.id, guestId: this._persistCtx.guestId })
         if (st?.ok && st.locked) actions = [{ id: 'locked', label: '🔒' }]
       }
+      if ((target?.kind === 'campfire') && this._persistCtx?.worldId && this._persistCtx?.guestId) {
+        const { getCampfireLockStatus } = await import('../net/campfireState.js')
+        const st = await getCampfireLockStatus({ worldId: this._persistCtx.worldId, campfireId: target.id, guestId: this._persistCtx.guestId })
+        // Someone else is cooking: lighting/putting out is still fine.
+        if (st?.ok && st.locked) actions = actions.filter((a) => a.id !== 'cook')
+      }
     } catch {
       // ignore
     }
@@ -685,7 +824,7 @@ export class Game {
 
     const trySet = (kind, id, dist, primaryLabel, name, x = null, z = null) => {
       if (!id) return
-      if (!best || dist < best.dist) best = { kind, id, dist, primaryLabel, name, x, z }
+      if (!best || dist < best.dist) best = { kind, id, dist, primaryLabel, name, x, z, owner: this._placedOwnerLabel(id) }
     }
 
     // Forge table
@@ -704,13 +843,55 @@ export class Game {
         const lit = this.fires.isLit(c.campfireId)
         trySet('campfire', c.campfireId, c.distance, lit ? 'Apagar' : 'Acender', 'Fogueira', c.point?.x, c.point?.z)
       }
+
+      const b = this.beds.raycastFromCamera(this.camera)
+      if (b && b.distance <= 2.6) trySet('bed', b.bedId, b.distance, 'Ver', 'Cama', b.point?.x, b.point?.z)
+
+      const lb = this.lootBags.raycastFromCamera(this.camera)
+      if (lb && lb.distance <= 2.6) {
+        trySet('lootBag', lb.bagId, lb.distance, this._canOpenLootBag(lb.bagId) ? 'Abrir' : 'Trancada', 'Bolsa', lb.point?.x, lb.point?.z)
+      }
+
+      const gi = this.groundItems.raycastFromCamera(this.camera)
+      if (gi && gi.distance <= 2.8) {
+        const d = this.groundItems.get(gi.dropId)
+        trySet('groundItem', gi.dropId, gi.distance, 'Pegar', this._groundItemLabel(d?.items), d?.x, d?.z)
+      }
     }
 
     return best
-      ? { kind: best.kind, id: best.id, primaryLabel: best.primaryLabel, name: best.name, x: best.x, z: best.z }
+      ? { kind: best.kind, id: best.id, primaryLabel: best.primaryLabel, name: best.name, x: best.x, z: best.z, owner: best.owner }
       : null
   }
 
+  /** Owner info of a placed structure, from the authoritative chunk state (null = unknown/legacy). */
+  _placedOwner(id) {
+    const sid = String(id)
+    for (const m of this._placedByChunk.values()) {
+      const info = m.get(sid)
+      if (info) return info.ownerId ? { ownerId: info.ownerId, ownerName: info.ownerName || '' } : null
+    }
+    return null
+  }
+
+  /** Death bags: only the owner until LOOT_BAG.ownerOnlyMs has passed (the server checks again on open). */
+  _canOpenLootBag(id) {
+    const sid = String(id)
+    for (const m of this._placedByChunk.values()) {
+      const info = m.get(sid)
+      if (info) return canOpenLootBag({ ownerId: info.ownerId, guestId: this._claimMeId(), droppedAt: info.placedAt, now: Date.now() })
+    }
+    return false
+  }
+
+  /** "você" / owner's name for hints and toasts ('' when the structure has no recorded owner). */
+  _placedOwnerLabel(id) {
+    const o = this._placedOwner(id)
+    if (!o) return ''
+    if (o.ownerId === this._claimMeId()) return 'você'
+    return o.ownerName || this.remotePlayers.getName(o.ownerId) || 'outro jogador'
+  }
+
   _updateTargetHighlight(t) {
     const nextKey = t ? `${t.kind}:${t.id}` : null
     if (nextKey === this._hlKey) return
@@ -740,6 +921,9 @@ export class Game {
     else if (t.kind === 'forgeTable') root = this.forgeTables.get(t.id)?.mesh
     else if (t.kind === 'chest') root = this.chests.get(t.id)?.mesh
     else if (t.kind === 'campfire') root = this.fires.get(t.id)?.mesh
+    else if (t.kind === 'bed') root = this.beds.get(t.id)?.mesh
+    else if (t.kind === 'lootBag') root = this.lootBags.get(t.id)?.mesh
+    else if (t.kind === 'groundItem') root = this.groundItems.get(t.id)?.mesh
 
     if (!root) return
 
@@ -779,11 +963,23 @@ export class Game {
     if (t.kind === 'forge') return this.openForge(t.id)
     if (t.kind === 'forgeTable') return this.openForgeTable(t.id)
     if (t.kind === 'chest') return this.openChest(t.id)
+    if (t.kind === 'lootBag') return this.openLootBag(t.id)
+    if (t.kind === 'groundItem') return this._pickupGroundItem(t.id)
     if (t.kind === 'campfire') return this._campfireToggle(t.id)
+    if (t.kind === 'bed') {
+      // The server keeps one bed per player (the last one placed) as the respawn point.
+      const mine = this._placedOwner(t.id)?.ownerId === this._claimMeId()
+      this.ui.toast(mine ? 'Você renasce na última cama que colocou.' : 'Cama de outro jogador.', 1400)
+    }
   }
 
   _runWheelAction(t, action) {
-    if (action === 'open') return this._interactPrimary(t)
+    if (action === 'open') {
+      this._interactPrimary(t)
+      // Picking up keeps gameplay mode (relock); the other "open" actions open a panel.
+      if (t.kind === 'groundItem') this.returnToGameMode()
+      return
+    }
     if (action === 'primary') {
       this._interactPrimary(t)
       // Campfire primary must keep gameplay mode (relock).
@@ -797,6 +993,9 @@ export class Game {
       return
     }
 
+    if (action === 'share') return this.openChestShare(t.id)
+    if (action === 'cook') return this.openCampfire(t.id)
+
     if (action === 'destroy') {
       this._destroyStructure(t)
       this.returnToGameMode()
@@ -832,22 +1031,25 @@ export class Game {
       this._setPendingWorldAction(key, () => {
         // Apply local effects only on confirm.
         if (placeKind === 'chest') {
-          const overflow = this.inventory.add(ItemId.CHEST, 1)
-          if (overflow) {
-            this.ui.toast('Inventário cheio (baú descartado).', 1200)
-          }
+          const extra = this._addOrDrop(ItemId.CHEST, 1)
+          if (extra) this.ui.toast(extra === 'ground' ? 'Inventário cheio: o baú ficou no chão.' : 'Inventário cheio (baú descartado).', 1200)
           this.chests.remove(id)
           this._unregisterPlacedLocal('chest', id)
         } else if (placeKind === 'forge') {
-          const overflow = this.inventory.add(ItemId.FORGE, 1)
-          if (overflow) this.ui.toast('Inventário cheio (forja descartada).', 1200)
+          const extra = this._addOrDrop(ItemId.FORGE, 1)
+          if (extra) this.ui.toast(extra === 'ground' ? 'Inventário cheio: a forja ficou no chão.' : 'Inventário cheio (forja descartada).', 1200)
           this.forges.remove(id)
           this._unregisterPlacedLocal('forge', id)
         } else if (placeKind === 'forgeTable') {
-          const overflow = this.inventory.add(ItemId.FORGE_TABLE, 1)
-          if (overflow) this.ui.toast('Inventário cheio (mesa descartada).', 1200)
+          const extra = this._addOrDrop(ItemId.FORGE_TABLE, 1)
+          if (extra) this.ui.toast(extra === 'ground' ? 'Inventário cheio: a mesa ficou no chão.' : 'Inventário cheio (mesa descartada).', 1200)
           this.forgeTables.remove(id)
           this._unregisterPlacedLocal('forgeTable', id)
+        } else if (placeKind === 'bed') {
+          const extra = this._addOrDrop(ItemId.BED, 1)
+          if (extra) this.ui.toast(extra === 'ground' ? 'Inventário cheio: a cama ficou no chão.' : 'Inventário cheio (cama descartada).', 1200)
+          this.beds.remove(id)
+          this._unregisterPlacedLocal('bed', id)
         }
 
         this.ui.toast('Recolhido.', 900)
@@ -870,7 +1072,7 @@ export class Game {
       return false
     }
 
-    const itemId = t.kind === 'forge' ? ItemId.FORGE : t.kind === 'forgeTable' ? ItemId.FORGE_TABLE : null
+    const itemId = t.kind === 'forge' ? ItemId.FORGE : t.kind === 'forgeTable' ? ItemId.FORGE_TABLE : t.kind === 'bed' ? ItemId.BED : null
     if (!itemId) return false
 
     const overflow = this.inventory.add(itemId, 1)
@@ -879,7 +1081,8 @@ export class Game {
       return false
     }
 
-    const removed = t.kind === 'forge' ? this.forges.remove(t.id) : t.kind === 'forgeTable' ? this.forgeTables.remove(t.id) : this.fires.remove(t.id)
+    const removed =
+      t.kind === 'forge' ? this.forges.remove(t.id) : t.kind === 'forgeTable' ? this.forgeTables.remove(t.id) : t.kind === 'bed' ? this.beds.remove(t.id) : this.fires.remove(t.id)
     if (!removed) {
       // rollback add (best-effort)
       this.inventory.remove(itemId, 1)
@@ -924,6 +1127,9 @@ export class Game {
         } else if (placeKind === 'campfire') {
           this.fires.remove(id)
           this._unregisterPlacedLocal('campfire', id)
+        } else if (placeKind === 'bed') {
+          this.beds.remove(id)
+          this._unregisterPlacedLocal('bed', id)
         }
 
         this.ui.toast('Destruído.', 900)
@@ -952,9 +1158,15 @@ export class Game {
       return
     }
 
+    if (t.kind === 'campfire' && campfireHasItems(this.fires.get(t.id))) {
+      this.ui.toast('Esvazie a fogueira primeiro.', 1000)
+      return
+    }
+
     if (t.kind === 'forge') this.forges.remove(t.id)
     else if (t.kind === 'forgeTable') this.forgeTables.remove(t.id)
     else if (t.kind === 'campfire') this.fires.remove(t.id)
+    else if (t.kind === 'bed') this.beds.remove(t.id)
     this.ui.toast('Destruído.', 900)
   }
 
@@ -970,7 +1182,9 @@ export class Game {
       if (this._pendingWorldActions.has(key)) continue
 
       if (this._wsConnected && this.ws) {
+        this._expiringCampfires.add(id)
         this._setPendingWorldAction(key, () => {
+          this._expiringCampfires.delete(id)
           this.fires.remove(id)
           this._unregisterPlacedLocal('campfire', id)
         })
@@ -980,10 +1194,11 @@ export class Game {
           const rec = this._pendingWorldActions.get(key)
           if (rec?.timeoutId) clearTimeout(rec.timeoutId)
           this._pendingWorldActions.delete(key)
+          this._expiringCampfires.delete(id)
           this.fires.remove(id)
           this._unregisterPlacedLocal('campfire', id)
         }
-      } else {
+      } else if (!campfireHasItems(this.fires.get(id))) {
         // Offline fallback.
         this.fires.remove(id)
         this._unregisterPlacedLocal('campfire', id)
@@ -1007,16 +1222,34 @@ export class Game {
         return
       }
       this.fires.setLit(id, true)
+      this._syncCampfireLit(id, true)
       this.ui.toast('Fogueira acesa.', 900)
       return
     }
 
     this.fires.setLit(id, false)
+    this._syncCampfireLit(id, false)
     this.ui.toast('Fogueira apagada.', 900)
   }
 
+  /** Server keeps the burn time too: food in the campfire cooks while it burns, even with the panel closed. */
+  _syncCampfireLit(id, lit) {
+    if (!this._persistCtx?.worldId || !this._persistCtx?.guestId) return
+    const worldId = this._persistCtx.worldId
+    const guestId = this._persistCtx.guestId
+    void import('../net/campfireState.js')
+      .then(({ setCampfireLit }) => setCampfireLit({ worldId, campfireId: String(id), guestId, lit }))
+      .catch(() => null)
+  }
+
   _onCanvasClickAny(e) {
     if (document.body.classList.contains('loading-lock')) return
+    // Clicking the world while typing leaves the chat (and relocks).
+    if (this.state === 'chat') {
+      this._suppressMouseDownUntil = performance.now() + 160
+      this.closeChat()
+      return
+    }
     if (this.state !== 'playing') return
 
     // Only relock when no modal/menu is open (state===playing), and we're currently unlocked.
@@ -1031,28 +1264,29 @@ export class Game {
     e.preventDefault?.()
   }
 
-  _consumeAppleFromActiveHotbar() {
+  _consumeFoodFromActiveHotbar() {
     const slot = this.hotbar?.[this.hotbarActive]
-    if (!slot || slot.id !== ItemId.APPLE) return false
+    if (!slot || !FOOD_EFFECTS[slot.id]) return false
+    const foodId = slot.id
+    const name = ITEMS[foodId]?.name ?? foodId
 
     // Hotbar é atalho: consumo real acontece no inventário.
-    const left = this.inventory.remove(ItemId.APPLE, 1)
+    const left = this.inventory.remove(foodId, 1)
     if (left > 0) {
-      this.ui.toast('Sem maçã no inventário.', 900)
+      this.ui.toast(`Sem ${name} no inventário.`, 900)
       return false
     }
 
     this.player.handAction?.()
-    this._activateAppleLuck()
+    this._activateFoodBuff(foodId)
 
-    // Se acabou maçã no inventário, limpar qualquer atalho de maçã.
-    if ((this.inventory.count?.(ItemId.APPLE) || 0) <= 0) {
+    // Se acabou no inventário, limpar qualquer atalho dessa comida.
+    if ((this.inventory.count?.(foodId) || 0) <= 0) {
       for (let i = 1; i < this.hotbar.length; i++) {
-        if (this.hotbar[i]?.id === ItemId.APPLE) this.hotbar[i] = null
+        if (this.hotbar[i]?.id === foodId) this.hotbar[i] = null
       }
     }
 
-    this.ui.toast('Você comeu uma maçã 🍎 (+Sorte)', 1000)
     this._postMoveUpdate()
     this._queuePlayerSave()
     return true
@@ -1064,8 +1298,8 @@ export class Game {
     if (performance.now() < (this._suppressMouseDownUntil || 0)) return
     if (document.pointerLockElement !== this.canvas) return
 
-    // Left click: if active slot is apple, consume immediately.
-    if (e.button === 0 && this._consumeAppleFromActiveHotbar()) {
+    // Left click: if active slot is food, eat it immediately.
+    if (e.button === 0 && this._consumeFoodFromActiveHotbar()) {
       e.preventDefault?.()
       return
     }
@@ -1092,6 +1326,17 @@ export class Game {
         this._chestGhost.setVisible(true)
         return
       }
+      if (this.tool === 'bed' && this.hotbarActive !== 0 && !this._inMine) {
+        this._placingBed = true
+        this._bedGhost.setVisible(true)
+        return
+      }
+      if (this.tool === 'flag' && this.hotbarActive !== 0) {
+        this._useClaimFlag()
+        return
+      }
+      // Fishing: cast / strike; holding the button reels (`_actionHeld`).
+      if (this.tool === 'rod' && this.hotbarActive !== 0) this._onFishingClick()
     }
 
     if (e.button !== 0) return
@@ -1132,6 +1377,13 @@ export class Game {
       if (this._ghostValid) this._placeChestAtGhost()
       return
     }
+
+    if (e.button === 0 && this._placingBed) {
+      this._placingBed = false
+      this._bedGhost.setVisible(false)
+      if (this._ghostValid) this._placeBedAtGhost()
+      return
+    }
   }
 
   _tryMine() {
@@ -1162,11 +1414,11 @@ export class Game {
       return
     }
 
-    const dmg = Number(meta?.dmg ?? this.pickaxeDamage)
+    const dmg = Math.round(Number(meta?.dmg ?? this.pickaxeDamage) * this._toolDamageMult())
     const r = this.ores.damage(hit.oreId, dmg)
     if (!r) return
 
-    meta.dur = Math.max(0, meta.dur - 1)
+    if (this._toolWears()) meta.dur = Math.max(0, meta.dur - 1)
     this.ui.renderHotbar(this.hotbar, (id) => this._getHotbarItemDef(id), this.hotbarActive)
     if (meta.dur <= 0) {
       this.ui.toast('Picareta quebrou!', 1200)
@@ -1183,22 +1435,11 @@ export class Game {
 
     if (!r.broke) return
 
-    // Strict: wait for server accept + chunk confirmation to actually break/remove + grant loot.
+    // Strict: wait for server accept + chunk confirmation to actually break/remove.
+    // Loot is rolled by the server and arrives as `inventoryDelta`.
     const key = `oreBreak:${String(hit.oreId)}`
     this._setPendingWorldAction(key, () => {
-      // Now confirmed: apply local break visual + loot.
       this.ores.confirmBreak(String(hit.oreId))
-
-      const oreQty = this._withLuckMultiplier(2)
-      const overflow = this.inventory.add(ItemId.IRON_ORE, oreQty)
-      if (overflow) {
-        this.ui.toast('Inventário cheio: minério descartado.', 1200)
-        this.sfx.click()
-      } else {
-        this.ui.toast(`Loot: +${oreQty} minério de ferro`, 1100)
-        this.sfx.pickup()
-        if (this.state === 'inventory') this._renderInventoryUI()
-      }
     })
 
     const sent = this._sendWorldEvent({ kind: 'oreBreak', oreId: String(hit.oreId), x: hit.point.x, z: hit.point.z, at: Date.now() })
@@ -1210,6 +1451,29 @@ export class Game {
     }
   }
 
+  /** Any tool swing hits the creature under the crosshair (the server applies the damage). */
+  _tryHitCreature() {
+    const hit = this.creatures.raycastFromCamera(this.camera)
+    if (!hit || hit.distance > 3.0) return false
+    const tree = this.trees.raycastFromCamera(this.camera)
+    if (tree && tree.distance < hit.distance) return false
+
+    this.ui.hitmarker?.(120)
+    this.sfx.hit?.()
+
+    const sent = this._sendWorldEvent({ kind: 'creatureHit', id: hit.creatureId, x: hit.point.x, z: hit.point.z, at: Date.now() })
+    if (!sent) {
+      this.ui.toast('Sem conexão com o servidor (WS).', 1100)
+      return true
+    }
+
+    this.creatures.markHit(hit.creatureId)
+    const p = hit.point
+    p.y += 0.25
+    this.damageNumbers.spawn(p, `-${CREATURE.hitDamage}`)
+    return true
+  }
+
   _tryChop() {
     const hit = this.trees.raycastFromCamera(this.camera)
     if (!hit) {
@@ -1229,6 +1493,11 @@ export class Game {
       return
     }
 
+    if (this.worldSurvival && !spendStamina(this.survival, SURVIVAL.chopCost)) {
+      this.ui.toast('Sem fôlego.', 900)
+      return
+    }
+
     // Apply damage per-swing (TreeManager ignores falling/cut).
     // Durability: consume 1 per valid hit that deals damage (equipped axe).
     const axeSlot = this.hotbar[this.hotbarActive]
@@ -1241,11 +1510,11 @@ export class Game {
       return
     }
 
-    const dmg = Number(meta?.dmg ?? this.axeDamage)
+    const dmg = Math.round(Number(meta?.dmg ?? this.axeDamage) * this._toolDamageMult())
     const dmgResult = this.trees.damage(hit.treeId, dmg, this.player.position)
     if (!dmgResult) return
 
-    meta.dur = Math.max(0, meta.dur - 1)
+    if (this._toolWears()) meta.dur = Math.max(0, meta.dur - 1)
     this.ui.renderHotbar(this.hotbar, (id) => this._getHotbarItemDef(id), this.hotbarActive)
     if (meta.dur <= 0) {
       this.ui.toast('Machado quebrou!', 1200)
@@ -1258,7 +1527,8 @@ export class Game {
     p.y += 0.25
     this.damageNumbers.spawn(p, `-${dmg}`)
 
-    // Only when HP reaches 0: wait for server accept + chunk confirmation to cut + loot.
+    // Only when HP reaches 0: wait for server accept + chunk confirmation to cut.
+    // Loot is rolled by the server and arrives as `inventoryDelta`.
     if (!dmgResult.cut) return
 
     const treeId = String(hit.treeId)
@@ -1271,57 +1541,10 @@ export class Game {
       this.score += 1
       this.ui.setScore(this.score)
 
-      // Loot base: 1 log, 2–5 sticks, 10–20 leaves.
-      const sticks = this._randInt(2, 5)
-      const leaves = this._randInt(10, 20)
-
-      // P9-S2: full woodcutter set grants independent extra rolls (25%).
-      const bonus = this._rollWoodcutterBonusTreeLoot()
-
-      const gainLog = this._withLuckMultiplier(1 + (bonus.log || 0))
-      const gainStick = this._withLuckMultiplier(sticks + (bonus.stick || 0))
-      const gainLeaf = this._withLuckMultiplier(leaves + (bonus.leaf || 0))
-
-      const dropped = []
-      const overflowLog = this.inventory.add(ItemId.LOG, gainLog)
-      const overflowStick = this.inventory.add(ItemId.STICK, gainStick)
-      const overflowLeaf = this.inventory.add(ItemId.LEAF, gainLeaf)
-
-      if (overflowLog) dropped.push(`${overflowLog} ${ITEMS[ItemId.LOG].name}`)
-      if (overflowStick) dropped.push(`${overflowStick} ${ITEMS[ItemId.STICK].name}`)
-      if (overflowLeaf) dropped.push(`${overflowLeaf} ${ITEMS[ItemId.LEAF].name}`)
-
-      const baseLootMsg = dropped.length
-        ? `Loot: +${gainLog} tronco, +${gainStick} galhos, +${gainLeaf} folhas (excedente descartado)`
-        : `Loot: +${gainLog} tronco, +${gainStick} galhos, +${gainLeaf} folhas`
-
-      let lines = [baseLootMsg]
-      const hasAnyBonus = (bonus.log || 0) > 0 || (bonus.stick || 0) > 0 || (bonus.leaf || 0) > 0
-      if (hasAnyBonus) {
-        const parts = []
-        if (bonus.log) parts.push(`+${bonus.log} Tronco`)
-        if (bonus.stick) parts.push(`+${bonus.stick} Galhos`)
-        if (bonus.leaf) parts.push(`+${bonus.leaf} Folhas`)
-        lines.push(`Bônus Lenhador! ${parts.join(' ')}`)
-      }
-
-      // P10-S1: rare apple drop from confirmed tree cut (0.5%)
-      const appleDrop = Math.random() < 0.005
-      if (appleDrop) {
-        const appleOverflow = this.inventory.add(ItemId.APPLE, 1)
-        const appleMsg = appleOverflow
-          ? '<span class="rareLoot">🍎 ITEM RARO! +1 Maçã (excedente descartado)</span>'
-          : '<span class="rareLoot">🍎 ITEM RARO! +1 Maçã</span>'
-        lines.push(appleMsg)
-      }
-
       this.sfx.chop()
-      this.ui.toastHtml(lines.join('<br>'), 1700)
-
-      if (this.state === 'inventory') this._renderInventoryUI()
     })
 
-    const sent = this._sendWorldEvent({ kind: 'treeCut', treeId, x: hit.point.x, z: hit.point.z, at: Date.now() })
+    const sent = this._sendWorldEvent({ kind: 'treeCut', treeId, x: hit.x, z: hit.z, at: Date.now() })
     if (!sent) {
       const rec = this._pendingWorldActions.get(key)
       if (rec?.timeoutId) clearTimeout(rec.timeoutId)
@@ -1330,53 +1553,174 @@ export class Game {
     }
   }
 
-  _randInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min
+  /**
+   * Eating: starts (or restarts) the food's buff timer and restores hunger (shared FOOD_EFFECTS).
+   * The server is told (`eat`): its loot rolls read luck from that, not from our save.
+   */
+  _activateFoodBuff(foodId) {
+    const fx = FOOD_EFFECTS[foodId]
+    if (!fx) return
+    this.ws?.send({ t: 'eat', v: 1, itemId: foodId })
+    const buff = BUFFS[fx.buff]
+    if (!this.buffs) this.buffs = { luckUntilMs: 0, strengthUntilMs: 0, steadyUntilMs: 0 }
+    this.buffs[buffUntilKey(fx.buff)] = Date.now() + fx.seconds * 1000
+    this.survival.hunger = Math.min(SURVIVAL.max, this.survival.hunger + fx.hunger)
+
+    const mm = Math.floor(fx.seconds / 60)
+    const ss = fx.seconds % 60
+    const item = ITEMS[foodId]
+    this.ui.toast(`Você comeu: ${item?.icon ?? ''} ${item?.name ?? foodId} • ${buff.name} ${String(mm).padStart(2, '0')}:${String(ss).padStart(2, '0')}`, 1300)
+
+    if (this.state === 'inventory') this.ui.setBuffLine?.(this._getBuffLine())
+    this._queuePlayerSave?.()
+  }
+
+  /** Meters from a save (full when missing); also clears the sprint lockout. */
+  _resetHealth(hp) {
+    this.health = { hp: normalizeHealth(hp), dead: false }
+  }
+
+  /** Server health update: HUD, hit feedback and, at 0, the death screen. */
+  _applyHealth(msg) {
+    const wasDead = this.health.dead
+    const dmg = Number(msg?.dmg) || 0
+    this.health.hp = normalizeHealth(msg?.hp)
+    this.health.dead = !!msg?.dead
+
+    if (dmg > 0) {
+      this.ui.flashDamage?.()
+      this.sfx.hit()
+      if (!this.health.dead) this.ui.toast(`-${dmg} (${DAMAGE_CAUSES[msg.cause]?.label ?? 'Dano'})`, 700)
+      this._queuePlayerSave()
+    }
+    if (this.health.dead && !wasDead) void this._enterDeath(String(msg?.cause || ''))
   }
 
-  _hasFullWoodcutterSet() {
-    const eq = this.equipment || {}
-    return (
-      eq.hat?.id === ItemId.WOODCUTTER_HAT &&
-      eq.shirt?.id === ItemId.WOODCUTTER_SHIRT &&
-      eq.pants?.id === ItemId.WOODCUTTER_PANTS &&
-      eq.boots?.id === ItemId.WOODCUTTER_BOOTS &&
-      eq.gloves?.id === ItemId.WOODCUTTER_GLOVES
-    )
+  /** Closes whatever is open (their close paths save and release locks), then shows the death screen. */
+  async _enterDeath(cause) {
+    if (this.state === 'menu') return
+    if (this.state === 'wheel') this._closeWheel(false)
+    else if (this.state === 'chat') this.ui.closeChat()
+    else if (this.state === 'inventory') await this.closeInventory()
+    else if (this.state === 'crafting') await this.closeCrafting()
+    else if (this.state === 'forge') await this.closeForge()
+    else if (this.state === 'campfire') await this.closeCampfire()
+    else if (this.state === 'forgeTable') await this.closeForgeTable()
+    else if (this.state === 'chest') await this.closeChest()
+    else if (this.state === 'chestShare') await this.closeChestShare()
+    else if (this.state === 'claim') await this.closeClaimPanel()
+    if (!this.health.dead || this.state === 'menu') return
+
+    this.state = 'dead'
+    this._actionHeld = false
+    this._stopFishing()
+    this._placingCampfire = this._placingForge = this._placingForgeTable = this._placingChest = this._placingBed = false
+    for (const g of [this._ghost, this._forgeGhost, this._forgeTableGhost, this._chestGhost, this._bedGhost]) g.setVisible(false)
+    this._resetWsInput()
+    this.player.setLocked(false)
+    if (document.pointerLockElement === this.canvas) document.exitPointerLock()
+
+    const label = DAMAGE_CAUSES[cause]?.label
+    this.ui.showHUD()
+    this.ui.showDeath(label ? `Causa: ${label}` : '')
+    void this._dropLootBag()
   }
 
-  _rollWoodcutterBonusTreeLoot() {
-    if (!this._hasFullWoodcutterSet()) return { log: 0, stick: 0, leaf: 0 }
+  /**
+   * Leaves the inventory (not the equipment) in a loot bag where we died. The server builds the bag
+   * from our stored save, so that is written first; it places the bag at its own death position and
+   * only then is the inventory emptied.
+   */
+  async _dropLootBag() {
+    await this.saveNow()
+    if (this.state !== 'dead' || !this.inventory.slots.some((s) => s?.id && s.qty > 0)) return
+
+    const bagId = crypto.randomUUID?.() ?? String(Math.random()).slice(2)
+    const key = `deathDrop:${bagId}`
+    this._setPendingWorldAction(key, () => {
+      this.inventory.clear()
+      this._postMoveUpdate()
+      this._queuePlayerSave()
+      this.ui.toast('Seus itens ficaram numa bolsa onde você morreu.', 1600)
+    })
 
-    const chance = 0.25
-    return {
-      log: Math.random() < chance ? 1 : 0,
-      stick: Math.random() < chance ? 2 : 0,
-      leaf: Math.random() < chance ? 5 : 0,
+    const p = this.player.position
+    const sent = this._sendWorldEvent({ kind: 'deathDrop', id: bagId, x: p.x, z: p.z, at: Date.now() })
+    if (!sent) {
+      const rec = this._pendingWorldActions.get(key)
+      if (rec?.timeoutId) clearTimeout(rec.timeoutId)
+      this._pendingWorldActions.delete(key)
     }
   }
 
-  _isLuckActive() {
-    return Number(this.buffs?.luckUntilMs || 0) > Date.now()
+  requestRespawn() {
+    if (this.state !== 'dead') return
+    // Respawning clears the server's death spot: wait for the bag to be confirmed first.
+    if ([...this._pendingWorldActions.keys()].some((k) => k.startsWith('deathDrop:'))) {
+      this.ui.toast('Guardando seus itens...', 900)
+      return
+    }
+    if (!this.ws?.send({ t: 'respawn', v: 1 })) this.ui.toast('Sem conexão com o servidor (WS).', 1100)
   }
 
-  _activateAppleLuck() {
-    const durationMs = 5 * 60 * 1000
-    const now = Date.now()
-    if (!this.buffs) this.buffs = { luckUntilMs: 0 }
-    this.buffs.luckUntilMs = now + durationMs
+  /** Server moved us to our bed (or the world spawn) with full health. */
+  _applyRespawned(msg) {
+    const x = Number(msg?.x)
+    const y = Number(msg?.y)
+    const z = Number(msg?.z)
+    if (![x, y, z].every(Number.isFinite)) return
+
+    this.health.dead = false
+    if (this._inMine) {
+      this._inMine = false
+      this.world.setGroundVisible(true)
+      this.mine.setInteriorVisible(false)
+      this.ores.setVisible(false)
+    }
+    this.player.position.set(x, y, z)
+    this.player.velocity.set(0, 0, 0)
+    this._resetWsInput()
 
-    const mm = 5
-    const ss = 0
-    this.ui.toast(`Sorte ativada: ${String(mm).padStart(2, '0')}:${String(ss).padStart(2, '0')}`, 1200)
+    // No bag had been confirmed: the server dropped the stored inventory on respawn.
+    if (msg.dropped) {
+      this.inventory.clear()
+      this._postMoveUpdate()
+    }
 
-    if (this.state === 'inventory') this.ui.setBuffLine?.(this._getBuffLine())
-    this._queuePlayerSave?.()
+    this.ui.hideDeath()
+    this.ui.toast(msg.atBed ? 'Você renasceu na sua cama.' : 'Você renasceu no início do mundo.', 1400)
+    if (this.state === 'dead') void this.returnToGameMode()
+    this._queuePlayerSave()
+  }
+
+  _resetSurvival(meters) {
+    this.survival = { ...normalizeSurvival(meters), restSec: 0, exhausted: false }
+  }
+
+  /** Hunger/stamina tick (playing only): also decides whether Shift can sprint. */
+  _updateSurvival(dt) {
+    if (!this.worldSurvival) {
+      this.player.canSprint = true
+      return
+    }
+    const wasStarving = this.survival.hunger <= 0
+    stepSurvival(this.survival, dt, { sprinting: this.player.isSprinting })
+    this.player.canSprint = canSprint(this.survival)
+    if (!wasStarving && this.survival.hunger <= 0) this.ui.toast('Você está faminto: coma algo para recuperar o fôlego.', 1800)
+  }
+
+  _buffRemainingMs(buff) {
+    return Math.max(0, Number(this.buffs?.[buffUntilKey(buff)] || 0) - Date.now())
+  }
+
+  /** Strength (cooked meat): axe/pickaxe hit harder. */
+  _toolDamageMult() {
+    return this._buffRemainingMs('strength') > 0 ? STRENGTH_DAMAGE_MULT : 1
   }
 
-  _withLuckMultiplier(qty) {
-    const n = Math.max(0, Math.floor(Number(qty) || 0))
-    return this._isLuckActive() ? n * 2 : n
+  /** Steady (cooked fish): only some hits wear the tool. */
+  _toolWears() {
+    return this._buffRemainingMs('steady') > 0 ? Math.random() < STEADY_WEAR_CHANCE : true
   }
 
   _tryHoe() {
@@ -1399,7 +1743,7 @@ export class Game {
       return
     }
 
-    const p = raycastGround(this.camera)
+    const p = raycastGround(this.camera, undefined, this.getHeightAt)
     if (!p) return
 
     const snap = this.farm.snap(p.x, p.z)
@@ -1428,31 +1772,7 @@ export class Game {
           this._cleanupHotbarBroken(slot.id, this.hotbarActive)
         }
 
-        // Drops: always return 1 seed + 30% chance of an extra seed.
-        // Luck buff doubles harvest quantities.
-        const extraSeed = Math.random() < 0.30
-        const fiberQty = this._withLuckMultiplier(2)
-        const seedQty = this._withLuckMultiplier(1 + (extraSeed ? 1 : 0))
-
-        const fiberOverflow = this.inventory.add(ItemId.FIBER, fiberQty)
-        const seedOverflow = this.inventory.add(ItemId.COTTON_SEED, seedQty)
-
-        const dropped = []
-        if (fiberOverflow) dropped.push('fibra')
-        if (seedOverflow) dropped.push('semente')
-
-        const seedWord = seedQty === 1 ? 'semente' : 'sementes'
-        const baseMsg = `Colheu: +${fiberQty} fibra +${seedQty} ${seedWord}`
-        const msg = dropped.length ? `${baseMsg} (excedente descartado)` : baseMsg
-
-        if (fiberOverflow || seedOverflow) {
-          this.sfx.click()
-        } else {
-          this.sfx.pickup()
-        }
-
-        this.ui.toast(msg, 1100)
-        if (this.state === 'inventory') this._renderInventoryUI()
+        // Drops (fiber + seeds) are rolled by the server and arrive as `inventoryDelta`.
       })
 
       const sent = this._sendWorldEvent({ kind: 'harvest', plotId, x: snap.x, z: snap.z, at: Date.now() })
@@ -1549,13 +1869,30 @@ export class Game {
     const desiredWorldId = String(worldInput?.value || '').trim()
     if (desiredWorldId && this._persistCtx) this._persistCtx.worldId = desiredWorldId
 
-    // Reset world-ish things first.
+    // The world's seed/generation decide its whole layout: fetch them before rebuilding.
+    const worldId = this._persistCtx?.worldId || desiredWorldId
+    if (worldId) {
+      try {
+        const { loadWorldConfig } = await import('../net/worldConfig.js')
+        const cfg = await loadWorldConfig({ worldId })
+        this.worldSeed = cfg.seed >>> 0
+        this.worldGeneration = normalizeGeneration(cfg.generation)
+        this.worldSurvival = cfg.survival
+      } catch (e) {
+        console.warn('[world] config unavailable, keeping current layout', e)
+      }
+    }
+
+    // Reset world-ish things first (the world may have changed: rebuild chunks from scratch).
+    for (const ck of [...this._loadedChunks, ...this._placedByChunk.keys()]) this._unloadWorldChunk(ck)
+    this._streamCenter = null
     this.trees.resetAll()
     this.rocks?.resetAll?.()
     this.fires.resetAll()
     this.forges.resetAll()
-    this.ores.resetAll()
-    this.ores.init({ points: this.mine.getOreSpawnPoints() })
+    this.lootBags.resetAll()
+    this.groundItems.resetAll()
+    this._initWorldLayout()
     this.ores.setVisible(false)
     this.player.reset()
 
@@ -1567,6 +1904,8 @@ export class Game {
       this.score = 0
       this.ui.setScore(0)
       this.inventory.clear()
+      this._resetSurvival()
+      this._resetHealth()
 
       // Start with one stone axe equipped in hotbar slot 2.
       this.hotbar = Array.from({ length: 10 }, (_, i) => (i === 0 ? { id: 'hand', qty: 1 } : null))
@@ -1616,7 +1955,10 @@ export class Game {
     this.ui.hideInventory?.()
     this.ui.hideCrafting?.()
     this.ui.hideForge?.()
+    this.ui.hideCampfire?.()
     this.ui.hideChest?.()
+    this.ui.hideChestShare?.()
+    this.ui.hideClaimPanel?.()
     this.ui.showHUD()
 
     await this.sfx.enable()
@@ -1653,6 +1995,8 @@ export class Game {
 
     this.trees.resetAll()
     this.fires.resetAll()
+    this.lootBags.resetAll()
+    this.groundItems.resetAll()
     this.player.reset()
 
     this.state = 'playing'
@@ -1664,6 +2008,11 @@ export class Game {
   quitToMenu() {
     // Quit resets progress.
     this._disconnectWs()
+    this.ui.closeChat?.()
+    this.ui.hideChestShare?.()
+    this.ui.hideClaimPanel?.()
+    this._shareChestId = null
+    this._claimPanelChunk = null
     this.score = 0
     this.ui.setScore(0)
     this.inventory.clear()
@@ -1681,6 +2030,8 @@ export class Game {
 
     this.trees.resetAll()
     this.fires.resetAll()
+    this.lootBags.resetAll()
+    this.groundItems.resetAll()
     this.player.reset()
 
     this.state = 'menu'
@@ -1726,24 +2077,26 @@ export class Game {
     this.ui.showInventory()
   }
 
+  /** Active buffs as `fmt(buff, "mm:ss")`, joined (empty when none). */
+  _formatBuffs(fmt, sep) {
+    const parts = []
+    for (const [id, buff] of Object.entries(BUFFS)) {
+      const rem = this._buffRemainingMs(id)
+      if (rem <= 0) continue
+      const s = Math.ceil(rem / 1000)
+      const mm = Math.floor(s / 60)
+      const ss = s % 60
+      parts.push(fmt(buff, `${String(mm).padStart(2, '0')}:${String(ss).padStart(2, '0')}`))
+    }
+    return parts.join(sep)
+  }
+
   _getBuffLine() {
-    const now = Date.now()
-    const rem = Math.max(0, Number(this.buffs?.luckUntilMs || 0) - now)
-    if (rem <= 0) return ''
-    const s = Math.ceil(rem / 1000)
-    const mm = Math.floor(s / 60)
-    const ss = s % 60
-    return `Sorte ativa: ${String(mm).padStart(2, '0')}:${String(ss).padStart(2, '0')}`
+    return this._formatBuffs((b, t) => `${b.name} ativa: ${t}`, ' • ')
   }
 
   _getLuckHudLine() {
-    const now = Date.now()
-    const rem = Math.max(0, Number(this.buffs?.luckUntilMs || 0) - now)
-    if (rem <= 0) return ''
-    const s = Math.ceil(rem / 1000)
-    const mm = Math.floor(s / 60)
-    const ss = s % 60
-    return `🍎 Sorte x2: ${String(mm).padStart(2, '0')}:${String(ss).padStart(2, '0')}`
+    return this._formatBuffs((b, t) => `${b.icon} ${b.hud}: ${t}`, '  ')
   }
 
   _isEquipSlotName(name) {
@@ -1763,8 +2116,9 @@ export class Game {
 
     const overflow = this.inventory.resize(desired)
     if (overflow && overflow.length) {
-      // Deterministic: discard overflow (matches previous behavior of overflow drops).
-      this.ui.toast(`Inventário reduziu: ${overflow.length} item(ns) excedente(s) descartado(s).`, 1600)
+      // Slots past the new size go on the ground (lost when that isn't possible).
+      const where = this._dropItems(overflow) ? 'no chão' : 'descartado(s)'
+      this.ui.toast(`Inventário reduziu: ${overflow.length} item(ns) excedente(s) ${where}.`, 1600)
     }
 
     // If inventory is open, rerender.
@@ -1846,7 +2200,88 @@ export class Game {
 
     this.ui.showForge()
     this.ui.renderForgeInventory(this.inventory.slots, (id) => ITEMS[id])
-    this.ui.renderForge(f, (id) => ITEMS[id], { secondsPerIngot: this.forges.secondsPerIngot })
+    this.ui.renderForge(f, (id) => ITEMS[id], this._forgeUiMeta(f))
+  }
+
+  async openCampfire(campfireId) {
+    if (this.state !== 'playing') return
+    const f = this.fires.get(campfireId)
+    if (!f) return
+
+    this.state = 'campfire'
+    this._activeCampfireId = campfireId
+
+    this.player.setLocked(false)
+    if (document.pointerLockElement === this.canvas) document.exitPointerLock()
+
+    // Load server-side campfire state (food cooked while we were away) best-effort.
+    if (this._persistCtx?.worldId) {
+      try {
+        const { loadCampfireState, renewCampfireLock } = await import('../net/campfireState.js')
+        const res = await loadCampfireState({ worldId: this._persistCtx.worldId, campfireId, guestId: this._persistCtx.guestId })
+        if (res?.ok === false && res?.error === 'locked') {
+          this.ui.toast('Fogueira em uso.', 1100)
+          this._activeCampfireId = null
+          this._campfireLockToken = null
+          await this.returnToGameMode()
+          return
+        }
+        if (res?.lockToken) this._campfireLockToken = String(res.lockToken)
+        this.fires.applyState(campfireId, res?.state)
+        this._campfireLastSavedJson = JSON.stringify(this.fires.exportState(campfireId))
+
+        // Renew lock while the cooking UI is open
+        if (this._campfireLockTimer) clearInterval(this._campfireLockTimer)
+        if (this._campfireLockToken) {
+          this._campfireLockTimer = window.setInterval(() => {
+            if (this.state !== 'campfire') return
+            if (!this._persistCtx?.worldId || !this._persistCtx?.guestId || !this._activeCampfireId || !this._campfireLockToken) return
+            renewCampfireLock({ worldId: this._persistCtx.worldId, campfireId: this._activeCampfireId, guestId: this._persistCtx.guestId, lockToken: this._campfireLockToken }).catch(() => null)
+          }, 4000)
+        }
+      } catch {
+        // keep local state if backend is unavailable
+      }
+    }
+
+    this.ui.showCampfire()
+    this.ui.renderCampfireInventory(this.inventory.slots, (id) => ITEMS[id])
+    this.ui.renderCampfire(f, (id) => ITEMS[id], this._campfireUiMeta())
+  }
+
+  async closeCampfire() {
+    if (this.state !== 'campfire') return
+
+    const cid = this._activeCampfireId
+
+    // Flush save best-effort before closing.
+    try {
+      if (this._campfireSaveTimer) {
+        clearTimeout(this._campfireSaveTimer)
+        this._campfireSaveTimer = 0
+      }
+      this._queueCampfireSave(cid)
+    } catch {}
+
+    const prevLock = this._campfireLockToken
+
+    if (this._campfireLockTimer) {
+      clearInterval(this._campfireLockTimer)
+      this._campfireLockTimer = 0
+    }
+
+    this._activeCampfireId = null
+    this._campfireLockToken = null
+
+    // Release lock best-effort
+    try {
+      if (cid && prevLock && this._persistCtx?.worldId && this._persistCtx?.guestId) {
+        const { releaseCampfireLock } = await import('../net/campfireState.js')
+        void releaseCampfireLock({ worldId: this._persistCtx.worldId, campfireId: cid, guestId: this._persistCtx.guestId, lockToken: prevLock })
+      }
+    } catch {}
+
+    await this.returnToGameMode()
   }
 
   openForgeTable(forgeTableId) {
@@ -1864,28 +2299,57 @@ export class Game {
     this.ui.renderForgeTable(FORGE_TABLE_RECIPES, (id) => this.inventory.count(id), (id) => ITEMS[id], (rid) => this.craftForgeTable(rid))
   }
 
-  async openChest(chestId) {
+  /** Chest panel endpoints: chests and death bags share the panel (and the lock/save flow). */
+  async _chestNet(kind) {
+    if (kind === 'lootBag') {
+      const m = await import('../net/lootBagState.js')
+      return {
+        load: ({ chestId, ...p }) => m.loadLootBagState({ ...p, bagId: chestId }),
+        save: ({ chestId, ...p }) => m.saveLootBagState({ ...p, bagId: chestId }),
+        renew: ({ chestId, ...p }) => m.renewLootBagLock({ ...p, bagId: chestId }),
+        release: ({ chestId, ...p }) => m.releaseLootBagLock({ ...p, bagId: chestId }),
+      }
+    }
+    const m = await import('../net/chestState.js')
+    return { load: m.loadChestState, save: m.saveChestState, renew: m.renewChestLock, release: m.releaseChestLock }
+  }
+
+  async openChest(chestId, kind = 'chest') {
     if (this.state !== 'playing') return
-    const ch = this.chests.get(chestId)
+    const bag = kind === 'lootBag'
+    const ch = bag ? this.lootBags.get(chestId) : this.chests.get(chestId)
     if (!ch) return
     if (!this._persistCtx?.worldId || !this._persistCtx?.guestId) {
-      this.ui.toast('Offline: baú indisponível.', 1100)
+      this.ui.toast(bag ? 'Offline: bolsa indisponível.' : 'Offline: baú indisponível.', 1100)
       return
     }
+    const size = bag ? LOOT_BAG.slots : 15
 
     this.state = 'chest'
     this._activeChestId = chestId
+    this._activeChestKind = kind
+    this._chestLastSavedJson = null
 
     this.player.setLocked(false)
     if (document.pointerLockElement === this.canvas) document.exitPointerLock()
 
     // Load (and create if missing) server-side chest state
     try {
-      const { loadChestState } = await import('../net/chestState.js')
-      const res = await loadChestState({ worldId: this._persistCtx.worldId, chestId, guestId: this._persistCtx.guestId })
+      const net = await this._chestNet(kind)
+      const res = await net.load({ worldId: this._persistCtx.worldId, chestId, guestId: this._persistCtx.guestId })
       if (!res?.ok) {
         // Sem dono (forbidden) = trancado. Em uso (locked) = outra sessão do mesmo dono.
-        if (res?.error === 'forbidden') {
+        if (bag) {
+          if (res?.error === 'forbidden') {
+            const min = Math.max(1, Math.ceil((Number(res.droppedAt || 0) + LOOT_BAG.ownerOnlyMs - Date.now()) / 60_000))
+            const owner = this._placedOwnerLabel(chestId) || 'o dono'
+            this.ui.toast(`Só ${owner} pode abrir por mais ${min} min.`, 1400)
+          } else if (res?.error === 'not_found') {
+            this.ui.toast('A bolsa sumiu.', 1100)
+          } else {
+            this.ui.toast('Bolsa em uso.', 1100)
+          }
+        } else if (res?.error === 'forbidden') {
           this.ui.toast('Trancado.', 1100)
           this._markTargetLocked('chest', chestId, 15000)
         } else if (res?.error === 'locked') {
@@ -1899,130 +2363,367 @@ export class Game {
         return
       }
       this._chestLockToken = String(res?.lockToken || '') || null
-      this._chestSlots = Array.isArray(res?.state?.slots) ? res.state.slots.slice(0, 15) : Array.from({ length: 15 }, () => null)
-      while (this._chestSlots.length < 15) this._chestSlots.push(null)
+      this._chestSlots = Array.isArray(res?.state?.slots) ? res.state.slots.slice(0, size) : Array.from({ length: size }, () => null)
+      while (this._chestSlots.length < size) this._chestSlots.push(null)
+      this._chestLastSavedJson = JSON.stringify({ slots: this._chestSlots })
 
       // Renew lock while chest UI is open
       try {
         if (this._chestLockTimer) clearInterval(this._chestLockTimer)
         const lockToken = this._chestLockToken
         if (lockToken) {
-          const { renewChestLock } = await import('../net/chestState.js')
           this._chestLockTimer = window.setInterval(() => {
             if (this.state !== 'chest') return
             if (!this._persistCtx?.worldId || !this._persistCtx?.guestId || !this._activeChestId || !this._chestLockToken) return
-            renewChestLock({ worldId: this._persistCtx.worldId, chestId: this._activeChestId, guestId: this._persistCtx.guestId, lockToken: this._chestLockToken }).catch(() => null)
+            net.renew({ worldId: this._persistCtx.worldId, chestId: this._activeChestId, guestId: this._persistCtx.guestId, lockToken: this._chestLockToken }).catch(() => null)
           }, 4000)
         }
       } catch {
         // ignore
       }
     } catch {
-      this.ui.toast('Servidor indisponível (baú).', 1100)
+      this.ui.toast(bag ? 'Servidor indisponível (bolsa).' : 'Servidor indisponível (baú).', 1100)
       this._activeChestId = null
       await this.returnToGameMode()
       return
     }
 
-    this.ui.showChest?.()
+    if (bag) {
+      const owner = this._placedOwnerLabel(chestId)
+      this.ui.showChest?.({
+        title: owner && owner !== 'você' ? `Bolsa de ${owner}` : 'Sua bolsa',
+        hint: 'Itens deixados ao morrer. Só dá para retirar; nos primeiros 5 min só o dono abre.',
+        block: 'Bolsa',
+        size: `${LOOT_BAG.slots} slots`,
+        footer: 'A bolsa some quando esvaziada ou após 30 min.',
+      })
+    } else {
+      this.ui.showChest?.()
+    }
     this.ui.renderChestInventory?.(this.inventory.slots, (id) => ITEMS[id])
     this.ui.renderChest?.(this._chestSlots, (id) => ITEMS[id])
   }
 
+  openLootBag(bagId) {
+    return this.openChest(bagId, 'lootBag')
+  }
+
   _queueChestSave(chestId = null) {
     if (this.state !== 'chest') return
     const cid = String(chestId || this._activeChestId || '')
     if (!cid) return
-    if (!this._persistCtx?.worldId || !this._persistCtx?.guestId) return
-
-    const worldId = this._persistCtx.worldId
-    const guestId = this._persistCtx.guestId
+    const kind = this._activeChestKind
 
     if (this._chestSaveTimer) clearTimeout(this._chestSaveTimer)
-    this._chestSaveTimer = window.setTimeout(async () => {
+    this._chestSaveTimer = window.setTimeout(() => {
       this._chestSaveTimer = 0
-      try {
-        const { saveChestState } = await import('../net/chestState.js')
-        const lockToken = this._chestLockToken
-        if (!lockToken) return
-        const payload = { slots: (this._chestSlots || []).slice(0, 15) }
-        const json = JSON.stringify(payload)
-        if (json === this._chestLastSavedJson) return
-        const res = await saveChestState({ worldId, chestId: cid, guestId, lockToken, state: payload })
-        if (res?.ok) this._chestLastSavedJson = json
-        if (res?.ok === false && res?.error === 'locked') {
-          this.ui.toast('Baú trancou (sessão perdida).', 1200)
+      void this._saveChestNow(cid, kind)
+    }, 600)
+  }
+
+  /** Saves the open chest/bag slots now (skipped when unchanged); resolves once the server answered. */
+  async _saveChestNow(cid, kind) {
+    if (!this._persistCtx?.worldId || !this._persistCtx?.guestId) return
+    const worldId = this._persistCtx.worldId
+    const guestId = this._persistCtx.guestId
+    try {
+      const lockToken = this._chestLockToken
+      if (!lockToken) return
+      const payload = { slots: (this._chestSlots || []).slice() }
+      const json = JSON.stringify(payload)
+      if (json === this._chestLastSavedJson) return
+      const net = await this._chestNet(kind)
+      const res = await net.save({ worldId, chestId: cid, guestId, lockToken, state: payload })
+      if (res?.ok) this._chestLastSavedJson = json
+      if (res?.ok === false && res?.error === 'locked') {
+        this.ui.toast(kind === 'lootBag' ? 'Bolsa trancou (sessão perdida).' : 'Baú trancou (sessão perdida).', 1200)
+      }
+      // Deposits beyond what the server's inventory ledger gave us: the chest keeps its last saved slots.
+      if (res?.ok === false && res?.error === 'inventory_mismatch') {
+        this.ui.toast('O servidor recusou o baú: itens que não constam no seu inventário.', 2200)
+        if (this.state === 'chest' && this._activeChestId === cid && this._chestLastSavedJson) {
+          this._chestSlots = JSON.parse(this._chestLastSavedJson).slots
+          this.ui.renderChest?.(this._chestSlots, (id) => ITEMS[id])
         }
-      } catch {
-        // silent
       }
-    }, 600)
+    } catch {
+      // silent
+    }
   }
 
   async closeChest() {
     if (this.state !== 'chest') return
 
-    // Flush save best-effort
-    try {
-      if (this._chestSaveTimer) {
-        clearTimeout(this._chestSaveTimer)
-        this._chestSaveTimer = 0
-      }
-      this._queueChestSave(this._activeChestId)
-    } catch {}
-
     const prevChestId = this._activeChestId
+    const prevKind = this._activeChestKind
     const prevLock = this._chestLockToken
 
+    // Flush the pending save before the lock is released (a save after release would be refused).
+    if (this._chestSaveTimer) {
+      clearTimeout(this._chestSaveTimer)
+      this._chestSaveTimer = 0
+    }
+    if (prevChestId) await this._saveChestNow(prevChestId, prevKind)
+
     if (this._chestLockTimer) {
       clearInterval(this._chestLockTimer)
       this._chestLockTimer = 0
     }
 
     this._activeChestId = null
+    this._activeChestKind = 'chest'
     this._chestLockToken = null
 
     // Release lock best-effort (avoids waiting TTL when closing normally)
     try {
       if (prevChestId && prevLock && this._persistCtx?.worldId && this._persistCtx?.guestId) {
-        const { releaseChestLock } = await import('../net/chestState.js')
-        void releaseChestLock({ worldId: this._persistCtx.worldId, chestId: prevChestId, guestId: this._persistCtx.guestId, lockToken: prevLock })
+        const net = await this._chestNet(prevKind)
+        void net.release({ worldId: this._persistCtx.worldId, chestId: prevChestId, guestId: this._persistCtx.guestId, lockToken: prevLock })
       }
     } catch {}
 
-    await this.returnToGameMode()
-  }
+    // An emptied bag goes away for everyone (the server checks it really is empty).
+    if (prevKind === 'lootBag' && prevChestId && !(this._chestSlots || []).some((s) => s?.id)) this._removeEmptyLootBag(prevChestId)
 
-  async closeForgeTable() {
-    if (this.state !== 'forgeTable') return
-    this._activeForgeTableId = null
     await this.returnToGameMode()
   }
 
-  craftForgeTable(recipeId) {
-    const r = FORGE_TABLE_RECIPES.find((x) => x.id === recipeId)
-    if (!r) return
+  _removeEmptyLootBag(bagId) {
+    const key = `placeRemove:${bagId}`
+    const pos = this.lootBags.get(bagId)?.mesh?.position
+    if (!pos || this._pendingWorldActions.has(key)) return
+    this._setPendingWorldAction(key, () => {
+      this.lootBags.remove(bagId)
+      this._unregisterPlacedLocal('lootBag', bagId)
+    })
+    const sent = this._sendWorldEvent({ kind: 'placeRemove', placeKind: 'lootBag', id: bagId, pickup: false, x: pos.x, z: pos.z, at: Date.now() })
+    if (!sent) {
+      const rec = this._pendingWorldActions.get(key)
+      if (rec?.timeoutId) clearTimeout(rec.timeoutId)
+      this._pendingWorldActions.delete(key)
+    }
+  }
 
-    const can = r.cost.every((c) => this.inventory.count(c.id) >= c.qty)
-    if (!can) {
-      this.ui.toast('Faltam recursos.', 900)
+  /** Owner only: public mode + allowed players (online roster + those already allowed). */
+  async openChestShare(chestId) {
+    if (this.state !== 'playing') return
+    if (!this._persistCtx?.worldId || !this._persistCtx?.guestId) {
+      this.ui.toast('Offline: compartilhamento indisponível.', 1100)
       return
     }
 
-    for (const c of r.cost) this.inventory.remove(c.id, c.qty)
+    this.state = 'chestShare'
+    this._shareChestId = chestId
 
-    const overflow = this.inventory.add(r.output.id, r.output.qty, r.output.meta)
-    if (overflow) {
-      this.ui.toast('Inventário cheio: item descartado.', 1200)
-    } else {
-      this.ui.toast(`Forjado: ${r.name}`, 1000)
+    this.player.setLocked(false)
+    if (document.pointerLockElement === this.canvas) document.exitPointerLock()
+
+    try {
+      const { loadChestAcl } = await import('../net/chestState.js')
+      const res = await loadChestAcl({ worldId: this._persistCtx.worldId, chestId, guestId: this._persistCtx.guestId })
+      if (this.state !== 'chestShare' || this._shareChestId !== chestId) return
+      if (!res?.ok) {
+        this.ui.toast('Só o dono pode compartilhar.', 1100)
+        this._shareChestId = null
+        await this.returnToGameMode()
+        return
+      }
+
+      const players = new Map()
+      for (const [id, name] of this.remotePlayers.names) {
+        if (id === this.wsMeId || id === this._persistCtx.guestId) continue
+        players.set(id, { id, name, allowed: false, online: true })
+      }
+      for (const a of res.allowed || []) {
+        const p = players.get(a.id)
+        if (p) p.allowed = true
+        else players.set(a.id, { id: a.id, name: a.name, allowed: true, online: false })
+      }
+
+      this.ui.renderChestShare({ isPublic: !!res.public, players: [...players.values()].sort((a, b) => a.name.localeCompare(b.name)) })
+      this.ui.showChestShare()
+    } catch {
+      this.ui.toast('Servidor indisponível (baú).', 1100)
+      this._shareChestId = null
+      await this.returnToGameMode()
     }
+  }
 
-    if (this.state === 'forgeTable') {
-      this.ui.renderForgeTable(FORGE_TABLE_RECIPES, (id) => this.inventory.count(id), (id) => ITEMS[id], (rid) => this.craftForgeTable(rid))
+  async saveChestShare() {
+    if (this.state !== 'chestShare' || !this._shareChestId) return
+    if (!this._persistCtx?.worldId || !this._persistCtx?.guestId) return
+
+    const { isPublic, allowed } = this.ui.readChestShare()
+    try {
+      const { saveChestAcl } = await import('../net/chestState.js')
+      const res = await saveChestAcl({ worldId: this._persistCtx.worldId, chestId: this._shareChestId, guestId: this._persistCtx.guestId, isPublic, allowed })
+      if (!res?.ok) {
+        this.ui.toast('Só o dono pode compartilhar.', 1100)
+        return
+      }
+      this.ui.toast(isPublic ? 'Baú público.' : allowed.length ? `Compartilhado com ${allowed.length}.` : 'Baú privado.', 1100)
+    } catch {
+      this.ui.toast('Servidor indisponível (baú).', 1100)
+      return
+    }
+    await this.closeChestShare()
+  }
+
+  async closeChestShare() {
+    if (this.state !== 'chestShare') return
+    this._shareChestId = null
+    await this.returnToGameMode()
+  }
+
+  // ----------------- land claims -----------------
+
+  /** Claims are keyed by guest id (same as the WS player id). */
+  _claimMeId() {
+    return this._persistCtx?.guestId || this.wsMeId || null
+  }
+
+  _claimedToast() {
+    const c = this.claims.at(this.player.position.x, this.player.position.z)
+    return c?.ownerName ? `Terreno de ${c.ownerName}.` : 'Terreno de outro jogador.'
+  }
+
+  /** Flag in hand: claims the chunk the player stands in (1 flag), or manages it if it's ours. */
+  _useClaimFlag() {
+    const slot = this.hotbar[this.hotbarActive]
+    if (!slot || slot.id !== ItemId.CLAIM_FLAG) return
+    if (this._inMine) {
+      this.ui.toast('A mina não pode ser reivindicada.', 1100)
+      return
+    }
+
+    const { x, z } = this.player.position
+    const cx = Math.floor(x / CHUNK_SIZE)
+    const cz = Math.floor(z / CHUNK_SIZE)
+    const claim = this.claims.get(cx, cz)
+    if (claim && claim.ownerId === this._claimMeId()) {
+      void this.openClaimPanel(cx, cz)
+      return
+    }
+    if (claim) {
+      this.ui.toast(this._claimedToast(), 1100)
+      return
+    }
+
+    const id = `${cx}:${cz}`
+    const key = `claim:${id}`
+    if (this._pendingWorldActions.has(key)) return
+
+    this._setPendingWorldAction(key, () => {
+      const left = this.inventory.remove(ItemId.CLAIM_FLAG, 1)
+      if (left > 0) {
+        this.ui.toast('Sem bandeira no inventário.', 900)
+        return
+      }
+      this.ui.toast('Terreno reivindicado 🚩', 1100)
+      this._postMoveUpdate()
+      if (!this.hotbar[this.hotbarActive]) this.setTool('hand')
+      this._queuePlayerSave()
+    })
+
+    const sent = this._sendWorldEvent({ kind: 'claim', id, x, z, at: Date.now() })
+    if (!sent) {
+      const rec = this._pendingWorldActions.get(key)
+      if (rec?.timeoutId) clearTimeout(rec.timeoutId)
+      this._pendingWorldActions.delete(key)
+      this.ui.toast('Sem conexão com o servidor (WS).', 1100)
     }
   }
 
+  /** Own claim: trusted players (online roster + already trusted) and abandon. */
+  async openClaimPanel(cx, cz) {
+    if (this.state !== 'playing') return
+    const claim = this.claims.get(cx, cz)
+    if (!claim) return
+
+    this.state = 'claim'
+    this._claimPanelChunk = { cx, cz }
+
+    this.player.setLocked(false)
+    if (document.pointerLockElement === this.canvas) document.exitPointerLock()
+
+    const meId = this._claimMeId()
+    const players = new Map()
+    for (const [id, name] of this.remotePlayers.names) {
+      if (id === meId || id === this.wsMeId) continue
+      players.set(id, { id, name, allowed: false, online: true })
+    }
+    for (const id of claim.trusted) {
+      const p = players.get(id)
+      if (p) p.allowed = true
+      else players.set(id, { id, name: `Jogador ${id.slice(0, 6)}`, allowed: true, online: false })
+    }
+
+    this.ui.renderClaimPanel({
+      title: `Seu terreno (${cx}, ${cz})`,
+      players: [...players.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    })
+    this.ui.showClaimPanel()
+  }
+
+  /** Sends a claim-management event for the chunk the panel was opened on. */
+  _sendClaimEvent(kind, extra, onConfirm) {
+    const c = this._claimPanelChunk
+    if (!c) return false
+    const id = `${c.cx}:${c.cz}`
+    const key = `${kind}:${id}`
+    if (this._pendingWorldActions.has(key)) return false
+
+    this._setPendingWorldAction(key, onConfirm)
+    const { x, z } = this.player.position
+    const sent = this._sendWorldEvent({ kind, id, ...extra, x, z, at: Date.now() })
+    if (!sent) {
+      const rec = this._pendingWorldActions.get(key)
+      if (rec?.timeoutId) clearTimeout(rec.timeoutId)
+      this._pendingWorldActions.delete(key)
+      this.ui.toast('Sem conexão com o servidor (WS).', 1100)
+    }
+    return sent
+  }
+
+  async saveClaimTrust() {
+    if (this.state !== 'claim') return
+    const { trusted } = this.ui.readClaimPanel()
+    this._sendClaimEvent('claimTrust', { trusted }, () => {
+      this.ui.toast(trusted.length ? `Terreno: ${trusted.length} de confiança.` : 'Terreno: só você constrói.', 1100)
+    })
+    await this.closeClaimPanel()
+  }
+
+  async abandonClaim() {
+    if (this.state !== 'claim') return
+    this._sendClaimEvent('unclaim', {}, () => {
+      const extra = this._addOrDrop(ItemId.CLAIM_FLAG, 1)
+      const flag = extra === 'ground' ? ' (inventário cheio: a bandeira ficou no chão)' : extra ? ' (inventário cheio: bandeira descartada)' : ''
+      this.ui.toast(`Terreno abandonado${flag}.`, 1200)
+      this._postMoveUpdate()
+      this._queuePlayerSave()
+    })
+    await this.closeClaimPanel()
+  }
+
+  async closeClaimPanel() {
+    if (this.state !== 'claim') return
+    this._claimPanelChunk = null
+    await this.returnToGameMode()
+  }
+
+  async closeForgeTable() {
+    if (this.state !== 'forgeTable') return
+    this._activeForgeTableId = null
+    await this.returnToGameMode()
+  }
+
+  craftForgeTable(recipeId) {
+    const r = FORGE_TABLE_RECIPES.find((x) => x.id === recipeId)
+    if (!r) return
+    void this._requestCraft(r, 'Forjado')
+  }
+
   openCrafting() {
     if (this.state !== 'playing') return
     this.state = 'crafting'
@@ -2043,32 +2744,82 @@ export class Game {
   craft(recipeId) {
     const r = RECIPES.find((x) => x.id === recipeId)
     if (!r) return
+    void this._requestCraft(r, 'Construído')
+  }
 
+  /**
+   * Crafting is validated server-side (cost vs stored inventory, forge table proximity).
+   * Flush the player save first so the server sees the latest inventory.
+   */
+  async _requestCraft(r, label) {
     const can = r.cost.every((c) => this.inventory.count(c.id) >= c.qty)
     if (!can) {
       this.ui.toast('Faltam recursos.', 900)
       return
     }
+    if (!this.ws || !this._wsConnected) {
+      this.ui.toast('Sem conexão com o servidor (WS).', 1100)
+      return
+    }
+    for (const rec of this._pendingCrafts.values()) {
+      if (rec.recipeId === r.id) return
+    }
 
-    // debit
-    for (const c of r.cost) this.inventory.remove(c.id, c.qty)
+    const reqId = ++this._craftReqSeq
+    const timeoutId = window.setTimeout(() => {
+      this._pendingCrafts.delete(reqId)
+      this.ui.toast('Servidor não respondeu (crafting).', 1100)
+    }, 4000)
+    this._pendingCrafts.set(reqId, { recipeId: r.id, name: r.name, label, timeoutId })
 
-    // add output
-    const overflow = this.inventory.add(r.output.id, r.output.qty, r.output.meta)
-    if (overflow) {
-      this.ui.toast('Inventário cheio: item descartado.', 1200)
-    } else {
-      this.ui.toast(`Construído: ${r.name}`, 1000)
+    if (this._playerSaveTimer) {
+      clearTimeout(this._playerSaveTimer)
+      this._playerSaveTimer = 0
+    }
+    await this.saveNow()
+
+    this.ws?.send({ t: 'craft', v: 1, reqId, recipeId: r.id })
+  }
+
+  _applyCraftResult(msg) {
+    const reqId = Number(msg?.reqId) || 0
+    const rec = this._pendingCrafts.get(reqId)
+    if (!rec) return
+    if (rec.timeoutId) clearTimeout(rec.timeoutId)
+    this._pendingCrafts.delete(reqId)
+
+    if (!msg.ok) {
+      const reason = String(msg.reason || '')
+      if (reason === 'missing_cost') this.ui.toast('Faltam recursos.', 900)
+      else if (reason === 'inventory_full') this.ui.toast('Inventário cheio.', 1000)
+      else if (reason === 'not_near_station') this.ui.toast('Chegue perto da mesa de forja.', 1100)
+      else this.ui.toast(`Crafting rejeitado pelo servidor (${reason}).`, 1300)
+      return
+    }
+
+    // Mirror the server-side debit/credit (server already persisted it in player_state).
+    const cost = Array.isArray(msg.cost) ? msg.cost : []
+    for (const c of cost) this.inventory.remove(String(c.id), Number(c.qty) || 0)
+
+    const out = msg.output
+    if (out && ITEMS[out.id]) {
+      const extra = this._addOrDrop(out.id, Number(out.qty) || 1, out.meta ?? undefined)
+      if (extra) this.ui.toast(extra === 'ground' ? 'Inventário cheio: o item ficou no chão.' : 'Inventário cheio: item descartado.', 1200)
+      else this.ui.toast(`${rec.label}: ${rec.name}`, 1000)
     }
 
     // refresh crafting/inventory UIs
     if (this.state === 'crafting') {
       this.ui.renderCrafting(RECIPES, (id) => this.inventory.count(id), (id) => ITEMS[id], (rid) => this.craft(rid))
     }
+    if (this.state === 'forgeTable') {
+      this.ui.renderForgeTable(FORGE_TABLE_RECIPES, (id) => this.inventory.count(id), (id) => ITEMS[id], (rid) => this.craftForgeTable(rid))
+    }
     if (this.state === 'inventory') this._renderInventoryUI()
 
     // If crafted a tool, allow equipping.
     this.ui.setHotbarActive(this.tool)
+    this._queuePlayerSave()
   }
 
   requestRemoveInventorySlot(idx) {
@@ -2189,13 +2940,13 @@ export class Game {
     const s = this.inventory?.slots?.[idx]
     if (!s) return
 
-    if (s.id === ItemId.APPLE) {
-      const left = this.inventory.remove(ItemId.APPLE, 1)
+    if (FOOD_EFFECTS[s.id]) {
+      const foodId = s.id
+      const left = this.inventory.remove(foodId, 1)
       if (left > 0) return
-      this._activateAppleLuck()
+      this._activateFoodBuff(foodId)
       this.player.handAction?.()
       this.sfx.click?.()
-      this.ui.toast('Você comeu uma maçã 🍎 (+Sorte)', 1000)
       this._postMoveUpdate()
       return
     }
@@ -2419,6 +3170,11 @@ export class Game {
 
   chestQuickAddFromInventory(invIdx) {
     if (this.state !== 'chest') return
+    if (this._activeChestKind === 'lootBag') {
+      this.ui.toast('A bolsa só pode ser esvaziada.', 1000)
+      this.sfx.click()
+      return
+    }
     const from = Number(invIdx)
     if (Number.isNaN(from)) return
 
@@ -2563,12 +3319,12 @@ export class Game {
       return true
     }
 
-    // Prefer fuel if item is fuel, otherwise input if ore.
-    if (src.id === ItemId.LOG || src.id === ItemId.STICK || src.id === ItemId.LEAF) {
+    // Prefer fuel if item is fuel, otherwise input if smeltable (logs are both: drag them to smelt).
+    if (isForgeFuel(src.id)) {
       return void moveInto(f.fuel, 'fuel')
     }
 
-    if (src.id === ItemId.IRON_ORE) {
+    if (findSmeltingRecipe(src.id)) {
       return void moveInto(f.input, 'in')
     }
   }
@@ -2589,10 +3345,10 @@ export class Game {
 
     // Turning ON requires resources.
     const hasFuel = (f.fuel || []).some((s) => s && s.qty > 0)
-    const hasOre = (f.input || []).some((s) => s && s.qty > 0)
+    const canSmelt = !!forgeSmeltTarget(f)
 
-    if (!hasFuel || !hasOre) {
-      this.ui.toast('Adicione combustível e minério.', 1000)
+    if (!hasFuel || !canSmelt) {
+      this.ui.toast(hasFuel && (f.input || []).some(Boolean) ? 'Saída cheia.' : 'Adicione combustível e algo para fundir.', 1000)
       return
     }
 
@@ -2666,6 +3422,89 @@ export class Game {
     else this.ui.toast('Nada para coletar (ou inventário cheio).', 1000)
   }
 
+  campfireQuickAddFromInventory(invIdx) {
+    if (this.state !== 'campfire') return
+    const f = this._activeCampfireId ? this.fires.get(this._activeCampfireId) : null
+    if (!f) return
+
+    const src = this.inventory.slots[invIdx]
+    if (!src) return
+    if (!findCookingRecipe(src.id)) {
+      this.ui.toast('Isso não dá para cozinhar.', 900)
+      return
+    }
+
+    const maxStack = this.inventory?.maxStack ?? 100
+
+    // fill a slot already cooking the same food, then an empty one
+    for (let i = 0; i < f.cook.length && src.qty > 0; i++) {
+      const d = f.cook[i]
+      if (!d || d.id !== src.id || d.qty >= maxStack) continue
+      const take = Math.min(maxStack - d.qty, src.qty)
+      d.qty += take
+      src.qty -= take
+    }
+    while (src.qty > 0) {
+      const empty = f.cook.findIndex((s) => !s)
+      if (empty < 0) break
+      const take = Math.min(maxStack, src.qty)
+      f.cook[empty] = { id: src.id, qty: take }
+      f.prog[empty] = 0
+      src.qty -= take
+    }
+
+    if (src.qty <= 0) this.inventory.slots[invIdx] = null
+    this._postMoveUpdate()
+  }
+
+  campfireSlotClick(kind, idx) {
+    if (this.state !== 'campfire') return
+    const f = this._activeCampfireId ? this.fires.get(this._activeCampfireId) : null
+    if (!f) return
+
+    // Click pulls the stack back to the inventory (raw food stops cooking; cooked food is collected).
+    const arr = kind === 'out' ? f.output : f.cook
+    const s = arr[idx]
+    if (!s) return
+
+    const overflow = this.inventory.add(s.id, s.qty)
+    const moved = s.qty - (overflow || 0)
+    if (moved > 0) {
+      s.qty -= moved
+      if (s.qty <= 0) {
+        arr[idx] = null
+        if (kind !== 'out') f.prog[idx] = 0
+      }
+      if (kind === 'out') this.ui.toast(`Coletou: +${moved} ${ITEMS[s.id]?.name ?? s.id}`, 900)
+      this._postMoveUpdate()
+    } else {
+      this.ui.toast('Inventário cheio.', 900)
+    }
+  }
+
+  collectAllCampfireOutput() {
+    if (this.state !== 'campfire') return
+    const f = this._activeCampfireId ? this.fires.get(this._activeCampfireId) : null
+    if (!f) return
+
+    let total = 0
+    for (let i = 0; i < f.output.length; i++) {
+      const s = f.output[i]
+      if (!s) continue
+      const overflow = this.inventory.add(s.id, s.qty)
+      const moved = s.qty - (overflow || 0)
+      if (moved > 0) {
+        total += moved
+        s.qty -= moved
+        if (s.qty <= 0) f.output[i] = null
+      }
+    }
+
+    this._postMoveUpdate()
+    if (total > 0) this.ui.toast(`Coletou: +${total} comida`, 1000)
+    else this.ui.toast('Nada para coletar (ou inventário cheio).', 1000)
+  }
+
   tryClose() {
     // Best-effort: browsers usually block window.close if not opened by script.
     window.close()
@@ -2743,6 +3582,9 @@ export class Game {
         }
 
         // Inform server about teleport target (authoritative position source).
+        // Inputs sent before it are dropped server-side.
+        this._flushWsInput()
+        this._inputRing.length = 0
         this.ws?.send({
           t: 'teleport',
           v: 1,
@@ -2795,17 +3637,19 @@ export class Game {
   }
 
   setTool(tool) {
+    if (tool !== 'rod' && this._fishing) this._stopFishing('Linha recolhida.')
     this.tool = tool
 
     // Determine which in-hand model to show.
     const s = this.hotbar[this.hotbarActive]
     const toolItemId = s?.id
 
-    const modelTool = tool === 'campfire' || tool === 'forge' || tool === 'forgeTable' ? 'hand' : tool
+    const modelTool = tool === 'campfire' || tool === 'forge' || tool === 'forgeTable' || tool === 'bed' || tool === 'flag' ? 'hand' : tool
     const modelItem = modelTool === 'axe' ? (toolItemId === ItemId.AXE_METAL ? 'axe_metal' : 'axe_stone')
       : modelTool === 'pickaxe' ? (toolItemId === ItemId.PICKAXE_METAL ? 'pickaxe_metal' : 'pickaxe_stone')
         : modelTool === 'hoe' ? 'hoe_metal'
-          : null
+          : modelTool === 'rod' ? 'fishing_rod'
+            : null
 
     this.player.setTool(modelTool, modelItem)
     this.ui.renderHotbar(this.hotbar, (id) => this._getHotbarItemDef(id), this.hotbarActive)
@@ -2834,7 +3678,10 @@ export class Game {
     else if (s.id === ItemId.FORGE) this.setTool('forge')
     else if (s.id === ItemId.FORGE_TABLE) this.setTool('forgeTable')
     else if (s.id === ItemId.CHEST) this.setTool('chest')
+    else if (s.id === ItemId.BED) this.setTool('bed')
     else if (s.id === ItemId.HOE_METAL) this.setTool('hoe')
+    else if (s.id === ItemId.CLAIM_FLAG) this.setTool('flag')
+    else if (s.id === ItemId.FISHING_ROD) this.setTool('rod')
     else this.setTool('hand')
 
     if (this.state === 'playing') {
@@ -2853,9 +3700,15 @@ export class Game {
                     ? 'Mesa de forja selecionada.'
                     : this.tool === 'chest'
                       ? 'Baú selecionado.'
-                      : this.tool === 'hoe'
-                        ? 'Enxada equipada.'
-                        : 'Mão equipada.'
+                      : this.tool === 'bed'
+                        ? 'Cama selecionada.'
+                        : this.tool === 'hoe'
+                          ? 'Enxada equipada.'
+                          : this.tool === 'flag'
+                            ? 'Bandeira: clique para reivindicar o terreno.'
+                            : this.tool === 'rod'
+                              ? 'Vara de pesca: mire na água e clique.'
+                              : 'Mão equipada.'
       this.ui.toast(msg, 900)
     }
   }
@@ -2913,11 +3766,11 @@ export class Game {
     if (to.to === 'forge') {
       if (to.kind === 'out') return
       if (to.kind === 'fuel') {
-        const ok = src.id === ItemId.LOG || src.id === ItemId.STICK || src.id === ItemId.LEAF
+        const ok = isForgeFuel(src.id)
         if (!ok) return
       }
       if (to.kind === 'in') {
-        const ok = src.id === ItemId.IRON_ORE
+        const ok = !!findSmeltingRecipe(src.id)
         if (!ok) return
       }
     }
@@ -2926,6 +3779,12 @@ export class Game {
 
     const dst = dstArr[dIdx]
 
+    // Loot bag rules: take-only. Nothing goes in, and taking must not swap an item back in.
+    if (this._activeChestKind === 'lootBag' && (from.from === 'chest') !== (to.to === 'chest')) {
+      if (to.to === 'chest') return
+      if (dst && !(dst.id === src.id && this._getHotbarItemDef(src.id)?.stackable && dst.qty < this.inventory.maxStack)) return
+    }
+
     // No-op if same.
     if (srcArr === dstArr && sIdx === dIdx) return
 
@@ -2982,11 +3841,25 @@ export class Game {
     }, 650)
   }
 
+  /** What the forge UI shows about smelting: recipe per input item and what is being smelted now. */
+  _forgeUiMeta(f) {
+    return { recipeFor: findSmeltingRecipe, target: forgeSmeltTarget(f) }
+  }
+
+  /** Server forge tick (see ForgeManager.applyStatus); our own pending edits win over its slots. */
+  _applyForgeStatus(msg) {
+    const id = String(msg.forgeId || '')
+    if (!id) return
+    const editing = this.state === 'forge' && this._activeForgeId === id && (this._forgeSaveTimer || performance.now() - this._forgeEditAt < 2000)
+    this.forges.applyStatus(id, msg, { slots: !editing })
+  }
+
   _queueForgeSave(forgeId = null) {
     if (this.state !== 'forge') return
     const fid = String(forgeId || this._activeForgeId || '')
     if (!fid) return
     if (!this._persistCtx?.worldId || !this._persistCtx?.guestId) return
+    this._forgeEditAt = performance.now()
 
     const worldId = this._persistCtx.worldId
     const guestId = this._persistCtx.guestId
@@ -3001,13 +3874,97 @@ export class Game {
         if (!lockToken) return
         const json = JSON.stringify(st)
         if (json === this._forgeLastSavedJson) return
-        const { saveForgeState } = await import('../net/forgeState.js')
-        const res = await saveForgeState({ worldId, forgeId: fid, guestId, lockToken, state: st })
-        if (res?.ok) this._forgeLastSavedJson = json
+        const { loadForgeState, saveForgeState } = await import('../net/forgeState.js')
+        const base = this.forges.syncedSlots?.(fid)
+        const res = await saveForgeState({ worldId, forgeId: fid, guestId, lockToken, state: st, base })
+        this._forgeEditAt = performance.now()
+        if (res?.ok) {
+          this._forgeLastSavedJson = json
+          if (res.state) this.forges.applySaved(fid, st, res.state)
+        }
+        // The forge burned/smelted a slot the player also changed: undo the edit and show its slots.
+        if (res?.ok === false && res?.error === 'stale_state') {
+          this.ui.toast('A forja mudou enquanto você mexia. Tente de novo.', 1800)
+          this._revertForgeEdit(fid, res.state)
+        }
         if (res?.ok === false && res?.error === 'locked') {
           this.ui.toast('Forja trancou (sessão perdida).', 1200)
           this._markTargetLocked('forge', fid)
         }
+        // The server kept its slots: show them again.
+        if (res?.ok === false && res?.error === 'inventory_mismatch') {
+          this.ui.toast('O servidor recusou a forja: itens que não constam no seu inventário.', 2200)
+          const cur = await loadForgeState({ worldId, forgeId: fid, guestId })
+          if (cur?.state) {
+            this.forges.applyStatus(fid, cur.state)
+            this._forgeLastSavedJson = JSON.stringify(this.forges.exportState?.(fid))
+          }
+        }
+      } catch {
+        // silent
+      }
+    }, 600)
+  }
+
+  /** Puts back in the inventory what the forge edit moved (local slots vs `synced`), then applies `st`. */
+  _revertForgeEdit(fid, st) {
+    const f = this.forges.get(fid)
+    if (!f || !st) return
+    const counts = (slots) => {
+      const out = {}
+      for (const s of Object.values(slots).flat()) if (s?.id && s.qty > 0) out[s.id] = (out[s.id] || 0) + s.qty
+      return out
+    }
+    const local = counts({ fuel: f.fuel, input: f.input, output: f.output })
+    const base = counts(f.synced)
+    for (const id of new Set([...Object.keys(local), ...Object.keys(base)])) {
+      const d = (local[id] || 0) - (base[id] || 0)
+      if (d > 0) this.inventory.add(id, d)
+      else if (d < 0) this.inventory.remove(id, -d)
+    }
+    this.forges.applyStatus(fid, st)
+    this._forgeLastSavedJson = JSON.stringify(this.forges.exportState?.(fid))
+    this._postMoveUpdate()
+    this._queuePlayerSave()
+  }
+
+  /** What the cooking UI shows: recipe per raw item. */
+  _campfireUiMeta() {
+    return { recipeFor: findCookingRecipe }
+  }
+
+  _queueCampfireSave(campfireId = null) {
+    if (this.state !== 'campfire') return
+    const cid = String(campfireId || this._activeCampfireId || '')
+    if (!cid) return
+    if (!this._persistCtx?.worldId || !this._persistCtx?.guestId) return
+
+    const worldId = this._persistCtx.worldId
+    const guestId = this._persistCtx.guestId
+
+    if (this._campfireSaveTimer) clearTimeout(this._campfireSaveTimer)
+    this._campfireSaveTimer = window.setTimeout(async () => {
+      this._campfireSaveTimer = 0
+      try {
+        const st = this.fires.exportState(cid)
+        if (!st) return
+        const lockToken = this._campfireLockToken
+        if (!lockToken) return
+        const json = JSON.stringify(st)
+        if (json === this._campfireLastSavedJson) return
+        const { loadCampfireState, saveCampfireState } = await import('../net/campfireState.js')
+        const res = await saveCampfireState({ worldId, campfireId: cid, guestId, lockToken, state: st })
+        if (res?.ok) this._campfireLastSavedJson = json
+        if (res?.ok === false && res?.error === 'locked') this.ui.toast('Fogueira trancou (sessão perdida).', 1200)
+        // The server kept its slots: show them again.
+        if (res?.ok === false && res?.error === 'inventory_mismatch') {
+          this.ui.toast('O servidor recusou a fogueira: itens que não constam no seu inventário.', 2200)
+          const cur = await loadCampfireState({ worldId, campfireId: cid, guestId })
+          if (cur?.state) {
+            this.fires.applyState(cid, cur.state)
+            this._campfireLastSavedJson = JSON.stringify(this.fires.exportState(cid))
+          }
+        }
       } catch {
         // silent
       }
@@ -3038,8 +3995,8 @@ export class Game {
     this.hotbar[0] = { id: 'hand', qty: 1 }
     this._syncHotbarShortcutsFromInventory()
 
-    // Re-render if inventory/forge/chest open.
-    if (this.state === 'inventory' || this.state === 'forge' || this.state === 'chest') {
+    // Re-render if inventory/forge/campfire/chest open.
+    if (this.state === 'inventory' || this.state === 'forge' || this.state === 'campfire' || this.state === 'chest') {
       if (this.state === 'inventory') {
         this._renderInventoryUI()
         this.ui.renderEquipment?.(this.equipment, (id) => ITEMS[id])
@@ -3050,10 +4007,16 @@ export class Game {
         this.ui.renderForgeInventory(this.inventory.slots, (id) => ITEMS[id])
         if (this._activeForgeId) {
           const f = this.forges.get(this._activeForgeId)
-          if (f) this.ui.renderForge(f, (id) => ITEMS[id], { secondsPerIngot: this.forges.secondsPerIngot })
+          if (f) this.ui.renderForge(f, (id) => ITEMS[id], this._forgeUiMeta(f))
         }
       }
 
+      if (this.state === 'campfire') {
+        this.ui.renderCampfireInventory(this.inventory.slots, (id) => ITEMS[id])
+        const f = this._activeCampfireId ? this.fires.get(this._activeCampfireId) : null
+        if (f) this.ui.renderCampfire(f, (id) => ITEMS[id], this._campfireUiMeta())
+      }
+
       if (this.state === 'chest') {
         this.ui.renderChestInventory?.(this.inventory.slots, (id) => ITEMS[id])
         this.ui.renderChest?.(this._chestSlots, (id) => ITEMS[id])
@@ -3071,12 +4034,13 @@ export class Game {
       this.selectHotbar(this.hotbarActive)
     }
 
-    // Persist forge/chest state server-side (debounced)
+    // Persist forge/campfire/chest state server-side (debounced)
     if (this.state === 'forge') this._queueForgeSave(this._activeForgeId)
+    if (this.state === 'campfire') this._queueCampfireSave(this._activeCampfireId)
     if (this.state === 'chest') this._queueChestSave(this._activeChestId)
 
     // Persist player state more aggressively when transferring items (prevents item loss).
-    if (this.state === 'forge' || this.state === 'chest') this._queuePlayerSave()
+    if (this.state === 'forge' || this.state === 'campfire' || this.state === 'chest') this._queuePlayerSave()
   }
 
   // ----------------- persistence -----------------
@@ -3102,9 +4066,65 @@ export class Game {
     const { exportGameSave } = await import('../net/gameSave.js')
     try {
       await this._persistCtx.save(exportGameSave(this))
-    } catch {
-      // Silent: do not spam toasts.
+    } catch (err) {
+      // Silent (do not spam toasts), except for a refused inventory: say it, at most every 30 s.
+      if (err?.code === 'inventory_mismatch' && Date.now() - (this._saveRefusedToastAt || 0) > 30_000) {
+        this._saveRefusedToastAt = Date.now()
+        this.ui.toast('Save recusado: o inventário não confere com o servidor.', 2600)
+      }
+    }
+  }
+
+  // ----------------- chat -----------------
+
+  /**
+   * Opens the chat input. From gameplay it releases the pointer (state 'chat'); from UI states
+   * (inventory, forge, pause...) it just focuses the input on top of them.
+   * @returns {boolean} whether the chat opened
+   */
+  openChat() {
+    const states = ['playing', 'chat', 'inventory', 'crafting', 'forge', 'forgeTable', 'chest', 'paused']
+    if (!states.includes(this.state) || !this.ws) return false
+    if (this.state === 'playing') {
+      this.state = 'chat'
+      this.player.setLocked(false)
+      if (document.pointerLockElement === this.canvas) document.exitPointerLock()
+    }
+    this.ui.openChat(this._chatChannel)
+    return true
+  }
+
+  closeChat() {
+    this.ui.closeChat()
+    if (this.state === 'chat') void this.returnToGameMode()
+  }
+
+  _sendChat(text) {
+    const t = String(text || '').trim()
+    if (t && !this.ws?.send({ t: 'chat', v: 1, channel: this._chatChannel, text: t })) {
+      this.ui.addChatLine({ channel: 'system', text: 'Chat indisponível (sem conexão).' })
     }
+    this.closeChat()
+  }
+
+  _chatName(playerId) {
+    if (playerId && playerId === this.wsMeId) return this.wsMeName || 'Você'
+    return this.remotePlayers.getName(playerId) || playerId.slice(0, 6) || '?'
+  }
+
+  /** Admin reset/archive (or a world that no longer exists): keep progress and go back to the menu. */
+  async _leaveClosedWorld(code) {
+    // Stop the client from reconnecting into the closed world.
+    this._disconnectWs()
+    this.ui.toast(code === 'world_reset' ? 'Mundo reiniciado pelo admin. Entre de novo.' : 'Mundo indisponível. Escolha outro mundo.', 2600)
+
+    // quitToMenu wipes the local inventory: save first and keep it for the next Play.
+    const { exportGameSave } = await import('../net/gameSave.js')
+    const state = exportGameSave(this)
+    await this.saveNow()
+    this._persistedState = state
+    this.quitToMenu()
+    this.onWorldClosed?.(code)
   }
 
   // ----------------- multiplayer (WS MVP) -----------------
@@ -3120,6 +4140,8 @@ export class Game {
       maxAttempts: 5,
       onOpen: () => {
         if (gen !== this._wsGen) return
+        // New server session: its input seq starts over.
+        this._resetWsInput()
         this.ws?.send({
           t: 'join',
           v: 1,
@@ -3139,6 +4161,8 @@ export class Game {
 
         this.wsMeId = null
         this.remotePlayers.clear()
+        this.creatures.clear()
+        this._serverClockOffsetMs = null
 
         // Clear pending actions to avoid granting loot on late chunks from an old session.
         for (const rec of this._pendingWorldActions.values()) {
@@ -3153,6 +4177,7 @@ export class Game {
       onStatus: (s) => {
         if (gen !== this._wsGen) return
         this._wsConnected = s === 'ok'
+        this.forges.setServerDriven(this._wsConnected)
         if (s === 'connecting') this.ui.toast('Reconectando...', 800)
       },
       onMessage: (msg) => {
@@ -3164,10 +4189,186 @@ export class Game {
     this.ws.connect()
   }
 
+  /** "12× Tronco" (+ "e mais N" for mixed piles). */
+  _groundItemLabel(items) {
+    const list = Array.isArray(items) ? items : []
+    if (!list.length) return 'Itens'
+    const first = `${list[0].qty}× ${ITEMS[list[0].id]?.name ?? list[0].id}`
+    return list.length > 1 ? `${first} e mais ${list.length - 1}` : first
+  }
+
+  /** Whether all `items` fit in the inventory right now. */
+  _canFitItems(items) {
+    const inv = new Inventory({ slots: this.inventory.slotCount, maxStack: this.inventory.maxStack })
+    inv.slots = this.inventory.slots.map((s) => (s ? { ...s } : null))
+    return items.every((it) => inv.add(it.id, it.qty, it.meta) === 0)
+  }
+
+  /**
+   * Leaves items on the ground in front of us, as server-tracked piles anyone can pick up.
+   * `onDropped(pile)` runs for each pile the server accepted. False when nothing could be sent (offline, in the mine).
+   */
+  _dropItems(items, onDropped = null) {
+    const list = (Array.isArray(items) ? items : []).filter((it) => ITEMS[it?.id] && it.qty > 0)
+    if (!list.length || this._inMine || !this._wsConnected || !this.ws) return false
+
+    const dir = new THREE.Vector3()
+    this.camera.getWorldDirection(dir)
+    dir.y = 0
+    if (dir.lengthSq() < 1e-6) dir.set(0, 0, -1)
+    dir.normalize()
+
+    for (let i = 0; i < list.length; i += GROUND_ITEM.maxStacks) {
+      const pile = list.slice(i, i + GROUND_ITEM.maxStacks).map((it) => ({ ...it }))
+      const id = crypto.randomUUID?.() ?? String(Math.random()).slice(2)
+      // Side by side when split into several piles.
+      const side = (i / GROUND_ITEM.maxStacks) * 0.35
+      const x = this.player.position.x + dir.x * 0.9 - dir.z * side
+      const z = this.player.position.z + dir.z * 0.9 + dir.x * side
+      this._setPendingWorldAction(`itemDrop:${id}`, () => onDropped?.(pile))
+      this._sendWorldEvent({ kind: 'itemDrop', id, items: pile, x, z, at: Date.now() })
+    }
+    return true
+  }
+
+  /** Adds to the inventory; what doesn't fit goes on the ground. null when it all fit, else 'ground' | 'lost'. */
+  _addOrDrop(id, qty, meta = undefined) {
+    const left = this.inventory.add(id, qty, meta)
+    if (!left) return null
+    return this._dropItems([meta ? { id, qty: left, meta } : { id, qty: left }]) ? 'ground' : 'lost'
+  }
+
+  /** Inventory slot dragged out of the panel: it leaves the inventory once the server placed the pile. */
+  dropInventorySlot(idx) {
+    if (this.state !== 'inventory') return
+    const s = this.inventory.slots[idx]
+    if (!s) return
+
+    const ok = this._dropItems([s], () => {
+      // The slot may have moved meanwhile: take that same stack, wherever it is now.
+      const at = this.inventory.slots.indexOf(s)
+      if (at >= 0) this.inventory.slots[at] = null
+      else this.inventory.remove(s.id, s.qty)
+      this._postMoveUpdate()
+      if (this.state === 'inventory') this._renderInventoryUI()
+      this._queuePlayerSave()
+    })
+    if (!ok) {
+      this.ui.toast(this._inMine ? 'Não dá para largar itens na mina.' : 'Sem conexão com o servidor (WS).', 1100)
+      return
+    }
+    this.sfx.click()
+  }
+
+  _pickupGroundItem(id) {
+    const d = this.groundItems.get(id)
+    if (!d) return
+    if (!this._canFitItems(d.items)) {
+      this.ui.toast('Inventário cheio.', 1000)
+      this.sfx.click()
+      return
+    }
+
+    const key = `itemPickup:${id}`
+    if (this._pendingWorldActions.has(key)) return
+    // The items arrive in the server's inventoryDelta; the pile goes away with the chunk update.
+    this._setPendingWorldAction(key, () => {})
+    const sent = this._sendWorldEvent({ kind: 'itemPickup', id, x: d.x, z: d.z, at: Date.now() })
+    if (!sent) {
+      const rec = this._pendingWorldActions.get(key)
+      if (rec?.timeoutId) clearTimeout(rec.timeoutId)
+      this._pendingWorldActions.delete(key)
+      this.ui.toast('Sem conexão com o servidor (WS).', 1100)
+    }
+  }
+
+  /**
+   * Server-granted items: loot (the server rolls drops and records them in the inventory ledger)
+   * and picked-up ground piles. Overflow goes on the ground.
+   */
+  _applyInventoryDelta(msg) {
+    const items = Array.isArray(msg?.items) ? msg.items : []
+    const bonus = Array.isArray(msg?.bonus) ? msg.bonus : []
+    const kind = String(msg?.kind || '')
+
+    const gained = {}
+    const overflow = []
+    for (const it of items) {
+      const id = String(it?.id || '')
+      const qty = Math.max(0, Math.floor(Number(it?.qty) || 0))
+      if (!ITEMS[id] || qty <= 0) continue
+      gained[id] = (gained[id] || 0) + qty
+      const left = this.inventory.add(id, qty, it?.meta ?? undefined) || 0
+      if (left > 0) overflow.push(it?.meta != null ? { id, qty: left, meta: it.meta } : { id, qty: left })
+    }
+    if (!Object.keys(gained).length) return
+
+    const dropped = overflow.length > 0
+    const onGround = dropped && this._dropItems(overflow)
+    const q = (id) => gained[id] || 0
+    const suffix = dropped ? (onGround ? ' (excedente no chão)' : ' (excedente descartado)') : ''
+    const full = (lost, what) => (onGround ? `Inventário cheio: ${what} ficou no chão.` : lost)
+
+    if (kind === 'treeCut') {
+      const lines = [`Loot: +${q(ItemId.LOG)} tronco, +${q(ItemId.STICK)} galhos, +${q(ItemId.LEAF)} folhas${suffix}`]
+
+      // P9-S2: full woodcutter set bonus (rolled server-side).
+      const parts = []
+      for (const b of bonus) {
+        const qty = Number(b?.qty) || 0
+        if (qty > 0 && ITEMS[b.id]) parts.push(`+${qty} ${ITEMS[b.id].name}`)
+      }
+      if (parts.length) lines.push(`Bônus Lenhador! ${parts.join(' ')}`)
+
+      // P10-S1: rare apple drop.
+      if (q(ItemId.APPLE)) lines.push(`<span class="rareLoot">🍎 ITEM RARO! +${q(ItemId.APPLE)} Maçã${suffix}</span>`)
+
+      this.ui.toastHtml(lines.join('<br>'), 1700)
+    } else if (kind === 'oreBreak') {
+      this.ui.toast(dropped ? full('Inventário cheio: minério descartado.', 'o minério') : `Loot: +${q(ItemId.IRON_ORE)} minério de ferro`, dropped ? 1200 : 1100)
+    } else if (kind === 'rockCollect') {
+      const sand = q(ItemId.SAND) > 0 ? ` +${q(ItemId.SAND)} areia` : ''
+      this.ui.toast(dropped ? full('Inventário cheio: pedra descartada.', 'a pedra') : `Pegou: +${q(ItemId.STONE)} pedra${sand}`, dropped ? 1200 : 900)
+    } else if (kind === 'stickCollect') {
+      this.ui.toast(dropped ? full('Inventário cheio: galho descartado.', 'o galho') : `Pegou: +${q(ItemId.STICK)} galho`, dropped ? 1200 : 900)
+    } else if (kind === 'bushCollect') {
+      const seedQty = q(ItemId.COTTON_SEED)
+      const seedWord = seedQty === 1 ? 'semente' : 'sementes'
+      const base = seedQty > 0 ? `Coletou: +${q(ItemId.LEAF)} folhas +${seedQty} ${seedWord}` : `Coletou: +${q(ItemId.LEAF)} folhas`
+      this.ui.toast(`${base}${suffix}`, 1100)
+    } else if (kind === 'harvest') {
+      const seedQty = q(ItemId.COTTON_SEED)
+      const seedWord = seedQty === 1 ? 'semente' : 'sementes'
+      this.ui.toast(`Colheu: +${q(ItemId.FIBER)} fibra +${seedQty} ${seedWord}${suffix}`, 1100)
+    } else if (kind === 'fishCatch') {
+      const fish = q(ItemId.RAW_FISH) || q(ItemId.TROUT) || q(ItemId.CATFISH)
+      const parts = Object.entries(gained).map(([id, n]) => `+${n} ${ITEMS[id].name}`)
+      this.ui.toast(`${fish ? 'Pescou' : 'Só lixo'}: ${parts.join(' ')}${suffix}`, 1200)
+    } else if (kind === 'itemPickup') {
+      const parts = Object.entries(gained).map(([id, n]) => `+${n} ${ITEMS[id].name}`)
+      this.ui.toast(`Pegou: ${parts.join(' ')}${suffix}`, 1000)
+    }
+
+    if (dropped) this.sfx.click()
+    else if (kind !== 'treeCut') this.sfx.pickup()
+
+    if (this.state === 'inventory') this._renderInventoryUI()
+    this._queuePlayerSave?.()
+  }
+
   _onWsMessage(msg) {
     if (!msg || typeof msg !== 'object') return
     if (msg.t === 'welcome') {
       this.wsMeId = msg.id
+      this.wsMeName = String(msg.name || '') || null
+      // World clock (day/night) follows the server's, so night here is night for the wolves.
+      const now = Number(msg.now)
+      if (Number.isFinite(now) && now > 0) this._serverClockOffsetMs = now - Date.now()
+      const r = Number(msg.aoiRadius)
+      if (Number.isInteger(r) && r > 0 && r !== this._chunkRadius) {
+        this._chunkRadius = r
+        this._streamCenter = null
+      }
       return
     }
     if (msg.t === 'worldEventResult') {
@@ -3182,18 +4383,34 @@ export class Game {
         if (rec.timeoutId) clearTimeout(rec.timeoutId)
         this._pendingWorldActions.delete(key)
 
+        // No bag: the items simply stay in the inventory. A bag that can't be removed yet despawns on its own.
+        if (kind === 'deathDrop' || this.lootBags.get(id)) return
+
         const reason = String(msg.reason || '')
+        if (kind === 'fishCatch') {
+          this.ui.toast(reason === 'no_rod' ? 'O servidor ainda não vê sua vara de pesca.' : 'O peixe escapou.', 1200)
+          return
+        }
         if (reason === 'already_removed') this.ui.toast('Já foi coletado por outro jogador.', 1100)
         else if (reason === 'duplicate') this.ui.toast('Já existe.', 900)
         else if (reason === 'not_ready') this.ui.toast('Ainda não está crescida.', 1100)
-        else if (reason === 'not_empty') this.ui.toast('Esvazie o baú primeiro.', 1200)
+        else if (reason === 'not_empty' && this._expiringCampfires.delete(id)) this.ui.toast('A fogueira se apagou (ainda há comida nela).', 1300)
+        else if (reason === 'not_empty') this.ui.toast(this.fires.get(id) ? 'Esvazie a fogueira primeiro.' : 'Esvazie o baú primeiro.', 1200)
+        else if (reason === 'not_owner') {
+          const owner = this._placedOwnerLabel(id)
+          this.ui.toast(owner && owner !== 'você' ? `Só ${owner} pode recolher isto.` : 'Só o dono pode recolher isto.', 1300)
+        }
+        else if (reason === 'claimed') this.ui.toast(this._claimedToast(), 1300)
+        else if (reason === 'claim_limit') this.ui.toast('Limite de terrenos atingido.', 1300)
+        else if (reason === 'spawn') this.ui.toast('A área do spawn não pode ser reivindicada.', 1300)
+        else if (reason === 'no_item') this.ui.toast('O servidor não vê esse item no seu inventário.', 1300)
         else this.ui.toast(`Ação rejeitada pelo servidor (${reason}).`, 1300)
         return
       }
 
-      // For place removals, we can apply immediately on confirmation.
+      // For place removals (and claims), we can apply immediately on confirmation.
       // (Unlike trees/rocks which rely on removedIds list, placed removals are represented as "missing" in chunk state.)
-      if (kind === 'placeRemove') {
+      if (kind === 'placeRemove' || kind === 'deathDrop' || kind === 'itemDrop' || kind === 'itemPickup' || kind === 'fishCatch' || kind === 'claim' || kind === 'unclaim' || kind === 'claimTrust') {
         if (rec.timeoutId) clearTimeout(rec.timeoutId)
         this._pendingWorldActions.delete(key)
         rec.fn?.()
@@ -3219,6 +4436,10 @@ export class Game {
           }
           try { this.ws?.close() } catch {}
         })()
+      } else if (code === 'world_unavailable') {
+        this.ui.toast('Multiplayer: mundo indisponível. Tentando de novo...', 1400)
+      } else if (code === 'world_reset' || code === 'world_archived' || code === 'unknown_world') {
+        void this._leaveClosedWorld(code)
       }
       return
     }
@@ -3227,24 +4448,76 @@ export class Game {
       this._initialChunkReceived = true
       return
     }
+    if (msg.t === 'inventoryDelta') {
+      this._applyInventoryDelta(msg)
+      return
+    }
+    if (msg.t === 'forgeStatus') {
+      this._applyForgeStatus(msg)
+      return
+    }
+    if (msg.t === 'craftResult') {
+      this._applyCraftResult(msg)
+      return
+    }
+    if (msg.t === 'health') {
+      this._applyHealth(msg)
+      return
+    }
+    if (msg.t === 'playerDied') {
+      // Our own death shows the death screen instead.
+      if (String(msg.id || '') === this.wsMeId) return
+      const name = String(msg.name || '') || this.remotePlayers.getName(String(msg.id || '')) || 'Alguém'
+      this.ui.addChatLine?.({ channel: 'system', text: `${name} ${DAMAGE_CAUSES[msg.cause]?.died ?? 'morreu'}.` })
+      return
+    }
+    if (msg.t === 'respawned') {
+      this._applyRespawned(msg)
+      return
+    }
+    if (msg.t === 'chat') {
+      const channel = msg.channel === 'global' ? 'global' : 'proximity'
+      this.ui.addChatLine?.({ channel, from: this._chatName(String(msg.from || '')), text: String(msg.text || '') })
+      return
+    }
+    if (msg.t === 'chatRejected') {
+      const reason = String(msg.reason || '')
+      const text =
+        reason === 'rate_limited' ? 'Calma: muitas mensagens seguidas.' :
+        reason === 'too_long' ? 'Mensagem longa demais.' :
+        'Mensagem bloqueada pelo filtro.'
+      this.ui.addChatLine?.({ channel: 'system', text })
+      return
+    }
+    if (msg.t === 'roster') {
+      // Deltas (not the full list sent on join) also go to the chat log.
+      if (!msg.full) {
+        for (const e of msg.join || []) {
+          if (e?.id !== this.wsMeId && e?.name) this.ui.addChatLine?.({ channel: 'system', text: `${e.name} entrou no mundo.` })
+        }
+        for (const id of msg.leave || []) {
+          const name = this.remotePlayers.getName(String(id))
+          if (name) this.ui.addChatLine?.({ channel: 'system', text: `${name} saiu.` })
+        }
+      }
+      this.remotePlayers.applyRoster(msg)
+      return
+    }
+    if (msg.t === 'aoi') {
+      this.remotePlayers.applyAoi({ meId: this.wsMeId, enter: msg.enter, leave: msg.leave })
+      return
+    }
     if (msg.t === 'snapshot') {
-      const players = Array.isArray(msg.players)
-        ? msg.players.map((p) => {
-            if (Array.isArray(p)) {
-              // compact tuple: [id,x,y,z,yaw]
-              return { id: p[0], x: p[1], y: p[2], z: p[3], yaw: p[4] }
-            }
-            return p
-          })
-        : []
-
-      this.remotePlayers.applySnapshot({ meId: this.wsMeId, players })
+      // Creatures share the snapshot with players (`c:<kind>:<n>` ids).
+      const entries = Array.isArray(msg.players) ? msg.players : []
+      const isCreature = (e) => !!creatureKindOf(Array.isArray(e) ? e[0] : e?.id)
+      this.creatures.applySnapshot(entries.filter(isCreature))
+      const players = this.remotePlayers.applySnapshot({ meId: this.wsMeId, players: entries.filter((e) => !isCreature(e)) })
 
       const me = players.find((p) => p.id === this.wsMeId)
-      if (me) this._lastServerMe = me
       this._initialSnapshotReceived = true
       if (me && this.state === 'playing') {
-        this._applyServerCorrection(me)
+        this._reconcileWithServer(me, msg.lastSeq)
       }
     }
   }
@@ -3274,6 +4547,9 @@ export class Game {
 
     const st = msg.state
 
+    // State can arrive before the player's own stream reaches the chunk (AOI is server-side).
+    this._loadWorldChunk(Number(msg.chunkX), Number(msg.chunkZ))
+
     const removedTrees = Array.isArray(st.removedTrees) ? st.removedTrees : []
     const removedRocks = Array.isArray(st.removedRocks) ? st.removedRocks : []
     const removedSticks = Array.isArray(st.removedSticks) ? st.removedSticks : []
@@ -3352,6 +4628,8 @@ export class Game {
       }
     }
     this.farm.applyChunkState(msg.chunkX, msg.chunkZ, farmPlots)
+    this.claims.applyChunkState(msg.chunkX, msg.chunkZ, st.claim ?? null)
+    this.groundItems.applyChunkState(msg.chunkX, msg.chunkZ, st.drops)
 
     // Ores can respawn (server-authoritative): apply full chunk state every time.
     for (const id of removedOres) {
@@ -3378,26 +4656,13 @@ export class Game {
       const x = Number(p?.x)
       const z = Number(p?.z)
       if (!type || !id || !Number.isFinite(x) || !Number.isFinite(z)) continue
-      nextMap.set(id, { type, x, z })
+      nextMap.set(id, { type, x, z, ownerId: String(p?.ownerId || ''), ownerName: String(p?.ownerName || ''), placedAt: Number(p?.placedAt) || 0 })
     }
 
     // Apply removals (present before, missing now)
     for (const [id, info] of prev) {
       if (nextMap.has(id)) continue
-      const type = info?.type
-      if (type === 'campfire') {
-        this.fires.remove(id)
-        this._appliedWorld.campfires.delete(id)
-      } else if (type === 'forge') {
-        this.forges.remove(id)
-        this._appliedWorld.forges.delete(id)
-      } else if (type === 'forgeTable') {
-        this.forgeTables.remove(id)
-        this._appliedWorld.forgeTables.delete(id)
-      } else if (type === 'chest') {
-        this.chests.remove(id)
-        this._appliedWorld.chests.delete(id)
-      }
+      this._removePlacedLocal(id, info?.type)
     }
 
     // Apply adds/updates
@@ -3427,6 +4692,16 @@ export class Game {
           this._appliedWorld.chests.add(id)
           this.chests.place({ x, z }, id)
         }
+      } else if (type === 'bed') {
+        if (!this._appliedWorld.beds.has(id)) {
+          this._appliedWorld.beds.add(id)
+          this.beds.place({ x, z }, id)
+        }
+      } else if (type === 'lootBag') {
+        if (!this._appliedWorld.lootBags.has(id)) {
+          this._appliedWorld.lootBags.add(id)
+          this.lootBags.place({ x, z }, id)
+        }
       }
 
       const k = `place:${id}`
@@ -3440,119 +4715,369 @@ export class Game {
 
     // Store authoritative state for this chunk
     const prevStored = new Map()
-    for (const [id, info] of nextMap) prevStored.set(id, { type: info.type })
+    for (const [id, info] of nextMap) prevStored.set(id, { type: info.type, ownerId: info.ownerId, ownerName: info.ownerName, placedAt: info.placedAt })
     this._placedByChunk.set(ck, prevStored)
   }
 
+  /** (Re)builds everything derived from the world seed/generation; chunks stream back in. */
+  _initWorldLayout() {
+    const gen = this.worldGeneration
+    this.terrain = createTerrain({ seed: this.worldSeed, generation: gen })
+    this.world.resetGround()
+
+    this.ores.init({ points: this.mine.getOreSpawnPoints({ count: mineOreCount(gen) }) })
+    this.grass.init({ seed: (this.worldSeed + 909) >>> 0, generation: gen })
+    this.river.init({ radius: gen.riverRadius })
+    // Small, slightly organic lake (by default on the river seam, hiding the loop's "end").
+    this.lake.init({ center: { x: gen.lake.x, z: gen.lake.z }, baseR: gen.lake.radius })
+  }
+
+  _removePlacedLocal(id, type) {
+    if (type === 'campfire') {
+      this.fires.remove(id)
+      this._appliedWorld.campfires.delete(id)
+    } else if (type === 'forge') {
+      this.forges.remove(id)
+      this._appliedWorld.forges.delete(id)
+    } else if (type === 'forgeTable') {
+      this.forgeTables.remove(id)
+      this._appliedWorld.forgeTables.delete(id)
+    } else if (type === 'chest') {
+      this.chests.remove(id)
+      this._appliedWorld.chests.delete(id)
+    } else if (type === 'bed') {
+      this.beds.remove(id)
+      this._appliedWorld.beds.delete(id)
+    } else if (type === 'lootBag') {
+      this.lootBags.remove(id)
+      this._appliedWorld.lootBags.delete(id)
+    }
+  }
+
+  /** Builds a chunk's procedural resources (no-op if already loaded). */
+  _loadWorldChunk(cx, cz) {
+    if (!Number.isInteger(cx) || !Number.isInteger(cz)) return
+    const ck = `${cx}:${cz}`
+    if (this._loadedChunks.has(ck)) return
+    this._loadedChunks.add(ck)
+
+    const gen = generateChunk({ seed: this.worldSeed, generation: this.worldGeneration, chunkX: cx, chunkZ: cz })
+    this.trees.loadChunk(cx, cz, gen.tree)
+    this.rocks.loadChunk(cx, cz, gen.rock)
+    this.sticks.loadChunk(cx, cz, gen.stick)
+    this.bushes.loadChunk(cx, cz, gen.bush)
+  }
+
+  /** Drops everything held for a chunk; the server resends its state when it re-enters the AOI. */
+  _unloadWorldChunk(ck) {
+    const [cx, cz] = ck.split(':').map(Number)
+    this.trees.unloadChunk(cx, cz)
+    this.rocks.unloadChunk(cx, cz)
+    this.sticks.unloadChunk(cx, cz)
+    this.bushes.unloadChunk(cx, cz)
+    this.farm.applyChunkState(cx, cz, [])
+    this.claims.applyChunkState(cx, cz, null)
+    this.groundItems.applyChunkState(cx, cz, [])
+
+    const placed = this._placedByChunk.get(ck)
+    if (placed) {
+      for (const [id, info] of placed) this._removePlacedLocal(id, info?.type)
+      this._placedByChunk.delete(ck)
+    }
+    this._loadedChunks.delete(ck)
+  }
+
+  /**
+   * Loads chunks within the radius around the player and unloads the ones past radius + 1
+   * (the extra ring keeps AOI-edge updates from the server from thrashing).
+   */
+  _streamWorldChunks() {
+    if (this._inMine) return
+    const { x, z } = this.player.position
+    this.world.updateGround(x, z)
+
+    const cx = Math.floor(x / CHUNK_SIZE)
+    const cz = Math.floor(z / CHUNK_SIZE)
+    if (this._streamCenter && this._streamCenter.cx === cx && this._streamCenter.cz === cz) return
+    this._streamCenter = { cx, cz }
+
+    const r = this._chunkRadius
+    for (let dz = -r; dz <= r; dz++) {
+      for (let dx = -r; dx <= r; dx++) this._loadWorldChunk(cx + dx, cz + dz)
+    }
+    const keep = new Set([...this._placedByChunk.keys(), ...this._loadedChunks])
+    for (const ck of keep) {
+      const [kx, kz] = ck.split(':').map(Number)
+      if (Math.abs(kx - cx) > r + 1 || Math.abs(kz - cz) > r + 1) this._unloadWorldChunk(ck)
+    }
+  }
+
+  _resetWsInput() {
+    this._inputRing.length = 0
+    this._inputOpen = null
+  }
+
+  /**
+   * Accumulates this frame's input into the open command. A command covers frames with the
+   * same keys (and nearly the same yaw), so the server and the replay integrate it exactly
+   * like the local prediction did.
+   */
   _sendWsInput(dt) {
     if (!this.ws || !this._wsConnected) return
-    const now = performance.now()
-    if (now - (this._wsPoseAt || 0) < 50) return // 20Hz
-    this._wsPoseAt = now
+    const inp = this.player.getNetInput()
+    const k = inp.keys
+
+    let open = this._inputOpen
+    if (open) {
+      const ok = open.keys
+      const sameKeys = ok.w === k.w && ok.a === k.a && ok.s === k.s && ok.d === k.d && ok.sprint === k.sprint
+      const dyaw = Math.abs(((inp.yaw - open.yaw + Math.PI * 3) % (Math.PI * 2)) - Math.PI)
+      if (!sameKeys || dyaw > 0.03) {
+        this._flushWsInput()
+        open = null
+      }
+    }
+    if (!open) {
+      open = this._inputOpen = { dt: 0, keys: { ...k, jump: false }, yaw: inp.yaw, pitch: inp.pitch }
+    }
+    open.dt += dt
+    open.pitch = inp.pitch
+    if (k.jump) open.keys.jump = true
+
+    // 20Hz while keys are held steady.
+    if (open.dt >= 0.05) this._flushWsInput()
+  }
+
+  _flushWsInput() {
+    const open = this._inputOpen
+    this._inputOpen = null
+    if (!open || open.dt <= 0 || !this.ws || !this._wsConnected) return
 
     this._wsSeq = (this._wsSeq || 0) + 1
-    const inp = this.player.getNetInput()
-    this._lastNetInput = inp
+    const cmd = { seq: this._wsSeq, dt: open.dt, keys: open.keys, yaw: open.yaw }
+    this._inputRing.push(cmd)
+    // The server drops inputs beyond its own queue cap; no point replaying more than that.
+    if (this._inputRing.length > 128) this._inputRing.splice(0, this._inputRing.length - 128)
 
     this.ws.send({
       t: 'input',
       v: 1,
-      seq: this._wsSeq,
-      dt,
-      keys: inp.keys,
-      yaw: inp.yaw,
-      pitch: inp.pitch,
+      seq: cmd.seq,
+      dt: cmd.dt,
+      keys: cmd.keys,
+      yaw: cmd.yaw,
+      pitch: open.pitch,
       at: Date.now(),
     })
   }
 
-  _applyServerCorrection(me) {
-    const now = Date.now()
-    const tx = me.x || 0
-    const ty = me.y || this.player.eyeHeight
-    const tz = me.z || 0
-
-    const dx = tx - this.player.position.x
-    const dz = tz - this.player.position.z
-    const dist = Math.hypot(dx, dz)
-
-    // Target hard cap for visible drift.
-    const driftCap = 0.2
-
-    const yawT = me.yaw || 0
-    // Hard guard: if drift explodes (collision/desync), snap to server and kill velocity.
-    if (dist > 0.55) {
-      const groundY = this._lastGroundY || 0
-      const minY = groundY + this.player.eyeHeight
-      this.player.position.set(tx, Math.max(minY, ty), tz)
+  /**
+   * Server reconciliation (XZ): start from the authoritative position, replay the inputs it
+   * hasn't simulated yet and move the prediction onto the result. Vertical motion stays
+   * local: the server does simulate y on the terrain (fall damage), but not on mine floors,
+   * so its height isn't one the client could replay onto.
+   */
+  _reconcileWithServer(me, lastSeq) {
+    const acked = Number(lastSeq) || 0
+    let drop = 0
+    while (drop < this._inputRing.length && this._inputRing[drop].seq <= acked) drop++
+    if (drop) this._inputRing.splice(0, drop)
+
+    const pos = { x: Number(me.x) || 0, z: Number(me.z) || 0 }
+    const colliders = this._lastColliders || []
+    for (const cmd of this._inputRing) this.player.simulateMove(pos, cmd.dt, cmd.keys, cmd.yaw, colliders)
+    const open = this._inputOpen
+    if (open) this.player.simulateMove(pos, open.dt, open.keys, open.yaw, colliders)
+
+    const dx = pos.x - this.player.position.x
+    const dz = pos.z - this.player.position.z
+    const d = Math.hypot(dx, dz)
+    this._corrections.push({ at: performance.now(), d })
+    if (d < 0.01) return
+
+    if (d > 3) {
+      // Desync (teleport, long stall): snap instead of sliding across the map.
+      this.player.position.x = pos.x
+      this.player.position.z = pos.z
       this.player.velocity.set(0, 0, 0)
-      try { this.player._keys?.clear?.() } catch {}
-      const dy = ((yawT - this.player.yaw.rotation.y + Math.PI * 3) % (Math.PI * 2)) - Math.PI
-      this.player.yaw.rotation.y += dy * 0.28
-      this._reconCooldownUntil = now + 120
+      this.player._renderOffset.set(0, 0, 0)
       return
     }
-    const dyaw = ((yawT - this.player.yaw.rotation.y + Math.PI * 3) % (Math.PI * 2)) - Math.PI
+    this.player.applyCorrection(dx, dz)
+  }
+
+  _disconnectWs() {
+    this.ws?.close()
+    this.ws = null
+    this.wsMeId = null
+    this.remotePlayers.clear()
+    this.creatures.clear()
+    this._stopFishing()
+  }
+
+  // ----------------- fishing -----------------
+
+  /** Where the view ray meets the water (river/lake) within casting range, or a reason it doesn't. */
+  _fishingCastTarget() {
+    const origin = new THREE.Vector3()
+    const dir = new THREE.Vector3()
+    this.camera.getWorldPosition(origin)
+    this.camera.getWorldDirection(dir)
+    if (dir.y > -0.02) return { error: 'Mire na água.' }
+
+    const t = (origin.y - FISHING.waterY) / -dir.y
+    const x = origin.x + dir.x * t
+    const z = origin.z + dir.z * t
+    const water = this.terrain.getHeightAt(x, z) < FISHING.waterY ? waterBodyAt(x, z, this.worldGeneration) : null
+    if (!water) return { error: 'Mire na água.' }
+    if (Math.hypot(x - this.player.position.x, z - this.player.position.z) > FISHING.castRange) return { error: 'Longe demais para lançar.' }
+    return { x, z, water }
+  }
 
-    // When moving, keep local feel, but if drift exceeds cap, reconcile enough to stay under cap.
-    const k = this._lastNetInput?.keys
-    const moving = !!(k && (k.w || k.a || k.s || k.d))
-    if (moving && dist <= driftCap) {
-      this.player.yaw.rotation.y += dyaw * 0.10
+  _onFishingClick() {
+    const f = this._fishing
+    if (f?.phase === 'wait') {
+      this._stopFishing('Puxou cedo demais.')
       return
     }
-
-    // PERF/feel: avoid constant tiny corrections that fight local movement.
-    if (now < (this._reconNextAt || 0)) {
-      this.player.yaw.rotation.y += dyaw * 0.10
+    if (f?.phase === 'bite') {
+      f.phase = 'reel'
+      f.t = 0
+      this.fishingBobber.setMode('reel')
+      this.sfx.swing()
       return
     }
-    this._reconNextAt = now + 60
+    if (f) return
 
-    if (now < (this._reconCooldownUntil || 0) && dist <= driftCap) {
-      this.player.yaw.rotation.y += dyaw * 0.10
+    const slot = this.hotbar[this.hotbarActive]
+    if (slot?.id !== ItemId.FISHING_ROD || !slot.meta || slot.meta.dur <= 0) {
+      this.ui.toast('Equipe uma vara de pesca.', 900)
+      return
+    }
+    if (this._inMine) {
+      this.ui.toast('Não há onde pescar aqui.', 900)
+      return
+    }
+    const target = this._fishingCastTarget()
+    if (target.error) {
+      this.ui.toast(target.error, 900)
+      this.sfx.click()
       return
     }
 
-    // If we are above cap, pull at least (dist - cap), limited by step.
-    const desiredPull = Math.max(0, dist - driftCap)
-    const maxStep = moving ? 0.35 : 0.28
-    const step = Math.min(maxStep, Math.max(desiredPull, moving ? 0.06 : 0.0), dist)
+    const biteMs = FISHING.biteMinMs + Math.random() * (FISHING.biteMaxMs - FISHING.biteMinMs)
+    this._fishing = { phase: 'wait', water: target.water, x: target.x, z: target.z, t: 0, biteAt: biteMs / 1000, reel: 0, tension: 0, pull: 0, nextPull: 0.6 }
 
-    if (step > 0) {
-      const nx = dx / (dist || 1)
-      const nz = dz / (dist || 1)
+    this.player.rodCast?.()
+    this.sfx.swing()
+    const tip = this.player.getRodTip?.(new THREE.Vector3()) ?? null
+    this.fishingBobber.cast({ x: target.x, y: FISHING.waterY, z: target.z }, tip)
+    // The catch table follows the world clock (the server rolls with the same hour).
+    const where = target.water === 'lake' ? 'no lago' : 'no rio'
+    this.ui.toast(`Linha lançada ${where}${isNightHours(this.time.hours) ? ' (noite: bagres por perto)' : ''}.`, 1200)
+  }
 
-      const beforeX = this.player.position.x
-      const beforeZ = this.player.position.z
+  /** @param {string} [msg] toast shown to the player */
+  _stopFishing(msg) {
+    if (!this._fishing) return
+    this._fishing = null
+    this.fishingBobber.hide()
+    this.player.setRodPull?.(0)
+    this.ui.setFishing?.(null)
+    if (msg) this.ui.toast(msg, 1000)
+  }
 
-      const next = this.player.position.clone()
-      next.x += nx * step
-      next.z += nz * step
+  _updateFishing(dt) {
+    const f = this._fishing
+    const tip = this._fishing ? this.player.getRodTip?.(new THREE.Vector3()) ?? null : null
+    this.fishingBobber.update(dt, tip, f?.phase === 'reel' ? f.reel : 0)
+    if (!f || dt <= 0) return
 
-      const groundY = this._lastGroundY || 0
-      const minY = groundY + this.player.eyeHeight
-      next.y = Math.max(minY, ty)
+    const dist = Math.hypot(f.x - this.player.position.x, f.z - this.player.position.z)
+    if (dist > FISHING.castRange + 3) {
+      this._stopFishing('A linha soltou.')
+      return
+    }
 
-      this.player.resolveCollisions(next, this._lastColliders || [])
+    f.t += dt
+    if (f.phase === 'wait') {
+      if (f.t < 0.45) return
+      if (!f.landed) {
+        f.landed = true
+        this.sfx.splash()
+      }
+      if (f.t < f.biteAt) return
+      f.phase = 'bite'
+      f.t = 0
+      this.fishingBobber.setMode('bite')
+      this.sfx.bite()
+      this.ui.toast('Fisgou! Clique!', 900)
+      return
+    }
 
-      const moved = Math.hypot(next.x - beforeX, next.z - beforeZ)
-      if (moved < step * 0.60) this._reconCooldownUntil = now + 180
+    if (f.phase === 'bite') {
+      if (f.t * 1000 > FISHING.strikeWindowMs) this._stopFishing('O peixe escapou.')
+      return
+    }
 
-      this.player.position.copy(next)
+    // Reel: holding pulls the fish in and strains the line; the fish fights back in bursts
+    // (hold through one and the line snaps).
+    const held = this._actionHeld
+    if (f.pull > 0) f.pull = Math.max(0, f.pull - dt)
+    else {
+      f.nextPull -= dt
+      if (f.nextPull <= 0) {
+        f.pull = 0.5 + Math.random() * 0.7
+        f.nextPull = 0.8 + Math.random() * 1.6
+      }
+    }
+    const pulling = f.pull > 0
+    f.reel = clamp(f.reel + (held ? (pulling ? 0.3 : 1) / FISHING.reelSeconds : -0.15) * dt, 0, 1)
+    f.tension = clamp(f.tension + (held ? (pulling ? 1.3 : 0.2) : -0.9) * dt, 0, 1)
+    this.player.setRodPull?.(held ? 0.5 + f.tension * 0.5 : 0.15)
 
-      // Big drift correction: kill velocity to stop random walk feel.
-      if (dist > 0.9) this.player.velocity.set(0, 0, 0)
+    if (f.tension >= 1) {
+      this._wearFishingRod()
+      this._stopFishing('A linha arrebentou!')
+      this.sfx.click()
+      return
+    }
+    if (f.reel >= 1) {
+      this._finishFishing(f)
+      return
     }
 
-    this.player.yaw.rotation.y += dyaw * (moving ? 0.18 : 0.25)
+    this.ui.setFishing?.({ label: pulling ? 'O peixe está puxando! Solte!' : 'Segure para puxar', reel: f.reel, tension: f.tension })
   }
 
-  _disconnectWs() {
-    this.ws?.close()
-    this.ws = null
-    this.wsMeId = null
-    this.remotePlayers.clear()
+  /** Landed it: the server checks the cast and rolls the catch (arrives as `inventoryDelta`). */
+  _finishFishing(f) {
+    this._stopFishing()
+    const id = crypto.randomUUID()
+    const key = `fishCatch:${id}`
+    this._setPendingWorldAction(key, () => this._wearFishingRod())
+    const p = this.player.position
+    const sent = this._sendWorldEvent({ kind: 'fishCatch', id, bx: f.x, bz: f.z, x: p.x, z: p.z, at: Date.now() })
+    if (!sent) {
+      const rec = this._pendingWorldActions.get(key)
+      if (rec?.timeoutId) clearTimeout(rec.timeoutId)
+      this._pendingWorldActions.delete(key)
+      this.ui.toast('Sem conexão com o servidor (WS).', 1100)
+    }
+  }
+
+  _wearFishingRod() {
+    const idx = this.hotbar.findIndex((s, i) => i > 0 && s?.id === ItemId.FISHING_ROD)
+    const slot = idx > 0 ? this.hotbar[idx] : null
+    if (!slot?.meta || !this._toolWears()) return
+    slot.meta.dur = Math.max(0, slot.meta.dur - 1)
+    if (slot.meta.dur <= 0) {
+      this.ui.toast('Vara de pesca quebrou!', 1200)
+      this.hotbar[idx] = null
+      this._cleanupHotbarBroken(slot.id, idx)
+    }
+    this.ui.renderHotbar(this.hotbar, (id) => this._getHotbarItemDef(id), this.hotbarActive)
+    this._queuePlayerSave()
   }
 
   // ----------------- tool helpers -----------------
@@ -3566,7 +5091,7 @@ export class Game {
   }
 
   _updateCampfireGhost() {
-    const p = raycastGround(this.camera)
+    const p = raycastGround(this.camera, undefined, this.getHeightAt)
     if (!p) {
       this._ghostValid = false
       this._ghost.setValid(false)
@@ -3593,7 +5118,7 @@ export class Game {
   }
 
   _updateForgeGhost() {
-    const p = raycastGround(this.camera)
+    const p = raycastGround(this.camera, undefined, this.getHeightAt)
     if (!p) {
       this._ghostValid = false
       this._forgeGhost.setValid(false)
@@ -3615,7 +5140,7 @@ export class Game {
     const ok = d >= 1.2 && !nearFire && !nearForge
     this._ghostValid = ok
     this._forgeGhost.setValid(ok)
-    this._forgeGhost.mesh.position.set(x, 0, z)
+    this._forgeGhost.setPos(x, z)
   }
 
   _getNearestForge(pos, radius) {
@@ -3623,7 +5148,7 @@ export class Game {
   }
 
   _updateForgeTableGhost() {
-    const p = raycastGround(this.camera)
+    const p = raycastGround(this.camera, undefined, this.getHeightAt)
     if (!p) {
       this._ghostValid = false
       this._forgeTableGhost.setValid(false)
@@ -3646,7 +5171,7 @@ export class Game {
     const ok = d >= 1.4 && !nearFire && !nearForge && !nearTable
     this._ghostValid = ok
     this._forgeTableGhost.setValid(ok)
-    this._forgeTableGhost.mesh.position.set(x, 0, z)
+    this._forgeTableGhost.setPos(x, z)
   }
 
   _placeForgeTableAtGhost() {
@@ -3684,7 +5209,7 @@ export class Game {
   }
 
   _updateChestGhost() {
-    const p = raycastGround(this.camera)
+    const p = raycastGround(this.camera, undefined, this.getHeightAt)
     if (!p) {
       this._ghostValid = false
       this._chestGhost.setValid(false)
@@ -3712,6 +5237,66 @@ export class Game {
     this._chestGhost.setPos(x, z)
   }
 
+  _updateBedGhost() {
+    const p = raycastGround(this.camera, undefined, this.getHeightAt)
+    if (!p) {
+      this._ghostValid = false
+      this._bedGhost.setValid(false)
+      return
+    }
+
+    const x = Math.round(p.x * 10) / 10
+    const z = Math.round(p.z * 10) / 10
+    this._ghostX = x
+    this._ghostZ = z
+
+    const dx = x - this.player.position.x
+    const dz = z - this.player.position.z
+    const d = Math.hypot(dx, dz)
+
+    // Lit campfires burn: keep beds well clear of them.
+    const nearFire = this.fires.getNearest({ x, z }, 2.0)
+    const nearForge = this._getNearestForge({ x, z }, 2.0)
+    const nearTable = this.forgeTables.getColliders().some((c) => Math.hypot(c.x - x, c.z - z) < 2.0)
+    const nearChest = this.chests.getColliders().some((c) => Math.hypot(c.x - x, c.z - z) < 1.6)
+    const nearBed = this.beds.getPositions().some((b) => Math.hypot(b.x - x, b.z - z) < 1.6)
+
+    const ok = d >= 1.2 && d <= 3.0 && !nearFire && !nearForge && !nearTable && !nearChest && !nearBed
+    this._ghostValid = ok
+    this._bedGhost.setValid(ok)
+    this._bedGhost.setPos(x, z)
+  }
+
+  _placeBedAtGhost() {
+    const slot = this.hotbar[this.hotbarActive]
+    if (!slot || slot.id !== ItemId.BED) return
+
+    const placeId = crypto.randomUUID?.() ?? String(Math.random()).slice(2)
+    const key = `place:${placeId}`
+
+    this._setPendingWorldAction(key, () => {
+      this.beds.place({ x: this._ghostX, z: this._ghostZ }, placeId)
+      this._registerPlacedLocal('bed', placeId, this._ghostX, this._ghostZ)
+
+      const left = this.inventory.remove(ItemId.BED, 1)
+      if (left > 0) {
+        this.ui.toast('Sem cama no inventário.', 900)
+        return
+      }
+
+      this.ui.toast('Cama colocada: você renasce aqui.', 1200)
+      this._postMoveUpdate()
+    })
+
+    const sent = this._sendWorldEvent({ kind: 'place', placeKind: 'bed', id: placeId, x: this._ghostX, z: this._ghostZ, at: Date.now() })
+    if (!sent) {
+      const rec = this._pendingWorldActions.get(key)
+      if (rec?.timeoutId) clearTimeout(rec.timeoutId)
+      this._pendingWorldActions.delete(key)
+      this.ui.toast('Sem conexão com o servidor (WS).', 1100)
+    }
+  }
+
   _chunkOfPos(x, z) {
     const chunkSize = 32
     return { cx: Math.floor(x / chunkSize), cz: Math.floor(z / chunkSize) }
@@ -3721,13 +5306,15 @@ export class Game {
     const { cx, cz } = this._chunkOfPos(x, z)
     const ck = `${cx}:${cz}`
     const prev = this._placedByChunk.get(ck) || new Map()
-    prev.set(String(id), { type, x, z })
+    prev.set(String(id), { type, x, z, ownerId: this._claimMeId() || '', ownerName: this.wsMeName || '', placedAt: Date.now() })
     this._placedByChunk.set(ck, prev)
 
     if (type === 'campfire') this._appliedWorld.campfires.add(String(id))
     else if (type === 'forge') this._appliedWorld.forges.add(String(id))
     else if (type === 'forgeTable') this._appliedWorld.forgeTables.add(String(id))
     else if (type === 'chest') this._appliedWorld.chests.add(String(id))
+    else if (type === 'bed') this._appliedWorld.beds.add(String(id))
+    else if (type === 'lootBag') this._appliedWorld.lootBags.add(String(id))
   }
 
   _unregisterPlacedLocal(type, id) {
@@ -3737,6 +5324,8 @@ export class Game {
     else if (type === 'forge') this._appliedWorld.forges.delete(sid)
     else if (type === 'forgeTable') this._appliedWorld.forgeTables.delete(sid)
     else if (type === 'chest') this._appliedWorld.chests.delete(sid)
+    else if (type === 'bed') this._appliedWorld.beds.delete(sid)
+    else if (type === 'lootBag') this._appliedWorld.lootBags.delete(sid)
   }
 
   _placeChestAtGhost() {
@@ -3876,27 +5465,15 @@ export class Game {
     }
 
     if (hit.kind === 'rock') {
-      // Strict: wait for server accept + chunk confirmation to remove + grant item.
+      // Strict: wait for server accept + chunk confirmation to remove; the item arrives via `inventoryDelta`.
       const rockId = String(hit.rockId)
       const key = `rockCollect:${rockId}`
       this._setPendingWorldAction(key, () => {
-        const ok = this.rocks.collect(rockId, { world: true })
-        if (!ok) return
-
-        const stoneQty = this._withLuckMultiplier(1)
-        const overflow = this.inventory.add(ItemId.STONE, stoneQty)
-        if (overflow) {
-          this.ui.toast('Inventário cheio: pedra descartada.', 1200)
-          this.sfx.click()
-        } else {
-          this.ui.toast(`Pegou: +${stoneQty} pedra`, 900)
-          this.sfx.pickup()
-          if (this.state === 'inventory') this._renderInventoryUI()
-        }
+        this.rocks.collect(rockId, { world: true })
       })
 
-      const px = hit.point?.x ?? this.player.position.x
-      const pz = hit.point?.z ?? this.player.position.z
+      const px = Number.isFinite(hit.x) ? hit.x : (hit.point?.x ?? this.player.position.x)
+      const pz = Number.isFinite(hit.z) ? hit.z : (hit.point?.z ?? this.player.position.z)
       const sent = this._sendWorldEvent({ kind: 'rockCollect', rockId, x: px, z: pz, at: Date.now() })
       if (!sent) {
         const rec = this._pendingWorldActions.get(key)
@@ -3912,23 +5489,11 @@ export class Game {
       const stickId = String(hit.stickId)
       const key = `stickCollect:${stickId}`
       this._setPendingWorldAction(key, () => {
-        const ok = this.sticks.collect(stickId, { world: true })
-        if (!ok) return
-
-        const stickQty = this._withLuckMultiplier(1)
-        const overflow = this.inventory.add(ItemId.STICK, stickQty)
-        if (overflow) {
-          this.ui.toast('Inventário cheio: galho descartado.', 1200)
-          this.sfx.click()
-        } else {
-          this.ui.toast(`Pegou: +${stickQty} galho`, 900)
-          this.sfx.pickup()
-          if (this.state === 'inventory') this._renderInventoryUI()
-        }
+        this.sticks.collect(stickId, { world: true })
       })
 
-      const px = hit.point?.x ?? this.player.position.x
-      const pz = hit.point?.z ?? this.player.position.z
+      const px = Number.isFinite(hit.x) ? hit.x : (hit.point?.x ?? this.player.position.x)
+      const pz = Number.isFinite(hit.z) ? hit.z : (hit.point?.z ?? this.player.position.z)
       const sent = this._sendWorldEvent({ kind: 'stickCollect', stickId, x: px, z: pz, at: Date.now() })
       if (!sent) {
         const rec = this._pendingWorldActions.get(key)
@@ -3943,34 +5508,7 @@ export class Game {
     const bushId = String(hit.bushId)
     const key = `bushCollect:${bushId}`
     this._setPendingWorldAction(key, () => {
-      const ok = this.bushes.collect(bushId, { world: true })
-      if (!ok) return
-
-      // Drops: always leaves + 20% cotton_seed. Luck doubles bush quantities.
-      const gotSeed = Math.random() < 0.20
-      const leavesQty = this._withLuckMultiplier(2)
-      const seedQty = gotSeed ? this._withLuckMultiplier(1) : 0
-
-      const dropped = []
-      const overflowLeaf = this.inventory.add(ItemId.LEAF, leavesQty)
-      if (overflowLeaf) dropped.push(`${overflowLeaf} ${ITEMS[ItemId.LEAF].name}`)
-
-      let overflowSeed = 0
-      if (seedQty > 0) {
-        overflowSeed = this.inventory.add(ItemId.COTTON_SEED, seedQty)
-        if (overflowSeed) dropped.push(`${overflowSeed} ${ITEMS[ItemId.COTTON_SEED].name}`)
-      }
-
-      const seedWord = seedQty === 1 ? 'semente' : 'sementes'
-      const msg = seedQty > 0
-        ? (dropped.length ? `Coletou: +${leavesQty} folhas +${seedQty} ${seedWord} (excedente descartado)` : `Coletou: +${leavesQty} folhas +${seedQty} ${seedWord}`)
-        : (dropped.length ? `Coletou: +${leavesQty} folhas (excedente descartado)` : `Coletou: +${leavesQty} folhas`)
-
-      if (dropped.length) this.sfx.click()
-      else this.sfx.pickup()
-
-      this.ui.toast(msg, 1100)
-      if (this.state === 'inventory') this._renderInventoryUI()
+      this.bushes.collect(bushId, { world: true })
     })
 
     // IMPORTANT: use root position for chunking (hit.point can be across chunk border on large hitbox)
@@ -3997,14 +5535,14 @@ export class Game {
     const remoteCount = this.remotePlayers?.players?.size ?? 0
     const wsStatus = this.ws?.status || (this._wsConnected ? 'ok' : 'off')
     const extra = this.remotePlayers?.getDebugLine?.()
-    const srv = this._lastServerMe
-    const drift = srv
-      ? Math.hypot((srv.x || 0) - this.player.position.x, (srv.z || 0) - this.player.position.z)
-      : null
+    const corrNow = performance.now()
+    while (this._corrections.length && corrNow - this._corrections[0].at > 2000) this._corrections.shift()
+    const corrLast = this._corrections.length ? this._corrections[this._corrections.length - 1].d : null
+    const corrMax = this._corrections.reduce((m, c) => Math.max(m, c.d), 0)
     const netLines = [
       `NET: WS ${wsStatus}`,
       `remote: ${remoteCount}${this.wsMeId ? ` • me: ${String(this.wsMeId).slice(0, 8)}` : ''}`,
-      drift != null ? `drift: ${drift.toFixed(2)}` : null,
+      corrLast != null ? `corr: ${corrLast.toFixed(2)} • max 2s: ${corrMax.toFixed(2)} • unacked: ${this._inputRing.length}` : null,
       extra ? String(extra) : null,
     ].filter(Boolean)
     this.ui.setNetDebug?.(this.perfEnabled ? netLines.join('\n') : null)
@@ -4012,7 +5550,7 @@ export class Game {
     // Contextual interaction hint (only when playing + locked).
     if (this.state === 'playing' && document.pointerLockElement === this.canvas) {
       const t = this._getInteractTarget()
-      if (t) this.ui.setInteractHint(`F: ${t.primaryLabel} ${t.name ? t.name : ''} • Segure F: mais opções`)
+      if (t) this.ui.setInteractHint(`F: ${t.primaryLabel} ${t.name ? t.name : ''}${t.owner ? ` (dono: ${t.owner})` : ''} • Segure F: mais opções`)
       else this.ui.setInteractHint(null)
       this._updateTargetHighlight(t)
     } else if (this.state !== 'wheel') {
@@ -4020,8 +5558,10 @@ export class Game {
       this._updateTargetHighlight(null)
     }
 
-    // HUD buff line (luck timer)
+    // HUD buff line (luck timer) + survival meters
     this.ui.setLuckHudLine?.(this._getLuckHudLine())
+    this.ui.setSurvival?.(this.worldSurvival ? this.survival : null, SURVIVAL.max)
+    this.ui.setHealth?.(this.health.hp, HEALTH.max)
 
     // Hard-guard: never leave wheel visuals around unless the wheel is actually open.
     if (this.state === 'playing' && !this._wheelOpen) this.ui.hideWheel?.()
@@ -4033,6 +5573,7 @@ export class Game {
     // Forge continues processing while its UI is open.
     const simDt = this.state === 'playing' ? dt : 0
     const forgeDt = this.state === 'playing' || this.state === 'forge' ? dt : 0
+    const fireDt = this.state === 'playing' || this.state === 'campfire' ? dt : 0
 
     // Ghost placement update
     if (simDt > 0 && this._placingCampfire) {
@@ -4047,14 +5588,19 @@ export class Game {
     if (simDt > 0 && this._placingChest) {
       this._updateChestGhost()
     }
+    if (simDt > 0 && this._placingBed) {
+      this._updateBedGhost()
+    }
 
     // Server knows the player by WS connection after join; don't wait for welcome/meId to start sending input.
     const authoritative = !!this._wsConnected
 
     // Client-side prediction keeps the game responsive and preserves collision feel.
-    // Server snapshots correct drift.
+    // Server snapshots reconcile it by replaying unacked inputs (see _reconcileWithServer).
     // PERF: avoid allocating lots of temporary arrays every frame (concat creates new arrays).
     if (!this._collidersBuf) this._collidersBuf = []
+    this._streamWorldChunks()
+
     const colliders = this.state === 'playing' ? this._collidersBuf : []
     if (this.state === 'playing') {
       colliders.length = 0
@@ -4063,27 +5609,32 @@ export class Game {
         for (let i = 0; i < items.length; i++) colliders.push(items[i])
       }
 
+      // Same order as the server's set (shared buildWorldColliders + placed), so overlapping
+      // push-outs resolve identically. Trees are client-only.
       pushAll(this.trees.getTrunkColliders())
       pushAll(this._inMine ? this.mine.getMineColliders() : this.mine.getWorldColliders())
       if (!this._inMine) {
+        // River and lake are shallow and walkable; the world has no outer boundary.
         pushAll(this.forges.getColliders())
         pushAll(this.forgeTables.getColliders())
         pushAll(this.chests.getColliders())
-        pushAll(this.river.getColliders())
-        // Lake is decorative; collision boundary is enforced by the river.
       }
     }
 
-    const groundY = this._inMine ? this.mine.getFloorYAt(this.player.position.x, this.player.position.z) : 0
+    const groundY = this._inMine
+      ? this.mine.getFloorYAt(this.player.position.x, this.player.position.z)
+      : this.terrain.getHeightAt(this.player.position.x, this.player.position.z)
 
     this._lastColliders = colliders
     this._lastGroundY = groundY
 
     // Remote players are purely visual; update even when paused/menus.
-    this.remotePlayers?.update?.(dt)
+    this.remotePlayers?.update?.(dt, this.player.position)
+    this.creatures?.update?.(dt)
 
     // Always run local movement + collision (prediction).
     this.player.update(simDt, colliders, groundY)
+    if (simDt > 0) this._updateSurvival(simDt)
 
     // Send input when connected.
     if (simDt > 0 && authoritative) this._sendWsInput(simDt)
@@ -4143,6 +5694,8 @@ export class Game {
     this.camera.fov += (targetFov - this.camera.fov) * (simDt > 0 ? 0.10 : 0.0)
     this.camera.updateProjectionMatrix()
 
+    this._updateFishing(simDt)
+
     // Hold-to-act with cooldown.
     this._actionCooldown = Math.max(0, this._actionCooldown - simDt)
     if (simDt > 0 && this._actionHeld && this._actionCooldown === 0 && document.pointerLockElement === this.canvas) {
@@ -4170,6 +5723,8 @@ export class Game {
           // wait until swing ends
           this._actionCooldown = 0.05
         }
+      } else if (this.tool === 'rod') {
+        // Fishing reads `_actionHeld` itself (_updateFishing).
       } else {
         // torch: neutral action (no chop / no pickup)
         this.player.torchAction()
@@ -4177,8 +5732,9 @@ export class Game {
       }
     }
 
-    // Time freezes when not playing (we pass simDt).
-    this.time.update(simDt)
+    // Time freezes when not playing (we pass simDt), unless it follows the server clock.
+    if (this._serverClockOffsetMs != null) this.time.setHours(worldHoursAt(Date.now() + this._serverClockOffsetMs))
+    else this.time.update(simDt)
 
     // Portal transitions (outside -> mine, mine -> outside)
     if (simDt > 0 && this.state === 'playing') this._updateMinePortal(simDt)
@@ -4189,22 +5745,38 @@ export class Game {
     this.sticks.update(simDt)
     this.bushes.update(simDt)
     this.farm.update(simDt)
-    const expiredFires = this.fires.update(simDt)
+    this.groundItems.update(simDt)
+    const expiredFires = this.fires.update(fireDt)
     if (expiredFires?.length) this._expireCampfires(expiredFires)
     this.forges.update(forgeDt, this.camera)
+    this.claims.setVisible(this.tool === 'flag' && !this._inMine)
+    this.claims.update(this.player.position, this._claimMeId())
     this.ores.update(simDt)
     this.grass.update(simDt, this.player.position)
     this.river.update(dt)
     this.lake.update(dt)
 
+    // Live cooking UI while the campfire panel is open (save cooked food as it comes out).
+    if (this.state === 'campfire' && this._activeCampfireId) {
+      const f = this.fires.get(this._activeCampfireId)
+      if (f) {
+        this.ui.updateCampfireStatus(f, this._campfireUiMeta())
+        if (f.dirty) {
+          f.dirty = false
+          this.ui.renderCampfire(f, (id) => ITEMS[id], this._campfireUiMeta())
+          this._queueCampfireSave(this._activeCampfireId)
+        }
+      }
+    }
+
     // Live forge UI updates while forge UI is open.
     if (this.state === 'forge' && this._activeForgeId) {
       const f = this.forges.get(this._activeForgeId)
       if (f) {
-        this.ui.updateForgeStatus?.(f, { secondsPerIngot: this.forges.secondsPerIngot })
+        this.ui.updateForgeStatus?.(f, this._forgeUiMeta(f))
         if (f.dirty) {
           f.dirty = false
-          this.ui.renderForge(f, (id) => ITEMS[id], { secondsPerIngot: this.forges.secondsPerIngot })
+          this.ui.renderForge(f, (id) => ITEMS[id], this._forgeUiMeta(f))
         }
       }
     }
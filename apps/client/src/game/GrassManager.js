@@ -1,4 +1,5 @@
 import * as THREE from 'three'
+import { isOpenGround, normalizeGeneration, SPAWN } from '@jarvis-woodcutter-fps/shared'
 
 function mulberry32(a) {
   return function () {
@@ -9,10 +10,19 @@ function mulberry32(a) {
   }
 }
 
+// Areas kept clear of grass (sightlines around the start).
+const CLEAR = [
+  // spawn/start area
+  { x: SPAWN.x, z: SPAWN.z, r: 9 },
+  // around main forest center (keep sightlines)
+  { x: 0, z: 0, r: 5 },
+]
+
 export class GrassManager {
-  /** @param {{scene:THREE.Scene}} params */
-  constructor({ scene }) {
+  /** @param {{scene:THREE.Scene, getHeightAt?:(x:number, z:number)=>number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
     this.scene = scene
+    this.getHeightAt = getHeightAt
 
     this.enabled = true
 
@@ -20,7 +30,12 @@ export class GrassManager {
     this.viewDist = 62
     this.viewDist2 = this.viewDist * this.viewDist
 
-    this._chunks = []
+    /** @type {Map<string, {group: THREE.Group|null, inst?: THREE.InstancedMesh, cx: number, cz: number}>} */
+    this._chunks = new Map()
+    this._seed = 0
+    this._geo = null
+    this._mat = null
+    this._lastCell = null
 
     // Density controls
     this.instancesPerChunk = 220
@@ -31,13 +46,16 @@ export class GrassManager {
   }
 
   resetAll() {
-    for (const c of this._chunks) c.group.removeFromParent()
-    this._chunks = []
+    for (const c of this._chunks.values()) c.group?.removeFromParent()
+    this._chunks.clear()
+    this._lastCell = null
   }
 
-  /** @param {{seed?:number, radius?:number}} opts */
-  init({ seed = 777, radius = 90 } = {}) {
+  /** @param {{seed?:number, generation?:any}} opts */
+  init({ seed = 777, generation } = {}) {
     this.resetAll()
+    this._seed = seed >>> 0
+    this._generation = normalizeGeneration(generation)
 
     // Low-poly tuft: 2 crossed planes (billboard-ish), no texture.
     // Tuned smaller + thinner for clarity near player.
@@ -77,130 +95,124 @@ export class GrassManager {
     geo.setIndex(idx)
     geo.computeVertexNormals()
 
-    const mat = new THREE.MeshLambertMaterial({
+    this._geo = geo
+    this._mat = new THREE.MeshLambertMaterial({
       color: 0x2f8a36,
       side: THREE.DoubleSide,
     })
+    this._lastCell = null
+  }
 
-    const half = radius
-    const minX = -half
-    const maxX = half
-    const minZ = -half
-    const maxZ = half
+  _isClear(x, z) {
+    // Water, mine mountain/area (shared with resource placement).
+    if (!isOpenGround(x, z, 0.5, this._generation)) return true
+    for (const c of CLEAR) {
+      const dx = x - c.x
+      const dz = z - c.z
+      if (dx * dx + dz * dz < c.r * c.r) return true
+    }
+    return false
+  }
 
+  /** Builds one grass cell; the layout only depends on (seed, ix, iz). */
+  _buildChunk(ix, iz) {
     const chunkSize = this.chunkSize
-    const nx = Math.ceil((maxX - minX) / chunkSize)
-    const nz = Math.ceil((maxZ - minZ) / chunkSize)
-
-    // Areas to keep clear (paths/buildings/resources): list of circles.
-    const clear = [
-      // spawn/start area
-      { x: 0, z: 6, r: 9 },
-      // around main forest center (keep sightlines)
-      { x: 0, z: 0, r: 5 },
-      // mine region (approx)
-      { x: 58, z: -18, r: 24 },
-    ]
-
-    const isClear = (x, z) => {
-      const r2 = x * x + z * z
-      // River band: clear a ring around the perimeter where water lives.
-      // (Keep it generous to avoid any grass tufts inside the river.)
-      if (r2 > 86 * 86 && r2 < 104 * 104) return true
-
-      for (const c of clear) {
-        const dx = x - c.x
-        const dz = z - c.z
-        if (dx * dx + dz * dz < c.r * c.r) return true
-      }
-      return false
+    const x0 = ix * chunkSize
+    const z0 = iz * chunkSize
+    const cx = x0 + chunkSize * 0.5
+    const cz = z0 + chunkSize * 0.5
+
+    // Skip cells that are mostly in clear zones (fast check at center).
+    if (this._isClear(cx, cz) && this._isClear(cx + 3, cz) && this._isClear(cx - 3, cz)) {
+      return { group: null, cx, cz }
     }
 
-    let s = seed >>> 0
-
-    for (let iz = 0; iz < nz; iz++) {
-      for (let ix = 0; ix < nx; ix++) {
-        const x0 = minX + ix * chunkSize
-        const z0 = minZ + iz * chunkSize
-        const x1 = x0 + chunkSize
-        const z1 = z0 + chunkSize
-
-        // Skip chunks that are mostly in clear zones (fast check at center).
-        const cx = (x0 + x1) * 0.5
-        const cz = (z0 + z1) * 0.5
-        if (isClear(cx, cz) && isClear(cx + 3, cz) && isClear(cx - 3, cz)) {
-          continue
-        }
-
-        const rand = mulberry32((s += 0x9e3779b9) >>> 0)
-
-        const inst = new THREE.InstancedMesh(geo, mat, this.instancesPerChunk)
-        inst.instanceMatrix.setUsage(THREE.DynamicDrawUsage)
-
-        const col = new THREE.Color()
-        inst.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(this.instancesPerChunk * 3), 3)
+    const rand = mulberry32((this._seed ^ Math.imul(ix, 0x27d4eb2d) ^ Math.imul(iz, 0x165667b1)) >>> 0)
 
-        const m = new THREE.Matrix4()
-        const p = new THREE.Vector3()
-        const q = new THREE.Quaternion()
-        const sc = new THREE.Vector3()
+    const inst = new THREE.InstancedMesh(this._geo, this._mat, this.instancesPerChunk)
+    inst.instanceMatrix.setUsage(THREE.DynamicDrawUsage)
+    inst.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(this.instancesPerChunk * 3), 3)
 
-        let placed = 0
-        let tries = 0
+    const col = new THREE.Color()
+    const m = new THREE.Matrix4()
+    const p = new THREE.Vector3()
+    const q = new THREE.Quaternion()
+    const sc = new THREE.Vector3()
 
-        while (placed < this.instancesPerChunk && tries < this.instancesPerChunk * 4) {
-          tries++
-          const x = x0 + rand() * chunkSize
-          const z = z0 + rand() * chunkSize
+    let placed = 0
+    let tries = 0
 
-          // moderate density: random thinning
-          if (rand() < 0.22) continue
+    while (placed < this.instancesPerChunk && tries < this.instancesPerChunk * 4) {
+      tries++
+      const x = x0 + rand() * chunkSize
+      const z = z0 + rand() * chunkSize
 
-          if (isClear(x, z)) continue
+      // moderate density: random thinning
+      if (rand() < 0.22) continue
 
-          // Keep grass away from far edges slightly (avoid hard cutoff)
-          const edge = Math.min(x - minX, maxX - x, z - minZ, maxZ - z)
-          if (edge < 5 && rand() < 0.65) continue
+      if (this._isClear(x, z)) continue
 
-          p.set(x, 0.01, z)
-          q.setFromEuler(new THREE.Euler(0, rand() * Math.PI * 2, 0))
-          // ~1/4 size overall; thinner width than height.
-          const h = 0.16 + rand() * 0.14
-          const w = 0.10 + rand() * 0.05
-          sc.set(w, h, w)
+      p.set(x, this.getHeightAt(x, z) + 0.01, z)
+      q.setFromEuler(new THREE.Euler(0, rand() * Math.PI * 2, 0))
+      // ~1/4 size overall; thinner width than height.
+      const h = 0.16 + rand() * 0.14
+      const w = 0.10 + rand() * 0.05
+      sc.set(w, h, w)
 
-          m.compose(p, q, sc)
-          inst.setMatrixAt(placed, m)
+      m.compose(p, q, sc)
+      inst.setMatrixAt(placed, m)
 
-          // color variation
-          col.copy(this._colA).lerp(this._colB, rand())
-          inst.setColorAt(placed, col)
+      // color variation
+      col.copy(this._colA).lerp(this._colB, rand())
+      inst.setColorAt(placed, col)
 
-          placed++
-        }
-
-        inst.count = placed
-        inst.castShadow = false
-        inst.receiveShadow = false
+      placed++
+    }
 
-        const group = new THREE.Group()
-        group.position.set(0, 0, 0)
-        group.add(inst)
+    inst.count = placed
+    inst.castShadow = false
+    inst.receiveShadow = false
 
-        this.scene.add(group)
+    const group = new THREE.Group()
+    group.add(inst)
+    this.scene.add(group)
 
-        this._chunks.push({ group, inst, cx, cz })
-      }
-    }
+    return { group, inst, cx, cz }
   }
 
   /** @param {number} dt @param {THREE.Vector3} camPos */
   update(dt, camPos) {
     if (!this.enabled) return
-    if (!camPos) return
+    if (!camPos || !this._geo) return
+
+    // Stream cells around the camera: build within viewDist, drop one cell beyond it.
+    const size = this.chunkSize
+    const ix0 = Math.floor(camPos.x / size)
+    const iz0 = Math.floor(camPos.z / size)
+    const cellKey = `${ix0}:${iz0}`
+    if (cellKey !== this._lastCell) {
+      this._lastCell = cellKey
+      const n = Math.ceil(this.viewDist / size)
+      for (let iz = iz0 - n; iz <= iz0 + n; iz++) {
+        for (let ix = ix0 - n; ix <= ix0 + n; ix++) {
+          const k = `${ix}:${iz}`
+          if (!this._chunks.has(k)) this._chunks.set(k, this._buildChunk(ix, iz))
+        }
+      }
+      for (const [k, c] of this._chunks) {
+        const [ix, iz] = k.split(':').map(Number)
+        if (Math.abs(ix - ix0) <= n + 1 && Math.abs(iz - iz0) <= n + 1) continue
+        if (c.group) {
+          c.group.removeFromParent()
+          c.inst.dispose()
+        }
+        this._chunks.delete(k)
+      }
+    }
 
     // Distance-based culling per chunk.
-    for (const c of this._chunks) {
+    for (const c of this._chunks.values()) {
+      if (!c.group) continue
       const dx = camPos.x - c.cx
       const dz = camPos.z - c.cz
       const d2 = dx * dx + dz * dz
@@ -0,0 +1,139 @@
+import * as THREE from 'three'
+import { ITEMS } from '@jarvis-woodcutter-fps/shared'
+
+const BOB_HEIGHT = 0.08
+const BOB_SPEED = 2.4
+const SPIN_SPEED = 0.9
+
+/** Item piles lying on the ground (server-tracked, per chunk): a small bobbing box showing the item icon. */
+export class GroundItemManager {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
+    this.scene = scene
+    this.getHeightAt = getHeightAt
+    /** id -> { id, items, x, z, mesh, baseY, phase } */
+    this._drops = new Map()
+    /** "cx:cz" -> Set<id> */
+    this._idsByChunk = new Map()
+    /** icon -> base material (each pile gets a clone, so the target highlight stays on one pile) */
+    this._mats = new Map()
+    this._geo = new THREE.BoxGeometry(0.26, 0.26, 0.26)
+    this._ray = new THREE.Raycaster()
+    this._t = 0
+  }
+
+  resetAll() {
+    for (const d of this._drops.values()) {
+      d.mesh.removeFromParent()
+      d.mesh.material.dispose()
+    }
+    this._drops.clear()
+    this._idsByChunk.clear()
+  }
+
+  _material(icon) {
+    let mat = this._mats.get(icon)
+    if (mat) return mat
+
+    const c = document.createElement('canvas')
+    c.width = c.height = 64
+    const g = c.getContext('2d')
+    g.fillStyle = '#6b5034'
+    g.fillRect(0, 0, 64, 64)
+    g.strokeStyle = '#c8b88a'
+    g.lineWidth = 4
+    g.strokeRect(2, 2, 60, 60)
+    g.font = '40px serif'
+    g.textAlign = 'center'
+    g.textBaseline = 'middle'
+    g.fillText(icon, 32, 35)
+
+    const map = new THREE.CanvasTexture(c)
+    mat = new THREE.MeshStandardMaterial({ map, roughness: 0.9, emissive: 0x000000, emissiveIntensity: 0 })
+    this._mats.set(icon, mat)
+    return mat
+  }
+
+  /**
+   * Apply the authoritative piles of a chunk (adds new ones, drops the missing ones).
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @param {Array<{id: string, items: Array<{id: string, qty: number}>, x: number, z: number}>} drops
+   */
+  applyChunkState(chunkX, chunkZ, drops) {
+    const ck = `${Number(chunkX)}:${Number(chunkZ)}`
+    const list = Array.isArray(drops) ? drops : []
+    const nextIds = new Set()
+
+    for (const d of list) {
+      const id = String(d?.id || '')
+      const x = Number(d?.x)
+      const z = Number(d?.z)
+      const items = Array.isArray(d?.items) ? d.items.filter((it) => ITEMS[it?.id] && Number(it?.qty) > 0) : []
+      if (!id || !items.length || !Number.isFinite(x) || !Number.isFinite(z)) continue
+      nextIds.add(id)
+
+      const cur = this._drops.get(id)
+      if (cur) {
+        cur.items = items
+        continue
+      }
+
+      const mesh = new THREE.Mesh(this._geo, this._material(ITEMS[items[0].id].icon || '📦').clone())
+      const baseY = this.getHeightAt(x, z) + 0.22
+      mesh.position.set(x, baseY, z)
+      mesh.rotation.y = Math.random() * Math.PI * 2
+      mesh.userData.groundItemId = id
+      this.scene.add(mesh)
+      this._drops.set(id, { id, items, x, z, mesh, baseY, phase: Math.random() * Math.PI * 2 })
+    }
+
+    for (const id of this._idsByChunk.get(ck) || []) {
+      if (!nextIds.has(id)) this.remove(id)
+    }
+    this._idsByChunk.set(ck, nextIds)
+  }
+
+  update(dt) {
+    this._t += dt
+    for (const d of this._drops.values()) {
+      d.mesh.position.y = d.baseY + Math.sin(this._t * BOB_SPEED + d.phase) * BOB_HEIGHT
+      d.mesh.rotation.y += dt * SPIN_SPEED
+    }
+  }
+
+  /** @param {THREE.Camera} camera */
+  raycastFromCamera(camera) {
+    const origin = new THREE.Vector3()
+    const dir = new THREE.Vector3()
+    camera.getWorldPosition(origin)
+    camera.getWorldDirection(dir)
+
+    this._ray.set(origin, dir)
+    this._ray.far = 3.0
+
+    const roots = []
+    for (const d of this._drops.values()) roots.push(d.mesh)
+
+    const hits = this._ray.intersectObjects(roots, false)
+    if (!hits.length) return null
+
+    const dropId = hits[0].object.userData.groundItemId
+    if (!dropId) return null
+
+    return { dropId: String(dropId), point: hits[0].point, distance: hits[0].distance }
+  }
+
+  get(id) {
+    return this._drops.get(String(id))
+  }
+
+  remove(id) {
+    const d = this._drops.get(String(id))
+    if (!d) return false
+    d.mesh.removeFromParent()
+    d.mesh.material.dispose()
+    this._drops.delete(String(id))
+    return true
+  }
+}
@@ -158,7 +158,7 @@ export class LakeManager {
 
   /** @returns {{x:number,z:number,r:number}[]} */
   getColliders() {
-    // Lake is visual-only; do not block the player. Use the river as the only boundary.
+    // Lake is visual-only (shallow, walkable bed); do not block the player.
     return []
   }
 
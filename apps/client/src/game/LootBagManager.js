@@ -0,0 +1,89 @@
+import * as THREE from 'three'
+
+/** Death loot bags dropped in the world (server-placed; walkable, no collider). */
+export class LootBagManager {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
+    this.scene = scene
+    this.getHeightAt = getHeightAt
+    this._bags = new Map()
+    this._ray = new THREE.Raycaster()
+  }
+
+  resetAll() {
+    for (const b of this._bags.values()) b.mesh.removeFromParent()
+    this._bags.clear()
+  }
+
+  _makeMesh() {
+    const g = new THREE.Group()
+
+    const cloth = new THREE.MeshStandardMaterial({ color: 0x8a6a43, roughness: 1.0 })
+    const rope = new THREE.MeshStandardMaterial({ color: 0xc8b88a, roughness: 1.0 })
+
+    // Sack + tied neck
+    const sack = new THREE.Mesh(new THREE.SphereGeometry(0.28, 12, 10), cloth)
+    sack.scale.set(1, 0.8, 1)
+    sack.position.y = 0.22
+    const neck = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.12, 0.16, 10), cloth)
+    neck.position.y = 0.5
+    const knot = new THREE.Mesh(new THREE.TorusGeometry(0.085, 0.025, 6, 12), rope)
+    knot.rotation.x = Math.PI / 2
+    knot.position.y = 0.47
+
+    g.add(sack)
+    g.add(neck)
+    g.add(knot)
+
+    return g
+  }
+
+  /** @param {{x:number,z:number}} pos */
+  place(pos, id) {
+    const assigned = String(id)
+    const mesh = this._makeMesh()
+    mesh.position.set(pos.x, this.getHeightAt(pos.x, pos.z), pos.z)
+    mesh.rotation.y = Math.random() * Math.PI * 2
+    mesh.userData.lootBagId = assigned
+    this.scene.add(mesh)
+
+    this._bags.set(assigned, { id: assigned, mesh })
+    return assigned
+  }
+
+  /** @param {THREE.Camera} camera */
+  raycastFromCamera(camera) {
+    const origin = new THREE.Vector3()
+    const dir = new THREE.Vector3()
+    camera.getWorldPosition(origin)
+    camera.getWorldDirection(dir)
+
+    this._ray.set(origin, dir)
+    this._ray.far = 3.0
+
+    const roots = []
+    for (const b of this._bags.values()) roots.push(b.mesh)
+
+    const hits = this._ray.intersectObjects(roots, true)
+    if (!hits.length) return null
+
+    let obj = hits[0].object
+    while (obj && !obj.userData.lootBagId && obj.parent) obj = obj.parent
+    const bagId = obj?.userData?.lootBagId
+    if (!bagId) return null
+
+    return { bagId: String(bagId), point: hits[0].point, distance: hits[0].distance }
+  }
+
+  get(id) {
+    return this._bags.get(String(id))
+  }
+
+  remove(id) {
+    const b = this._bags.get(String(id))
+    if (!b) return false
+    b.mesh.removeFromParent()
+    this._bags.delete(String(id))
+    return true
+  }
+}
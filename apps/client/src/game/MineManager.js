@@ -1,4 +1,15 @@
 import * as THREE from 'three'
+import {
+  buildMineColliders,
+  buildWorldColliders,
+  MINE_MOUNTAIN,
+  MINE_ORES,
+  MINE_ORIGIN,
+  MINE_PATH,
+  MINE_TUNNEL,
+  mineEntrance,
+  minePortals,
+} from '@jarvis-woodcutter-fps/shared'
 
 export class MineManager {
   /** @param {{scene: THREE.Scene}} params */
@@ -7,20 +18,20 @@ export class MineManager {
 
     // Exterior placement (world)
     // Rectangular mountain: big face points towards the forest (approx origin).
-    this.center = new THREE.Vector3(58, 0, -18)
+    this.center = new THREE.Vector3(MINE_MOUNTAIN.center.x, 0, MINE_MOUNTAIN.center.z)
 
-    // Rect mountain dimensions (must match _makeMountainMesh/_buildWorldColliders)
+    // Rect mountain dimensions (shared: collision is built from the same numbers)
     // Core wall (flat portal face) dimensions:
     // - height reduced ~10% (from 7.8 -> 7.02)
     // - width reduced ~70% (from 30 -> 9)
     // NOTE: Werner wants the "rectangle" width to be 9, and the lateral dressing width to be 36.
-    this._mountW = 9 // Z span (core flat face / portal area)
-    this._detailW = 36 // Z span total (including lateral dressing)
+    this._mountW = MINE_MOUNTAIN.coreW // Z span (core flat face / portal area)
+    this._detailW = MINE_MOUNTAIN.detailW // Z span total (including lateral dressing)
 
     this._coreW = this._mountW // alias for readability
 
-    this._mountD = 22 // X span (depth)
-    this._mountH = 7.02
+    this._mountD = MINE_MOUNTAIN.depth // X span (depth)
+    this._mountH = MINE_MOUNTAIN.height
 
     // Entrance: centered on the face that looks towards the forest.
     // (Final values are computed in init() after we know face direction.)
@@ -28,7 +39,7 @@ export class MineManager {
 
     // Interior placement (kept far away; accessed via portal teleport)
     // Keep Y at 0 so the mine sits at map level (simpler grounding/visuals).
-    this.mineOrigin = new THREE.Vector3(-120, 0, 95)
+    this.mineOrigin = new THREE.Vector3(MINE_ORIGIN.x, 0, MINE_ORIGIN.z)
 
     /** @type {{x:number,z:number,r:number}[]} */
     this._worldColliders = []
@@ -50,18 +61,17 @@ export class MineManager {
     /** @type {THREE.CatmullRomCurve3[]} */
     this._curves = []
 
-    this._tunnelRadius = 2.3 // half-width (≈ 4.6m wide)
-    this._tunnelHalfH = 2.0 // half-height (≈ 4.0m tall)
+    this._tunnelRadius = MINE_TUNNEL.radius // half-width (≈ 4.6m wide)
+    this._tunnelHalfH = MINE_TUNNEL.halfHeight // half-height (≈ 4.0m tall)
     this._tunnelRingAngle = 0 // box corridors: no ring rotation needed
 
-    // Portal triggers (XZ)
-    this.portalEnter = { x: this.entrance.x - 0.6, z: this.entrance.z, r: 1.35 }
-    this.portalExit = { x: this.mineOrigin.x + 1.4, z: this.mineOrigin.z, r: 1.35 }
-
-    // Teleport targets
-    // spawnMine is updated in init() after tunnels are built (depends on floor height).
-    this.spawnMine = new THREE.Vector3(this.mineOrigin.x + 2.2, 1.65, this.mineOrigin.z)
-    this.spawnWorld = new THREE.Vector3(this.entrance.x - 2.6, 1.65, this.entrance.z)
+    // Portal triggers (XZ) and teleport targets (shared: the server only accepts these targets).
+    // spawnMine's height is updated in init() after tunnels are built (depends on floor height).
+    const portals = minePortals()
+    this.portalEnter = portals.enter
+    this.portalExit = portals.exit
+    this.spawnMine = new THREE.Vector3(portals.enter.to.x, 1.65, portals.enter.to.z)
+    this.spawnWorld = new THREE.Vector3(portals.exit.to.x, 1.65, portals.exit.to.z)
 
     // Interior should be hidden by default (only visible when player is inside the mine).
     this._interiorVisible = false
@@ -90,17 +100,9 @@ export class MineManager {
     this._lights = new THREE.Group()
     this._lights.name = 'MineLights'
 
-    // Compute entrance point on the face that points to the forest (origin).
-    const toForest = new THREE.Vector3(-this.center.x, 0, -this.center.z)
-    if (toForest.lengthSq() < 1e-6) toForest.set(-1, 0, 0)
-    toForest.normalize()
-    const halfD = this._mountD * 0.5
-    // Place entrance on the border of the block (slight epsilon outside to avoid z-fighting).
-    this.entrance.set(
-      this.center.x + toForest.x * (halfD + 0.02),
-      0,
-      this.center.z + toForest.z * (halfD + 0.02)
-    )
+    // Entrance point on the face that points to the forest (origin), on the border of the block.
+    const entrance = mineEntrance()
+    this.entrance.set(entrance.x, 0, entrance.z)
 
     // --- Exterior: single carved mountain mesh with a flat face + portal (no trail) ---
     this._worldGroup.add(this._makeMountainMesh())
@@ -124,20 +126,21 @@ export class MineManager {
     // Apply current visibility (interior hidden by default).
     this.setInteriorVisible(this._interiorVisible)
 
-    // --- Collision ---
-    this._buildWorldColliders()
-    this._buildMineColliders(curves)
+    // --- Collision (shared with the server) ---
+    // Mountain + the fence that keeps surface players out of the mine area.
+    this._worldColliders = buildWorldColliders()
+    this._mineColliders = buildMineColliders()
 
     // Portal triggers updated (in case entrance moved)
-    this.portalEnter = { x: this.entrance.x - 0.6, z: this.entrance.z, r: 1.35 }
-    this.portalExit = { x: this.mineOrigin.x + 1.4, z: this.mineOrigin.z, r: 1.35 }
+    const portals = minePortals()
+    this.portalEnter = portals.enter
+    this.portalExit = portals.exit
 
     // Spawn inside the mine should respect the tunnel floor height.
-    const spawnMineXZ = { x: this.mineOrigin.x + 2.2, z: this.mineOrigin.z }
-    const floorY = this.getFloorYAt(spawnMineXZ.x, spawnMineXZ.z)
-    this.spawnMine = new THREE.Vector3(spawnMineXZ.x, floorY + 1.65, spawnMineXZ.z)
+    const floorY = this.getFloorYAt(portals.enter.to.x, portals.enter.to.z)
+    this.spawnMine = new THREE.Vector3(portals.enter.to.x, floorY + 1.65, portals.enter.to.z)
 
-    this.spawnWorld = new THREE.Vector3(this.entrance.x - 2.6, 1.65, this.entrance.z)
+    this.spawnWorld = new THREE.Vector3(portals.exit.to.x, 1.65, portals.exit.to.z)
   }
 
   /** @returns {{x:number,z:number,r:number}[]} */
@@ -196,8 +199,10 @@ export class MineManager {
     return floor
   }
 
-  getOreSpawnPoints() {
-    // Spawn as "veins" on the tunnel walls (needs position + inward normal).
+  /** @param {{count?: number}} [opts] veins along the main tunnel (world `oreRichness`) */
+  getOreSpawnPoints({ count = MINE_ORES.perRichness } = {}) {
+    // Spawn as "veins" on the tunnel walls (needs position + inward normal). XZ matches the
+    // server's shared mineOreNodes, which is what it checks `oreBreak` ids against.
     const pts = []
     const curves = this._curves
     if (!curves || !curves.length) return pts
@@ -222,7 +227,7 @@ export class MineManager {
         const wallOut = sideVec.multiplyScalar(side)
 
         // Position at inner wall (slightly INSIDE the tunnel so it's visible, not buried in terrain).
-        const off = this._tunnelRadius * 0.78
+        const off = this._tunnelRadius * MINE_ORES.wallOffset
         const x = p.x + wallOut.x * off
         const z = p.z + wallOut.z * off
 
@@ -236,7 +241,7 @@ export class MineManager {
     }
 
     // Main path only (branch removed).
-    addFromCurve(curves[0], 15, 0.12, 0.94)
+    addFromCurve(curves[0], count, MINE_ORES.t0, MINE_ORES.t1)
 
     return pts
   }
@@ -486,142 +491,13 @@ export class MineManager {
     return g
   }
 
-  _buildWorldColliders() {
-    this._worldColliders = []
-
-    // Rebuild collision after the final shape is defined.
-    // Perimeter follows the same irregular "lines" as the mountain sculpt (and keeps the portal opening).
-    const cx = this.center.x
-    const cz = this.center.z
-
-    const w = this._detailW
-    const d = this._mountD
-
-    const toForest = new THREE.Vector3(-cx, 0, -cz)
-    if (toForest.lengthSq() < 1e-6) toForest.set(-1, 0, 0)
-    toForest.normalize()
-    const right = new THREE.Vector3(-toForest.z, 0, toForest.x)
-
-    const halfD = d * 0.5
-    const halfW = w * 0.5
-
-    // Opening matches the flat core width.
-    const openHalf = (this._coreW * 0.5) + 0.25
-
-    // Two bands + midpoints to avoid diagonal leaks.
-    const bandA = { off: 0.15, r: 1.35 }
-    const bandB = { off: 1.15, r: 1.05 }
-
-    const pushBandsWorld = (wx, wz, nwx, nwz) => {
-      const len = Math.hypot(nwx, nwz) || 1
-      const ox = nwx / len
-      const oz = nwz / len
-      this._worldColliders.push({ x: wx + ox * bandA.off, z: wz + oz * bandA.off, r: bandA.r })
-      this._worldColliders.push({ x: wx + ox * bandB.off, z: wz + oz * bandB.off, r: bandB.r })
-    }
-
-    const noise = (t) => 0.35 * Math.sin(t * 7.1) + 0.22 * Math.sin(t * 13.7 + 1.3)
-
-    // Compute a perimeter point in local (sd,sw) plus the local outward normal.
-    const perimeterPoint = (edgeId, t) => {
-      // base rectangle perimeter in (sd,sw)
-      let sdv, swv, nx, nz
-      if (edgeId === 0) {
-        // forest face: sd=+halfD
-        sdv = halfD
-        swv = -halfW + (halfW * 2) * t
-        nx = 1
-        nz = 0
-      } else if (edgeId === 1) {
-        // back: sd=-halfD
-        sdv = -halfD
-        swv = -halfW + (halfW * 2) * t
-        nx = -1
-        nz = 0
-      } else if (edgeId === 2) {
-        // left: sw=-halfW
-        sdv = -halfD + (halfD * 2) * t
-        swv = -halfW
-        nx = 0
-        nz = -1
-      } else {
-        // right: sw=+halfW
-        sdv = -halfD + (halfD * 2) * t
-        swv = halfW
-        nx = 0
-        nz = 1
-      }
-
-      // Apply same style of irregularity used by the sculpt/collision earlier.
-      const n = noise(edgeId + t)
-
-      // Forest face: keep opening clean. Outside opening, also apply the same indentation used to break the rectangle.
-      if (edgeId === 0) {
-        const a = Math.abs(swv)
-        if (a < openHalf) return null
-
-        const az2 = Math.min(1, (a - openHalf) / Math.max(0.001, (halfW - openHalf)))
-        const indent = 1.4 + az2 * 4.6
-        sdv -= indent
-
-        // small irregularity far from opening
-        if (a > openHalf + 1.0) {
-          sdv += nx * n * 0.35
-          swv += nz * n * 0.35
-        }
-      } else {
-        // Other edges can wobble a bit.
-        sdv += nx * n
-        swv += nz * n
-      }
-
-      return { sdv, swv, nx, nz }
-    }
-
-    const edgeSamples = 28
-    for (let edgeId = 0; edgeId < 4; edgeId++) {
-      for (let i = 0; i <= edgeSamples; i++) {
-        const t = i / edgeSamples
-
-        const p = perimeterPoint(edgeId, t)
-        if (p) {
-          const wx = cx + toForest.x * p.sdv + right.x * p.swv
-          const wz = cz + toForest.z * p.sdv + right.z * p.swv
-          const nwx = toForest.x * p.nx + right.x * p.nz
-          const nwz = toForest.z * p.nx + right.z * p.nz
-          pushBandsWorld(wx, wz, nwx, nwz)
-        }
-
-        // midpoint
-        if (i < edgeSamples) {
-          const t2 = (i + 0.5) / edgeSamples
-          const p2 = perimeterPoint(edgeId, t2)
-          if (p2) {
-            const wx2 = cx + toForest.x * p2.sdv + right.x * p2.swv
-            const wz2 = cz + toForest.z * p2.sdv + right.z * p2.swv
-            const nwx2 = toForest.x * p2.nx + right.x * p2.nz
-            const nwz2 = toForest.z * p2.nx + right.z * p2.nz
-            pushBandsWorld(wx2, wz2, nwx2, nwz2)
-          }
-        }
-      }
-    }
-
-    // Funnel near the portal (helps prevent clipping around opening edges)
-    this._worldColliders.push({ x: this.entrance.x + right.x * 2.0, z: this.entrance.z + right.z * 2.0, r: 0.95 })
-    this._worldColliders.push({ x: this.entrance.x - right.x * 2.0, z: this.entrance.z - right.z * 2.0, r: 0.95 })
-
-    // Fill: prevents corner squeezing into interior.
-    this._worldColliders.push({ x: cx, z: cz, r: 2.0 })
-  }
-
   // ----------------- Interior (mine) -----------------
 
   _makeTunnels() {
     // Rebuilt mine: single main path on level 0 (no descent), with a few gentle curves.
     const o = this.mineOrigin
 
-    const mkCurve = (pts, tension = 0.22) => {
+    const mkCurve = (pts, tension = MINE_TUNNEL.tension) => {
       const c = new THREE.CatmullRomCurve3(pts)
       c.curveType = 'catmullrom'
       // Lower tension reduces overshoot (prevents small "up/down" bumps near start).
@@ -638,16 +514,8 @@ export class MineManager {
     // If you want the whole mine lower/higher, adjust mineOrigin.y.
     const y0 = 1.95
 
-    // Main: level 0, with gentle curves.
-    const main = mkCurve([
-      rel(1.0, y0, 0.0),
-      rel(9.0, y0, 2.2),
-      rel(18.0, y0, 8.2),
-      rel(30.0, y0, 3.4),
-      rel(42.0, y0, -4.8),
-      rel(56.0, y0, -1.6),
-      rel(68.0, y0, 6.0),
-    ], 0.22)
+    // Main: level 0, with gentle curves (shared path: the server collides with the same walls).
+    const main = mkCurve(MINE_PATH.map((p) => rel(p.x, y0, p.z)))
 
     const curves = [main]
 
@@ -761,60 +629,6 @@ export class MineManager {
     this._lights.add(fill)
   }
 
-  /** @param {THREE.CatmullRomCurve3[]} curves */
-  _buildMineColliders(curves) {
-    this._mineColliders = []
-
-    const up = new THREE.Vector3(0, 1, 0)
-
-    const addWalls = (curve, samples, tStart = 0, tEnd = 1, opts = null) => {
-      const wallR = 0.85
-      for (let i = 0; i <= samples; i++) {
-        const t = tStart + (i / samples) * (tEnd - tStart)
-        const p = curve.getPoint(t)
-        const tan = curve.getTangent(t)
-
-        let n = this._getTunnelSideVec(tan)
-
-        const off = this._tunnelRadius - 0.35
-
-        // Optional: keep junction open by skipping one side in a t-window.
-        const inJ = opts && t >= opts.t0 && t <= opts.t1
-        const skipPos = inJ && opts.skipSide === 1
-        const skipNeg = inJ && opts.skipSide === -1
-
-        if (!skipPos) this._mineColliders.push({ x: p.x + n.x * off, z: p.z + n.z * off, r: wallR })
-        if (!skipNeg) this._mineColliders.push({ x: p.x - n.x * off, z: p.z - n.z * off, r: wallR })
-
-        // Add midpoints to reduce diagonal clipping.
-        if (i < samples) {
-          const t2 = tStart + ((i + 0.5) / samples) * (tEnd - tStart)
-          const p2 = curve.getPoint(t2)
-          const tan2 = curve.getTangent(t2)
-          let n2 = this._getTunnelSideVec(tan2)
-
-          const inJ2 = opts && t2 >= opts.t0 && t2 <= opts.t1
-          const skipPos2 = inJ2 && opts.skipSide === 1
-          const skipNeg2 = inJ2 && opts.skipSide === -1
-
-          if (!skipPos2) this._mineColliders.push({ x: p2.x + n2.x * off, z: p2.z + n2.z * off, r: wallR })
-          if (!skipNeg2) this._mineColliders.push({ x: p2.x - n2.x * off, z: p2.z - n2.z * off, r: wallR })
-        }
-      }
-    }
-
-    // Single path now: no junction opening logic needed.
-    addWalls(curves[0], 26)
-
-    // Cap to prevent walking off end.
-    const endMain = curves[0].getPoint(1)
-    this._mineColliders.push({ x: endMain.x, z: endMain.z, r: 2.2 })
-
-    // Entry "posts" inside mine (avoid clipping near portal)
-    this._mineColliders.push({ x: this.mineOrigin.x + 1.0, z: this.mineOrigin.z + 2.4, r: 0.8 })
-    this._mineColliders.push({ x: this.mineOrigin.x + 1.0, z: this.mineOrigin.z - 2.4, r: 0.8 })
-  }
-
   // Branch-opening dressing removed (no bifurcation in the simplified mine).
 
   _makeEntranceBackdrop() {
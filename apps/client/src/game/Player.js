@@ -1,4 +1,5 @@
 import * as THREE from 'three'
+import { MOVEMENT, resolveCollisionsXZ, stepMoveXZ, stepVertical, tryJump } from '@jarvis-woodcutter-fps/shared'
 import { clamp } from './util.js'
 
 export class Player {
@@ -16,26 +17,27 @@ export class Player {
 
     this.camera.position.set(0, 0, 0)
 
-    this.eyeHeight = 1.65
+    this.eyeHeight = MOVEMENT.eyeHeight
     this.groundY = 0
     this.position = new THREE.Vector3(0, this.groundY + this.eyeHeight, 6)
     this.velocity = new THREE.Vector3()
+    // Visual-only offset left by server reconciliation; decays so corrections don't pop.
+    this._renderOffset = new THREE.Vector3()
 
-    this.gravity = -18
-    this.jumpSpeed = 6.4
+    // Movement/collision constants live in the shared package (server runs the same code).
     this._vy = 0
     this._onGround = true
 
-    this.baseSpeed = 6.0
-    this.sprintMultiplier = 1.65
     this.lookSpeed = 0.002
 
     this.isSprinting = false
+    /** Survival gate (Game): Shift only sprints while stamina allows it. Sent keys follow it, so the server agrees. */
+    this.canSprint = true
 
     this._swingDuration = 0.42
 
     // Collision capsule approximation (XZ circle)
-    this.radius = 0.35
+    this.radius = MOVEMENT.radius
 
     this._swingActive = false
     this._impactDone = false
@@ -54,6 +56,8 @@ export class Player {
     // Simple "axe" in view (Jarvis the lumberjack robot)
     this._swingT = 0
     this._handT = 0
+    this._rodT = 0
+    this._rodPull = 0
     this._torchT = 0
     // Tool models in view
     this._toolPivot = new THREE.Group()
@@ -70,6 +74,7 @@ export class Player {
       pickaxe_stone: this._makeStonePickaxe(),
       pickaxe_metal: this._makeMetalPickaxe(),
       hoe_metal: this._makeMetalHoe(),
+      fishing_rod: this._makeFishingRod(),
     }
 
     for (const m of Object.values(this._toolModels)) {
@@ -91,8 +96,9 @@ export class Player {
 
     this._jumpQueued = false
     this._onKeyDown = (e) => {
+      // Typing in a text field (chat) must not move the player.
+      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return
       this._keys.add(e.code)
-      if (e.code === 'Space') this._jumpQueued = true
     }
     this._onKeyUp = (e) => this._keys.delete(e.code)
     this._onMouseMove = (e) => this._onMouseMoveAny(e)
@@ -219,6 +225,7 @@ export class Player {
     this.groundY = 0
     this.position.set(0, this.groundY + this.eyeHeight, 6)
     this.velocity.set(0, 0, 0)
+    this._renderOffset.set(0, 0, 0)
     this._vy = 0
     this._onGround = true
     this.yaw.rotation.y = Math.PI
@@ -228,10 +235,14 @@ export class Player {
     this._impactDone = false
   }
 
+  /** Starts a jump when grounded and queues it for the server. Returns whether it jumped. */
   jump() {
-    if (!this._onGround) return
-    this._vy = this.jumpSpeed
-    this._onGround = false
+    const body = { vy: this._vy, onGround: this._onGround }
+    if (!tryJump(body)) return false
+    this._vy = body.vy
+    this._onGround = body.onGround
+    this._jumpQueued = true
+    return true
   }
 
   /** @param {( )=>void} fn */
@@ -239,6 +250,30 @@ export class Player {
     this._onImpact = fn
   }
 
+  /**
+   * Moves the simulated position by (dx, dz) without a visible jump: the rendered
+   * position stays put and eases into the new one.
+   */
+  applyCorrection(dx, dz) {
+    this.position.x += dx
+    this.position.z += dz
+    this._renderOffset.x -= dx
+    this._renderOffset.z -= dz
+  }
+
+  /**
+   * One XZ movement step (walk/sprint + collisions), see shared `stepMoveXZ`. Used by
+   * `update` and by input replay, so re-simulating inputs gives the same result.
+   * @param {{x:number,z:number}} pos mutated in place
+   * @param {number} dt
+   * @param {{w:boolean,a:boolean,s:boolean,d:boolean,sprint:boolean}} keys
+   * @param {number} yaw
+   * @param {{x:number,z:number,r:number}[]} colliders
+   */
+  simulateMove(pos, dt, keys, yaw, colliders = []) {
+    return stepMoveXZ(pos, dt, keys, yaw, colliders)
+  }
+
   /**
    * @param {number} dt
    * @param {{x:number,z:number,r:number}[]} colliders
@@ -246,51 +281,32 @@ export class Player {
    */
   update(dt, colliders = [], groundY = this.groundY) {
     this.groundY = groundY
-    // Correct FPS convention: W forward, S backward.
-    // (Three.js camera faces -Z; we map forward to -Z.)
-    const forward = Number(this._keys.has('KeyS')) - Number(this._keys.has('KeyW'))
-    const strafe = Number(this._keys.has('KeyD')) - Number(this._keys.has('KeyA'))
-
-    const dir = new THREE.Vector3(strafe, 0, forward)
-    if (dir.lengthSq() > 0) dir.normalize()
-
-    // move in yaw space
-    const yawMat = new THREE.Matrix4().makeRotationY(this.yaw.rotation.y)
-    dir.applyMatrix4(yawMat)
-
-    const sprint = this._keys.has('ShiftLeft') || this._keys.has('ShiftRight')
-    this.isSprinting = sprint && dir.lengthSq() > 0
-
-    const speed = this.baseSpeed * (this.isSprinting ? this.sprintMultiplier : 1.0)
-    this.velocity.x = dir.x * speed
-    this.velocity.z = dir.z * speed
 
     // integrate (XZ)
     const next = this.position.clone()
-    next.x += this.velocity.x * dt
-    next.z += this.velocity.z * dt
-    next.y = this.position.y
-
-    this._resolveCollisions(next, colliders)
+    const step = this.simulateMove(next, dt, this.getMoveKeys(), this.yaw.rotation.y, colliders)
+    this.isSprinting = step.sprinting
+    this.velocity.x = step.vx
+    this.velocity.z = step.vz
 
     // vertical motion (jump + gravity)
-    this._vy += this.gravity * dt
-    next.y = this.position.y + this._vy * dt
-
-    const minY = this.groundY + this.eyeHeight
-    if (next.y <= minY) {
-      next.y = minY
-      this._vy = 0
-      this._onGround = true
-    } else {
-      this._onGround = false
-    }
+    const body = { y: this.position.y, vy: this._vy, onGround: this._onGround }
+    stepVertical(body, dt, this.groundY)
+    next.y = body.y
+    this._vy = body.vy
+    this._onGround = body.onGround
 
     // Apply final position.
     this.position.copy(next)
 
+    // Ease out any reconciliation offset (~0.1s time constant).
+    if (dt > 0 && this._renderOffset.lengthSq() > 0) {
+      this._renderOffset.multiplyScalar(Math.exp(-dt / 0.1))
+      if (this._renderOffset.lengthSq() < 1e-6) this._renderOffset.set(0, 0, 0)
+    }
+
     // camera bob (authoritative for raycasts) stays as-is.
-    const moving = dir.lengthSq() > 0
+    const moving = step.moving
     if (moving) this._bobT += dt * 10
     else this._bobT = 0
 
@@ -328,6 +344,11 @@ export class Player {
     this._axePivot.rotation.x = -0.35 + swing * 0.55
     this._axePivot.rotation.y = 0.10 + swing * 0.10
 
+    // Rod: flick back on cast, bend forward while reeling.
+    if (this._rodT > 0) this._rodT = Math.max(0, this._rodT - dt)
+    const rp = this._rodT > 0 ? 1 - this._rodT / 0.3 : 0
+    this._axePivot.rotation.x += (rp > 0 ? Math.sin(rp * Math.PI) * 0.7 : 0) - (this._rodPull || 0) * 0.3
+
     // Hand action animation
     if (this._handT > 0) this._handT = Math.max(0, this._handT - dt)
     const hp = this._handT > 0 ? 1 - this._handT / 0.16 : 0
@@ -553,9 +574,57 @@ export class Player {
     return model
   }
 
+  _makeFishingRod() {
+    const model = new THREE.Group()
+
+    const rodGeo = new THREE.CylinderGeometry(0.008, 0.026, 1.25, 6)
+    rodGeo.translate(0, 0.5, 0)
+    const rod = new THREE.Mesh(rodGeo, new THREE.MeshStandardMaterial({ color: 0x6b4a2b, roughness: 0.9 }))
+
+    const reel = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.045, 0.045, 0.04, 10),
+      new THREE.MeshStandardMaterial({ color: 0x8a8f96, roughness: 0.35, metalness: 0.8 }),
+    )
+    reel.position.set(0.04, 0.08, 0)
+    reel.rotation.z = Math.PI / 2
+
+    model.add(rod)
+    model.add(reel)
+
+    // The line leaves from here (see getRodTip).
+    const tip = new THREE.Object3D()
+    tip.position.set(0, 1.12, 0)
+    model.add(tip)
+    model.userData.tipAnchor = tip
+
+    model.position.set(0.0, -0.12, -0.02)
+    model.rotation.set(-0.55, 0.30, 0.05)
+    return model
+  }
+
+  /** Cast flick of the rod (fishing). */
+  rodCast() {
+    this._rodT = 0.3
+  }
+
+  /** Rod bend while reeling, 0..1. */
+  setRodPull(k) {
+    this._rodPull = clamp(Number(k) || 0, 0, 1)
+  }
+
+  /**
+   * World position of the rod tip (null when the rod isn't in hand).
+   * @param {THREE.Vector3} target
+   */
+  getRodTip(target) {
+    const m = this._toolModels?.fishing_rod
+    if (!m?.visible || !this._toolPivot?.visible) return null
+    return m.userData.tipAnchor.getWorldPosition(target)
+  }
+
   setTool(toolId, toolItemId = null) {
     // Show models based on tool.
-    if (this._toolPivot) this._toolPivot.visible = toolId === 'axe' || toolId === 'pickaxe' || toolId === 'hoe'
+    if (this._toolPivot) this._toolPivot.visible = toolId === 'axe' || toolId === 'pickaxe' || toolId === 'hoe' || toolId === 'rod'
 
     for (const [id, m] of Object.entries(this._toolModels || {})) {
       m.visible = !!toolItemId && id === toolItemId
@@ -638,41 +707,25 @@ export class Player {
   }
 
   _resolveCollisions(nextPos, colliders) {
-    // Simple stable circle-vs-circle push-out in XZ.
-    // Iterate a few times to handle multiple overlaps (prevents "diagonal squeezing" through dense collider fields).
-    for (let iter = 0; iter < 6; iter++) {
-      let any = false
-      for (const c of colliders) {
-        const dx = nextPos.x - c.x
-        const dz = nextPos.z - c.z
-        const rr = this.radius + c.r
-        const d2 = dx * dx + dz * dz
-        if (d2 >= rr * rr || d2 === 0) continue
-
-        const d = Math.sqrt(d2)
-        const pen = rr - d
-        const nx = dx / d
-        const nz = dz / d
-
-        nextPos.x += nx * pen
-        nextPos.z += nz * pen
-        any = true
-      }
-      if (!any) break
+    resolveCollisionsXZ(nextPos, colliders, this.radius)
+  }
+
+  getMoveKeys() {
+    return {
+      w: this._keys.has('KeyW'),
+      a: this._keys.has('KeyA'),
+      s: this._keys.has('KeyS'),
+      d: this._keys.has('KeyD'),
+      sprint: this.canSprint && (this._keys.has('ShiftLeft') || this._keys.has('ShiftRight')),
     }
   }
 
   getNetInput() {
-    const w = this._keys.has('KeyW')
-    const a = this._keys.has('KeyA')
-    const s = this._keys.has('KeyS')
-    const d = this._keys.has('KeyD')
-    const sprint = this._keys.has('ShiftLeft') || this._keys.has('ShiftRight')
     const jump = !!this._jumpQueued
     this._jumpQueued = false
 
     return {
-      keys: { w, a, s, d, sprint, jump },
+      keys: { ...this.getMoveKeys(), jump },
       yaw: this.yaw.rotation.y,
       pitch: this.pitch.rotation.x,
     }
@@ -704,6 +757,11 @@ export class Player {
     this._axePivot.rotation.x = -0.35 + swing * 0.55
     this._axePivot.rotation.y = 0.10 + swing * 0.10
 
+    // Rod: flick back on cast, bend forward while reeling.
+    if (this._rodT > 0) this._rodT = Math.max(0, this._rodT - dt)
+    const rp = this._rodT > 0 ? 1 - this._rodT / 0.3 : 0
+    this._axePivot.rotation.x += (rp > 0 ? Math.sin(rp * Math.PI) * 0.7 : 0) - (this._rodPull || 0) * 0.3
+
     // Hand action animation
     if (this._handT > 0) this._handT = Math.max(0, this._handT - dt)
     const hp = this._handT > 0 ? 1 - this._handT / 0.16 : 0
@@ -735,7 +793,7 @@ export class Player {
   }
 
   _applyTransforms() {
-    this.yaw.position.copy(this.position)
+    this.yaw.position.copy(this.position).add(this._renderOffset)
   }
 }
 
@@ -1,4 +1,9 @@
 import * as THREE from 'three'
+import { MOVEMENT } from '@jarvis-woodcutter-fps/shared'
+
+/** Nameplates are fully visible up to NEAR (m) and gone past FAR. */
+const NAMEPLATE_NEAR = 10
+const NAMEPLATE_FAR = 28
 
 export class RemotePlayersManager {
   /** @param {{scene:THREE.Scene}} params */
@@ -6,18 +11,24 @@ export class RemotePlayersManager {
     this.scene = scene
     /**
      * id -> {
-     *   root, mesh,
-     *   samples: Array<{t:number,x:number,z:number,yaw:number}>,
+     *   root, mesh, plate,
+     *   samples: Array<{t:number,x:number,y:number,z:number,yaw:number}>,
      *   lastSeenAt:number
      * }
      */
     this.players = new Map()
 
+    /** id -> display name (server `roster`); kept for players outside the AOI too. */
+    this.names = new Map()
+
     // Interpolation settings (client-only presentation)
     this.interpDelayMs = 150
     this.maxExtrapMs = 250
     this.maxSpeed = 14 // m/s clamp for extrap (prevents huge teleports)
 
+    // Avatars leave via server `aoi` messages; this only catches a missed leave (or an older server).
+    this.staleMs = 3000
+
     this._matA = new THREE.MeshStandardMaterial({ color: 0x7aa7ff, roughness: 0.8, metalness: 0.1, flatShading: true })
     this._matB = new THREE.MeshStandardMaterial({ color: 0xffb06a, roughness: 0.9, metalness: 0.0, flatShading: true })
     this._geo = new THREE.CapsuleGeometry(0.35, 1.2, 4, 8)
@@ -38,38 +49,124 @@ export class RemotePlayersManager {
     root.add(mesh)
 
     this.scene.add(root)
-    p = { root, mesh, samples: [], lastSeenAt: 0 }
+    p = { root, mesh, plate: null, samples: [], lastSeenAt: 0 }
     this.players.set(id, p)
+    this._setPlate(p, this.names.get(id))
     return p
   }
 
+  _remove(id) {
+    const p = this.players.get(id)
+    if (!p) return
+    p.root.removeFromParent()
+    this._disposePlate(p)
+    this.players.delete(id)
+  }
+
+  /** Billboard sprite with the player's name (canvas texture). */
+  _makePlate(name) {
+    const canvas = document.createElement('canvas')
+    const ctx = canvas.getContext('2d')
+    const font = '600 40px system-ui, sans-serif'
+    ctx.font = font
+    const w = Math.ceil(ctx.measureText(name).width) + 32
+    canvas.width = w
+    canvas.height = 60
+    ctx.font = font
+    ctx.fillStyle = 'rgba(0,0,0,0.45)'
+    ctx.beginPath()
+    ctx.roundRect(0, 0, w, 60, 16)
+    ctx.fill()
+    ctx.fillStyle = '#fff2dd'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillText(name, w / 2, 32)
+
+    const tex = new THREE.CanvasTexture(canvas)
+    tex.colorSpace = THREE.SRGBColorSpace
+    const mat = new THREE.SpriteMaterial({ map: tex, transparent: true, depthWrite: false })
+    const sprite = new THREE.Sprite(mat)
+    const h = 0.32
+    sprite.scale.set((h * w) / 60, h, 1)
+    sprite.position.y = 2.05
+    sprite.renderOrder = 10
+    return sprite
+  }
+
+  _disposePlate(p) {
+    if (!p.plate) return
+    p.plate.removeFromParent()
+    p.plate.material.map?.dispose()
+    p.plate.material.dispose()
+    p.plate = null
+  }
+
+  _setPlate(p, name) {
+    if (p.plate?.userData.name === name) return
+    this._disposePlate(p)
+    if (!name) return
+    p.plate = this._makePlate(name)
+    p.plate.userData.name = name
+    p.root.add(p.plate)
+  }
+
+  /**
+   * Roster from the server: `full` replaces the known names, otherwise join/leave deltas.
+   * @param {{full?: boolean, join?: Array<{id: string, name: string}>, leave?: string[]}} msg
+   */
+  applyRoster({ full, join, leave }) {
+    if (full) this.names.clear()
+    for (const id of leave || []) this.names.delete(String(id))
+    for (const e of join || []) {
+      if (e?.id && e?.name) this.names.set(String(e.id), String(e.name))
+    }
+    for (const [id, p] of this.players) this._setPlate(p, this.names.get(id))
+  }
+
+  getName(id) {
+    return this.names.get(id) || null
+  }
+
+  /**
+   * Area-of-interest changes from the server (sent before the snapshot that reflects them).
+   * Snapshots only carry players inside the AOI, so a leave is final until the next enter.
+   */
+  applyAoi({ meId, enter, leave }) {
+    for (const id of leave || []) this._remove(String(id))
+    // Re-entering: start from fresh samples instead of interpolating from where it left.
+    for (const id of enter || []) {
+      if (String(id) !== meId) this._remove(String(id))
+    }
+  }
+
+  /**
+   * Accepts any snapshot encoding the server speaks: objects (JSON v1 and binary v2,
+   * already decoded by WsClient) or compact tuples `[id,x,y,z,yaw]`.
+   * Returns the normalized player list (including the local player).
+   */
   applySnapshot({ meId, players }) {
     const now = performance.now()
     if (this._debug.lastSnapAt) this._debug.snapDtMs = now - this._debug.lastSnapAt
     this._debug.lastSnapAt = now
 
-    const seen = new Set()
-    for (const pl of players || []) {
+    const list = Array.isArray(players)
+      ? players.map((p) => (Array.isArray(p) ? { id: p[0], x: p[1], y: p[2], z: p[3], yaw: p[4] } : p))
+      : []
+
+    for (const pl of list) {
       if (!pl?.id || pl.id === meId) continue
       const p = this._ensure(pl.id)
       const x = Number(pl.x || 0)
+      const y = Number(pl.y || 0)
       const z = Number(pl.z || 0)
       const yaw = Number(pl.yaw || 0)
 
       p.lastSeenAt = now
-      p.samples.push({ t: now, x, z, yaw })
+      p.samples.push({ t: now, x, y, z, yaw })
       // keep short history
       if (p.samples.length > 40) p.samples.splice(0, p.samples.length - 40)
-
-      seen.add(pl.id)
-    }
-
-    for (const [id, p] of this.players) {
-      if (!seen.has(id)) {
-        p.root.removeFromParent()
-        this.players.delete(id)
-      }
     }
+    return list
   }
 
   _lerpAngle(a, b, t) {
@@ -80,11 +177,17 @@ export class RemotePlayersManager {
     return a + d * t
   }
 
-  update(dt) {
+  /** @param {number} dt @param {THREE.Vector3} [viewPos] camera position (nameplate fade) */
+  update(dt, viewPos) {
     const now = performance.now()
     const targetT = now - this.interpDelayMs
 
-    for (const p of this.players.values()) {
+    for (const [id, p] of this.players) {
+      if (now - p.lastSeenAt > this.staleMs) {
+        this._remove(id)
+        continue
+      }
+
       const s = p.samples
       if (!s || s.length === 0) continue
 
@@ -103,12 +206,14 @@ export class RemotePlayersManager {
       if (!b) b = s[s.length - 1]
 
       let x = a.x
+      let y = a.y
       let z = a.z
       let yaw = a.yaw
 
       if (a && b && b.t !== a.t && targetT >= a.t && targetT <= b.t) {
         const t = (targetT - a.t) / (b.t - a.t)
         x = a.x + (b.x - a.x) * t
+        y = a.y + (b.y - a.y) * t
         z = a.z + (b.z - a.z) * t
         yaw = this._lerpAngle(a.yaw, b.yaw, t)
       } else {
@@ -124,9 +229,11 @@ export class RemotePlayersManager {
           const clamp = sp > this.maxSpeed ? this.maxSpeed / sp : 1
           x = last.x + vx * clamp * (aheadMs / 1000)
           z = last.z + vz * clamp * (aheadMs / 1000)
+          y = last.y
           yaw = last.yaw
         } else {
           x = last.x
+          y = last.y
           z = last.z
           yaw = last.yaw
         }
@@ -142,8 +249,16 @@ export class RemotePlayersManager {
         z = p.root.position.z + (dz / d) * maxStep
       }
 
-      p.root.position.set(x, 0, z)
+      // Snapshot y is eye height; the avatar stands on the ground below it.
+      p.root.position.set(x, y - MOVEMENT.eyeHeight, z)
       p.root.rotation.y = yaw
+
+      if (p.plate && viewPos) {
+        const dist = p.root.position.distanceTo(viewPos)
+        const a = 1 - (dist - NAMEPLATE_NEAR) / (NAMEPLATE_FAR - NAMEPLATE_NEAR)
+        p.plate.material.opacity = Math.max(0, Math.min(1, a))
+        p.plate.visible = a > 0
+      }
     }
   }
 
@@ -154,8 +269,12 @@ export class RemotePlayersManager {
   }
 
   clear() {
-    for (const p of this.players.values()) p.root.removeFromParent()
+    for (const p of this.players.values()) {
+      p.root.removeFromParent()
+      this._disposePlate(p)
+    }
     this.players.clear()
+    this.names.clear()
     this._debug.lastSnapAt = 0
     this._debug.snapDtMs = 0
   }
@@ -1,4 +1,5 @@
 import * as THREE from 'three'
+import { buildRiverPath, RIVER } from '@jarvis-woodcutter-fps/shared'
 
 export class RiverManager {
   /** @param {{scene:THREE.Scene}} params */
@@ -10,13 +11,10 @@ export class RiverManager {
     this._group = new THREE.Group()
     this._mesh = null
 
-    /** @type {{x:number,z:number,r:number}[]} */
-    this._colliders = []
-
     // params
-    this.radius = 95
-    this.width = 8
-    this.segments = 220
+    this.radius = RIVER.radius
+    this.width = RIVER.width
+    this.segments = RIVER.segments
 
     this._t = 0
   }
@@ -25,33 +23,17 @@ export class RiverManager {
     this._group.removeFromParent()
     this._group = new THREE.Group()
     this._mesh = null
-    this._colliders = []
   }
 
   /** @param {{radius?:number,width?:number,segments?:number}} opts */
-  init({ radius = 95, width = 8, segments = 220 } = {}) {
+  init({ radius = RIVER.radius, width = RIVER.width, segments = RIVER.segments } = {}) {
     this.resetAll()
     this.radius = radius
     this.width = width
     this.segments = segments
 
-    // Generate a closed loop around the playable area (serpentine circle).
-    const pts = []
-    const R = radius
-    // More serpentine: multi-frequency wobble.
-    const amp1 = 6.2
-    const amp2 = 3.4
-    const amp3 = 1.8
-
-    for (let i = 0; i <= segments; i++) {
-      const a = (i / segments) * Math.PI * 2
-      const wob =
-        Math.sin(a * 2.2 + 0.4) * amp1 +
-        Math.sin(a * 5.6 + 1.7) * amp2 +
-        Math.sin(a * 11.3 + 2.4) * amp3
-      const rr = R + wob
-      pts.push(new THREE.Vector3(Math.cos(a) * rr, 0, Math.sin(a) * rr))
-    }
+    // Closed serpentine loop around the starting area (shared path; shallow, walkable bed).
+    const pts = buildRiverPath({ radius, segments }).map((p) => new THREE.Vector3(p.x, 0, p.z))
 
     // Build strip geometry (2 verts per point).
     const up = new THREE.Vector3(0, 1, 0)
@@ -84,36 +66,6 @@ export class RiverManager {
       pos[o + 3] = p.x + r.x
       pos[o + 4] = y
       pos[o + 5] = p.z + r.z
-
-      // Colliders along inner edge (block leaving map).
-      // Use dense coverage + midpoints + two slightly offset bands to avoid diagonal "leaks".
-      // Inward direction is towards the origin (approx center of the river loop).
-      const pushBands = (px, pz) => {
-        const inward = new THREE.Vector3(-px, 0, -pz).normalize()
-
-        // Band A: closer to the inner shoreline (stronger).
-        {
-          const off = hw * 0.15
-          this._colliders.push({ x: px + inward.x * off, z: pz + inward.z * off, r: hw * 0.62 })
-        }
-
-        // Band B: deeper, slightly smaller (fills gaps between A circles).
-        {
-          const off = hw * 0.62
-          this._colliders.push({ x: px + inward.x * off, z: pz + inward.z * off, r: hw * 0.50 })
-        }
-      }
-
-      // Point collider
-      pushBands(p.x, p.z)
-
-      // Midpoint collider between this point and next point (halves the gap).
-      if (i < segments) {
-        const pn = pts[i + 1]
-        const mx = (p.x + pn.x) * 0.5
-        const mz = (p.z + pn.z) * 0.5
-        pushBands(mx, mz)
-      }
     }
 
     const idx = []
@@ -153,11 +105,6 @@ export class RiverManager {
     this.scene.add(this._group)
   }
 
-  /** @returns {{x:number,z:number,r:number}[]} */
-  getColliders() {
-    return this._colliders
-  }
-
   /** @param {number} dt */
   update(dt) {
     if (!this.enabled) return
@@ -1,5 +1,5 @@
 import * as THREE from 'three'
-import { mulberry32 } from './util.js'
+import { disposeObject3D, mulberry32 } from './util.js'
 
 function makeRockMesh(rng) {
   const g = new THREE.DodecahedronGeometry(0.22 + rng() * 0.18, 0)
@@ -27,43 +27,57 @@ function makeRockMesh(rng) {
 }
 
 export class RockManager {
-  /** @param {{scene: THREE.Scene}} params */
-  constructor({ scene }) {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
     this.scene = scene
+    this.getHeightAt = getHeightAt
     this._rocks = new Map() // id -> mesh
     this._rocksByChunk = new Map() // "cx:cz" -> Set<id>
     this._raycaster = new THREE.Raycaster()
     this._raycaster.far = 2.5
     // Client timer respawn is disabled for world-authoritative rocks.
     this._respawnSec = 20.0
-    this._idCounter = 1
-
-    // Must match server wsServer.ts
-    this._chunkSize = 32
   }
 
-  init({ seed = 42, count = 28, radius = 45 } = {}) {
-    const rng = mulberry32(seed)
-    for (let i = 0; i < count; i++) {
-      const id = String(this._idCounter++)
-      const mesh = makeRockMesh(rng)
+  /**
+   * Builds the rocks of one chunk from its procedural layout (shared `generateChunk`).
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @param {Array<{id:string, x:number, z:number, rot:number, seed:number}>} spawns
+   */
+  loadChunk(chunkX, chunkZ, spawns) {
+    const ck = `${chunkX}:${chunkZ}`
+    if (this._rocksByChunk.has(ck)) return
+    const ids = new Set()
+
+    for (const sp of spawns) {
+      const id = String(sp.id)
+      const mesh = makeRockMesh(mulberry32(sp.seed))
       mesh.userData.id = id
-
-      const ang = rng() * Math.PI * 2
-      const r = (0.15 + rng() * 0.85) * radius
-      mesh.position.set(Math.cos(ang) * r, 0.02, Math.sin(ang) * r)
-
-      const cx = Math.floor(mesh.position.x / this._chunkSize)
-      const cz = Math.floor(mesh.position.z / this._chunkSize)
-      mesh.userData.chunkX = cx
-      mesh.userData.chunkZ = cz
-      const ck = `${cx}:${cz}`
-      if (!this._rocksByChunk.has(ck)) this._rocksByChunk.set(ck, new Set())
-      this._rocksByChunk.get(ck).add(id)
+      mesh.position.set(sp.x, this.getHeightAt(sp.x, sp.z) + 0.02, sp.z)
+      mesh.userData.chunkX = chunkX
+      mesh.userData.chunkZ = chunkZ
+      ids.add(id)
 
       this.scene.add(mesh)
       this._rocks.set(id, mesh)
     }
+    this._rocksByChunk.set(ck, ids)
+  }
+
+  unloadChunk(chunkX, chunkZ) {
+    const ck = `${chunkX}:${chunkZ}`
+    const ids = this._rocksByChunk.get(ck)
+    if (!ids) return
+    for (const id of ids) {
+      const mesh = this._rocks.get(id)
+      if (mesh) {
+        this.scene.remove(mesh)
+        disposeObject3D(mesh)
+      }
+      this._rocks.delete(id)
+    }
+    this._rocksByChunk.delete(ck)
   }
 
   update(dt) {
@@ -111,7 +125,8 @@ export class RockManager {
     while (obj && !obj.userData?.id && obj.parent) obj = obj.parent
     const rockId = obj?.userData?.id
     if (!rockId) return null
-    return { rockId, distance: hit.distance, point: hit.point?.clone?.() }
+    // Root position: the server files the event under the rock's own chunk.
+    return { rockId, distance: hit.distance, point: hit.point?.clone?.(), x: obj.position.x, z: obj.position.z }
   }
 
   collect(rockId, { world = false } = {}) {
@@ -66,6 +66,17 @@ export class Sfx {
     else this._beep({ freq: 660, bendTo: 520, dur: 0.03, type: 'sine', gain: 0.06 })
   }
 
+  splash() {
+    // bobber hits the water
+    this._beep({ freq: 300, bendTo: 120, dur: 0.12, type: 'sine', gain: 0.14 })
+  }
+
+  bite() {
+    // two quick plops: a fish took the bait
+    this._beep({ freq: 540, bendTo: 260, dur: 0.06, type: 'sine', gain: 0.16 })
+    this._beep({ freq: 720, bendTo: 300, dur: 0.08, type: 'triangle', gain: 0.12 })
+  }
+
   click() {
     this._beep({ freq: 260, bendTo: 200, dur: 0.045, type: 'sine', gain: 0.12 })
   }
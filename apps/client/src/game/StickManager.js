@@ -1,5 +1,5 @@
 import * as THREE from 'three'
-import { mulberry32 } from './util.js'
+import { disposeObject3D, mulberry32 } from './util.js'
 
 function makeStickMesh(rng) {
   const group = new THREE.Group()
@@ -41,43 +41,56 @@ function makeStickMesh(rng) {
 }
 
 export class StickManager {
-  /** @param {{scene: THREE.Scene}} params */
-  constructor({ scene }) {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
     this.scene = scene
+    this.getHeightAt = getHeightAt
     this._sticks = new Map() // id -> group
     this._sticksByChunk = new Map() // "cx:cz" -> Set<id>
     this._raycaster = new THREE.Raycaster()
     this._raycaster.far = 2.5
-
-    // Must match server wsServer.ts
-    this._chunkSize = 32
-
-    this._idCounter = 1
   }
 
-  init({ seed = 777, count = 40, radius = 45 } = {}) {
-    const rng = mulberry32(seed)
-    for (let i = 0; i < count; i++) {
-      const id = String(this._idCounter++)
-      const mesh = makeStickMesh(rng)
+  /**
+   * Builds the sticks of one chunk from its procedural layout (shared `generateChunk`).
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @param {Array<{id:string, x:number, z:number, rot:number, seed:number}>} spawns
+   */
+  loadChunk(chunkX, chunkZ, spawns) {
+    const ck = `${chunkX}:${chunkZ}`
+    if (this._sticksByChunk.has(ck)) return
+    const ids = new Set()
+
+    for (const sp of spawns) {
+      const id = String(sp.id)
+      const mesh = makeStickMesh(mulberry32(sp.seed))
       mesh.userData.id = id
-
-      const ang = rng() * Math.PI * 2
-      const r = (0.15 + rng() * 0.85) * radius
-      mesh.position.set(Math.cos(ang) * r, 0.02, Math.sin(ang) * r)
-      mesh.rotation.y = rng() * Math.PI * 2
-
-      const cx = Math.floor(mesh.position.x / this._chunkSize)
-      const cz = Math.floor(mesh.position.z / this._chunkSize)
-      mesh.userData.chunkX = cx
-      mesh.userData.chunkZ = cz
-      const ck = `${cx}:${cz}`
-      if (!this._sticksByChunk.has(ck)) this._sticksByChunk.set(ck, new Set())
-      this._sticksByChunk.get(ck).add(id)
+      mesh.position.set(sp.x, this.getHeightAt(sp.x, sp.z) + 0.02, sp.z)
+      mesh.rotation.y = sp.rot
+      mesh.userData.chunkX = chunkX
+      mesh.userData.chunkZ = chunkZ
+      ids.add(id)
 
       this.scene.add(mesh)
       this._sticks.set(id, mesh)
     }
+    this._sticksByChunk.set(ck, ids)
+  }
+
+  unloadChunk(chunkX, chunkZ) {
+    const ck = `${chunkX}:${chunkZ}`
+    const ids = this._sticksByChunk.get(ck)
+    if (!ids) return
+    for (const id of ids) {
+      const mesh = this._sticks.get(id)
+      if (mesh) {
+        this.scene.remove(mesh)
+        disposeObject3D(mesh)
+      }
+      this._sticks.delete(id)
+    }
+    this._sticksByChunk.delete(ck)
   }
 
   update(dt) {
@@ -114,7 +127,8 @@ export class StickManager {
     const stickId = obj?.userData?.id
     if (!stickId) return null
 
-    return { stickId: String(stickId), distance: hits[0].distance, point: hits[0].point?.clone?.() }
+    // Root position: the server files the event under the stick's own chunk.
+    return { stickId: String(stickId), distance: hits[0].distance, point: hits[0].point?.clone?.(), x: obj.position.x, z: obj.position.z }
   }
 
   collect(stickId, { world = false } = {}) {
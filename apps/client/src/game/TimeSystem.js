@@ -1,3 +1,4 @@
+import { DAY_CYCLE } from '@jarvis-woodcutter-fps/shared'
 import { clamp } from './util.js'
 
 function pad2(n) {
@@ -23,12 +24,12 @@ export class TimeSystem {
    */
   constructor({ startHours = 9.0 } = {}) {
     // Conventional sunrise/sunset (for blending + UI).
-    this.sunrise = 6
-    this.sunset = 18
+    this.sunrise = DAY_CYCLE.sunrise
+    this.sunset = DAY_CYCLE.sunset
 
     // Real seconds per segment.
-    this.realDaySeconds = 15 * 60
-    this.realNightSeconds = 5 * 60
+    this.realDaySeconds = DAY_CYCLE.realDaySeconds
+    this.realNightSeconds = DAY_CYCLE.realNightSeconds
 
     // In-game hours per segment.
     this.dayHours = 12 // 06 -> 18
@@ -51,6 +52,12 @@ export class TimeSystem {
     this.norm = this.hours / 24
   }
 
+  /** Jump to the server's world clock (`worldHoursAt`), so night matches the server's wolves. */
+  setHours(hours) {
+    this.hours = (((Number(hours) || 0) % 24) + 24) % 24
+    this.norm = this.hours / 24
+  }
+
   getHHMM() {
     const h = Math.floor(this.hours) % 24
     const m = Math.floor((this.hours - h) * 60)
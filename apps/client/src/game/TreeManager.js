@@ -1,5 +1,5 @@
 import * as THREE from 'three'
-import { mulberry32 } from './util.js'
+import { disposeObject3D, mulberry32 } from './util.js'
 
 function easeOutCubic(t) {
   return 1 - Math.pow(1 - t, 3)
@@ -53,9 +53,10 @@ function makeTreeMesh(rng) {
 }
 
 export class TreeManager {
-  /** @param {{scene: THREE.Scene}} params */
-  constructor({ scene }) {
+  /** @param {{scene: THREE.Scene, getHeightAt?: (x: number, z: number) => number}} params */
+  constructor({ scene, getHeightAt = () => 0 }) {
     this.scene = scene
+    this.getHeightAt = getHeightAt
 
     this._trees = new Map() // id -> { mesh, collider }
     this._treesByChunk = new Map() // "cx:cz" -> Set<id>
@@ -63,25 +64,28 @@ export class TreeManager {
     this._raycaster.far = 5
 
     this._respawnSec = 5.0
-    this._idCounter = 1
-
-    // Must match server wsServer.ts
-    this._chunkSize = 32
 
     this._tmpVec = new THREE.Vector3()
   }
 
-  init({ seed = 1, count = 30, radius = 35 } = {}) {
-    const rng = mulberry32(seed)
-
-    for (let i = 0; i < count; i++) {
-      const id = String(this._idCounter++)
-      const mesh = makeTreeMesh(rng)
-
-      const ang = rng() * Math.PI * 2
-      const r = (0.25 + rng() * 0.75) * radius
-      mesh.position.set(Math.cos(ang) * r, 0, Math.sin(ang) * r)
-      mesh.rotation.y = rng() * Math.PI * 2
+  /**
+   * Builds the trees of one chunk from its procedural layout (shared `generateChunk`).
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @param {Array<{id:string, x:number, z:number, rot:number, seed:number}>} spawns
+   */
+  loadChunk(chunkX, chunkZ, spawns) {
+    const ck = `${chunkX}:${chunkZ}`
+    if (this._treesByChunk.has(ck)) return
+    const ids = new Set()
+
+    for (const sp of spawns) {
+      const id = String(sp.id)
+      // Shape comes from the spawn's own seed: same tree for every player.
+      const mesh = makeTreeMesh(mulberry32(sp.seed))
+      mesh.position.set(sp.x, this.getHeightAt(sp.x, sp.z), sp.z)
+      mesh.userData.baseY = mesh.position.y
+      mesh.rotation.y = sp.rot
 
       // Collider approx: sphere around trunk center (for raycast grouping)
       const trunkH = mesh.userData.trunkH
@@ -89,19 +93,30 @@ export class TreeManager {
       const sph = new THREE.Sphere(mesh.position.clone().add(new THREE.Vector3(0, trunkH * 0.8, 0)), Math.max(0.5, leafR * 0.75))
 
       mesh.userData.id = id
-
-      const cx = Math.floor(mesh.position.x / this._chunkSize)
-      const cz = Math.floor(mesh.position.z / this._chunkSize)
-      mesh.userData.chunkX = cx
-      mesh.userData.chunkZ = cz
-      const ck = `${cx}:${cz}`
-      if (!this._treesByChunk.has(ck)) this._treesByChunk.set(ck, new Set())
-      this._treesByChunk.get(ck).add(id)
+      mesh.userData.chunkX = chunkX
+      mesh.userData.chunkZ = chunkZ
+      ids.add(id)
 
       this.scene.add(mesh)
 
       this._trees.set(id, { mesh, sphere: sph })
     }
+    this._treesByChunk.set(ck, ids)
+  }
+
+  unloadChunk(chunkX, chunkZ) {
+    const ck = `${chunkX}:${chunkZ}`
+    const ids = this._treesByChunk.get(ck)
+    if (!ids) return
+    for (const id of ids) {
+      const item = this._trees.get(id)
+      if (item) {
+        this.scene.remove(item.mesh)
+        disposeObject3D(item.mesh)
+      }
+      this._trees.delete(id)
+    }
+    this._treesByChunk.delete(ck)
   }
 
   update(dt) {
@@ -178,7 +193,8 @@ export class TreeManager {
     if (!obj?.userData?.id) return null
 
     const treeId = obj.userData.id
-    return { treeId, distance: hit.distance, point: hit.point.clone() }
+    // Root position: the server files the event under the tree's own chunk.
+    return { treeId, distance: hit.distance, point: hit.point.clone(), x: obj.position.x, z: obj.position.z }
   }
 
   chop(treeId, playerPos) {
@@ -312,7 +328,7 @@ export class TreeManager {
     mesh.scale.set(1, 1, 1)
     mesh.rotation.x = 0
     mesh.rotation.z = 0
-    mesh.position.y = 0
+    mesh.position.y = mesh.userData.baseY ?? 0
 
     for (const child of mesh.children) child.visible = true
   }
@@ -1,3 +1,12 @@
+/** Texts of the chest panel (`showChest`); loot bags pass their own. */
+const CHEST_VIEW = {
+  title: 'Baú',
+  hint: 'Só o dono (e quem ele compartilhar) pode abrir este baú. Arraste itens entre inventário e baú.',
+  block: 'Baú',
+  size: '15 slots',
+  footer: 'Recolher/destruir só quando estiver vazio.',
+}
+
 export class UI {
   setNetDebug(text) {
     if (!this.els?.perfEl) return
@@ -129,7 +138,7 @@ export class UI {
     return `Dur: ${dur ?? '-'}`
   }
 
-  /** @param {{scoreEl: HTMLElement, toastEl: HTMLElement, hudEl: HTMLElement, menuEl: HTMLElement, pauseEl: HTMLElement, controlsEl: HTMLElement, inventoryEl: HTMLElement, invGridEl: HTMLElement, invHintEl?: HTMLElement, invEquipGridEl?: HTMLElement, invBuffLineEl?: HTMLElement, luckHudLineEl?: HTMLElement, forgeEl: HTMLElement, forgeFuelEl: HTMLElement, forgeInEl: HTMLElement, forgeOutEl: HTMLElement, forgeInvGridEl: HTMLElement, chestEl?: HTMLElement, chestInvGridEl?: HTMLElement, chestSlotsEl?: HTMLElement, forgeTableEl: HTMLElement, forgeTableListEl: HTMLElement, actionWheelEl: HTMLElement, craftingEl: HTMLElement, craftListEl: HTMLElement, clockEl: HTMLElement, timeMarkerEl: HTMLElement, icoSunEl: HTMLElement, icoMoonEl: HTMLElement, perfEl: HTMLElement, perfFpsEl: HTMLElement, perfMsEl: HTMLElement, perfMemRowEl: HTMLElement, perfMemEl: HTMLElement, hitmarkerEl?: HTMLElement, loadingEl?: HTMLElement, loadingHintEl?: HTMLElement, loadingBarFillEl?: HTMLElement}} els */
+  /** @param {{scoreEl: HTMLElement, toastEl: HTMLElement, hudEl: HTMLElement, menuEl: HTMLElement, pauseEl: HTMLElement, controlsEl: HTMLElement, inventoryEl: HTMLElement, invGridEl: HTMLElement, invHintEl?: HTMLElement, invEquipGridEl?: HTMLElement, invBuffLineEl?: HTMLElement, luckHudLineEl?: HTMLElement, survivalHudEl?: HTMLElement, hungerFillEl?: HTMLElement, staminaFillEl?: HTMLElement, healthRowEl?: HTMLElement, healthFillEl?: HTMLElement, damageFlashEl?: HTMLElement, fishingHudEl?: HTMLElement, fishingLabelEl?: HTMLElement, fishingReelFillEl?: HTMLElement, fishingTensionFillEl?: HTMLElement, deathEl?: HTMLElement, deathCauseEl?: HTMLElement, forgeEl: HTMLElement, forgeFuelEl: HTMLElement, forgeInEl: HTMLElement, forgeOutEl: HTMLElement, forgeInvGridEl: HTMLElement, campfireEl?: HTMLElement, campfireInvGridEl?: HTMLElement, campfireCookEl?: HTMLElement, campfireOutEl?: HTMLElement, chestEl?: HTMLElement, chestInvGridEl?: HTMLElement, chestSlotsEl?: HTMLElement, chestShareEl?: HTMLElement, chestSharePublicEl?: HTMLInputElement, chestShareListEl?: HTMLElement, claimPanelEl?: HTMLElement, claimTitleEl?: HTMLElement, claimTrustListEl?: HTMLElement, forgeTableEl: HTMLElement, forgeTableListEl: HTMLElement, actionWheelEl: HTMLElement, craftingEl: HTMLElement, craftListEl: HTMLElement, clockEl: HTMLElement, timeMarkerEl: HTMLElement, icoSunEl: HTMLElement, icoMoonEl: HTMLElement, perfEl: HTMLElement, perfFpsEl: HTMLElement, perfMsEl: HTMLElement, perfMemRowEl: HTMLElement, perfMemEl: HTMLElement, hitmarkerEl?: HTMLElement, loadingEl?: HTMLElement, loadingHintEl?: HTMLElement, loadingBarFillEl?: HTMLElement, chatEl?: HTMLElement, chatLogEl?: HTMLElement, chatFormEl?: HTMLElement, chatInputEl?: HTMLInputElement, chatChannelEl?: HTMLElement}} els */
   constructor(els) {
     this.els = els
     this._toastUntil = 0
@@ -174,6 +183,96 @@ export class UI {
     this._toastUntil = performance.now() + ms
   }
 
+  // ----------------- chat -----------------
+
+  /**
+   * Wires the chat input. Keys typed there never reach the game (Game/Player skip `isChatTarget`).
+   * @param {{onSubmit:(text:string)=>void, onClose:()=>void, onToggleChannel:()=>void}} handlers
+   */
+  bindChat({ onSubmit, onClose, onToggleChannel }) {
+    const input = this.els.chatInputEl
+    if (!input) return
+    input.addEventListener('keydown', (e) => {
+      if (e.code === 'Enter' || e.code === 'NumpadEnter') {
+        e.preventDefault()
+        onSubmit(input.value)
+      } else if (e.code === 'Escape') {
+        e.preventDefault()
+        onClose()
+      } else if (e.code === 'Tab') {
+        e.preventDefault()
+        onToggleChannel()
+      }
+    })
+    this.els.chatChannelEl?.addEventListener('click', () => {
+      onToggleChannel()
+      input.focus()
+    })
+  }
+
+  /** True for events coming from the chat overlay (its input/buttons). */
+  isChatTarget(target) {
+    return !!(this.els.chatEl && target instanceof Node && this.els.chatEl.contains(target))
+  }
+
+  isChatOpen() {
+    return !!this.els.chatEl?.classList.contains('open')
+  }
+
+  /** @param {'proximity'|'global'} channel */
+  setChatChannel(channel) {
+    const el = this.els.chatChannelEl
+    if (el) el.textContent = channel === 'global' ? 'Global' : 'Perto'
+  }
+
+  /** @param {'proximity'|'global'} channel */
+  openChat(channel) {
+    const { chatEl, chatFormEl, chatInputEl, chatLogEl } = this.els
+    if (!chatEl || !chatInputEl) return
+    this.setChatChannel(channel)
+    chatEl.classList.add('open')
+    chatFormEl?.classList.remove('hidden')
+    if (chatLogEl) chatLogEl.scrollTop = chatLogEl.scrollHeight
+    chatInputEl.focus()
+  }
+
+  closeChat() {
+    const { chatEl, chatFormEl, chatInputEl } = this.els
+    chatEl?.classList.remove('open')
+    chatFormEl?.classList.add('hidden')
+    if (chatInputEl) {
+      chatInputEl.value = ''
+      chatInputEl.blur()
+    }
+  }
+
+  /**
+   * Appends a line to the chat log (oldest dropped past 50). Lines fade after a few seconds
+   * while the chat is closed.
+   * @param {{channel:'proximity'|'global'|'system', from?:string, text:string}} line
+   */
+  addChatLine({ channel, from, text }) {
+    const log = this.els.chatLogEl
+    if (!log) return
+    const row = document.createElement('div')
+    row.className = `chatLine ${channel}`
+    if (channel === 'system') {
+      row.textContent = String(text || '')
+    } else {
+      const ch = document.createElement('span')
+      ch.className = 'chatCh'
+      ch.textContent = channel === 'global' ? '[G]' : '[P]'
+      const who = document.createElement('span')
+      who.className = 'chatFrom'
+      who.textContent = `${from || '?'}:`
+      row.append(ch, who, document.createTextNode(String(text || '')))
+    }
+    log.appendChild(row)
+    while (log.childElementCount > 50) log.firstElementChild?.remove()
+    log.scrollTop = log.scrollHeight
+    window.setTimeout(() => row.classList.add('faded'), 10_000)
+  }
+
   update() {
     const now = performance.now()
     if (this._toastUntil && now > this._toastUntil) {
@@ -191,6 +290,7 @@ export class UI {
   showMenu() {
     document.body.classList.add('state-menu')
     this.els.menuEl.classList.remove('hidden')
+    this.els.deathEl?.classList.add('hidden')
     this.els.pauseEl.classList.add('hidden')
     this.els.controlsEl.classList.add('hidden')
     this.els.hudEl.classList.add('hidden')
@@ -229,6 +329,7 @@ export class UI {
 
     document.body.classList.remove('state-menu')
     document.body.classList.remove('forge-open')
+    document.body.classList.remove('campfire-open')
     document.body.classList.remove('chest-open')
     this.els.menuEl.classList.add('hidden')
     this.els.pauseEl.classList.add('hidden')
@@ -236,6 +337,7 @@ export class UI {
     this.els.inventoryEl.classList.add('hidden')
     this.els.craftingEl.classList.add('hidden')
     this.els.forgeEl.classList.add('hidden')
+    this.els.campfireEl?.classList.add('hidden')
     this.els.chestEl?.classList.add('hidden')
     this.els.forgeTableEl.classList.add('hidden')
     this.els.hudEl.classList.remove('hidden')
@@ -246,6 +348,7 @@ export class UI {
     this.els.controlsEl.classList.remove('hidden')
     this.els.inventoryEl.classList.add('hidden')
     this.els.forgeEl.classList.add('hidden')
+    this.els.campfireEl?.classList.add('hidden')
     this.els.chestEl?.classList.add('hidden')
     this.els.menuEl.classList.add('hidden')
     this.els.pauseEl.classList.add('hidden')
@@ -257,6 +360,7 @@ export class UI {
     this.els.inventoryEl.classList.remove('hidden')
     this.els.craftingEl.classList.add('hidden')
     this.els.controlsEl.classList.add('hidden')
+    this.els.campfireEl?.classList.add('hidden')
     this.els.chestEl?.classList.add('hidden')
     this.els.menuEl.classList.add('hidden')
     this.els.pauseEl.classList.add('hidden')
@@ -275,6 +379,7 @@ export class UI {
 
     // Single forge panel: embedded inventory on the left.
     this.els.forgeEl.classList.remove('hidden')
+    this.els.campfireEl?.classList.add('hidden')
     this.els.chestEl?.classList.add('hidden')
     this.els.inventoryEl.classList.add('hidden')
 
@@ -290,13 +395,45 @@ export class UI {
     this.els.forgeEl.classList.add('hidden')
   }
 
-  showChest() {
+  showCampfire() {
+    document.body.classList.add('campfire-open')
+    document.body.classList.remove('inventory-open')
+    document.body.classList.remove('forge-open')
+    document.body.classList.remove('chest-open')
+
+    // Same layout as the forge: embedded inventory on the left.
+    this.els.campfireEl?.classList.remove('hidden')
+    this.els.forgeEl.classList.add('hidden')
+    this.els.chestEl?.classList.add('hidden')
+    this.els.inventoryEl.classList.add('hidden')
+
+    this.els.craftingEl.classList.add('hidden')
+    this.els.controlsEl.classList.add('hidden')
+    this.els.menuEl.classList.add('hidden')
+    this.els.pauseEl.classList.add('hidden')
+    this.els.hudEl.classList.remove('hidden')
+  }
+
+  hideCampfire() {
+    document.body.classList.remove('campfire-open')
+    this.els.campfireEl?.classList.add('hidden')
+  }
+
+  /** @param {null | {title: string, hint: string, block: string, size: string, footer: string}} view panel texts (default: chest) */
+  showChest(view = null) {
+    const v = view ?? CHEST_VIEW
+    for (const [sel, text] of [['#chestTitle', v.title], ['#chestHint', v.hint], ['#chestBlockTitle', v.block], ['#chestSize', v.size], ['#chestFooter', v.footer]]) {
+      const el = document.querySelector(sel)
+      if (el) el.textContent = text
+    }
+
     document.body.classList.add('chest-open')
     document.body.classList.remove('inventory-open')
     document.body.classList.remove('forge-open')
 
     this.els.chestEl?.classList.remove('hidden')
     this.els.forgeEl.classList.add('hidden')
+    this.els.campfireEl?.classList.add('hidden')
     this.els.inventoryEl.classList.add('hidden')
 
     this.els.craftingEl.classList.add('hidden')
@@ -311,6 +448,86 @@ export class UI {
     this.els.chestEl?.classList.add('hidden')
   }
 
+  showChestShare() {
+    this.els.chestShareEl?.classList.remove('hidden')
+    this.els.chestEl?.classList.add('hidden')
+    this.els.pauseEl.classList.add('hidden')
+    this.els.hudEl.classList.remove('hidden')
+  }
+
+  hideChestShare() {
+    this.els.chestShareEl?.classList.add('hidden')
+  }
+
+  /** @param {{ isPublic: boolean, players: {id:string, name:string, allowed:boolean, online:boolean}[] }} share */
+  renderChestShare({ isPublic, players }) {
+    if (this.els.chestSharePublicEl) this.els.chestSharePublicEl.checked = !!isPublic
+    this._renderPlayerChecklist(this.els.chestShareListEl, players)
+  }
+
+  /** Current form values of the share panel. */
+  readChestShare() {
+    return { isPublic: !!this.els.chestSharePublicEl?.checked, allowed: this._readPlayerChecklist(this.els.chestShareListEl) }
+  }
+
+  showClaimPanel() {
+    this.els.claimPanelEl?.classList.remove('hidden')
+    this.els.pauseEl.classList.add('hidden')
+    this.els.hudEl.classList.remove('hidden')
+  }
+
+  hideClaimPanel() {
+    this.els.claimPanelEl?.classList.add('hidden')
+  }
+
+  /** @param {{ title: string, players: {id:string, name:string, allowed:boolean, online:boolean}[] }} claim */
+  renderClaimPanel({ title, players }) {
+    if (this.els.claimTitleEl) this.els.claimTitleEl.textContent = title
+    this._renderPlayerChecklist(this.els.claimTrustListEl, players)
+  }
+
+  /** Trusted player ids checked in the claim panel. */
+  readClaimPanel() {
+    return { trusted: this._readPlayerChecklist(this.els.claimTrustListEl) }
+  }
+
+  /** Checkbox per player (chest share / claim trust). */
+  _renderPlayerChecklist(list, players) {
+    if (!list) return
+    list.innerHTML = ''
+
+    if (!players.length) {
+      const empty = document.createElement('div')
+      empty.className = 'muted small'
+      empty.textContent = 'Nenhum jogador online no mundo.'
+      list.appendChild(empty)
+      return
+    }
+
+    for (const p of players) {
+      const row = document.createElement('label')
+      row.className = 'shareRow'
+      const cb = document.createElement('input')
+      cb.type = 'checkbox'
+      cb.checked = !!p.allowed
+      cb.setAttribute('data-id', p.id)
+      const name = document.createElement('span')
+      name.textContent = p.name
+      const meta = document.createElement('span')
+      meta.className = 'shareMeta'
+      meta.textContent = p.online ? 'online' : 'offline'
+      row.append(cb, name, meta)
+      list.appendChild(row)
+    }
+  }
+
+  _readPlayerChecklist(list) {
+    return Array.from(list?.querySelectorAll('input[type="checkbox"]') || [])
+      .filter((cb) => cb.checked)
+      .map((cb) => cb.getAttribute('data-id'))
+      .filter(Boolean)
+  }
+
   showForgeTable() {
     document.body.classList.remove('forge-open')
     this.els.forgeTableEl.classList.remove('hidden')
@@ -444,6 +661,93 @@ export class UI {
     }
   }
 
+  renderCampfireInventory(slots, getItem) {
+    const grid = this.els.campfireInvGridEl
+    if (!grid) return
+    grid.innerHTML = ''
+    for (let i = 0; i < slots.length; i++) {
+      const s = slots[i]
+      const cell = document.createElement('div')
+      cell.className = 'invSlot' + (s ? '' : ' invEmpty')
+      cell.dataset.index = String(i)
+
+      if (s) {
+        const item = getItem(s.id)
+        const extra = item.stackable ? `${s.qty} / 100` : this._toolLine(s)
+        cell.innerHTML = `<div class="invTop"><div class="invIcon">${item.icon}</div><div class="invName">${item.name}</div></div><div class="invQty">${extra}</div>`
+      } else {
+        cell.innerHTML = ''
+      }
+
+      grid.appendChild(cell)
+    }
+  }
+
+  /**
+   * @param {{ recipeFor?: (id: string) => null | { output: { id: string, qty: number }, seconds: number } }} meta
+   *   cooking recipe lookup (shared COOKING_RECIPES)
+   */
+  updateCampfireStatus(fire, meta = {}) {
+    const litEl = document.querySelector('#campfireLit')
+    const flame = document.querySelector('#campfireFlame')
+    if (litEl) {
+      const left = Math.max(0, Math.ceil(fire.ttl || 0))
+      const mm = Math.floor(left / 60)
+      const ss = left % 60
+      litEl.textContent = fire.lit ? `Acesa • apaga em ${mm}:${String(ss).padStart(2, '0')}` : 'Apagada: acenda com a tocha para cozinhar.'
+    }
+    if (flame) flame.classList.toggle('on', !!fire.lit)
+
+    // per-slot timers
+    const root = this.els.campfireCookEl
+    if (!root) return
+    for (let i = 0; i < (fire.cook || []).length; i++) {
+      const slotEl = root.children[i]
+      if (!slotEl) continue
+      const s = fire.cook[i]
+      const r = s ? meta.recipeFor?.(s.id) : null
+      const fill = slotEl.querySelector('.forgeBarFill')
+      const time = slotEl.querySelector('.cookTime')
+      const prog = Number(fire.prog?.[i]) || 0
+      if (fill) fill.style.width = r ? `${Math.round(Math.max(0, Math.min(1, prog / r.seconds)) * 100)}%` : '0%'
+      if (time) time.textContent = r ? (fire.lit ? `${Math.max(0, Math.ceil(r.seconds - prog))}s` : 'parado') : s ? 'não cozinha' : ''
+    }
+  }
+
+  renderCampfire(fire, getItem, meta = {}) {
+    const mk = (kind, root, slots) => {
+      if (!root) return
+      root.innerHTML = ''
+      for (let i = 0; i < slots.length; i++) {
+        const s = slots[i]
+        const el = document.createElement('div')
+        el.className = 'forgeSlot' + (s ? '' : ' empty')
+        el.dataset.kind = kind
+        el.dataset.index = String(i)
+
+        if (!s) {
+          el.innerHTML = `<div class="line1"><div class="ico">+</div><div class="qty">vazio</div></div><div class="muted small">&nbsp;</div>`
+        } else {
+          const it = getItem(s.id)
+          const r = kind === 'cook' ? meta.recipeFor?.(s.id) : null
+          const to = r ? getItem(r.output.id) : null
+          const name = to ? `${it?.name ?? s.id} → ${to.icon} ${to.name}` : it?.name ?? s.id
+          el.innerHTML = `<div class="line1"><div class="ico">${it?.icon ?? ''}</div><div class="qty">${s.qty}</div></div><div class="muted small">${name}</div>`
+        }
+        if (kind === 'cook') {
+          el.insertAdjacentHTML('beforeend', `<div class="cookTop"><div class="forgeBar"><div class="forgeBarFill"></div></div><div class="cookTime muted small"></div></div>`)
+        }
+
+        root.appendChild(el)
+      }
+    }
+
+    mk('cook', this.els.campfireCookEl, fire.cook || [])
+    mk('out', this.els.campfireOutEl, fire.output || [])
+
+    this.updateCampfireStatus(fire, meta)
+  }
+
   renderChest(slots, getItem) {
     const root = this.els.chestSlotsEl
     if (!root) return
@@ -468,44 +772,52 @@ export class UI {
     }
   }
 
-  updateForgeStatus(forge, meta = { secondsPerIngot: 10 }) {
+  /**
+   * @param {{ recipeFor?: (id: string) => null | { output: { id: string, qty: number }, seconds: number },
+   *   target?: null | { slot: number, recipe: { input: string, output: { id: string, qty: number }, seconds: number } } }} meta
+   *   smelting recipe lookup and the recipe being smelted now (shared SMELTING_RECIPES)
+   */
+  updateForgeStatus(forge, meta = {}) {
     // status widgets (optional elements)
     const fuelSecs = Math.max(0, Math.floor(forge.burn || 0))
-    const oreCount = (forge.input || []).reduce((a, s) => a + (s?.id === 'iron_ore' ? s.qty : 0), 0)
+    const inCount = (forge.input || []).reduce((a, s) => a + (s && meta.recipeFor?.(s.id) ? s.qty : 0), 0)
+    const target = meta.target ?? null
 
     const fuelStat = document.querySelector('#forgeFuelStat')
     const inStat = document.querySelector('#forgeInStat')
     if (fuelStat) fuelStat.textContent = `Combustível: ${fuelSecs}s`
-    if (inStat) inStat.textContent = `Minério: ${oreCount}`
+    if (inStat) inStat.textContent = `Para fundir: ${inCount}`
 
     const btn = document.querySelector('#btnForgeStart')
     const hint = document.querySelector('#forgeStartHint')
     const flame = document.querySelector('#forgeFlame')
 
     const hasFuel = (forge.fuel || []).some((s) => s && s.qty > 0)
-    const hasOre = (forge.input || []).some((s) => s && s.qty > 0)
+    const canSmelt = !!target
 
     if (btn) {
-      const canStart = hasFuel && hasOre
+      const canStart = hasFuel && canSmelt
       btn.disabled = !canStart
       btn.textContent = forge.enabled ? 'Forja ligada' : 'Iniciar fundição'
       btn.classList.toggle('on', !!forge.enabled)
     }
 
     if (hint) {
-      if (forge.enabled) hint.textContent = 'A forja está ligada. Ela funde enquanto houver combustível e minério.'
-      else hint.textContent = hasFuel && hasOre ? 'Pronto: clique em Iniciar fundição.' : 'Adicione combustível e minério para iniciar.'
+      if (forge.enabled) hint.textContent = 'A forja está ligada. Ela funde enquanto houver combustível e algo para fundir.'
+      else if (hasFuel && canSmelt) hint.textContent = 'Pronto: clique em Iniciar fundição.'
+      else if (inCount > 0 && !canSmelt) hint.textContent = 'Saída cheia: retire os itens prontos.'
+      else hint.textContent = 'Adicione combustível e algo para fundir.'
     }
 
     if (flame) flame.classList.toggle('on', !!forge.enabled && (forge.burn || 0) > 0)
 
     // progress bar
-    const secPer = meta?.secondsPerIngot ?? 10
+    const secPer = target?.recipe?.seconds ?? 0
     const progText = document.querySelector('#forgeProgText')
     const timeLeft = document.querySelector('#forgeTimeLeft')
     const fill = document.querySelector('#forgeBarFill')
 
-    if (forge.enabled && (forge.burn || 0) > 0 && hasOre) {
+    if (forge.enabled && (forge.burn || 0) > 0 && target) {
       const p = Math.max(0, Math.min(1, (forge.prog || 0) / secPer))
       const left = Math.max(0, Math.ceil(secPer - (forge.prog || 0)))
       if (progText) progText.textContent = 'Processando…'
@@ -518,7 +830,7 @@ export class UI {
     }
   }
 
-  renderForge(forge, getItem, meta = { secondsPerIngot: 10 }) {
+  renderForge(forge, getItem, meta = {}) {
     const mk = (kind, root, slots) => {
       root.innerHTML = ''
       for (let i = 0; i < slots.length; i++) {
@@ -544,6 +856,24 @@ export class UI {
     mk('in', this.els.forgeInEl, forge.input)
     mk('out', this.els.forgeOutEl, forge.output)
 
+    // What the current input turns into (one line per distinct input item).
+    const yieldEl = document.querySelector('#forgeYield')
+    if (yieldEl) {
+      const seen = new Set()
+      const lines = []
+      for (const s of forge.input || []) {
+        if (!s || seen.has(s.id)) continue
+        seen.add(s.id)
+        const r = meta.recipeFor?.(s.id)
+        if (!r) continue
+        const from = getItem(s.id)
+        const to = getItem(r.output.id)
+        const now = meta.target?.recipe === r ? ' • fundindo' : ''
+        lines.push(`${from?.icon ?? ''} ${from?.name ?? s.id} → ${to?.icon ?? ''} ${to?.name ?? r.output.id} ×${r.output.qty} (${r.seconds}s)${now}`)
+      }
+      yieldEl.textContent = lines.length ? lines.join('\n') : 'Produz: —'
+    }
+
     this.updateForgeStatus(forge, meta)
   }
 
@@ -583,15 +913,21 @@ export class UI {
     } else if (outId === 'chest') {
       meta.cat = 'Construções'
       meta.desc = 'Armazenamento pessoal para organizar seus itens.'
+    } else if (outId === 'bed') {
+      meta.cat = 'Construções'
+      meta.desc = 'Cama de folhas: depois de morrer, você renasce na última cama que colocou.'
     } else if (outId === 'forge' || outId === 'forge_table') {
       meta.cat = 'Produção'
-      meta.desc = outId === 'forge' ? 'Funde minério usando combustível para produzir barras.' : 'Usa barras para criar ferramentas de metal.'
+      meta.desc = outId === 'forge' ? 'Funde minério, pedra, tronco e areia usando combustível (barras, pedra lisa, carvão e vidro).' : 'Usa barras para criar ferramentas de metal.'
     } else if (outId === 'torch') {
       meta.cat = 'Utilidade'
       meta.desc = 'Fonte de luz portátil.'
     } else if (outId === 'rope') {
       meta.cat = 'Utilidade'
       meta.desc = 'Material básico para futuras receitas.'
+    } else if (outId === 'claim_flag') {
+      meta.cat = 'Utilidade'
+      meta.desc = 'Reivindica o chunk onde você está: só você (e quem você confiar) constrói e cultiva ali.'
     } else if (outId === 'backpack') {
       meta.cat = 'Equipamentos'
       meta.desc = 'Mochila: ao equipar, adiciona +10 slots no inventário.'
@@ -731,6 +1067,21 @@ export class UI {
       return g
     }
 
+    if (id === 'bed') {
+      const g = new THREE.Group()
+      const wood = new THREE.MeshStandardMaterial({ color: 0x5a3a22, roughness: 0.95 })
+      const leaves = new THREE.MeshStandardMaterial({ color: 0x3f6b2f, roughness: 1.0 })
+      const fiber = new THREE.MeshStandardMaterial({ color: 0xc8b88a, roughness: 1.0 })
+      const frame = new THREE.Mesh(new THREE.BoxGeometry(1.1, 0.2, 2.0), wood)
+      frame.position.y = 0.1
+      const mattress = new THREE.Mesh(new THREE.BoxGeometry(0.9, 0.16, 1.8), leaves)
+      mattress.position.y = 0.28
+      const pillow = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.1, 0.32), fiber)
+      pillow.position.set(0, 0.41, -0.65)
+      g.add(frame, mattress, pillow)
+      return g
+    }
+
     if (id === 'campfire') {
       const g = new THREE.Group()
       const wood = new THREE.MeshStandardMaterial({ color: 0x5a351f, roughness: 0.95 })
@@ -1183,6 +1534,72 @@ export class UI {
     el.classList.remove('hidden')
   }
 
+  /**
+   * Hunger/stamina bars (null hides them: survival off in this world). Called every frame, so the
+   * DOM is only touched when a whole percent changes.
+   * @param {{hunger:number, stamina:number, exhausted?:boolean}|null} st
+   * @param {number} max full meter value (shared SURVIVAL.max)
+   */
+  setSurvival(st, max) {
+    const el = this.els.survivalHudEl
+    if (!el) return
+    const key = st ? `${Math.round(st.hunger)}|${Math.round(st.stamina)}|${st.exhausted ? 1 : 0}` : ''
+    if (key === this._survivalKey) return
+    this._survivalKey = key
+
+    el.classList.toggle('hidden', !st)
+    if (!st) return
+    const pct = (v) => `${Math.max(0, Math.min(100, Math.round((v / max) * 100)))}%`
+    if (this.els.hungerFillEl) this.els.hungerFillEl.style.width = pct(st.hunger)
+    if (this.els.staminaFillEl) this.els.staminaFillEl.style.width = pct(st.stamina)
+    el.classList.toggle('exhausted', !!st.exhausted)
+    el.classList.toggle('starving', st.hunger <= 0)
+  }
+
+  /** Health bar (server-authoritative hp). */
+  setHealth(hp, max) {
+    const pct = Math.max(0, Math.min(100, Math.round((hp / max) * 100)))
+    if (pct === this._healthPct) return
+    this._healthPct = pct
+    if (this.els.healthFillEl) this.els.healthFillEl.style.width = `${pct}%`
+    this.els.healthRowEl?.classList.toggle('low', pct <= 25)
+  }
+
+  /**
+   * Fishing reel HUD (null hides it). Called every frame while reeling.
+   * @param {{label:string, reel:number, tension:number}|null} st reel/tension in 0..1
+   */
+  setFishing(st) {
+    const el = this.els.fishingHudEl
+    if (!el) return
+    el.classList.toggle('hidden', !st)
+    if (!st) return
+    const pct = (v) => `${Math.max(0, Math.min(100, Math.round(v * 100)))}%`
+    if (this.els.fishingLabelEl && this.els.fishingLabelEl.textContent !== st.label) this.els.fishingLabelEl.textContent = st.label
+    if (this.els.fishingReelFillEl) this.els.fishingReelFillEl.style.width = pct(st.reel)
+    if (this.els.fishingTensionFillEl) this.els.fishingTensionFillEl.style.width = pct(st.tension)
+    el.classList.toggle('strain', st.tension >= 0.8)
+  }
+
+  /** Red vignette pulse when the player takes damage. */
+  flashDamage() {
+    const el = this.els.damageFlashEl
+    if (!el) return
+    el.classList.remove('show')
+    void el.offsetWidth // restart the animation
+    el.classList.add('show')
+  }
+
+  /** @param {string} causeText e.g. "Causa: Queda" */
+  showDeath(causeText) {
+    if (this.els.deathCauseEl) this.els.deathCauseEl.textContent = causeText || ''
+    this.els.deathEl?.classList.remove('hidden')
+  }
+
+  hideDeath() {
+    this.els.deathEl?.classList.add('hidden')
+  }
+
   _formatRemaining(ms) {
     const s = Math.ceil(ms / 1000)
     const days = Math.floor(s / 86400)
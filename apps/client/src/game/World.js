@@ -1,4 +1,10 @@
 import * as THREE from 'three'
+import { CHUNK_SIZE } from '@jarvis-woodcutter-fps/shared'
+
+// Ground tiles: one per world chunk, ~2m grid, kept a ring beyond the resource chunks so
+// the edge stays inside the fog.
+const GROUND_SEGMENTS = 16
+const GROUND_RADIUS = 3
 
 export class World {
   /** @param {{scene: THREE.Scene}} params */
@@ -10,7 +16,13 @@ export class World {
     this._moon = new THREE.DirectionalLight(0x9bbcff, 0.35)
     this._amb = new THREE.AmbientLight(0x587058, 0.45)
 
+    /** @type {THREE.Group|null} */
     this._ground = null
+    /** @type {Map<string, THREE.Mesh>} */
+    this._groundTiles = new Map()
+    this._groundMat = null
+    this._groundCenter = null
+    this.getHeightAt = () => 0
     this._sky = null
     this._stars = null
     this._sunMesh = null
@@ -64,7 +76,8 @@ export class World {
     if (this._ground) this._ground.visible = !!v
   }
 
-  init() {
+  /** @param {{getHeightAt?: (x: number, z: number) => number}} [opts] */
+  init({ getHeightAt = () => 0 } = {}) {
     // Lights
     this._sun.position.set(8, 14, 6)
     this._sun.castShadow = false
@@ -169,16 +182,14 @@ export class World {
     this._stars = new THREE.Points(pts, pmat)
     this.scene.add(this._stars)
 
-    // Ground
-    const gGeo = new THREE.PlaneGeometry(220, 220, 1, 1)
-    const gMat = new THREE.MeshStandardMaterial({
+    // Ground: heightmap tiles streamed around the player (see updateGround).
+    this.getHeightAt = getHeightAt
+    this._groundMat = new THREE.MeshStandardMaterial({
       color: 0x143014,
       roughness: 1.0,
       metalness: 0.0,
     })
-    this._ground = new THREE.Mesh(gGeo, gMat)
-    this._ground.rotation.x = -Math.PI / 2
-    this._ground.position.y = 0
+    this._ground = new THREE.Group()
     this.scene.add(this._ground)
 
     // Slight emissive "fireflies" points for depth
@@ -199,6 +210,77 @@ export class World {
     // (Player controls will keep it anchored.)
   }
 
+  /**
+   * Terrain mesh for one chunk. Normals come from the heightmap (not per-tile faces) so
+   * neighbouring tiles shade without seams.
+   */
+  _buildGroundTile(chunkX, chunkZ) {
+    const size = CHUNK_SIZE
+    const geo = new THREE.PlaneGeometry(size, size, GROUND_SEGMENTS, GROUND_SEGMENTS)
+    // Into XZ first so vertex x/z are local offsets from the tile center.
+    geo.rotateX(-Math.PI / 2)
+    const ox = (chunkX + 0.5) * size
+    const oz = (chunkZ + 0.5) * size
+    const pos = geo.attributes.position
+    const nrm = geo.attributes.normal
+    const e = 0.5
+    const n = new THREE.Vector3()
+    for (let i = 0; i < pos.count; i++) {
+      const x = ox + pos.getX(i)
+      const z = oz + pos.getZ(i)
+      pos.setY(i, this.getHeightAt(x, z))
+      const dx = (this.getHeightAt(x + e, z) - this.getHeightAt(x - e, z)) / (2 * e)
+      const dz = (this.getHeightAt(x, z + e) - this.getHeightAt(x, z - e)) / (2 * e)
+      n.set(-dx, 1, -dz).normalize()
+      nrm.setXYZ(i, n.x, n.y, n.z)
+    }
+    geo.computeBoundingSphere()
+
+    const mesh = new THREE.Mesh(geo, this._groundMat)
+    mesh.position.set(ox, 0, oz)
+    return mesh
+  }
+
+  /** Drops every ground tile (the terrain changed); `updateGround` rebuilds around the player. */
+  resetGround() {
+    for (const tile of this._groundTiles.values()) {
+      this._ground?.remove(tile)
+      tile.geometry.dispose()
+    }
+    this._groundTiles.clear()
+    this._groundCenter = null
+  }
+
+  /**
+   * Loads ground tiles around the player's chunk and drops the ones left behind.
+   * @param {number} x
+   * @param {number} z
+   */
+  updateGround(x, z) {
+    if (!this._ground) return
+    const cx = Math.floor(x / CHUNK_SIZE)
+    const cz = Math.floor(z / CHUNK_SIZE)
+    if (this._groundCenter && this._groundCenter.cx === cx && this._groundCenter.cz === cz) return
+    this._groundCenter = { cx, cz }
+
+    for (let dz = -GROUND_RADIUS; dz <= GROUND_RADIUS; dz++) {
+      for (let dx = -GROUND_RADIUS; dx <= GROUND_RADIUS; dx++) {
+        const k = `${cx + dx}:${cz + dz}`
+        if (this._groundTiles.has(k)) continue
+        const tile = this._buildGroundTile(cx + dx, cz + dz)
+        this._groundTiles.set(k, tile)
+        this._ground.add(tile)
+      }
+    }
+    for (const [k, tile] of this._groundTiles) {
+      const [tx, tz] = k.split(':').map(Number)
+      if (Math.abs(tx - cx) <= GROUND_RADIUS + 1 && Math.abs(tz - cz) <= GROUND_RADIUS + 1) continue
+      this._ground.remove(tile)
+      tile.geometry.dispose()
+      this._groundTiles.delete(k)
+    }
+  }
+
   /**
    * @param {number} dt
    * @param {{camera: THREE.Camera, player: any, time: import('./TimeSystem.js').TimeSystem}} ctx
@@ -1,40 +1,47 @@
 import * as THREE from 'three'
 
-const _ray = new THREE.Ray()
 const _dir = new THREE.Vector3()
 const _origin = new THREE.Vector3()
 
+// March along the view ray in fixed steps, then bisect the first crossing.
+const MARCH_STEP = 0.25
+const MARCH_MAX = 12
+const BISECT_ITERS = 8
+
 /**
- * Raycast from camera forward onto y=0 plane (ground).
- * If the camera is looking too parallel to the plane, returns a fallback point ahead.
+ * Raycast from camera forward onto the terrain heightmap (ground).
+ * If the ray doesn't reach the ground within range (looking up / too parallel), returns a
+ * fallback point ahead, projected onto the ground.
  * @param {THREE.Camera} camera
  * @param {number} fallbackDist
+ * @param {(x: number, z: number) => number} [getHeightAt]
  */
-export function raycastGround(camera, fallbackDist = 4.0) {
+export function raycastGround(camera, fallbackDist = 4.0, getHeightAt = () => 0) {
   camera.getWorldDirection(_dir)
   camera.getWorldPosition(_origin)
 
-  _ray.origin.copy(_origin)
-  _ray.direction.copy(_dir)
-
-  // Plane y=0: origin + t*dir => y=0
-  const dy = _ray.direction.y
-
-  if (Math.abs(dy) < 1e-5) {
-    // Fallback: a point in front of camera, projected to ground.
-    const p = _origin.clone().addScaledVector(_dir, fallbackDist)
-    p.y = 0
-    return p
-  }
+  const above = (t) => _origin.y + _dir.y * t - getHeightAt(_origin.x + _dir.x * t, _origin.z + _dir.z * t)
 
-  const t = -_ray.origin.y / dy
-  if (t < 0) {
-    const p = _origin.clone().addScaledVector(_dir, fallbackDist)
-    p.y = 0
-    return p
+  let t0 = 0
+  if (above(0) > 0) {
+    for (let t1 = MARCH_STEP; t1 <= MARCH_MAX; t1 += MARCH_STEP) {
+      if (above(t1) > 0) {
+        t0 = t1
+        continue
+      }
+      for (let i = 0; i < BISECT_ITERS; i++) {
+        const tm = (t0 + t1) * 0.5
+        if (above(tm) > 0) t0 = tm
+        else t1 = tm
+      }
+      const p = _origin.clone().addScaledVector(_dir, t1)
+      p.y = getHeightAt(p.x, p.z)
+      return p
+    }
   }
 
-  const p = _ray.at(t, new THREE.Vector3())
-  p.y = 0
+  // Fallback: a point in front of camera, projected to ground.
+  const p = _origin.clone().addScaledVector(_dir, fallbackDist)
+  p.y = getHeightAt(p.x, p.z)
   return p
 }
@@ -17,3 +17,12 @@ export function mulberry32(seed) {
     return ((t ^ (t >>> 14)) >>> 0) / 4294967296
   }
 }
+
+/** Frees the GPU resources of an object tree that is being dropped for good (chunk unload). */
+export function disposeObject3D(root) {
+  root.traverse((o) => {
+    o.geometry?.dispose?.()
+    if (Array.isArray(o.material)) o.material.forEach((m) => m?.dispose?.())
+    else o.material?.dispose?.()
+  })
+}
@@ -2,6 +2,7 @@ import './style.css'
 import { Game } from './game/Game.js'
 import { UI } from './game/UI.js'
 import { ensureGuest, ensureGuestByDevice, loadPlayerState, savePlayerState, loadPlayerSettings, savePlayerSettings, getStoredWorldId, setStoredWorldId, loginUserPassword, registerUserPassword, setStoredGuestId, setStoredGuestToken } from './net/persistence.js'
+import { listWorlds } from './net/worlds.js'
 
 const canvas = document.querySelector('#game')
 
@@ -18,14 +19,36 @@ const ui = new UI({
   invEquipGridEl: document.querySelector('#invEquipGrid'),
   invBuffLineEl: document.querySelector('#invBuffLine'),
   luckHudLineEl: document.querySelector('#luckHudLine'),
+  survivalHudEl: document.querySelector('#survivalHud'),
+  hungerFillEl: document.querySelector('#hungerFill'),
+  staminaFillEl: document.querySelector('#staminaFill'),
+  healthRowEl: document.querySelector('#healthRow'),
+  healthFillEl: document.querySelector('#healthFill'),
+  damageFlashEl: document.querySelector('#damageFlash'),
+  fishingHudEl: document.querySelector('#fishingHud'),
+  fishingLabelEl: document.querySelector('#fishingLabel'),
+  fishingReelFillEl: document.querySelector('#fishingReelFill'),
+  fishingTensionFillEl: document.querySelector('#fishingTensionFill'),
+  deathEl: document.querySelector('#death'),
+  deathCauseEl: document.querySelector('#deathCause'),
   forgeEl: document.querySelector('#forge'),
   chestEl: document.querySelector('#chest'),
   chestInvGridEl: document.querySelector('#chestInvGrid'),
   chestSlotsEl: document.querySelector('#chestSlots'),
+  chestShareEl: document.querySelector('#chestShare'),
+  chestSharePublicEl: document.querySelector('#chestSharePublic'),
+  chestShareListEl: document.querySelector('#chestShareList'),
+  claimPanelEl: document.querySelector('#claimPanel'),
+  claimTitleEl: document.querySelector('#claimTitle'),
+  claimTrustListEl: document.querySelector('#claimTrustList'),
   forgeFuelEl: document.querySelector('#forgeFuel'),
   forgeInEl: document.querySelector('#forgeIn'),
   forgeOutEl: document.querySelector('#forgeOut'),
   forgeInvGridEl: document.querySelector('#forgeInvGrid'),
+  campfireEl: document.querySelector('#campfire'),
+  campfireInvGridEl: document.querySelector('#campfireInvGrid'),
+  campfireCookEl: document.querySelector('#campfireCook'),
+  campfireOutEl: document.querySelector('#campfireOut'),
   forgeTableEl: document.querySelector('#forgeTable'),
   forgeTableListEl: document.querySelector('#forgeTableList'),
   actionWheelEl: document.querySelector('#actionWheel'),
@@ -44,28 +67,91 @@ const ui = new UI({
   loadingEl: document.querySelector('#loading'),
   loadingHintEl: document.querySelector('#loadingHint'),
   loadingBarFillEl: document.querySelector('#loadingBarFill'),
+  chatEl: document.querySelector('#chat'),
+  chatLogEl: document.querySelector('#chatLog'),
+  chatFormEl: document.querySelector('#chatForm'),
+  chatInputEl: document.querySelector('#chatInput'),
+  chatChannelEl: document.querySelector('#chatChannel'),
 })
 
 const game = new Game({ canvas, ui })
 
-// World selection (simple lobby)
+// World browser (lista do servidor: população + última atividade)
 const worldInput = document.querySelector('#worldId')
-if (worldInput) {
-  const saved = String(getStoredWorldId() || '').trim()
-  const hasOpt = saved ? [...worldInput.options].some((o) => o.value === saved) : false
-
-  // Não criar mundo custom automaticamente (ex.: legado world-1).
-  if (saved && hasOpt) {
-    worldInput.value = saved
-  } else {
-    const fallback = String(worldInput.value || worldInput.options?.[0]?.value || '').trim()
-    if (fallback) setStoredWorldId(fallback)
+const worldBrowserEl = document.querySelector('#worldBrowser')
+let _worlds = []
+
+function selectWorld(id) {
+  if (!worldInput || !id) return
+  worldInput.value = id
+  setStoredWorldId(id)
+  for (const row of worldBrowserEl?.querySelectorAll('.worldRow') || []) {
+    const on = row.dataset.worldId === id
+    row.classList.toggle('active', on)
+    row.setAttribute('aria-selected', on ? 'true' : 'false')
   }
+}
 
-  worldInput.addEventListener('change', () => {
-    const v = String(worldInput.value || '').trim()
-    if (v) setStoredWorldId(v)
-  })
+function timeAgo(iso) {
+  const t = Date.parse(String(iso || ''))
+  if (!Number.isFinite(t)) return 'sem atividade'
+  const min = Math.floor(Math.max(0, Date.now() - t) / 60000)
+  if (min < 1) return 'ativo agora'
+  if (min < 60) return `há ${min} min`
+  const h = Math.floor(min / 60)
+  if (h < 24) return `há ${h} h`
+  const d = Math.floor(h / 24)
+  return `há ${d} ${d === 1 ? 'dia' : 'dias'}`
+}
+
+function renderWorldBrowser() {
+  if (!worldBrowserEl) return
+  worldBrowserEl.innerHTML = ''
+  if (!_worlds.length) {
+    worldBrowserEl.innerHTML = '<div class="muted small">Nenhum mundo disponível.</div>'
+    return
+  }
+  for (const w of _worlds) {
+    const row = document.createElement('div')
+    row.className = 'worldRow'
+    row.setAttribute('role', 'option')
+    row.tabIndex = 0
+    row.dataset.worldId = w.id
+    const players = Number(w.players) || 0
+    row.innerHTML = `
+      <div class="worldName"></div>
+      <div class="worldMeta">
+        <div class="worldPop${players > 0 ? ' live' : ''}">${players} ${players === 1 ? 'jogador' : 'jogadores'}</div>
+        <div>${timeAgo(w.lastActiveAt)}</div>
+      </div>`
+    row.querySelector('.worldName').textContent = String(w.name || w.id)
+    row.addEventListener('click', () => selectWorld(w.id))
+    row.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') selectWorld(w.id)
+    })
+    worldBrowserEl.appendChild(row)
+  }
+
+  // Não criar mundo custom automaticamente: mundo salvo fora da lista (arquivado/legado) cai no primeiro.
+  const saved = String(worldInput?.value || getStoredWorldId() || '').trim()
+  selectWorld(_worlds.some((w) => w.id === saved) ? saved : _worlds[0].id)
+}
+
+async function refreshWorldBrowser() {
+  try {
+    _worlds = await listWorlds()
+  } catch (err) {
+    console.warn('[worlds] list failed', err)
+    if (!_worlds.length && worldBrowserEl) worldBrowserEl.innerHTML = '<div class="muted small">Servidor indisponível.</div>'
+    return
+  }
+  renderWorldBrowser()
+}
+
+if (worldInput) {
+  worldInput.value = String(getStoredWorldId() || '').trim()
+  document.querySelector('#btnWorldRefresh')?.addEventListener('click', () => refreshWorldBrowser())
+  void refreshWorldBrowser()
 }
 
 // Auth v2 gate (username/senha + guest por dispositivo)
@@ -98,6 +184,7 @@ function showMainMenuAfterAuth() {
   authEl?.classList.add('hidden')
   ui.showMenu()
   updateGuestUpgradeVisibility()
+  void refreshWorldBrowser()
 }
 
 function setAuthStatus(msg, isError = false) {
@@ -113,6 +200,7 @@ function humanAuthError(err, mode = 'login') {
   if (raw.includes('invalid_credentials')) return 'Usuário ou senha inválidos.'
   if (raw.includes('rate_limited')) return 'Muitas tentativas. Aguarde e tente novamente.'
   if (raw.includes('user_not_linked_to_progress')) return 'Conta sem progresso vinculado.'
+  if (raw.includes('unknown_world')) return 'Esse mundo não existe mais. Escolha outro.'
   return mode === 'register' ? 'Não foi possível cadastrar agora.' : 'Não foi possível entrar agora.'
 }
 
@@ -316,6 +404,28 @@ invGrid.addEventListener('mouseleave', () => {
   game.setInventoryHoverIndex(-1)
 })
 
+// Drag an inventory item out of the panel (not onto the hotbar): drop it on the ground.
+const isOutsideInventory = (e) => !e.target?.closest?.('.invCard, #hotbar')
+document.addEventListener('dragover', (e) => {
+  if (!document.body.classList.contains('inventory-open') || !isOutsideInventory(e)) return
+  e.preventDefault()
+})
+
+document.addEventListener('drop', (e) => {
+  if (!document.body.classList.contains('inventory-open') || !isOutsideInventory(e)) return
+  e.preventDefault()
+  const data = e.dataTransfer?.getData('application/json')
+  if (!data) return
+  let payload
+  try {
+    payload = JSON.parse(data)
+  } catch {
+    return
+  }
+  if (payload?.from !== 'inv') return
+  game.dropInventorySlot(Number(payload.idx))
+})
+
 invGrid.addEventListener('mousemove', (e) => {
   if (!document.body.classList.contains('inventory-open')) return
   const slot = e.target?.closest?.('.invSlot')
@@ -553,6 +663,26 @@ forgeRoot?.addEventListener('click', (e) => {
   game.forgeSlotClick(kind, idx)
 })
 
+// Click: campfire inventory -> cooking slots; cooking/ready slots -> inventory
+document.querySelector('#campfireInvGrid')?.addEventListener('click', (e) => {
+  if (!document.body.classList.contains('campfire-open')) return
+  const slot = e.target?.closest?.('.invSlot')
+  if (!slot) return
+  const idx = Number(slot.dataset.index)
+  if (Number.isNaN(idx)) return
+  game.campfireQuickAddFromInventory(idx)
+})
+
+document.querySelector('#campfire')?.addEventListener('click', (e) => {
+  if (!document.body.classList.contains('campfire-open')) return
+  const slot = e.target?.closest?.('.forgeSlot')
+  if (!slot) return
+  const kind = slot.dataset.kind
+  const idx = Number(slot.dataset.index)
+  if (!kind || Number.isNaN(idx)) return
+  game.campfireSlotClick(kind, idx)
+})
+
 document.querySelectorAll('#hotbar .hotSlot').forEach((el) => {
   el.addEventListener('dragover', (e) => {
     if (!document.body.classList.contains('inventory-open')) return
@@ -705,6 +835,9 @@ function logoutToAuth() {
 
 $('#btnClose').addEventListener('click', () => logoutToAuth())
 
+// Mundo resetado/arquivado durante a partida (Game já voltou ao menu)
+game.onWorldClosed = () => void refreshWorldBrowser()
+
 // Options menu
 $('#btnOptBack')?.addEventListener('click', () => {
   const opt = document.querySelector('#options')
@@ -770,6 +903,8 @@ $('#btnPauseOptions')?.addEventListener('click', () => {
   if (b3) b3.textContent = `Preview 3D: ${game.preview3dEnabled ? 'ON' : 'OFF'}`
 })
 $('#btnQuit').addEventListener('click', () => game.quitToMenu())
+$('#btnRespawn')?.addEventListener('click', () => game.requestRespawn())
+$('#btnDeathQuit')?.addEventListener('click', () => game.quitToMenu())
 
 const btnPreview3D = document.querySelector('#btnPreview3D')
 if (btnPreview3D) {
@@ -787,11 +922,18 @@ $('#btnCraftClose').addEventListener('click', () => game.closeCrafting())
 $('#btnForgeClose').addEventListener('click', () => game.closeForge())
 $('#btnForgeCollect').addEventListener('click', () => game.collectAllForgeOutput())
 $('#btnForgeStart').addEventListener('click', () => game.toggleForgeEnabled())
+$('#btnCampfireClose').addEventListener('click', () => game.closeCampfire())
+$('#btnCampfireCollect').addEventListener('click', () => game.collectAllCampfireOutput())
 
 $('#btnForgeTableClose').addEventListener('click', () => game.closeForgeTable())
 
 $('#btnChestClose').addEventListener('click', () => game.closeChest())
 $('#btnChestSort')?.addEventListener('click', () => game.sortChest())
+$('#btnChestShareSave')?.addEventListener('click', () => game.saveChestShare())
+$('#btnChestShareClose')?.addEventListener('click', () => game.closeChestShare())
+$('#btnClaimSave')?.addEventListener('click', () => game.saveClaimTrust())
+$('#btnClaimAbandon')?.addEventListener('click', () => game.abandonClaim())
+$('#btnClaimClose')?.addEventListener('click', () => game.closeClaimPanel())
 
 // Start at login/auth screen
 showAuthGate()
@@ -0,0 +1,73 @@
+import { apiFetch } from './api.js'
+
+export async function loadCampfireState({ worldId, campfireId, guestId }) {
+  const qs = new URLSearchParams({ worldId, campfireId, guestId })
+  const res = await apiFetch(`/api/campfire/state?${qs.toString()}`, { method: 'GET' })
+  if (res.status === 423) return { ok: false, error: 'locked' }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`load campfire state failed: ${res.status} ${text}`)
+  }
+  const data = await res.json()
+  if (!data?.state) throw new Error('load campfire state invalid response')
+  return data
+}
+
+export async function saveCampfireState({ worldId, campfireId, guestId, lockToken, state }) {
+  const res = await apiFetch('/api/campfire/state', {
+    method: 'PUT',
+    body: JSON.stringify({ worldId, campfireId, guestId, lockToken, state }),
+  })
+  if (res.status === 409) return { ok: false, error: 'inventory_mismatch' }
+  if (res.status === 423) return { ok: false, error: 'locked' }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`save campfire state failed: ${res.status} ${text}`)
+  }
+  return { ok: true }
+}
+
+export async function setCampfireLit({ worldId, campfireId, guestId, lit }) {
+  const res = await apiFetch('/api/campfire/lit', {
+    method: 'POST',
+    body: JSON.stringify({ worldId, campfireId, guestId, lit }),
+  })
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`set campfire lit failed: ${res.status} ${text}`)
+  }
+  return await res.json()
+}
+
+export async function getCampfireLockStatus({ worldId, campfireId, guestId }) {
+  const qs = new URLSearchParams({ worldId, campfireId, guestId })
+  const res = await apiFetch(`/api/campfire/lock/status?${qs.toString()}`, { method: 'GET' })
+  if (!res.ok) return { ok: false }
+  return await res.json()
+}
+
+export async function renewCampfireLock({ worldId, campfireId, guestId, lockToken }) {
+  const res = await apiFetch('/api/campfire/lock/renew', {
+    method: 'POST',
+    body: JSON.stringify({ worldId, campfireId, guestId, lockToken }),
+  })
+  if (res.status === 423) return { ok: false, error: 'locked' }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`renew campfire lock failed: ${res.status} ${text}`)
+  }
+  return { ok: true }
+}
+
+export async function releaseCampfireLock({ worldId, campfireId, guestId, lockToken }) {
+  const res = await apiFetch('/api/campfire/lock/release', {
+    method: 'POST',
+    body: JSON.stringify({ worldId, campfireId, guestId, lockToken }),
+  })
+  if (res.status === 423) return { ok: false, error: 'locked' }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`release campfire lock failed: ${res.status} ${text}`)
+  }
+  return { ok: true }
+}
@@ -19,6 +19,7 @@ export async function saveChestState({ worldId, chestId, guestId, lockToken, sta
     body: JSON.stringify({ worldId, chestId, guestId, lockToken, state }),
   })
   if (res.status === 403) return { ok: false, error: 'forbidden' }
+  if (res.status === 409) return { ok: false, error: 'inventory_mismatch' }
   if (res.status === 423) return { ok: false, error: 'locked' }
   if (!res.ok) {
     const text = await res.text().catch(() => '')
@@ -68,3 +69,29 @@ export async function releaseChestLock({ worldId, chestId, guestId, lockToken })
   }
   return { ok: true }
 }
+
+/** Owner only: `{ ok, ownerId, public, allowed: [{ id, name }] }`. */
+export async function loadChestAcl({ worldId, chestId, guestId }) {
+  const qs = new URLSearchParams({ worldId, chestId, guestId })
+  const res = await apiFetch(`/api/chest/acl?${qs.toString()}`, { method: 'GET' })
+  if (res.status === 403) return { ok: false, error: 'forbidden' }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`load chest acl failed: ${res.status} ${text}`)
+  }
+  return await res.json()
+}
+
+/** Owner only. `allowed` (guest ids) replaces the whole list. */
+export async function saveChestAcl({ worldId, chestId, guestId, isPublic, allowed }) {
+  const res = await apiFetch('/api/chest/acl', {
+    method: 'PUT',
+    body: JSON.stringify({ worldId, chestId, guestId, public: !!isPublic, allowed }),
+  })
+  if (res.status === 403) return { ok: false, error: 'forbidden' }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`save chest acl failed: ${res.status} ${text}`)
+  }
+  return await res.json()
+}
@@ -13,17 +13,27 @@ export async function loadForgeState({ worldId, forgeId, guestId }) {
   return data
 }
 
-export async function saveForgeState({ worldId, forgeId, guestId, lockToken, state }) {
+/**
+ * `base`: the forge slots the edit started from (last server state applied). 409 `stale_state`: the
+ * server changed a slot the player also changed; its current state comes back to re-sync from.
+ */
+export async function saveForgeState({ worldId, forgeId, guestId, lockToken, state, base }) {
   const res = await apiFetch('/api/forge/state', {
     method: 'PUT',
-    body: JSON.stringify({ worldId, forgeId, guestId, lockToken, state }),
+    body: JSON.stringify({ worldId, forgeId, guestId, lockToken, state, base }),
   })
+  if (res.status === 409) {
+    const data = await res.json().catch(() => null)
+    if (data?.error === 'stale_state') return { ok: false, error: 'stale_state', state: data.state }
+    return { ok: false, error: 'inventory_mismatch' }
+  }
   if (res.status === 423) return { ok: false, error: 'locked' }
   if (!res.ok) {
     const text = await res.text().catch(() => '')
     throw new Error(`save forge state failed: ${res.status} ${text}`)
   }
-  return { ok: true }
+  const data = await res.json().catch(() => null)
+  return { ok: true, state: data?.state ?? null }
 }
 
 export async function getForgeLockStatus({ worldId, forgeId, guestId }) {
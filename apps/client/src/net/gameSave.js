@@ -1,12 +1,16 @@
-import { ITEMS } from '../game/items.js'
+import { ITEMS, normalizeHealth, normalizeSurvival } from '@jarvis-woodcutter-fps/shared'
 
 /**
  * Minimal save payload (player only).
  * Keep it JSON-serializable and versioned.
+ * v4: survival meters (`survival.hunger` / `survival.stamina`); older saves load with full meters.
+ * v5: `health` (last value the server sent, shown until the WS `health` arrives; the server keeps its own
+ *     in `player_health` and ignores this one); older saves load with full health.
+ * v6: food buffs (`buffs.strengthUntilMs` / `buffs.steadyUntilMs`); older saves load with them off.
  */
 export function exportGameSave(game) {
   return {
-    v: 3,
+    v: 6,
     score: game.score ?? 0,
     player: {
       inMine: !!game._inMine,
@@ -30,13 +34,17 @@ export function exportGameSave(game) {
     },
     buffs: {
       luckUntilMs: Number(game.buffs?.luckUntilMs ?? 0) || 0,
+      strengthUntilMs: Number(game.buffs?.strengthUntilMs ?? 0) || 0,
+      steadyUntilMs: Number(game.buffs?.steadyUntilMs ?? 0) || 0,
     },
+    survival: normalizeSurvival(game.survival),
+    health: normalizeHealth(game.health?.hp),
   };
 
 }
 
 export function isValidSave(save) {
-  return save && typeof save === 'object' && (save.v === 1 || save.v === 2 || save.v === 3)
+  return save && typeof save === 'object' && (save.v === 1 || save.v === 2 || save.v === 3 || save.v === 4 || save.v === 5 || save.v === 6)
 }
 
 export function applyGameSave(game, save) {
@@ -88,9 +96,19 @@ export function applyGameSave(game, save) {
     game.hotbar[i] = { id: s.id, qty: Number(s.qty ?? 0), meta: s.meta ?? undefined };
   }
 
-  if (!game.buffs) game.buffs = { luckUntilMs: 0 };
+  if (!game.buffs) game.buffs = { luckUntilMs: 0, strengthUntilMs: 0, steadyUntilMs: 0 };
   const buffs = save.v >= 3 && save.buffs && typeof save.buffs === 'object' ? save.buffs : null;
   game.buffs.luckUntilMs = Number(buffs?.luckUntilMs ?? 0) || 0;
+  // food buffs (v6; v3-v5 migrate with them off)
+  const food = save.v >= 6 ? buffs : null;
+  game.buffs.strengthUntilMs = Number(food?.strengthUntilMs ?? 0) || 0;
+  game.buffs.steadyUntilMs = Number(food?.steadyUntilMs ?? 0) || 0;
+
+  // survival meters (v4; v1-v3 migrate to full meters)
+  game._resetSurvival?.(save.v >= 4 ? save.survival : null);
+
+  // health (v5; older saves start at full health)
+  game._resetHealth?.(save.v >= 5 ? save.health : null);
 
   // player position (best effort)
   const p = save.player?.position;
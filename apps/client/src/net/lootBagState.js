@@ -0,0 +1,59 @@
+import { apiFetch } from './api.js'
+
+/** `forbidden` also carries `droppedAt` (the bag is still reserved to its owner). */
+export async function loadLootBagState({ worldId, bagId, guestId }) {
+  const qs = new URLSearchParams({ worldId, bagId, guestId })
+  const res = await apiFetch(`/api/lootbag/state?${qs.toString()}`, { method: 'GET' })
+  if (res.status === 403) {
+    const data = await res.json().catch(() => ({}))
+    return { ok: false, error: 'forbidden', droppedAt: Number(data?.droppedAt) || 0 }
+  }
+  if (res.status === 404) return { ok: false, error: 'not_found' }
+  if (res.status === 423) return { ok: false, error: 'locked' }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`load loot bag state failed: ${res.status} ${text}`)
+  }
+  return await res.json()
+}
+
+export async function saveLootBagState({ worldId, bagId, guestId, lockToken, state }) {
+  const res = await apiFetch('/api/lootbag/state', {
+    method: 'PUT',
+    body: JSON.stringify({ worldId, bagId, guestId, lockToken, state }),
+  })
+  if (res.status === 403) return { ok: false, error: 'forbidden' }
+  if (res.status === 404) return { ok: false, error: 'not_found' }
+  if (res.status === 423) return { ok: false, error: 'locked' }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`save loot bag state failed: ${res.status} ${text}`)
+  }
+  return { ok: true }
+}
+
+export async function renewLootBagLock({ worldId, bagId, guestId, lockToken }) {
+  const res = await apiFetch('/api/lootbag/lock/renew', {
+    method: 'POST',
+    body: JSON.stringify({ worldId, bagId, guestId, lockToken }),
+  })
+  if (res.status === 423) return { ok: false, error: 'locked' }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`renew loot bag lock failed: ${res.status} ${text}`)
+  }
+  return { ok: true }
+}
+
+export async function releaseLootBagLock({ worldId, bagId, guestId, lockToken }) {
+  const res = await apiFetch('/api/lootbag/lock/release', {
+    method: 'POST',
+    body: JSON.stringify({ worldId, bagId, guestId, lockToken }),
+  })
+  if (res.status === 423) return { ok: false, error: 'locked' }
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`release loot bag lock failed: ${res.status} ${text}`)
+  }
+  return { ok: true }
+}
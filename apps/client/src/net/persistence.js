@@ -98,6 +98,13 @@ export async function savePlayerState({ guestId, worldId, state }) {
     method: 'PUT',
     body: JSON.stringify({ guestId, worldId, state }),
   });
+  if (res.status === 409) {
+    // inventory_mismatch: the save holds more than the server's inventory ledger allows.
+    const data = await res.json().catch(() => ({}));
+    const err = new Error(`save player state refused: ${data?.error || 'conflict'}`);
+    err.code = data?.error || 'conflict';
+    throw err;
+  }
   if (!res.ok) {
     const text = await res.text().catch(() => '');
     throw new Error(`save player state failed: ${res.status} ${text}`);
@@ -0,0 +1,13 @@
+import { apiFetch } from './api.js'
+
+/** Seed + generation config of a world (the layout every client and the server share) and its survival rule. */
+export async function loadWorldConfig({ worldId }) {
+  const res = await apiFetch(`/api/world/${encodeURIComponent(worldId)}/config`, { method: 'GET' })
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`load world config failed: ${res.status} ${text}`)
+  }
+  const data = await res.json()
+  if (!Number.isFinite(data?.seed)) throw new Error('load world config invalid response')
+  return { seed: data.seed, generation: data.generation ?? {}, survival: data.survival !== false }
+}
@@ -0,0 +1,12 @@
+import { apiFetch } from './api.js'
+
+/** Open worlds for the menu browser: `{ id, name, players, lastActiveAt }[]`. */
+export async function listWorlds() {
+  const res = await apiFetch('/api/worlds', { method: 'GET' })
+  if (!res.ok) {
+    const text = await res.text().catch(() => '')
+    throw new Error(`list worlds failed: ${res.status} ${text}`)
+  }
+  const data = await res.json()
+  return Array.isArray(data?.worlds) ? data.worlds : []
+}
@@ -1,5 +1,18 @@
+import {
+  createSnapshotDecoder,
+  encodeAck,
+  encodeInput,
+  FrameKind,
+  PROTOCOL_BINARY,
+  PROTOCOL_JSON,
+  readFrameKind,
+} from '@jarvis-woodcutter-fps/shared'
+
 const WS_BASE = import.meta.env?.VITE_WS_BASE_URL || '';
 
+// Inputs carry the snapshot ack; send a bare ack only if no input went out for this long.
+const IDLE_ACK_MS = 100
+
 function wsUrl(path) {
   if (WS_BASE) return `${WS_BASE}${path}`;
   // default: same-origin wss
@@ -8,7 +21,11 @@ function wsUrl(path) {
 }
 
 export class WsClient {
-  constructor({ onMessage, onOpen, onClose, onStatus, maxAttempts = 5 }) {
+  /**
+   * `binary`: offer protocol v2 in `join` (binary delta snapshots + binary inputs).
+   * Decoding is transparent: `onMessage` always receives `{ t: 'snapshot', players: [...] }` objects.
+   */
+  constructor({ onMessage, onOpen, onClose, onStatus, maxAttempts = 5, binary = true }) {
     this.onMessage = onMessage
     this.onOpen = onOpen
     this.onClose = onClose
@@ -20,6 +37,11 @@ export class WsClient {
     this._attempt = 0
     this.maxAttempts = maxAttempts
     this.status = 'off' // off|connecting|ok
+
+    this.binary = binary
+    this.proto = PROTOCOL_JSON
+    this._snapDecoder = null
+    this._lastAckAt = 0
   }
 
   _setStatus(s) {
@@ -33,8 +55,13 @@ export class WsClient {
 
     this._setStatus('connecting')
     const ws = new WebSocket(wsUrl('/ws'))
+    ws.binaryType = 'arraybuffer'
     this.ws = ws
 
+    // Protocol is negotiated per connection (join -> welcome).
+    this.proto = PROTOCOL_JSON
+    this._snapDecoder = null
+
     ws.addEventListener('open', () => {
       this._attempt = 0
       this._setStatus('ok')
@@ -56,16 +83,46 @@ export class WsClient {
     })
 
     ws.addEventListener('message', (ev) => {
+      if (ev.data instanceof ArrayBuffer) {
+        this._onBinary(ev.data)
+        return
+      }
       let msg
       try {
         msg = JSON.parse(ev.data)
       } catch {
         return
       }
+      if (msg?.t === 'welcome') {
+        this.proto = msg.proto === PROTOCOL_BINARY ? PROTOCOL_BINARY : PROTOCOL_JSON
+        this._snapDecoder = this.proto === PROTOCOL_BINARY ? createSnapshotDecoder() : null
+        this._lastAckAt = 0
+      }
       this.onMessage?.(msg)
     })
   }
 
+  _onBinary(data) {
+    if (readFrameKind(data) !== FrameKind.SNAPSHOT || !this._snapDecoder) return
+    const snap = this._snapDecoder.decode(data)
+
+    const now = performance.now()
+    // Unknown delta base: ack 0 right away so the server sends a full snapshot.
+    if (!snap || now - this._lastAckAt >= IDLE_ACK_MS) {
+      this._lastAckAt = now
+      this._sendRaw(encodeAck(this._snapDecoder.lastSeq))
+    }
+    if (!snap) return
+
+    this.onMessage?.({ t: 'snapshot', v: PROTOCOL_BINARY, seq: snap.seq, lastSeq: snap.lastSeq, players: snap.players })
+  }
+
+  _sendRaw(data) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return false
+    this.ws.send(data)
+    return true
+  }
+
   _scheduleReconnect() {
     if (this._closedByUser) return
     if (this._reconnectTimer) return
@@ -107,6 +164,14 @@ export class WsClient {
 
   send(obj) {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return false
+    if (obj?.t === 'join' && this.binary) {
+      obj = { ...obj, proto: PROTOCOL_BINARY }
+    }
+    if (obj?.t === 'input' && this.proto === PROTOCOL_BINARY && this._snapDecoder) {
+      this._lastAckAt = performance.now()
+      this.ws.send(encodeInput({ ...obj, ack: this._snapDecoder.lastSeq }))
+      return true
+    }
     this.ws.send(JSON.stringify(obj))
     return true
   }
@@ -0,0 +1,3 @@
+ALTER TABLE "worlds"
+  ADD COLUMN IF NOT EXISTS "seed" integer NOT NULL DEFAULT 20240,
+  ADD COLUMN IF NOT EXISTS "generation" jsonb NOT NULL DEFAULT '{}'::jsonb;
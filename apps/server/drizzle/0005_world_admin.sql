@@ -0,0 +1,12 @@
+ALTER TABLE "worlds"
+  ADD COLUMN IF NOT EXISTS "archived_at" timestamptz,
+  ADD COLUMN IF NOT EXISTS "last_active_at" timestamptz;
+
+-- Worlds are no longer created on demand: keep the former menu worlds available.
+INSERT INTO "worlds" ("id", "name", "seed") VALUES
+  ('world-iron-grove', 'Iron Grove', (floor(random() * 2147483646) + 1)::integer),
+  ('world-rustwood-valley', 'Rustwood Valley', (floor(random() * 2147483646) + 1)::integer),
+  ('world-copperpine-frontier', 'Copperpine Frontier', (floor(random() * 2147483646) + 1)::integer),
+  ('world-smokehollow-yard', 'Smokehollow Yard', (floor(random() * 2147483646) + 1)::integer),
+  ('world-emberbark-isle', 'Emberbark Isle', (floor(random() * 2147483646) + 1)::integer)
+ON CONFLICT ("id") DO NOTHING;
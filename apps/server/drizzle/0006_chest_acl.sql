@@ -0,0 +1,3 @@
+ALTER TABLE "chest_state"
+  ADD COLUMN IF NOT EXISTS "allowed" jsonb NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS "is_public" boolean NOT NULL DEFAULT false;
@@ -0,0 +1,7 @@
+CREATE TABLE IF NOT EXISTS "campfire_state" (
+  "world_id" text NOT NULL REFERENCES "worlds"("id"),
+  "campfire_id" text NOT NULL,
+  "state" jsonb NOT NULL DEFAULT '{}'::jsonb,
+  "updated_at" timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT "campfire_state_pk" PRIMARY KEY ("world_id", "campfire_id")
+);
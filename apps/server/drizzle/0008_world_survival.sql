@@ -0,0 +1,2 @@
+ALTER TABLE "worlds"
+  ADD COLUMN IF NOT EXISTS "survival" boolean NOT NULL DEFAULT true;
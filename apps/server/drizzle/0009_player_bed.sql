@@ -0,0 +1,9 @@
+CREATE TABLE IF NOT EXISTS "player_bed" (
+  "guest_id" text NOT NULL REFERENCES "guests"("id"),
+  "world_id" text NOT NULL REFERENCES "worlds"("id"),
+  "bed_id" text NOT NULL,
+  "x" double precision NOT NULL,
+  "z" double precision NOT NULL,
+  "updated_at" timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT "player_bed_pk" PRIMARY KEY ("guest_id", "world_id")
+);
@@ -0,0 +1,9 @@
+CREATE TABLE IF NOT EXISTS "loot_bag" (
+  "world_id" text NOT NULL REFERENCES "worlds"("id"),
+  "bag_id" text NOT NULL,
+  "owner_id" text NOT NULL,
+  "state" jsonb NOT NULL DEFAULT '{}'::jsonb,
+  "created_at" timestamptz NOT NULL DEFAULT now(),
+  "updated_at" timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT "loot_bag_pk" PRIMARY KEY ("world_id", "bag_id")
+);
@@ -0,0 +1,13 @@
+CREATE TABLE IF NOT EXISTS "inventory_ledger" (
+  "id" bigserial PRIMARY KEY,
+  "guest_id" text NOT NULL REFERENCES "guests"("id"),
+  "world_id" text NOT NULL REFERENCES "worlds"("id"),
+  "item_id" text NOT NULL,
+  "qty" integer NOT NULL,
+  "reason" text NOT NULL,
+  "ref_id" text,
+  "created_at" timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS "inventory_ledger_player_idx"
+ON "inventory_ledger" ("world_id", "guest_id");
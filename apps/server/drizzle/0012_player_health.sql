@@ -0,0 +1,7 @@
+CREATE TABLE IF NOT EXISTS "player_health" (
+  "guest_id" text NOT NULL REFERENCES "guests"("id"),
+  "world_id" text NOT NULL REFERENCES "worlds"("id"),
+  "hp" double precision NOT NULL,
+  "updated_at" timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT "player_health_pk" PRIMARY KEY ("guest_id", "world_id")
+);
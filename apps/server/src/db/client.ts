@@ -5,6 +5,9 @@ import { env } from '../env.js';
 export const pool = new Pool({ connectionString: env.DATABASE_URL });
 export const db = drizzle(pool);
 
+/** The handle `db.transaction` passes to its callback. */
+export type DbTx = Parameters<Parameters<typeof db.transaction>[0]>[0];
+
 export async function assertDbConnectionReady(logger?: { info: (o: any, msg?: string) => void }) {
   const startedAt = Date.now();
   const client = await pool.connect();
@@ -1,12 +1,36 @@
 import { pool } from './client.js';
 
+/** Where the statements run: a pool client at boot, or a caller's connection (tests use an in-memory Postgres). */
+type MigrationConn = { query: (text: string) => Promise<unknown> };
+
 // Minimal, idempotent migrations.
 // (We already have base tables in the DB, but we don't have Drizzle's migration journal there.
 // Running drizzle-orm migrator would try to re-create existing tables and fail.)
-export async function runMigrations(logger?: { info: (o: any, msg?: string) => void; error?: (o: any, msg?: string) => void }) {
+export async function runMigrations(logger?: { info: (o: any, msg?: string) => void; error?: (o: any, msg?: string) => void }, conn?: MigrationConn) {
   const startedAt = Date.now();
-  const client = await pool.connect();
+  const pooled = conn ? null : await pool.connect();
+  const client: MigrationConn = conn ?? pooled!;
   try {
+    await client.query(`
+      ALTER TABLE "worlds"
+        ADD COLUMN IF NOT EXISTS "seed" integer NOT NULL DEFAULT 20240,
+        ADD COLUMN IF NOT EXISTS "generation" jsonb NOT NULL DEFAULT '{}'::jsonb,
+        ADD COLUMN IF NOT EXISTS "archived_at" timestamptz,
+        ADD COLUMN IF NOT EXISTS "last_active_at" timestamptz,
+        ADD COLUMN IF NOT EXISTS "survival" boolean NOT NULL DEFAULT true;
+    `);
+
+    // Worlds are no longer created on demand: keep the former menu worlds available.
+    await client.query(`
+      INSERT INTO "worlds" ("id", "name", "seed") VALUES
+        ('world-iron-grove', 'Iron Grove', (floor(random() * 2147483646) + 1)::integer),
+        ('world-rustwood-valley', 'Rustwood Valley', (floor(random() * 2147483646) + 1)::integer),
+        ('world-copperpine-frontier', 'Copperpine Frontier', (floor(random() * 2147483646) + 1)::integer),
+        ('world-smokehollow-yard', 'Smokehollow Yard', (floor(random() * 2147483646) + 1)::integer),
+        ('world-emberbark-isle', 'Emberbark Isle', (floor(random() * 2147483646) + 1)::integer)
+      ON CONFLICT ("id") DO NOTHING;
+    `);
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS "world_chunk_state" (
         "world_id" text NOT NULL REFERENCES "worlds"("id"),
@@ -29,6 +53,16 @@ export async function runMigrations(logger?: { info: (o: any, msg?: string) => v
       );
     `);
 
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "campfire_state" (
+        "world_id" text NOT NULL REFERENCES "worlds"("id"),
+        "campfire_id" text NOT NULL,
+        "state" jsonb NOT NULL DEFAULT '{}'::jsonb,
+        "updated_at" timestamptz NOT NULL DEFAULT now(),
+        CONSTRAINT "campfire_state_pk" PRIMARY KEY ("world_id", "campfire_id")
+      );
+    `);
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS "chest_state" (
         "world_id" text NOT NULL REFERENCES "worlds"("id"),
@@ -40,6 +74,13 @@ export async function runMigrations(logger?: { info: (o: any, msg?: string) => v
       );
     `);
 
+    // Chest ACL (owner + allowed list + public mode).
+    await client.query(`
+      ALTER TABLE "chest_state"
+        ADD COLUMN IF NOT EXISTS "allowed" jsonb NOT NULL DEFAULT '[]'::jsonb,
+        ADD COLUMN IF NOT EXISTS "is_public" boolean NOT NULL DEFAULT false;
+    `);
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS "player_settings" (
         "guest_id" text NOT NULL REFERENCES "guests"("id"),
@@ -50,6 +91,58 @@ export async function runMigrations(logger?: { info: (o: any, msg?: string) => v
       );
     `);
 
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "player_bed" (
+        "guest_id" text NOT NULL REFERENCES "guests"("id"),
+        "world_id" text NOT NULL REFERENCES "worlds"("id"),
+        "bed_id" text NOT NULL,
+        "x" double precision NOT NULL,
+        "z" double precision NOT NULL,
+        "updated_at" timestamptz NOT NULL DEFAULT now(),
+        CONSTRAINT "player_bed_pk" PRIMARY KEY ("guest_id", "world_id")
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "loot_bag" (
+        "world_id" text NOT NULL REFERENCES "worlds"("id"),
+        "bag_id" text NOT NULL,
+        "owner_id" text NOT NULL,
+        "state" jsonb NOT NULL DEFAULT '{}'::jsonb,
+        "created_at" timestamptz NOT NULL DEFAULT now(),
+        "updated_at" timestamptz NOT NULL DEFAULT now(),
+        CONSTRAINT "loot_bag_pk" PRIMARY KEY ("world_id", "bag_id")
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "inventory_ledger" (
+        "id" bigserial PRIMARY KEY,
+        "guest_id" text NOT NULL REFERENCES "guests"("id"),
+        "world_id" text NOT NULL REFERENCES "worlds"("id"),
+        "item_id" text NOT NULL,
+        "qty" integer NOT NULL,
+        "reason" text NOT NULL,
+        "ref_id" text,
+        "created_at" timestamptz NOT NULL DEFAULT now()
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS "inventory_ledger_player_idx"
+      ON "inventory_ledger" ("world_id", "guest_id");
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "player_health" (
+        "guest_id" text NOT NULL REFERENCES "guests"("id"),
+        "world_id" text NOT NULL REFERENCES "worlds"("id"),
+        "hp" double precision NOT NULL,
+        "updated_at" timestamptz NOT NULL DEFAULT now(),
+        CONSTRAINT "player_health_pk" PRIMARY KEY ("guest_id", "world_id")
+      );
+    `);
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS "accounts" (
         "id" text PRIMARY KEY,
@@ -134,6 +227,6 @@ export async function runMigrations(logger?: { info: (o: any, msg?: string) => v
     logger?.error?.({ err }, 'db migrations failed');
     throw err;
   } finally {
-    client.release();
+    pooled?.release();
   }
 }
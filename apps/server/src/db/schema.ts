@@ -1,4 +1,4 @@
-import { pgTable, text, timestamp, jsonb, primaryKey, integer, boolean } from 'drizzle-orm/pg-core';
+import { pgTable, text, timestamp, jsonb, primaryKey, integer, boolean, bigserial, index, doublePrecision } from 'drizzle-orm/pg-core';
 
 export const guests = pgTable('guests', {
   id: text('id').primaryKey(),
@@ -9,6 +9,15 @@ export const guests = pgTable('guests', {
 export const worlds = pgTable('worlds', {
   id: text('id').primaryKey(),
   name: text('name').notNull(),
+  // Layout: terrain/resources seed + generation knobs (see shared normalizeGeneration).
+  // Default = TERRAIN.seed, so rows created before the column keep their layout.
+  seed: integer('seed').notNull().default(20240),
+  generation: jsonb('generation').notNull().default({}),
+  // Survival mode (hunger/stamina meters); admins can turn it off per world.
+  survival: boolean('survival').notNull().default(true),
+  // Archived worlds are hidden from the browser and can't be joined (admin API).
+  archivedAt: timestamp('archived_at', { withTimezone: true }),
+  lastActiveAt: timestamp('last_active_at', { withTimezone: true }),
   createdAt: timestamp('created_at', { withTimezone: true }).notNull().defaultNow(),
 });
 
@@ -44,6 +53,21 @@ export const forgeState = pgTable(
   })
 );
 
+export const campfireState = pgTable(
+  'campfire_state',
+  {
+    worldId: text('world_id')
+      .notNull()
+      .references(() => worlds.id),
+    campfireId: text('campfire_id').notNull(),
+    state: jsonb('state').notNull().default({}),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).notNull().defaultNow(),
+  },
+  (t) => ({
+    pk: primaryKey({ columns: [t.worldId, t.campfireId] }),
+  })
+);
+
 export const chestState = pgTable(
   'chest_state',
   {
@@ -52,6 +76,9 @@ export const chestState = pgTable(
       .references(() => worlds.id),
     chestId: text('chest_id').notNull(),
     ownerId: text('owner_id').notNull(),
+    /** Guest ids the owner shared the chest with (see routes/chestState.ts ACL). */
+    allowed: jsonb('allowed').notNull().default([]),
+    isPublic: boolean('is_public').notNull().default(false),
     state: jsonb('state').notNull().default({}),
     updatedAt: timestamp('updated_at', { withTimezone: true }).notNull().defaultNow(),
   },
@@ -77,6 +104,85 @@ export const playerState = pgTable(
   })
 );
 
+// Respawn point: the last bed the player placed in the world (see world/beds.ts).
+export const playerBed = pgTable(
+  'player_bed',
+  {
+    guestId: text('guest_id')
+      .notNull()
+      .references(() => guests.id),
+    worldId: text('world_id')
+      .notNull()
+      .references(() => worlds.id),
+    bedId: text('bed_id').notNull(),
+    x: doublePrecision('x').notNull(),
+    z: doublePrecision('z').notNull(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).notNull().defaultNow(),
+  },
+  (t) => ({
+    pk: primaryKey({ columns: [t.guestId, t.worldId] }),
+  })
+);
+
+// Health between sessions, written by the WS server on disconnect, death and respawn (see world/health.ts).
+export const playerHealth = pgTable(
+  'player_health',
+  {
+    guestId: text('guest_id')
+      .notNull()
+      .references(() => guests.id),
+    worldId: text('world_id')
+      .notNull()
+      .references(() => worlds.id),
+    hp: doublePrecision('hp').notNull(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).notNull().defaultNow(),
+  },
+  (t) => ({
+    pk: primaryKey({ columns: [t.guestId, t.worldId] }),
+  })
+);
+
+// Death loot bags (a `lootBag` entry in the chunk's `placed` list; see world/lootBags.ts).
+export const lootBag = pgTable(
+  'loot_bag',
+  {
+    worldId: text('world_id')
+      .notNull()
+      .references(() => worlds.id),
+    bagId: text('bag_id').notNull(),
+    ownerId: text('owner_id').notNull(),
+    state: jsonb('state').notNull().default({}),
+    createdAt: timestamp('created_at', { withTimezone: true }).notNull().defaultNow(),
+    updatedAt: timestamp('updated_at', { withTimezone: true }).notNull().defaultNow(),
+  },
+  (t) => ({
+    pk: primaryKey({ columns: [t.worldId, t.bagId] }),
+  })
+);
+
+// Append-only: every item the server grants (loot) is recorded here, and items leaving the
+// player (drops...) as negative rows. Player state saves are validated against the per-item sums.
+export const inventoryLedger = pgTable(
+  'inventory_ledger',
+  {
+    id: bigserial('id', { mode: 'number' }).primaryKey(),
+    guestId: text('guest_id')
+      .notNull()
+      .references(() => guests.id),
+    worldId: text('world_id')
+      .notNull()
+      .references(() => worlds.id),
+    itemId: text('item_id').notNull(),
+    qty: integer('qty').notNull(),
+    reason: text('reason').notNull(), // see LedgerReason (inventory/ledger.ts)
+    refId: text('ref_id'),
+    createdAt: timestamp('created_at', { withTimezone: true }).notNull().defaultNow(),
+  },
+  (t) => ({
+    playerIdx: index('inventory_ledger_player_idx').on(t.worldId, t.guestId),
+  })
+);
+
 export const playerSettings = pgTable(
   'player_settings',
   {
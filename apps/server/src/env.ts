@@ -26,11 +26,43 @@ const EnvSchema = z.object({
   // If blank: endpoint is open (use only in dev).
   WOODCUTTER_MP_STATS_TOKEN: z.string().optional().default(process.env.WOODCUTTER_MP_STATS_TOKEN || ''),
 
+  // Token for the world admin API (header `x-admin-token`). Blank: admin routes are disabled.
+  WOODCUTTER_ADMIN_TOKEN: z.string().optional().default(process.env.WOODCUTTER_ADMIN_TOKEN || ''),
+
   // Anti-spam (worldEvent)
   WOODCUTTER_WORLD_EVENT_RATE_PER_SEC: z.coerce.number().int().positive().default(12),
   WOODCUTTER_WORLD_EVENT_BURST: z.coerce.number().int().positive().default(24),
   WOODCUTTER_WORLD_EVENT_RADIUS: z.coerce.number().positive().default(3.25),
 
+  // Chat: max message length (characters), proximity channel radius (m) and a comma-separated
+  // word blocklist for the default filter (blank: no filtering).
+  WOODCUTTER_CHAT_MAX_LEN: z.coerce.number().int().min(1).max(1000).default(200),
+  WOODCUTTER_CHAT_RADIUS: z.coerce.number().positive().default(40),
+  WOODCUTTER_CHAT_BLOCKLIST: z.string().optional().default(process.env.WOODCUTTER_CHAT_BLOCKLIST || ''),
+
+  // Land claims: chunks a player may claim per world, and players each claim can trust.
+  WOODCUTTER_CLAIM_MAX_PER_PLAYER: z.coerce.number().int().min(0).max(64).default(4),
+  WOODCUTTER_CLAIM_MAX_TRUSTED: z.coerce.number().int().min(0).max(64).default(16),
+
+  // Placed structures: comma-separated guest ids allowed to pick up anyone's structures, and how
+  // long (days) an owner must be away before others may pick theirs up (0: never).
+  WOODCUTTER_ADMIN_GUEST_IDS: z.string().optional().default(process.env.WOODCUTTER_ADMIN_GUEST_IDS || ''),
+  WOODCUTTER_ABANDON_PICKUP_DAYS: z.coerce.number().min(0).default(14),
+
+  // Multi-pod fan-out (Redis pub/sub). Blank: hostname + pid + random suffix.
+  WOODCUTTER_POD_ID: z.string().optional().default(process.env.WOODCUTTER_POD_ID || ''),
+
+  // Area of interest: players and worldChunk updates are only sent within this many 32-unit chunks.
+  WOODCUTTER_AOI_CHUNK_RADIUS: z.coerce.number().int().min(1).max(8).default(2),
+
+  // Network: binary delta snapshots/inputs (protocol v2) for clients that ask for it in `join`.
+  // Set to 0/false to keep every client on JSON.
+  WOODCUTTER_BINARY_PROTOCOL: z
+    .string()
+    .optional()
+    .default(process.env.WOODCUTTER_BINARY_PROTOCOL || '1')
+    .transform((v) => !['0', 'false', 'off'].includes(v.trim().toLowerCase())),
+
   // Network: compact snapshots (optional)
   WOODCUTTER_SNAPSHOT_COMPACT: z.coerce.boolean().default(false),
 });
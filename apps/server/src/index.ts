@@ -5,9 +5,13 @@ import { runMigrations } from './db/migrate.js';
 // Auth guest legado removido (Auth v2 usa /api/auth/device/guest)
 import { registerPlayerStateRoutes } from './routes/playerState.js';
 import { registerForgeStateRoutes } from './routes/forgeState.js';
+import { registerCampfireStateRoutes } from './routes/campfireState.js';
 import { registerAuthIdentityRoutes } from './routes/authIdentity.js';
 import { registerChestStateRoutes } from './routes/chestState.js';
+import { registerLootBagStateRoutes } from './routes/lootBagState.js';
 import { registerPlayerSettingsRoutes } from './routes/playerSettings.js';
+import { registerWorldConfigRoutes } from './routes/worldConfig.js';
+import { registerWorldRoutes } from './routes/worlds.js';
 import { registerWs } from './ws/wsServer.js';
 import { createMpStats, registerMpStatsRoute } from './mp/stats.js';
 import { closeRedis, getRedis } from './redis/client.js';
@@ -48,12 +52,16 @@ app.get('/api/health', async () => {
 await registerAuthIdentityRoutes(app);
 await registerPlayerStateRoutes(app);
 await registerPlayerSettingsRoutes(app);
+await registerWorldConfigRoutes(app);
 await registerForgeStateRoutes(app);
+await registerCampfireStateRoutes(app);
 await registerChestStateRoutes(app);
+await registerLootBagStateRoutes(app);
 
 const mpStats = createMpStats();
 await registerMpStatsRoute(app, mpStats, { token: env.WOODCUTTER_MP_STATS_TOKEN });
-registerWs(app, { mpStats });
+const ws = registerWs(app, { mpStats });
+await registerWorldRoutes(app, { mpStats, onWorldClosed: ws.closeWorld });
 
 app.addHook('onClose', async () => {
   await closeRedis();
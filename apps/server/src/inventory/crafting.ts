@@ -0,0 +1,86 @@
+import { and, eq } from 'drizzle-orm';
+import { db } from '../db/client.js';
+import { playerState } from '../db/schema.js';
+import { appendLedgerEntries, debitLedgerEntries } from './ledger.js';
+import { findRecipe, Inventory, ITEMS, type CraftStation, type ItemStack, type InventorySlot } from '@jarvis-woodcutter-fps/shared';
+
+export type CraftRejectReason = 'unknown_recipe' | 'not_near_station' | 'missing_cost' | 'inventory_full' | 'no_state';
+
+export type CraftOutcome =
+  | { ok: true; station: CraftStation; output: ItemStack; cost: Array<{ id: string; qty: number }> }
+  | { ok: false; reason: CraftRejectReason };
+
+/**
+ * Applies a recipe to stored inventory slots (same rules as the client `Inventory`).
+ * The output must fit entirely; unlike the old client-only flow, nothing is discarded.
+ */
+export function applyRecipeToSlots(slots: InventorySlot[], recipeId: string) {
+  const found = findRecipe(recipeId);
+  if (!found) return { ok: false as const, reason: 'unknown_recipe' as const };
+  const { recipe } = found;
+
+  const inv = new Inventory({ slots: Math.max(1, slots.length) });
+  inv.slots = slots.map((s) => (s && ITEMS[s.id] ? { id: s.id, qty: Number(s.qty ?? 0), meta: s.meta ?? undefined } : null));
+
+  if (!recipe.cost.every((c) => inv.count(c.id) >= c.qty)) {
+    return { ok: false as const, reason: 'missing_cost' as const };
+  }
+
+  for (const c of recipe.cost) inv.remove(c.id, c.qty);
+  const overflow = inv.add(recipe.output.id, recipe.output.qty, recipe.output.meta);
+  if (overflow) return { ok: false as const, reason: 'inventory_full' as const };
+
+  return { ok: true as const, recipe, station: found.station, slots: inv.slots };
+}
+
+/**
+ * Crafts against the stored player save (`player_state`) and persists the result,
+ * so the next client save already matches what the server expects. The ledger moves with it:
+ * the cost is debited and the output credited.
+ */
+export async function craftForPlayer(params: {
+  guestId: string;
+  worldId: string;
+  recipeId: string;
+  /** Resolved by the caller (server-authoritative position vs placed forge tables). */
+  nearForgeTable: () => Promise<boolean>;
+}, exec: typeof db = db): Promise<CraftOutcome> {
+  const { guestId, worldId, recipeId } = params;
+
+  const found = findRecipe(recipeId);
+  if (!found) return { ok: false, reason: 'unknown_recipe' };
+  if (found.station === 'forgeTable' && !(await params.nearForgeTable())) {
+    return { ok: false, reason: 'not_near_station' };
+  }
+
+  return exec.transaction(async (tx) => {
+    const rows = await tx
+      .select({ state: playerState.state })
+      .from(playerState)
+      .where(and(eq(playerState.guestId, guestId), eq(playerState.worldId, worldId)))
+      .for('update')
+      .limit(1);
+    if (rows.length === 0) return { ok: false, reason: 'no_state' } as CraftOutcome;
+
+    const state = structuredClone((rows[0].state ?? {}) as any);
+    const slots: InventorySlot[] = Array.isArray(state?.inventory?.slots) ? state.inventory.slots : [];
+
+    const res = applyRecipeToSlots(slots, recipeId);
+    if (!res.ok) return { ok: false, reason: res.reason } as CraftOutcome;
+
+    const debit = await debitLedgerEntries({ guestId, worldId, reason: 'craft', refId: recipeId, items: res.recipe.cost }, tx);
+    if (!debit.ok) return { ok: false, reason: 'missing_cost' } as CraftOutcome;
+    await appendLedgerEntries({ guestId, worldId, reason: 'craft', refId: recipeId, items: [{ id: res.recipe.output.id, qty: res.recipe.output.qty }] }, tx);
+
+    state.inventory = { ...(state.inventory ?? {}), slots: res.slots.map((s) => (s ? { id: s.id, qty: s.qty, meta: s.meta ?? null } : null)) };
+    await tx
+      .update(playerState)
+      .set({ state, updatedAt: new Date() })
+      .where(and(eq(playerState.guestId, guestId), eq(playerState.worldId, worldId)));
+
+    const output: ItemStack = { id: res.recipe.output.id, qty: res.recipe.output.qty };
+    if (res.recipe.output.meta) output.meta = structuredClone(res.recipe.output.meta);
+
+    return { ok: true, station: res.station, output, cost: res.recipe.cost.map((c) => ({ id: c.id, qty: c.qty })) } as CraftOutcome;
+  });
+}
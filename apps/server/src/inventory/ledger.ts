@@ -0,0 +1,319 @@
+import { and, desc, eq, inArray, isNotNull, sql } from 'drizzle-orm';
+import { db, type DbTx } from '../db/client.js';
+import { inventoryLedger, playerState } from '../db/schema.js';
+import { COOKING_RECIPES, FOOD_EFFECTS, FORGE_TABLE_RECIPES, ItemId, RECIPES, SMELTING_RECIPES } from '@jarvis-woodcutter-fps/shared';
+import type { LootItem, LootModifiers } from './loot.js';
+
+/**
+ * Items validated against the ledger, keyed by the ledger bucket they count against.
+ * Forge outputs (SMELTING_RECIPES) and cooked food (COOKING_RECIPES) are made 1:1 from a looted
+ * input, so they share its bucket.
+ */
+const LEDGER_BUCKET: Record<string, string> = {
+  [ItemId.LOG]: ItemId.LOG,
+  [ItemId.STICK]: ItemId.STICK,
+  [ItemId.LEAF]: ItemId.LEAF,
+  [ItemId.STONE]: ItemId.STONE,
+  [ItemId.SAND]: ItemId.SAND,
+  [ItemId.IRON_ORE]: ItemId.IRON_ORE,
+  [ItemId.APPLE]: ItemId.APPLE,
+  [ItemId.FIBER]: ItemId.FIBER,
+  [ItemId.COTTON_SEED]: ItemId.COTTON_SEED,
+  // Creature drops (ground piles, credited on `itemPickup`); raw meat cooks into cooked meat.
+  [ItemId.RAW_MEAT]: ItemId.RAW_MEAT,
+  [ItemId.HIDE]: ItemId.HIDE,
+  // Every fish counts as one (they all cook into cooked fish).
+  [ItemId.RAW_FISH]: ItemId.RAW_FISH,
+  [ItemId.TROUT]: ItemId.RAW_FISH,
+  [ItemId.CATFISH]: ItemId.RAW_FISH,
+};
+for (const r of [...SMELTING_RECIPES, ...COOKING_RECIPES]) {
+  const bucket = LEDGER_BUCKET[r.input];
+  if (bucket && !LEDGER_BUCKET[r.output.id]) LEDGER_BUCKET[r.output.id] = bucket;
+}
+
+/**
+ * Bumped when LEDGER_BUCKET starts tracking more items. A ledger that predates the bump gets one
+ * `baseline` (ref_id = the version) for the newly tracked items its stored save holds.
+ */
+const LEDGER_VERSION = 3;
+/** Item -> ledger version it became tracked in (1 when not listed). */
+const TRACKED_SINCE: Record<string, number> = {};
+
+// v2: crafted items (server crafting credits the output and debits the cost). The starter stone
+// axe is handed out by the client, so it stays untracked.
+for (const r of [...RECIPES, ...FORGE_TABLE_RECIPES]) {
+  const id = r.output.id;
+  if (LEDGER_BUCKET[id] || id === ItemId.AXE_STONE) continue;
+  LEDGER_BUCKET[id] = id;
+  TRACKED_SINCE[id] = 2;
+}
+
+// v3: creature drops and the meat cooked from them.
+for (const id of [ItemId.RAW_MEAT, ItemId.COOKED_MEAT, ItemId.HIDE]) TRACKED_SINCE[id] = 3;
+
+const WOODCUTTER_SET: string[] = [ItemId.WOODCUTTER_HAT, ItemId.WOODCUTTER_SHIRT, ItemId.WOODCUTTER_PANTS, ItemId.WOODCUTTER_BOOTS, ItemId.WOODCUTTER_GLOVES];
+const EQUIP_SLOTS = ['hat', 'shirt', 'pants', 'boots', 'gloves', 'backpack'];
+/** Foods whose `eat` debit starts the luck buff. */
+const LUCK_FOODS = Object.keys(FOOD_EFFECTS).filter((id) => FOOD_EFFECTS[id].buff === 'luck');
+
+/** Grants (positive entries) and debits (negative entries: items that left the player). */
+export type LedgerReason = 'treeCut' | 'oreBreak' | 'bushCollect' | 'harvest' | 'rockCollect' | 'stickCollect' | 'fishCatch' | 'lootBag' | 'deathDrop' | 'eat' | 'itemPickup' | 'itemDrop' | 'chest' | 'forge' | 'campfire' | 'craft' | 'place' | 'plant' | 'claim' | 'baseline';
+
+type LedgerDb = typeof db | DbTx;
+
+export type LedgerViolation = { id: string; held: number; allowed: number };
+
+/**
+ * Counts items the save claims to hold (inventory slots + equipped items).
+ * Hotbar entries are shortcuts into the inventory, so they are not counted.
+ */
+export function countHeldItems(state: any): Record<string, number> {
+  const eq = state?.equipment && typeof state.equipment === 'object' ? state.equipment : {};
+  return countSlotItems([...(Array.isArray(state?.inventory?.slots) ? state.inventory.slots : []), ...EQUIP_SLOTS.map((k) => eq[k])]);
+}
+
+/** Items per id in a list of slots (inventory, chest, forge, campfire...). */
+export function countSlotItems(slots: any[]): Record<string, number> {
+  const out: Record<string, number> = {};
+  for (const s of slots) {
+    if (!s || typeof s !== 'object') continue;
+    const id = String(s.id || '');
+    const qty = Math.floor(Number(s.qty ?? 0));
+    if (!id || !Number.isFinite(qty) || qty <= 0) continue;
+    out[id] = (out[id] ?? 0) + qty;
+  }
+  return out;
+}
+
+/** What `after` gained and lost compared to `before` (item counts per id). */
+export function diffItems(before: Record<string, number>, after: Record<string, number>) {
+  const added: LootItem[] = [];
+  const removed: LootItem[] = [];
+  for (const id of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const d = (after[id] ?? 0) - (before[id] ?? 0);
+    if (d > 0) added.push({ id, qty: d });
+    else if (d < 0) removed.push({ id, qty: -d });
+  }
+  return { added, removed };
+}
+
+/** Only items with a ledger bucket are recorded; the rest (tools...) is not validated. */
+export function ledgerItems(items: LootItem[]): LootItem[] {
+  return items.filter((it) => !!LEDGER_BUCKET[it.id] && it.qty > 0);
+}
+
+function bucketTotals(items: Record<string, number>) {
+  const out: Record<string, number> = {};
+  for (const [id, qty] of Object.entries(items)) {
+    const bucket = LEDGER_BUCKET[id];
+    if (!bucket) continue;
+    out[bucket] = (out[bucket] ?? 0) + qty;
+  }
+  return out;
+}
+
+/**
+ * Loot modifiers from server-side state only. Luck: the last luck food the server saw eaten (`eat`
+ * debit), for that food's duration; eating again restarts the timer, as on the client. Woodcutter
+ * set: every piece worn in the stored save and still backed by the ledger balance.
+ */
+export async function loadLootModifiers(params: { guestId: string; worldId: string }): Promise<LootModifiers> {
+  const { guestId, worldId } = params;
+  const eaten = await db
+    .select({ itemId: inventoryLedger.itemId, createdAt: inventoryLedger.createdAt })
+    .from(inventoryLedger)
+    .where(and(eq(inventoryLedger.worldId, worldId), eq(inventoryLedger.guestId, guestId), eq(inventoryLedger.reason, 'eat'), inArray(inventoryLedger.itemId, LUCK_FOODS)))
+    .orderBy(desc(inventoryLedger.createdAt))
+    .limit(1);
+  const fx = eaten.length ? FOOD_EFFECTS[eaten[0].itemId] : null;
+  const luck = !!fx && new Date(eaten[0].createdAt).getTime() + fx.seconds * 1000 > Date.now();
+
+  const rows = await db
+    .select({ state: playerState.state })
+    .from(playerState)
+    .where(and(eq(playerState.guestId, guestId), eq(playerState.worldId, worldId)))
+    .limit(1);
+  const equipment = (rows[0]?.state as any)?.equipment;
+  const worn = new Set(EQUIP_SLOTS.map((k) => String(equipment?.[k]?.id || '')));
+  let woodcutterSet = WOODCUTTER_SET.every((id) => worn.has(id));
+  if (woodcutterSet) {
+    const allowed = await loadAllowed(guestId, worldId, db);
+    woodcutterSet = WOODCUTTER_SET.every((id) => (allowed[LEDGER_BUCKET[id]] ?? 0) >= 1);
+  }
+
+  return { luck, woodcutterSet };
+}
+
+/** Items in the stored save (`player_state`), counted like `countHeldItems`. */
+export async function loadHeldItems(params: { guestId: string; worldId: string }) {
+  const rows = await db
+    .select({ state: playerState.state })
+    .from(playerState)
+    .where(and(eq(playerState.guestId, params.guestId), eq(playerState.worldId, params.worldId)))
+    .limit(1);
+  return countHeldItems(rows[0]?.state ?? {});
+}
+
+export async function appendLedgerEntries(
+  params: {
+    guestId: string;
+    worldId: string;
+    reason: LedgerReason;
+    refId?: string | null;
+    items: LootItem[];
+  },
+  exec: LedgerDb = db,
+) {
+  const rows = params.items
+    .filter((it) => it.qty > 0)
+    .map((it) => ({
+      guestId: params.guestId,
+      worldId: params.worldId,
+      itemId: it.id,
+      qty: it.qty,
+      reason: params.reason,
+      refId: params.refId ?? null,
+    }));
+  if (!rows.length) return;
+  await exec.insert(inventoryLedger).values(rows);
+}
+
+/** Sum of ledger entries per item (raw item ids, not buckets): grants minus debits. */
+export async function getLedgerBalance(params: { guestId: string; worldId: string }, exec: LedgerDb = db) {
+  const rows = await exec
+    .select({ itemId: inventoryLedger.itemId, qty: sql<number>`coalesce(sum(${inventoryLedger.qty}), 0)::int` })
+    .from(inventoryLedger)
+    .where(and(eq(inventoryLedger.worldId, params.worldId), eq(inventoryLedger.guestId, params.guestId)))
+    .groupBy(inventoryLedger.itemId);
+
+  const out: Record<string, number> = {};
+  for (const r of rows) out[String(r.itemId)] = Number(r.qty) || 0;
+  return { balance: out, hasEntries: rows.length > 0 };
+}
+
+/**
+ * Balance per bucket. Players without ledger entries (saves predating the ledger) are
+ * grandfathered: their last stored save becomes a `baseline` entry first.
+ */
+async function loadAllowed(guestId: string, worldId: string, exec: LedgerDb) {
+  let { balance, hasEntries } = await getLedgerBalance({ guestId, worldId }, exec);
+
+  const version = hasEntries ? await ledgerVersion(guestId, worldId, exec) : 0;
+  if (version < LEDGER_VERSION) {
+    const rows = await exec
+      .select({ state: playerState.state })
+      .from(playerState)
+      .where(and(eq(playerState.guestId, guestId), eq(playerState.worldId, worldId)))
+      .limit(1);
+
+    // Everything the stored save holds for a fresh ledger; otherwise only the newly tracked items,
+    // topped up to the stored amount (items crafted since the bump were already credited).
+    const prev = countHeldItems(rows[0]?.state ?? {});
+    const items = ledgerItems(
+      Object.entries(prev)
+        .filter(([id]) => !version || (TRACKED_SINCE[id] ?? 1) > version)
+        .map(([id, qty]) => ({ id, qty: version ? qty - Math.max(0, balance[id] ?? 0) : qty })),
+    );
+    // A zero row still records the version when there is nothing to add.
+    const marker = items.length ? items : [{ id: Object.keys(TRACKED_SINCE)[0], qty: 0 }];
+    await exec.insert(inventoryLedger).values(
+      marker.map((it) => ({ guestId, worldId, itemId: it.id, qty: it.qty, reason: 'baseline', refId: String(LEDGER_VERSION) })),
+    );
+    for (const it of items) balance[it.id] = (balance[it.id] ?? 0) + it.qty;
+  }
+
+  return bucketTotals(balance);
+}
+
+/** Ledger version of the player's last `baseline` (1: a ledger from before versioning). */
+async function ledgerVersion(guestId: string, worldId: string, exec: LedgerDb) {
+  const rows = await exec
+    .select({ v: sql<number>`coalesce(max(${inventoryLedger.refId}::int), 1)::int` })
+    .from(inventoryLedger)
+    .where(and(eq(inventoryLedger.worldId, worldId), eq(inventoryLedger.guestId, guestId), eq(inventoryLedger.reason, 'baseline'), isNotNull(inventoryLedger.refId)));
+  return Number(rows[0]?.v) || 1;
+}
+
+function overBalance(allowed: Record<string, number>, held: Record<string, number>) {
+  const violations: LedgerViolation[] = [];
+  for (const [bucket, qty] of Object.entries(held)) {
+    const max = allowed[bucket] ?? 0;
+    if (qty > max) violations.push({ id: bucket, held: qty, allowed: max });
+  }
+  return violations;
+}
+
+/**
+ * Validates a player save against the ledger: for every tracked bucket, the items held
+ * may not exceed the player's balance (what the server granted minus what left them).
+ */
+export async function checkStateAgainstLedger(params: { guestId: string; worldId: string; state: any }, exec: LedgerDb = db) {
+  const allowed = await loadAllowed(params.guestId, params.worldId, exec);
+  const violations = overBalance(allowed, bucketTotals(countHeldItems(params.state)));
+  return violations.length ? ({ ok: false as const, violations }) : ({ ok: true as const });
+}
+
+/**
+ * Records items leaving the player (drops, deposits, crafting costs...) as negative entries,
+ * refusing any that exceed the balance. Check and write share a per-player advisory lock,
+ * so two debits can't both spend the same items.
+ */
+export async function debitLedgerEntries(
+  params: { guestId: string; worldId: string; reason: LedgerReason; refId?: string | null; items: LootItem[] },
+  tx?: DbTx,
+): Promise<{ ok: true } | { ok: false; violations: LedgerViolation[] }> {
+  if (!tx) return db.transaction((t) => debitLedgerEntries(params, t));
+  const { guestId, worldId } = params;
+
+  const items = ledgerItems(params.items);
+  if (!items.length) return { ok: true };
+
+  await tx.execute(sql`select pg_advisory_xact_lock(hashtext(${`ledger:${worldId}:${guestId}`}))`);
+  const allowed = await loadAllowed(guestId, worldId, tx);
+  const debit: Record<string, number> = {};
+  for (const it of items) debit[it.id] = (debit[it.id] ?? 0) + it.qty;
+  const violations = overBalance(allowed, bucketTotals(debit));
+  if (violations.length) return { ok: false, violations };
+
+  await tx.insert(inventoryLedger).values(
+    items.map((it) => ({ guestId, worldId, itemId: it.id, qty: -it.qty, reason: params.reason, refId: params.refId ?? null })),
+  );
+  return { ok: true };
+}
+
+/**
+ * Writes the balance down to what the player keeps (`kept`, item counts): every tracked bucket
+ * above it gets a negative entry for the excess, under the bucket's id. Used on death, so items
+ * looted since the last save die with the player instead of staying spendable.
+ */
+export async function writeOffLedgerBalance(
+  params: { guestId: string; worldId: string; reason: LedgerReason; refId?: string | null; kept: Record<string, number> },
+  tx: DbTx,
+) {
+  const { guestId, worldId } = params;
+  await tx.execute(sql`select pg_advisory_xact_lock(hashtext(${`ledger:${worldId}:${guestId}`}))`);
+  const allowed = await loadAllowed(guestId, worldId, tx);
+  const kept = bucketTotals(params.kept);
+  const rows = Object.entries(allowed)
+    .map(([bucket, qty]) => ({ bucket, excess: qty - (kept[bucket] ?? 0) }))
+    .filter((r) => r.excess > 0)
+    .map((r) => ({ guestId, worldId, itemId: r.bucket, qty: -r.excess, reason: params.reason, refId: params.refId ?? null }));
+  if (rows.length) await tx.insert(inventoryLedger).values(rows);
+}
+
+/**
+ * Ledger side of a container write (chest, forge, campfire): what the container gained was
+ * deposited by the player (debited, refused beyond the balance), what it lost was taken (credited).
+ */
+export async function recordContainerTransfer(
+  params: { guestId: string; worldId: string; reason: LedgerReason; refId: string; before: any[]; after: any[] },
+  tx: DbTx,
+) {
+  const { guestId, worldId, reason, refId } = params;
+  const { added, removed } = diffItems(countSlotItems(params.before), countSlotItems(params.after));
+  const debit = await debitLedgerEntries({ guestId, worldId, reason, refId, items: added }, tx);
+  if (!debit.ok) return debit;
+  await appendLedgerEntries({ guestId, worldId, reason, refId, items: ledgerItems(removed) }, tx);
+  return debit;
+}
@@ -0,0 +1,94 @@
+// Server-side loot tables (mirrors the drops the client used to roll locally).
+
+import { ItemId, rollFishCatch, type WaterBody } from '@jarvis-woodcutter-fps/shared';
+
+export type LootKind = 'treeCut' | 'oreBreak' | 'bushCollect' | 'harvest' | 'rockCollect' | 'stickCollect' | 'fishCatch';
+
+export type LootItem = { id: string; qty: number };
+
+export type LootModifiers = {
+  /** Apple buff: doubles quantities. */
+  luck: boolean;
+  /** Full woodcutter set: independent extra rolls on tree cuts. */
+  woodcutterSet: boolean;
+  /** World generation `oreRichness`: scales ore per break (default 1). */
+  oreRichness?: number;
+  /** fishCatch: where the bobber was and the world hour (`worldHoursAt`). */
+  fishing?: { water: WaterBody; hours: number };
+};
+
+export type LootRoll = {
+  items: LootItem[];
+  /** Subset of `items` granted by the woodcutter set (for UI feedback only). */
+  bonus: LootItem[];
+};
+
+const WOODCUTTER_BONUS_CHANCE = 0.25;
+const APPLE_DROP_CHANCE = 0.005;
+const BUSH_SEED_CHANCE = 0.2;
+const HARVEST_EXTRA_SEED_CHANCE = 0.3;
+const ROCK_SAND_CHANCE = 0.35;
+
+export function isLootKind(kind: string): kind is LootKind {
+  return (
+    kind === 'treeCut' ||
+    kind === 'oreBreak' ||
+    kind === 'bushCollect' ||
+    kind === 'harvest' ||
+    kind === 'rockCollect' ||
+    kind === 'stickCollect' ||
+    kind === 'fishCatch'
+  );
+}
+
+function randInt(min: number, max: number, rnd: () => number) {
+  return Math.floor(rnd() * (max - min + 1)) + min;
+}
+
+export function rollLoot(kind: LootKind, mods: LootModifiers, rnd: () => number = Math.random): LootRoll {
+  const mul = (n: number) => (mods.luck ? n * 2 : n);
+  const items: LootItem[] = [];
+  const bonus: LootItem[] = [];
+  const push = (list: LootItem[], id: string, qty: number) => {
+    if (qty > 0) list.push({ id, qty });
+  };
+
+  if (kind === 'treeCut') {
+    // Base: 1 log, 2–5 sticks, 10–20 leaves.
+    const b = mods.woodcutterSet
+      ? {
+          log: rnd() < WOODCUTTER_BONUS_CHANCE ? 1 : 0,
+          stick: rnd() < WOODCUTTER_BONUS_CHANCE ? 2 : 0,
+          leaf: rnd() < WOODCUTTER_BONUS_CHANCE ? 5 : 0,
+        }
+      : { log: 0, stick: 0, leaf: 0 };
+
+    push(items, ItemId.LOG, mul(1 + b.log));
+    push(items, ItemId.STICK, mul(randInt(2, 5, rnd) + b.stick));
+    push(items, ItemId.LEAF, mul(randInt(10, 20, rnd) + b.leaf));
+    push(bonus, ItemId.LOG, b.log);
+    push(bonus, ItemId.STICK, b.stick);
+    push(bonus, ItemId.LEAF, b.leaf);
+
+    // Rare apple (not affected by luck).
+    if (rnd() < APPLE_DROP_CHANCE) push(items, ItemId.APPLE, 1);
+  } else if (kind === 'oreBreak') {
+    push(items, ItemId.IRON_ORE, mul(Math.max(1, Math.round(2 * (mods.oreRichness ?? 1)))));
+  } else if (kind === 'bushCollect') {
+    push(items, ItemId.LEAF, mul(2));
+    if (rnd() < BUSH_SEED_CHANCE) push(items, ItemId.COTTON_SEED, mul(1));
+  } else if (kind === 'harvest') {
+    push(items, ItemId.FIBER, mul(2));
+    push(items, ItemId.COTTON_SEED, mul(1 + (rnd() < HARVEST_EXTRA_SEED_CHANCE ? 1 : 0)));
+  } else if (kind === 'rockCollect') {
+    push(items, ItemId.STONE, mul(1));
+    // Loose rocks crumble into sand now and then (smelted into glass at the forge).
+    if (rnd() < ROCK_SAND_CHANCE) push(items, ItemId.SAND, mul(1));
+  } else if (kind === 'stickCollect') {
+    push(items, ItemId.STICK, mul(1));
+  } else if (kind === 'fishCatch' && mods.fishing) {
+    for (const it of rollFishCatch(mods.fishing.water, mods.fishing.hours, rnd)) push(items, it.id, mul(it.qty));
+  }
+
+  return { items, bonus };
+}
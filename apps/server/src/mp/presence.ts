@@ -0,0 +1,33 @@
+import { getRedis } from '../redis/client.js';
+
+/**
+ * Players per world across all pods: one Redis sorted set per world (member = player id,
+ * score = last seen, epoch ms). The WS server (ws/wsServer.ts) stamps its players every tick and
+ * removes them on leave/world switch; a pod that dies stops stamping, so its players age out
+ * after `PRESENCE_TTL_MS` instead of being counted forever.
+ */
+export const PRESENCE_TTL_MS = 30_000;
+
+export const keyWorldPresence = (worldId: string) => `presence:${worldId}`;
+
+/** Live player count per world, or null when Redis can't be reached (callers fall back to local stats). */
+export async function countWorldPresence(worldIds: string[], now = Date.now()): Promise<Record<string, number> | null> {
+  if (!worldIds.length) return {};
+  try {
+    const r = await getRedis();
+    const m = r.multi();
+    for (const id of worldIds) {
+      m.zRemRangeByScore(keyWorldPresence(id), '-inf', now - PRESENCE_TTL_MS);
+      m.zCard(keyWorldPresence(id));
+    }
+    const res = await m.exec();
+    const out: Record<string, number> = {};
+    worldIds.forEach((id, i) => {
+      const n = Number(res[i * 2 + 1]);
+      if (n > 0) out[id] = n;
+    });
+    return out;
+  } catch {
+    return null;
+  }
+}
@@ -7,6 +7,41 @@ export type MpStats = {
   playersByWorld: Record<string, number>;
 };
 
+/** Bytes per second per key, averaged over the last `windowSec` full seconds. */
+function createRateMeter(windowSec = 10) {
+  // key -> (unix second -> bytes)
+  const buckets = new Map<string, Map<number, number>>();
+
+  const prune = (m: Map<number, number>, nowSec: number) => {
+    for (const sec of m.keys()) if (sec < nowSec - windowSec) m.delete(sec);
+  };
+
+  return {
+    add(key: string, bytes: number) {
+      const sec = Math.floor(Date.now() / 1000);
+      let m = buckets.get(key);
+      if (!m) {
+        m = new Map();
+        buckets.set(key, m);
+      }
+      m.set(sec, (m.get(sec) ?? 0) + bytes);
+      prune(m, sec);
+    },
+    rates() {
+      const nowSec = Math.floor(Date.now() / 1000);
+      const out: Record<string, number> = {};
+      for (const [key, m] of buckets) {
+        prune(m, nowSec);
+        let sum = 0;
+        for (const [sec, bytes] of m) if (sec < nowSec) sum += bytes;
+        if (m.size === 0) buckets.delete(key);
+        else out[key] = Math.round(sum / windowSec);
+      }
+      return out;
+    },
+  };
+}
+
 export function createMpStats() {
   const st: MpStats = {
     startedAt: Date.now(),
@@ -20,10 +55,23 @@ export function createMpStats() {
     if (obj[key] <= 0) delete obj[key];
   };
 
+  const snapshotBytes = createRateMeter();
+  const inputBytes = createRateMeter();
+
   return {
     snapshot() {
       return structuredClone(st);
     },
+    /** Wire bytes per second per world (last 10s), for comparing the JSON and binary protocols. */
+    bandwidth() {
+      return { snapshotBytesPerSecByWorld: snapshotBytes.rates(), inputBytesPerSecByWorld: inputBytes.rates() };
+    },
+    onSnapshotBytes(worldId: string, bytes: number) {
+      snapshotBytes.add(worldId, bytes);
+    },
+    onInputBytes(worldId: string, bytes: number) {
+      inputBytes.add(worldId, bytes);
+    },
     onConnOpen() {
       st.connectionsTotal += 1;
     },
@@ -57,6 +105,7 @@ export async function registerMpStatsRoute(app: FastifyInstance, collector: MpSt
       connectionsTotal: snap.connectionsTotal,
       connectionsByWorld: snap.connectionsByWorld,
       playersByWorld: snap.playersByWorld,
+      ...collector.bandwidth(),
     };
   });
 }
@@ -26,10 +26,33 @@ export async function getRedis(): Promise<RedisClient> {
   return connecting;
 }
 
-export async function closeRedis() {
-  const c = client;
-  client = null;
-  connecting = null;
+let subscriber: RedisClient | null = null;
+let subscriberConnecting: Promise<RedisClient> | null = null;
+
+/**
+ * Dedicated connection for pub/sub: a subscribed client can't run regular commands,
+ * so publishers keep using `getRedis()`.
+ */
+export async function getRedisSubscriber(): Promise<RedisClient> {
+  if (subscriber) return subscriber;
+  if (subscriberConnecting) return subscriberConnecting;
+
+  const c = createClient({ url: env.SHARED_REDIS_URL });
+
+  c.on('error', () => {
+    // keep process alive; the client reconnects and resubscribes on its own
+  });
+
+  subscriberConnecting = (async () => {
+    await c.connect();
+    subscriber = c;
+    return c;
+  })();
+
+  return subscriberConnecting;
+}
+
+async function quitClient(c: RedisClient | null) {
   if (!c) return;
   try {
     await c.quit();
@@ -39,3 +62,14 @@ export async function closeRedis() {
     } catch {}
   }
 }
+
+export async function closeRedis() {
+  const c = client;
+  const sub = subscriber;
+  client = null;
+  connecting = null;
+  subscriber = null;
+  subscriberConnecting = null;
+  await quitClient(sub);
+  await quitClient(c);
+}
@@ -3,11 +3,10 @@ import { z } from 'zod'
 import { and, eq, isNull } from 'drizzle-orm'
 import crypto from 'node:crypto'
 import { db } from '../db/client.js'
-import { deviceGuestLinks, devices, guests, playerState, users, worlds } from '../db/schema.js'
+import { deviceGuestLinks, devices, guests, playerState, users } from '../db/schema.js'
 import { env } from '../env.js'
+import { DEFAULT_WORLD_ID, loadWorldConfig } from '../world/config.js'
 
-const DEFAULT_WORLD_ID = 'world-1'
-const DEFAULT_WORLD_NAME = 'World 1'
 
 const RATE_WINDOW_MS = 60 * 1000
 const RATE_LIMITS = {
@@ -79,9 +78,9 @@ const LoginSchema = z.object({
   worldId: z.string().min(3).max(40).regex(/^world-[a-z0-9-]+$/i).optional(),
 })
 
+/** Worlds are created by admins (the default one on demand); unknown/archived ids are refused. */
 async function ensureWorld(worldId: string) {
-  const worldName = worldId === DEFAULT_WORLD_ID ? DEFAULT_WORLD_NAME : worldId
-  await db.insert(worlds).values({ id: worldId, name: worldName }).onConflictDoNothing()
+  return (await loadWorldConfig(worldId)) != null
 }
 
 async function ensurePlayerState(guestId: string, worldId: string) {
@@ -112,7 +111,7 @@ export async function registerAuthIdentityRoutes(app: FastifyInstance) {
     if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_body' })
 
     const worldId = parsed.data.worldId || DEFAULT_WORLD_ID
-    await ensureWorld(worldId)
+    if (!(await ensureWorld(worldId))) return reply.status(404).send({ ok: false, error: 'unknown_world' })
 
     const deviceKey = String(parsed.data.deviceKey)
 
@@ -222,7 +221,7 @@ export async function registerAuthIdentityRoutes(app: FastifyInstance) {
     }
 
     const worldId = parsed.data.worldId || DEFAULT_WORLD_ID
-    await ensureWorld(worldId)
+    if (!(await ensureWorld(worldId))) return reply.status(404).send({ ok: false, error: 'unknown_world' })
     await ensurePlayerState(user.guestId, worldId)
 
     await db.update(users).set({ lastSeenAt: new Date() }).where(eq(users.id, user.id))
@@ -0,0 +1,283 @@
+import type { FastifyInstance } from 'fastify';
+import { z } from 'zod';
+import { and, eq } from 'drizzle-orm';
+import { CAMPFIRE_BURN_SECONDS } from '@jarvis-woodcutter-fps/shared';
+import { db, type DbTx } from '../db/client.js';
+import { campfireState } from '../db/schema.js';
+import { getRedis } from '../redis/client.js';
+import crypto from 'node:crypto';
+import { CAMPFIRE_CACHE_TTL_S, CampfireStateSchema, catchUpCampfire, keyCampfireCache, type CampfireState } from '../world/campfire.js';
+import { recordContainerTransfer } from '../inventory/ledger.js';
+
+const GetQuerySchema = z.object({
+  worldId: z.string().min(1),
+  campfireId: z.string().min(1).max(128),
+  guestId: z.string().min(8),
+});
+
+const PutBodySchema = z.object({
+  worldId: z.string().min(1),
+  campfireId: z.string().min(1).max(128),
+  guestId: z.string().min(8),
+  lockToken: z.string().min(8),
+  state: z.record(z.any()),
+});
+
+const LitBodySchema = z.object({
+  worldId: z.string().min(1),
+  campfireId: z.string().min(1).max(128),
+  guestId: z.string().min(8),
+  lit: z.boolean(),
+});
+
+const RenewBodySchema = z.object({
+  worldId: z.string().min(1),
+  campfireId: z.string().min(1).max(128),
+  guestId: z.string().min(8),
+  lockToken: z.string().min(8),
+});
+
+const ReleaseBodySchema = RenewBodySchema;
+
+export async function registerCampfireStateRoutes(app: FastifyInstance) {
+  const redisP = getRedis();
+  let redis: Awaited<typeof redisP> | null = null;
+  redisP.then((c) => (redis = c)).catch(() => (redis = null));
+
+  const TTL_LOCK_S = 10; // 10s (renew)
+
+  // One cook at a time per campfire (same lock model as the forge); lighting doesn't need the lock.
+  const keyCampfireLock = (worldId: string, campfireId: string) => `lock:campfire:${worldId}:${campfireId}`;
+
+  async function tryAcquireCampfireLock(params: { worldId: string; campfireId: string; guestId: string }) {
+    const r = redis;
+    if (!r) return { ok: true as const, token: `nolock:${params.guestId}:${crypto.randomUUID()}` };
+
+    const k = keyCampfireLock(params.worldId, params.campfireId);
+    const token = `${params.guestId}:${crypto.randomUUID()}`;
+
+    try {
+      const ok = await r.set(k, token, { NX: true, EX: TTL_LOCK_S });
+      if (ok === 'OK') return { ok: true as const, token };
+
+      // allow re-entry if same guest holds the lock
+      const cur = await r.get(k);
+      if (cur && String(cur).startsWith(`${params.guestId}:`)) {
+        await r.set(k, String(cur), { XX: true, EX: TTL_LOCK_S });
+        return { ok: true as const, token: String(cur) };
+      }
+
+      return { ok: false as const };
+    } catch {
+      return { ok: true as const, token };
+    }
+  }
+
+  async function assertLock(params: { worldId: string; campfireId: string; lockToken: string }) {
+    const r = redis;
+    if (!r) return true;
+    const k = keyCampfireLock(params.worldId, params.campfireId);
+    try {
+      const cur = await r.get(k);
+      return String(cur || '') === String(params.lockToken || '');
+    } catch {
+      return true;
+    }
+  }
+
+  function cacheCampfire(worldId: string, campfireId: string, st: CampfireState, now: Date) {
+    const r = redis;
+    if (!r) return;
+    try {
+      void r.set(keyCampfireCache(worldId, campfireId), JSON.stringify({ state: st, updatedAt: now.toISOString() }), { EX: CAMPFIRE_CACHE_TTL_S });
+    } catch {}
+  }
+
+  /** Current state fast-forwarded to `now` (a fresh one if the campfire has none yet). */
+  async function readCaughtUp(worldId: string, campfireId: string, now: Date, tx?: DbTx) {
+    const q = (tx ?? db)
+      .select({ state: campfireState.state, updatedAt: campfireState.updatedAt })
+      .from(campfireState)
+      .where(and(eq(campfireState.worldId, worldId), eq(campfireState.campfireId, campfireId)));
+    const rows = await (tx ? q.for('update') : q).limit(1);
+    if (!rows.length) return CampfireStateSchema.parse({});
+
+    const st = CampfireStateSchema.parse(rows[0].state ?? {});
+    const last = rows[0].updatedAt ? new Date(rows[0].updatedAt).getTime() : now.getTime();
+    catchUpCampfire(st, last, now.getTime());
+    return st;
+  }
+
+  async function writeState(worldId: string, campfireId: string, st: CampfireState, now: Date, tx?: DbTx) {
+    await (tx ?? db)
+      .insert(campfireState)
+      .values({ worldId, campfireId, state: st as any, updatedAt: now })
+      .onConflictDoUpdate({
+        target: [campfireState.worldId, campfireState.campfireId],
+        set: { state: st as any, updatedAt: now },
+      });
+    cacheCampfire(worldId, campfireId, st, now);
+  }
+
+  app.get('/api/campfire/state', async (req, reply) => {
+    const parsed = GetQuerySchema.safeParse(req.query ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_query' });
+
+    const { worldId, campfireId, guestId } = parsed.data;
+
+    const lock = await tryAcquireCampfireLock({ worldId, campfireId, guestId });
+    if (!lock.ok) return reply.status(423).send({ ok: false, error: 'locked' });
+
+    const r = redis;
+    if (r) {
+      try {
+        const cached = await r.get(keyCampfireCache(worldId, campfireId));
+        if (cached) {
+          const parsed = JSON.parse(cached) as any;
+          const st = CampfireStateSchema.parse(parsed?.state ?? {});
+          // Food keeps cooking while the fire burns: only a campfire left unlit can be served as is.
+          if (!st.litUntil) {
+            return { ok: true, worldId, campfireId, lockToken: lock.token, state: st, updatedAt: parsed?.updatedAt ?? null };
+          }
+        }
+      } catch {
+        // ignore
+      }
+    }
+
+    try {
+      const now = new Date();
+      const st = await readCaughtUp(worldId, campfireId, now);
+      await writeState(worldId, campfireId, st, now);
+      return { ok: true, worldId, campfireId, lockToken: lock.token, state: st, updatedAt: now.toISOString() };
+    } catch (err) {
+      req.log.error({ err }, 'get campfire state failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+  });
+
+  app.put('/api/campfire/state', async (req, reply) => {
+    const parsed = PutBodySchema.safeParse(req.body ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_body' });
+
+    const { worldId, campfireId, guestId, lockToken } = parsed.data;
+
+    let st: CampfireState;
+    try {
+      st = CampfireStateSchema.parse(parsed.data.state);
+    } catch {
+      return reply.status(400).send({ ok: false, error: 'invalid_campfire_state' });
+    }
+
+    try {
+      const okLock = await assertLock({ worldId, campfireId, lockToken });
+      if (!okLock) return reply.status(423).send({ ok: false, error: 'locked' });
+
+      // The fire itself is lit/put out through /api/campfire/lit: keep ours. The client decides slots;
+      // raw food put in is debited from its ledger, cooked food taken out credited.
+      const now = new Date();
+      const transfer = await db.transaction(async (tx) => {
+        const cur = await readCaughtUp(worldId, campfireId, now, tx);
+        st.litUntil = cur.litUntil;
+        const res = await recordContainerTransfer(
+          { guestId, worldId, reason: 'campfire', refId: campfireId, before: [...cur.cook, ...cur.output], after: [...st.cook, ...st.output] },
+          tx,
+        );
+        if (res.ok) await writeState(worldId, campfireId, st, now, tx);
+        return res;
+      });
+      if (!transfer.ok) {
+        req.log.warn({ guestId, worldId, campfireId, violations: transfer.violations }, 'campfire state rejected (inventory ledger)');
+        return reply.status(409).send({ ok: false, error: 'inventory_mismatch', violations: transfer.violations });
+      }
+
+      if (redis) {
+        try {
+          void redis.set(keyCampfireLock(worldId, campfireId), String(lockToken), { XX: true, EX: TTL_LOCK_S });
+        } catch {}
+      }
+
+      return { ok: true };
+    } catch (err) {
+      req.log.error({ err }, 'put campfire state failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+  });
+
+  app.post('/api/campfire/lit', async (req, reply) => {
+    const parsed = LitBodySchema.safeParse(req.body ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_body' });
+
+    const { worldId, campfireId, lit } = parsed.data;
+
+    try {
+      const now = new Date();
+      const st = await readCaughtUp(worldId, campfireId, now);
+      st.litUntil = lit ? now.getTime() + CAMPFIRE_BURN_SECONDS * 1000 : 0;
+      await writeState(worldId, campfireId, st, now);
+      return { ok: true, litUntil: st.litUntil };
+    } catch (err) {
+      req.log.error({ err }, 'set campfire lit failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+  });
+
+  app.get('/api/campfire/lock/status', async (req, reply) => {
+    const parsed = GetQuerySchema.safeParse(req.query ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_query' });
+
+    const { worldId, campfireId, guestId } = parsed.data;
+
+    const r = redis;
+    if (!r) return { ok: true, locked: false };
+
+    try {
+      const cur = await r.get(keyCampfireLock(worldId, campfireId));
+      if (!cur) return { ok: true, locked: false };
+      const bySelf = String(cur).startsWith(`${guestId}:`);
+      return { ok: true, locked: !bySelf, bySelf };
+    } catch {
+      return { ok: true, locked: false };
+    }
+  });
+
+  app.post('/api/campfire/lock/renew', async (req, reply) => {
+    const parsed = RenewBodySchema.safeParse(req.body ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_body' });
+
+    const { worldId, campfireId, lockToken } = parsed.data;
+
+    const r = redis;
+    if (!r) return { ok: true };
+
+    try {
+      const k = keyCampfireLock(worldId, campfireId);
+      const cur = await r.get(k);
+      if (String(cur || '') !== String(lockToken || '')) return reply.status(423).send({ ok: false, error: 'locked' });
+      await r.set(k, String(lockToken), { XX: true, EX: TTL_LOCK_S });
+      return { ok: true };
+    } catch {
+      return { ok: true };
+    }
+  });
+
+  app.post('/api/campfire/lock/release', async (req, reply) => {
+    const parsed = ReleaseBodySchema.safeParse(req.body ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_body' });
+
+    const { worldId, campfireId, lockToken } = parsed.data;
+
+    const r = redis;
+    if (!r) return { ok: true };
+
+    try {
+      const k = keyCampfireLock(worldId, campfireId);
+      const cur = await r.get(k);
+      if (String(cur || '') !== String(lockToken || '')) return reply.status(423).send({ ok: false, error: 'locked' });
+      await r.del(k);
+      return { ok: true };
+    } catch {
+      return { ok: true };
+    }
+  });
+}
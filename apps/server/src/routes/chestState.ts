@@ -4,6 +4,8 @@ import { and, eq } from 'drizzle-orm';
 import { db } from '../db/client.js';
 import { chestState } from '../db/schema.js';
 import { getRedis } from '../redis/client.js';
+import { resolveDisplayNames } from '../ws/playerNames.js';
+import { recordContainerTransfer } from '../inventory/ledger.js';
 import crypto from 'node:crypto';
 
 const GetQuerySchema = z.object({
@@ -48,6 +50,42 @@ const RenewBodySchema = z.object({
   lockToken: z.string().min(8),
 });
 
+const AclBodySchema = z.object({
+  worldId: z.string().min(1),
+  chestId: z.string().min(3).max(128),
+  guestId: z.string().min(8),
+  public: z.boolean().optional(),
+  /** Replaces the whole list (guest ids). */
+  allowed: z.array(z.string().min(8).max(128)).max(32).optional(),
+});
+
+/** `owner`: may share and pick up; `shared`/`public`: may open and edit (one player at a time, via the lock). */
+export type ChestAccess = 'owner' | 'shared' | 'public' | 'forbidden';
+
+export type ChestAcl = { ownerId: string; allowed: string[]; isPublic: boolean };
+
+function normAllowed(raw: unknown) {
+  return Array.isArray(raw) ? [...new Set(raw.map((x) => String(x || '')).filter(Boolean))].slice(0, 32) : [];
+}
+
+/** ACL row of a chest (DB is the source of truth); null when the chest doesn't exist. Throws on DB errors. */
+async function loadChestAcl(worldId: string, chestId: string): Promise<ChestAcl | null> {
+  const rows = await db
+    .select({ ownerId: chestState.ownerId, allowed: chestState.allowed, isPublic: chestState.isPublic })
+    .from(chestState)
+    .where(and(eq(chestState.worldId, worldId), eq(chestState.chestId, chestId)))
+    .limit(1);
+  if (!rows.length) return null;
+  return { ownerId: String(rows[0].ownerId), allowed: normAllowed(rows[0].allowed), isPublic: !!rows[0].isPublic };
+}
+
+export function chestAccessFor(acl: ChestAcl, guestId: string): ChestAccess {
+  if (acl.ownerId === String(guestId)) return 'owner';
+  if (acl.allowed.includes(String(guestId))) return 'shared';
+  if (acl.isPublic) return 'public';
+  return 'forbidden';
+}
+
 export async function registerChestStateRoutes(app: FastifyInstance) {
   const redisP = getRedis();
   let redis: Awaited<typeof redisP> | null = null;
@@ -112,20 +150,17 @@ export async function registerChestStateRoutes(app: FastifyInstance) {
 
     const { worldId, chestId, guestId } = parsed.data;
 
-    // 1) Ownership check (DB is source of truth)
+    // 1) Access check (DB is source of truth)
     let ownerId = '';
+    let access: ChestAccess = 'forbidden';
     try {
-      const rows = await db
-        .select({ ownerId: chestState.ownerId })
-        .from(chestState)
-        .where(and(eq(chestState.worldId, worldId), eq(chestState.chestId, chestId)))
-        .limit(1);
-
-      if (rows.length === 0) return reply.status(404).send({ ok: false, error: 'not_found' });
-      ownerId = String(rows[0].ownerId);
-      if (ownerId !== String(guestId)) return reply.status(403).send({ ok: false, error: 'forbidden' });
+      const acl = await loadChestAcl(worldId, chestId);
+      if (!acl) return reply.status(404).send({ ok: false, error: 'not_found' });
+      ownerId = acl.ownerId;
+      access = chestAccessFor(acl, guestId);
+      if (access === 'forbidden') return reply.status(403).send({ ok: false, error: 'forbidden' });
     } catch (err) {
-      req.log.error({ err }, 'get chest state owner check failed');
+      req.log.error({ err }, 'get chest state access check failed');
       return reply.status(503).send({ ok: false, error: 'db_unavailable' });
     }
 
@@ -141,7 +176,7 @@ export async function registerChestStateRoutes(app: FastifyInstance) {
         if (cached) {
           const parsed = JSON.parse(cached) as any;
           const st = normSlots(parsed?.state ?? {});
-          return { ok: true, worldId, chestId, ownerId, lockToken: lock.token, state: st, updatedAt: parsed?.updatedAt ?? null };
+          return { ok: true, worldId, chestId, ownerId, access, lockToken: lock.token, state: st, updatedAt: parsed?.updatedAt ?? null };
         }
       } catch {
         // ignore
@@ -171,7 +206,7 @@ export async function registerChestStateRoutes(app: FastifyInstance) {
         }
       }
 
-      return { ok: true, worldId, chestId, ownerId, lockToken: lock.token, state: st, updatedAt: rows[0].updatedAt };
+      return { ok: true, worldId, chestId, ownerId, access, lockToken: lock.token, state: st, updatedAt: rows[0].updatedAt };
     } catch (err) {
       req.log.error({ err }, 'get chest state failed');
       return reply.status(503).send({ ok: false, error: 'db_unavailable' });
@@ -192,31 +227,43 @@ export async function registerChestStateRoutes(app: FastifyInstance) {
     }
 
     try {
-      // Verify ownership
-      const rows = await db
-        .select({ ownerId: chestState.ownerId })
-        .from(chestState)
-        .where(and(eq(chestState.worldId, worldId), eq(chestState.chestId, chestId)))
-        .limit(1);
-
-      if (!rows.length) return reply.status(404).send({ ok: false, error: 'not_found' });
-      if (String(rows[0].ownerId) !== String(guestId)) return reply.status(403).send({ ok: false, error: 'forbidden' });
+      // Verify access
+      const acl = await loadChestAcl(worldId, chestId);
+      if (!acl) return reply.status(404).send({ ok: false, error: 'not_found' });
+      if (chestAccessFor(acl, guestId) === 'forbidden') return reply.status(403).send({ ok: false, error: 'forbidden' });
 
       // Verify lock
       const okLock = await assertLock({ worldId, chestId, lockToken });
       if (!okLock) return reply.status(423).send({ ok: false, error: 'locked' });
 
-      await db
-        .update(chestState)
-        .set({ state: st as any, updatedAt: new Date() })
-        .where(and(eq(chestState.worldId, worldId), eq(chestState.chestId, chestId)));
+      // Deposits leave the player's ledger balance and withdrawals enter it, so chests can't duplicate items.
+      const transfer = await db.transaction(async (tx) => {
+        const rows = await tx
+          .select({ state: chestState.state })
+          .from(chestState)
+          .where(and(eq(chestState.worldId, worldId), eq(chestState.chestId, chestId)))
+          .for('update')
+          .limit(1);
+        const before = normSlots(rows[0]?.state ?? {}).slots;
+        const res = await recordContainerTransfer({ guestId, worldId, reason: 'chest', refId: chestId, before, after: st.slots }, tx);
+        if (!res.ok) return res;
+        await tx
+          .update(chestState)
+          .set({ state: st as any, updatedAt: new Date() })
+          .where(and(eq(chestState.worldId, worldId), eq(chestState.chestId, chestId)));
+        return res;
+      });
+      if (!transfer.ok) {
+        req.log.warn({ guestId, worldId, chestId, violations: transfer.violations }, 'chest state rejected (inventory ledger)');
+        return reply.status(409).send({ ok: false, error: 'inventory_mismatch', violations: transfer.violations });
+      }
 
       // refresh cache + renew lock (best-effort)
       if (redis) {
         try {
           void redis
             .multi()
-            .set(keyChestCache(worldId, chestId), JSON.stringify({ ownerId: guestId, state: st, updatedAt: new Date().toISOString() }), { EX: TTL_CACHE_S })
+            .set(keyChestCache(worldId, chestId), JSON.stringify({ ownerId: acl.ownerId, state: st, updatedAt: new Date().toISOString() }), { EX: TTL_CACHE_S })
             .set(keyChestLock(worldId, chestId), String(lockToken), { XX: true, EX: TTL_LOCK_S })
             .exec();
         } catch {
@@ -237,35 +284,28 @@ export async function registerChestStateRoutes(app: FastifyInstance) {
 
     const { worldId, chestId, guestId } = parsed.data;
 
-    // Ownership check (DB source of truth)
-    let ownerId = '';
+    // Access check (DB source of truth)
+    let access: ChestAccess = 'forbidden';
     try {
-      const rows = await db
-        .select({ ownerId: chestState.ownerId })
-        .from(chestState)
-        .where(and(eq(chestState.worldId, worldId), eq(chestState.chestId, chestId)))
-        .limit(1);
-
-      if (!rows.length) return reply.status(404).send({ ok: false, error: 'not_found' });
-      ownerId = String(rows[0].ownerId);
-      if (ownerId !== String(guestId)) {
-        // IMPORTANT: do not leak lock info if not owner.
-        return { ok: true, access: 'forbidden' };
-      }
+      const acl = await loadChestAcl(worldId, chestId);
+      if (!acl) return reply.status(404).send({ ok: false, error: 'not_found' });
+      access = chestAccessFor(acl, guestId);
+      // IMPORTANT: do not leak lock info without access.
+      if (access === 'forbidden') return { ok: true, access };
     } catch {
       return reply.status(503).send({ ok: false, error: 'db_unavailable' });
     }
 
     const r = redis;
-    if (!r) return { ok: true, access: 'owner', inUse: false };
+    if (!r) return { ok: true, access, inUse: false };
 
     try {
       const cur = await r.get(keyChestLock(worldId, chestId));
-      if (!cur) return { ok: true, access: 'owner', inUse: false };
+      if (!cur) return { ok: true, access, inUse: false };
       const bySelf = String(cur).startsWith(`${guestId}:`);
-      return { ok: true, access: 'owner', inUse: !bySelf };
+      return { ok: true, access, inUse: !bySelf };
     } catch {
-      return { ok: true, access: 'owner', inUse: false };
+      return { ok: true, access, inUse: false };
     }
   });
 
@@ -275,16 +315,11 @@ export async function registerChestStateRoutes(app: FastifyInstance) {
 
     const { worldId, chestId, guestId } = parsed.data;
 
-    // ownership check (avoid leaking lock status of others)
+    // access check (avoid leaking lock status of others)
     try {
-      const rows = await db
-        .select({ ownerId: chestState.ownerId })
-        .from(chestState)
-        .where(and(eq(chestState.worldId, worldId), eq(chestState.chestId, chestId)))
-        .limit(1);
-
-      if (!rows.length) return reply.status(404).send({ ok: false, error: 'not_found' });
-      if (String(rows[0].ownerId) !== String(guestId)) return reply.status(403).send({ ok: false, error: 'forbidden' });
+      const acl = await loadChestAcl(worldId, chestId);
+      if (!acl) return reply.status(404).send({ ok: false, error: 'not_found' });
+      if (chestAccessFor(acl, guestId) === 'forbidden') return reply.status(403).send({ ok: false, error: 'forbidden' });
     } catch {
       return reply.status(503).send({ ok: false, error: 'db_unavailable' });
     }
@@ -308,16 +343,11 @@ export async function registerChestStateRoutes(app: FastifyInstance) {
 
     const { worldId, chestId, guestId, lockToken } = parsed.data;
 
-    // Ownership check (avoid arbitrary renew attempts)
+    // Access check (avoid arbitrary renew attempts)
     try {
-      const rows = await db
-        .select({ ownerId: chestState.ownerId })
-        .from(chestState)
-        .where(and(eq(chestState.worldId, worldId), eq(chestState.chestId, chestId)))
-        .limit(1);
-
-      if (!rows.length) return reply.status(404).send({ ok: false, error: 'not_found' });
-      if (String(rows[0].ownerId) !== String(guestId)) return reply.status(403).send({ ok: false, error: 'forbidden' });
+      const acl = await loadChestAcl(worldId, chestId);
+      if (!acl) return reply.status(404).send({ ok: false, error: 'not_found' });
+      if (chestAccessFor(acl, guestId) === 'forbidden') return reply.status(403).send({ ok: false, error: 'forbidden' });
     } catch {
       return reply.status(503).send({ ok: false, error: 'db_unavailable' });
     }
@@ -342,16 +372,11 @@ export async function registerChestStateRoutes(app: FastifyInstance) {
 
     const { worldId, chestId, guestId, lockToken } = parsed.data;
 
-    // Ownership check (avoid arbitrary unlock attempts)
+    // Access check (avoid arbitrary unlock attempts)
     try {
-      const rows = await db
-        .select({ ownerId: chestState.ownerId })
-        .from(chestState)
-        .where(and(eq(chestState.worldId, worldId), eq(chestState.chestId, chestId)))
-        .limit(1);
-
-      if (!rows.length) return reply.status(404).send({ ok: false, error: 'not_found' });
-      if (String(rows[0].ownerId) !== String(guestId)) return reply.status(403).send({ ok: false, error: 'forbidden' });
+      const acl = await loadChestAcl(worldId, chestId);
+      if (!acl) return reply.status(404).send({ ok: false, error: 'not_found' });
+      if (chestAccessFor(acl, guestId) === 'forbidden') return reply.status(403).send({ ok: false, error: 'forbidden' });
     } catch {
       return reply.status(503).send({ ok: false, error: 'db_unavailable' });
     }
@@ -369,4 +394,73 @@ export async function registerChestStateRoutes(app: FastifyInstance) {
       return { ok: true };
     }
   });
+
+  // ACL (owner only): who besides the owner may open the chest.
+  app.get('/api/chest/acl', async (req, reply) => {
+    const parsed = GetQuerySchema.safeParse(req.query ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_query' });
+
+    const { worldId, chestId, guestId } = parsed.data;
+
+    try {
+      const acl = await loadChestAcl(worldId, chestId);
+      if (!acl) return reply.status(404).send({ ok: false, error: 'not_found' });
+      if (chestAccessFor(acl, guestId) !== 'owner') return reply.status(403).send({ ok: false, error: 'forbidden' });
+
+      const names = await resolveDisplayNames(acl.allowed);
+      return {
+        ok: true,
+        ownerId: acl.ownerId,
+        public: acl.isPublic,
+        allowed: acl.allowed.map((id) => ({ id, name: names.get(id) ?? id })),
+      };
+    } catch (err) {
+      req.log.error({ err }, 'get chest acl failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+  });
+
+  app.put('/api/chest/acl', async (req, reply) => {
+    const parsed = AclBodySchema.safeParse(req.body ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_body' });
+
+    const { worldId, chestId, guestId } = parsed.data;
+
+    let next: ChestAcl;
+    try {
+      const acl = await loadChestAcl(worldId, chestId);
+      if (!acl) return reply.status(404).send({ ok: false, error: 'not_found' });
+      if (chestAccessFor(acl, guestId) !== 'owner') return reply.status(403).send({ ok: false, error: 'forbidden' });
+
+      next = {
+        ownerId: acl.ownerId,
+        allowed: parsed.data.allowed ? normAllowed(parsed.data.allowed).filter((id) => id !== acl.ownerId) : acl.allowed,
+        isPublic: parsed.data.public ?? acl.isPublic,
+      };
+
+      await db
+        .update(chestState)
+        .set({ allowed: next.allowed, isPublic: next.isPublic })
+        .where(and(eq(chestState.worldId, worldId), eq(chestState.chestId, chestId)));
+    } catch (err) {
+      req.log.error({ err }, 'put chest acl failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+
+    // Revoked while editing: drop their lock so the next save fails (423) and the chest frees up.
+    const r = redis;
+    if (r) {
+      try {
+        const k = keyChestLock(worldId, chestId);
+        const cur = String((await r.get(k)) || '');
+        const stillAllowed = next.isPublic || [next.ownerId, ...next.allowed].some((id) => cur.startsWith(`${id}:`));
+        if (cur && !stillAllowed) await r.del(k);
+      } catch {
+        // ignore (lock expires by TTL)
+      }
+    }
+
+    req.log.info({ event: 'chest_acl_updated', worldId, chestId, allowed: next.allowed.length, public: next.isPublic }, 'chest acl updated');
+    return { ok: true, public: next.isPublic, allowed: next.allowed };
+  });
 }
@@ -0,0 +1,186 @@
+import type { FastifyInstance } from 'fastify';
+import { z } from 'zod';
+import { canOpenLootBag, normalizeLootBagSlots } from '@jarvis-woodcutter-fps/shared';
+import { db } from '../db/client.js';
+import { getRedis } from '../redis/client.js';
+import { appendLedgerEntries } from '../inventory/ledger.js';
+import { countLootBagItems, keyLootBagLock, loadLootBag, saveLootBagSlots } from '../world/lootBags.js';
+import crypto from 'node:crypto';
+
+const GetQuerySchema = z.object({
+  worldId: z.string().min(1),
+  bagId: z.string().min(3).max(128),
+  guestId: z.string().min(8),
+});
+
+const PutBodySchema = z.object({
+  worldId: z.string().min(1),
+  bagId: z.string().min(3).max(128),
+  guestId: z.string().min(8),
+  lockToken: z.string().min(8),
+  state: z.record(z.any()),
+});
+
+const RenewBodySchema = z.object({
+  worldId: z.string().min(1),
+  bagId: z.string().min(3).max(128),
+  guestId: z.string().min(8),
+  lockToken: z.string().min(8),
+});
+
+const ReleaseBodySchema = RenewBodySchema;
+
+// Same lock model as chests (one player at a time). Bags are short-lived, so there is no Redis cache.
+export async function registerLootBagStateRoutes(app: FastifyInstance) {
+  const redisP = getRedis();
+  let redis: Awaited<typeof redisP> | null = null;
+  redisP.then((c) => (redis = c)).catch(() => (redis = null));
+
+  const TTL_LOCK_S = 10; // 10s (renew)
+
+  async function tryAcquireLootBagLock(params: { worldId: string; bagId: string; guestId: string }) {
+    const r = redis;
+    if (!r) return { ok: true as const, token: `nolock:${params.guestId}:${crypto.randomUUID()}` };
+
+    const k = keyLootBagLock(params.worldId, params.bagId);
+    const token = `${params.guestId}:${crypto.randomUUID()}`;
+
+    try {
+      const ok = await r.set(k, token, { NX: true, EX: TTL_LOCK_S });
+      if (ok === 'OK') return { ok: true as const, token };
+
+      // allow re-entry if same guest holds the lock
+      const cur = await r.get(k);
+      if (cur && String(cur).startsWith(`${params.guestId}:`)) {
+        await r.set(k, String(cur), { XX: true, EX: TTL_LOCK_S });
+        return { ok: true as const, token: String(cur) };
+      }
+
+      return { ok: false as const };
+    } catch {
+      return { ok: true as const, token };
+    }
+  }
+
+  async function assertLock(params: { worldId: string; bagId: string; lockToken: string }) {
+    const r = redis;
+    if (!r) return true;
+    try {
+      const cur = await r.get(keyLootBagLock(params.worldId, params.bagId));
+      return String(cur || '') === String(params.lockToken || '');
+    } catch {
+      return true;
+    }
+  }
+
+  app.get('/api/lootbag/state', async (req, reply) => {
+    const parsed = GetQuerySchema.safeParse(req.query ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_query' });
+
+    const { worldId, bagId, guestId } = parsed.data;
+
+    let bag: Awaited<ReturnType<typeof loadLootBag>>;
+    try {
+      bag = await loadLootBag(worldId, bagId);
+    } catch (err) {
+      req.log.error({ err }, 'get loot bag state failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+    if (!bag) return reply.status(404).send({ ok: false, error: 'not_found' });
+    if (!canOpenLootBag({ ownerId: bag.ownerId, guestId, droppedAt: bag.droppedAt })) {
+      return reply.status(403).send({ ok: false, error: 'forbidden', droppedAt: bag.droppedAt });
+    }
+
+    const lock = await tryAcquireLootBagLock({ worldId, bagId, guestId });
+    if (!lock.ok) return reply.status(423).send({ ok: false, error: 'locked' });
+
+    return { ok: true, worldId, bagId, ownerId: bag.ownerId, droppedAt: bag.droppedAt, lockToken: lock.token, state: { slots: bag.slots } };
+  });
+
+  app.put('/api/lootbag/state', async (req, reply) => {
+    const parsed = PutBodySchema.safeParse(req.body ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_body' });
+
+    const { worldId, bagId, guestId, lockToken } = parsed.data;
+    const slots = normalizeLootBagSlots(parsed.data.state.slots);
+
+    try {
+      const bag = await loadLootBag(worldId, bagId);
+      if (!bag) return reply.status(404).send({ ok: false, error: 'not_found' });
+      if (!canOpenLootBag({ ownerId: bag.ownerId, guestId, droppedAt: bag.droppedAt })) return reply.status(403).send({ ok: false, error: 'forbidden' });
+
+      const okLock = await assertLock({ worldId, bagId, lockToken });
+      if (!okLock) return reply.status(423).send({ ok: false, error: 'locked' });
+
+      // Take-only: no item may grow (that would turn the bag into free storage and let looters
+      // launder items through the ledger below).
+      const before = countLootBagItems(bag.slots);
+      const after = countLootBagItems(slots);
+      if (Object.entries(after).some(([id, qty]) => qty > (before[id] ?? 0))) {
+        return reply.status(400).send({ ok: false, error: 'invalid_loot_bag_state' });
+      }
+
+      // Whatever is taken is credited to the taker, the owner included (the death drop debited it).
+      const items = Object.entries(before)
+        .map(([id, qty]) => ({ id, qty: qty - (after[id] ?? 0) }))
+        .filter((it) => it.qty > 0);
+      await db.transaction(async (tx) => {
+        await saveLootBagSlots(worldId, bagId, slots, tx);
+        await appendLedgerEntries({ guestId, worldId, reason: 'lootBag', refId: bagId, items }, tx);
+      });
+
+      if (redis) {
+        try {
+          void redis.set(keyLootBagLock(worldId, bagId), String(lockToken), { XX: true, EX: TTL_LOCK_S });
+        } catch {
+          // ignore
+        }
+      }
+
+      return { ok: true };
+    } catch (err) {
+      req.log.error({ err }, 'put loot bag state failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+  });
+
+  app.post('/api/lootbag/lock/renew', async (req, reply) => {
+    const parsed = RenewBodySchema.safeParse(req.body ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_body' });
+
+    const { worldId, bagId, lockToken } = parsed.data;
+
+    const r = redis;
+    if (!r) return { ok: true };
+
+    try {
+      const k = keyLootBagLock(worldId, bagId);
+      const cur = await r.get(k);
+      if (String(cur || '') !== String(lockToken || '')) return reply.status(423).send({ ok: false, error: 'locked' });
+      await r.set(k, String(lockToken), { XX: true, EX: TTL_LOCK_S });
+      return { ok: true };
+    } catch {
+      return { ok: true };
+    }
+  });
+
+  app.post('/api/lootbag/lock/release', async (req, reply) => {
+    const parsed = ReleaseBodySchema.safeParse(req.body ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_body' });
+
+    const { worldId, bagId, lockToken } = parsed.data;
+
+    const r = redis;
+    if (!r) return { ok: true };
+
+    try {
+      const k = keyLootBagLock(worldId, bagId);
+      const cur = await r.get(k);
+      if (String(cur || '') !== String(lockToken || '')) return reply.status(423).send({ ok: false, error: 'locked' });
+      await r.del(k);
+      return { ok: true };
+    } catch {
+      return { ok: true };
+    }
+  });
+}
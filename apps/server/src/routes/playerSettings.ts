@@ -2,7 +2,8 @@ import type { FastifyInstance } from 'fastify';
 import { z } from 'zod';
 import { and, eq } from 'drizzle-orm';
 import { db } from '../db/client.js';
-import { playerSettings, worlds } from '../db/schema.js';
+import { playerSettings } from '../db/schema.js';
+import { loadWorldConfig } from '../world/config.js';
 
 const GetQuerySchema = z.object({
   guestId: z.string().min(8),
@@ -51,7 +52,8 @@ export async function registerPlayerSettingsRoutes(app: FastifyInstance) {
     const { guestId, worldId, settings } = parsed.data;
 
     try {
-      await db.insert(worlds).values({ id: worldId, name: worldId }).onConflictDoNothing()
+      // Worlds are created by admins: unknown/archived ids are refused, never created here.
+      if (!(await loadWorldConfig(worldId))) return reply.status(404).send({ ok: false, error: 'unknown_world' });
 
       await db
         .insert(playerSettings)
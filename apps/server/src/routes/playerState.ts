@@ -2,7 +2,9 @@ import type { FastifyInstance } from 'fastify';
 import { z } from 'zod';
 import { and, eq } from 'drizzle-orm';
 import { db } from '../db/client.js';
-import { playerState, worlds } from '../db/schema.js';
+import { playerState } from '../db/schema.js';
+import { loadWorldConfig } from '../world/config.js';
+import { checkStateAgainstLedger } from '../inventory/ledger.js';
 
 const GetQuerySchema = z.object({
   guestId: z.string().min(8),
@@ -48,7 +50,15 @@ export async function registerPlayerStateRoutes(app: FastifyInstance) {
 
     try {
       const { guestId, worldId, state } = parsed.data
-      await db.insert(worlds).values({ id: worldId, name: worldId }).onConflictDoNothing()
+      // Worlds are created by admins: unknown/archived ids are refused, never created here.
+      if (!(await loadWorldConfig(worldId))) return reply.status(404).send({ ok: false, error: 'unknown_world' })
+
+      // Items are server-granted (loot ledger): reject saves holding more than was ever granted.
+      const check = await checkStateAgainstLedger({ guestId, worldId, state })
+      if (!check.ok) {
+        req.log.warn({ guestId, worldId, violations: check.violations }, 'player state rejected (inventory ledger)')
+        return reply.status(409).send({ ok: false, error: 'inventory_mismatch', violations: check.violations })
+      }
 
       await db
         .insert(playerState)
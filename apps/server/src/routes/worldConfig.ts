@@ -0,0 +1,24 @@
+import type { FastifyInstance } from 'fastify';
+import { z } from 'zod';
+import { loadWorldConfig } from '../world/config.js';
+
+const ParamsSchema = z.object({
+  id: z.string().min(3).max(40).regex(/^world-[a-z0-9-]+$/i),
+});
+
+export async function registerWorldConfigRoutes(app: FastifyInstance) {
+  // Seed + generation config the client builds its world from (before any manager init), plus its rules.
+  app.get('/api/world/:id/config', async (req, reply) => {
+    const parsed = ParamsSchema.safeParse(req.params ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_params' });
+
+    try {
+      const cfg = await loadWorldConfig(parsed.data.id);
+      if (!cfg) return reply.status(404).send({ ok: false, error: 'unknown_world' });
+      return { ok: true, worldId: cfg.worldId, seed: cfg.seed, generation: cfg.generation, survival: cfg.survival };
+    } catch (err) {
+      req.log.error({ err }, 'get world config failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+  });
+}
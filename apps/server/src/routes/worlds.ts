@@ -0,0 +1,284 @@
+import type { FastifyInstance, FastifyReply, FastifyRequest } from 'fastify';
+import { z } from 'zod';
+import { asc, eq, isNull } from 'drizzle-orm';
+import crypto from 'node:crypto';
+import { normalizeGeneration } from '@jarvis-woodcutter-fps/shared';
+import { db } from '../db/client.js';
+import { campfireState, chestState, forgeState, lootBag, playerBed, worldChunkState, worlds } from '../db/schema.js';
+import { env } from '../env.js';
+import { countWorldPresence } from '../mp/presence.js';
+import type { MpStatsCollector } from '../mp/stats.js';
+import { getRedis } from '../redis/client.js';
+import { DEFAULT_WORLD_ID, newWorldSeed } from '../world/config.js';
+
+const WorldIdSchema = z.string().min(3).max(40).regex(/^world-[a-z0-9-]+$/i);
+
+const ParamsSchema = z.object({ id: WorldIdSchema });
+
+const GenerationSchema = z
+  .object({
+    treeDensity: z.number().optional(),
+    oreRichness: z.number().optional(),
+    riverRadius: z.number().optional(),
+    lake: z.object({ x: z.number().optional(), z: z.number().optional(), radius: z.number().optional() }).optional(),
+  })
+  .strict();
+
+const SeedSchema = z.number().int().min(1).max(2 ** 31 - 1);
+
+const CreateBodySchema = z.object({
+  id: WorldIdSchema.optional(),
+  name: z.string().trim().min(1).max(40),
+  seed: SeedSchema.optional(),
+  generation: GenerationSchema.optional(),
+  survival: z.boolean().optional(),
+});
+
+const PatchBodySchema = z
+  .object({
+    name: z.string().trim().min(1).max(40).optional(),
+    /** Hunger/stamina meters on (default) or off. */
+    survival: z.boolean().optional(),
+  })
+  .refine((b) => b.name !== undefined || b.survival !== undefined);
+
+const ArchiveBodySchema = z.object({ archived: z.boolean().default(true) });
+
+const ResetBodySchema = z.object({
+  /** Omitted: keep the current seed. `true`: roll a new one. */
+  seed: z.union([SeedSchema, z.literal(true)]).optional(),
+  generation: GenerationSchema.optional(),
+});
+
+export type WorldClosedReason = 'world_reset' | 'world_archived';
+
+function slugWorldId(name: string) {
+  const slug = name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 30);
+  return `world-${slug || crypto.randomBytes(3).toString('hex')}`;
+}
+
+const iso = (d: Date | string | null | undefined) => (d ? new Date(d).toISOString() : null);
+
+/**
+ * World browser (public list) + admin API (create, rename/toggle survival, archive, reset).
+ * Admin routes need `x-admin-token` = WOODCUTTER_ADMIN_TOKEN and are disabled while it's blank.
+ * `onWorldClosed` kicks the world's connected players (reset/archive) so they rebuild or leave.
+ */
+export async function registerWorldRoutes(
+  app: FastifyInstance,
+  opts: { mpStats: MpStatsCollector; onWorldClosed: (worldId: string, reason: WorldClosedReason) => void }
+) {
+  const { mpStats, onWorldClosed } = opts;
+
+  function requireAdmin(req: FastifyRequest, reply: FastifyReply) {
+    const token = env.WOODCUTTER_ADMIN_TOKEN.trim();
+    if (!token) {
+      void reply.status(403).send({ ok: false, error: 'admin_disabled' });
+      return false;
+    }
+    const got = Buffer.from(String(req.headers['x-admin-token'] || ''));
+    const want = Buffer.from(token);
+    if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) {
+      void reply.status(401).send({ ok: false, error: 'unauthorized' });
+      return false;
+    }
+    return true;
+  }
+
+  async function listWorlds({ includeArchived }: { includeArchived: boolean }) {
+    const rows = await db
+      .select()
+      .from(worlds)
+      .where(includeArchived ? undefined : isNull(worlds.archivedAt))
+      .orderBy(asc(worlds.createdAt));
+    // Redis presence counts every pod; without Redis only this pod's players are known.
+    const playersByWorld = (await countWorldPresence(rows.map((w) => w.id))) ?? mpStats.snapshot().playersByWorld;
+    return rows.map((w) => ({ w, players: playersByWorld[w.id] ?? 0 }));
+  }
+
+  async function findWorld(worldId: string) {
+    const rows = await db.select().from(worlds).where(eq(worlds.id, worldId)).limit(1);
+    return rows[0] ?? null;
+  }
+
+  /** Drops the Redis caches of a world's chunks/forges/chests (DB rows are gone after a reset). */
+  async function clearWorldCaches(worldId: string) {
+    const r = await getRedis().catch(() => null);
+    if (!r) return;
+    for (const prefix of ['cache:chunk', 'cache:forge', 'cache:campfire', 'cache:chest']) {
+      try {
+        const keys: string[] = [];
+        for await (const k of r.scanIterator({ MATCH: `${prefix}:${worldId}:*`, COUNT: 200 })) keys.push(String(k));
+        if (keys.length) await r.del(keys);
+      } catch {
+        // best-effort (keys also expire by TTL)
+      }
+    }
+  }
+
+  const adminView = ({ w, players }: { w: typeof worlds.$inferSelect; players: number }) => ({
+    id: w.id,
+    name: w.name,
+    seed: w.seed,
+    generation: normalizeGeneration(w.generation),
+    survival: w.survival,
+    players,
+    createdAt: iso(w.createdAt),
+    lastActiveAt: iso(w.lastActiveAt),
+    archivedAt: iso(w.archivedAt),
+  });
+
+  // Menu world browser: open worlds with live population (this pod's mp stats).
+  app.get('/api/worlds', async (req, reply) => {
+    try {
+      const list = await listWorlds({ includeArchived: false });
+      return {
+        ok: true,
+        worlds: list.map(({ w, players }) => ({ id: w.id, name: w.name, players, lastActiveAt: iso(w.lastActiveAt) })),
+      };
+    } catch (err) {
+      req.log.error({ err }, 'list worlds failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+  });
+
+  app.get('/api/admin/worlds', async (req, reply) => {
+    if (!requireAdmin(req, reply)) return reply;
+    try {
+      const list = await listWorlds({ includeArchived: true });
+      return { ok: true, worlds: list.map(adminView) };
+    } catch (err) {
+      req.log.error({ err }, 'admin list worlds failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+  });
+
+  app.post('/api/admin/worlds', async (req, reply) => {
+    if (!requireAdmin(req, reply)) return reply;
+    const parsed = CreateBodySchema.safeParse(req.body ?? {});
+    if (!parsed.success) return reply.status(400).send({ ok: false, error: 'invalid_body' });
+
+    const { name } = parsed.data;
+    const id = parsed.data.id ?? slugWorldId(name);
+    const seed = parsed.data.seed ?? newWorldSeed(id);
+    const generation = normalizeGeneration(parsed.data.generation);
+    const survival = parsed.data.survival ?? true;
+
+    try {
+      const inserted = await db
+        .insert(worlds)
+        .values({ id, name, seed, generation, survival })
+        .onConflictDoNothing()
+        .returning({ id: worlds.id });
+      if (!inserted.length) return reply.status(409).send({ ok: false, error: 'world_exists' });
+
+      req.log.info({ event: 'world_created', worldId: id, seed }, 'world created');
+      const w = await findWorld(id);
+      return { ok: true, world: w ? adminView({ w, players: 0 }) : { id } };
+    } catch (err) {
+      req.log.error({ err }, 'create world failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+  });
+
+  app.patch('/api/admin/worlds/:id', async (req, reply) => {
+    if (!requireAdmin(req, reply)) return reply;
+    const params = ParamsSchema.safeParse(req.params ?? {});
+    const body = PatchBodySchema.safeParse(req.body ?? {});
+    if (!params.success) return reply.status(400).send({ ok: false, error: 'invalid_params' });
+    if (!body.success) return reply.status(400).send({ ok: false, error: 'invalid_body' });
+
+    const patch: Partial<typeof worlds.$inferInsert> = {};
+    if (body.data.name !== undefined) patch.name = body.data.name;
+    if (body.data.survival !== undefined) patch.survival = body.data.survival;
+
+    try {
+      const updated = await db
+        .update(worlds)
+        .set(patch)
+        .where(eq(worlds.id, params.data.id))
+        .returning({ id: worlds.id });
+      if (!updated.length) return reply.status(404).send({ ok: false, error: 'unknown_world' });
+      return { ok: true };
+    } catch (err) {
+      req.log.error({ err }, 'update world failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+  });
+
+  app.post('/api/admin/worlds/:id/archive', async (req, reply) => {
+    if (!requireAdmin(req, reply)) return reply;
+    const params = ParamsSchema.safeParse(req.params ?? {});
+    const body = ArchiveBodySchema.safeParse(req.body ?? {});
+    if (!params.success) return reply.status(400).send({ ok: false, error: 'invalid_params' });
+    if (!body.success) return reply.status(400).send({ ok: false, error: 'invalid_body' });
+
+    const worldId = params.data.id;
+    const { archived } = body.data;
+    if (archived && worldId === DEFAULT_WORLD_ID) return reply.status(409).send({ ok: false, error: 'default_world' });
+
+    try {
+      const updated = await db
+        .update(worlds)
+        .set({ archivedAt: archived ? new Date() : null })
+        .where(eq(worlds.id, worldId))
+        .returning({ id: worlds.id });
+      if (!updated.length) return reply.status(404).send({ ok: false, error: 'unknown_world' });
+
+      if (archived) onWorldClosed(worldId, 'world_archived');
+      req.log.info({ event: archived ? 'world_archived' : 'world_unarchived', worldId }, 'world archive state changed');
+      return { ok: true };
+    } catch (err) {
+      req.log.error({ err }, 'archive world failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+  });
+
+  // Reset: wipes chunk, forge, campfire and chest state (placed structures, removals, farms), beds and loot bags, and optionally
+  // re-rolls the seed / replaces the generation config. Player inventories are kept.
+  app.post('/api/admin/worlds/:id/reset', async (req, reply) => {
+    if (!requireAdmin(req, reply)) return reply;
+    const params = ParamsSchema.safeParse(req.params ?? {});
+    const body = ResetBodySchema.safeParse(req.body ?? {});
+    if (!params.success) return reply.status(400).send({ ok: false, error: 'invalid_params' });
+    if (!body.success) return reply.status(400).send({ ok: false, error: 'invalid_body' });
+
+    const worldId = params.data.id;
+    const patch: Partial<typeof worlds.$inferInsert> = {};
+    if (body.data.seed === true) patch.seed = crypto.randomInt(1, 2 ** 31);
+    else if (typeof body.data.seed === 'number') patch.seed = body.data.seed;
+    if (body.data.generation) patch.generation = normalizeGeneration(body.data.generation);
+
+    try {
+      const ok = await db.transaction(async (tx) => {
+        const rows = await tx.select({ id: worlds.id }).from(worlds).where(eq(worlds.id, worldId)).limit(1);
+        if (!rows.length) return false;
+        await tx.delete(worldChunkState).where(eq(worldChunkState.worldId, worldId));
+        await tx.delete(forgeState).where(eq(forgeState.worldId, worldId));
+        await tx.delete(campfireState).where(eq(campfireState.worldId, worldId));
+        await tx.delete(chestState).where(eq(chestState.worldId, worldId));
+        await tx.delete(playerBed).where(eq(playerBed.worldId, worldId));
+        await tx.delete(lootBag).where(eq(lootBag.worldId, worldId));
+        if (Object.keys(patch).length) await tx.update(worlds).set(patch).where(eq(worlds.id, worldId));
+        return true;
+      });
+      if (!ok) return reply.status(404).send({ ok: false, error: 'unknown_world' });
+
+      await clearWorldCaches(worldId);
+      onWorldClosed(worldId, 'world_reset');
+      req.log.info({ event: 'world_reset', worldId, seed: patch.seed ?? null }, 'world reset');
+
+      const w = await findWorld(worldId);
+      return { ok: true, world: w ? adminView({ w, players: 0 }) : { id: worldId } };
+    } catch (err) {
+      req.log.error({ err }, 'reset world failed');
+      return reply.status(503).send({ ok: false, error: 'db_unavailable' });
+    }
+  });
+}
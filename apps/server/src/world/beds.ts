@@ -0,0 +1,35 @@
+// Beds: placing one (a `bed` entry in the chunk's `placed` list) makes it the owner's respawn point in
+// that world (`player_bed`, one per player: the last bed placed wins). Removing the bed clears it.
+
+import { and, eq } from 'drizzle-orm';
+import { WORLD_SPAWN } from '@jarvis-woodcutter-fps/shared';
+import { db } from '../db/client.js';
+import { playerBed } from '../db/schema.js';
+
+export async function setPlayerBed(params: { worldId: string; guestId: string; bedId: string; x: number; z: number }) {
+  const { worldId, guestId, bedId, x, z } = params;
+  await db
+    .insert(playerBed)
+    .values({ worldId, guestId, bedId, x, z, updatedAt: new Date() })
+    .onConflictDoUpdate({
+      target: [playerBed.guestId, playerBed.worldId],
+      set: { bedId, x, z, updatedAt: new Date() },
+    });
+}
+
+/** A removed bed stops being anyone's respawn point. */
+export async function clearBed(worldId: string, bedId: string) {
+  await db.delete(playerBed).where(and(eq(playerBed.worldId, worldId), eq(playerBed.bedId, bedId)));
+}
+
+/** Where the player respawns: their bed, or the world spawn without one. */
+export async function respawnPointOf(worldId: string, guestId: string) {
+  const rows = await db
+    .select({ x: playerBed.x, z: playerBed.z })
+    .from(playerBed)
+    .where(and(eq(playerBed.worldId, worldId), eq(playerBed.guestId, guestId)))
+    .limit(1);
+  const bed = rows[0];
+  if (bed && Number.isFinite(bed.x) && Number.isFinite(bed.z)) return { x: Number(bed.x), z: Number(bed.z), atBed: true };
+  return { x: WORLD_SPAWN.x, z: WORLD_SPAWN.z, atBed: false };
+}
@@ -0,0 +1,71 @@
+// Campfire cooking (recipes in the shared COOKING_RECIPES table), used by the campfire routes and by
+// placeRemove (a campfire with food in it can't be removed). State lives in `campfire_state`;
+// food only cooks while the fire burns (`litUntil`), and is fast-forwarded from `updated_at` when opened.
+
+import { and, eq, inArray } from 'drizzle-orm';
+import { z } from 'zod';
+import { advanceCooking, CAMPFIRE_COOK_SLOTS } from '@jarvis-woodcutter-fps/shared';
+import { db } from '../db/client.js';
+import { campfireState } from '../db/schema.js';
+
+const ItemSlotSchema = z
+  .object({
+    id: z.string().min(1),
+    qty: z.number().int().nonnegative(),
+    meta: z.any().optional(),
+  })
+  .passthrough();
+
+const emptySlots = () => Array.from({ length: CAMPFIRE_COOK_SLOTS }, () => null);
+
+export const CampfireStateSchema = z
+  .object({
+    /** Epoch ms the fire burns until (0: unlit). */
+    litUntil: z.number().nonnegative().default(0),
+    cook: z.array(ItemSlotSchema.nullable()).length(CAMPFIRE_COOK_SLOTS).default(emptySlots),
+    prog: z.array(z.number().nonnegative()).max(CAMPFIRE_COOK_SLOTS).default([]),
+    output: z.array(ItemSlotSchema.nullable()).length(CAMPFIRE_COOK_SLOTS).default(emptySlots),
+  })
+  .passthrough();
+
+export type CampfireState = z.infer<typeof CampfireStateSchema>;
+
+export const CAMPFIRE_CACHE_TTL_S = 60 * 60; // 60m
+export const keyCampfireCache = (worldId: string, campfireId: string) => `cache:campfire:${worldId}:${campfireId}`;
+
+/** Cooks what the fire had time for between `last` and `now` (only the part while it was lit). */
+export function catchUpCampfire(st: CampfireState, last: number, now: number) {
+  const litSec = (Math.min(now, st.litUntil) - last) / 1000;
+  if (litSec > 0) advanceCooking(st, litSec);
+  if (st.litUntil <= now) st.litUntil = 0;
+}
+
+/** Stored state of a campfire (null when it was never opened). */
+export async function loadCampfireState(worldId: string, campfireId: string) {
+  const rows = await db
+    .select({ state: campfireState.state })
+    .from(campfireState)
+    .where(and(eq(campfireState.worldId, worldId), eq(campfireState.campfireId, campfireId)))
+    .limit(1);
+  if (!rows.length) return null;
+  const parsed = CampfireStateSchema.safeParse(rows[0].state ?? {});
+  return parsed.success ? parsed.data : null;
+}
+
+/** Which of these campfires are burning right now (the health tick burns players standing in them). */
+export async function loadLitCampfireIds(worldId: string, campfireIds: string[], now = Date.now()) {
+  const lit = new Set<string>();
+  if (!campfireIds.length) return lit;
+  const rows = await db
+    .select({ campfireId: campfireState.campfireId, state: campfireState.state })
+    .from(campfireState)
+    .where(and(eq(campfireState.worldId, worldId), inArray(campfireState.campfireId, campfireIds)));
+  for (const row of rows) {
+    if (Number((row.state as any)?.litUntil ?? 0) > now) lit.add(String(row.campfireId));
+  }
+  return lit;
+}
+
+export async function deleteCampfireState(worldId: string, campfireId: string) {
+  await db.delete(campfireState).where(and(eq(campfireState.worldId, worldId), eq(campfireState.campfireId, campfireId)));
+}
@@ -0,0 +1,56 @@
+// Land claims: a claim covers one whole chunk and lives in that chunk's state (`world_chunk_state.state.claim`),
+// so it is per world, wiped by world resets and replicated to clients with the rest of the chunk.
+// Inside someone else's claim the server rejects build/farm events unless the player is trusted.
+
+import { and, eq, sql } from 'drizzle-orm';
+import { chunkOfXZ, SPAWN } from '@jarvis-woodcutter-fps/shared';
+import { db, type DbTx } from '../db/client.js';
+import { worldChunkState } from '../db/schema.js';
+import { env } from '../env.js';
+
+export type LandClaim = { ownerId: string; ownerName: string; trusted: string[]; claimedAt: number };
+
+/** World events that need build rights inside a claimed chunk. */
+export const CLAIM_PROTECTED_EVENTS: ReadonlySet<string> = new Set(['place', 'placeRemove', 'plotTill', 'harvest']);
+
+/** Claim id = chunk key (`cx:cz`), so clients can't aim an event at a different chunk. */
+export const claimIdOf = (chunkX: number, chunkZ: number) => `${chunkX}:${chunkZ}`;
+
+export function normTrusted(raw: unknown, ownerId: string) {
+  if (!Array.isArray(raw)) return [];
+  const ids = raw.map((x) => String(x || '')).filter((id) => id && id !== ownerId);
+  return [...new Set(ids)].slice(0, env.WOODCUTTER_CLAIM_MAX_TRUSTED);
+}
+
+/** Claim stored in a chunk's raw state (null when unclaimed or malformed). */
+export function claimFromRawState(rawState: any): LandClaim | null {
+  const c = rawState?.claim;
+  if (!c || typeof c !== 'object') return null;
+  const ownerId = String(c.ownerId || '');
+  if (!ownerId) return null;
+  return {
+    ownerId,
+    ownerName: String(c.ownerName || ''),
+    trusted: normTrusted(c.trusted, ownerId),
+    claimedAt: Number(c.claimedAt) || 0,
+  };
+}
+
+export function canBuildInClaim(claim: LandClaim | null, guestId: string) {
+  return !claim || claim.ownerId === guestId || claim.trusted.includes(guestId);
+}
+
+/** The spawn chunk stays public (new players must be able to build/farm around it). */
+export function isSpawnChunk(chunkX: number, chunkZ: number) {
+  const s = chunkOfXZ(SPAWN.x, SPAWN.z);
+  return s.cx === chunkX && s.cz === chunkZ;
+}
+
+/** How many chunks a player has claimed in a world. */
+export async function countClaims(worldId: string, ownerId: string, exec: typeof db | DbTx = db) {
+  const rows = await exec
+    .select({ n: sql<number>`count(*)::int` })
+    .from(worldChunkState)
+    .where(and(eq(worldChunkState.worldId, worldId), sql`${worldChunkState.state}->'claim'->>'ownerId' = ${ownerId}`));
+  return Number(rows[0]?.n ?? 0);
+}
@@ -0,0 +1,57 @@
+// Per-world seed + generation config (`worlds.seed` / `worlds.generation`) and game rules (`worlds.survival`).
+// Terrain, river/lake placement and procedural resources are pure functions of these, so the
+// server and every client build the same layout from the same row.
+// Worlds are created by admins (routes/worlds.ts); only the default world is created on demand.
+
+import crypto from 'node:crypto';
+import { eq } from 'drizzle-orm';
+import { normalizeGeneration, TERRAIN, type Generation } from '@jarvis-woodcutter-fps/shared';
+import { db } from '../db/client.js';
+import { worlds } from '../db/schema.js';
+
+export const DEFAULT_WORLD_ID = 'world-1';
+export const DEFAULT_WORLD_NAME = 'World 1';
+
+export type WorldConfig = { worldId: string; seed: number; generation: Generation; survival: boolean };
+
+/** Seed for a new world row: the default world keeps the original layout, others get a random one. */
+export function newWorldSeed(worldId: string) {
+  return worldId === DEFAULT_WORLD_ID ? TERRAIN.seed : crypto.randomInt(1, 2 ** 31);
+}
+
+/**
+ * Reads the world's config. Null for unknown or archived worlds (they can't be entered).
+ * The default world is created (with the original seed) if missing.
+ */
+export async function loadWorldConfig(worldId: string): Promise<WorldConfig | null> {
+  const select = () =>
+    db
+      .select({ seed: worlds.seed, generation: worlds.generation, survival: worlds.survival, archivedAt: worlds.archivedAt })
+      .from(worlds)
+      .where(eq(worlds.id, worldId))
+      .limit(1);
+
+  let rows = await select();
+  if (!rows.length && worldId === DEFAULT_WORLD_ID) {
+    await db.insert(worlds).values({ id: worldId, name: DEFAULT_WORLD_NAME, seed: newWorldSeed(worldId) }).onConflictDoNothing();
+    rows = await select();
+  }
+
+  const row = rows[0];
+  if (!row || row.archivedAt) return null;
+  return {
+    worldId,
+    seed: Number(row.seed) >>> 0,
+    generation: normalizeGeneration(row.generation),
+    survival: row.survival !== false,
+  };
+}
+
+/** Best-effort "last activity" stamp (world browser). */
+export function touchWorld(worldId: string) {
+  void db
+    .update(worlds)
+    .set({ lastActiveAt: new Date() })
+    .where(eq(worlds.id, worldId))
+    .catch(() => null);
+}
@@ -0,0 +1,242 @@
+// Wildlife AI. The WS server keeps the creatures around its own players (population once a second,
+// `stepCreature` every sim tick) and sends them to clients as snapshot entries. Creatures walk on
+// open ground only (`isOpenGround`: no river, lake, mine mountain or mine area) and push out of
+// placed structures; trees are client-only, so they walk through those.
+
+import {
+  CHUNK_SIZE,
+  CREATURES,
+  isOpenGround,
+  resolveCollisionsXZ,
+  SPAWN,
+  type Collider,
+  type CreatureKind,
+  type Generation,
+} from '@jarvis-woodcutter-fps/shared';
+
+export type Creature = {
+  id: string;
+  kind: CreatureKind;
+  x: number;
+  y: number;
+  z: number;
+  yaw: number;
+  hp: number;
+  /** Chunk it was spawned for (population is counted per chunk). */
+  homeCx: number;
+  homeCz: number;
+  mode: 'idle' | 'wander' | 'flee' | 'hunt';
+  goalX: number;
+  goalZ: number;
+  /** idle: when to wander again; flee: when to calm down (epoch ms). */
+  until: number;
+  /** flee: what it runs from. */
+  fromX: number;
+  fromZ: number;
+  /** hunt: player id (local players only: bites are applied on this pod). */
+  targetId: string | null;
+  nextAttackAt: number;
+};
+
+/** An alive player outside the mine. `local`: connected to this pod (can be hunted). */
+export type CreaturePlayer = { id: string; x: number; z: number; local: boolean };
+
+export type CreatureEnv = {
+  generation: Generation;
+  getHeightAt(x: number, z: number): number;
+  /** Placed-structure colliders around XZ. */
+  collidersNear(x: number, z: number): Collider[];
+  players: CreaturePlayer[];
+  night: boolean;
+  now: number;
+  rnd: () => number;
+  /** A wolf bit a local player. */
+  onBite(c: Creature, playerId: string): void;
+};
+
+/** New creatures appear at least this far from every player (m). */
+const SPAWN_MIN_PLAYER_DIST = 20;
+/** No wolves this close to the world spawn (m). */
+const WOLF_SPAWN_CLEAR = 48;
+const WANDER_RADIUS = 10;
+const FLEE_CALM_MS = 3000;
+const PROVOKED_FLEE_MS = 6000;
+// Headings tried when the direct one is blocked (radians off the wanted direction).
+const STEER_OFFSETS = [0, 0.6, -0.6, 1.2, -1.2, 1.9, -1.9];
+
+function hash3(seed: number, a: number, b: number) {
+  let h = (seed ^ Math.imul(a, 0x27d4eb2d) ^ Math.imul(b, 0x165667b1) ^ 0x5bd1e995) >>> 0;
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+/** Creatures a chunk should hold (stable per world seed; wolves only at night). */
+export function chunkPopulation(seed: number, cx: number, cz: number, night: boolean): CreatureKind[] {
+  const out: CreatureKind[] = [];
+  const roll = hash3(seed, cx, cz);
+  if (roll < 0.3) out.push('deer');
+  if (hash3(seed + 1, cx, cz) < 0.4) {
+    out.push('rabbit');
+    if (roll > 0.85) out.push('rabbit');
+  }
+  const x = (cx + 0.5) * CHUNK_SIZE;
+  const z = (cz + 0.5) * CHUNK_SIZE;
+  if (night && hash3(seed + 2, cx, cz) < 0.2 && Math.hypot(x - SPAWN.x, z - SPAWN.z) > WOLF_SPAWN_CLEAR) out.push('wolf');
+  return out;
+}
+
+/** A creature on open ground inside the chunk, away from players (null if no spot was found). */
+export function spawnCreature(params: { id: string; kind: CreatureKind; cx: number; cz: number; env: CreatureEnv }): Creature | null {
+  const { id, kind, cx, cz, env } = params;
+  const def = CREATURES[kind];
+  for (let tries = 0; tries < 8; tries++) {
+    const x = (cx + env.rnd()) * CHUNK_SIZE;
+    const z = (cz + env.rnd()) * CHUNK_SIZE;
+    if (!isOpenGround(x, z, def.radius + 1, env.generation)) continue;
+    if (env.players.some((p) => Math.hypot(p.x - x, p.z - z) < SPAWN_MIN_PLAYER_DIST)) continue;
+    return {
+      id,
+      kind,
+      x,
+      y: env.getHeightAt(x, z),
+      z,
+      yaw: env.rnd() * Math.PI * 2,
+      hp: def.hp,
+      homeCx: cx,
+      homeCz: cz,
+      mode: 'idle',
+      goalX: x,
+      goalZ: z,
+      until: env.now + env.rnd() * 4000,
+      fromX: x,
+      fromZ: z,
+      targetId: null,
+      nextAttackAt: 0,
+    };
+  }
+  return null;
+}
+
+/** Hit by a player: passive creatures bolt, wolves go for the attacker. */
+export function provokeCreature(c: Creature, by: { id: string; x: number; z: number; local: boolean }, now: number) {
+  if (CREATURES[c.kind].hostile && by.local) {
+    c.mode = 'hunt';
+    c.targetId = by.id;
+    return;
+  }
+  c.mode = 'flee';
+  c.fromX = by.x;
+  c.fromZ = by.z;
+  c.until = now + PROVOKED_FLEE_MS;
+}
+
+/** Moves up to `dist` along (dx, dz), steering around blocked ground. False if every heading was blocked. */
+function moveAlong(c: Creature, dx: number, dz: number, dist: number, env: CreatureEnv) {
+  const len = Math.hypot(dx, dz);
+  if (!(len > 1e-6) || !(dist > 0)) return true;
+  const r = CREATURES[c.kind].radius;
+  for (const a of STEER_OFFSETS) {
+    const cos = Math.cos(a);
+    const sin = Math.sin(a);
+    const ux = (dx * cos - dz * sin) / len;
+    const uz = (dx * sin + dz * cos) / len;
+    const pos = { x: c.x + ux * dist, z: c.z + uz * dist };
+    if (!isOpenGround(pos.x, pos.z, r, env.generation)) continue;
+    resolveCollisionsXZ(pos, env.collidersNear(pos.x, pos.z), r);
+    if (!isOpenGround(pos.x, pos.z, r, env.generation)) continue;
+    c.x = pos.x;
+    c.z = pos.z;
+    // Same convention as the player yaw: facing -Z at 0.
+    c.yaw = Math.atan2(-ux, -uz);
+    return true;
+  }
+  return false;
+}
+
+function nearestPlayer(c: Creature, players: CreaturePlayer[], localOnly: boolean) {
+  let best: CreaturePlayer | null = null;
+  let bestD = Infinity;
+  for (const p of players) {
+    if (localOnly && !p.local) continue;
+    const d = Math.hypot(p.x - c.x, p.z - c.z);
+    if (d < bestD) {
+      best = p;
+      bestD = d;
+    }
+  }
+  return { player: best, dist: bestD };
+}
+
+export function stepCreature(c: Creature, dt: number, env: CreatureEnv) {
+  const def = CREATURES[c.kind];
+  const hunting = !!def.hostile && env.night;
+
+  if (hunting) {
+    let target = c.targetId ? env.players.find((p) => p.id === c.targetId && p.local) ?? null : null;
+    if (target && Math.hypot(target.x - c.x, target.z - c.z) > (def.giveUpRadius ?? 0)) target = null;
+    if (!target) {
+      const near = nearestPlayer(c, env.players, true);
+      if (near.player && near.dist <= (def.aggroRadius ?? 0)) target = near.player;
+    }
+    if (target) {
+      c.mode = 'hunt';
+      c.targetId = target.id;
+      const dx = target.x - c.x;
+      const dz = target.z - c.z;
+      const d = Math.hypot(dx, dz);
+      const range = def.attackRange ?? 0;
+      if (d > range * 0.7) moveAlong(c, dx, dz, Math.min(def.runSpeed * dt, d - range * 0.7), env);
+      else c.yaw = Math.atan2(-dx, -dz);
+      if (d <= range && env.now >= c.nextAttackAt) {
+        c.nextAttackAt = env.now + (def.attackCooldownSec ?? 1) * 1000;
+        env.onBite(c, target.id);
+      }
+      c.y = env.getHeightAt(c.x, c.z);
+      return;
+    }
+    c.targetId = null;
+    if (c.mode === 'hunt') {
+      c.mode = 'idle';
+      c.until = env.now;
+    }
+  } else {
+    c.targetId = null;
+    if (c.mode === 'hunt') c.mode = 'idle';
+    // Wolves keep away from players by day until they despawn.
+    const fleeRadius = def.hostile ? def.aggroRadius ?? 0 : def.fleeRadius;
+    const near = nearestPlayer(c, env.players, false);
+    if (near.player && near.dist <= fleeRadius) {
+      c.mode = 'flee';
+      c.fromX = near.player.x;
+      c.fromZ = near.player.z;
+      c.until = Math.max(c.until, env.now + FLEE_CALM_MS);
+    }
+  }
+
+  if (c.mode === 'flee') {
+    if (env.now >= c.until) {
+      c.mode = 'idle';
+      c.until = env.now + 1000 + env.rnd() * 3000;
+    } else {
+      moveAlong(c, c.x - c.fromX, c.z - c.fromZ, def.runSpeed * dt, env);
+    }
+  } else if (c.mode === 'idle') {
+    if (env.now >= c.until) {
+      const a = env.rnd() * Math.PI * 2;
+      const r = 3 + env.rnd() * (WANDER_RADIUS - 3);
+      c.goalX = c.x + Math.cos(a) * r;
+      c.goalZ = c.z + Math.sin(a) * r;
+      c.mode = 'wander';
+    }
+  } else if (c.mode === 'wander') {
+    const dx = c.goalX - c.x;
+    const dz = c.goalZ - c.z;
+    const d = Math.hypot(dx, dz);
+    if (d < 0.4 || !moveAlong(c, dx, dz, Math.min(def.walkSpeed * dt, d), env)) {
+      c.mode = 'idle';
+      c.until = env.now + 2000 + env.rnd() * 4000;
+    }
+  }
+  c.y = env.getHeightAt(c.x, c.z);
+}
@@ -0,0 +1,245 @@
+// Forge simulation (recipes in the shared SMELTING_RECIPES table), used by the forge routes (open/save)
+// and the WS forge tick, which advances every forge in chunks loaded on this pod and streams `forgeStatus`.
+// State lives in `forge_state`; `updated_at` is the simulation clock (progress is fast-forwarded from it).
+
+import { and, eq, inArray } from 'drizzle-orm';
+import { z } from 'zod';
+import { FORGE_FUEL_SECONDS, FORGE_OUTPUT_MAX_STACK, forgeSmeltTarget, isForgeFuel } from '@jarvis-woodcutter-fps/shared';
+import { db } from '../db/client.js';
+import { forgeState } from '../db/schema.js';
+import type { getRedis } from '../redis/client.js';
+
+type Redis = Awaited<ReturnType<typeof getRedis>>;
+
+const ItemSlotSchema = z
+  .object({
+    id: z.string().min(1),
+    qty: z.number().int().nonnegative(),
+    meta: z.any().optional(),
+  })
+  .passthrough();
+
+export const ForgeStateSchema = z
+  .object({
+    enabled: z.boolean().default(false),
+    burn: z.number().nonnegative().default(0),
+    prog: z.number().nonnegative().default(0),
+    fuel: z.array(ItemSlotSchema.nullable()).length(2).default([null, null]),
+    input: z.array(ItemSlotSchema.nullable()).length(2).default([null, null]),
+    output: z.array(ItemSlotSchema.nullable()).length(2).default([null, null]),
+  })
+  .passthrough();
+
+export type ForgeState = z.infer<typeof ForgeStateSchema>;
+
+/** Live forge state streamed to nearby players (`forgeStatus`). */
+export type ForgeStatus = Pick<ForgeState, 'enabled' | 'burn' | 'prog' | 'fuel' | 'input' | 'output'>;
+
+export const FORGE_CACHE_TTL_S = 60 * 60; // 60m
+export const keyForgeCache = (worldId: string, forgeId: string) => `cache:forge:${worldId}:${forgeId}`;
+
+function hasFuel(st: any) {
+  return (st.fuel || []).some((s: any) => s && isForgeFuel(String(s.id)) && (s.qty ?? 0) > 0);
+}
+
+function consumeOneFuel(st: any) {
+  for (let i = 0; i < st.fuel.length; i++) {
+    const s = st.fuel[i];
+    if (!s) continue;
+    const add = FORGE_FUEL_SECONDS[String(s.id)] || 0;
+    if (add <= 0) continue;
+
+    s.qty = Math.max(0, (s.qty ?? 0) - 1);
+    if (s.qty <= 0) st.fuel[i] = null;
+
+    st.burn = Math.min(90, (st.burn ?? 0) + add);
+    return true;
+  }
+  return false;
+}
+
+function consumeOneInput(st: any, slot: number) {
+  const s = st.input[slot];
+  if (!s) return false;
+  s.qty = Math.max(0, (s.qty ?? 0) - 1);
+  if (s.qty <= 0) st.input[slot] = null;
+  return true;
+}
+
+function addOutput(st: any, id: string, qty: number) {
+  // prefer stacking existing
+  for (let i = 0; i < st.output.length; i++) {
+    const s = st.output[i];
+    if (s && s.id === id && (s.qty ?? 0) < FORGE_OUTPUT_MAX_STACK) {
+      const can = Math.min(qty, FORGE_OUTPUT_MAX_STACK - (s.qty ?? 0));
+      s.qty = (s.qty ?? 0) + can;
+      qty -= can;
+      if (qty <= 0) return true;
+    }
+  }
+  for (let i = 0; i < st.output.length; i++) {
+    const s = st.output[i];
+    if (!s) {
+      const put = Math.min(qty, FORGE_OUTPUT_MAX_STACK);
+      st.output[i] = { id, qty: put };
+      qty -= put;
+      if (qty <= 0) return true;
+    }
+  }
+  return qty <= 0;
+}
+
+export function advanceForge(st: any, dtSec: number) {
+  let remaining = Math.max(0, dtSec);
+  // cap catch-up to avoid huge loops (MVP)
+  remaining = Math.min(remaining, 6 * 60 * 60);
+
+  // If enabled but nothing smeltable (or no room for it), shutdown immediately (matches client)
+  if (st.enabled && !forgeSmeltTarget(st)) {
+    st.enabled = false;
+  }
+
+  // Offline catch-up must account for the fact that burn is consumed over time.
+  // We cannot just subtract the whole dt from burn first, otherwise we lose all
+  // production that should have happened while burn was available.
+  //
+  // Model:
+  // - While enabled, if something in the input can be smelted (SMELTING_RECIPES) and its
+  //   output fits, we convert available burn-time into progress.
+  // - When burn is low, we may auto-consume fuel (same rule as client).
+  // - When we can't proceed (nothing to smelt, no fuel+burn), stop.
+  let safety = 0;
+  while (remaining > 1e-6 && st.enabled) {
+    safety++;
+    if (safety > 50000) break;
+
+    let target = forgeSmeltTarget(st);
+    if (!target) {
+      // client shuts down immediately when there is nothing to smelt; keep that behavior
+      st.enabled = false;
+      break;
+    }
+
+    const hf = hasFuel(st);
+
+    // auto-consume fuel when low (or when burning with something to smelt)
+    if ((st.burn ?? 0) <= 0.1 || ((st.burn ?? 0) > 0 && (st.burn ?? 0) < 2.5)) {
+      if (hf) consumeOneFuel(st);
+    }
+
+    const burnNow = Number(st.burn ?? 0);
+    if (burnNow <= 0.001) {
+      // No burn available; if no fuel, shut down.
+      if (!hasFuel(st)) {
+        st.enabled = false;
+        break;
+      }
+      // otherwise loop will consume fuel on next iteration
+      continue;
+    }
+
+    // Advance by the amount of time we can actually burn.
+    const step = Math.min(remaining, burnNow);
+    st.burn = Math.max(0, burnNow - step);
+    remaining -= step;
+
+    st.prog = (st.prog ?? 0) + step;
+
+    while (target && st.prog >= target.recipe.seconds) {
+      st.prog -= target.recipe.seconds;
+      consumeOneInput(st, target.slot);
+      addOutput(st, target.recipe.output.id, target.recipe.output.qty);
+      target = forgeSmeltTarget(st);
+    }
+
+    // Shutdown rule: if we ran out of things to smelt, or we have no fuel and no burn left.
+    if (!target || (!hasFuel(st) && (st.burn ?? 0) <= 0.001)) {
+      st.enabled = false;
+      break;
+    }
+  }
+
+  // keep sane (progress never exceeds the current recipe's time)
+  const target = forgeSmeltTarget(st);
+  st.burn = Math.max(0, Math.min(90, Number(st.burn ?? 0)));
+  st.prog = Math.max(0, Math.min(target ? target.recipe.seconds : 0, Number(st.prog ?? 0)));
+}
+
+const FORGE_SLOT_KEYS = ['fuel', 'input', 'output'] as const;
+
+function sameSlot(a: any, b: any) {
+  const qa = a ? Number(a.qty ?? 0) : 0;
+  const qb = b ? Number(b.qty ?? 0) : 0;
+  return qa === qb && (qa <= 0 || String(a.id) === String(b.id));
+}
+
+/**
+ * Applies a forge UI save onto the current (fast-forwarded) state. The client sends the slots it
+ * started editing from (`base`): slots it changed since take its value, the others keep ours (the
+ * tick may have burned fuel or smelted meanwhile). Null when a slot both sides changed: the client
+ * edited a stale view and has to re-sync before saving. On/off is the client's call.
+ */
+export function mergeForgeEdit(cur: ForgeState, base: ForgeState, next: ForgeState): ForgeState | null {
+  const out = structuredClone(cur);
+  out.enabled = next.enabled;
+  for (const k of FORGE_SLOT_KEYS) {
+    for (let i = 0; i < out[k].length; i++) {
+      if (sameSlot(next[k][i], base[k][i])) continue;
+      if (!sameSlot(cur[k][i], base[k][i])) return null;
+      out[k][i] = next[k][i] ? structuredClone(next[k][i]) : null;
+    }
+  }
+  return out;
+}
+
+export function forgeStatusOf(st: ForgeState): ForgeStatus {
+  return { enabled: st.enabled, burn: st.burn, prog: st.prog, fuel: st.fuel, input: st.input, output: st.output };
+}
+
+/**
+ * One simulation step for a set of forges of a world: enabled forges are fast-forwarded to now and
+ * saved. The write only lands if `updated_at` is unchanged since the read, so a concurrent save from
+ * the forge UI (or another pod's tick) wins and this forge is simply skipped until the next tick.
+ * Returns the current status of every forge that exists and was not skipped.
+ */
+export async function tickForges(params: { worldId: string; forgeIds: string[]; redis: Redis | null; now?: Date }) {
+  const out = new Map<string, ForgeStatus>();
+  if (!params.forgeIds.length) return out;
+  const now = params.now ?? new Date();
+
+  const rows = await db
+    .select({ forgeId: forgeState.forgeId, state: forgeState.state, updatedAt: forgeState.updatedAt })
+    .from(forgeState)
+    .where(and(eq(forgeState.worldId, params.worldId), inArray(forgeState.forgeId, params.forgeIds)));
+
+  for (const row of rows) {
+    const parsed = ForgeStateSchema.safeParse(row.state ?? {});
+    if (!parsed.success) continue;
+    const st = parsed.data;
+    const forgeId = String(row.forgeId);
+
+    if (st.enabled) {
+      const last = row.updatedAt ? new Date(row.updatedAt).getTime() : now.getTime();
+      const dtSec = (now.getTime() - last) / 1000;
+      if (dtSec >= 0.25) {
+        advanceForge(st, dtSec);
+        const saved = await db
+          .update(forgeState)
+          .set({ state: st as any, updatedAt: now })
+          .where(and(eq(forgeState.worldId, params.worldId), eq(forgeState.forgeId, forgeId), eq(forgeState.updatedAt, row.updatedAt)))
+          .returning({ forgeId: forgeState.forgeId });
+        if (!saved.length) continue;
+
+        if (params.redis) {
+          try {
+            void params.redis.set(keyForgeCache(params.worldId, forgeId), JSON.stringify({ state: st, updatedAt: now.toISOString() }), { EX: FORGE_CACHE_TTL_S });
+          } catch {}
+        }
+      }
+    }
+
+    out.set(forgeId, forgeStatusOf(st));
+  }
+
+  return out;
+}
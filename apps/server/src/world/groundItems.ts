@@ -0,0 +1,40 @@
+// Ground items: piles dropped by players (`itemDrop` world event: inventory overflow or items dragged out
+// of the inventory) live in their chunk's state (`world_chunk_state.state.drops`), so they survive reloads
+// and replicate with the chunk. Anyone within reach picks a pile up whole (`itemPickup`); the WS server
+// despawns piles after GROUND_ITEM.despawnMs.
+
+import { GROUND_ITEM, normalizeGroundItems } from '@jarvis-woodcutter-fps/shared';
+
+export type GroundItem = {
+  id: string;
+  items: Array<{ id: string; qty: number; meta?: any }>;
+  x: number;
+  z: number;
+  /** Who dropped it (picking up your own items adds nothing to the loot ledger). */
+  ownerId: string;
+  droppedAt: number;
+};
+
+/** Piles stored in a chunk's raw state (malformed or empty ones are left out). */
+export function groundItemsFromRawState(rawState: any): GroundItem[] {
+  const raw = Array.isArray(rawState?.drops) ? rawState.drops : [];
+  const out: GroundItem[] = [];
+  for (const d of raw) {
+    const id = String(d?.id || '');
+    const x = Number(d?.x);
+    const z = Number(d?.z);
+    const items = normalizeGroundItems(d?.items);
+    if (!id || !items.length || !Number.isFinite(x) || !Number.isFinite(z)) continue;
+    out.push({ id, items, x, z, ownerId: String(d?.ownerId || ''), droppedAt: Number(d?.droppedAt) || 0 });
+  }
+  return out;
+}
+
+/** Adds a pile, dropping the oldest ones past GROUND_ITEM.maxPerChunk. */
+export function addGroundItem(drops: GroundItem[], item: GroundItem) {
+  const next = [...drops, item];
+  next.sort((a, b) => a.droppedAt - b.droppedAt);
+  return next.slice(Math.max(0, next.length - GROUND_ITEM.maxPerChunk));
+}
+
+export const groundItemDespawnAt = (d: GroundItem) => d.droppedAt + GROUND_ITEM.despawnMs;
@@ -0,0 +1,30 @@
+// Player health lives in the WS player state while connected (see the health tick in wsServer.ts).
+// Between sessions it is kept in `player_health`, written by the WS server when the player
+// disconnects, switches worlds, dies or respawns; the client save's `health` is never read.
+
+import { and, eq } from 'drizzle-orm';
+import { HEALTH, normalizeHealth } from '@jarvis-woodcutter-fps/shared';
+import { db } from '../db/client.js';
+import { playerHealth } from '../db/schema.js';
+
+/** Health the player last had in this world (full for new players). */
+export async function loadSavedHealth(worldId: string, guestId: string) {
+  const rows = await db
+    .select({ hp: playerHealth.hp })
+    .from(playerHealth)
+    .where(and(eq(playerHealth.guestId, guestId), eq(playerHealth.worldId, worldId)))
+    .limit(1);
+  if (!rows.length) return HEALTH.max;
+  return normalizeHealth(rows[0].hp);
+}
+
+export async function saveHealth(worldId: string, guestId: string, hp: number) {
+  const value = normalizeHealth(hp);
+  await db
+    .insert(playerHealth)
+    .values({ worldId, guestId, hp: value, updatedAt: new Date() })
+    .onConflictDoUpdate({
+      target: [playerHealth.guestId, playerHealth.worldId],
+      set: { hp: value, updatedAt: new Date() },
+    });
+}
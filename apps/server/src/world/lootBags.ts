@@ -0,0 +1,94 @@
+// Death loot bags: when a player dies, the server moves the inventory of their stored save into a
+// `lootBag` entry of the chunk's `placed` list (`deathDrop` world event, or `respawn` when the client
+// never sent one); the contents live in `loot_bag`. Opening follows the chest
+// model (routes/lootBagState.ts: one player at a time via a Redis lock), access rules are the shared
+// `canOpenLootBag`, and the WS server despawns bags after LOOT_BAG.despawnMs.
+
+import { and, eq } from 'drizzle-orm';
+import { normalizeLootBagSlots } from '@jarvis-woodcutter-fps/shared';
+import { db, type DbTx } from '../db/client.js';
+import { lootBag, playerState } from '../db/schema.js';
+import { countHeldItems, debitLedgerEntries, writeOffLedgerBalance } from '../inventory/ledger.js';
+
+export type LootBagSlots = ReturnType<typeof normalizeLootBagSlots>;
+
+export const keyLootBagLock = (worldId: string, bagId: string) => `lock:lootBag:${worldId}:${bagId}`;
+
+export function lootBagIsEmpty(slots: LootBagSlots) {
+  return !slots.some((s) => s && s.qty > 0);
+}
+
+/** Item id -> total qty. */
+export function countLootBagItems(slots: LootBagSlots) {
+  const out: Record<string, number> = {};
+  for (const s of slots) if (s) out[s.id] = (out[s.id] ?? 0) + s.qty;
+  return out;
+}
+
+export async function createLootBag(params: { worldId: string; bagId: string; ownerId: string; slots: LootBagSlots; now: Date }, exec: typeof db | DbTx = db) {
+  const { worldId, bagId, ownerId, slots, now } = params;
+  await exec.insert(lootBag).values({ worldId, bagId, ownerId, state: { slots }, createdAt: now, updatedAt: now });
+}
+
+/**
+ * Death drop: the inventory of the stored save (not the equipment) becomes a new bag and is debited
+ * from the ledger; the save keeps empty slots. What the client holds is never trusted: whatever else
+ * the balance still covers (loot picked up after the last save) is written off, down to the
+ * equipment. null when the save holds nothing to drop.
+ */
+export async function moveInventoryToLootBag(params: { worldId: string; guestId: string; bagId: string; now: Date }, exec: typeof db = db) {
+  const { worldId, guestId, bagId, now } = params;
+  return exec.transaction(async (tx) => {
+    const rows = await tx
+      .select({ state: playerState.state })
+      .from(playerState)
+      .where(and(eq(playerState.guestId, guestId), eq(playerState.worldId, worldId)))
+      .for('update')
+      .limit(1);
+    const state = (rows[0]?.state ?? {}) as any;
+    const slots = normalizeLootBagSlots(state?.inventory?.slots);
+    const empty = lootBagIsEmpty(slots);
+
+    if (!empty) {
+      const items = Object.entries(countLootBagItems(slots)).map(([id, qty]) => ({ id, qty }));
+      const debit = await debitLedgerEntries({ guestId, worldId, reason: 'deathDrop', refId: bagId, items }, tx);
+      if (!debit.ok) return debit;
+    }
+    await writeOffLedgerBalance({ guestId, worldId, reason: 'deathDrop', refId: bagId, kept: countHeldItems({ equipment: state.equipment }) }, tx);
+    if (empty) return null;
+
+    const inventory = { ...state.inventory, slots: state.inventory.slots.map(() => null) };
+    await tx
+      .update(playerState)
+      .set({ state: { ...state, inventory }, updatedAt: now })
+      .where(and(eq(playerState.guestId, guestId), eq(playerState.worldId, worldId)));
+    await createLootBag({ worldId, bagId, ownerId: guestId, slots, now }, tx);
+    return { ok: true as const, slots };
+  });
+}
+
+/** null when the bag doesn't exist (despawned, emptied or never created). */
+export async function loadLootBag(worldId: string, bagId: string) {
+  const rows = await db
+    .select({ ownerId: lootBag.ownerId, state: lootBag.state, createdAt: lootBag.createdAt })
+    .from(lootBag)
+    .where(and(eq(lootBag.worldId, worldId), eq(lootBag.bagId, bagId)))
+    .limit(1);
+  if (!rows.length) return null;
+  return {
+    ownerId: String(rows[0].ownerId),
+    slots: normalizeLootBagSlots((rows[0].state as any)?.slots),
+    droppedAt: new Date(rows[0].createdAt).getTime(),
+  };
+}
+
+export async function saveLootBagSlots(worldId: string, bagId: string, slots: LootBagSlots, exec: typeof db | DbTx = db) {
+  await exec
+    .update(lootBag)
+    .set({ state: { slots }, updatedAt: new Date() })
+    .where(and(eq(lootBag.worldId, worldId), eq(lootBag.bagId, bagId)));
+}
+
+export async function deleteLootBag(worldId: string, bagId: string) {
+  await db.delete(lootBag).where(and(eq(lootBag.worldId, worldId), eq(lootBag.bagId, bagId)));
+}
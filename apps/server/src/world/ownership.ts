@@ -0,0 +1,70 @@
+// Placed structures (campfire/forge/forgeTable/chest/bed) record who placed them and when, in the chunk's
+// `placed` entries. Picking one up is reserved to its owner, except for admins and for structures
+// whose owner has been away from the world longer than WOODCUTTER_ABANDON_PICKUP_DAYS.
+
+import { and, eq } from 'drizzle-orm';
+import { db, type DbTx } from '../db/client.js';
+import { playerState } from '../db/schema.js';
+import { env } from '../env.js';
+
+export type PlacedOwner = { ownerId: string; ownerName: string; placedAt: number };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const adminGuestIds = new Set(
+  env.WOODCUTTER_ADMIN_GUEST_IDS.split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+);
+
+/** In-game admins (WOODCUTTER_ADMIN_GUEST_IDS): may pick up anyone's structures. */
+export function isAdminGuest(guestId: string) {
+  return adminGuestIds.has(guestId);
+}
+
+/** Owner fields of a raw `placed` entry (ownerId is blank for entries placed before ownership existed). */
+export function placedOwnerOf(entry: any): PlacedOwner {
+  return {
+    ownerId: String(entry?.ownerId || ''),
+    ownerName: String(entry?.ownerName || ''),
+    placedAt: Number(entry?.placedAt) || 0,
+  };
+}
+
+/**
+ * A structure is abandoned when both its placement and its owner's last save in this world
+ * (`player_state.updated_at`) are older than the configured age. Owners online are never abandoned.
+ */
+export async function isAbandoned(
+  params: { worldId: string; ownerId: string; placedAt: number; ownerOnline: boolean; now: number },
+  exec: typeof db | DbTx = db
+) {
+  const maxAgeMs = env.WOODCUTTER_ABANDON_PICKUP_DAYS * DAY_MS;
+  if (maxAgeMs <= 0 || params.ownerOnline) return false;
+  if (params.now - params.placedAt < maxAgeMs) return false;
+
+  try {
+    const rows = await exec
+      .select({ updatedAt: playerState.updatedAt })
+      .from(playerState)
+      .where(and(eq(playerState.worldId, params.worldId), eq(playerState.guestId, params.ownerId)))
+      .limit(1);
+    const lastSeen = rows[0]?.updatedAt ? new Date(rows[0].updatedAt).getTime() : 0;
+    return params.now - lastSeen >= maxAgeMs;
+  } catch {
+    return false; // DB hiccup: keep the owner's structure
+  }
+}
+
+/** Whether `guestId` may pick up a structure owned by `ownerId` (blank owner = legacy entry, anyone). */
+export async function canPickupPlaced(params: {
+  worldId: string;
+  guestId: string;
+  ownerId: string;
+  placedAt: number;
+  ownerOnline: boolean;
+  now: number;
+}, exec: typeof db | DbTx = db) {
+  if (!params.ownerId || params.ownerId === params.guestId || isAdminGuest(params.guestId)) return true;
+  return isAbandoned(params, exec);
+}
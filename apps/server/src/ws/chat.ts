@@ -0,0 +1,45 @@
+import { env } from '../env.js';
+
+/** `proximity`: players within WOODCUTTER_CHAT_RADIUS of the sender; `global`: the whole world. */
+export type ChatChannel = 'proximity' | 'global';
+
+export const CHAT_CHANNELS: readonly ChatChannel[] = ['proximity', 'global'];
+
+export function isChatChannel(v: unknown): v is ChatChannel {
+  return CHAT_CHANNELS.includes(v as ChatChannel);
+}
+
+/**
+ * Moderation hook, run on every message after sanitizing. Return the text to broadcast
+ * (possibly masked) or null to drop the message (the sender gets `chatRejected: blocked`).
+ */
+export type ChatFilter = (text: string, ctx: { playerId: string; worldId: string; channel: ChatChannel }) => string | null;
+
+export type ChatTextResult = { ok: true; text: string } | { ok: false; reason: 'empty' | 'too_long' };
+
+/** Strips control characters and collapses whitespace; rejects empty or over-long messages. */
+export function sanitizeChatText(raw: unknown, maxLen = env.WOODCUTTER_CHAT_MAX_LEN): ChatTextResult {
+  const text = String(typeof raw === 'string' ? raw : '')
+    .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u206f]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!text) return { ok: false, reason: 'empty' };
+  if ([...text].length > maxLen) return { ok: false, reason: 'too_long' };
+  return { ok: true, text };
+}
+
+const foldWord = (w: string) => w.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Default filter: masks blocklisted words (case and accent insensitive, whole words only).
+ * The list comes from WOODCUTTER_CHAT_BLOCKLIST (comma separated); empty list = pass-through.
+ */
+export function createBlocklistChatFilter(words: string[]): ChatFilter {
+  const blocked = new Set(words.map((w) => foldWord(w.trim())).filter(Boolean));
+  if (!blocked.size) return (text) => text;
+  return (text) => text.replace(/[\p{L}\p{N}]+/gu, (w) => (blocked.has(foldWord(w)) ? '*'.repeat([...w].length) : w));
+}
+
+export function defaultChatFilter(): ChatFilter {
+  return createBlocklistChatFilter(env.WOODCUTTER_CHAT_BLOCKLIST.split(','));
+}
@@ -0,0 +1,40 @@
+import crypto from 'node:crypto';
+import { eq, inArray } from 'drizzle-orm';
+import { db } from '../db/client.js';
+import { users } from '../db/schema.js';
+
+/** Stable name for guests without an account (same guest id -> same name on every pod). */
+export function guestDisplayName(guestId: string) {
+  const n = crypto.createHash('sha256').update(guestId).digest().readUInt32BE(0) % 10000;
+  return `Lenhador-${String(n).padStart(4, '0')}`;
+}
+
+/** Display name for a player: the linked account's username, else the generated guest name. */
+export async function resolveDisplayName(guestId: string) {
+  try {
+    const rows = await db.select({ username: users.username }).from(users).where(eq(users.guestId, guestId)).limit(1);
+    const username = rows[0]?.username?.trim();
+    if (username) return username;
+  } catch {
+    // DB hiccup: a guest name is better than failing the join.
+  }
+  return guestDisplayName(guestId);
+}
+
+/** Batch variant (chest share lists): guest id -> display name. */
+export async function resolveDisplayNames(guestIds: string[]) {
+  const out = new Map<string, string>();
+  const ids = [...new Set(guestIds)];
+  if (!ids.length) return out;
+  try {
+    const rows = await db.select({ guestId: users.guestId, username: users.username }).from(users).where(inArray(users.guestId, ids));
+    for (const r of rows) {
+      const username = r.username?.trim();
+      if (r.guestId && username) out.set(r.guestId, username);
+    }
+  } catch {
+    // fall back to guest names below
+  }
+  for (const id of ids) if (!out.has(id)) out.set(id, guestDisplayName(id));
+  return out;
+}
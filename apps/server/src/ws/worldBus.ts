@@ -0,0 +1,80 @@
+import type { FastifyBaseLogger } from 'fastify';
+import os from 'node:os';
+import crypto from 'node:crypto';
+import { env } from '../env.js';
+import { getRedis, getRedisSubscriber } from '../redis/client.js';
+
+/**
+ * Cross-pod fan-out for a world: one Redis pub/sub channel per world.
+ *
+ * Each pod subscribes to the worlds that have players connected to it and publishes
+ * what it produced locally (snapshots of its own players, chunk updates, event results).
+ * Envelopes carry the origin pod id; a pod ignores its own messages because it already
+ * delivered them to its local sockets.
+ */
+export type WorldBusEnvelope<P> = P & { origin: string; worldId: string };
+
+const keyWorldChannel = (worldId: string) => `ws:world:${worldId}`;
+
+export function resolvePodId() {
+  const fromEnv = env.WOODCUTTER_POD_ID.trim();
+  if (fromEnv) return fromEnv;
+  return `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+export function createWorldBus<P extends { kind: string }>(opts: {
+  log: FastifyBaseLogger;
+  onRemote: (msg: WorldBusEnvelope<P>) => void;
+}) {
+  const podId = resolvePodId();
+  const subscribed = new Set<string>();
+
+  const listener = (raw: string) => {
+    let msg: WorldBusEnvelope<P> | null = null;
+    try {
+      msg = JSON.parse(raw) as WorldBusEnvelope<P>;
+    } catch {
+      return;
+    }
+    if (!msg || typeof msg !== 'object' || typeof msg.worldId !== 'string' || typeof msg.kind !== 'string') return;
+    // Dedupe: local sockets already got this one.
+    if (msg.origin === podId) return;
+    if (!subscribed.has(msg.worldId)) return;
+    try {
+      opts.onRemote(msg);
+    } catch (err) {
+      opts.log.error({ err, event: 'ws_bus_handler_failed', worldId: msg.worldId, kind: msg.kind }, 'world bus handler failed');
+    }
+  };
+
+  return {
+    podId,
+
+    /** Subscribes to a world's channel (idempotent). */
+    join(worldId: string) {
+      if (subscribed.has(worldId)) return;
+      subscribed.add(worldId);
+      getRedisSubscriber()
+        .then((sub) => sub.subscribe(keyWorldChannel(worldId), listener))
+        .catch((err) => {
+          opts.log.warn({ err, event: 'ws_bus_subscribe_failed', worldId }, 'world bus subscribe failed');
+        });
+    },
+
+    /** Unsubscribes once the last local player of the world left. */
+    leave(worldId: string) {
+      if (!subscribed.delete(worldId)) return;
+      getRedisSubscriber()
+        .then((sub) => sub.unsubscribe(keyWorldChannel(worldId), listener))
+        .catch(() => null);
+    },
+
+    /** Best-effort publish; local delivery never depends on it. */
+    publish(worldId: string, payload: P) {
+      const msg = { ...payload, origin: podId, worldId };
+      getRedis()
+        .then((r) => r.publish(keyWorldChannel(worldId), JSON.stringify(msg)))
+        .catch(() => null);
+    },
+  };
+}
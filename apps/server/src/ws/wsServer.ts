@@ -6,6 +6,77 @@ import { db } from '../db/client.js';
 import { worldChunkState, chestState, worlds } from '../db/schema.js';
 import { env } from '../env.js';
 import { getRedis } from '../redis/client.js';
+import { keyWorldPresence, PRESENCE_TTL_MS } from '../mp/presence.js';
+import { isLootKind, rollLoot, type LootItem, type LootKind, type LootModifiers } from '../inventory/loot.js';
+import { appendLedgerEntries, debitLedgerEntries, loadHeldItems, loadLootModifiers, type LedgerReason } from '../inventory/ledger.js';
+import { loadWorldConfig, newWorldSeed, touchWorld, type WorldConfig } from '../world/config.js';
+import type { WorldClosedReason } from '../routes/worlds.js';
+import { craftForPlayer, type CraftRejectReason } from '../inventory/crafting.js';
+import {
+  buildMineColliders,
+  buildWorldColliders,
+  campfireHasItems,
+  canOpenLootBag,
+  createTerrain,
+  createSnapshotEncoder,
+  creatureKindOf,
+  CREATURE,
+  CREATURES,
+  decodeAck,
+  decodeInput,
+  CHUNK_SIZE,
+  findChunkResource,
+  findMineOre,
+  FISHING,
+  FrameKind,
+  fallDamage,
+  FOOD_EFFECTS,
+  HEALTH,
+  isInMineXZ,
+  isNightHours,
+  ItemId,
+  LOOT_BAG,
+  minePortals,
+  MOVEMENT,
+  normalizeGroundItems,
+  placedCollider,
+  PROTOCOL_BINARY,
+  PROTOCOL_JSON,
+  readFrameKind,
+  rollCreatureLoot,
+  stepMoveXZ,
+  stepVertical,
+  tryJump,
+  waterBodyAt,
+  WORLD_SPAWN,
+  worldHoursAt,
+  type DamageCause,
+  type Collider,
+  type ItemStack,
+  type ResourceKind,
+  type Terrain,
+} from '@jarvis-woodcutter-fps/shared';
+import { createWorldBus, type WorldBusEnvelope } from './worldBus.js';
+import { resolveDisplayName } from './playerNames.js';
+import {
+  canBuildInClaim,
+  claimFromRawState,
+  claimIdOf,
+  CLAIM_PROTECTED_EVENTS,
+  countClaims,
+  isSpawnChunk,
+  normTrusted,
+  type LandClaim,
+} from '../world/claims.js';
+import { canPickupPlaced, placedOwnerOf } from '../world/ownership.js';
+import { tickForges, type ForgeStatus } from '../world/forge.js';
+import { deleteCampfireState, loadCampfireState, loadLitCampfireIds } from '../world/campfire.js';
+import { clearBed, respawnPointOf, setPlayerBed } from '../world/beds.js';
+import { loadSavedHealth, saveHealth } from '../world/health.js';
+import { deleteLootBag, keyLootBagLock, loadLootBag, lootBagIsEmpty, moveInventoryToLootBag } from '../world/lootBags.js';
+import { addGroundItem, groundItemDespawnAt, groundItemsFromRawState, type GroundItem } from '../world/groundItems.js';
+import { chunkPopulation, provokeCreature, spawnCreature, stepCreature, type Creature, type CreatureEnv, type CreaturePlayer } from '../world/creatures.js';
+import { defaultChatFilter, isChatChannel, sanitizeChatText, type ChatChannel, type ChatFilter } from './chat.js';
 import crypto from 'node:crypto';
 
 function mkRateLimiter({ ratePerSec, burst }: { ratePerSec: number; burst: number }) {
@@ -71,17 +142,24 @@ type JoinMsg = {
   token: string;
   // Optional spawn hint (used to avoid snapping to default spawn after reconnect/teleport).
   spawn?: { x: number; y: number; z: number };
+  /** Highest protocol the client speaks (2 = binary snapshots/inputs). Absent: JSON only. */
+  proto?: number;
 };
 
 type ServerErrorMsg = {
   t: 'error';
   v: 1;
-  code: 'auth_required' | 'auth_invalid' | 'auth_expired' | 'bad_join';
+  code: 'auth_required' | 'auth_invalid' | 'auth_expired' | 'bad_join' | 'world_unavailable' | 'unknown_world' | WorldClosedReason;
   message: string;
 };
+/**
+ * One movement command: `keys` were held for `dt` seconds (client frame time accumulated
+ * since the previous input). The server simulates each command in seq order.
+ */
 type InputMsg = {
   t: 'input';
-  v: 1;
+  /** 2 when decoded from a binary frame (quantized yaw/pitch/dt). */
+  v: 1 | 2;
   seq: number;
   dt: number;
   keys: { w: boolean; a: boolean; s: boolean; d: boolean; sprint: boolean; jump: boolean };
@@ -101,15 +179,42 @@ type WorldEventMsg =
   | { t: 'worldEvent'; v: 1; kind: 'plant'; plotId: string; seedId: string; x: number; z: number; at: number }
   | { t: 'worldEvent'; v: 1; kind: 'harvest'; plotId: string; x: number; z: number; at: number }
   | { t: 'worldEvent'; v: 1; kind: 'oreBreak'; oreId: string; x: number; z: number; at: number }
-  | { t: 'worldEvent'; v: 1; kind: 'place'; placeKind: 'campfire' | 'forge' | 'forgeTable' | 'chest'; id: string; x: number; z: number; at: number }
-  | { t: 'worldEvent'; v: 1; kind: 'placeRemove'; placeKind: 'campfire' | 'forge' | 'forgeTable' | 'chest'; id: string; pickup: boolean; x: number; z: number; at: number };
-
-type ClientMsg = JoinMsg | InputMsg | TeleportMsg | WorldEventMsg;
+  | { t: 'worldEvent'; v: 1; kind: 'place'; placeKind: 'campfire' | 'forge' | 'forgeTable' | 'chest' | 'bed'; id: string; x: number; z: number; at: number }
+  | { t: 'worldEvent'; v: 1; kind: 'placeRemove'; placeKind: 'campfire' | 'forge' | 'forgeTable' | 'chest' | 'bed' | 'lootBag'; id: string; pickup: boolean; x: number; z: number; at: number }
+  // Sent by a dead player: the inventory of its stored save becomes a loot bag where it died (world/lootBags.ts).
+  | { t: 'worldEvent'; v: 1; kind: 'deathDrop'; id: string; x: number; z: number; at: number }
+  // Ground items (world/groundItems.ts): a pile dropped at x/z, or picked up whole.
+  | { t: 'worldEvent'; v: 1; kind: 'itemDrop'; id: string; items: unknown[]; x: number; z: number; at: number }
+  | { t: 'worldEvent'; v: 1; kind: 'itemPickup'; id: string; x: number; z: number; at: number }
+  /** A tool swing hit a creature (`id`: its snapshot entry id, `x`/`z`: where the client saw it). */
+  | { t: 'worldEvent'; v: 1; kind: 'creatureHit'; id: string; x: number; z: number; at: number }
+  /** Reeled in a fish (`id`: new uuid, `x`/`z`: the player, `bx`/`bz`: the bobber on the water). */
+  | { t: 'worldEvent'; v: 1; kind: 'fishCatch'; id: string; bx: number; bz: number; x: number; z: number; at: number }
+  // Land claims (`id` = chunk key of x/z; see world/claims.ts).
+  | { t: 'worldEvent'; v: 1; kind: 'claim'; id: string; x: number; z: number; at: number }
+  | { t: 'worldEvent'; v: 1; kind: 'unclaim'; id: string; x: number; z: number; at: number }
+  | { t: 'worldEvent'; v: 1; kind: 'claimTrust'; id: string; trusted: string[]; x: number; z: number; at: number };
+
+/** Crafting request (hand recipes or forge table recipes; the server resolves which). */
+type CraftMsg = { t: 'craft'; v: 1; reqId: number; recipeId: string };
+
+/** Chat line typed by the player (see chat.ts for channels and moderation). */
+type ChatMsg = { t: 'chat'; v: 1; channel: ChatChannel; text: string };
+
+/** Sent from the death screen: back to the bed (or world spawn) with full health. */
+type RespawnMsg = { t: 'respawn'; v: 1 };
+
+/** The player ate one food item (shared FOOD_EFFECTS): debited from the ledger, which is where luck is read from. */
+type EatMsg = { t: 'eat'; v: 1; itemId: string };
+
+type ClientMsg = JoinMsg | InputMsg | TeleportMsg | WorldEventMsg | CraftMsg | ChatMsg | RespawnMsg | EatMsg;
 
 type PlayerState = {
   id: string;
   guestId: string;
   worldId: string;
+  /** Display name: account username or generated guest name (playerNames.ts). */
+  name: string;
   x: number;
   y: number;
   z: number;
@@ -119,8 +224,34 @@ type PlayerState = {
   onGround: boolean;
 
   lastAtMs: number;
+  /** Highest input seq received. */
   lastSeq: number;
-  input?: InputMsg;
+  /** Highest input seq simulated (echoed as `lastSeq` in this player's snapshot). */
+  ackSeq: number;
+  /** Received inputs not simulated yet, in seq order. */
+  inputQueue: InputMsg[];
+  /** Seconds of input the player may still simulate (caps client-reported dt to real time). */
+  inputBudget: number;
+
+  /** AOI center (chunk the player was in when chunks were last sent). */
+  aoiChunk?: { cx: number; cz: number };
+  /** Other players this client was told about (drives `aoi` enter/leave). */
+  aoiPlayers?: Set<string>;
+
+  /** Health (0..HEALTH.max); server-authoritative, see the health tick. */
+  hp: number;
+  /** At 0 hp until the player respawns: inputs are dropped, hazards ignored. */
+  dead: boolean;
+  /** Last damage (regen waits HEALTH.regenDelaySec after it). */
+  lastHurtAtMs: number;
+  /** Last whole hp sent to the player (regen is only streamed when it changes). */
+  hpSent: number;
+  /** The next landing deals no fall damage (after join/teleport/respawn, which reset vy anyway). */
+  fallSafe: boolean;
+  /** Where the player died, until its inventory was dropped there (one loot bag per death). */
+  deathDrop: { x: number; z: number } | null;
+  /** Last accepted `fishCatch` (one per FISHING.minCatchIntervalMs). */
+  lastFishCatchAt: number;
 };
 
 type ServerSnapshotMsg =
@@ -128,6 +259,9 @@ type ServerSnapshotMsg =
       t: 'snapshot';
       v: 1;
       worldId: string;
+      /** Last input seq of the recipient already simulated (client replays the newer ones). */
+      lastSeq: number;
+      /** Players and creatures (ids `c:<kind>:<n>`, y on the ground) in the recipient's AOI. */
       players: Array<{ id: string; x: number; y: number; z: number; yaw: number }>;
     }
   | {
@@ -137,10 +271,35 @@ type ServerSnapshotMsg =
       v: 1;
       c: 1;
       worldId: string;
+      lastSeq: number;
       players: Array<[string, number, number, number, number]>;
     };
 
-type ServerWelcomeMsg = { t: 'welcome'; v: 1; id: string; worldId: string };
+/** `proto`: protocol picked for this connection (2 = snapshots/inputs as binary frames). */
+type ServerWelcomeMsg = {
+  t: 'welcome';
+  v: 1;
+  id: string;
+  worldId: string;
+  proto: typeof PROTOCOL_JSON | typeof PROTOCOL_BINARY;
+  /** AOI radius in chunks; the client streams the same square. */
+  aoiRadius: number;
+  /** The recipient's own display name. */
+  name: string;
+  /** Server clock (epoch ms): the client derives the time of day from it (`worldHoursAt`). */
+  now: number;
+};
+
+type RosterEntry = { id: string; name: string };
+
+/**
+ * Who is in the world. `full`: the whole roster (sent to a player right after `welcome`);
+ * otherwise a delta for players already in the world.
+ */
+type ServerRosterMsg = { t: 'roster'; v: 1; full: boolean; join: RosterEntry[]; leave: string[] };
+
+/** Players entering/leaving the client's area of interest (sent before the snapshot that reflects it). */
+type ServerAoiMsg = { t: 'aoi'; v: 1; enter: string[]; leave: string[] };
 
 type WorldEventResultMsg = {
   t: 'worldEventResult';
@@ -148,7 +307,7 @@ type WorldEventResultMsg = {
   kind: WorldEventMsg['kind'];
   id: string;
   ok: boolean;
-  reason?: 'already_removed' | 'invalid' | 'duplicate' | 'not_ready' | 'not_empty';
+  reason?: 'already_removed' | 'invalid' | 'duplicate' | 'not_ready' | 'not_empty' | 'not_owner' | 'claimed' | 'claim_limit' | 'spawn' | 'no_rod' | 'no_item';
 };
 
 type WorldChunkMsg = {
@@ -165,12 +324,111 @@ type WorldChunkMsg = {
     removedSticks: string[];
     removedBushes: string[];
     removedOres: string[];
-    placed: Array<{ id: string; type: 'campfire' | 'forge' | 'forgeTable' | 'chest'; x: number; z: number }>;
+    /** ownerId/ownerName/placedAt are blank/0 for structures placed before ownership was recorded. */
+    placed: Array<{ id: string; type: 'campfire' | 'forge' | 'forgeTable' | 'chest' | 'bed' | 'lootBag'; x: number; z: number; ownerId: string; ownerName: string; placedAt: number }>;
     farmPlots: Array<{ id: string; x: number; z: number; tilledAt: number; seedId?: string | null; plantedAt?: number | null; growMs?: number | null }>;
+    claim: LandClaim | null;
+    drops: GroundItem[];
   };
 };
 
-type AnyWs = WebSocket & { __playerId?: string };
+/** Server-granted items (loot ledger). Client adds `items` to its inventory. */
+type InventoryDeltaMsg = {
+  t: 'inventoryDelta';
+  v: 1;
+  kind: LootKind | 'itemPickup';
+  /** Entity id of the source event (treeId, oreId, plotId, ground item id...). */
+  id: string;
+  items: LootItem[];
+  /** Subset of `items` granted by the woodcutter set bonus (UI feedback only). */
+  bonus: LootItem[];
+};
+
+type CraftResultMsg = {
+  t: 'craftResult';
+  v: 1;
+  reqId: number;
+  recipeId: string;
+  ok: boolean;
+  reason?: CraftRejectReason | 'rate_limited' | 'unavailable';
+  /** Crafted item, including durability meta for tools. */
+  output?: ItemStack;
+  cost?: Array<{ id: string; qty: number }>;
+};
+
+/** Chat broadcast (the sender gets its own line back, as filtered). */
+type ServerChatMsg = { t: 'chat'; v: 1; channel: ChatChannel; from: string; text: string; at: number };
+
+type ChatRejectedMsg = { t: 'chatRejected'; v: 1; reason: 'rate_limited' | 'too_long' | 'blocked' };
+
+/** Live forge state (forge tick), sent to players whose AOI contains the forge's chunk. */
+type ForgeStatusMsg = { t: 'forgeStatus'; v: 1; forgeId: string } & ForgeStatus;
+
+/** The recipient's health. `cause`/`dmg` are set when it changed because of damage. */
+type HealthMsg = { t: 'health'; v: 1; hp: number; max: number; dead: boolean; cause?: DamageCause; dmg?: number };
+
+/** A player died (sent to players whose AOI contains the spot, the victim included). */
+type PlayerDiedMsg = { t: 'playerDied'; v: 1; id: string; name: string; cause: DamageCause; x: number; z: number };
+
+/**
+ * Answer to `respawn`: where the player is now (`atBed`: their bed, otherwise the world spawn).
+ * `dropped`: no `deathDrop` had been accepted, so the respawn left the inventory in a bag.
+ */
+type RespawnedMsg = { t: 'respawned'; v: 1; x: number; y: number; z: number; atBed: boolean; dropped: boolean };
+
+type SnapshotPlayer = { id: string; x: number; y: number; z: number; yaw: number };
+
+/** Messages fanned out to other pods over the world channel (see worldBus.ts). */
+type WorldBusPayload =
+  /** The pod's players and creatures. */
+  | { kind: 'snapshot'; players: SnapshotPlayer[] }
+  | { kind: 'worldChunk'; msg: WorldChunkMsg }
+  | { kind: 'worldEventResult'; to: string; msg: WorldEventResultMsg }
+  | { kind: 'worldClosed'; reason: WorldClosedReason }
+  /** `x`/`z`: sender position, for proximity delivery on the receiving pod. */
+  | { kind: 'chat'; msg: ServerChatMsg; x: number; z: number }
+  | { kind: 'roster'; join: RosterEntry[]; leave: string[] }
+  | { kind: 'playerDied'; msg: PlayerDiedMsg }
+  /** A player hit a creature simulated by another pod (`x`/`z`: the attacker). */
+  | { kind: 'creatureHit'; id: string; by: string; x: number; z: number };
+
+type AnyWs = WebSocket & {
+  __playerId?: string;
+  /** Binary protocol only: per-connection delta state (acked snapshot history). */
+  __snap?: ReturnType<typeof createSnapshotEncoder>;
+};
+
+function rawToBuffer(raw: Buffer | ArrayBuffer | Buffer[]) {
+  if (Buffer.isBuffer(raw)) return raw;
+  if (Array.isArray(raw)) return Buffer.concat(raw);
+  return Buffer.from(raw);
+}
+
+/**
+ * Decodes a binary (protocol v2) frame. Acks are consumed here; inputs are returned in the
+ * JSON `InputMsg` shape so both protocols share one handler.
+ */
+function decodeBinaryClientMsg(ws: AnyWs, buf: Buffer): InputMsg | null {
+  // The decoders return null on truncated frames; the catch keeps any other malformed frame
+  // from reaching the socket's error path.
+  try {
+    const kind = readFrameKind(buf);
+    if (kind === FrameKind.ACK) {
+      const seq = decodeAck(buf);
+      if (seq != null) ws.__snap?.ack(seq);
+      return null;
+    }
+    if (kind === FrameKind.INPUT) {
+      const inp = decodeInput(buf);
+      if (!inp) return null;
+      ws.__snap?.ack(inp.ack);
+      return { t: 'input', v: 2, seq: inp.seq, dt: inp.dt, keys: inp.keys, yaw: inp.yaw, pitch: inp.pitch, at: inp.at };
+    }
+    return null;
+  } catch {
+    return null;
+  }
+}
 
 function safeJsonParse(data: any): any {
   try {
@@ -199,9 +457,42 @@ function nowMs() {
   return Date.now();
 }
 
-export function registerWs(app: FastifyInstance, opts: { mpStats?: import('../mp/stats.js').MpStatsCollector } = {}) {
+/** Inventory item behind each placeable structure (debited on place, credited on pickup). */
+const PLACED_ITEM: Record<string, string> = {
+  campfire: ItemId.CAMPFIRE,
+  forge: ItemId.FORGE,
+  forgeTable: ItemId.FORGE_TABLE,
+  chest: ItemId.CHEST,
+  bed: ItemId.BED,
+};
+
+/** Items a `plant` may put in a tilled plot (debited on plant; a harvest rolls seeds back). */
+const PLANTABLE_SEEDS = new Set<string>([ItemId.COTTON_SEED]);
+
+/** Field carrying the target id per world event kind (the rest use `id`). */
+const WORLD_EVENT_ID_FIELD: Partial<Record<WorldEventMsg['kind'], string>> = {
+  treeCut: 'treeId',
+  rockCollect: 'rockId',
+  stickCollect: 'stickId',
+  bushCollect: 'bushId',
+  plotTill: 'plotId',
+  plant: 'plotId',
+  harvest: 'plotId',
+  oreBreak: 'oreId',
+};
+
+/** Id a world event targets (echoed back in its `worldEventResult`). */
+function worldEventIdOf(msg: WorldEventMsg) {
+  return String((msg as any)[WORLD_EVENT_ID_FIELD[msg.kind] ?? 'id'] || '');
+}
+
+export function registerWs(
+  app: FastifyInstance,
+  opts: { mpStats?: import('../mp/stats.js').MpStatsCollector; chatFilter?: ChatFilter } = {}
+) {
   const wss = new WebSocketServer({ noServer: true });
   const mpStats = opts.mpStats;
+  const chatFilter = opts.chatFilter ?? defaultChatFilter();
   const logThrottle = createLogThrottle();
 
   const redisP = getRedis();
@@ -214,6 +505,8 @@ export function registerWs(app: FastifyInstance, opts: { mpStats?: import('../mp
 
   const keyPlayerState = (playerId: string) => `player:state:${playerId}`;
   const keyRoomPlayers = (worldId: string) => `room:${worldId}:players`;
+  /** Hash playerId -> display name, for full rosters across pods (same TTL as the room set). */
+  const keyRoomNames = (worldId: string) => `room:${worldId}:names`;
   const keyWorldEventRatelimit = (worldId: string, playerId: string) => `rl:worldEvent:${worldId}:${playerId}`;
 
   const WORLD_EVENT_RL_LUA = `
@@ -256,12 +549,29 @@ return 1
 
   type RespawnKind = 'rock' | 'stick' | 'bush' | 'tree' | 'ore';
 
+  // worldId:chunkX:chunkZ:<bagId> -> timeout (loot bag despawn)
+  const lootBagTimers = new Map<string, NodeJS.Timeout>();
+
+  // worldId:chunkX:chunkZ:<dropId> -> timeout (ground item despawn)
+  const groundItemTimers = new Map<string, NodeJS.Timeout>();
+
   /** playerId -> state (somente players conectados neste pod) */
   const players = new Map<string, PlayerState>();
   /** worldId -> set(playerId) (somente players conectados neste pod; usado para filtrar broadcasts) */
   const roomsLocal = new Map<string, Set<string>>();
 
-  const chunkSize = 32;
+  // Players of other pods, as last published by each pod: worldId -> origin pod -> players.
+  // A pod publishes its full local list every snapshot, so leaves propagate on the next tick;
+  // entries of a pod that stopped publishing (crash) are dropped after REMOTE_SNAPSHOT_STALE_MS.
+  const REMOTE_SNAPSHOT_STALE_MS = 2000;
+  const remotePlayersByWorld = new Map<string, Map<string, { players: SnapshotPlayer[]; atMs: number }>>();
+
+  const bus = createWorldBus<WorldBusPayload>({
+    log: app.log,
+    onRemote: (msg) => onRemoteWorldMsg(msg),
+  });
+
+  const chunkSize = CHUNK_SIZE;
   const chunkOf = (x: number, z: number) => ({
     cx: Math.floor(x / chunkSize),
     cz: Math.floor(z / chunkSize),
@@ -306,35 +616,49 @@ return 1
 
   // In-memory cache: placed colliders by chunk (for server-side collision)
   // key: worldId:chunkX:chunkZ
-  const placedCollidersByChunk = new Map<string, Array<{ x: number; z: number; r: number }>>();
+  const placedCollidersByChunk = new Map<string, Collider[]>();
   const placedChunkKey = (worldId: string, chunkX: number, chunkZ: number) => `${worldId}:${chunkX}:${chunkZ}`;
 
   function placedCollidersFromRawState(rawState: any) {
     const st = (rawState ?? {}) as any;
     const placed = Array.isArray(st?.placed) ? st.placed : [];
-    const out: Array<{ x: number; z: number; r: number }> = [];
+    const out: Collider[] = [];
 
     for (const p of placed) {
-      const type = String(p?.type || '');
-      if (!(type === 'campfire' || type === 'forge' || type === 'forgeTable' || type === 'chest')) continue;
-      const x = Number(p?.x);
-      const z = Number(p?.z);
-      if (!Number.isFinite(x) || !Number.isFinite(z)) continue;
-
-      // Approx radii should match client colliders.
-      const r = type === 'chest' ? 0.9 : type === 'forge' ? 1.15 : type === 'forgeTable' ? 1.35 : 1.05;
-      out.push({ x, z, r });
+      // Same radii as the client managers (shared table).
+      const c = placedCollider(String(p?.type || ''), Number(p?.x), Number(p?.z));
+      if (c) out.push(c);
     }
 
     return out;
   }
 
+  // Forge ids by chunk (same key), for the forge tick.
+  const placedForgesByChunk = new Map<string, string[]>();
+  // Campfires by chunk (same key), for the health tick (standing in a lit fire burns).
+  const placedCampfiresByChunk = new Map<string, Array<{ id: string; x: number; z: number }>>();
+
+  /** Refreshes the in-memory views of a chunk's `placed` list (colliders, forge and campfire ids). */
+  function rememberPlaced(worldId: string, chunkX: number, chunkZ: number, rawState: any) {
+    const k = placedChunkKey(worldId, chunkX, chunkZ);
+    placedCollidersByChunk.set(k, placedCollidersFromRawState(rawState));
+    const placed = Array.isArray(rawState?.placed) ? rawState.placed : [];
+    const forgeIds = placed.filter((p: any) => p?.type === 'forge' && p?.id).map((p: any) => String(p.id));
+    if (forgeIds.length) placedForgesByChunk.set(k, forgeIds);
+    else placedForgesByChunk.delete(k);
+    const campfires = placed
+      .filter((p: any) => p?.type === 'campfire' && p?.id && Number.isFinite(Number(p.x)) && Number.isFinite(Number(p.z)))
+      .map((p: any) => ({ id: String(p.id), x: Number(p.x), z: Number(p.z) }));
+    if (campfires.length) placedCampfiresByChunk.set(k, campfires);
+    else placedCampfiresByChunk.delete(k);
+  }
+
   function getNearbyPlacedColliders(worldId: string, x: number, z: number) {
     const cs = 32;
     const cx0 = Math.floor(x / cs);
     const cz0 = Math.floor(z / cs);
 
-    const out: Array<{ x: number; z: number; r: number }> = [];
+    const out: Collider[] = [];
     for (let dz = -2; dz <= 2; dz++) {
       for (let dx = -2; dx <= 2; dx++) {
         const cx = cx0 + dx;
@@ -387,7 +711,7 @@ return 1
       const delay = Math.max(0, until - nowMs());
       const h = setTimeout(() => {
         respawnTimers.delete(tk);
-        expireEntityIfNeeded({ worldId, chunkX, chunkZ, kind, id }).catch(() => null);
+        withChunkLock(worldId, chunkX, chunkZ, () => expireEntityIfNeeded({ worldId, chunkX, chunkZ, kind, id })).catch(() => null);
       }, delay);
       respawnTimers.set(tk, h);
     };
@@ -398,6 +722,15 @@ return 1
     for (const [id, until] of Object.entries(bushRespawnUntil)) schedule('bush', id, until);
     for (const [id, until] of Object.entries(oreRespawnUntil)) schedule('ore', id, until);
 
+    if (Array.isArray(st.placed)) {
+      for (const p of st.placed) {
+        if (p?.type === 'lootBag' && p?.id) scheduleLootBagDespawn(worldId, chunkX, chunkZ, String(p.id), Number(p.placedAt || 0) + LOOT_BAG.despawnMs);
+      }
+    }
+
+    const drops = groundItemsFromRawState(st);
+    for (const d of drops) scheduleGroundItemDespawn(worldId, chunkX, chunkZ, d.id, groundItemDespawnAt(d));
+
     return {
       worldId,
       chunkX,
@@ -414,25 +747,29 @@ return 1
         removedOres: activeRemoved(oreRespawnUntil),
         placed: Array.isArray(st.placed)
           ? st.placed
-              .map((p: any) => ({ id: String(p?.id), type: p?.type, x: Number(p?.x), z: Number(p?.z) }))
-              .filter((p: any) => p.id && (p.type === 'campfire' || p.type === 'forge' || p.type === 'forgeTable' || p.type === 'chest') && Number.isFinite(p.x) && Number.isFinite(p.z))
+              .map((p: any) => ({ id: String(p?.id), type: p?.type, x: Number(p?.x), z: Number(p?.z), ...placedOwnerOf(p) }))
+              .filter((p: any) => p.id && (p.type === 'campfire' || p.type === 'forge' || p.type === 'forgeTable' || p.type === 'chest' || p.type === 'bed' || p.type === 'lootBag') && Number.isFinite(p.x) && Number.isFinite(p.z))
           : [],
         farmPlots,
+        claim: claimFromRawState(st),
+        drops,
       },
     };
   }
 
   const FARM_TILLED_DECAY_MS = 15 * 60_000;
 
-  async function getChunk(worldId: string, chunkX: number, chunkZ: number) {
+  /** `fresh`: skip the Redis cache and read the row (callers holding the chunk lock, see withChunkLock). */
+  async function getChunk(worldId: string, chunkX: number, chunkZ: number, opts: { fresh?: boolean } = {}) {
     const r = redis;
-    if (r) {
+    if (r && !opts.fresh) {
       try {
         const cached = await r.get(keyChunkCache(worldId, chunkX, chunkZ));
         if (cached) {
           const parsed = JSON.parse(cached) as any;
           const version = Number(parsed?.version ?? 0);
           const rawState = (parsed?.state ?? {}) as any;
+          rememberPlaced(worldId, chunkX, chunkZ, rawState);
           return deriveChunk({ worldId, chunkX, chunkZ, version, rawState });
         }
       } catch {
@@ -469,10 +806,13 @@ return 1
             }
           }
           if (changed) {
-            version = version + 1;
             const next = structuredClone(rawState) as any;
             next.farmPlots = nextFarm;
-            await saveChunk({ worldId, chunkX, chunkZ, version, state: next });
+            // Only lock holders write; other readers just see the decayed plots until then.
+            if (opts.fresh) {
+              version = version + 1;
+              await saveChunk({ worldId, chunkX, chunkZ, version, state: next });
+            }
             rawState = next;
           }
         }
@@ -490,7 +830,7 @@ return 1
 
       // Update in-memory placed collider cache.
       try {
-        placedCollidersByChunk.set(placedChunkKey(worldId, chunkX, chunkZ), placedCollidersFromRawState(rawState));
+        rememberPlaced(worldId, chunkX, chunkZ, rawState);
       } catch {
         // ignore
       }
@@ -510,7 +850,7 @@ return 1
     }
 
     try {
-      placedCollidersByChunk.set(placedChunkKey(worldId, chunkX, chunkZ), []);
+      rememberPlaced(worldId, chunkX, chunkZ, {});
     } catch {
       // ignore
     }
@@ -518,6 +858,7 @@ return 1
     return deriveChunk({ worldId, chunkX, chunkZ, version: 0, rawState: {} });
   }
 
+  /** Caller holds the chunk lock (withChunkLock). */
   async function expireEntityIfNeeded(params: { worldId: string; chunkX: number; chunkZ: number; kind: RespawnKind; id: string }) {
     const { worldId, chunkX, chunkZ, kind, id } = params;
 
@@ -581,15 +922,167 @@ return 1
             growMs: p?.growMs != null ? Number(p.growMs) : null,
           }))
           .filter((p: any) => p.id && Number.isFinite(p.x) && Number.isFinite(p.z) && Number.isFinite(p.tilledAt)),
+        claim: claimFromRawState(next),
+        drops: groundItemsFromRawState(next),
       },
     };
 
     broadcastWorldChunk(worldId, chunkX, chunkZ, out);
   }
 
+  function scheduleLootBagDespawn(worldId: string, chunkX: number, chunkZ: number, bagId: string, at: number) {
+    const tk = `${worldId}:${chunkX}:${chunkZ}:${bagId}`;
+    if (lootBagTimers.has(tk)) return;
+    const h = setTimeout(() => {
+      lootBagTimers.delete(tk);
+      withChunkLock(worldId, chunkX, chunkZ, () => despawnLootBagIfDue({ worldId, chunkX, chunkZ, bagId })).catch((err) =>
+        app.log.warn({ err, event: 'loot_bag_despawn_failed', worldId, bagId }, 'loot bag despawn failed')
+      );
+    }, Math.max(0, at - nowMs()));
+    lootBagTimers.set(tk, h);
+  }
+
+  // An open bag (Redis lock held) gets this much longer before it despawns.
+  const LOOT_BAG_OPEN_RETRY_MS = 30_000;
+
+  /** Caller holds the chunk lock (withChunkLock). */
+  async function despawnLootBagIfDue(params: { worldId: string; chunkX: number; chunkZ: number; bagId: string }) {
+    const { worldId, chunkX, chunkZ, bagId } = params;
+
+    const row = await db
+      .select()
+      .from(worldChunkState)
+      .where(and(eq(worldChunkState.worldId, worldId), eq(worldChunkState.chunkX, chunkX), eq(worldChunkState.chunkZ, chunkZ)))
+      .limit(1);
+
+    if (!row[0]) return;
+
+    const st = (row[0].state ?? {}) as any;
+    const placed = Array.isArray(st.placed) ? st.placed : [];
+    const idx = placed.findIndex((p: any) => p?.type === 'lootBag' && String(p?.id) === bagId);
+    if (idx < 0) return; // emptied/removed (or another pod despawned it)
+
+    const due = Number(placed[idx].placedAt || 0) + LOOT_BAG.despawnMs;
+    if (due > nowMs()) return scheduleLootBagDespawn(worldId, chunkX, chunkZ, bagId, due);
+
+    // Someone is looting it right now: let them finish.
+    if (redis && (await redis.get(keyLootBagLock(worldId, bagId)).catch(() => null))) {
+      return scheduleLootBagDespawn(worldId, chunkX, chunkZ, bagId, nowMs() + LOOT_BAG_OPEN_RETRY_MS);
+    }
+
+    const version = Number(row[0].version ?? 0) + 1;
+    const next = structuredClone(st) as any;
+    next.placed = placed.filter((_: any, i: number) => i !== idx);
+
+    await saveChunk({ worldId, chunkX, chunkZ, version, state: next });
+    await deleteLootBag(worldId, bagId);
+
+    const c = deriveChunk({ worldId, chunkX, chunkZ, version, rawState: next });
+    broadcastWorldChunk(worldId, chunkX, chunkZ, { t: 'worldChunk', v: 1, worldId, chunkX, chunkZ, version, state: c.state });
+    app.log.info({ event: 'loot_bag_despawned', worldId, bagId }, 'loot bag despawned');
+  }
+
+  function scheduleGroundItemDespawn(worldId: string, chunkX: number, chunkZ: number, dropId: string, at: number) {
+    const tk = `${worldId}:${chunkX}:${chunkZ}:${dropId}`;
+    if (groundItemTimers.has(tk)) return;
+    const h = setTimeout(() => {
+      groundItemTimers.delete(tk);
+      withChunkLock(worldId, chunkX, chunkZ, () => despawnGroundItemIfDue({ worldId, chunkX, chunkZ, dropId })).catch((err) =>
+        app.log.warn({ err, event: 'ground_item_despawn_failed', worldId, dropId }, 'ground item despawn failed')
+      );
+    }, Math.max(0, at - nowMs()));
+    groundItemTimers.set(tk, h);
+  }
+
+  /** Caller holds the chunk lock (withChunkLock). */
+  async function despawnGroundItemIfDue(params: { worldId: string; chunkX: number; chunkZ: number; dropId: string }) {
+    const { worldId, chunkX, chunkZ, dropId } = params;
+
+    const row = await db
+      .select()
+      .from(worldChunkState)
+      .where(and(eq(worldChunkState.worldId, worldId), eq(worldChunkState.chunkX, chunkX), eq(worldChunkState.chunkZ, chunkZ)))
+      .limit(1);
+
+    if (!row[0]) return;
+
+    const st = (row[0].state ?? {}) as any;
+    const drops = groundItemsFromRawState(st);
+    const d = drops.find((it) => it.id === dropId);
+    if (!d) return; // picked up (or another pod despawned it)
+
+    const due = groundItemDespawnAt(d);
+    if (due > nowMs()) return scheduleGroundItemDespawn(worldId, chunkX, chunkZ, dropId, due);
+
+    const version = Number(row[0].version ?? 0) + 1;
+    const next = structuredClone(st) as any;
+    next.drops = drops.filter((it) => it.id !== dropId);
+
+    await saveChunk({ worldId, chunkX, chunkZ, version, state: next });
+
+    const c = deriveChunk({ worldId, chunkX, chunkZ, version, rawState: next });
+    broadcastWorldChunk(worldId, chunkX, chunkZ, { t: 'worldChunk', v: 1, worldId, chunkX, chunkZ, version, state: c.state });
+  }
+
+  // Chunk state is one JSON row changed by read-modify-write, so every writer holds the chunk's lock
+  // and reads it fresh inside: flows on this pod queue per chunk, pods exclude each other with a
+  // Redis lock (without Redis only the local queue, like the other locks).
+  const CHUNK_LOCK_TTL_MS = 5_000;
+  const CHUNK_LOCK_WAIT_MS = 3_000;
+  const CHUNK_LOCK_RETRY_MS = 20;
+  const keyChunkLock = (worldId: string, chunkX: number, chunkZ: number) => `lock:chunk:${worldId}:${chunkX}:${chunkZ}`;
+  const chunkQueues = new Map<string, Promise<void>>();
+
+  const CHUNK_UNLOCK_LUA = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+  /** Redis side of the chunk lock: its token, or null without Redis. Throws if another pod holds it too long. */
+  async function lockChunkAcrossPods(worldId: string, chunkX: number, chunkZ: number) {
+    const r = redis;
+    if (!r) return null;
+    const k = keyChunkLock(worldId, chunkX, chunkZ);
+    const token = crypto.randomUUID();
+    const deadline = nowMs() + CHUNK_LOCK_WAIT_MS;
+    for (;;) {
+      try {
+        if ((await r.set(k, token, { NX: true, PX: CHUNK_LOCK_TTL_MS })) === 'OK') return token;
+      } catch {
+        return null; // Redis down: the local queue only
+      }
+      if (nowMs() >= deadline) throw new Error(`chunk ${worldId}:${chunkX}:${chunkZ} is locked`);
+      await new Promise((res) => setTimeout(res, CHUNK_LOCK_RETRY_MS));
+    }
+  }
+
+  /** Runs `fn` as the only writer of a chunk (read it with `getChunk(..., { fresh: true })`). */
+  function withChunkLock<T>(worldId: string, chunkX: number, chunkZ: number, fn: () => Promise<T>): Promise<T> {
+    const k = chunkKey(worldId, chunkX, chunkZ);
+    const run = (chunkQueues.get(k) ?? Promise.resolve()).then(async () => {
+      const token = await lockChunkAcrossPods(worldId, chunkX, chunkZ);
+      try {
+        return await fn();
+      } finally {
+        if (token && redis) redis.eval(CHUNK_UNLOCK_LUA, { keys: [keyChunkLock(worldId, chunkX, chunkZ)], arguments: [token] }).catch(() => null);
+      }
+    });
+    const tail = run.then(
+      () => undefined,
+      () => undefined
+    );
+    chunkQueues.set(k, tail);
+    void tail.then(() => {
+      if (chunkQueues.get(k) === tail) chunkQueues.delete(k);
+    });
+    return run;
+  }
+
   async function saveChunk(next: { worldId: string; chunkX: number; chunkZ: number; version: number; state: any }) {
     // After full DB resets, world may not exist yet; keep world chunk writes resilient.
-    await db.insert(worlds).values({ id: next.worldId, name: next.worldId }).onConflictDoNothing()
+    await db.insert(worlds).values({ id: next.worldId, name: next.worldId, seed: newWorldSeed(next.worldId) }).onConflictDoNothing()
 
     await db
       .insert(worldChunkState)
@@ -616,337 +1109,892 @@ return 1
     }
 
     try {
-      placedCollidersByChunk.set(placedChunkKey(next.worldId, next.chunkX, next.chunkZ), placedCollidersFromRawState(next.state));
+      rememberPlaced(next.worldId, next.chunkX, next.chunkZ, next.state);
     } catch {
       // ignore
     }
   }
 
-  function broadcastWorldChunk(worldId: string, chunkX: number, chunkZ: number, msg: WorldChunkMsg) {
-    const txt = JSON.stringify(msg);
-    for (const client of wss.clients) {
-      const ws = client as AnyWs;
-      const pid = ws.__playerId;
-      if (!pid) continue;
-      const st = players.get(pid);
-      if (!st || st.worldId !== worldId) continue;
-      if (ws.readyState === ws.OPEN) ws.send(txt);
+  // Max distance (player -> placed station center) for station recipes.
+  const CRAFT_STATION_RADIUS = 5;
+
+  async function isNearPlaced(worldId: string, x: number, z: number, type: string, radius: number) {
+    const { cx, cz } = chunkOf(x, z);
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const c = await getChunk(worldId, cx + dx, cz + dz);
+        for (const p of c.state.placed) {
+          if (p.type !== type) continue;
+          if (Math.hypot(p.x - x, p.z - z) <= radius) return true;
+        }
+      }
     }
+    return false;
   }
 
-  async function broadcastSnapshot(worldId: string) {
-    const local = roomsLocal.get(worldId);
-    if (!local || local.size === 0) return;
+  async function grantLoot(ws: AnyWs, st: PlayerState, kind: LootKind, refId: string, extra?: Partial<LootModifiers>) {
+    const mods = await loadLootModifiers({ guestId: st.guestId, worldId: st.worldId }).catch(() => ({ luck: false, woodcutterSet: false }));
+    const roll = rollLoot(kind, { ...mods, oreRichness: worldRuntimes.get(st.worldId)?.generation.oreRichness, ...extra });
 
-    const r = redis;
-    if (!r) return;
+    // Ledger first: a save can only hold what was recorded here.
+    await appendLedgerEntries({ guestId: st.guestId, worldId: st.worldId, reason: kind, refId, items: roll.items });
 
-    const round2 = (n: number) => Math.round(n * 100) / 100;
+    const out: InventoryDeltaMsg = { t: 'inventoryDelta', v: 1, kind, id: refId, items: roll.items, bonus: roll.bonus };
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(out));
+  }
 
-    let ids: string[] = [];
-    try {
-      ids = (await r.sMembers(keyRoomPlayers(worldId))).map(String);
-    } catch {
-      return;
+  /** Returns true if the player has an open socket on this pod. */
+  function sendToLocalPlayer(playerId: string, txt: string) {
+    let sent = false;
+    for (const client of wss.clients) {
+      const ws = client as AnyWs;
+      if (ws.__playerId !== playerId || ws.readyState !== ws.OPEN) continue;
+      ws.send(txt);
+      sent = true;
     }
-    if (!ids.length) return;
-
-    const keys = ids.map((id) => keyPlayerState(id));
+    return sent;
+  }
 
-    let rawStates: Array<string | null> = [];
-    try {
-      rawStates = await r.mGet(keys);
-    } catch {
-      return;
-    }
+  const AOI_RADIUS = env.WOODCUTTER_AOI_CHUNK_RADIUS;
 
-    const parsed = rawStates
-      .map((s) => {
-        if (!s) return null;
-        try {
-          return JSON.parse(s) as any;
-        } catch {
-          return null;
-        }
-      })
-      .filter(Boolean) as Array<{ id: string; x: number; y: number; z: number; yaw: number }>;
-
-    const payload: ServerSnapshotMsg = env.WOODCUTTER_SNAPSHOT_COMPACT
-      ? {
-          t: 'snapshot',
-          v: 1,
-          c: 1,
-          worldId,
-          players: parsed
-            .filter((p) => p && typeof p.id === 'string')
-            .map((p) => [String(p.id), round2(Number(p.x) || 0), round2(Number(p.y) || 0), round2(Number(p.z) || 0), round2(Number(p.yaw) || 0)] as [string, number, number, number, number]),
-        }
-      : {
-          t: 'snapshot',
-          v: 1,
-          worldId,
-          players: parsed
-            .filter((p) => p && typeof p.id === 'string')
-            .map((p) => ({ id: String(p.id), x: round2(Number(p.x) || 0), y: round2(Number(p.y) || 0), z: round2(Number(p.z) || 0), yaw: round2(Number(p.yaw) || 0) })),
-        };
+  function inAoi(center: { cx: number; cz: number }, chunkX: number, chunkZ: number) {
+    return Math.abs(chunkX - center.cx) <= AOI_RADIUS && Math.abs(chunkZ - center.cz) <= AOI_RADIUS;
+  }
 
-    const txt = JSON.stringify(payload);
+  /** Sends a chunk update to local clients whose AOI contains the chunk. */
+  function sendChunkToLocalAoi(worldId: string, chunkX: number, chunkZ: number, txt: string) {
     for (const client of wss.clients) {
       const ws = client as AnyWs;
       const pid = ws.__playerId;
       if (!pid) continue;
       const st = players.get(pid);
       if (!st || st.worldId !== worldId) continue;
+      if (!inAoi(st.aoiChunk ?? chunkOf(st.x, st.z), chunkX, chunkZ)) continue;
       if (ws.readyState === ws.OPEN) ws.send(txt);
     }
   }
 
-  type Collider = { x: number; z: number; r: number };
+  function broadcastWorldChunk(worldId: string, chunkX: number, chunkZ: number, msg: WorldChunkMsg) {
+    sendChunkToLocalAoi(worldId, chunkX, chunkZ, JSON.stringify(msg));
+    bus.publish(worldId, { kind: 'worldChunk', msg });
+  }
 
-  function buildWorldBoundaryColliders(): Collider[] {
-    // Macro collision only: prevents leaving the map area.
-    // Matches client river boundary roughly: radius ~96.
-    const out: Collider[] = [];
-    const radius = 96;
-    const n = 220;
-    const bandA = { off: -1.4, r: 1.35 };
-    const bandB = { off: -2.8, r: 1.05 };
-
-    for (let i = 0; i < n; i++) {
-      const a = (i / n) * Math.PI * 2;
-      const nx = Math.cos(a);
-      const nz = Math.sin(a);
-      const x = nx * radius;
-      const z = nz * radius;
-      out.push({ x: x + nx * bandA.off, z: z + nz * bandA.off, r: bandA.r });
-      out.push({ x: x + nx * bandB.off, z: z + nz * bandB.off, r: bandB.r });
+  /**
+   * Moves the player's AOI to the chunk it stands in and sends the chunks that entered
+   * the radius (all of them when the AOI is unset, e.g. right after join).
+   */
+  function refreshChunkAoi(st: PlayerState) {
+    const center = chunkOf(st.x, st.z);
+    const prev = st.aoiChunk;
+    if (prev && prev.cx === center.cx && prev.cz === center.cz) return;
+    st.aoiChunk = center;
+
+    const worldId = st.worldId;
+    for (let dz = -AOI_RADIUS; dz <= AOI_RADIUS; dz++) {
+      for (let dx = -AOI_RADIUS; dx <= AOI_RADIUS; dx++) {
+        const chunkX = center.cx + dx;
+        const chunkZ = center.cz + dz;
+        if (prev && inAoi(prev, chunkX, chunkZ)) continue;
+        getChunk(worldId, chunkX, chunkZ)
+          .then((c) => {
+            if (st.worldId !== worldId) return;
+            const out: WorldChunkMsg = {
+              t: 'worldChunk',
+              v: 1,
+              worldId,
+              chunkX: c.chunkX,
+              chunkZ: c.chunkZ,
+              version: c.version,
+              state: c.state,
+            };
+            sendToLocalPlayer(st.id, JSON.stringify(out));
+          })
+          .catch(() => null);
+      }
     }
-    return out;
   }
 
-  const worldBoundaryColliders = buildWorldBoundaryColliders();
-
-  // ---- Mine collision (server-side) ----
-  // Must match client MineManager (mineOrigin + curve points + collider generation).
-  const MINE_ORIGIN = { x: -120, z: 95 };
-  const MINE_TENSION = 0.22;
-  const MINE_TUNNEL_RADIUS = 2.3;
-  const MINE_WALL_R = 0.85;
-  const MINE_OFF = MINE_TUNNEL_RADIUS - 0.35;
-
-  const MINE_CTRL = [
-    { x: MINE_ORIGIN.x + 1.0, z: MINE_ORIGIN.z + 0.0 },
-    { x: MINE_ORIGIN.x + 9.0, z: MINE_ORIGIN.z + 2.2 },
-    { x: MINE_ORIGIN.x + 18.0, z: MINE_ORIGIN.z + 8.2 },
-    { x: MINE_ORIGIN.x + 30.0, z: MINE_ORIGIN.z + 3.4 },
-    { x: MINE_ORIGIN.x + 42.0, z: MINE_ORIGIN.z - 4.8 },
-    { x: MINE_ORIGIN.x + 56.0, z: MINE_ORIGIN.z - 1.6 },
-    { x: MINE_ORIGIN.x + 68.0, z: MINE_ORIGIN.z + 6.0 },
-  ];
-
-  function hermite(p1: any, p2: any, m1: any, m2: any, t: number) {
-    const t2 = t * t;
-    const t3 = t2 * t;
-    const h00 = 2 * t3 - 3 * t2 + 1;
-    const h10 = t3 - 2 * t2 + t;
-    const h01 = -2 * t3 + 3 * t2;
-    const h11 = t3 - t2;
-    return {
-      x: h00 * p1.x + h10 * m1.x + h01 * p2.x + h11 * m2.x,
-      z: h00 * p1.z + h10 * m1.z + h01 * p2.z + h11 * m2.z,
-    };
+  /**
+   * Sends a worldEvent result to the player that sent the event. If that socket is gone
+   * (reconnect mid-flight), the result follows the player to whichever pod holds it now.
+   */
+  function sendWorldEventResult(ws: AnyWs, st: PlayerState, msg: WorldEventResultMsg) {
+    const txt = JSON.stringify(msg);
+    if (ws.readyState === ws.OPEN) {
+      ws.send(txt);
+      return;
+    }
+    if (sendToLocalPlayer(st.id, txt)) return;
+    bus.publish(st.worldId, { kind: 'worldEventResult', to: st.id, msg });
   }
 
-  function hermiteTangent(p1: any, p2: any, m1: any, m2: any, t: number) {
-    const t2 = t * t;
-    const dh00 = 6 * t2 - 6 * t;
-    const dh10 = 3 * t2 - 4 * t + 1;
-    const dh01 = -6 * t2 + 6 * t;
-    const dh11 = 3 * t2 - 2 * t;
-    return {
-      x: dh00 * p1.x + dh10 * m1.x + dh01 * p2.x + dh11 * m2.x,
-      z: dh00 * p1.z + dh10 * m1.z + dh01 * p2.z + dh11 * m2.z,
-    };
+  /** Delivers a chat line to this pod's sockets in the world (proximity: around `from`). */
+  function sendChatLocal(worldId: string, msg: ServerChatMsg, from: { x: number; z: number }) {
+    const txt = JSON.stringify(msg);
+    for (const client of wss.clients) {
+      const ws = client as AnyWs;
+      const st = ws.__playerId ? players.get(ws.__playerId) : undefined;
+      if (!st || st.worldId !== worldId) continue;
+      if (msg.channel === 'proximity' && Math.hypot(st.x - from.x, st.z - from.z) > env.WOODCUTTER_CHAT_RADIUS) continue;
+      if (ws.readyState === ws.OPEN) ws.send(txt);
+    }
   }
 
-  function minePointAt(t: number) {
-    const pts = MINE_CTRL;
-    const n = pts.length;
-    const segs = n - 1;
-    const u = Math.max(0, Math.min(1, t)) * segs;
-    const i = Math.min(segs - 1, Math.floor(u));
-    const lt = u - i;
-
-    const p0 = pts[Math.max(0, i - 1)];
-    const p1 = pts[i];
-    const p2 = pts[i + 1];
-    const p3 = pts[Math.min(n - 1, i + 2)];
-
-    const m1 = { x: (p2.x - p0.x) * MINE_TENSION, z: (p2.z - p0.z) * MINE_TENSION };
-    const m2 = { x: (p3.x - p1.x) * MINE_TENSION, z: (p3.z - p1.z) * MINE_TENSION };
-
-    const p = hermite(p1, p2, m1, m2, lt);
-    const tan = hermiteTangent(p1, p2, m1, m2, lt);
-    return { p, tan };
+  function sendRosterLocal(worldId: string, msg: ServerRosterMsg, exceptId?: string) {
+    const txt = JSON.stringify(msg);
+    for (const client of wss.clients) {
+      const ws = client as AnyWs;
+      const st = ws.__playerId ? players.get(ws.__playerId) : undefined;
+      if (!st || st.worldId !== worldId || st.id === exceptId) continue;
+      if (ws.readyState === ws.OPEN) ws.send(txt);
+    }
   }
 
-  function norm2(v: any) {
-    const d = Math.hypot(v.x, v.z) || 1;
-    return { x: v.x / d, z: v.z / d };
+  /** Roster delta to everyone else in the world (all pods) + the shared name hash. */
+  function announceRoster(worldId: string, change: { join?: RosterEntry[]; leave?: string[] }, exceptId?: string) {
+    const join = change.join ?? [];
+    const leave = change.leave ?? [];
+    sendRosterLocal(worldId, { t: 'roster', v: 1, full: false, join, leave }, exceptId);
+    bus.publish(worldId, { kind: 'roster', join, leave });
+    if (!redis) return;
+    try {
+      const m = redis.multi();
+      for (const e of join) m.hSet(keyRoomNames(worldId), e.id, e.name);
+      if (join.length) m.expire(keyRoomNames(worldId), REDIS_TTL_ROOM_PLAYERS_S);
+      if (leave.length) m.hDel(keyRoomNames(worldId), leave);
+      void m.exec();
+    } catch {
+      // best-effort
+    }
   }
 
-  function buildMineColliders() {
-    const out: Array<{ x: number; z: number; r: number }> = [];
-    const samples = 26;
-    for (let i = 0; i <= samples; i++) {
-      const t = i / samples;
-      const { p, tan } = minePointAt(t);
-      const side = norm2({ x: tan.z, z: -tan.x });
-      out.push({ x: p.x + side.x * MINE_OFF, z: p.z + side.z * MINE_OFF, r: MINE_WALL_R });
-      out.push({ x: p.x - side.x * MINE_OFF, z: p.z - side.z * MINE_OFF, r: MINE_WALL_R });
-
-      if (i < samples) {
-        const t2 = (i + 0.5) / samples;
-        const { p: p2, tan: tan2 } = minePointAt(t2);
-        const side2 = norm2({ x: tan2.z, z: -tan2.x });
-        out.push({ x: p2.x + side2.x * MINE_OFF, z: p2.z + side2.z * MINE_OFF, r: MINE_WALL_R });
-        out.push({ x: p2.x - side2.x * MINE_OFF, z: p2.z - side2.z * MINE_OFF, r: MINE_WALL_R });
+  /** Full roster for a player that just joined: local players plus other pods' (Redis hash). */
+  async function sendFullRoster(ws: AnyWs, worldId: string) {
+    const byId = new Map<string, string>();
+    if (redis) {
+      try {
+        const remote = await redis.hGetAll(keyRoomNames(worldId));
+        for (const [id, name] of Object.entries(remote)) byId.set(id, String(name));
+      } catch {
+        // best-effort: local players only
       }
     }
-
-    const end = minePointAt(1).p;
-    out.push({ x: end.x, z: end.z, r: 2.2 });
-
-    out.push({ x: MINE_ORIGIN.x + 1.0, z: MINE_ORIGIN.z + 2.4, r: 0.8 });
-    out.push({ x: MINE_ORIGIN.x + 1.0, z: MINE_ORIGIN.z - 2.4, r: 0.8 });
-
-    return out;
+    for (const st of players.values()) {
+      if (st.worldId === worldId) byId.set(st.id, st.name);
+    }
+    const out: ServerRosterMsg = { t: 'roster', v: 1, full: true, join: [...byId].map(([id, name]) => ({ id, name })), leave: [] };
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(out));
   }
 
-  const mineColliders = buildMineColliders();
+  /** Whether a guest is connected to a world on any pod (local players, then the Redis roster). */
+  async function isOnlineInWorld(worldId: string, guestId: string) {
+    for (const st of players.values()) {
+      if (st.worldId === worldId && st.guestId === guestId) return true;
+    }
+    if (!redis) return false;
+    try {
+      return !!(await redis.hExists(keyRoomNames(worldId), guestId));
+    } catch {
+      return true; // unknown: don't treat the owner as gone
+    }
+  }
 
-  function isInMineXZ(x: number, z: number) {
-    // Bounding box around mine corridors (rough, but fast)
-    return x >= MINE_ORIGIN.x - 10 && x <= MINE_ORIGIN.x + 85 && z >= MINE_ORIGIN.z - 25 && z <= MINE_ORIGIN.z + 30;
+  /** Redis: best-effort removal from a world's room set and presence (otherwise the TTLs clear them). */
+  function leaveRedisRoom(worldId: string, playerId: string) {
+    if (!redis) return;
+    try {
+      void redis.multi().sRem(keyRoomPlayers(worldId), playerId).zRem(keyWorldPresence(worldId), playerId).exec();
+    } catch {
+      // best-effort
+    }
   }
 
-  function resolveCollisionsXZ(next: { x: number; z: number }, colliders: Collider[], radius: number) {
-    for (let iter = 0; iter < 6; iter++) {
-      let any = false;
-      for (const c of colliders) {
-        const dx = next.x - c.x;
-        const dz = next.z - c.z;
-        const rr = radius + c.r;
-        const d2 = dx * dx + dz * dz;
-        if (d2 >= rr * rr || d2 === 0) continue;
-        const d = Math.sqrt(d2);
-        const pen = rr - d;
-        const nx = dx / d;
-        const nz = dz / d;
-        next.x += nx * pen;
-        next.z += nz * pen;
-        any = true;
+  function onRemoteWorldMsg(msg: WorldBusEnvelope<WorldBusPayload>) {
+    const { worldId } = msg;
+    if (msg.kind === 'snapshot') {
+      let byOrigin = remotePlayersByWorld.get(worldId);
+      if (!byOrigin) {
+        byOrigin = new Map();
+        remotePlayersByWorld.set(worldId, byOrigin);
       }
-      if (!any) break;
+      const list = Array.isArray(msg.players) ? msg.players : [];
+      if (list.length) byOrigin.set(msg.origin, { players: list, atMs: nowMs() });
+      else byOrigin.delete(msg.origin);
+      return;
     }
-  }
 
-  function stepPlayer(st: PlayerState, dt: number) {
-    const eyeHeight = 1.65;
-    const groundY = 0;
-    const gravity = -18;
-    const jumpSpeed = 6.4;
-    const baseSpeed = 6.0;
-    const sprintMult = 1.65;
-    const capsuleR = 0.35;
-
-    const inp = st.input;
-    // If no fresh input recently, treat as idle (prevents drifting/stuck keys on reconnect).
-    if (inp && nowMs() - st.lastAtMs > 300) {
-      st.input = undefined;
-    }
-
-    const placedColliders = !isInMineXZ(st.x, st.z) ? getNearbyPlacedColliders(st.worldId, st.x, st.z) : [];
-
-    if (st.input) {
-      const inp2 = st.input;
-      st.yaw = inp2!.yaw;
-      st.pitch = inp2!.pitch;
-
-      const forward = Number(inp2!.keys.s) - Number(inp2!.keys.w);
-      const strafe = Number(inp2!.keys.d) - Number(inp2!.keys.a);
-
-      // normalize
-      let dx = strafe;
-      let dz = forward;
-      const len = Math.hypot(dx, dz);
-      if (len > 0.001) {
-        dx /= len;
-        dz /= len;
+    if (msg.kind === 'worldChunk') {
+      const c = msg.msg;
+      if (!c || c.worldId !== worldId) return;
+      // The origin pod already refreshed the shared Redis chunk cache; keep our collider cache in sync.
+      try {
+        rememberPlaced(worldId, c.chunkX, c.chunkZ, { placed: c.state?.placed });
+      } catch {
+        // ignore
       }
+      sendChunkToLocalAoi(worldId, c.chunkX, c.chunkZ, JSON.stringify(c));
+      return;
+    }
 
-      // rotate by yaw (match Three.js Matrix4 RotationY)
-      // x' = x*cos + z*sin
-      // z' = -x*sin + z*cos
-      const cy = Math.cos(st.yaw);
-      const sy = Math.sin(st.yaw);
-      const rx = dx * cy + dz * sy;
-      const rz = -dx * sy + dz * cy;
+    if (msg.kind === 'worldClosed') {
+      closeWorldLocal(worldId, msg.reason);
+      return;
+    }
 
-      const moving = len > 0.001;
-      const speed = baseSpeed * (inp2!.keys.sprint && moving ? sprintMult : 1.0);
+    if (msg.kind === 'roster') {
+      const join = Array.isArray(msg.join) ? msg.join : [];
+      const leave = Array.isArray(msg.leave) ? msg.leave : [];
+      sendRosterLocal(worldId, { t: 'roster', v: 1, full: false, join, leave });
+      return;
+    }
 
-      st.x += rx * speed * dt;
-      st.z += rz * speed * dt;
+    if (msg.kind === 'chat') {
+      if (!msg.msg || !isChatChannel(msg.msg.channel)) return;
+      sendChatLocal(worldId, msg.msg, { x: Number(msg.x) || 0, z: Number(msg.z) || 0 });
+      return;
+    }
 
-      // Collision: keep within boundary + placed structures (server-authoritative) + mine walls.
-      resolveCollisionsXZ(st, worldBoundaryColliders, capsuleR);
-      if (placedColliders.length) resolveCollisionsXZ(st, placedColliders, capsuleR);
-      if (isInMineXZ(st.x, st.z)) resolveCollisionsXZ(st, mineColliders, capsuleR);
+    if (msg.kind === 'playerDied') {
+      const d = msg.msg;
+      if (!d || !Number.isFinite(d.x) || !Number.isFinite(d.z)) return;
+      const c = chunkOf(d.x, d.z);
+      sendChunkToLocalAoi(worldId, c.cx, c.cz, JSON.stringify(d));
+      return;
+    }
 
-      // jump (edge on client; server trusts boolean)
-      if (inp2!.keys.jump && st.onGround) {
-        st.vy = jumpSpeed;
-        st.onGround = false;
-      }
+    if (msg.kind === 'creatureHit') {
+      const c = creaturesByWorld.get(worldId)?.get(String(msg.id || ''));
+      if (!c || !Number.isFinite(msg.x) || !Number.isFinite(msg.z)) return;
+      hitCreature(worldId, c, { id: String(msg.by || ''), x: msg.x, z: msg.z, local: false });
+      return;
     }
 
-    st.vy += gravity * dt;
-    st.y += st.vy * dt;
+    if (msg.kind === 'worldEventResult') {
+      const st = players.get(String(msg.to || ''));
+      if (!st || st.worldId !== worldId) return;
+      sendToLocalPlayer(st.id, JSON.stringify(msg.msg));
+    }
+  }
 
-    const minY = groundY + eyeHeight;
-    if (st.y <= minY) {
-      st.y = minY;
-      st.vy = 0;
-      st.onGround = true;
-    } else {
-      st.onGround = false;
+  function joinLocalRoom(worldId: string, playerId: string) {
+    let ids = roomsLocal.get(worldId);
+    if (!ids) {
+      ids = new Set();
+      roomsLocal.set(worldId, ids);
+      bus.join(worldId);
     }
+    ids.add(playerId);
   }
 
-  // Tick: simulate + snapshots (20Hz sim, 10Hz snapshot)
-  let acc = 0;
-  const simHz = 20;
-  const simDt = 1 / simHz;
+  function leaveLocalRoom(worldId: string, playerId: string) {
+    const ids = roomsLocal.get(worldId);
+    if (!ids) return;
+    ids.delete(playerId);
+    if (ids.size > 0) return;
+
+    roomsLocal.delete(worldId);
+    // Tell other pods right away instead of waiting for the stale cutoff.
+    bus.publish(worldId, { kind: 'snapshot', players: [] });
+    bus.leave(worldId);
+    remotePlayersByWorld.delete(worldId);
+    creaturesByWorld.delete(worldId);
+    releaseCreatureLeases(worldId);
+    // Unsubscribed pods miss admin resets: reload the config on the next join.
+    worldRuntimes.delete(worldId);
+  }
 
-  let snapAcc = 0;
-  const snapHz = 20;
-  const snapDt = 1 / snapHz;
+  /** Reset/archive: drop the world's cached layout and timers and kick its local players. */
+  function closeWorldLocal(worldId: string, reason: WorldClosedReason) {
+    worldRuntimes.delete(worldId);
+    creaturesByWorld.delete(worldId);
+    releaseCreatureLeases(worldId);
+    for (const [k, h] of respawnTimers) {
+      if (!k.startsWith(`${worldId}:`)) continue;
+      clearTimeout(h);
+      respawnTimers.delete(k);
+    }
+    for (const [k, h] of lootBagTimers) {
+      if (!k.startsWith(`${worldId}:`)) continue;
+      clearTimeout(h);
+      lootBagTimers.delete(k);
+    }
+    for (const [k, h] of groundItemTimers) {
+      if (!k.startsWith(`${worldId}:`)) continue;
+      clearTimeout(h);
+      groundItemTimers.delete(k);
+    }
+    for (const k of placedCollidersByChunk.keys()) {
+      if (k.startsWith(`${worldId}:`)) placedCollidersByChunk.delete(k);
+    }
+    for (const k of placedForgesByChunk.keys()) {
+      if (k.startsWith(`${worldId}:`)) placedForgesByChunk.delete(k);
+    }
+    for (const k of placedCampfiresByChunk.keys()) {
+      if (k.startsWith(`${worldId}:`)) placedCampfiresByChunk.delete(k);
+    }
 
-  const interval = setInterval(() => {
-    const dt = simDt;
-    acc += dt;
-    snapAcc += dt;
+    const out: ServerErrorMsg = { t: 'error', v: 1, code: reason, message: reason === 'world_reset' ? 'world was reset' : 'world was archived' };
+    const txt = JSON.stringify(out);
+    for (const client of wss.clients) {
+      const ws = client as AnyWs;
+      const st = ws.__playerId ? players.get(ws.__playerId) : undefined;
+      if (!st || st.worldId !== worldId) continue;
+      if (ws.readyState === ws.OPEN) ws.send(txt);
+      try { ws.close(); } catch {}
+    }
+  }
 
-    // Sim step
-    for (const st of players.values()) {
-      stepPlayer(st, dt);
+  function broadcastSnapshot(worldId: string) {
+    const local = roomsLocal.get(worldId);
+    if (!local || local.size === 0) return;
+
+    const round2 = (n: number) => Math.round(n * 100) / 100;
+
+    // Local players and creatures come from the sim; other pods' from their last published snapshot.
+    const localEntries: SnapshotPlayer[] = [];
+    for (const id of local) {
+      const st = players.get(id);
+      if (!st || st.worldId !== worldId) continue;
+      localEntries.push({ id: st.id, x: round2(st.x), y: round2(st.y), z: round2(st.z), yaw: round2(st.yaw) });
+    }
+    for (const c of creaturesByWorld.get(worldId)?.values() ?? []) {
+      localEntries.push({ id: c.id, x: round2(c.x), y: round2(c.y), z: round2(c.z), yaw: round2(c.yaw) });
+    }
+    bus.publish(worldId, { kind: 'snapshot', players: localEntries });
+
+    const parsed = [...localEntries];
+    const seen = new Set(localEntries.map((p) => p.id));
+    const byOrigin = remotePlayersByWorld.get(worldId);
+    if (byOrigin) {
+      const t = nowMs();
+      for (const [origin, entry] of byOrigin) {
+        if (t - entry.atMs > REMOTE_SNAPSHOT_STALE_MS) {
+          byOrigin.delete(origin);
+          continue;
+        }
+        for (const p of entry.players) {
+          if (!p || typeof p.id !== 'string' || seen.has(p.id)) continue;
+          seen.add(p.id);
+          parsed.push(p);
+        }
+      }
+    }
+
+    const withChunk = parsed
+      .filter((p) => p && typeof p.id === 'string')
+      .map((p) => ({ p, ...chunkOf(Number(p.x) || 0, Number(p.z) || 0) }));
+
+    // Contents differ per recipient (AOI); sockets sharing a player id share one list.
+    // Binary sockets encode per socket (delta against what that socket acked).
+    const visibleByPlayer = new Map<string, SnapshotPlayer[]>();
+    const jsonByPlayer = new Map<string, string>();
+    for (const client of wss.clients) {
+      const ws = client as AnyWs;
+      const pid = ws.__playerId;
+      if (!pid || ws.readyState !== ws.OPEN) continue;
+      const me = players.get(pid);
+      if (!me || me.worldId !== worldId) continue;
+
+      let visible = visibleByPlayer.get(pid);
+      if (!visible) {
+        const center = chunkOf(me.x, me.z);
+        visible = withChunk.filter((e) => e.p.id === pid || inAoi(center, e.cx, e.cz)).map((e) => e.p);
+        visibleByPlayer.set(pid, visible);
+
+        const prev = me.aoiPlayers ?? new Set<string>();
+        const next = new Set(visible.filter((p) => p.id !== pid && !creatureKindOf(p.id)).map((p) => p.id));
+        const enter = [...next].filter((id) => !prev.has(id));
+        const leave = [...prev].filter((id) => !next.has(id));
+        me.aoiPlayers = next;
+        if (enter.length || leave.length) {
+          const aoi: ServerAoiMsg = { t: 'aoi', v: 1, enter, leave };
+          sendToLocalPlayer(pid, JSON.stringify(aoi));
+        }
+      }
+
+      if (ws.__snap) {
+        const bin = ws.__snap.encode(visible, { lastSeq: me.ackSeq });
+        ws.send(bin);
+        mpStats?.onSnapshotBytes(worldId, bin.byteLength);
+        continue;
+      }
+
+      let txt = jsonByPlayer.get(pid);
+      if (txt == null) {
+        const payload: ServerSnapshotMsg = env.WOODCUTTER_SNAPSHOT_COMPACT
+          ? {
+              t: 'snapshot',
+              v: 1,
+              c: 1,
+              worldId,
+              lastSeq: me.ackSeq,
+              players: visible.map((p) => [String(p.id), round2(Number(p.x) || 0), round2(Number(p.y) || 0), round2(Number(p.z) || 0), round2(Number(p.yaw) || 0)] as [string, number, number, number, number]),
+            }
+          : {
+              t: 'snapshot',
+              v: 1,
+              worldId,
+              lastSeq: me.ackSeq,
+              players: visible.map((p) => ({ id: String(p.id), x: round2(Number(p.x) || 0), y: round2(Number(p.y) || 0), z: round2(Number(p.z) || 0), yaw: round2(Number(p.yaw) || 0) })),
+            };
+        txt = JSON.stringify(payload);
+        jsonByPlayer.set(pid, txt);
+      }
+      ws.send(txt);
+      mpStats?.onSnapshotBytes(worldId, Buffer.byteLength(txt));
+    }
+  }
+
+  // Static collision shared with the client (mine mountain + fence, mine tunnels).
+  const worldColliders = buildWorldColliders();
+  const mineColliders = buildMineColliders();
+  // Same heightmap the client renders and walks on, per world (seed + generation config).
+  // Loaded on join; a world's config doesn't change while the process runs.
+  type WorldRuntime = WorldConfig & { terrain: Terrain };
+  const worldRuntimes = new Map<string, WorldRuntime>();
+  const worldRuntimeLoads = new Map<string, Promise<WorldRuntime | null>>();
+  const defaultTerrain = createTerrain();
+
+  /** Null: unknown or archived world. */
+  function getWorldRuntime(worldId: string): Promise<WorldRuntime | null> {
+    const ready = worldRuntimes.get(worldId);
+    if (ready) return Promise.resolve(ready);
+    let p = worldRuntimeLoads.get(worldId);
+    if (!p) {
+      p = loadWorldConfig(worldId)
+        .then((cfg) => {
+          if (!cfg) return null;
+          const rt: WorldRuntime = { ...cfg, terrain: createTerrain({ seed: cfg.seed, generation: cfg.generation }) };
+          worldRuntimes.set(worldId, rt);
+          return rt;
+        })
+        .finally(() => worldRuntimeLoads.delete(worldId));
+      worldRuntimeLoads.set(worldId, p);
+    }
+    return p;
+  }
+
+  // Per-input dt cap and how much unsimulated time a player may bank (jitter bursts).
+  const INPUT_MAX_DT_S = 0.1;
+  const INPUT_BUDGET_MAX_S = 0.5;
+  const INPUT_QUEUE_MAX = 64;
+  /** How far above the ground a `teleport` may put the eye beyond its standing height (m). */
+  const TELEPORT_MAX_DROP = 3;
+  /** A `teleport` goes through a mine portal, or at most this far (XZ, m): nothing else is fast travel. */
+  const TELEPORT_MAX_HOP = 4;
+  /** Tolerance on the portal target and on the player being at its trigger (server position lags inputs). */
+  const TELEPORT_TARGET_SLACK = 0.5;
+  const TELEPORT_PORTAL_SLACK = 6;
+  const MINE_PORTALS = Object.values(minePortals());
+
+  /** Target of a valid `teleport` for a player (portal targets snap exactly), or null. */
+  function teleportTarget(st: PlayerState, x: number, z: number) {
+    if (Math.hypot(x - st.x, z - st.z) <= TELEPORT_MAX_HOP) return { x, z };
+    const portal = MINE_PORTALS.find(
+      (p) => Math.hypot(x - p.to.x, z - p.to.z) <= TELEPORT_TARGET_SLACK && Math.hypot(st.x - p.x, st.z - p.z) <= p.r + TELEPORT_PORTAL_SLACK
+    );
+    return portal ? { ...portal.to } : null;
+  }
+
+  function stepPlayer(st: PlayerState, dt: number) {
+    // Same collider set the client predicts with (minus trees, which the server doesn't track).
+    let colliders = mineColliders;
+    if (!isInMineXZ(st.x, st.z)) {
+      const placed = getNearbyPlacedColliders(st.worldId, st.x, st.z);
+      colliders = placed.length ? worldColliders.concat(placed) : worldColliders;
+    }
+
+    // Inputs run in order, each for its own dt, so the client can replay the unacked ones
+    // on top of this state. The budget keeps the total at real time (no speed hacks via dt).
+    st.inputBudget = Math.min(INPUT_BUDGET_MAX_S, st.inputBudget + dt);
+    if (st.dead) {
+      // Dead players stay put until they respawn; their inputs count as simulated.
+      st.inputQueue = [];
+      st.ackSeq = st.lastSeq;
+    }
+    while (st.inputQueue.length) {
+      const cmd = st.inputQueue[0];
+      const cmdDt = Math.min(INPUT_MAX_DT_S, Math.max(0, Number(cmd.dt) || 0));
+      if (cmdDt > st.inputBudget + 1e-6) break;
+      st.inputQueue.shift();
+      st.inputBudget -= cmdDt;
+      st.ackSeq = cmd.seq;
+
+      st.yaw = cmd.yaw;
+      st.pitch = cmd.pitch;
+
+      stepMoveXZ(st, cmdDt, cmd.keys, st.yaw, colliders);
+
+      // jump (edge on client; server trusts boolean)
+      if (cmd.keys.jump) tryJump(st);
+    }
+
+    // Mine floor heights stay client-only (tunnel floor ~y=0); outside, ground on the terrain.
+    const terrain = worldRuntimes.get(st.worldId)?.terrain ?? defaultTerrain;
+    const inMine = isInMineXZ(st.x, st.z);
+    const wasOnGround = st.onGround;
+    const vyBefore = st.vy;
+    stepVertical(st, dt, inMine ? 0 : terrain.getHeightAt(st.x, st.z));
+
+    // Fall damage on landing. Not in the mine: its real floor is client-only, so the drop at the
+    // entrance would hurt for nothing.
+    if (!wasOnGround && st.onGround) {
+      if (!st.fallSafe && !inMine) hurtPlayer(st, fallDamage(vyBefore), 'fall');
+      st.fallSafe = false;
+    }
+  }
+
+  function sendHealth(st: PlayerState, hit?: { cause: DamageCause; dmg: number }) {
+    st.hpSent = Math.ceil(st.hp);
+    const out: HealthMsg = { t: 'health', v: 1, hp: st.hpSent, max: HEALTH.max, dead: st.dead, ...hit };
+    sendToLocalPlayer(st.id, JSON.stringify(out));
+  }
+
+  /** Stores the player's health for their next session in this world (world/health.ts); best-effort. */
+  function persistHealth(st: PlayerState) {
+    saveHealth(st.worldId, st.guestId, st.hp).catch((err) =>
+      app.log.warn({ err, event: 'health_save_failed', worldId: st.worldId, playerId: st.id }, 'health save failed')
+    );
+  }
+
+  /** Damages a player. At 0 hp they die: nearby players (on every pod) are told, and they wait for `respawn`. */
+  function hurtPlayer(st: PlayerState, dmg: number, cause: DamageCause) {
+    if (st.dead || !(dmg > 0)) return;
+    st.hp = Math.max(0, st.hp - dmg);
+    st.lastHurtAtMs = nowMs();
+    st.dead = st.hp <= 0;
+    sendHealth(st, { cause, dmg: Math.round(dmg) });
+    if (!st.dead) return;
+
+    persistHealth(st);
+    st.deathDrop = { x: st.x, z: st.z };
+    const died: PlayerDiedMsg = { t: 'playerDied', v: 1, id: st.id, name: st.name, cause, x: st.x, z: st.z };
+    const { cx, cz } = chunkOf(st.x, st.z);
+    sendChunkToLocalAoi(st.worldId, cx, cz, JSON.stringify(died));
+    bus.publish(st.worldId, { kind: 'playerDied', msg: died });
+    app.log.info({ event: 'player_died', worldId: st.worldId, playerId: st.id, cause }, 'player died');
+  }
+
+  /**
+   * Death bag of a player respawning without an accepted `deathDrop` (never sent, refused or still in
+   * flight): respawning never keeps the inventory. true when a bag was dropped.
+   */
+  async function dropPendingDeathBag(st: PlayerState) {
+    const drop = st.deathDrop;
+    if (!drop) return false;
+
+    const bagId = crypto.randomUUID();
+    const t = nowMs();
+    const moved = await moveInventoryToLootBag({ worldId: st.worldId, guestId: st.guestId, bagId, now: new Date(t) });
+    st.deathDrop = null;
+    if (!moved?.ok) {
+      if (moved) app.log.warn({ event: 'ws_death_drop_rejected', worldId: st.worldId, playerId: st.id, violations: moved.violations }, 'death drop rejected (inventory ledger)');
+      return false;
+    }
+
+    const { cx, cz } = chunkOf(drop.x, drop.z);
+    await withChunkLock(st.worldId, cx, cz, async () => {
+      const chunk = await getChunk(st.worldId, cx, cz, { fresh: true });
+      const next = structuredClone(chunk.rawState ?? {}) as any;
+      next.placed = [...(Array.isArray(next.placed) ? next.placed : []), { id: bagId, type: 'lootBag', x: drop.x, z: drop.z, ownerId: st.guestId, ownerName: st.name, placedAt: t }];
+
+      const version = Number(chunk.version ?? 0) + 1;
+      await saveChunk({ worldId: st.worldId, chunkX: cx, chunkZ: cz, version, state: next });
+      scheduleLootBagDespawn(st.worldId, cx, cz, bagId, t + LOOT_BAG.despawnMs);
+
+      const d = deriveChunk({ worldId: st.worldId, chunkX: cx, chunkZ: cz, version, rawState: next });
+      broadcastWorldChunk(st.worldId, cx, cz, { t: 'worldChunk', v: 1, worldId: st.worldId, chunkX: cx, chunkZ: cz, version, state: d.state });
+    });
+    return true;
+  }
+
+  // Wildlife (world/creatures.ts): each pod simulates the creatures around its own players and
+  // publishes them with its snapshot, like its players; other pods only relay them. Population is
+  // refreshed every CREATURE_POP_EVERY_S, the AI runs every sim tick. A chunk's creatures belong to
+  // the pod holding its Redis lease, so players of two pods in the same area share one herd.
+  const creaturesByWorld = new Map<string, Map<string, Creature>>();
+  /** worldId:chunkX:chunkZ -> no spawns there before this (epoch ms), after a kill. */
+  const creatureChunkCooldown = new Map<string, number>();
+  // Ids must not clash with the creatures of other pods: start from a random number.
+  let creatureSeq = Math.floor(Math.random() * 1e9);
+  const CREATURE_POP_EVERY_S = 1;
+  const CREATURE_MAX_PER_WORLD = 80;
+  /** Creatures farther than this from every local player are dropped (m). */
+  const CREATURE_DESPAWN_DIST = (AOI_RADIUS + 1) * CHUNK_SIZE;
+  /** Extra hit reach: the client sees creatures ~150 ms behind the sim (interpolation). */
+  const CREATURE_HIT_SLACK = 2;
+
+  /** Chunk leases run out on their own when a pod stops renewing them (left the area, died). */
+  const CREATURE_LEASE_TTL_MS = 5_000;
+  const keyCreatureLease = (worldId: string, chunk: string) => `creatures:lease:${worldId}:${chunk}`;
+  /** worldId -> "cx:cz" of the creature chunks this pod holds the lease of. */
+  const creatureLeases = new Map<string, Set<string>>();
+  const creatureLeaseBusy = new Set<string>();
+
+  // KEYS: the first ARGV[3] are claimed (or renewed if already ours), the rest released if ours.
+  const CREATURE_LEASE_LUA = `
+local out = {}
+local claim = tonumber(ARGV[3])
+for i, k in ipairs(KEYS) do
+  local cur = redis.call('GET', k)
+  if i <= claim then
+    if cur == false or cur == ARGV[1] then
+      redis.call('SET', k, ARGV[1], 'PX', tonumber(ARGV[2]))
+      out[i] = 1
+    else
+      out[i] = 0
+    end
+  elseif cur == ARGV[1] then
+    redis.call('DEL', k)
+  end
+end
+return out
+`;
+  /** Extra cast reach: the player may have stepped back while reeling (m). */
+  const FISH_REACH_SLACK = 2;
+
+  /** Alive players outside the mine: local ones from the sim, the others from their pods' snapshots. */
+  function creaturePlayers(worldId: string): CreaturePlayer[] {
+    const out: CreaturePlayer[] = [];
+    const seen = new Set<string>();
+    for (const id of roomsLocal.get(worldId) ?? []) {
+      const st = players.get(id);
+      if (!st || st.worldId !== worldId || st.dead || isInMineXZ(st.x, st.z)) continue;
+      seen.add(st.id);
+      out.push({ id: st.id, x: st.x, z: st.z, local: true });
+    }
+    for (const entry of remotePlayersByWorld.get(worldId)?.values() ?? []) {
+      for (const p of entry.players) {
+        if (!p || seen.has(p.id) || creatureKindOf(p.id) || isInMineXZ(p.x, p.z)) continue;
+        seen.add(p.id);
+        out.push({ id: p.id, x: Number(p.x) || 0, z: Number(p.z) || 0, local: false });
+      }
+    }
+    return out;
+  }
+
+  function creatureEnv(worldId: string, rt: WorldRuntime): CreatureEnv {
+    const t = nowMs();
+    return {
+      generation: rt.terrain.generation,
+      getHeightAt: rt.terrain.getHeightAt,
+      collidersNear: (x, z) => getNearbyPlacedColliders(worldId, x, z),
+      players: creaturePlayers(worldId),
+      night: isNightHours(worldHoursAt(t)),
+      now: t,
+      rnd: Math.random,
+      onBite: (c, playerId) => {
+        const st = players.get(playerId);
+        if (st && st.worldId === worldId) hurtPlayer(st, CREATURES[c.kind].attackDamage ?? 0, 'wolf');
+      },
+    };
+  }
+
+  /** Whether this pod runs a chunk's creatures (every chunk without Redis: single pod). */
+  function ownsCreatureChunk(worldId: string, chunk: string) {
+    return !redis || !!creatureLeases.get(worldId)?.has(chunk);
+  }
+
+  /** Claims/renews the leases of `wanted` chunks and releases the others; the result is used from the next refresh. */
+  async function syncCreatureLeases(worldId: string, wanted: Set<string>) {
+    const r = redis;
+    if (!r || creatureLeaseBusy.has(worldId)) return;
+    creatureLeaseBusy.add(worldId);
+    const claim = [...wanted];
+    const release = [...(creatureLeases.get(worldId) ?? [])].filter((k) => !wanted.has(k));
+    try {
+      const res = (await r.eval(CREATURE_LEASE_LUA, {
+        keys: [...claim, ...release].map((k) => keyCreatureLease(worldId, k)),
+        arguments: [bus.podId, String(CREATURE_LEASE_TTL_MS), String(claim.length)],
+      })) as unknown[];
+      // Left the world meanwhile: the leases just claimed run out on their own.
+      if (!roomsLocal.has(worldId)) return;
+      creatureLeases.set(worldId, new Set(claim.filter((_, i) => Number(res[i]) === 1)));
+    } catch (err) {
+      // Keep the previous set; a lease lost meanwhile shows up on the next sync.
+      if (logThrottle.shouldLog(`creature_lease:${worldId}`, 10_000)) {
+        app.log.warn({ err, event: 'creature_lease_failed', worldId }, 'creature lease sync failed');
+      }
+    } finally {
+      creatureLeaseBusy.delete(worldId);
+    }
+  }
+
+  /** Gives back every creature lease of a world (no local players left, world closed). */
+  function releaseCreatureLeases(worldId: string) {
+    const held = [...(creatureLeases.get(worldId) ?? [])];
+    creatureLeases.delete(worldId);
+    const r = redis;
+    if (!r || !held.length) return;
+    r.eval(CREATURE_LEASE_LUA, {
+      keys: held.map((k) => keyCreatureLease(worldId, k)),
+      arguments: [bus.podId, String(CREATURE_LEASE_TTL_MS), '0'],
+    }).catch(() => {
+      // best-effort: they expire anyway
+    });
+  }
+
+  function stepCreatures(worldId: string, dt: number) {
+    const herd = creaturesByWorld.get(worldId);
+    const rt = worldRuntimes.get(worldId);
+    if (!herd?.size || !rt) return;
+    const env = creatureEnv(worldId, rt);
+    for (const c of herd.values()) stepCreature(c, dt, env);
+  }
+
+  /**
+   * Drops creatures nobody is near (and wolves by day, and those of chunks leased by another pod) and
+   * fills the leased chunks around local players.
+   */
+  function refreshCreatures(worldId: string) {
+    const rt = worldRuntimes.get(worldId);
+    if (!rt) return;
+    let herd = creaturesByWorld.get(worldId);
+    if (!herd) creaturesByWorld.set(worldId, (herd = new Map()));
+    const env = creatureEnv(worldId, rt);
+    const locals = env.players.filter((p) => p.local);
+    const nearest = (c: Creature, list: CreaturePlayer[]) => list.reduce((d, p) => Math.min(d, Math.hypot(p.x - c.x, p.z - c.z)), Infinity);
+
+    for (const c of herd.values()) {
+      const def = CREATURES[c.kind];
+      const gone = nearest(c, locals) > CREATURE_DESPAWN_DIST;
+      const dawn = def.nightOnly && !env.night && nearest(c, env.players) > (def.giveUpRadius ?? 0);
+      const taken = !ownsCreatureChunk(worldId, `${c.homeCx}:${c.homeCz}`);
+      if (gone || dawn || taken) herd.delete(c.id);
+    }
+    for (const [k, until] of creatureChunkCooldown) if (until <= env.now) creatureChunkCooldown.delete(k);
+
+    // Leases: chunks around local players, plus the homes of creatures still running here.
+    const wanted = new Set<string>();
+    for (const p of locals) {
+      const center = chunkOf(p.x, p.z);
+      for (let dz = -AOI_RADIUS; dz <= AOI_RADIUS; dz++) {
+        for (let dx = -AOI_RADIUS; dx <= AOI_RADIUS; dx++) wanted.add(`${center.cx + dx}:${center.cz + dz}`);
+      }
+    }
+    for (const c of herd.values()) wanted.add(`${c.homeCx}:${c.homeCz}`);
+    void syncCreatureLeases(worldId, wanted);
+
+    // Creatures present per home chunk ("cx:cz").
+    const present = new Map<string, string[]>();
+    for (const c of herd.values()) {
+      const k = `${c.homeCx}:${c.homeCz}`;
+      present.set(k, [...(present.get(k) ?? []), c.kind]);
+    }
+
+    // At most one new creature per chunk per refresh.
+    const seen = new Set<string>();
+    for (const p of locals) {
+      const center = chunkOf(p.x, p.z);
+      for (let dz = -AOI_RADIUS; dz <= AOI_RADIUS; dz++) {
+        for (let dx = -AOI_RADIUS; dx <= AOI_RADIUS; dx++) {
+          const cx = center.cx + dx;
+          const cz = center.cz + dz;
+          const k = `${cx}:${cz}`;
+          if (seen.has(k)) continue;
+          seen.add(k);
+          if (herd.size >= CREATURE_MAX_PER_WORLD) return;
+          if (!ownsCreatureChunk(worldId, k)) continue;
+          if (creatureChunkCooldown.has(chunkKey(worldId, cx, cz))) continue;
+
+          const have = [...(present.get(k) ?? [])];
+          const missing = chunkPopulation(rt.seed, cx, cz, env.night).find((kind) => {
+            const i = have.indexOf(kind);
+            if (i < 0) return true;
+            have.splice(i, 1);
+            return false;
+          });
+          if (!missing) continue;
+          const c = spawnCreature({ id: `c:${missing}:${creatureSeq++}`, kind: missing, cx, cz, env });
+          if (c) herd.set(c.id, c);
+        }
+      }
+    }
+  }
+
+  /** A creature by snapshot id: simulated here (`creature` set) or by another pod (last published position). */
+  function findCreature(worldId: string, id: string): { x: number; z: number; creature: Creature | null } | null {
+    const local = creaturesByWorld.get(worldId)?.get(id);
+    if (local) return { x: local.x, z: local.z, creature: local };
+    for (const entry of remotePlayersByWorld.get(worldId)?.values() ?? []) {
+      const p = entry.players.find((e) => e?.id === id);
+      if (p) return { x: Number(p.x) || 0, z: Number(p.z) || 0, creature: null };
+    }
+    return null;
+  }
+
+  /** A player hit one of this pod's creatures. At 0 hp it dies and its loot drops on the ground. */
+  function hitCreature(worldId: string, c: Creature, by: CreaturePlayer) {
+    const herd = creaturesByWorld.get(worldId);
+    if (!herd?.has(c.id)) return;
+    c.hp -= CREATURE.hitDamage;
+    if (c.hp > 0) {
+      provokeCreature(c, by, nowMs());
+      return;
+    }
+
+    herd.delete(c.id);
+    creatureChunkCooldown.set(chunkKey(worldId, c.homeCx, c.homeCz), nowMs() + CREATURE.respawnMs);
+    app.log.info({ event: 'creature_killed', worldId, kind: c.kind, playerId: by.id }, 'creature killed');
+    dropCreatureLoot(worldId, c).catch((err) =>
+      app.log.warn({ err, event: 'creature_loot_failed', worldId, creatureId: c.id }, 'creature loot drop failed')
+    );
+  }
+
+  /** Loot of a killed creature: an ownerless ground item pile where it fell (ledger on pickup). */
+  async function dropCreatureLoot(worldId: string, c: Creature) {
+    const items = rollCreatureLoot(c.kind);
+    if (!items.length) return;
+
+    const { cx, cz } = chunkOf(c.x, c.z);
+    await withChunkLock(worldId, cx, cz, async () => {
+      const chunk = await getChunk(worldId, cx, cz, { fresh: true });
+      const next = structuredClone(chunk.rawState ?? {}) as any;
+      const drop: GroundItem = { id: crypto.randomUUID(), items, x: c.x, z: c.z, ownerId: '', droppedAt: nowMs() };
+      next.drops = addGroundItem(groundItemsFromRawState(next), drop);
+
+      const version = Number(chunk.version ?? 0) + 1;
+      await saveChunk({ worldId, chunkX: cx, chunkZ: cz, version, state: next });
+
+      const d = deriveChunk({ worldId, chunkX: cx, chunkZ: cz, version, rawState: next });
+      broadcastWorldChunk(worldId, cx, cz, { t: 'worldChunk', v: 1, worldId, chunkX: cx, chunkZ: cz, version, state: d.state });
+    });
+  }
+
+  // Tick: simulate + snapshots (20Hz sim, 10Hz snapshot)
+  let acc = 0;
+  const simHz = 20;
+  const simDt = 1 / simHz;
+
+  let creaturePopAcc = 0;
+
+  let snapAcc = 0;
+  const snapHz = 20;
+  const snapDt = 1 / snapHz;
+
+  const interval = setInterval(() => {
+    const dt = simDt;
+    acc += dt;
+    snapAcc += dt;
+
+    // Sim step
+    for (const st of players.values()) {
+      stepPlayer(st, dt);
+      refreshChunkAoi(st);
+    }
+    for (const worldId of roomsLocal.keys()) stepCreatures(worldId, dt);
+    creaturePopAcc += dt;
+    if (creaturePopAcc >= CREATURE_POP_EVERY_S) {
+      creaturePopAcc = 0;
+      for (const worldId of roomsLocal.keys()) refreshCreatures(worldId);
     }
 
     // Persist volatile player state to Redis (TTL-renewal in tick)
     if (redis) {
       try {
         const m = redis.multi();
+        const now = Date.now();
+        const stamped = new Set<string>();
         for (const st of players.values()) {
           const payload = {
             id: st.id,
@@ -962,7 +2010,10 @@ return 1
             lastSeq: st.lastSeq,
           };
           m.set(keyPlayerState(st.id), JSON.stringify(payload), { EX: REDIS_TTL_PLAYER_STATE_S });
+          stamped.add(st.worldId);
+          m.zAdd(keyWorldPresence(st.worldId), { score: now, value: st.id });
         }
+        for (const worldId of stamped) m.pExpire(keyWorldPresence(worldId), PRESENCE_TTL_MS);
         void m.exec();
       } catch {
         // best-effort
@@ -972,12 +2023,117 @@ return 1
     // Snapshot step
     if (snapAcc >= snapDt) {
       snapAcc = 0;
-      for (const worldId of roomsLocal.keys()) void broadcastSnapshot(worldId);
+      for (const worldId of roomsLocal.keys()) broadcastSnapshot(worldId);
     }
   }, Math.floor(1000 / simHz));
 
+  // Forge tick: forges in chunks inside some local player's AOI are simulated here (world/forge.ts)
+  // and their status streamed to those players. Unchanged statuses are not resent.
+  const FORGE_TICK_MS = 1000;
+  const lastForgeStatus = new Map<string, string>(); // worldId:forgeId -> last sent JSON
+  let forgeTickBusy = false;
+
+  async function forgeTick() {
+    const loaded = new Map<string, Map<string, { cx: number; cz: number }>>(); // worldId -> forgeId -> chunk
+    for (const st of players.values()) {
+      const center = st.aoiChunk;
+      if (!center) continue;
+      let forges = loaded.get(st.worldId);
+      if (!forges) loaded.set(st.worldId, (forges = new Map()));
+      for (let dz = -AOI_RADIUS; dz <= AOI_RADIUS; dz++) {
+        for (let dx = -AOI_RADIUS; dx <= AOI_RADIUS; dx++) {
+          const cx = center.cx + dx;
+          const cz = center.cz + dz;
+          for (const id of placedForgesByChunk.get(placedChunkKey(st.worldId, cx, cz)) ?? []) forges.set(id, { cx, cz });
+        }
+      }
+    }
+
+    const seen = new Set<string>();
+    for (const [worldId, forges] of loaded) {
+      if (!forges.size) continue;
+      const statuses = await tickForges({ worldId, forgeIds: [...forges.keys()], redis });
+      for (const [forgeId, status] of statuses) {
+        const key = `${worldId}:${forgeId}`;
+        seen.add(key);
+        const out: ForgeStatusMsg = { t: 'forgeStatus', v: 1, forgeId, ...status };
+        const txt = JSON.stringify(out);
+        if (lastForgeStatus.get(key) === txt) continue;
+        lastForgeStatus.set(key, txt);
+        const at = forges.get(forgeId)!;
+        sendChunkToLocalAoi(worldId, at.cx, at.cz, txt);
+      }
+    }
+    // Forgotten forges (unloaded chunk): resend in full when they come back.
+    for (const key of lastForgeStatus.keys()) if (!seen.has(key)) lastForgeStatus.delete(key);
+  }
+
+  const forgeInterval = setInterval(() => {
+    if (forgeTickBusy) return;
+    forgeTickBusy = true;
+    forgeTick()
+      .catch((err) => app.log.warn({ err, event: 'forge_tick_failed' }, 'forge tick failed'))
+      .finally(() => (forgeTickBusy = false));
+  }, FORGE_TICK_MS);
+
+  // Health tick: burns players standing in a lit campfire and regenerates the others
+  // (after HEALTH.regenDelaySec without damage). Fall damage happens in stepPlayer.
+  const HEALTH_TICK_MS = 1000;
+  let healthTickBusy = false;
+
+  async function healthTick() {
+    const dtSec = HEALTH_TICK_MS / 1000;
+
+    // Players standing in a campfire, by world and campfire (only lit ones burn: one DB read per world).
+    const inFire = new Map<string, Map<string, PlayerState[]>>();
+    for (const st of players.values()) {
+      if (st.dead) continue;
+      const { cx, cz } = chunkOf(st.x, st.z);
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          for (const f of placedCampfiresByChunk.get(placedChunkKey(st.worldId, cx + dx, cz + dz)) ?? []) {
+            if (Math.hypot(f.x - st.x, f.z - st.z) > HEALTH.fireRadius) continue;
+            let byFire = inFire.get(st.worldId);
+            if (!byFire) inFire.set(st.worldId, (byFire = new Map()));
+            const list = byFire.get(f.id) ?? [];
+            if (!list.includes(st)) list.push(st);
+            byFire.set(f.id, list);
+          }
+        }
+      }
+    }
+
+    const burning = new Set<PlayerState>();
+    for (const [worldId, byFire] of inFire) {
+      const lit = await loadLitCampfireIds(worldId, [...byFire.keys()]);
+      for (const [id, list] of byFire) if (lit.has(id)) for (const st of list) burning.add(st);
+    }
+
+    const t = nowMs();
+    for (const st of players.values()) {
+      if (st.dead) continue;
+      if (burning.has(st)) {
+        hurtPlayer(st, HEALTH.fireDamagePerSec * dtSec, 'fire');
+        continue;
+      }
+      if (st.hp >= HEALTH.max || t - st.lastHurtAtMs < HEALTH.regenDelaySec * 1000) continue;
+      st.hp = Math.min(HEALTH.max, st.hp + HEALTH.regenPerSec * dtSec);
+      if (Math.ceil(st.hp) !== st.hpSent) sendHealth(st);
+    }
+  }
+
+  const healthInterval = setInterval(() => {
+    if (healthTickBusy) return;
+    healthTickBusy = true;
+    healthTick()
+      .catch((err) => app.log.warn({ err, event: 'health_tick_failed' }, 'health tick failed'))
+      .finally(() => (healthTickBusy = false));
+  }, HEALTH_TICK_MS);
+
   app.addHook('onClose', async () => {
     clearInterval(interval);
+    clearInterval(forgeInterval);
+    clearInterval(healthInterval);
     wss.close();
   });
 
@@ -992,8 +2148,16 @@ return 1
       burst: env.WOODCUTTER_WORLD_EVENT_BURST,
     });
 
-    ws.on('message', (raw) => {
-      const msg = safeJsonParse(raw) as ClientMsg | null;
+    // Crafting hits the DB (row lock on player_state); keep it modest.
+    const craftLimiter = mkRateLimiter({ ratePerSec: 4, burst: 8 });
+
+    // Chat: a short burst, then one line every 2s.
+    const chatLimiter = mkRateLimiter({ ratePerSec: 0.5, burst: 4 });
+
+    ws.on('message', (raw, isBinary) => {
+      const buf = rawToBuffer(raw);
+      const msg = (isBinary ? decodeBinaryClientMsg(ws, buf) : safeJsonParse(buf)) as ClientMsg | null;
+      if (isBinary && !msg) return;
       if (!msg || typeof msg !== 'object') {
         if (logThrottle.shouldLog(`bad_json:${remoteAddress}`, 1000)) {
           app.log.warn({ event: 'ws_bad_json', remoteAddress }, 'ws invalid json');
@@ -1031,106 +2195,148 @@ return 1
         const id = vtok.guestId;
         ws.__playerId = id;
 
-        const existing = players.get(id);
-        const st: PlayerState = existing ?? {
-          id,
-          guestId: id,
-          worldId: msg.worldId,
-          x: 0,
-          y: 1.65,
-          z: 6,
-          yaw: 0,
-          pitch: 0,
-          vy: 0,
-          onGround: true,
-          lastAtMs: nowMs(),
-          lastSeq: 0,
-        };
-        st.worldId = msg.worldId;
-        st.lastAtMs = nowMs();
-
-        // Reset sequencing/input on join (important on reconnect/page refresh).
-        // Client seq restarts at 1; if we keep an old lastSeq, we would ignore all inputs
-        // and the client would rubber-band back to spawn.
-        st.lastSeq = 0;
-        st.input = undefined;
-
-        // Apply optional spawn hint.
-        if (msg.spawn && Number.isFinite(msg.spawn.x) && Number.isFinite(msg.spawn.y) && Number.isFinite(msg.spawn.z)) {
-          st.x = msg.spawn.x;
-          st.y = msg.spawn.y;
-          st.z = msg.spawn.z;
-        }
-
-        players.set(id, st);
+        // World config first: spawn height, physics and resource ids all depend on its seed.
+        void Promise.all([getWorldRuntime(msg.worldId), resolveDisplayName(id), loadSavedHealth(msg.worldId, id).catch(() => HEALTH.max)]).then(
+          ([world, name, savedHp]) => {
+            if (ws.readyState !== ws.OPEN) return;
+            if (!world) {
+              app.log.warn({ event: 'ws_join_reject', remoteAddress, reason: 'unknown_world', worldId: msg.worldId }, 'ws join rejected');
+              const err: ServerErrorMsg = { t: 'error', v: 1, code: 'unknown_world', message: 'unknown or archived world' };
+              ws.send(JSON.stringify(err));
+              try { ws.close(); } catch {}
+              return;
+            }
 
-        // Redis: write initial player state (so other pods/clients can see immediately)
-        if (redis) {
-          try {
-            const payload = {
-              id: st.id,
-              worldId: st.worldId,
-              x: st.x,
-              y: st.y,
-              z: st.z,
-              yaw: st.yaw,
-              pitch: st.pitch,
-              vy: st.vy,
-              onGround: st.onGround,
-              lastAtMs: st.lastAtMs,
-              lastSeq: st.lastSeq,
+            const existing = players.get(id);
+            if (existing && existing.worldId !== msg.worldId) {
+              leaveLocalRoom(existing.worldId, id);
+              announceRoster(existing.worldId, { leave: [id] }, id);
+              leaveRedisRoom(existing.worldId, id);
+              mpStats?.onLeave(existing.worldId);
+              // Health is per world: keep the old one's, take the new one's.
+              persistHealth(existing);
+              existing.hp = savedHp;
+              existing.dead = savedHp <= 0;
+              existing.deathDrop = null;
+            }
+            const st: PlayerState = existing ?? {
+              id,
+              guestId: id,
+              worldId: msg.worldId,
+              name,
+              x: WORLD_SPAWN.x,
+              y: world.terrain.getHeightAt(WORLD_SPAWN.x, WORLD_SPAWN.z) + MOVEMENT.eyeHeight,
+              z: WORLD_SPAWN.z,
+              yaw: 0,
+              pitch: 0,
+              vy: 0,
+              onGround: true,
+              lastAtMs: nowMs(),
+              lastSeq: 0,
+              ackSeq: 0,
+              inputQueue: [],
+              inputBudget: 0,
+              hp: savedHp,
+              dead: savedHp <= 0,
+              lastHurtAtMs: 0,
+              hpSent: 0,
+              fallSafe: true,
+              deathDrop: null,
+              lastFishCatchAt: 0,
             };
-            void redis.set(keyPlayerState(st.id), JSON.stringify(payload), { EX: REDIS_TTL_PLAYER_STATE_S });
-          } catch {
-            // best-effort
-          }
-        }
-
-        if (!roomsLocal.has(msg.worldId)) roomsLocal.set(msg.worldId, new Set());
-        roomsLocal.get(msg.worldId)!.add(id);
+            st.worldId = msg.worldId;
+            st.name = name;
+            st.lastAtMs = nowMs();
+
+            // Reset sequencing/input on join (important on reconnect/page refresh).
+            // Client seq restarts at 1; if we keep an old lastSeq, we would ignore all inputs
+            // and the client would rubber-band back to spawn.
+            st.lastSeq = 0;
+            st.ackSeq = 0;
+            st.inputQueue = [];
+            st.inputBudget = 0;
+
+            // Fresh AOI: the new socket knows no chunks or players yet.
+            st.aoiChunk = undefined;
+            st.aoiPlayers = new Set();
+
+            // Apply optional spawn hint.
+            if (msg.spawn && Number.isFinite(msg.spawn.x) && Number.isFinite(msg.spawn.y) && Number.isFinite(msg.spawn.z)) {
+              st.x = msg.spawn.x;
+              st.y = msg.spawn.y;
+              st.z = msg.spawn.z;
+            }
+            st.fallSafe = true;
+            // Joined dead (saved health 0): the inventory still drops where the player stands.
+            if (st.dead && !st.deathDrop) st.deathDrop = { x: st.x, z: st.z };
 
-        // Redis: membership (TTL-renewal on join)
-        if (redis) {
-          try {
-            void redis
-              .multi()
-              .sAdd(keyRoomPlayers(msg.worldId), id)
-              .expire(keyRoomPlayers(msg.worldId), REDIS_TTL_ROOM_PLAYERS_S)
-              .exec();
-          } catch {
-            // best-effort
-          }
-        }
+            players.set(id, st);
 
-        mpStats?.onJoin(msg.worldId);
-        app.log.info({ event: 'ws_join', remoteAddress, worldId: msg.worldId, playerId: id }, 'ws player joined');
-
-        const welcome: ServerWelcomeMsg = { t: 'welcome', v: 1, id, worldId: msg.worldId };
-        ws.send(JSON.stringify(welcome));
-
-        // Send initial world chunks around spawn.
-        const sx = msg.spawn?.x ?? st.x;
-        const sz = msg.spawn?.z ?? st.z;
-        const { cx, cz } = chunkOf(Number(sx) || 0, Number(sz) || 0);
-        const radius = 1;
-        for (let dz = -radius; dz <= radius; dz++) {
-          for (let dx = -radius; dx <= radius; dx++) {
-            getChunk(st.worldId, cx + dx, cz + dz)
-              .then((c) => {
-                const out: WorldChunkMsg = {
-                  t: 'worldChunk',
-                  v: 1,
+            // Redis: write initial player state (volatile presence; snapshots fan out via pub/sub)
+            if (redis) {
+              try {
+                const payload = {
+                  id: st.id,
                   worldId: st.worldId,
-                  chunkX: c.chunkX,
-                  chunkZ: c.chunkZ,
-                  version: c.version,
-                  state: c.state,
+                  x: st.x,
+                  y: st.y,
+                  z: st.z,
+                  yaw: st.yaw,
+                  pitch: st.pitch,
+                  vy: st.vy,
+                  onGround: st.onGround,
+                  lastAtMs: st.lastAtMs,
+                  lastSeq: st.lastSeq,
                 };
-                if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(out));
-              })
-              .catch(() => null);
+                void redis.set(keyPlayerState(st.id), JSON.stringify(payload), { EX: REDIS_TTL_PLAYER_STATE_S });
+              } catch {
+                // best-effort
+              }
+            }
+
+            joinLocalRoom(msg.worldId, id);
+
+            // Redis: membership (TTL-renewal on join)
+            if (redis) {
+              try {
+                void redis
+                  .multi()
+                  .sAdd(keyRoomPlayers(msg.worldId), id)
+                  .expire(keyRoomPlayers(msg.worldId), REDIS_TTL_ROOM_PLAYERS_S)
+                  .zAdd(keyWorldPresence(msg.worldId), { score: Date.now(), value: id })
+                  .pExpire(keyWorldPresence(msg.worldId), PRESENCE_TTL_MS)
+                  .exec();
+              } catch {
+                // best-effort
+              }
+            }
+
+            mpStats?.onJoin(msg.worldId);
+            touchWorld(msg.worldId);
+            app.log.info({ event: 'ws_join', remoteAddress, worldId: msg.worldId, playerId: id }, 'ws player joined');
+
+            // Protocol negotiation: binary snapshots/inputs only if both sides support them.
+            const proto = msg.proto === PROTOCOL_BINARY && env.WOODCUTTER_BINARY_PROTOCOL ? PROTOCOL_BINARY : PROTOCOL_JSON;
+            ws.__snap = proto === PROTOCOL_BINARY ? createSnapshotEncoder() : undefined;
+
+            const welcome: ServerWelcomeMsg = { t: 'welcome', v: 1, id, worldId: msg.worldId, proto, aoiRadius: AOI_RADIUS, name, now: nowMs() };
+            ws.send(JSON.stringify(welcome));
+            sendHealth(st);
+
+            // Roster: the whole world to the newcomer, the newcomer to everyone else.
+            announceRoster(msg.worldId, { join: [{ id, name }] }, id);
+            void sendFullRoster(ws, msg.worldId);
+
+            // Send initial world chunks around spawn (the whole AOI); the tick sends the rest as the player moves.
+            refreshChunkAoi(st);
+          },
+          (err) => {
+            app.log.error({ event: 'ws_join_reject', err, remoteAddress, worldId: msg.worldId }, 'ws join failed (world config)');
+            const out: ServerErrorMsg = { t: 'error', v: 1, code: 'world_unavailable', message: 'world config unavailable' };
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(out));
+            try { ws.close(); } catch {}
           }
-        }
+        );
 
         return;
       }
@@ -1141,6 +2347,7 @@ return 1
         const st = players.get(pid);
         if (!st) return;
         if (msg.v !== 1) return;
+        const eventId = worldEventIdOf(msg);
 
         // Redis limiter is async; handle worldEvent in a detached async flow.
         void (async () => {
@@ -1150,20 +2357,8 @@ return 1
             if (logThrottle.shouldLog(`rate:${pid}`, 1000)) {
               app.log.warn({ event: 'ws_worldEvent_throttled', remoteAddress, worldId: st.worldId, playerId: pid }, 'worldEvent throttled');
             }
-            const id =
-              (msg.kind === 'treeCut' ? String((msg as any).treeId || '') :
-              msg.kind === 'rockCollect' ? String((msg as any).rockId || '') :
-              msg.kind === 'stickCollect' ? String((msg as any).stickId || '') :
-              msg.kind === 'bushCollect' ? String((msg as any).bushId || '') :
-              msg.kind === 'plotTill' ? String((msg as any).plotId || '') :
-              msg.kind === 'plant' ? String((msg as any).plotId || '') :
-              msg.kind === 'harvest' ? String((msg as any).plotId || '') :
-              msg.kind === 'placeRemove' ? String((msg as any).id || '') :
-              msg.kind === 'oreBreak' ? String((msg as any).oreId || '') :
-              String((msg as any).id || ''));
-
-            const out: WorldEventResultMsg = { t: 'worldEventResult', v: 1, kind: msg.kind, id, ok: false, reason: 'invalid' };
-            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(out));
+            const out: WorldEventResultMsg = { t: 'worldEventResult', v: 1, kind: msg.kind, id: eventId, ok: false, reason: 'invalid' };
+            sendWorldEventResult(ws, st, out);
             return;
           }
 
@@ -1182,364 +2377,757 @@ return 1
             app.log.warn({ event: 'ws_worldEvent_reject_far', remoteAddress, worldId: st.worldId, playerId: pid, dist }, 'worldEvent rejected (too far)');
           }
 
-          const id =
-            (msg.kind === 'treeCut' ? String((msg as any).treeId || '') :
-            msg.kind === 'rockCollect' ? String((msg as any).rockId || '') :
-            msg.kind === 'stickCollect' ? String((msg as any).stickId || '') :
-            msg.kind === 'bushCollect' ? String((msg as any).bushId || '') :
-            msg.kind === 'plotTill' ? String((msg as any).plotId || '') :
-            msg.kind === 'plant' ? String((msg as any).plotId || '') :
-            msg.kind === 'harvest' ? String((msg as any).plotId || '') :
-            msg.kind === 'placeRemove' ? String((msg as any).id || '') :
-            msg.kind === 'oreBreak' ? String((msg as any).oreId || '') :
-            String((msg as any).id || ''));
-
-          const out: WorldEventResultMsg = { t: 'worldEventResult', v: 1, kind: msg.kind, id, ok: false, reason: 'invalid' };
-          if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(out));
+          const out: WorldEventResultMsg = { t: 'worldEventResult', v: 1, kind: msg.kind, id: eventId, ok: false, reason: 'invalid' };
+          sendWorldEventResult(ws, st, out);
           return;
         }
 
-        const { cx, cz } = chunkOf(x, z);
-
-        const eventId =
-          (msg.kind === 'treeCut' ? String((msg as any).treeId || '') :
-          msg.kind === 'rockCollect' ? String((msg as any).rockId || '') :
-          msg.kind === 'stickCollect' ? String((msg as any).stickId || '') :
-          msg.kind === 'bushCollect' ? String((msg as any).bushId || '') :
-          msg.kind === 'plotTill' ? String((msg as any).plotId || '') :
-          msg.kind === 'plant' ? String((msg as any).plotId || '') :
-          msg.kind === 'harvest' ? String((msg as any).plotId || '') :
-          msg.kind === 'placeRemove' ? String((msg as any).id || '') :
-          msg.kind === 'oreBreak' ? String((msg as any).oreId || '') :
-          String((msg as any).id || ''));
-
-        getChunk(st.worldId, cx, cz)
-          .then(async (chunk) => {
-            // IMPORTANT: start from full persisted state, not the derived client-facing arrays.
-            const next = structuredClone(chunk.rawState ?? {}) as any;
-            next.removedTrees = Array.isArray(next.removedTrees) ? next.removedTrees.map(String) : [];
-            next.removedOres = Array.isArray(next.removedOres) ? next.removedOres.map(String) : [];
-            next.placed = Array.isArray(next.placed) ? next.placed : [];
-
-            // Respawns are timed & server-authoritative.
-            const treeRespawnUntil = normalizeRespawns(next, 'treeRespawnUntil', 'removedTrees');
-            const rockRespawnUntil = normalizeRespawns(next, 'rockRespawnUntil', 'removedRocks');
-            const stickRespawnUntil = normalizeRespawns(next, 'stickRespawnUntil', 'removedSticks');
-            const bushRespawnUntil = normalizeRespawns(next, 'bushRespawnUntil', 'removedBushes');
-            const oreRespawnUntil = normalizeRespawns(next, 'oreRespawnUntil', 'removedOres');
-
-            // Farming plots (persisted in chunk state)
-            next.farmPlots = (next.farmPlots && typeof next.farmPlots === 'object' && !Array.isArray(next.farmPlots)) ? next.farmPlots : {};
-
-            const schedule = (kind: RespawnKind, id: string, delayMs: number) => {
-              const tk = timerKey(st.worldId, cx, cz, kind, id);
-              if (respawnTimers.has(tk)) return;
-              const h = setTimeout(() => {
-                respawnTimers.delete(tk);
-                expireEntityIfNeeded({ worldId: st.worldId, chunkX: cx, chunkZ: cz, kind, id }).catch(() => null);
-              }, delayMs);
-              respawnTimers.set(tk, h);
-            };
+        // Creatures live in memory (on this pod or another one), not in chunk state.
+        if (msg.kind === 'creatureHit') {
+          const out: WorldEventResultMsg = { t: 'worldEventResult', v: 1, kind: msg.kind, id: eventId, ok: false, reason: 'already_removed' };
+          const kind = creatureKindOf(eventId);
+          const found = kind ? findCreature(st.worldId, eventId) : null;
+          if (st.dead) out.reason = 'invalid';
+          else if (kind && found) {
+            const reach = env.WOODCUTTER_WORLD_EVENT_RADIUS + CREATURES[kind].radius + CREATURE_HIT_SLACK;
+            if (!(Math.hypot(found.x - st.x, found.z - st.z) <= reach)) out.reason = 'invalid';
+            else {
+              out.ok = true;
+              delete out.reason;
+              const by = { id: st.id, x: st.x, z: st.z, local: true };
+              if (found.creature) hitCreature(st.worldId, found.creature, by);
+              else bus.publish(st.worldId, { kind: 'creatureHit', id: eventId, by: st.id, x: st.x, z: st.z });
+            }
+          }
+          sendWorldEventResult(ws, st, out);
+          return;
+        }
 
-            const t = nowMs();
-            let result: WorldEventResultMsg | null = null;
+        // Fishing: the bobber must be on water within casting range, the stored save must hold a rod,
+        // and catches can't come faster than a bite + reel. The loot is rolled here.
+        if (msg.kind === 'fishCatch') {
+          const out: WorldEventResultMsg = { t: 'worldEventResult', v: 1, kind: msg.kind, id: eventId, ok: false, reason: 'invalid' };
+          const bx = clampNum((msg as any).bx);
+          const bz = clampNum((msg as any).bz);
+          const rt = worldRuntimes.get(st.worldId);
+          const water = rt && bx != null && bz != null ? waterBodyAt(bx, bz, rt.generation) : null;
+          const t = nowMs();
+          if (!eventId || st.dead || !water || bx == null || bz == null) {
+            sendWorldEventResult(ws, st, out);
+            return;
+          }
+          if (!(Math.hypot(bx - st.x, bz - st.z) <= FISHING.castRange + FISH_REACH_SLACK)) {
+            sendWorldEventResult(ws, st, out);
+            return;
+          }
+          if (t - st.lastFishCatchAt < FISHING.minCatchIntervalMs) {
+            out.reason = 'not_ready';
+            sendWorldEventResult(ws, st, out);
+            return;
+          }
+          st.lastFishCatchAt = t;
 
-            const setResult = (kind: WorldEventResultMsg['kind'], id: string, ok: boolean, reason?: WorldEventResultMsg['reason']) => {
-              result = { t: 'worldEventResult', v: 1, kind, id, ok, reason };
-            };
+          try {
+            const held = await loadHeldItems({ guestId: st.guestId, worldId: st.worldId });
+            if (!held[ItemId.FISHING_ROD]) {
+              out.reason = 'no_rod';
+              sendWorldEventResult(ws, st, out);
+              return;
+            }
+            out.ok = true;
+            delete out.reason;
+            sendWorldEventResult(ws, st, out);
+            await grantLoot(ws, st, 'fishCatch', eventId, { fishing: { water, hours: worldHoursAt(t) } });
+          } catch (err) {
+            app.log.error({ err, event: 'ws_loot_failed', worldId: st.worldId, playerId: pid, kind: msg.kind, id: eventId }, 'loot grant failed');
+          }
+          return;
+        }
 
-            if (msg.kind === 'treeCut') {
-              const id = String((msg as any).treeId || '');
-              if (!id) {
-                setResult('treeCut', '', false, 'invalid');
-              } else if ((treeRespawnUntil[id] ?? 0) > t) {
-                setResult('treeCut', id, false, 'already_removed');
-              } else {
-                const until = t + TREE_RESPAWN_MS;
-                treeRespawnUntil[id] = until;
-                next.treeRespawnUntil = treeRespawnUntil;
-                next.removedTrees = [];
-                schedule('tree', id, TREE_RESPAWN_MS);
-                setResult('treeCut', id, true);
-              }
-            } else if (msg.kind === 'rockCollect') {
-              const id = String((msg as any).rockId || '');
-              if (!id) {
-                setResult('rockCollect', '', false, 'invalid');
-              } else if ((rockRespawnUntil[id] ?? 0) > t) {
-                setResult('rockCollect', id, false, 'already_removed');
-              } else {
-                const until = t + ROCK_RESPAWN_MS;
-                rockRespawnUntil[id] = until;
-                next.rockRespawnUntil = rockRespawnUntil;
-                next.removedRocks = [];
-                schedule('rock', id, ROCK_RESPAWN_MS);
-                setResult('rockCollect', id, true);
-              }
-            } else if (msg.kind === 'stickCollect') {
-              const id = String((msg as any).stickId || '');
-              if (!id) {
-                setResult('stickCollect', '', false, 'invalid');
-              } else if ((stickRespawnUntil[id] ?? 0) > t) {
-                setResult('stickCollect', id, false, 'already_removed');
+        // Resources and mine ore veins are procedural: the id must exist in the generated layout, be
+        // within reach, and its state lives in the chunk it was generated in (not where the player aimed).
+        const resourceKind: ResourceKind | null =
+          msg.kind === 'treeCut' ? 'tree' :
+          msg.kind === 'rockCollect' ? 'rock' :
+          msg.kind === 'stickCollect' ? 'stick' :
+          msg.kind === 'bushCollect' ? 'bush' :
+          null;
+        let anchor = { x, z };
+        if (resourceKind || msg.kind === 'oreBreak') {
+          const world = worldRuntimes.get(st.worldId);
+          const res = !eventId ? null
+            : resourceKind ? findChunkResource({ seed: world?.seed, generation: world?.generation, kind: resourceKind, id: eventId })
+            : findMineOre({ generation: world?.generation, id: eventId });
+          if (!res || !(Math.hypot(res.x - st.x, res.z - st.z) <= env.WOODCUTTER_WORLD_EVENT_RADIUS)) {
+            const out: WorldEventResultMsg = { t: 'worldEventResult', v: 1, kind: msg.kind, id: eventId, ok: false, reason: 'invalid' };
+            sendWorldEventResult(ws, st, out);
+            return;
+          }
+          anchor = res;
+        }
+        // Loot bags land where the player died, in that chunk.
+        if (msg.kind === 'deathDrop') {
+          if (!st.dead || !st.deathDrop) {
+            const out: WorldEventResultMsg = { t: 'worldEventResult', v: 1, kind: msg.kind, id: eventId, ok: false, reason: 'invalid' };
+            sendWorldEventResult(ws, st, out);
+            return;
+          }
+          anchor = st.deathDrop;
+        }
+
+        const { cx, cz } = chunkOf(anchor.x, anchor.z);
+
+        // One writer per chunk at a time: the checks below see every earlier event's result.
+        withChunkLock(st.worldId, cx, cz, async () => {
+          const chunk = await getChunk(st.worldId, cx, cz, { fresh: true });
+          // IMPORTANT: start from full persisted state, not the derived client-facing arrays.
+          const next = structuredClone(chunk.rawState ?? {}) as any;
+          next.removedTrees = Array.isArray(next.removedTrees) ? next.removedTrees.map(String) : [];
+          next.removedOres = Array.isArray(next.removedOres) ? next.removedOres.map(String) : [];
+          next.placed = Array.isArray(next.placed) ? next.placed : [];
+
+          // Respawns are timed & server-authoritative.
+          const treeRespawnUntil = normalizeRespawns(next, 'treeRespawnUntil', 'removedTrees');
+          const rockRespawnUntil = normalizeRespawns(next, 'rockRespawnUntil', 'removedRocks');
+          const stickRespawnUntil = normalizeRespawns(next, 'stickRespawnUntil', 'removedSticks');
+          const bushRespawnUntil = normalizeRespawns(next, 'bushRespawnUntil', 'removedBushes');
+          const oreRespawnUntil = normalizeRespawns(next, 'oreRespawnUntil', 'removedOres');
+
+          // Farming plots (persisted in chunk state)
+          next.farmPlots = (next.farmPlots && typeof next.farmPlots === 'object' && !Array.isArray(next.farmPlots)) ? next.farmPlots : {};
+
+          const schedule = (kind: RespawnKind, id: string, delayMs: number) => {
+            const tk = timerKey(st.worldId, cx, cz, kind, id);
+            if (respawnTimers.has(tk)) return;
+            const h = setTimeout(() => {
+              respawnTimers.delete(tk);
+              withChunkLock(st.worldId, cx, cz, () => expireEntityIfNeeded({ worldId: st.worldId, chunkX: cx, chunkZ: cz, kind, id })).catch(() => null);
+            }, delayMs);
+            respawnTimers.set(tk, h);
+          };
+
+          const t = nowMs();
+          let result: WorldEventResultMsg | null = null;
+          // Ground pile taken by this event (granted once the chunk is saved).
+          let pickedUp: GroundItem | null = null;
+          // Structure picked back up by this event (its item is credited once the chunk is saved).
+          let pickedUpPlaced: string | null = null;
+          // Abandoned claim: its flag goes back to the owner (credited once the chunk is saved).
+          let returnedFlag = false;
+          // Items this event debited (structure, seed, dropped items, claim flag): credited back if the
+          // chunk write fails, since they never left the player.
+          let debited: { reason: LedgerReason; refId: string; items: LootItem[] } | null = null;
+          const debit = async (reason: LedgerReason, refId: string, items: LootItem[]) => {
+            const res = await debitLedgerEntries({ guestId: st.guestId, worldId: st.worldId, reason, refId, items });
+            if (res.ok) debited = { reason, refId, items };
+            return res;
+          };
+          const refundDebit = async () => {
+            const d = debited;
+            debited = null;
+            if (!d) return;
+            await appendLedgerEntries({ guestId: st.guestId, worldId: st.worldId, ...d }).catch((err) =>
+              app.log.error({ err, event: 'ws_refund_failed', worldId: st.worldId, playerId: pid, kind: d.reason, id: d.refId }, 'ledger refund failed')
+            );
+          };
+
+          const setResult = (kind: WorldEventResultMsg['kind'], id: string, ok: boolean, reason?: WorldEventResultMsg['reason']) => {
+            result = { t: 'worldEventResult', v: 1, kind, id, ok, reason };
+          };
+
+          // Someone else's land: building/farming needs the owner's trust.
+          const claim = claimFromRawState(next);
+
+          // Emptied loot bags are removed by whoever looted them, on anyone's land.
+          const claimProtected = CLAIM_PROTECTED_EVENTS.has(msg.kind) && !(msg.kind === 'placeRemove' && (msg as any).placeKind === 'lootBag');
+
+          if (claimProtected && !canBuildInClaim(claim, st.guestId)) {
+            setResult(msg.kind, eventId, false, 'claimed');
+          } else if (msg.kind === 'treeCut') {
+            const id = String((msg as any).treeId || '');
+            if (!id) {
+              setResult('treeCut', '', false, 'invalid');
+            } else if ((treeRespawnUntil[id] ?? 0) > t) {
+              setResult('treeCut', id, false, 'already_removed');
+            } else {
+              const until = t + TREE_RESPAWN_MS;
+              treeRespawnUntil[id] = until;
+              next.treeRespawnUntil = treeRespawnUntil;
+              next.removedTrees = [];
+              schedule('tree', id, TREE_RESPAWN_MS);
+              setResult('treeCut', id, true);
+            }
+          } else if (msg.kind === 'rockCollect') {
+            const id = String((msg as any).rockId || '');
+            if (!id) {
+              setResult('rockCollect', '', false, 'invalid');
+            } else if ((rockRespawnUntil[id] ?? 0) > t) {
+              setResult('rockCollect', id, false, 'already_removed');
+            } else {
+              const until = t + ROCK_RESPAWN_MS;
+              rockRespawnUntil[id] = until;
+              next.rockRespawnUntil = rockRespawnUntil;
+              next.removedRocks = [];
+              schedule('rock', id, ROCK_RESPAWN_MS);
+              setResult('rockCollect', id, true);
+            }
+          } else if (msg.kind === 'stickCollect') {
+            const id = String((msg as any).stickId || '');
+            if (!id) {
+              setResult('stickCollect', '', false, 'invalid');
+            } else if ((stickRespawnUntil[id] ?? 0) > t) {
+              setResult('stickCollect', id, false, 'already_removed');
+            } else {
+              const until = t + STICK_RESPAWN_MS;
+              stickRespawnUntil[id] = until;
+              next.stickRespawnUntil = stickRespawnUntil;
+              next.removedSticks = [];
+              schedule('stick', id, STICK_RESPAWN_MS);
+              setResult('stickCollect', id, true);
+            }
+          } else if (msg.kind === 'bushCollect') {
+            const id = String((msg as any).bushId || '');
+            if (!id) {
+              setResult('bushCollect', '', false, 'invalid');
+            } else if ((bushRespawnUntil[id] ?? 0) > t) {
+              setResult('bushCollect', id, false, 'already_removed');
+            } else {
+              const until = t + BUSH_RESPAWN_MS;
+              bushRespawnUntil[id] = until;
+              next.bushRespawnUntil = bushRespawnUntil;
+              next.removedBushes = [];
+              schedule('bush', id, BUSH_RESPAWN_MS);
+              setResult('bushCollect', id, true);
+            }
+          } else if (msg.kind === 'plotTill') {
+            const plotId = String((msg as any).plotId || '');
+            if (!plotId) {
+              setResult('plotTill', '', false, 'invalid');
+            } else {
+              const x0 = Number(x);
+              const z0 = Number(z);
+              const tx = Math.round(x0);
+              const tz = Math.round(z0);
+              const id = `${tx}:${tz}`;
+
+              // Ensure client can't spoof plotId away from coords.
+              if (plotId !== id) {
+                setResult('plotTill', plotId, false, 'invalid');
               } else {
-                const until = t + STICK_RESPAWN_MS;
-                stickRespawnUntil[id] = until;
-                next.stickRespawnUntil = stickRespawnUntil;
-                next.removedSticks = [];
-                schedule('stick', id, STICK_RESPAWN_MS);
-                setResult('stickCollect', id, true);
+                // Create/refresh tilled plot. Overwrite planted state.
+                next.farmPlots[id] = {
+                  x: tx,
+                  z: tz,
+                  tilledAt: t,
+                  seedId: null,
+                  plantedAt: null,
+                  growMs: null,
+                };
+                setResult('plotTill', id, true);
               }
-            } else if (msg.kind === 'bushCollect') {
-              const id = String((msg as any).bushId || '');
-              if (!id) {
-                setResult('bushCollect', '', false, 'invalid');
-              } else if ((bushRespawnUntil[id] ?? 0) > t) {
-                setResult('bushCollect', id, false, 'already_removed');
+            }
+          } else if (msg.kind === 'plant') {
+            const plotId = String((msg as any).plotId || '');
+            const seedId = String((msg as any).seedId || '');
+            if (!plotId || !PLANTABLE_SEEDS.has(seedId)) {
+              setResult('plant', plotId || '', false, 'invalid');
+            } else {
+              const p = next.farmPlots?.[plotId];
+              if (!p) {
+                setResult('plant', plotId, false, 'invalid');
+              } else if (p.seedId) {
+                // already planted
+                setResult('plant', plotId, false, 'duplicate');
+              } else if (!(await debit('plant', plotId, [{ id: seedId, qty: 1 }])).ok) {
+                // The seed leaves the ledger balance, like a placed structure.
+                setResult('plant', plotId, false, 'no_item');
               } else {
-                const until = t + BUSH_RESPAWN_MS;
-                bushRespawnUntil[id] = until;
-                next.bushRespawnUntil = bushRespawnUntil;
-                next.removedBushes = [];
-                schedule('bush', id, BUSH_RESPAWN_MS);
-                setResult('bushCollect', id, true);
+                // Growth: 5-8 minutes (ms)
+                const growMs = (5 * 60_000) + Math.floor(Math.random() * (3 * 60_000 + 1));
+                next.farmPlots[plotId] = {
+                  ...p,
+                  seedId,
+                  plantedAt: t,
+                  growMs,
+                };
+                setResult('plant', plotId, true);
               }
-            } else if (msg.kind === 'plotTill') {
-              const plotId = String((msg as any).plotId || '');
-              if (!plotId) {
-                setResult('plotTill', '', false, 'invalid');
+            }
+          } else if (msg.kind === 'harvest') {
+            const plotId = String((msg as any).plotId || '');
+            if (!plotId) {
+              setResult('harvest', '', false, 'invalid');
+            } else {
+              const p = next.farmPlots?.[plotId];
+              if (!p || !p.seedId || !p.plantedAt || !p.growMs) {
+                setResult('harvest', plotId, false, 'invalid');
               } else {
-                const x0 = Number(x);
-                const z0 = Number(z);
-                const tx = Math.round(x0);
-                const tz = Math.round(z0);
-                const id = `${tx}:${tz}`;
-
-                // Ensure client can't spoof plotId away from coords.
-                if (plotId !== id) {
-                  setResult('plotTill', plotId, false, 'invalid');
+                const readyAt = Number(p.plantedAt) + Number(p.growMs);
+                if (readyAt > t) {
+                  setResult('harvest', plotId, false, 'not_ready');
                 } else {
-                  // Create/refresh tilled plot. Overwrite planted state.
-                  next.farmPlots[id] = {
-                    x: tx,
-                    z: tz,
-                    tilledAt: t,
+                  // Clear plant, keep tilled.
+                  next.farmPlots[plotId] = {
+                    ...p,
                     seedId: null,
                     plantedAt: null,
                     growMs: null,
                   };
-                  setResult('plotTill', id, true);
-                }
-              }
-            } else if (msg.kind === 'plant') {
-              const plotId = String((msg as any).plotId || '');
-              const seedId = String((msg as any).seedId || '');
-              if (!plotId || !seedId) {
-                setResult('plant', plotId || '', false, 'invalid');
-              } else {
-                const p = next.farmPlots?.[plotId];
-                if (!p) {
-                  setResult('plant', plotId, false, 'invalid');
-                } else if (p.seedId) {
-                  // already planted
-                  setResult('plant', plotId, false, 'duplicate');
-                } else {
-                  // Growth: 5-8 minutes (ms)
-                  const growMs = (5 * 60_000) + Math.floor(Math.random() * (3 * 60_000 + 1));
-                  next.farmPlots[plotId] = {
-                    ...p,
-                    seedId,
-                    plantedAt: t,
-                    growMs,
-                  };
-                  setResult('plant', plotId, true);
+                  setResult('harvest', plotId, true);
                 }
               }
-            } else if (msg.kind === 'harvest') {
-              const plotId = String((msg as any).plotId || '');
-              if (!plotId) {
-                setResult('harvest', '', false, 'invalid');
-              } else {
-                const p = next.farmPlots?.[plotId];
-                if (!p || !p.seedId || !p.plantedAt || !p.growMs) {
-                  setResult('harvest', plotId, false, 'invalid');
-                } else {
-                  const readyAt = Number(p.plantedAt) + Number(p.growMs);
-                  if (readyAt > t) {
-                    setResult('harvest', plotId, false, 'not_ready');
-                  } else {
-                    // Clear plant, keep tilled.
-                    next.farmPlots[plotId] = {
-                      ...p,
-                      seedId: null,
-                      plantedAt: null,
-                      growMs: null,
-                    };
-                    setResult('harvest', plotId, true);
-                  }
+            }
+          } else if (msg.kind === 'oreBreak') {
+            const id = String((msg as any).oreId || '');
+            if (!id) {
+              setResult('oreBreak', '', false, 'invalid');
+            } else if ((oreRespawnUntil[id] ?? 0) > t) {
+              setResult('oreBreak', id, false, 'already_removed');
+            } else {
+              const until = t + ORE_RESPAWN_MS;
+              oreRespawnUntil[id] = until;
+              next.oreRespawnUntil = oreRespawnUntil;
+              next.removedOres = [];
+              schedule('ore', id, ORE_RESPAWN_MS);
+              setResult('oreBreak', id, true);
+            }
+          } else if (msg.kind === 'place') {
+            const id = String((msg as any).id || '');
+            const placeKind = (msg as any).placeKind;
+            const type = placeKind === 'campfire' || placeKind === 'forge' || placeKind === 'forgeTable' || placeKind === 'chest' || placeKind === 'bed' ? placeKind : null;
+            if (!id || !type) {
+              setResult('place', id || '', false, 'invalid');
+            } else if (next.placed.some((p: any) => String(p?.id) === id)) {
+              // Id is globally unique per player in current client; treat duplicates as no-op.
+              setResult('place', id, false, 'duplicate');
+            } else if (!(await debit('place', id, [{ id: PLACED_ITEM[type], qty: 1 }])).ok) {
+              // The structure leaves the placer's ledger balance (picking it back up credits it).
+              setResult('place', id, false, 'no_item');
+            } else {
+              // Chest placement must create its DB record; otherwise we'd have a "ghost chest"
+              // that exists in chunk state but cannot be opened/removed safely.
+              if (type === 'chest') {
+                try {
+                  await db
+                    .insert(chestState)
+                    .values({ worldId: st.worldId, chestId: id, ownerId: st.guestId, state: { slots: Array.from({ length: 15 }, () => null) }, updatedAt: new Date() })
+                    .onConflictDoNothing();
+                } catch (err) {
+                  app.log.error({ err, event: 'ws_place_chest_db_failed', worldId: st.worldId, chestId: id, ownerId: st.guestId }, 'chest placement failed (db)');
+                  await refundDebit();
+                  setResult('place', id, false, 'invalid');
+                  return;
                 }
               }
-            } else if (msg.kind === 'oreBreak') {
-              const id = String((msg as any).oreId || '');
-              if (!id) {
-                setResult('oreBreak', '', false, 'invalid');
-              } else if ((oreRespawnUntil[id] ?? 0) > t) {
-                setResult('oreBreak', id, false, 'already_removed');
-              } else {
-                const until = t + ORE_RESPAWN_MS;
-                oreRespawnUntil[id] = until;
-                next.oreRespawnUntil = oreRespawnUntil;
-                next.removedOres = [];
-                schedule('ore', id, ORE_RESPAWN_MS);
-                setResult('oreBreak', id, true);
-              }
-            } else if (msg.kind === 'place') {
-              const id = String((msg as any).id || '');
-              const placeKind = (msg as any).placeKind;
-              const type = placeKind === 'campfire' || placeKind === 'forge' || placeKind === 'forgeTable' || placeKind === 'chest' ? placeKind : null;
-              if (!id || !type) {
-                setResult('place', id || '', false, 'invalid');
-              } else if (next.placed.some((p: any) => String(p?.id) === id)) {
-                // Id is globally unique per player in current client; treat duplicates as no-op.
-                setResult('place', id, false, 'duplicate');
+
+              next.placed.push({ id, type, x, z, ownerId: st.guestId, ownerName: st.name, placedAt: t });
+              setResult('place', id, true);
+            }
+          } else if (msg.kind === 'placeRemove') {
+            const id = String((msg as any).id || '');
+            const placeKind = (msg as any).placeKind;
+            const pickup = !!(msg as any).pickup;
+            const type = placeKind === 'campfire' || placeKind === 'forge' || placeKind === 'forgeTable' || placeKind === 'chest' || placeKind === 'bed' || placeKind === 'lootBag' ? placeKind : null;
+            if (!id || !type) {
+              setResult('placeRemove', id || '', false, 'invalid');
+            } else {
+              const idx = next.placed.findIndex((p: any) => String(p?.id) === id && String(p?.type) === type);
+              if (idx < 0) {
+                setResult('placeRemove', id, false, 'invalid');
               } else {
-                // Chest placement must create its DB record; otherwise we'd have a "ghost chest"
-                // that exists in chunk state but cannot be opened/removed safely.
-                if (type === 'chest') {
+                // Owner-only, except for admins and abandoned structures (world/ownership.ts).
+                const placedBy = placedOwnerOf(next.placed[idx]);
+                const mayTake = async (ownerId: string) =>
+                  canPickupPlaced({
+                    worldId: st.worldId,
+                    guestId: st.guestId,
+                    ownerId,
+                    placedAt: placedBy.placedAt,
+                    ownerOnline: !!ownerId && ownerId !== st.guestId && (await isOnlineInWorld(st.worldId, ownerId)),
+                    now: t,
+                  });
+
+                // Loot bags: whoever may open one removes it once it's empty (a missing row is a stale entry).
+                if (type === 'lootBag') {
                   try {
-                    await db
-                      .insert(chestState)
-                      .values({ worldId: st.worldId, chestId: id, ownerId: st.guestId, state: { slots: Array.from({ length: 15 }, () => null) }, updatedAt: new Date() })
-                      .onConflictDoNothing();
-                  } catch (err) {
-                    app.log.error({ err, event: 'ws_place_chest_db_failed', worldId: st.worldId, chestId: id, ownerId: st.guestId }, 'chest placement failed (db)');
-                    setResult('place', id, false, 'invalid');
-                    return;
+                    const bag = await loadLootBag(st.worldId, id);
+                    if (bag && !canOpenLootBag({ ownerId: bag.ownerId, guestId: st.guestId, droppedAt: bag.droppedAt, now: t })) {
+                      setResult('placeRemove', id, false, 'not_owner');
+                    } else if (bag && !lootBagIsEmpty(bag.slots)) {
+                      setResult('placeRemove', id, false, 'not_empty');
+                    } else {
+                      next.placed.splice(idx, 1);
+                      if (bag) await deleteLootBag(st.worldId, id);
+                      setResult('placeRemove', id, true);
+                    }
+                  } catch {
+                    setResult('placeRemove', id, false, 'invalid');
                   }
-                }
+                } else if (type === 'chest') {
+                  // Chests: the DB row is the ownership source of truth, for pickup and destroy alike.
+                  try {
+                    const rows = await db
+                      .select({ ownerId: chestState.ownerId, state: chestState.state })
+                      .from(chestState)
+                      .where(and(eq(chestState.worldId, st.worldId), eq(chestState.chestId, id)))
+                      .limit(1);
 
-                next.placed.push({ id, type, x, z });
-                setResult('place', id, true);
-              }
-            } else if (msg.kind === 'placeRemove') {
-              const id = String((msg as any).id || '');
-              const placeKind = (msg as any).placeKind;
-              const pickup = !!(msg as any).pickup;
-              const type = placeKind === 'campfire' || placeKind === 'forge' || placeKind === 'forgeTable' || placeKind === 'chest' ? placeKind : null;
-              if (!id || !type) {
-                setResult('placeRemove', id || '', false, 'invalid');
-              } else {
-                const idx = next.placed.findIndex((p: any) => String(p?.id) === id && String(p?.type) === type);
-                if (idx < 0) {
-                  setResult('placeRemove', id, false, 'invalid');
-                } else {
-                  // If chest is "locked" (ownership), only the owner may remove/pickup.
-                  if (type === 'chest') {
-                    try {
-                      const rows = await db
-                        .select({ ownerId: chestState.ownerId, state: chestState.state })
-                        .from(chestState)
-                        .where(and(eq(chestState.worldId, st.worldId), eq(chestState.chestId, id)))
-                        .limit(1);
-
-                      if (!rows.length) {
-                        setResult('placeRemove', id, false, 'invalid');
-                      } else if (String(rows[0].ownerId) !== String(st.guestId)) {
-                        setResult('placeRemove', id, false, 'invalid');
-                      } else {
-                        if (pickup) {
-                          // Only allow pickup if empty.
-                          const slots = Array.isArray((rows[0].state as any)?.slots) ? (rows[0].state as any).slots : [];
-                          const nonEmpty = slots.some((s: any) => s && Number(s.qty || 0) > 0);
-                          if (nonEmpty) {
-                            setResult('placeRemove', id, false, 'not_empty');
-                          } else {
-                            next.placed.splice(idx, 1);
-                            try {
-                              await db.delete(chestState).where(and(eq(chestState.worldId, st.worldId), eq(chestState.chestId, id)));
-                            } catch {
-                              // best-effort
-                            }
-                            setResult('placeRemove', id, true);
+                    if (!rows.length) {
+                      setResult('placeRemove', id, false, 'invalid');
+                    } else if (!(await mayTake(String(rows[0].ownerId)))) {
+                      setResult('placeRemove', id, false, 'not_owner');
+                    } else {
+                      if (pickup) {
+                        // Only allow pickup if empty.
+                        const slots = Array.isArray((rows[0].state as any)?.slots) ? (rows[0].state as any).slots : [];
+                        const nonEmpty = slots.some((s: any) => s && Number(s.qty || 0) > 0);
+                        if (nonEmpty) {
+                          setResult('placeRemove', id, false, 'not_empty');
+                        } else {
+                          next.placed.splice(idx, 1);
+                          try {
+                            await db.delete(chestState).where(and(eq(chestState.worldId, st.worldId), eq(chestState.chestId, id)));
+                          } catch {
+                            // best-effort
                           }
+                          pickedUpPlaced = ItemId.CHEST;
+                          setResult('placeRemove', id, true);
+                        }
+                      } else {
+                        // destroy: allow only if empty (same rule, for now)
+                        const slots = Array.isArray((rows[0].state as any)?.slots) ? (rows[0].state as any).slots : [];
+                        const nonEmpty = slots.some((s: any) => s && Number(s.qty || 0) > 0);
+                        if (nonEmpty) {
+                          setResult('placeRemove', id, false, 'not_empty');
                         } else {
-                          // destroy: allow only if empty (same rule, for now)
-                          const slots = Array.isArray((rows[0].state as any)?.slots) ? (rows[0].state as any).slots : [];
-                          const nonEmpty = slots.some((s: any) => s && Number(s.qty || 0) > 0);
-                          if (nonEmpty) {
-                            setResult('placeRemove', id, false, 'not_empty');
-                          } else {
-                            next.placed.splice(idx, 1);
-                            try {
-                              await db.delete(chestState).where(and(eq(chestState.worldId, st.worldId), eq(chestState.chestId, id)));
-                            } catch {
-                              // best-effort
-                            }
-                            setResult('placeRemove', id, true);
+                          next.placed.splice(idx, 1);
+                          try {
+                            await db.delete(chestState).where(and(eq(chestState.worldId, st.worldId), eq(chestState.chestId, id)));
+                          } catch {
+                            // best-effort
                           }
+                          setResult('placeRemove', id, true);
                         }
                       }
+                    }
+                  } catch {
+                    setResult('placeRemove', id, false, 'invalid');
+                  }
+                } else {
+                  // Other structures: anyone with build rights here (claim check above) may destroy;
+                  // picking up (getting the item back) is reserved to the owner.
+                  if (pickup && !(await mayTake(placedBy.ownerId))) {
+                    setResult('placeRemove', id, false, 'not_owner');
+                  } else if (type === 'campfire') {
+                    // Food still in the campfire (cooking or cooked) keeps it standing, even when it burns out.
+                    try {
+                      const cooking = await loadCampfireState(st.worldId, id);
+                      if (cooking && campfireHasItems(cooking)) {
+                        setResult('placeRemove', id, false, 'not_empty');
+                      } else {
+                        next.placed.splice(idx, 1);
+                        if (cooking) await deleteCampfireState(st.worldId, id);
+                        if (pickup) pickedUpPlaced = PLACED_ITEM[type];
+                        setResult('placeRemove', id, true);
+                      }
                     } catch {
                       setResult('placeRemove', id, false, 'invalid');
                     }
                   } else {
-                    // Other structures: allow any player for now.
                     next.placed.splice(idx, 1);
+                    if (pickup) pickedUpPlaced = PLACED_ITEM[type];
                     setResult('placeRemove', id, true);
                   }
                 }
               }
             }
+          } else if (msg.kind === 'deathDrop') {
+            const drop = st.deathDrop;
+            if (!eventId || !drop) {
+              setResult('deathDrop', eventId, false, 'invalid');
+            } else if (next.placed.some((p: any) => String(p?.id) === eventId)) {
+              setResult('deathDrop', eventId, false, 'duplicate');
+            } else {
+              try {
+                // The bag holds the stored save's inventory, not a list from the client.
+                const moved = await moveInventoryToLootBag({ worldId: st.worldId, guestId: st.guestId, bagId: eventId, now: new Date(t) });
+                if (!moved?.ok) {
+                  if (moved) app.log.warn({ event: 'ws_death_drop_rejected', worldId: st.worldId, playerId: st.id, violations: moved.violations }, 'death drop rejected (inventory ledger)');
+                  setResult('deathDrop', eventId, false, 'invalid');
+                } else {
+                  st.deathDrop = null;
+                  next.placed.push({ id: eventId, type: 'lootBag', x: drop.x, z: drop.z, ownerId: st.guestId, ownerName: st.name, placedAt: t });
+                  scheduleLootBagDespawn(st.worldId, cx, cz, eventId, t + LOOT_BAG.despawnMs);
+                  setResult('deathDrop', eventId, true);
+                }
+              } catch (err) {
+                app.log.error({ err, event: 'ws_death_drop_failed', worldId: st.worldId, playerId: st.id }, 'death drop failed (db)');
+                setResult('deathDrop', eventId, false, 'invalid');
+              }
+            }
+          } else if (msg.kind === 'itemDrop') {
+            const drops = groundItemsFromRawState(next);
+            const items = normalizeGroundItems((msg as any).items);
+            if (!eventId || st.dead || !items.length) {
+              setResult('itemDrop', eventId, false, 'invalid');
+            } else if (drops.some((d) => d.id === eventId)) {
+              setResult('itemDrop', eventId, false, 'duplicate');
+            } else {
+              // The items leave the dropper's ledger balance (refused beyond it); picking them up credits them back.
+              const res = await debit('itemDrop', eventId, items);
+              if (!res.ok) {
+                app.log.warn({ event: 'ws_item_drop_rejected', worldId: st.worldId, playerId: st.id, violations: res.violations }, 'item drop rejected (inventory ledger)');
+                setResult('itemDrop', eventId, false, 'invalid');
+              } else {
+                const drop: GroundItem = { id: eventId, items, x, z, ownerId: st.guestId, droppedAt: t };
+                next.drops = addGroundItem(drops, drop);
+                scheduleGroundItemDespawn(st.worldId, cx, cz, eventId, groundItemDespawnAt(drop));
+                setResult('itemDrop', eventId, true);
+              }
+            }
+          } else if (msg.kind === 'itemPickup') {
+            const drops = groundItemsFromRawState(next);
+            const drop = drops.find((d) => d.id === eventId);
+            if (!eventId || st.dead) {
+              setResult('itemPickup', eventId, false, 'invalid');
+            } else if (!drop) {
+              setResult('itemPickup', eventId, false, 'already_removed');
+            } else if (!(Math.hypot(drop.x - st.x, drop.z - st.z) <= env.WOODCUTTER_WORLD_EVENT_RADIUS)) {
+              setResult('itemPickup', eventId, false, 'invalid');
+            } else {
+              next.drops = drops.filter((d) => d.id !== eventId);
+              pickedUp = drop;
+              setResult('itemPickup', eventId, true);
+            }
+          } else if (msg.kind === 'claim') {
+            if (eventId !== claimIdOf(cx, cz)) {
+              setResult('claim', eventId, false, 'invalid');
+            } else if (claim) {
+              setResult('claim', eventId, false, claim.ownerId === st.guestId ? 'duplicate' : 'claimed');
+            } else if (isSpawnChunk(cx, cz)) {
+              setResult('claim', eventId, false, 'spawn');
+            } else if ((await countClaims(st.worldId, st.guestId)) >= env.WOODCUTTER_CLAIM_MAX_PER_PLAYER) {
+              setResult('claim', eventId, false, 'claim_limit');
+            } else if (!((await loadHeldItems({ guestId: st.guestId, worldId: st.worldId }))[ItemId.CLAIM_FLAG] > 0)) {
+              // Same rule as the fishing rod: the flag must be in the stored save.
+              setResult('claim', eventId, false, 'no_item');
+            } else if (!(await debit('claim', eventId, [{ id: ItemId.CLAIM_FLAG, qty: 1 }])).ok) {
+              // Claiming spends the flag (abandoning the claim credits it back).
+              setResult('claim', eventId, false, 'no_item');
+            } else {
+              next.claim = { ownerId: st.guestId, ownerName: st.name, trusted: [], claimedAt: t } satisfies LandClaim;
+              setResult('claim', eventId, true);
+            }
+          } else if (msg.kind === 'unclaim' || msg.kind === 'claimTrust') {
+            if (eventId !== claimIdOf(cx, cz) || !claim) {
+              setResult(msg.kind, eventId, false, 'invalid');
+            } else if (claim.ownerId !== st.guestId) {
+              setResult(msg.kind, eventId, false, 'claimed');
+            } else if (msg.kind === 'unclaim') {
+              delete next.claim;
+              returnedFlag = true;
+              setResult('unclaim', eventId, true);
+            } else {
+              next.claim = { ...claim, trusted: normTrusted((msg as any).trusted, claim.ownerId) } satisfies LandClaim;
+              setResult('claimTrust', eventId, true);
+            }
+          }
 
-            // Always notify the sender about accept/reject (prevents free loot on late arrival).
-            if (result && ws.readyState === ws.OPEN) ws.send(JSON.stringify(result));
+          // Always notify the sender about accept/reject (prevents free loot on late arrival).
+          if (result) sendWorldEventResult(ws, st, result);
 
-            if (!((result as any)?.ok)) return;
+          if (!((result as any)?.ok)) return;
 
-            const version = (chunk.version ?? 0) + 1;
+          const version = (chunk.version ?? 0) + 1;
+          try {
             await saveChunk({ worldId: st.worldId, chunkX: cx, chunkZ: cz, version, state: next });
+          } catch (err) {
+            await refundDebit();
+            throw err;
+          }
 
-            const out: WorldChunkMsg = {
-              t: 'worldChunk',
-              v: 1,
-              worldId: st.worldId,
-              chunkX: cx,
-              chunkZ: cz,
-              version,
-              state: {
-                removedTrees: activeRemoved(treeRespawnUntil),
-                removedRocks: activeRemoved(rockRespawnUntil),
-                removedSticks: activeRemoved(stickRespawnUntil),
-                removedBushes: activeRemoved(bushRespawnUntil),
-                removedOres: activeRemoved(oreRespawnUntil),
-                placed: next.placed,
-                farmPlots: Object.entries(next.farmPlots || {})
-                  .map(([id, p]: any) => ({
-                    id: String(id),
-                    x: Number(p?.x),
-                    z: Number(p?.z),
-                    tilledAt: Number(p?.tilledAt),
-                    seedId: p?.seedId != null ? String(p.seedId) : null,
-                    plantedAt: p?.plantedAt != null ? Number(p.plantedAt) : null,
-                    growMs: p?.growMs != null ? Number(p.growMs) : null,
-                  }))
-                  .filter((p: any) => p.id && Number.isFinite(p.x) && Number.isFinite(p.z) && Number.isFinite(p.tilledAt)),
-
-              },
-            };
+          const out: WorldChunkMsg = {
+            t: 'worldChunk',
+            v: 1,
+            worldId: st.worldId,
+            chunkX: cx,
+            chunkZ: cz,
+            version,
+            state: {
+              removedTrees: activeRemoved(treeRespawnUntil),
+              removedRocks: activeRemoved(rockRespawnUntil),
+              removedSticks: activeRemoved(stickRespawnUntil),
+              removedBushes: activeRemoved(bushRespawnUntil),
+              removedOres: activeRemoved(oreRespawnUntil),
+              placed: next.placed,
+              farmPlots: Object.entries(next.farmPlots || {})
+                .map(([id, p]: any) => ({
+                  id: String(id),
+                  x: Number(p?.x),
+                  z: Number(p?.z),
+                  tilledAt: Number(p?.tilledAt),
+                  seedId: p?.seedId != null ? String(p.seedId) : null,
+                  plantedAt: p?.plantedAt != null ? Number(p.plantedAt) : null,
+                  growMs: p?.growMs != null ? Number(p.growMs) : null,
+                }))
+                .filter((p: any) => p.id && Number.isFinite(p.x) && Number.isFinite(p.z) && Number.isFinite(p.tilledAt)),
+              claim: claimFromRawState(next),
+              drops: groundItemsFromRawState(next),
+            },
+          };
 
-            broadcastWorldChunk(st.worldId, cx, cz, out);
-          })
+          broadcastWorldChunk(st.worldId, cx, cz, out);
+
+          // Beds are respawn points (world/beds.ts): the placer's new one, or nobody's once removed.
+          if ((msg.kind === 'place' || msg.kind === 'placeRemove') && (msg as any).placeKind === 'bed') {
+            try {
+              if (msg.kind === 'place') await setPlayerBed({ worldId: st.worldId, guestId: st.guestId, bedId: eventId, x, z });
+              else await clearBed(st.worldId, eventId);
+            } catch (err) {
+              app.log.error({ err, event: 'ws_bed_failed', worldId: st.worldId, playerId: pid, id: eventId }, 'bed respawn point update failed');
+            }
+          }
+
+          // Loot is rolled only after the removal is persisted (no free loot on failed saves).
+          if (isLootKind(msg.kind)) {
+            try {
+              await grantLoot(ws, st, msg.kind, eventId);
+            } catch (err) {
+              app.log.error({ err, event: 'ws_loot_failed', worldId: st.worldId, playerId: pid, kind: msg.kind, id: eventId }, 'loot grant failed');
+            }
+          }
+
+          if (pickedUpPlaced) {
+            try {
+              await appendLedgerEntries({ guestId: st.guestId, worldId: st.worldId, reason: 'place', refId: eventId, items: [{ id: pickedUpPlaced, qty: 1 }] });
+            } catch (err) {
+              app.log.error({ err, event: 'ws_place_pickup_failed', worldId: st.worldId, playerId: pid, id: eventId }, 'structure pickup grant failed');
+            }
+          }
+          if (returnedFlag) {
+            try {
+              await appendLedgerEntries({ guestId: st.guestId, worldId: st.worldId, reason: 'claim', refId: eventId, items: [{ id: ItemId.CLAIM_FLAG, qty: 1 }] });
+            } catch (err) {
+              app.log.error({ err, event: 'ws_unclaim_flag_failed', worldId: st.worldId, playerId: pid, id: eventId }, 'claim flag grant failed');
+            }
+          }
+
+          // Drops were debited from the dropper, so whoever picks them up (the dropper included) is credited.
+          if (pickedUp) {
+            try {
+              await appendLedgerEntries({ guestId: st.guestId, worldId: st.worldId, reason: 'itemPickup', refId: pickedUp.id, items: pickedUp.items });
+              const out: InventoryDeltaMsg = { t: 'inventoryDelta', v: 1, kind: 'itemPickup', id: pickedUp.id, items: pickedUp.items, bonus: [] };
+              if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(out));
+            } catch (err) {
+              app.log.error({ err, event: 'ws_item_pickup_failed', worldId: st.worldId, playerId: pid, id: eventId }, 'item pickup grant failed');
+            }
+          }
+        })
           .catch((err) => {
             app.log.error({ err, event: 'ws_worldEvent_failed', worldId: st.worldId, playerId: pid, kind: msg.kind, id: eventId }, 'worldEvent failed');
             const out: WorldEventResultMsg = { t: 'worldEventResult', v: 1, kind: msg.kind, id: eventId, ok: false, reason: 'invalid' };
-            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(out));
+            sendWorldEventResult(ws, st, out);
           });
 
         })();
         return;
       }
 
+      if (msg.t === 'craft') {
+        const pid = ws.__playerId;
+        if (!pid) return;
+        const st = players.get(pid);
+        if (!st) return;
+        if (msg.v !== 1) return;
+
+        const reqId = Number(msg.reqId) || 0;
+        const recipeId = String(msg.recipeId || '');
+        const reply = (out: Omit<CraftResultMsg, 't' | 'v' | 'reqId' | 'recipeId'>) => {
+          const res: CraftResultMsg = { t: 'craftResult', v: 1, reqId, recipeId, ...out };
+          if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(res));
+        };
+
+        if (!craftLimiter.allow(1)) {
+          reply({ ok: false, reason: 'rate_limited' });
+          return;
+        }
+
+        void craftForPlayer({
+          guestId: st.guestId,
+          worldId: st.worldId,
+          recipeId,
+          nearForgeTable: () => isNearPlaced(st.worldId, st.x, st.z, 'forgeTable', CRAFT_STATION_RADIUS),
+        })
+          .then((res) => {
+            if (!res.ok) {
+              reply({ ok: false, reason: res.reason });
+              return;
+            }
+            reply({ ok: true, output: res.output, cost: res.cost });
+          })
+          .catch((err) => {
+            app.log.error({ err, event: 'ws_craft_failed', worldId: st.worldId, playerId: pid, recipeId }, 'craft failed');
+            reply({ ok: false, reason: 'unavailable' });
+          });
+        return;
+      }
+
+      if (msg.t === 'eat') {
+        const pid = ws.__playerId;
+        if (!pid) return;
+        const st = players.get(pid);
+        if (!st || st.dead) return;
+        if (msg.v !== 1) return;
+
+        const itemId = String(msg.itemId || '');
+        if (!FOOD_EFFECTS[itemId]) return;
+        void debitLedgerEntries({ guestId: st.guestId, worldId: st.worldId, reason: 'eat', items: [{ id: itemId, qty: 1 }] })
+          .then((res) => {
+            if (!res.ok) app.log.warn({ event: 'ws_eat_rejected', worldId: st.worldId, playerId: pid, violations: res.violations }, 'eat rejected (inventory ledger)');
+          })
+          .catch((err) => app.log.error({ err, event: 'ws_eat_failed', worldId: st.worldId, playerId: pid }, 'eat failed'));
+        return;
+      }
+
+      if (msg.t === 'chat') {
+        const pid = ws.__playerId;
+        if (!pid) return;
+        const st = players.get(pid);
+        if (!st) return;
+        if (msg.v !== 1 || !isChatChannel(msg.channel)) return;
+
+        const reject = (reason: ChatRejectedMsg['reason']) => {
+          const out: ChatRejectedMsg = { t: 'chatRejected', v: 1, reason };
+          if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(out));
+        };
+
+        const clean = sanitizeChatText(msg.text);
+        if (!clean.ok) {
+          if (clean.reason === 'too_long') reject('too_long');
+          return;
+        }
+        if (!chatLimiter.allow(1)) {
+          reject('rate_limited');
+          return;
+        }
+
+        let text: string | null = null;
+        try {
+          text = chatFilter(clean.text, { playerId: pid, worldId: st.worldId, channel: msg.channel });
+        } catch (err) {
+          app.log.error({ err, event: 'ws_chat_filter_failed', worldId: st.worldId, playerId: pid }, 'chat filter failed');
+        }
+        if (!text) {
+          reject('blocked');
+          return;
+        }
+
+        const out: ServerChatMsg = { t: 'chat', v: 1, channel: msg.channel, from: pid, text, at: nowMs() };
+        sendChatLocal(st.worldId, out, st);
+        bus.publish(st.worldId, { kind: 'chat', msg: out, x: st.x, z: st.z });
+        return;
+      }
+
       if (msg.t === 'teleport') {
         const pid = ws.__playerId;
         if (!pid) return;
@@ -1547,22 +3135,71 @@ return 1
         const st = players.get(pid);
         if (!st) return;
 
-        if (msg.v !== 1) return;
+        if (msg.v !== 1 || st.dead) return;
         if (![msg.x, msg.y, msg.z].every((n) => typeof n === 'number' && Number.isFinite(n))) return;
 
-        // Basic sanity clamp to avoid insane values.
-        const clamp = (v: number, a: number, b: number) => Math.max(a, Math.min(b, v));
-        st.x = clamp(msg.x, -500, 500);
-        st.y = clamp(msg.y, 0, 50);
-        st.z = clamp(msg.z, -500, 500);
+        // Only through a mine portal or a short hop; anything else keeps the server position
+        // (the client snaps back to it on the next snapshot).
+        const to = teleportTarget(st, msg.x, msg.z);
+        if (!to) {
+          app.log.warn({ event: 'ws_teleport_rejected', worldId: st.worldId, playerId: pid, x: msg.x, z: msg.z }, 'teleport rejected');
+          return;
+        }
+
+        // y lands on the ground at the target, as the tick would put it (mine floor ~y=0), give or
+        // take a small drop.
+        const terrain = worldRuntimes.get(st.worldId)?.terrain ?? defaultTerrain;
+        const minY = (isInMineXZ(to.x, to.z) ? 0 : terrain.getHeightAt(to.x, to.z)) + MOVEMENT.eyeHeight;
+        st.x = to.x;
+        st.y = Math.max(minY, Math.min(minY + TELEPORT_MAX_DROP, msg.y));
+        st.z = to.z;
         st.vy = 0;
         st.onGround = false;
-        st.input = undefined;
+        st.fallSafe = true;
+        // Inputs sent before the teleport no longer apply; count them as simulated.
+        st.inputQueue = [];
+        st.ackSeq = st.lastSeq;
         // same reasoning as input: do not trust client clock
         st.lastAtMs = nowMs();
         return;
       }
 
+      if (msg.t === 'respawn') {
+        const pid = ws.__playerId;
+        if (!pid) return;
+
+        const st = players.get(pid);
+        if (!st || !st.dead) return;
+        if (msg.v !== 1) return;
+
+        // Respawning never keeps the inventory: the bag drops first if no `deathDrop` did.
+        void dropPendingDeathBag(st)
+          .then(async (dropped) => {
+            const at = await respawnPointOf(st.worldId, st.guestId).catch(() => ({ x: WORLD_SPAWN.x, z: WORLD_SPAWN.z, atBed: false }));
+            if (!st.dead || players.get(pid) !== st) return;
+            const terrain = worldRuntimes.get(st.worldId)?.terrain ?? defaultTerrain;
+            st.x = at.x;
+            st.z = at.z;
+            st.y = terrain.getHeightAt(at.x, at.z) + MOVEMENT.eyeHeight;
+            st.vy = 0;
+            st.onGround = true;
+            st.fallSafe = true;
+            st.inputQueue = [];
+            st.ackSeq = st.lastSeq;
+            st.hp = HEALTH.max;
+            st.dead = false;
+            st.deathDrop = null;
+            persistHealth(st);
+
+            const out: RespawnedMsg = { t: 'respawned', v: 1, x: st.x, y: st.y, z: st.z, atBed: at.atBed, dropped };
+            sendToLocalPlayer(pid, JSON.stringify(out));
+            sendHealth(st);
+            app.log.info({ event: 'player_respawned', worldId: st.worldId, playerId: pid, atBed: at.atBed }, 'player respawned');
+          })
+          .catch((err) => app.log.error({ err, event: 'ws_death_drop_failed', worldId: st.worldId, playerId: pid }, 'death drop failed (db)'));
+        return;
+      }
+
       if (msg.t === 'input') {
         const pid = ws.__playerId;
         if (!pid) return;
@@ -1570,17 +3207,18 @@ return 1
         const st = players.get(pid);
         if (!st) return;
 
-        if (msg.v !== 1) return;
+        if (msg.v !== 1 && msg.v !== 2) return;
         if (typeof msg.seq !== 'number') return;
+        mpStats?.onInputBytes(st.worldId, buf.byteLength);
         if (msg.seq <= st.lastSeq) return;
 
-        // IMPORTANT: do NOT trust client clock for freshness.
-        // lastAtMs is used server-side to drop stale input; clock skew would cause
-        // the server to ignore all movement -> client drifts then gets pulled back.
+        // IMPORTANT: do NOT trust client clock for freshness (clock skew).
         st.lastAtMs = nowMs();
         st.lastSeq = msg.seq;
 
-        st.input = msg;
+        st.inputQueue.push(msg);
+        // A client far ahead of the server (stalled tab, flood) loses its oldest inputs.
+        if (st.inputQueue.length > INPUT_QUEUE_MAX) st.inputQueue.splice(0, st.inputQueue.length - INPUT_QUEUE_MAX);
 
         // Redis: renew room membership TTL on fresh input (keeps room list warm)
         if (redis) {
@@ -1589,6 +3227,7 @@ return 1
               .multi()
               .sAdd(keyRoomPlayers(st.worldId), pid)
               .expire(keyRoomPlayers(st.worldId), REDIS_TTL_ROOM_PLAYERS_S)
+              .expire(keyRoomNames(st.worldId), REDIS_TTL_ROOM_PLAYERS_S)
               .exec();
           } catch {
             // best-effort
@@ -1614,21 +3253,15 @@ return 1
       }
 
       // Remove from room
-      const ids = roomsLocal.get(st.worldId);
-      ids?.delete(pid);
-      if (ids && ids.size === 0) roomsLocal.delete(st.worldId);
+      leaveLocalRoom(st.worldId, pid);
+      announceRoster(st.worldId, { leave: [pid] }, pid);
+      persistHealth(st);
 
-      // Redis: best-effort remove from room set (otherwise TTL will clear).
-      if (redis) {
-        try {
-          void redis.sRem(keyRoomPlayers(st.worldId), pid);
-        } catch {
-          // best-effort
-        }
-      }
+      leaveRedisRoom(st.worldId, pid);
 
       mpStats?.onLeave(st.worldId);
       mpStats?.onConnClose();
+      touchWorld(st.worldId);
       app.log.info({ event: 'ws_leave', remoteAddress, worldId: st.worldId, playerId: pid }, 'ws player left');
 
       players.delete(pid);
@@ -1646,4 +3279,12 @@ return 1
       socket.destroy();
     }
   });
+
+  return {
+    /** Admin reset/archive: kicks the world's players on every pod so they rejoin a fresh world. */
+    closeWorld(worldId: string, reason: WorldClosedReason) {
+      closeWorldLocal(worldId, reason);
+      bus.publish(worldId, { kind: 'worldClosed', reason });
+    },
+  };
 }
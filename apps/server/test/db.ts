@@ -0,0 +1,37 @@
+import fs from 'node:fs';
+import { PGlite } from '@electric-sql/pglite';
+import { drizzle } from 'drizzle-orm/pglite';
+import { guests, playerState, worlds } from '../src/db/schema.js';
+import { runMigrations } from '../src/db/migrate.js';
+
+const DRIZZLE_DIR = new URL('../drizzle/', import.meta.url);
+// Base tables of every deployed database; the rest is created by `runMigrations` at boot.
+const BASE_MIGRATIONS = ['0000_steep_payback.sql', '0001_perpetual_xorn.sql'];
+
+export const TEST_WORLD = 'world-test';
+
+/**
+ * In-memory Postgres (PGlite) with the production schema, passed to the functions under test as
+ * their executor. Typed as the app's `db` so call sites read like production code.
+ */
+export async function createTestDb() {
+  const pg = new PGlite();
+  for (const f of BASE_MIGRATIONS) {
+    await pg.exec(fs.readFileSync(new URL(f, DRIZZLE_DIR), 'utf8').replaceAll('--> statement-breakpoint', ''));
+  }
+  await runMigrations(undefined, { query: (text) => pg.exec(text) });
+  const db = drizzle(pg) as unknown as typeof import('../src/db/client.js').db;
+  await db.insert(worlds).values({ id: TEST_WORLD, name: 'Test', seed: 1 });
+  return { pg, db };
+}
+
+type TestDb = Awaited<ReturnType<typeof createTestDb>>['db'];
+
+/** A guest in the test world, with a stored save when `state` is given. */
+export async function addPlayer(db: TestDb, guestId: string, state?: any, updatedAt = new Date()) {
+  await db.insert(guests).values({ id: guestId });
+  if (state) await db.insert(playerState).values({ guestId, worldId: TEST_WORLD, state, updatedAt });
+}
+
+/** A save holding these inventory slots (and nothing equipped). */
+export const saveWith = (...slots: Array<{ id: string; qty: number } | null>) => ({ inventory: { slots } });
@@ -0,0 +1,6 @@
+// Config the server modules read at import time (src/env.ts fails fast without a database URL).
+// Import this first in every test file: nothing connects to these URLs.
+process.env.DATABASE_URL ||= 'postgres://test@127.0.0.1:1/test';
+process.env.SHARED_REDIS_URL ||= 'redis://127.0.0.1:1';
+process.env.WOODCUTTER_ADMIN_GUEST_IDS = 'guest-admin-0001';
+process.env.WOODCUTTER_ABANDON_PICKUP_DAYS = '14';
@@ -0,0 +1,29 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ItemId } from '@jarvis-woodcutter-fps/shared';
+import { ForgeStateSchema, mergeForgeEdit } from '../src/world/forge.js';
+
+const forge = (slots: Record<string, any>) => ForgeStateSchema.parse(slots);
+
+test('a forge save keeps the slots the tick changed and applies the ones the player changed', () => {
+  const base = forge({ fuel: [{ id: ItemId.LOG, qty: 3 }, null], input: [{ id: ItemId.IRON_ORE, qty: 2 }, null] });
+  // Meanwhile the tick smelted one ore...
+  const cur = forge({ fuel: [{ id: ItemId.LOG, qty: 3 }, null], input: [{ id: ItemId.IRON_ORE, qty: 1 }, null], output: [{ id: ItemId.IRON_INGOT, qty: 1 }, null] });
+  // ...while the player only added fuel (its view still shows 2 ores and no bar).
+  const next = forge({ enabled: true, fuel: [{ id: ItemId.LOG, qty: 3 }, { id: ItemId.LOG, qty: 2 }], input: base.input });
+
+  const st = mergeForgeEdit(cur, base, next);
+  assert.ok(st);
+  assert.equal(st.enabled, true);
+  assert.deepEqual(st.fuel, next.fuel);
+  assert.deepEqual(st.input, cur.input);
+  assert.deepEqual(st.output, cur.output);
+});
+
+test('a forge save that changes a slot the tick also changed is stale', () => {
+  const base = forge({ input: [{ id: ItemId.IRON_ORE, qty: 2 }, null] });
+  const cur = forge({ input: [{ id: ItemId.IRON_ORE, qty: 1 }, null], output: [{ id: ItemId.IRON_INGOT, qty: 1 }, null] });
+  const next = forge({ input: [{ id: ItemId.IRON_ORE, qty: 5 }, null] });
+  assert.equal(mergeForgeEdit(cur, base, next), null);
+});
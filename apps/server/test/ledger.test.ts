@@ -0,0 +1,135 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { COOKING_RECIPES, ItemId, RecipeId, SMELTING_RECIPES } from '@jarvis-woodcutter-fps/shared';
+import { and, eq } from 'drizzle-orm';
+import { inventoryLedger, playerState } from '../src/db/schema.js';
+import { appendLedgerEntries, checkStateAgainstLedger, debitLedgerEntries, getLedgerBalance, ledgerItems, recordContainerTransfer } from '../src/inventory/ledger.js';
+import { craftForPlayer } from '../src/inventory/crafting.js';
+import { addPlayer, createTestDb, saveWith, TEST_WORLD as worldId } from './db.js';
+
+const { db } = await createTestDb();
+
+test('a player without ledger entries is grandfathered from the stored save', async () => {
+  const guestId = 'guest-baseline';
+  await addPlayer(db, guestId, saveWith({ id: ItemId.LOG, qty: 10 }));
+
+  assert.deepEqual(await checkStateAgainstLedger({ guestId, worldId, state: saveWith({ id: ItemId.LOG, qty: 10 }) }, db), { ok: true });
+  assert.deepEqual(await checkStateAgainstLedger({ guestId, worldId, state: saveWith({ id: ItemId.LOG, qty: 11 }) }, db), {
+    ok: false,
+    violations: [{ id: ItemId.LOG, held: 11, allowed: 10 }],
+  });
+  // The baseline is written once: the second check didn't grant the stored save again.
+  assert.equal((await getLedgerBalance({ guestId, worldId }, db)).balance[ItemId.LOG], 10);
+});
+
+test('saves are checked per bucket against what the server granted', async () => {
+  const guestId = 'guest-save';
+  await addPlayer(db, guestId, saveWith());
+  await checkStateAgainstLedger({ guestId, worldId, state: saveWith() }, db);
+  await appendLedgerEntries({ guestId, worldId, reason: 'fishCatch', items: [{ id: ItemId.TROUT, qty: 2 }] }, db);
+
+  // Any fish counts against the one fish bucket, untracked items (tools) are not checked.
+  const fish = saveWith({ id: ItemId.RAW_FISH, qty: 1 }, { id: ItemId.CATFISH, qty: 1 }, { id: ItemId.AXE_STONE, qty: 1 });
+  assert.deepEqual(await checkStateAgainstLedger({ guestId, worldId, state: fish }, db), { ok: true });
+  const res = await checkStateAgainstLedger({ guestId, worldId, state: saveWith({ id: ItemId.TROUT, qty: 3 }) }, db);
+  assert.equal(res.ok, false);
+  assert.deepEqual(!res.ok && res.violations, [{ id: ItemId.RAW_FISH, held: 3, allowed: 2 }]);
+});
+
+test('every forge and campfire output is tracked', () => {
+  // Outputs share their input's bucket: an untracked input would leave the output unchecked.
+  for (const r of [...SMELTING_RECIPES, ...COOKING_RECIPES]) {
+    assert.equal(ledgerItems([{ id: r.output.id, qty: 1 }]).length, 1, r.output.id);
+  }
+});
+
+test('cooked meat counts against the raw meat it was cooked from', async () => {
+  const guestId = 'guest-cook';
+  await addPlayer(db, guestId, saveWith());
+  await checkStateAgainstLedger({ guestId, worldId, state: saveWith() }, db);
+
+  // Cooked meat the server never granted (no raw meat picked up) is refused.
+  const forged = await checkStateAgainstLedger({ guestId, worldId, state: saveWith({ id: ItemId.COOKED_MEAT, qty: 1 }) }, db);
+  assert.deepEqual(forged, { ok: false, violations: [{ id: ItemId.RAW_MEAT, held: 1, allowed: 0 }] });
+
+  await appendLedgerEntries({ guestId, worldId, reason: 'itemPickup', items: [{ id: ItemId.RAW_MEAT, qty: 2 }] }, db);
+  const cooked = saveWith({ id: ItemId.COOKED_MEAT, qty: 1 }, { id: ItemId.RAW_MEAT, qty: 1 });
+  assert.deepEqual(await checkStateAgainstLedger({ guestId, worldId, state: cooked }, db), { ok: true });
+  assert.equal((await checkStateAgainstLedger({ guestId, worldId, state: saveWith({ id: ItemId.COOKED_MEAT, qty: 3 }) }, db)).ok, false);
+});
+
+test('debits are refused beyond the balance and leave it untouched', async () => {
+  const guestId = 'guest-debit';
+  await addPlayer(db, guestId, saveWith());
+  await appendLedgerEntries({ guestId, worldId, reason: 'rockCollect', items: [{ id: ItemId.STONE, qty: 3 }] }, db);
+
+  const over = await db.transaction((tx) => debitLedgerEntries({ guestId, worldId, reason: 'itemDrop', items: [{ id: ItemId.STONE, qty: 4 }] }, tx));
+  assert.deepEqual(over, { ok: false, violations: [{ id: ItemId.STONE, held: 4, allowed: 3 }] });
+  const ok = await db.transaction((tx) => debitLedgerEntries({ guestId, worldId, reason: 'itemDrop', items: [{ id: ItemId.STONE, qty: 2 }] }, tx));
+  assert.deepEqual(ok, { ok: true });
+  assert.equal((await getLedgerBalance({ guestId, worldId }, db)).balance[ItemId.STONE], 1);
+});
+
+test('container writes debit deposits and credit withdrawals', async () => {
+  const guestId = 'guest-chest';
+  await addPlayer(db, guestId, saveWith());
+  await appendLedgerEntries({ guestId, worldId, reason: 'treeCut', items: [{ id: ItemId.LOG, qty: 5 }] }, db);
+  const transfer = (before: any[], after: any[]) =>
+    db.transaction((tx) => recordContainerTransfer({ guestId, worldId, reason: 'chest', refId: 'chest-1', before, after }, tx));
+
+  assert.deepEqual(await transfer([null], [{ id: ItemId.LOG, qty: 4 }]), { ok: true });
+  assert.equal((await getLedgerBalance({ guestId, worldId }, db)).balance[ItemId.LOG], 1);
+  // Depositing more than the player holds is refused...
+  assert.equal((await transfer([{ id: ItemId.LOG, qty: 4 }], [{ id: ItemId.LOG, qty: 6 }])).ok, false);
+  // ...taking items out gives them back.
+  assert.deepEqual(await transfer([{ id: ItemId.LOG, qty: 4 }], [{ id: ItemId.LOG, qty: 1 }]), { ok: true });
+  assert.equal((await getLedgerBalance({ guestId, worldId }, db)).balance[ItemId.LOG], 4);
+});
+
+test('crafting debits the cost and credits the output', async () => {
+  const guestId = 'guest-craft';
+  await addPlayer(db, guestId, saveWith());
+  await checkStateAgainstLedger({ guestId, worldId, state: saveWith() }, db);
+  const craft = () => craftForPlayer({ guestId, worldId, recipeId: RecipeId.TORCH, nearForgeTable: async () => false }, db);
+
+  // The stored save holds the cost, but nothing backs it in the ledger.
+  const state = saveWith({ id: ItemId.STICK, qty: 4 }, { id: ItemId.LEAF, qty: 8 }, null);
+  await db.update(playerState).set({ state }).where(and(eq(playerState.guestId, guestId), eq(playerState.worldId, worldId)));
+  assert.deepEqual(await craft(), { ok: false, reason: 'missing_cost' });
+
+  await appendLedgerEntries({ guestId, worldId, reason: 'stickCollect', items: [{ id: ItemId.STICK, qty: 4 }] }, db);
+  await appendLedgerEntries({ guestId, worldId, reason: 'bushCollect', items: [{ id: ItemId.LEAF, qty: 8 }] }, db);
+  const res = await craft();
+  assert.equal(res.ok, true);
+  const { balance } = await getLedgerBalance({ guestId, worldId }, db);
+  assert.deepEqual([balance[ItemId.STICK], balance[ItemId.LEAF], balance[ItemId.TORCH]], [0, 0, 1]);
+  // The crafted torch is backed by the ledger: the next save holding it passes.
+  assert.deepEqual(await checkStateAgainstLedger({ guestId, worldId, state: saveWith({ id: ItemId.TORCH, qty: 1 }) }, db), { ok: true });
+});
+
+test('a ledger from before crafted items were tracked gets them from the stored save once', async () => {
+  const guestId = 'guest-v1';
+  await addPlayer(db, guestId, saveWith({ id: ItemId.TORCH, qty: 1 }, { id: ItemId.LOG, qty: 3 }));
+  await appendLedgerEntries({ guestId, worldId, reason: 'treeCut', items: [{ id: ItemId.LOG, qty: 3 }] }, db);
+
+  const state = saveWith({ id: ItemId.TORCH, qty: 1 }, { id: ItemId.LOG, qty: 3 });
+  assert.deepEqual(await checkStateAgainstLedger({ guestId, worldId, state }, db), { ok: true });
+  const { balance } = await getLedgerBalance({ guestId, worldId }, db);
+  // Only the newly tracked torch was added: logs were already tracked and stay as granted.
+  assert.deepEqual([balance[ItemId.TORCH], balance[ItemId.LOG]], [1, 3]);
+  assert.equal((await checkStateAgainstLedger({ guestId, worldId, state: saveWith({ id: ItemId.TORCH, qty: 2 }) }, db)).ok, false);
+});
+
+test('a v2 ledger gets the creature drops from the stored save once', async () => {
+  const guestId = 'guest-v2';
+  const state = saveWith({ id: ItemId.RAW_MEAT, qty: 2 }, { id: ItemId.HIDE, qty: 1 }, { id: ItemId.TORCH, qty: 1 });
+  await addPlayer(db, guestId, state);
+  // Ledger written before v3: the torch is already backed, meat and hide were not tracked.
+  await db.insert(inventoryLedger).values({ guestId, worldId, itemId: ItemId.TORCH, qty: 1, reason: 'baseline', refId: '2' });
+
+  assert.deepEqual(await checkStateAgainstLedger({ guestId, worldId, state }, db), { ok: true });
+  const { balance } = await getLedgerBalance({ guestId, worldId }, db);
+  assert.deepEqual([balance[ItemId.RAW_MEAT], balance[ItemId.HIDE], balance[ItemId.TORCH]], [2, 1, 1]);
+  assert.equal((await checkStateAgainstLedger({ guestId, worldId, state: saveWith({ id: ItemId.HIDE, qty: 2 }) }, db)).ok, false);
+});
@@ -0,0 +1,38 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { ItemId } from '@jarvis-woodcutter-fps/shared';
+import { appendLedgerEntries, checkStateAgainstLedger, getLedgerBalance } from '../src/inventory/ledger.js';
+import { moveInventoryToLootBag } from '../src/world/lootBags.js';
+import { addPlayer, createTestDb, saveWith, TEST_WORLD as worldId } from './db.js';
+
+const { db } = await createTestDb();
+
+const die = (guestId: string) => moveInventoryToLootBag({ worldId, guestId, bagId: crypto.randomUUID(), now: new Date() }, db);
+
+test('dying drops the stored inventory and writes off loot picked up since the last save', async () => {
+  const guestId = 'guest-death';
+  await addPlayer(db, guestId, { ...saveWith({ id: ItemId.LOG, qty: 2 }), equipment: { backpack: { id: ItemId.BACKPACK, qty: 1 } } });
+  await appendLedgerEntries({ guestId, worldId, reason: 'treeCut', items: [{ id: ItemId.LOG, qty: 5 }, { id: ItemId.STONE, qty: 1 }] }, db);
+  await appendLedgerEntries({ guestId, worldId, reason: 'craft', items: [{ id: ItemId.BACKPACK, qty: 1 }] }, db);
+
+  const moved = await die(guestId);
+  assert.deepEqual(moved?.ok && moved.slots.filter(Boolean), [{ id: ItemId.LOG, qty: 2 }]);
+  const { balance } = await getLedgerBalance({ guestId, worldId }, db);
+  // The 3 unsaved logs and the stone are gone too; the equipped backpack stays backed.
+  assert.deepEqual([balance[ItemId.LOG], balance[ItemId.STONE], balance[ItemId.BACKPACK]], [0, 0, 1]);
+  const replay = saveWith({ id: ItemId.LOG, qty: 3 });
+  assert.equal((await checkStateAgainstLedger({ guestId, worldId, state: replay }, db)).ok, false);
+});
+
+test('dying with an empty stored inventory still writes off the balance', async () => {
+  const guestId = 'guest-death-empty';
+  await addPlayer(db, guestId, saveWith(null, null));
+  await appendLedgerEntries({ guestId, worldId, reason: 'fishCatch', items: [{ id: ItemId.TROUT, qty: 2 }] }, db);
+
+  assert.equal(await die(guestId), null);
+  // Written off under the fish bucket: no fish of any kind is backed anymore.
+  const res = await checkStateAgainstLedger({ guestId, worldId, state: saveWith({ id: ItemId.TROUT, qty: 1 }) }, db);
+  assert.deepEqual(res, { ok: false, violations: [{ id: ItemId.RAW_FISH, held: 1, allowed: 0 }] });
+});
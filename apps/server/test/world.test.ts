@@ -0,0 +1,70 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkOfXZ, SPAWN } from '@jarvis-woodcutter-fps/shared';
+import { worldChunkState } from '../src/db/schema.js';
+import { canBuildInClaim, claimFromRawState, countClaims, isSpawnChunk } from '../src/world/claims.js';
+import { canPickupPlaced } from '../src/world/ownership.js';
+import { chestAccessFor } from '../src/routes/chestState.js';
+import { addPlayer, createTestDb, saveWith, TEST_WORLD as worldId } from './db.js';
+
+const { db } = await createTestDb();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.now();
+
+test('claims: owner and trusted players build, others do not', () => {
+  const claim = claimFromRawState({ claim: { ownerId: 'a', ownerName: 'A', trusted: ['b', 'a', 'b', ''], claimedAt: 5 } });
+  assert.deepEqual(claim, { ownerId: 'a', ownerName: 'A', trusted: ['b'], claimedAt: 5 });
+  assert.equal(canBuildInClaim(claim, 'a'), true);
+  assert.equal(canBuildInClaim(claim, 'b'), true);
+  assert.equal(canBuildInClaim(claim, 'c'), false);
+  assert.equal(canBuildInClaim(null, 'c'), true);
+  assert.equal(claimFromRawState({ claim: { ownerName: 'no owner' } }), null);
+});
+
+test('claims: the spawn chunk stays public', () => {
+  const s = chunkOfXZ(SPAWN.x, SPAWN.z);
+  assert.equal(isSpawnChunk(s.cx, s.cz), true);
+  assert.equal(isSpawnChunk(s.cx + 1, s.cz), false);
+});
+
+test('claims are counted per owner and world', async () => {
+  const claim = (ownerId: string) => ({ claim: { ownerId, ownerName: ownerId, trusted: [], claimedAt: now } });
+  await db.insert(worldChunkState).values([
+    { worldId, chunkX: 10, chunkZ: 10, state: claim('counted') },
+    { worldId, chunkX: 11, chunkZ: 10, state: claim('counted') },
+    { worldId, chunkX: 12, chunkZ: 10, state: claim('other') },
+    { worldId, chunkX: 13, chunkZ: 10, state: {} },
+  ]);
+  assert.equal(await countClaims(worldId, 'counted', db), 2);
+  assert.equal(await countClaims(worldId, 'nobody', db), 0);
+});
+
+test('placed structures: owner, legacy entries and admins may always pick up', async () => {
+  const base = { worldId, ownerId: 'owner', placedAt: now, ownerOnline: false, now };
+  assert.equal(await canPickupPlaced({ ...base, guestId: 'owner' }, db), true);
+  assert.equal(await canPickupPlaced({ ...base, ownerId: '', guestId: 'someone' }, db), true);
+  assert.equal(await canPickupPlaced({ ...base, guestId: 'guest-admin-0001' }, db), true);
+  assert.equal(await canPickupPlaced({ ...base, guestId: 'someone' }, db), false);
+});
+
+test('placed structures: others only pick up once the owner is gone for the configured days', async () => {
+  await addPlayer(db, 'owner-away', saveWith(), new Date(now - 20 * DAY_MS));
+  await addPlayer(db, 'owner-recent', saveWith(), new Date(now - DAY_MS));
+  const old = { worldId, guestId: 'someone', placedAt: now - 30 * DAY_MS, ownerOnline: false, now };
+
+  assert.equal(await canPickupPlaced({ ...old, ownerId: 'owner-away' }, db), true);
+  // Still saving in this world, online, or a structure placed recently: kept.
+  assert.equal(await canPickupPlaced({ ...old, ownerId: 'owner-recent' }, db), false);
+  assert.equal(await canPickupPlaced({ ...old, ownerId: 'owner-away', ownerOnline: true }, db), false);
+  assert.equal(await canPickupPlaced({ ...old, ownerId: 'owner-away', placedAt: now - DAY_MS }, db), false);
+});
+
+test('chest access: owner, shared, public, forbidden', () => {
+  const acl = { ownerId: 'owner', allowed: ['friend'], isPublic: false };
+  assert.equal(chestAccessFor(acl, 'owner'), 'owner');
+  assert.equal(chestAccessFor(acl, 'friend'), 'shared');
+  assert.equal(chestAccessFor(acl, 'stranger'), 'forbidden');
+  assert.equal(chestAccessFor({ ...acl, isPublic: true }, 'stranger'), 'public');
+});
@@ -20,7 +20,7 @@ export class Inventory {
   }
 
   /**
-   * Adds quantity of an item. Returns leftover (discarded).
+   * Adds quantity of an item. Returns the leftover that did not fit (the game drops it on the ground).
    * Stackable items will fill existing stacks. Non-stackables occupy one slot per unit.
    * @param {string} id
    * @param {number} qty
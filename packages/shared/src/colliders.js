@@ -0,0 +1,382 @@
+// Static world collision shared by client and server: mine mountain (exterior), the fence
+// around the mine area, mine tunnel walls and placed-structure radii, plus the river path.
+// Client managers build their meshes from the same paths, so what you see is what both
+// sides collide with.
+
+/** @typedef {{x: number, z: number, r: number}} Collider */
+
+const normXZ = (x, z) => {
+  const d = Math.hypot(x, z) || 1
+  return { x: x / d, z: z / d }
+}
+
+// ---------------- river ----------------
+
+export const RIVER = Object.freeze({ radius: 96, width: 8, segments: 240 })
+
+/** Lake patch on the river seam (hides the loop's "end"). */
+export const LAKE = Object.freeze({ center: Object.freeze({ x: 102, z: 0 }), radius: 6.2 })
+
+/**
+ * River centerline distance from the origin at bearing `a` (radians, atan2(z, x)).
+ * @param {number} a
+ * @param {number} [radius]
+ */
+export function riverRadiusAt(a, radius = RIVER.radius) {
+  // Multi-frequency wobble.
+  return radius + Math.sin(a * 2.2 + 0.4) * 6.2 + Math.sin(a * 5.6 + 1.7) * 3.4 + Math.sin(a * 11.3 + 2.4) * 1.8
+}
+
+/**
+ * Approximate distance from world XZ to the river centerline, measured along the bearing
+ * (the loop is star-shaped around the origin).
+ * @param {number} x
+ * @param {number} z
+ * @param {number} [radius]
+ */
+export function riverDistanceAt(x, z, radius = RIVER.radius) {
+  // The wobble isn't 2π-periodic: use the path's [0, 2π) parametrization.
+  let a = Math.atan2(z, x)
+  if (a < 0) a += Math.PI * 2
+  return Math.abs(Math.hypot(x, z) - riverRadiusAt(a, radius))
+}
+
+/**
+ * Closed serpentine loop around the playable area (`segments + 1` points, last = first).
+ * @param {{radius?: number, segments?: number}} [opts]
+ */
+export function buildRiverPath({ radius = RIVER.radius, segments = RIVER.segments } = {}) {
+  const pts = []
+  for (let i = 0; i <= segments; i++) {
+    const a = (i / segments) * Math.PI * 2
+    const rr = riverRadiusAt(a, radius)
+    pts.push({ x: Math.cos(a) * rr, z: Math.sin(a) * rr })
+  }
+  return pts
+}
+
+// ---------------- mine mountain (exterior) ----------------
+
+/**
+ * Rectangular mountain whose flat face (with the portal) looks towards the forest (origin).
+ * coreW: Z span of the flat face/portal, detailW: Z span incl. lateral dressing, depth: X span.
+ */
+export const MINE_MOUNTAIN = Object.freeze({
+  center: Object.freeze({ x: 58, z: -18 }),
+  coreW: 9,
+  detailW: 36,
+  depth: 22,
+  height: 7.02,
+})
+
+/** Circle around the mountain footprint (terrain flattening, resource exclusion). */
+export const MINE_MOUNTAIN_RADIUS = Math.hypot(MINE_MOUNTAIN.depth, MINE_MOUNTAIN.detailW) * 0.5
+
+/** Portal position on the mountain face plus the face frame (towards forest / along face). */
+export function mineEntrance() {
+  const { center, depth } = MINE_MOUNTAIN
+  const toForest = Math.hypot(center.x, center.z) < 1e-3 ? { x: -1, z: 0 } : normXZ(-center.x, -center.z)
+  const right = { x: -toForest.z, z: toForest.x }
+  // Slight epsilon outside the block to avoid z-fighting.
+  const halfD = depth * 0.5 + 0.02
+  return { x: center.x + toForest.x * halfD, z: center.z + toForest.z * halfD, toForest, right }
+}
+
+/**
+ * Perimeter of the sculpted mountain (keeps the portal opening free).
+ * @returns {Collider[]}
+ */
+export function buildMountainColliders() {
+  const { center, coreW, detailW, depth } = MINE_MOUNTAIN
+  const cx = center.x
+  const cz = center.z
+  const { x: ex, z: ez, toForest, right } = mineEntrance()
+
+  const halfD = depth * 0.5
+  const halfW = detailW * 0.5
+  // Opening matches the flat core width.
+  const openHalf = coreW * 0.5 + 0.25
+
+  // Two bands + midpoints to avoid diagonal leaks.
+  const bandA = { off: 0.15, r: 1.35 }
+  const bandB = { off: 1.15, r: 1.05 }
+
+  const out = []
+  const pushBands = (wx, wz, nwx, nwz) => {
+    const o = normXZ(nwx, nwz)
+    out.push({ x: wx + o.x * bandA.off, z: wz + o.z * bandA.off, r: bandA.r })
+    out.push({ x: wx + o.x * bandB.off, z: wz + o.z * bandB.off, r: bandB.r })
+  }
+
+  const noise = (t) => 0.35 * Math.sin(t * 7.1) + 0.22 * Math.sin(t * 13.7 + 1.3)
+
+  // Perimeter point in local (sd, sw) plus the local outward normal.
+  const perimeterPoint = (edgeId, t) => {
+    let sdv, swv, nx, nz
+    if (edgeId === 0) {
+      // forest face: sd=+halfD
+      sdv = halfD
+      swv = -halfW + halfW * 2 * t
+      nx = 1
+      nz = 0
+    } else if (edgeId === 1) {
+      // back: sd=-halfD
+      sdv = -halfD
+      swv = -halfW + halfW * 2 * t
+      nx = -1
+      nz = 0
+    } else if (edgeId === 2) {
+      // left: sw=-halfW
+      sdv = -halfD + halfD * 2 * t
+      swv = -halfW
+      nx = 0
+      nz = -1
+    } else {
+      // right: sw=+halfW
+      sdv = -halfD + halfD * 2 * t
+      swv = halfW
+      nx = 0
+      nz = 1
+    }
+
+    const n = noise(edgeId + t)
+
+    if (edgeId === 0) {
+      // Forest face: keep the opening clean; indent outside it to break the rectangle.
+      const a = Math.abs(swv)
+      if (a < openHalf) return null
+
+      const az2 = Math.min(1, (a - openHalf) / Math.max(0.001, halfW - openHalf))
+      sdv -= 1.4 + az2 * 4.6
+
+      // small irregularity far from opening
+      if (a > openHalf + 1.0) {
+        sdv += nx * n * 0.35
+        swv += nz * n * 0.35
+      }
+    } else {
+      // Other edges can wobble a bit.
+      sdv += nx * n
+      swv += nz * n
+    }
+
+    return { sdv, swv, nx, nz }
+  }
+
+  const pushPerimeter = (edgeId, t) => {
+    const p = perimeterPoint(edgeId, t)
+    if (!p) return
+    pushBands(
+      cx + toForest.x * p.sdv + right.x * p.swv,
+      cz + toForest.z * p.sdv + right.z * p.swv,
+      toForest.x * p.nx + right.x * p.nz,
+      toForest.z * p.nx + right.z * p.nz,
+    )
+  }
+
+  const edgeSamples = 28
+  for (let edgeId = 0; edgeId < 4; edgeId++) {
+    for (let i = 0; i <= edgeSamples; i++) {
+      pushPerimeter(edgeId, i / edgeSamples)
+      if (i < edgeSamples) pushPerimeter(edgeId, (i + 0.5) / edgeSamples)
+    }
+  }
+
+  // Funnel near the portal (helps prevent clipping around opening edges)
+  out.push({ x: ex + right.x * 2.0, z: ez + right.z * 2.0, r: 0.95 })
+  out.push({ x: ex - right.x * 2.0, z: ez - right.z * 2.0, r: 0.95 })
+
+  // Fill: prevents corner squeezing into interior.
+  out.push({ x: cx, z: cz, r: 2.0 })
+  return out
+}
+
+/** Surface colliders (outside the mine): mountain first, then the mine area fence. */
+export function buildWorldColliders() {
+  return [...buildMountainColliders(), ...buildMineFenceColliders()]
+}
+
+// ---------------- mine interior ----------------
+
+/** Interior placement: kept far away, reached via portal teleport. */
+export const MINE_ORIGIN = Object.freeze({ x: -1200, z: 1200 })
+
+export const MINE_TUNNEL = Object.freeze({
+  /** Half-width (≈ 4.6m wide). */
+  radius: 2.3,
+  /** Half-height (≈ 4.0m tall). */
+  halfHeight: 2.0,
+  /** Catmull-Rom tension; lower reduces overshoot. */
+  tension: 0.22,
+  wallR: 0.85,
+})
+
+/**
+ * Mine portals: trigger circle (XZ) and where it puts the player. `enter` is at the mountain face
+ * and leads into the mine, `exit` is at the tunnel start and leads back out. The client teleports
+ * through them; the server only accepts teleports to these targets from near their trigger.
+ */
+export function minePortals() {
+  const e = mineEntrance()
+  return {
+    enter: { x: e.x - 0.6, z: e.z, r: 1.35, to: { x: MINE_ORIGIN.x + 2.2, z: MINE_ORIGIN.z } },
+    exit: { x: MINE_ORIGIN.x + 1.4, z: MINE_ORIGIN.z, r: 1.35, to: { x: e.x - 2.6, z: e.z } },
+  }
+}
+
+/** Main tunnel control points, relative to MINE_ORIGIN. */
+export const MINE_PATH = Object.freeze([
+  { x: 1.0, z: 0.0 },
+  { x: 9.0, z: 2.2 },
+  { x: 18.0, z: 8.2 },
+  { x: 30.0, z: 3.4 },
+  { x: 42.0, z: -4.8 },
+  { x: 56.0, z: -1.6 },
+  { x: 68.0, z: 6.0 },
+].map((p) => Object.freeze(p)))
+
+/** Tunnel control points in world XZ. */
+export function minePathPoints() {
+  return MINE_PATH.map((p) => ({ x: MINE_ORIGIN.x + p.x, z: MINE_ORIGIN.z + p.z }))
+}
+
+const MINE_POINTS = minePathPoints()
+
+/**
+ * Point + (unnormalized) tangent on the tunnel centerline, t in [0, 1].
+ * Same parametrization as THREE.CatmullRomCurve3 ('catmullrom', open curve), including
+ * its reflected end points, so the client mesh follows the collision path exactly.
+ * @param {number} t
+ */
+export function minePointAt(t) {
+  const pts = MINE_POINTS
+  const l = pts.length
+  const u = (l - 1) * Math.max(0, Math.min(1, t))
+  let i = Math.floor(u)
+  let w = u - i
+  if (w === 0 && i === l - 1) {
+    i = l - 2
+    w = 1
+  }
+
+  const p1 = pts[i]
+  const p2 = pts[i + 1]
+  const p0 = i > 0 ? pts[i - 1] : { x: 2 * pts[0].x - pts[1].x, z: 2 * pts[0].z - pts[1].z }
+  const p3 = i + 2 < l ? pts[i + 2] : { x: 2 * pts[l - 1].x - pts[l - 2].x, z: 2 * pts[l - 1].z - pts[l - 2].z }
+
+  const k = MINE_TUNNEL.tension
+  const m1 = { x: (p2.x - p0.x) * k, z: (p2.z - p0.z) * k }
+  const m2 = { x: (p3.x - p1.x) * k, z: (p3.z - p1.z) * k }
+
+  // Cubic Hermite: p(t) = c0 + c1 t + c2 t^2 + c3 t^3
+  const coef = (a, b, ma, mb) => [a, ma, -3 * a + 3 * b - 2 * ma - mb, 2 * a - 2 * b + ma + mb]
+  const cx = coef(p1.x, p2.x, m1.x, m2.x)
+  const cz = coef(p1.z, p2.z, m1.z, m2.z)
+  const w2 = w * w
+  const w3 = w2 * w
+
+  return {
+    p: { x: cx[0] + cx[1] * w + cx[2] * w2 + cx[3] * w3, z: cz[0] + cz[1] * w + cz[2] * w2 + cz[3] * w3 },
+    tan: { x: cx[1] + 2 * cx[2] * w + 3 * cx[3] * w2, z: cz[1] + 2 * cz[2] * w + 3 * cz[3] * w2 },
+  }
+}
+
+/** Horizontal side vector of the tunnel (up × tangent), normalized. */
+export function mineSideAt(t) {
+  const { tan } = minePointAt(t)
+  if (Math.hypot(tan.x, tan.z) < 1e-6) return { x: 1, z: 0 }
+  return normXZ(tan.z, -tan.x)
+}
+
+/**
+ * Tunnel walls (+ midpoints against diagonal clipping), end cap and entry posts.
+ * @returns {Collider[]}
+ */
+export function buildMineColliders() {
+  const out = []
+  const off = MINE_TUNNEL.radius - 0.35
+  const wallR = MINE_TUNNEL.wallR
+
+  const pushWalls = (t) => {
+    const { p } = minePointAt(t)
+    const side = mineSideAt(t)
+    out.push({ x: p.x + side.x * off, z: p.z + side.z * off, r: wallR })
+    out.push({ x: p.x - side.x * off, z: p.z - side.z * off, r: wallR })
+  }
+
+  const samples = 26
+  for (let i = 0; i <= samples; i++) {
+    pushWalls(i / samples)
+    if (i < samples) pushWalls((i + 0.5) / samples)
+  }
+
+  // Cap to prevent walking off the end.
+  const end = minePointAt(1).p
+  out.push({ x: end.x, z: end.z, r: 2.2 })
+
+  // Entry "posts" inside the mine (avoid clipping near portal)
+  out.push({ x: MINE_ORIGIN.x + 1.0, z: MINE_ORIGIN.z + 2.4, r: 0.8 })
+  out.push({ x: MINE_ORIGIN.x + 1.0, z: MINE_ORIGIN.z - 2.4, r: 0.8 })
+  return out
+}
+
+/** Bounding box around the mine corridors (rough, but fast). */
+export const MINE_BOUNDS = Object.freeze({
+  minX: MINE_ORIGIN.x - 10,
+  maxX: MINE_ORIGIN.x + 85,
+  minZ: MINE_ORIGIN.z - 25,
+  maxZ: MINE_ORIGIN.z + 30,
+})
+
+export function isInMineXZ(x, z) {
+  return x >= MINE_BOUNDS.minX && x <= MINE_BOUNDS.maxX && z >= MINE_BOUNDS.minZ && z <= MINE_BOUNDS.maxZ
+}
+
+/**
+ * Ring just outside MINE_BOUNDS. The world is open, so this keeps surface players from
+ * walking into the mine area (where collision switches to the tunnel set).
+ * @returns {Collider[]}
+ */
+export function buildMineFenceColliders() {
+  const { minX, maxX, minZ, maxZ } = MINE_BOUNDS
+  const r = 1.0
+  // Circle edges stay clear of the box by more than the player radius.
+  const pad = r + 0.5
+  const step = 1.2
+  const x0 = minX - pad
+  const x1 = maxX + pad
+  const z0 = minZ - pad
+  const z1 = maxZ + pad
+
+  const out = []
+  const nx = Math.ceil((x1 - x0) / step)
+  const nz = Math.ceil((z1 - z0) / step)
+  for (let i = 0; i <= nx; i++) {
+    const x = x0 + ((x1 - x0) * i) / nx
+    out.push({ x, z: z0, r }, { x, z: z1, r })
+  }
+  for (let i = 1; i < nz; i++) {
+    const z = z0 + ((z1 - z0) * i) / nz
+    out.push({ x: x0, z, r }, { x: x1, z, r })
+  }
+  return out
+}
+
+// ---------------- placed structures ----------------
+
+/** Solid placed structures and their XZ radius. Campfires are walkable. */
+export const PLACED_COLLIDER_RADIUS = Object.freeze({
+  forge: 1.15,
+  forgeTable: 1.2,
+  chest: 0.9,
+})
+
+/**
+ * @param {string} type placed entry type
+ * @returns {Collider | null}
+ */
+export function placedCollider(type, x, z) {
+  const r = PLACED_COLLIDER_RADIUS[type]
+  if (!r || !Number.isFinite(x) || !Number.isFinite(z)) return null
+  return { x, z, r }
+}
@@ -0,0 +1,123 @@
+import { ItemId } from './items.js'
+
+/** How long a lit campfire burns (seconds) before it goes out. */
+export const CAMPFIRE_BURN_SECONDS = 180
+
+/** Cooking slots (raw food) on a campfire; each one cooks on its own timer. */
+export const CAMPFIRE_COOK_SLOTS = 3
+
+/** Max stack size in campfire output slots. */
+export const CAMPFIRE_OUTPUT_MAX_STACK = 100
+
+/**
+ * Cooking recipes (campfire): one `input` item becomes `output` after `seconds` over a lit fire.
+ * Client (UI, local simulation) and server (catch-up when opened) both read this table.
+ */
+export const COOKING_RECIPES = [
+  { input: ItemId.APPLE, output: { id: ItemId.BAKED_APPLE, qty: 1 }, seconds: 6 },
+  { input: ItemId.RAW_MEAT, output: { id: ItemId.COOKED_MEAT, qty: 1 }, seconds: 12 },
+  { input: ItemId.RAW_FISH, output: { id: ItemId.COOKED_FISH, qty: 1 }, seconds: 9 },
+  { input: ItemId.TROUT, output: { id: ItemId.COOKED_FISH, qty: 1 }, seconds: 9 },
+  { input: ItemId.CATFISH, output: { id: ItemId.COOKED_FISH, qty: 1 }, seconds: 12 },
+]
+
+/** Buffs granted by eating food (timers live in the player save as `<buff>UntilMs`). */
+export const BUFFS = {
+  luck: { name: 'Sorte', icon: '🍎', hud: 'Sorte x2' },
+  strength: { name: 'Força', icon: '🍖', hud: 'Força +50%' },
+  steady: { name: 'Destreza', icon: '🍣', hud: 'Destreza' },
+}
+
+/** Edible items: the buff each one grants and the hunger it restores (survival). Raw food is not edible. */
+export const FOOD_EFFECTS = {
+  [ItemId.APPLE]: { buff: 'luck', seconds: 5 * 60, hunger: 12 },
+  [ItemId.BAKED_APPLE]: { buff: 'luck', seconds: 8 * 60, hunger: 22 },
+  [ItemId.COOKED_MEAT]: { buff: 'strength', seconds: 5 * 60, hunger: 45 },
+  [ItemId.COOKED_FISH]: { buff: 'steady', seconds: 5 * 60, hunger: 35 },
+}
+
+/** Strength: axe/pickaxe damage multiplier. */
+export const STRENGTH_DAMAGE_MULT = 1.5
+
+/** Steady: chance that a tool hit still wears the tool (the rest are free). */
+export const STEADY_WEAR_CHANCE = 0.5
+
+export function findCookingRecipe(inputId) {
+  return COOKING_RECIPES.find((r) => r.input === inputId) || null
+}
+
+export function buffUntilKey(buff) {
+  return `${buff}UntilMs`
+}
+
+export function campfireHasItems(st) {
+  const has = (arr) => (arr || []).some((s) => s && (s.qty ?? 0) > 0)
+  return has(st?.cook) || has(st?.output)
+}
+
+function addOutput(output, id, qty) {
+  for (let i = 0; i < output.length && qty > 0; i++) {
+    const s = output[i]
+    if (!s || s.id !== id) continue
+    const can = Math.min(qty, CAMPFIRE_OUTPUT_MAX_STACK - (s.qty ?? 0))
+    if (can <= 0) continue
+    s.qty = (s.qty ?? 0) + can
+    qty -= can
+  }
+  for (let i = 0; i < output.length && qty > 0; i++) {
+    if (output[i]) continue
+    const put = Math.min(qty, CAMPFIRE_OUTPUT_MAX_STACK)
+    output[i] = { id, qty: put }
+    qty -= put
+  }
+  return qty <= 0
+}
+
+function outputRoom(output, id) {
+  let room = 0
+  for (const s of output) {
+    if (!s) room += CAMPFIRE_OUTPUT_MAX_STACK
+    else if (s.id === id) room += Math.max(0, CAMPFIRE_OUTPUT_MAX_STACK - (s.qty ?? 0))
+  }
+  return room
+}
+
+/**
+ * Cooks for `dtSec` seconds of lit fire: every cooking slot advances its own timer and moves one
+ * cooked unit to the output per recipe time, while the output has room. Slots without a recipe keep
+ * their progress at 0. Mutates `st` (normalizing `cook`/`prog`/`output`); returns units cooked.
+ */
+export function advanceCooking(st, dtSec) {
+  if (!Array.isArray(st.cook)) st.cook = Array(CAMPFIRE_COOK_SLOTS).fill(null)
+  if (!Array.isArray(st.output)) st.output = Array(CAMPFIRE_COOK_SLOTS).fill(null)
+  if (!Array.isArray(st.prog)) st.prog = []
+  const dt = Math.max(0, Number(dtSec) || 0)
+
+  let cooked = 0
+  for (let i = 0; i < st.cook.length; i++) {
+    const s = st.cook[i]
+    const recipe = s && (s.qty ?? 0) > 0 ? findCookingRecipe(s.id) : null
+    if (!recipe) {
+      st.prog[i] = 0
+      continue
+    }
+
+    // Whole units this slot can finish: limited by time, stack size and output room.
+    const room = Math.floor(outputRoom(st.output, recipe.output.id) / recipe.output.qty)
+    let prog = (Number(st.prog[i]) || 0) + dt
+    const units = Math.min(Math.floor(prog / recipe.seconds), s.qty, room)
+    if (units > 0) {
+      prog -= units * recipe.seconds
+      s.qty -= units
+      addOutput(st.output, recipe.output.id, units * recipe.output.qty)
+      cooked += units
+    }
+    if (s.qty <= 0) {
+      st.cook[i] = null
+      prog = 0
+    }
+    // Blocked by a full output: hold at "almost done" until there is room.
+    st.prog[i] = Math.min(prog, recipe.seconds)
+  }
+  return cooked
+}
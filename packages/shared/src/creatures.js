@@ -0,0 +1,83 @@
+import { ItemId } from './items.js'
+
+/**
+ * Wildlife. The server simulates it around the players (wander, flee, hunt) and replicates each
+ * creature as a snapshot entry whose id is `c:<kind>:<n>`. Deer and rabbits run from players;
+ * wolves only come out at night and hunt them. A kill drops `loot` on the ground.
+ */
+export const CREATURES = {
+  deer: {
+    name: 'Cervo',
+    hp: 60,
+    /** m/s */
+    walkSpeed: 1.6,
+    runSpeed: 7.5,
+    /** Body radius (m, XZ). */
+    radius: 0.55,
+    /** Runs from players closer than this (m). */
+    fleeRadius: 12,
+    loot: [
+      { id: ItemId.HIDE, min: 1, max: 2 },
+      { id: ItemId.RAW_MEAT, min: 2, max: 3 },
+    ],
+  },
+  rabbit: {
+    name: 'Coelho',
+    hp: 15,
+    walkSpeed: 1.2,
+    runSpeed: 6.5,
+    radius: 0.25,
+    fleeRadius: 7,
+    loot: [
+      { id: ItemId.RAW_MEAT, min: 1, max: 1 },
+      { id: ItemId.HIDE, min: 0, max: 1 },
+    ],
+  },
+  wolf: {
+    name: 'Lobo',
+    hp: 80,
+    walkSpeed: 2.0,
+    /** Faster than walking, slower than sprinting. */
+    runSpeed: 7.2,
+    radius: 0.45,
+    fleeRadius: 0,
+    hostile: true,
+    nightOnly: true,
+    /** Starts hunting players closer than this (m) and gives up past `giveUpRadius`. */
+    aggroRadius: 16,
+    giveUpRadius: 26,
+    attackRange: 1.7,
+    attackDamage: 12,
+    attackCooldownSec: 1.4,
+    loot: [
+      { id: ItemId.HIDE, min: 2, max: 2 },
+      { id: ItemId.RAW_MEAT, min: 1, max: 2 },
+    ],
+  },
+}
+
+export const CREATURE = {
+  /** Damage of one player hit (any tool swing). */
+  hitDamage: 20,
+  /** A chunk whose creature was killed stays empty this long (ms). */
+  respawnMs: 3 * 60_000,
+}
+
+const ID_RE = /^c:([a-z]+):\d+$/
+
+/** Kind of a creature id (`c:deer:12` -> `deer`); null for anything else (e.g. player ids). */
+export function creatureKindOf(id) {
+  const m = ID_RE.exec(String(id ?? ''))
+  return m && Object.hasOwn(CREATURES, m[1]) ? m[1] : null
+}
+
+/** Items dropped by a killed creature. */
+export function rollCreatureLoot(kind, rnd = Math.random) {
+  const def = CREATURES[kind]
+  const out = []
+  for (const l of def?.loot ?? []) {
+    const qty = l.min + Math.floor(rnd() * (l.max - l.min + 1))
+    if (qty > 0) out.push({ id: l.id, qty })
+  }
+  return out
+}
@@ -0,0 +1,28 @@
+/**
+ * Day/night cycle. 24 in-game hours take 20 real minutes: the day (sunrise -> sunset) lasts 15,
+ * the night 5. Every world runs on the same wall clock, so the server (night-only wildlife) and
+ * the clients agree on the time of day.
+ */
+export const DAY_CYCLE = {
+  sunrise: 6,
+  sunset: 18,
+  /** Real seconds from sunrise to sunset. */
+  realDaySeconds: 15 * 60,
+  /** Real seconds from sunset to sunrise. */
+  realNightSeconds: 5 * 60,
+}
+
+/** In-game hours [0, 24) at epoch `ms` (a cycle starts at sunrise). */
+export function worldHoursAt(ms) {
+  const { sunrise, sunset, realDaySeconds, realNightSeconds } = DAY_CYCLE
+  const cycle = realDaySeconds + realNightSeconds
+  const t = ((((Number(ms) || 0) / 1000) % cycle) + cycle) % cycle
+  if (t < realDaySeconds) return sunrise + (t / realDaySeconds) * (sunset - sunrise)
+  return (sunset + ((t - realDaySeconds) / realNightSeconds) * (24 - sunset + sunrise)) % 24
+}
+
+/** @param {number} hours */
+export function isNightHours(hours) {
+  const h = Number(hours) || 0
+  return h < DAY_CYCLE.sunrise || h >= DAY_CYCLE.sunset
+}
@@ -0,0 +1,99 @@
+import { RIVER, riverDistanceAt } from './colliders.js'
+import { isNightHours } from './dayCycle.js'
+import { GENERATION_DEFAULTS } from './generation.js'
+import { ItemId } from './items.js'
+
+/**
+ * Fishing with a rod: cast at the river or the lake, wait for a bite, strike and reel it in.
+ * The minigame runs on the client; the catch is a `fishCatch` world event and the server rolls
+ * the loot (`rollFishCatch`) from the water body and the world hour.
+ */
+export const FISHING = {
+  /** Water surface height (river and lake meshes); their beds are carved below it. */
+  waterY: 0.02,
+  /** Max distance from the player to the bobber (m, XZ). */
+  castRange: 12,
+  /** Wait for a bite after the cast (ms). */
+  biteMinMs: 3000,
+  biteMaxMs: 10000,
+  /** Time to strike after the bite before the fish lets go (ms). */
+  strikeWindowMs: 1200,
+  /** Reeling with the button held the whole time (s); the fish pulls back now and then. */
+  reelSeconds: 2.5,
+  /** Server: one catch per player per this long (the shortest possible bite + reel). */
+  minCatchIntervalMs: 5000,
+}
+
+/** @typedef {'river' | 'lake'} WaterBody */
+
+/**
+ * Which water is at XZ (null on land). The lake is checked first: it overlaps the river seam.
+ * @param {number} x
+ * @param {number} z
+ * @param {import('./generation.js').Generation} [generation]
+ * @returns {WaterBody | null}
+ */
+export function waterBodyAt(x, z, generation = GENERATION_DEFAULTS) {
+  const lake = generation.lake
+  if (Math.hypot(x - lake.x, z - lake.z) < lake.radius) return 'lake'
+  if (riverDistanceAt(x, z, generation.riverRadius) < RIVER.width * 0.5) return 'river'
+  return null
+}
+
+/**
+ * Catch odds per water body and time of day (`weight` is relative). Trout like the running
+ * river by day; catfish come up at night, mostly in the lake. Now and then the hook brings
+ * back junk instead.
+ */
+export const FISH_LOOT = {
+  river: {
+    day: [
+      { id: ItemId.RAW_FISH, weight: 55 },
+      { id: ItemId.TROUT, weight: 30 },
+      { id: ItemId.STICK, weight: 15 },
+    ],
+    night: [
+      { id: ItemId.RAW_FISH, weight: 45 },
+      { id: ItemId.TROUT, weight: 15 },
+      { id: ItemId.CATFISH, weight: 25 },
+      { id: ItemId.STICK, weight: 15 },
+    ],
+  },
+  lake: {
+    day: [
+      { id: ItemId.RAW_FISH, weight: 70 },
+      { id: ItemId.CATFISH, weight: 10 },
+      { id: ItemId.LEAF, weight: 20 },
+    ],
+    night: [
+      { id: ItemId.RAW_FISH, weight: 45 },
+      { id: ItemId.CATFISH, weight: 45 },
+      { id: ItemId.LEAF, weight: 10 },
+    ],
+  },
+}
+
+/**
+ * @param {WaterBody} water
+ * @param {number} hours in-game hours (`worldHoursAt`, or `TimeSystem.hours` on the client)
+ */
+export function fishLootTable(water, hours) {
+  const t = FISH_LOOT[water] ?? FISH_LOOT.lake
+  return isNightHours(hours) ? t.night : t.day
+}
+
+/**
+ * One catch: a single item picked by weight.
+ * @param {WaterBody} water
+ * @param {number} hours
+ */
+export function rollFishCatch(water, hours, rnd = Math.random) {
+  const table = fishLootTable(water, hours)
+  const total = table.reduce((s, e) => s + e.weight, 0)
+  let r = rnd() * total
+  for (const e of table) {
+    r -= e.weight
+    if (r < 0) return [{ id: e.id, qty: 1 }]
+  }
+  return [{ id: table[table.length - 1].id, qty: 1 }]
+}
@@ -0,0 +1,56 @@
+import { ItemId } from './items.js'
+
+/** Burn time (seconds) added per consumed fuel item. */
+export const FORGE_FUEL_SECONDS = {
+  [ItemId.LOG]: 22,
+  [ItemId.STICK]: 6,
+  [ItemId.LEAF]: 2,
+  [ItemId.CHARCOAL]: 45,
+}
+
+/** Max stack size in forge output slots. */
+export const FORGE_OUTPUT_MAX_STACK = 100
+
+/**
+ * Smelting recipes (forge): one `input` item becomes `output` after `seconds` of burn time.
+ * Client (UI, offline simulation) and server (forge tick) both read this table.
+ */
+export const SMELTING_RECIPES = [
+  { input: ItemId.IRON_ORE, output: { id: ItemId.IRON_INGOT, qty: 1 }, seconds: 10 },
+  { input: ItemId.STONE, output: { id: ItemId.SMOOTH_STONE, qty: 1 }, seconds: 8 },
+  { input: ItemId.LOG, output: { id: ItemId.CHARCOAL, qty: 1 }, seconds: 12 },
+  { input: ItemId.SAND, output: { id: ItemId.GLASS, qty: 1 }, seconds: 15 },
+]
+
+export function findSmeltingRecipe(inputId) {
+  return SMELTING_RECIPES.find((r) => r.input === inputId) || null
+}
+
+export function isForgeFuel(itemId) {
+  return (FORGE_FUEL_SECONDS[itemId] || 0) > 0
+}
+
+/** Whether `qty` of `itemId` fits in the forge output slots. */
+export function forgeOutputFits(output, itemId, qty = 1) {
+  let room = 0
+  for (const s of output || []) {
+    if (!s) room += FORGE_OUTPUT_MAX_STACK
+    else if (s.id === itemId) room += Math.max(0, FORGE_OUTPUT_MAX_STACK - (s.qty ?? 0))
+  }
+  return room >= qty
+}
+
+/**
+ * What the forge smelts next: the first input slot holding a smeltable item whose output fits.
+ * @returns {null | { slot: number, recipe: typeof SMELTING_RECIPES[number] }}
+ */
+export function forgeSmeltTarget(st) {
+  const input = st?.input || []
+  for (let i = 0; i < input.length; i++) {
+    const s = input[i]
+    if (!s || !((s.qty ?? 0) > 0)) continue
+    const recipe = findSmeltingRecipe(s.id)
+    if (recipe && forgeOutputFits(st.output, recipe.output.id, recipe.output.qty)) return { slot: i, recipe }
+  }
+  return null
+}
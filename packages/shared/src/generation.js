@@ -0,0 +1,54 @@
+// Per-world generation config (stored next to the world seed, `worlds.generation`). Both
+// sides normalize the raw JSON the same way, so a bad or partial row still yields the same
+// layout on client and server.
+
+import { LAKE, RIVER } from './colliders.js'
+
+/** Defaults reproduce the original hand-tuned layout. */
+export const GENERATION_DEFAULTS = Object.freeze({
+  /** Multiplier on trees per chunk. */
+  treeDensity: 1,
+  /** Multiplier on iron veins in the mine and ore per break. */
+  oreRichness: 1,
+  /** Mean distance of the river loop from the origin (m). */
+  riverRadius: RIVER.radius,
+  lake: Object.freeze({ x: LAKE.center.x, z: LAKE.center.z, radius: LAKE.radius }),
+})
+
+/** Accepted ranges; the river must stay clear of the mine mountain. */
+export const GENERATION_LIMITS = Object.freeze({
+  treeDensity: Object.freeze([0, 3]),
+  oreRichness: Object.freeze([0.25, 4]),
+  riverRadius: Object.freeze([90, 320]),
+  lakeXZ: Object.freeze([-400, 400]),
+  lakeRadius: Object.freeze([3, 30]),
+})
+
+/** @typedef {{treeDensity: number, oreRichness: number, riverRadius: number, lake: {x: number, z: number, radius: number}}} Generation */
+
+const clampOr = (v, [min, max], fallback) => {
+  const n = Number(v)
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback
+}
+
+/**
+ * Fills defaults and clamps every field into range.
+ * @param {any} [raw]
+ * @returns {Generation}
+ */
+export function normalizeGeneration(raw) {
+  const g = raw && typeof raw === 'object' ? raw : {}
+  const lake = g.lake && typeof g.lake === 'object' ? g.lake : {}
+  const D = GENERATION_DEFAULTS
+  const L = GENERATION_LIMITS
+  return {
+    treeDensity: clampOr(g.treeDensity, L.treeDensity, D.treeDensity),
+    oreRichness: clampOr(g.oreRichness, L.oreRichness, D.oreRichness),
+    riverRadius: clampOr(g.riverRadius, L.riverRadius, D.riverRadius),
+    lake: {
+      x: clampOr(lake.x, L.lakeXZ, D.lake.x),
+      z: clampOr(lake.z, L.lakeXZ, D.lake.z),
+      radius: clampOr(lake.radius, L.lakeRadius, D.lake.radius),
+    },
+  }
+}
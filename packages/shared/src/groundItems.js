@@ -0,0 +1,27 @@
+import { ITEMS } from './items.js'
+
+/**
+ * Items lying on the ground (inventory overflow, or dragged out of the inventory). Each one is a small
+ * pile of stacks kept in its chunk's state; anyone nearby can pick it up until it despawns.
+ */
+export const GROUND_ITEM = {
+  /** Stacks in one pile. */
+  maxStacks: 8,
+  maxStack: 100,
+  despawnMs: 10 * 60_000,
+  /** Piles per chunk (the oldest one goes away to make room). */
+  maxPerChunk: 40,
+}
+
+/** Known items with a sane quantity (empty when nothing is valid). */
+export function normalizeGroundItems(raw) {
+  const out = []
+  for (const s of Array.isArray(raw) ? raw : []) {
+    if (!s || typeof s !== 'object' || !ITEMS[s.id]) continue
+    const qty = Math.floor(Number(s.qty))
+    if (!(qty > 0 && qty <= GROUND_ITEM.maxStack)) continue
+    out.push(s.meta != null ? { id: s.id, qty, meta: s.meta } : { id: s.id, qty })
+    if (out.length >= GROUND_ITEM.maxStacks) break
+  }
+  return out
+}
@@ -0,0 +1,40 @@
+/**
+ * Player health. The server tracks it (fall damage in the movement tick, hazards in the health
+ * tick) and streams it to the player; the client shows it and keeps the last value in its save.
+ */
+export const HEALTH = {
+  max: 100,
+  /** Landing faster than this (m/s, downwards) hurts. A plain jump lands at ~MOVEMENT.jumpSpeed. */
+  fallSafeSpeed: 11,
+  /** Damage per m/s of landing speed above `fallSafeSpeed`. */
+  fallDamagePerSpeed: 8,
+  /** Standing this close (m, XZ) to a lit campfire burns. */
+  fireRadius: 0.9,
+  fireDamagePerSec: 10,
+  /** Natural regeneration once nothing has hurt the player for `regenDelaySec`. */
+  regenPerSec: 0.5,
+  regenDelaySec: 10,
+}
+
+/** Where players spawn (and respawn without a bed), in XZ. */
+export const WORLD_SPAWN = Object.freeze({ x: 0, z: 6 })
+
+/** Damage sources (death screen / death messages). */
+export const DAMAGE_CAUSES = {
+  fall: { label: 'Queda', died: 'morreu de uma queda' },
+  fire: { label: 'Fogo', died: 'morreu queimado' },
+  wolf: { label: 'Lobo', died: 'foi morto por um lobo' },
+}
+
+/** Fall damage for landing with vertical speed `vy` (negative = falling). */
+export function fallDamage(vy) {
+  const over = -(Number(vy) || 0) - HEALTH.fallSafeSpeed
+  return over > 0 ? Math.round(over * HEALTH.fallDamagePerSpeed) : 0
+}
+
+/** Save-safe health value: missing/invalid is full, otherwise clamped to 0..max. */
+export function normalizeHealth(v) {
+  const n = Number(v)
+  if (v == null || !Number.isFinite(n)) return HEALTH.max
+  return Math.max(0, Math.min(HEALTH.max, n))
+}
@@ -0,0 +1,383 @@
+// Type declarations for the shared (plain JS) game data used by client and server.
+
+export declare const ItemId: {
+  readonly LOG: 'log';
+  readonly STICK: 'stick';
+  readonly LEAF: 'leaf';
+  readonly COTTON_SEED: 'cotton_seed';
+  readonly FIBER: 'fiber';
+  readonly ROPE: 'rope';
+  readonly HOE_METAL: 'hoe_metal';
+  readonly STONE: 'stone';
+  readonly IRON_ORE: 'iron_ore';
+  readonly IRON_INGOT: 'iron_ingot';
+  readonly SAND: 'sand';
+  readonly SMOOTH_STONE: 'smooth_stone';
+  readonly CHARCOAL: 'charcoal';
+  readonly GLASS: 'glass';
+  readonly BACKPACK: 'backpack';
+  readonly WOODCUTTER_HAT: 'woodcutter_hat';
+  readonly WOODCUTTER_SHIRT: 'woodcutter_shirt';
+  readonly WOODCUTTER_PANTS: 'woodcutter_pants';
+  readonly WOODCUTTER_BOOTS: 'woodcutter_boots';
+  readonly WOODCUTTER_GLOVES: 'woodcutter_gloves';
+  readonly APPLE: 'apple';
+  readonly BAKED_APPLE: 'baked_apple';
+  readonly RAW_MEAT: 'raw_meat';
+  readonly COOKED_MEAT: 'cooked_meat';
+  readonly RAW_FISH: 'raw_fish';
+  readonly COOKED_FISH: 'cooked_fish';
+  readonly HIDE: 'hide';
+  readonly TROUT: 'trout';
+  readonly CATFISH: 'catfish';
+  readonly AXE_STONE: 'axe_stone';
+  readonly AXE_METAL: 'axe_metal';
+  readonly PICKAXE_STONE: 'pickaxe_stone';
+  readonly PICKAXE_METAL: 'pickaxe_metal';
+  readonly TORCH: 'torch';
+  readonly CAMPFIRE: 'campfire';
+  readonly FORGE: 'forge';
+  readonly FORGE_TABLE: 'forge_table';
+  readonly CHEST: 'chest';
+  readonly CLAIM_FLAG: 'claim_flag';
+  readonly BED: 'bed';
+  readonly FISHING_ROD: 'fishing_rod';
+};
+
+export type ItemDef = {
+  id: string;
+  name: string;
+  icon: string;
+  stackable: boolean;
+  equipSlot?: 'hat' | 'shirt' | 'pants' | 'boots' | 'gloves' | 'backpack';
+};
+
+export declare const ITEMS: Record<string, ItemDef>;
+
+export type ItemStack = { id: string; qty: number; meta?: Record<string, any> };
+
+export type Recipe = {
+  id: string;
+  name: string;
+  output: ItemStack;
+  cost: Array<{ id: string; qty: number }>;
+};
+
+export declare const RecipeId: Record<string, string>;
+
+export declare const DURABILITY: {
+  AXE_STONE_MAX: number;
+  AXE_METAL_MAX: number;
+  PICKAXE_STONE_MAX: number;
+  PICKAXE_METAL_MAX: number;
+  HOE_METAL_MAX: number;
+  FISHING_ROD_MAX: number;
+  TORCH_MAX: number;
+};
+
+export declare const TOOL_STATS: Record<string, { dmg: number; maxDur: number }>;
+
+export declare const RECIPES: Recipe[];
+export declare const FORGE_TABLE_RECIPES: Recipe[];
+
+export type CraftStation = 'hand' | 'forgeTable';
+
+export declare function findRecipe(recipeId: string): { recipe: Recipe; station: CraftStation } | null;
+
+export declare const FORGE_FUEL_SECONDS: Record<string, number>;
+export declare const FORGE_OUTPUT_MAX_STACK: number;
+
+export type SmeltingRecipe = { input: string; output: { id: string; qty: number }; seconds: number };
+
+export declare const SMELTING_RECIPES: SmeltingRecipe[];
+export declare function findSmeltingRecipe(inputId: string): SmeltingRecipe | null;
+export declare function isForgeFuel(itemId: string): boolean;
+export declare function forgeOutputFits(output: Array<{ id: string; qty: number } | null> | undefined, itemId: string, qty?: number): boolean;
+export declare function forgeSmeltTarget(st: {
+  input?: Array<{ id: string; qty: number } | null>;
+  output?: Array<{ id: string; qty: number } | null>;
+}): { slot: number; recipe: SmeltingRecipe } | null;
+
+export type CookingRecipe = { input: string; output: { id: string; qty: number }; seconds: number };
+export type BuffId = 'luck' | 'strength' | 'steady';
+export type CampfireCookState = {
+  cook?: Array<{ id: string; qty: number } | null>;
+  prog?: number[];
+  output?: Array<{ id: string; qty: number } | null>;
+};
+
+export declare const CAMPFIRE_BURN_SECONDS: number;
+export declare const CAMPFIRE_COOK_SLOTS: number;
+export declare const CAMPFIRE_OUTPUT_MAX_STACK: number;
+export declare const COOKING_RECIPES: CookingRecipe[];
+export declare const FOOD_EFFECTS: Record<string, { buff: BuffId; seconds: number; hunger: number }>;
+export declare const BUFFS: Record<BuffId, { name: string; icon: string; hud: string }>;
+export declare const STRENGTH_DAMAGE_MULT: number;
+export declare const STEADY_WEAR_CHANCE: number;
+export declare function findCookingRecipe(inputId: string): CookingRecipe | null;
+export declare function buffUntilKey(buff: BuffId): string;
+export declare function campfireHasItems(st: CampfireCookState | null | undefined): boolean;
+export declare function advanceCooking(st: CampfireCookState, dtSec: number): number;
+
+export type SurvivalMeters = { hunger: number; stamina: number };
+export type SurvivalState = SurvivalMeters & { restSec?: number; exhausted?: boolean };
+export declare const SURVIVAL: {
+  readonly max: number;
+  readonly hungerDrainPerSec: number;
+  readonly staminaRegenPerSec: number;
+  readonly staminaRegenDelaySec: number;
+  readonly sprintDrainPerSec: number;
+  readonly jumpCost: number;
+  readonly chopCost: number;
+  readonly exhaustedRecoverAt: number;
+};
+export declare function staminaRegenMult(hunger: number): number;
+export declare function normalizeSurvival(v: unknown): SurvivalMeters;
+export declare function spendStamina(st: SurvivalState, cost: number): boolean;
+export declare function stepSurvival(st: SurvivalState, dtSec: number, opts?: { sprinting?: boolean }): void;
+export declare function canSprint(st: SurvivalState): boolean;
+
+export type DamageCause = 'fall' | 'fire' | 'wolf';
+export declare const HEALTH: {
+  readonly max: number;
+  readonly fallSafeSpeed: number;
+  readonly fallDamagePerSpeed: number;
+  readonly fireRadius: number;
+  readonly fireDamagePerSec: number;
+  readonly regenPerSec: number;
+  readonly regenDelaySec: number;
+};
+export declare const WORLD_SPAWN: Readonly<{ x: number; z: number }>;
+export declare const DAMAGE_CAUSES: Record<DamageCause, { label: string; died: string }>;
+export declare function fallDamage(vy: number): number;
+export declare function normalizeHealth(v: unknown): number;
+
+export declare const LOOT_BAG: {
+  readonly slots: number;
+  readonly maxStack: number;
+  readonly ownerOnlyMs: number;
+  readonly despawnMs: number;
+};
+export declare function normalizeLootBagSlots(raw: unknown): Array<null | { id: string; qty: number; meta?: any }>;
+export declare function canOpenLootBag(params: { ownerId: string; guestId: string; droppedAt: number; now?: number }): boolean;
+
+export declare const GROUND_ITEM: {
+  readonly maxStacks: number;
+  readonly maxStack: number;
+  readonly despawnMs: number;
+  readonly maxPerChunk: number;
+};
+export declare function normalizeGroundItems(raw: unknown): Array<{ id: string; qty: number; meta?: any }>;
+
+export declare const DAY_CYCLE: {
+  readonly sunrise: number;
+  readonly sunset: number;
+  readonly realDaySeconds: number;
+  readonly realNightSeconds: number;
+};
+export declare function worldHoursAt(ms: number): number;
+export declare function isNightHours(hours: number): boolean;
+
+export type CreatureKind = 'deer' | 'rabbit' | 'wolf';
+export type CreatureDef = {
+  name: string;
+  hp: number;
+  walkSpeed: number;
+  runSpeed: number;
+  radius: number;
+  fleeRadius: number;
+  hostile?: boolean;
+  nightOnly?: boolean;
+  aggroRadius?: number;
+  giveUpRadius?: number;
+  attackRange?: number;
+  attackDamage?: number;
+  attackCooldownSec?: number;
+  loot: Array<{ id: string; min: number; max: number }>;
+};
+export declare const CREATURES: Record<CreatureKind, CreatureDef>;
+export declare const CREATURE: { readonly hitDamage: number; readonly respawnMs: number };
+export declare function creatureKindOf(id: unknown): CreatureKind | null;
+export declare function rollCreatureLoot(kind: CreatureKind, rnd?: () => number): Array<{ id: string; qty: number }>;
+
+export declare const FISHING: {
+  readonly waterY: number;
+  readonly castRange: number;
+  readonly biteMinMs: number;
+  readonly biteMaxMs: number;
+  readonly strikeWindowMs: number;
+  readonly reelSeconds: number;
+  readonly minCatchIntervalMs: number;
+};
+export type WaterBody = 'river' | 'lake';
+export declare function waterBodyAt(x: number, z: number, generation?: Generation): WaterBody | null;
+export declare const FISH_LOOT: Record<WaterBody, Record<'day' | 'night', Array<{ id: string; weight: number }>>>;
+export declare function fishLootTable(water: WaterBody, hours: number): Array<{ id: string; weight: number }>;
+export declare function rollFishCatch(water: WaterBody, hours: number, rnd?: () => number): Array<{ id: string; qty: number }>;
+
+export type InventorySlot = null | { id: string; qty: number; meta?: any };
+
+export declare class Inventory {
+  constructor(opts?: { slots?: number; maxStack?: number });
+  slotCount: number;
+  maxStack: number;
+  slots: InventorySlot[];
+  clear(): void;
+  removeSlot(idx: number): void;
+  /** Returns the leftover that did not fit. */
+  add(id: string, qty: number, meta?: any): number;
+  count(id: string): number;
+  /** Returns leftover (couldn't remove). */
+  remove(id: string, qty: number): number;
+  removeOne(id: string): boolean;
+  getFirstMeta(id: string): any;
+  setFirstMeta(id: string, patch: any): boolean;
+  resize(newSlots: number): InventorySlot[];
+  getUsage(): { used: number; free: number };
+}
+
+export declare const PROTOCOL_JSON: 1;
+export declare const PROTOCOL_BINARY: 2;
+
+export declare const FrameKind: { readonly SNAPSHOT: 1; readonly INPUT: 2; readonly ACK: 3 };
+
+export type BinaryData = ArrayBuffer | ArrayBufferView;
+
+export type SnapshotPlayer = { id: string; x: number; y: number; z: number; yaw: number };
+
+export type NetInput = {
+  seq: number;
+  ack: number;
+  dt: number;
+  keys: { w: boolean; a: boolean; s: boolean; d: boolean; sprint: boolean; jump: boolean };
+  yaw: number;
+  pitch: number;
+  at: number;
+};
+
+export declare function readFrameKind(data: BinaryData): number | null;
+
+export declare function createSnapshotEncoder(opts?: { historySize?: number }): {
+  ack(seq: number): void;
+  encode(players: SnapshotPlayer[], meta?: { lastSeq?: number }): Uint8Array;
+};
+
+export declare function createSnapshotDecoder(opts?: { historySize?: number }): {
+  readonly lastSeq: number;
+  /** `lastSeq`: recipient's last input seq the server simulated. */
+  decode(data: BinaryData): { seq: number; lastSeq: number; players: SnapshotPlayer[] } | null;
+};
+
+export declare function encodeInput(msg: Omit<NetInput, 'ack'> & { ack?: number }): Uint8Array;
+export declare function decodeInput(data: BinaryData): NetInput | null;
+export declare function encodeAck(seq: number): Uint8Array;
+export declare function decodeAck(data: BinaryData): number | null;
+
+export type Collider = { x: number; z: number; r: number };
+export type MoveKeys = { w?: boolean; a?: boolean; s?: boolean; d?: boolean; sprint?: boolean };
+export type VerticalBody = { y: number; vy: number; onGround: boolean };
+
+export declare const MOVEMENT: {
+  readonly eyeHeight: number;
+  readonly gravity: number;
+  readonly jumpSpeed: number;
+  readonly baseSpeed: number;
+  readonly sprintMultiplier: number;
+  readonly radius: number;
+  readonly stepDown: number;
+};
+
+export declare function resolveCollisionsXZ(pos: { x: number; z: number }, colliders: Collider[], radius?: number): void;
+export declare function stepMoveXZ(
+  pos: { x: number; z: number },
+  dt: number,
+  keys: MoveKeys,
+  yaw: number,
+  colliders?: Collider[]
+): { moving: boolean; sprinting: boolean; vx: number; vz: number };
+export declare function tryJump(body: { vy: number; onGround: boolean }): boolean;
+export declare function stepVertical(body: VerticalBody, dt: number, groundY?: number): void;
+
+export declare const RIVER: { readonly radius: number; readonly width: number; readonly segments: number };
+export declare function buildRiverPath(opts?: { radius?: number; segments?: number }): Array<{ x: number; z: number }>;
+export declare function riverRadiusAt(angle: number, radius?: number): number;
+export declare function riverDistanceAt(x: number, z: number, radius?: number): number;
+export declare const LAKE: { readonly center: { readonly x: number; readonly z: number }; readonly radius: number };
+
+export declare const MINE_MOUNTAIN: {
+  readonly center: { readonly x: number; readonly z: number };
+  readonly coreW: number;
+  readonly detailW: number;
+  readonly depth: number;
+  readonly height: number;
+};
+export declare const MINE_MOUNTAIN_RADIUS: number;
+export declare function mineEntrance(): {
+  x: number;
+  z: number;
+  toForest: { x: number; z: number };
+  right: { x: number; z: number };
+};
+export declare function buildMountainColliders(): Collider[];
+export declare function buildWorldColliders(): Collider[];
+
+export declare const MINE_ORIGIN: { readonly x: number; readonly z: number };
+export declare const MINE_TUNNEL: {
+  readonly radius: number;
+  readonly halfHeight: number;
+  readonly tension: number;
+  readonly wallR: number;
+};
+export type MinePortal = { x: number; z: number; r: number; to: { x: number; z: number } };
+export declare function minePortals(): { enter: MinePortal; exit: MinePortal };
+export declare const MINE_PATH: ReadonlyArray<{ readonly x: number; readonly z: number }>;
+export declare function minePathPoints(): Array<{ x: number; z: number }>;
+export declare function minePointAt(t: number): { p: { x: number; z: number }; tan: { x: number; z: number } };
+export declare function mineSideAt(t: number): { x: number; z: number };
+export declare function buildMineColliders(): Collider[];
+export declare const MINE_BOUNDS: { readonly minX: number; readonly maxX: number; readonly minZ: number; readonly maxZ: number };
+export declare function isInMineXZ(x: number, z: number): boolean;
+export declare function buildMineFenceColliders(): Collider[];
+
+export declare const PLACED_COLLIDER_RADIUS: Readonly<Record<string, number>>;
+export declare function placedCollider(type: string, x: number, z: number): Collider | null;
+
+export declare const TERRAIN: {
+  readonly seed: number;
+  readonly amplitude: number;
+  readonly octaves: ReadonlyArray<readonly [number, number]>;
+  readonly bedDepth: number;
+  readonly shoreBlend: number;
+};
+export type Generation = {
+  treeDensity: number;
+  oreRichness: number;
+  riverRadius: number;
+  lake: { x: number; z: number; radius: number };
+};
+export declare const GENERATION_DEFAULTS: Readonly<Generation>;
+export declare const GENERATION_LIMITS: Readonly<Record<'treeDensity' | 'oreRichness' | 'riverRadius' | 'lakeXZ' | 'lakeRadius', readonly [number, number]>>;
+export declare function normalizeGeneration(raw?: unknown): Generation;
+
+export type Terrain = { seed: number; generation: Generation; getHeightAt(x: number, z: number): number };
+export declare function createTerrain(opts?: { seed?: number; generation?: unknown }): Terrain;
+
+export declare const CHUNK_SIZE: 32;
+export declare const SPAWN: { readonly x: number; readonly z: number };
+
+export type ResourceKind = 'tree' | 'rock' | 'stick' | 'bush';
+export type ResourceSpawn = { id: string; x: number; z: number; rot: number; seed: number };
+
+export declare const WORLDGEN: Readonly<
+  Record<ResourceKind, { readonly prefix: string; readonly min: number; readonly max: number; readonly spawnClear: number; readonly spacing: number }>
+>;
+
+export declare function chunkOfXZ(x: number, z: number): { cx: number; cz: number };
+export declare function isOpenGround(x: number, z: number, margin?: number, generation?: Generation): boolean;
+export declare function generateChunk(params: { seed?: number; generation?: unknown; chunkX: number; chunkZ: number }): Record<ResourceKind, ResourceSpawn[]>;
+export declare function findChunkResource(params: { seed?: number; generation?: unknown; kind: ResourceKind; id: string }): ResourceSpawn | null;
+export declare const MINE_ORES: Readonly<{ perRichness: number; t0: number; t1: number; wallOffset: number }>;
+export type MineOre = { id: string; x: number; z: number };
+export declare function mineOreCount(generation?: unknown): number;
+export declare function mineOreNodes(generation?: unknown): MineOre[];
+export declare function findMineOre(params: { generation?: unknown; id: string }): MineOre | null;
@@ -0,0 +1,18 @@
+export * from './items.js'
+export * from './recipes.js'
+export * from './forge.js'
+export * from './cooking.js'
+export * from './survival.js'
+export * from './health.js'
+export * from './lootBag.js'
+export * from './groundItems.js'
+export * from './dayCycle.js'
+export * from './creatures.js'
+export * from './fishing.js'
+export * from './Inventory.js'
+export * from './protocol.js'
+export * from './movement.js'
+export * from './colliders.js'
+export * from './generation.js'
+export * from './terrain.js'
+export * from './worldgen.js'
@@ -9,6 +9,10 @@ export const ItemId = {
   STONE: 'stone',
   IRON_ORE: 'iron_ore',
   IRON_INGOT: 'iron_ingot',
+  SAND: 'sand',
+  SMOOTH_STONE: 'smooth_stone',
+  CHARCOAL: 'charcoal',
+  GLASS: 'glass',
 
   BACKPACK: 'backpack',
   WOODCUTTER_HAT: 'woodcutter_hat',
@@ -17,6 +21,14 @@ export const ItemId = {
   WOODCUTTER_BOOTS: 'woodcutter_boots',
   WOODCUTTER_GLOVES: 'woodcutter_gloves',
   APPLE: 'apple',
+  BAKED_APPLE: 'baked_apple',
+  RAW_MEAT: 'raw_meat',
+  COOKED_MEAT: 'cooked_meat',
+  RAW_FISH: 'raw_fish',
+  COOKED_FISH: 'cooked_fish',
+  HIDE: 'hide',
+  TROUT: 'trout',
+  CATFISH: 'catfish',
 
   AXE_STONE: 'axe_stone',
   AXE_METAL: 'axe_metal',
@@ -27,6 +39,9 @@ export const ItemId = {
   FORGE: 'forge',
   FORGE_TABLE: 'forge_table',
   CHEST: 'chest',
+  CLAIM_FLAG: 'claim_flag',
+  BED: 'bed',
+  FISHING_ROD: 'fishing_rod',
 }
 
 // (Keep ITEMS below in sync with ItemId)
@@ -42,6 +57,10 @@ export const ITEMS = {
   [ItemId.STONE]: { id: ItemId.STONE, name: 'Pedra', icon: '🪨', stackable: true },
   [ItemId.IRON_ORE]: { id: ItemId.IRON_ORE, name: 'Minério de Ferro', icon: '🔩', stackable: true },
   [ItemId.IRON_INGOT]: { id: ItemId.IRON_INGOT, name: 'Barra de Ferro', icon: '🧱', stackable: true },
+  [ItemId.SAND]: { id: ItemId.SAND, name: 'Areia', icon: '⏳', stackable: true },
+  [ItemId.SMOOTH_STONE]: { id: ItemId.SMOOTH_STONE, name: 'Pedra Lisa', icon: '⬜', stackable: true },
+  [ItemId.CHARCOAL]: { id: ItemId.CHARCOAL, name: 'Carvão Vegetal', icon: '⚫', stackable: true },
+  [ItemId.GLASS]: { id: ItemId.GLASS, name: 'Vidro', icon: '🔷', stackable: true },
 
   [ItemId.BACKPACK]: { id: ItemId.BACKPACK, name: 'Mochila', icon: '🎒', stackable: false, equipSlot: 'backpack' },
   [ItemId.WOODCUTTER_HAT]: { id: ItemId.WOODCUTTER_HAT, name: 'Chapéu do Lenhador', icon: '🎩', stackable: false, equipSlot: 'hat' },
@@ -50,6 +69,14 @@ export const ITEMS = {
   [ItemId.WOODCUTTER_BOOTS]: { id: ItemId.WOODCUTTER_BOOTS, name: 'Bota do Lenhador', icon: '🥾', stackable: false, equipSlot: 'boots' },
   [ItemId.WOODCUTTER_GLOVES]: { id: ItemId.WOODCUTTER_GLOVES, name: 'Luva do Lenhador', icon: '🧤', stackable: false, equipSlot: 'gloves' },
   [ItemId.APPLE]: { id: ItemId.APPLE, name: 'Maçã', icon: '🍎', stackable: true },
+  [ItemId.BAKED_APPLE]: { id: ItemId.BAKED_APPLE, name: 'Maçã Assada', icon: '🍏', stackable: true },
+  [ItemId.RAW_MEAT]: { id: ItemId.RAW_MEAT, name: 'Carne Crua', icon: '🥩', stackable: true },
+  [ItemId.COOKED_MEAT]: { id: ItemId.COOKED_MEAT, name: 'Carne Assada', icon: '🍖', stackable: true },
+  [ItemId.RAW_FISH]: { id: ItemId.RAW_FISH, name: 'Peixe Cru', icon: '🐟', stackable: true },
+  [ItemId.COOKED_FISH]: { id: ItemId.COOKED_FISH, name: 'Peixe Assado', icon: '🍣', stackable: true },
+  [ItemId.HIDE]: { id: ItemId.HIDE, name: 'Couro', icon: '🟫', stackable: true },
+  [ItemId.TROUT]: { id: ItemId.TROUT, name: 'Truta', icon: '🐠', stackable: true },
+  [ItemId.CATFISH]: { id: ItemId.CATFISH, name: 'Bagre', icon: '🐡', stackable: true },
 
   [ItemId.AXE_STONE]: { id: ItemId.AXE_STONE, name: 'Machado de Pedra', icon: '🪓🪨', stackable: false },
   [ItemId.AXE_METAL]: { id: ItemId.AXE_METAL, name: 'Machado de Metal', icon: '🪓⚙️', stackable: false },
@@ -60,4 +87,7 @@ export const ITEMS = {
   [ItemId.FORGE]: { id: ItemId.FORGE, name: 'Forja (Fornalha)', icon: '⚒️', stackable: false },
   [ItemId.FORGE_TABLE]: { id: ItemId.FORGE_TABLE, name: 'Mesa de Forja', icon: '🧰', stackable: false },
   [ItemId.CHEST]: { id: ItemId.CHEST, name: 'Baú', icon: '🧰', stackable: false },
+  [ItemId.CLAIM_FLAG]: { id: ItemId.CLAIM_FLAG, name: 'Bandeira de Terreno', icon: '🚩', stackable: true },
+  [ItemId.BED]: { id: ItemId.BED, name: 'Cama', icon: '🛏️', stackable: false },
+  [ItemId.FISHING_ROD]: { id: ItemId.FISHING_ROD, name: 'Vara de Pesca', icon: '🎣', stackable: false },
 }
@@ -0,0 +1,34 @@
+import { ITEMS } from './items.js'
+
+/**
+ * Death loot bags: dying drops the inventory (equipped items stay on the player) into a bag at the
+ * death spot. Only the owner may open it for `ownerOnlyMs`, then anyone; it despawns after
+ * `despawnMs`, or as soon as it is emptied. Bags only empty out: nothing can be put back in.
+ */
+export const LOOT_BAG = {
+  /** A full inventory (base slots + backpack). */
+  slots: 30,
+  maxStack: 100,
+  ownerOnlyMs: 5 * 60_000,
+  despawnMs: 30 * 60_000,
+}
+
+/** Known items with a sane quantity, packed at the front and padded with null to `LOOT_BAG.slots`. */
+export function normalizeLootBagSlots(raw) {
+  const out = []
+  for (const s of Array.isArray(raw) ? raw : []) {
+    if (!s || typeof s !== 'object' || !ITEMS[s.id]) continue
+    const qty = Math.floor(Number(s.qty))
+    if (!(qty > 0 && qty <= LOOT_BAG.maxStack)) continue
+    out.push(s.meta != null ? { id: s.id, qty, meta: s.meta } : { id: s.id, qty })
+    if (out.length >= LOOT_BAG.slots) break
+  }
+  while (out.length < LOOT_BAG.slots) out.push(null)
+  return out
+}
+
+/** Whether `guestId` may open a bag of `ownerId` dropped at `droppedAt` (epoch ms). */
+export function canOpenLootBag({ ownerId, guestId, droppedAt, now = Date.now() }) {
+  if (ownerId && ownerId === guestId) return true
+  return now - Number(droppedAt || 0) >= LOOT_BAG.ownerOnlyMs
+}
@@ -0,0 +1,118 @@
+// Player movement shared by the client (prediction/replay) and the server (authoritative
+// tick). Pure functions over plain {x, z} / {y, vy, onGround} objects: same inputs, same
+// floats, on both sides.
+
+export const MOVEMENT = Object.freeze({
+  eyeHeight: 1.65,
+  gravity: -18,
+  jumpSpeed: 6.4,
+  baseSpeed: 6.0,
+  sprintMultiplier: 1.65,
+  /** Collision capsule approximation (XZ circle). */
+  radius: 0.35,
+  /** Walking down a slope snaps to the ground within this drop instead of falling. */
+  stepDown: 0.35,
+})
+
+/** @typedef {{x: number, z: number, r: number}} Collider */
+/** @typedef {{w?: boolean, a?: boolean, s?: boolean, d?: boolean, sprint?: boolean}} MoveKeys */
+
+/**
+ * Circle-vs-circle push-out in XZ. Iterates a few times to handle multiple overlaps
+ * (prevents "diagonal squeezing" through dense collider fields).
+ * @param {{x: number, z: number}} pos mutated in place
+ * @param {Collider[]} colliders
+ * @param {number} [radius]
+ */
+export function resolveCollisionsXZ(pos, colliders, radius = MOVEMENT.radius) {
+  for (let iter = 0; iter < 6; iter++) {
+    let any = false
+    for (let i = 0; i < colliders.length; i++) {
+      const c = colliders[i]
+      const dx = pos.x - c.x
+      const dz = pos.z - c.z
+      const rr = radius + c.r
+      const d2 = dx * dx + dz * dz
+      if (d2 >= rr * rr || d2 === 0) continue
+
+      const d = Math.sqrt(d2)
+      const pen = rr - d
+      pos.x += (dx / d) * pen
+      pos.z += (dz / d) * pen
+      any = true
+    }
+    if (!any) break
+  }
+}
+
+/**
+ * One walk/sprint step in XZ followed by collision resolution.
+ * W is forward (-Z in yaw space, Three.js camera convention); the direction is rotated
+ * like `Matrix4.makeRotationY(yaw)`.
+ * @param {{x: number, z: number}} pos mutated in place
+ * @param {number} dt seconds
+ * @param {MoveKeys} keys
+ * @param {number} yaw
+ * @param {Collider[]} [colliders]
+ */
+export function stepMoveXZ(pos, dt, keys, yaw, colliders = []) {
+  const forward = Number(!!keys.s) - Number(!!keys.w)
+  const strafe = Number(!!keys.d) - Number(!!keys.a)
+
+  let dx = strafe
+  let dz = forward
+  const len = Math.hypot(dx, dz)
+  const moving = len > 0
+  if (moving) {
+    dx /= len
+    dz /= len
+  }
+
+  // x' = x*cos + z*sin, z' = -x*sin + z*cos
+  const cy = Math.cos(yaw)
+  const sy = Math.sin(yaw)
+  const rx = dx * cy + dz * sy
+  const rz = -dx * sy + dz * cy
+
+  const sprinting = !!keys.sprint && moving
+  const speed = MOVEMENT.baseSpeed * (sprinting ? MOVEMENT.sprintMultiplier : 1.0)
+  const vx = rx * speed
+  const vz = rz * speed
+
+  pos.x += vx * dt
+  pos.z += vz * dt
+  if (colliders.length) resolveCollisionsXZ(pos, colliders)
+
+  return { moving, sprinting, vx, vz }
+}
+
+/**
+ * Starts a jump when grounded.
+ * @param {{vy: number, onGround: boolean}} body
+ */
+export function tryJump(body) {
+  if (!body.onGround) return false
+  body.vy = MOVEMENT.jumpSpeed
+  body.onGround = false
+  return true
+}
+
+/**
+ * Gravity + ground clamp (with step-down on slopes). `y` is the eye height in world space.
+ * @param {{y: number, vy: number, onGround: boolean}} body mutated in place
+ * @param {number} dt
+ * @param {number} [groundY]
+ */
+export function stepVertical(body, dt, groundY = 0) {
+  body.vy += MOVEMENT.gravity * dt
+  body.y += body.vy * dt
+
+  const minY = groundY + MOVEMENT.eyeHeight
+  if (body.y <= minY || (body.onGround && body.vy <= 0 && body.y - minY <= MOVEMENT.stepDown)) {
+    body.y = minY
+    body.vy = 0
+    body.onGround = true
+  } else {
+    body.onGround = false
+  }
+}
@@ -0,0 +1,405 @@
+// Binary WS protocol (v2): snapshots and inputs, negotiated in `join`/`welcome`.
+// Everything else (chunks, events, crafting...) stays JSON text frames.
+//
+// Frame header: u8 frame kind, u8 protocol version. Little-endian throughout.
+//
+// Snapshot (server -> client):
+//   u32 seq, u32 baseSeq (0 = full state), u32 lastSeq (recipient's last simulated input)
+//   u16 defineCount, { u16 slot, u8 idLen, idLen bytes utf8 }   slot ids, sent when a slot is (re)assigned
+//   u16 removeCount, { u16 slot }                              present in base, gone now
+//   u16 upsertCount, { u16 slot, u8 mask, fields }             new or changed vs base
+//     mask: FIELD_* bits; ABSOLUTE => i32 x/y/z, otherwise i16 deltas; yaw is always u16.
+//
+// Input (client -> server):
+//   u32 seq, u32 ackSeq, u16 dt (1/10000 s), u8 keys, i16 yaw, i16 pitch, f64 at
+//
+// Ack (client -> server, when idle): u32 ackSeq
+//
+// Slots are freed when a player leaves the snapshot and reused once the client acked a
+// snapshot without them. Truncated frames decode to null (never throw): inputs come from
+// untrusted clients.
+
+export const PROTOCOL_JSON = 1
+export const PROTOCOL_BINARY = 2
+
+export const FrameKind = Object.freeze({
+  SNAPSHOT: 1,
+  INPUT: 2,
+  ACK: 3,
+})
+
+// Quantization: 1 cm for positions, 2π/65536 for yaw, π/32767 for input angles.
+const POS_SCALE = 100
+const YAW_STEPS = 65536
+const TAU = Math.PI * 2
+const ANGLE_SCALE = 32767 / Math.PI
+const DT_SCALE = 10000
+
+const FIELD_X = 1
+const FIELD_Y = 2
+const FIELD_Z = 4
+const FIELD_YAW = 8
+const FIELD_ABSOLUTE = 0x80
+
+const KEY_BITS = ['w', 'a', 's', 'd', 'sprint', 'jump']
+
+const MAX_SLOT = 0xffff
+const I16_MAX = 32767
+
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder()
+
+const quantPos = (n) => Math.round((Number(n) || 0) * POS_SCALE)
+const quantYaw = (yaw) => {
+  const a = (((Number(yaw) || 0) % TAU) + TAU) % TAU
+  return Math.round((a / TAU) * YAW_STEPS) % YAW_STEPS
+}
+const wrapAngle = (a) => {
+  let x = (Number(a) || 0) % TAU
+  if (x > Math.PI) x -= TAU
+  if (x < -Math.PI) x += TAU
+  return x
+}
+
+class Writer {
+  constructor(size = 256) {
+    this.buf = new ArrayBuffer(size)
+    this.view = new DataView(this.buf)
+    this.off = 0
+  }
+
+  _ensure(n) {
+    if (this.off + n <= this.buf.byteLength) return
+    let size = this.buf.byteLength * 2
+    while (size < this.off + n) size *= 2
+    const next = new ArrayBuffer(size)
+    new Uint8Array(next).set(new Uint8Array(this.buf, 0, this.off))
+    this.buf = next
+    this.view = new DataView(next)
+  }
+
+  u8(v) { this._ensure(1); this.view.setUint8(this.off, v); this.off += 1 }
+  u16(v) { this._ensure(2); this.view.setUint16(this.off, v, true); this.off += 2 }
+  i16(v) { this._ensure(2); this.view.setInt16(this.off, v, true); this.off += 2 }
+  u32(v) { this._ensure(4); this.view.setUint32(this.off, v >>> 0, true); this.off += 4 }
+  i32(v) { this._ensure(4); this.view.setInt32(this.off, v | 0, true); this.off += 4 }
+  f64(v) { this._ensure(8); this.view.setFloat64(this.off, v, true); this.off += 8 }
+  bytes(b) { this._ensure(b.length); new Uint8Array(this.buf, this.off, b.length).set(b); this.off += b.length }
+
+  finish() {
+    return new Uint8Array(this.buf, 0, this.off)
+  }
+}
+
+class Reader {
+  /** @param {ArrayBuffer | ArrayBufferView} data */
+  constructor(data) {
+    this.view = ArrayBuffer.isView(data)
+      ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+      : new DataView(data)
+    this.off = 0
+  }
+
+  _need(n) {
+    if (this.off + n > this.view.byteLength) throw new RangeError('truncated frame')
+  }
+
+  u8() { this._need(1); const v = this.view.getUint8(this.off); this.off += 1; return v }
+  u16() { this._need(2); const v = this.view.getUint16(this.off, true); this.off += 2; return v }
+  i16() { this._need(2); const v = this.view.getInt16(this.off, true); this.off += 2; return v }
+  u32() { this._need(4); const v = this.view.getUint32(this.off, true); this.off += 4; return v }
+  i32() { this._need(4); const v = this.view.getInt32(this.off, true); this.off += 4; return v }
+  f64() { this._need(8); const v = this.view.getFloat64(this.off, true); this.off += 8; return v }
+  bytes(n) {
+    this._need(n)
+    const out = new Uint8Array(this.view.buffer, this.view.byteOffset + this.off, n)
+    this.off += n
+    return out
+  }
+}
+
+/** Runs `read` over the frame; null when it is truncated or malformed. */
+function safeRead(data, read) {
+  try {
+    return read(new Reader(data))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Reads the frame header. Returns null for frames that aren't protocol v2.
+ * @param {ArrayBuffer | ArrayBufferView} data
+ */
+export function readFrameKind(data) {
+  const bytes = ArrayBuffer.isView(data) ? data : new Uint8Array(data)
+  if (bytes.byteLength < 2 || bytes[1] !== PROTOCOL_BINARY) return null
+  return bytes[0]
+}
+
+/**
+ * Per-connection snapshot encoder (server side). Keeps the states it sent so each
+ * snapshot is a delta against the latest one the client acked.
+ */
+export function createSnapshotEncoder({ historySize = 32 } = {}) {
+  let seq = 0
+  let ackSeq = 0
+  /** seq -> Map<slot, [qx, qy, qz, qyaw]> */
+  const history = new Map()
+  /** player id -> slot (stable while the player stays in the snapshots) */
+  const slots = new Map()
+  let nextSlot = 1
+  /** [slot, seq] freed at seq; reusable once the client acked a snapshot at or after it */
+  const pending = []
+  const free = []
+
+  const takeSlot = () => {
+    if (free.length) return free.pop()
+    if (nextSlot > MAX_SLOT) return null
+    return nextSlot++
+  }
+
+  return {
+    /** Latest snapshot seq the client decoded; 0 asks for a full snapshot. */
+    ack(n) {
+      const s = Math.floor(Number(n) || 0)
+      if (s === 0) ackSeq = 0
+      else if (s > ackSeq && history.has(s)) ackSeq = s
+      while (ackSeq && pending.length && pending[0][1] <= ackSeq) free.push(pending.shift()[0])
+    },
+
+    /**
+     * @param {Array<{id: string, x: number, y: number, z: number, yaw: number}>} players
+     * @param {{lastSeq?: number}} [meta]
+     */
+    encode(players, { lastSeq = 0 } = {}) {
+      seq += 1
+      const base = ackSeq && history.has(ackSeq) ? history.get(ackSeq) : null
+      const baseSeq = base ? ackSeq : 0
+
+      const defines = []
+      const cur = new Map()
+      const seen = new Set()
+      for (const p of players || []) {
+        if (!p || typeof p.id !== 'string' || seen.has(p.id)) continue
+        let slot = slots.get(p.id)
+        if (slot == null) {
+          slot = takeSlot()
+          if (slot == null) continue
+          slots.set(p.id, slot)
+          defines.push([slot, p.id])
+        }
+        seen.add(p.id)
+        cur.set(slot, [quantPos(p.x), quantPos(p.y), quantPos(p.z), quantYaw(p.yaw)])
+      }
+      for (const [id, slot] of slots) {
+        if (seen.has(id)) continue
+        slots.delete(id)
+        pending.push([slot, seq])
+      }
+
+      const w = new Writer(64 + cur.size * 12)
+      w.u8(FrameKind.SNAPSHOT)
+      w.u8(PROTOCOL_BINARY)
+      w.u32(seq)
+      w.u32(baseSeq)
+      w.u32(lastSeq)
+
+      w.u16(defines.length)
+      for (const [slot, id] of defines) {
+        const b = textEncoder.encode(id).subarray(0, 255)
+        w.u16(slot)
+        w.u8(b.length)
+        w.bytes(b)
+      }
+
+      const removed = base ? [...base.keys()].filter((slot) => !cur.has(slot)) : []
+      w.u16(removed.length)
+      for (const slot of removed) w.u16(slot)
+
+      const upserts = []
+      for (const [slot, q] of cur) {
+        const prev = base?.get(slot)
+        if (!prev) {
+          upserts.push([slot, FIELD_ABSOLUTE | FIELD_X | FIELD_Y | FIELD_Z | FIELD_YAW, q, null])
+          continue
+        }
+        let mask = 0
+        if (q[0] !== prev[0]) mask |= FIELD_X
+        if (q[1] !== prev[1]) mask |= FIELD_Y
+        if (q[2] !== prev[2]) mask |= FIELD_Z
+        if (q[3] !== prev[3]) mask |= FIELD_YAW
+        if (!mask) continue
+        const far = Math.abs(q[0] - prev[0]) > I16_MAX || Math.abs(q[1] - prev[1]) > I16_MAX || Math.abs(q[2] - prev[2]) > I16_MAX
+        upserts.push([slot, far ? mask | FIELD_ABSOLUTE : mask, q, far ? null : prev])
+      }
+
+      w.u16(upserts.length)
+      for (const [slot, mask, q, prev] of upserts) {
+        w.u16(slot)
+        w.u8(mask)
+        for (let i = 0; i < 3; i++) {
+          if (!(mask & (1 << i))) continue
+          if (prev) w.i16(q[i] - prev[i])
+          else w.i32(q[i])
+        }
+        if (mask & FIELD_YAW) w.u16(q[3])
+      }
+
+      history.set(seq, cur)
+      if (history.size > historySize) {
+        for (const k of history.keys()) {
+          if (history.size <= historySize) break
+          if (k !== ackSeq) history.delete(k)
+        }
+      }
+
+      return w.finish()
+    },
+  }
+}
+
+/**
+ * Per-connection snapshot decoder (client side). Returns the full player list, or null
+ * when the base is unknown (the caller then acks 0 to get a full snapshot).
+ */
+export function createSnapshotDecoder({ historySize = 64 } = {}) {
+  const history = new Map()
+  const ids = new Map()
+  let lastDecoded = 0
+
+  return {
+    /** Seq of the last decoded snapshot (what the client acks). */
+    get lastSeq() {
+      return lastDecoded
+    },
+
+    /** @param {ArrayBuffer | ArrayBufferView} data */
+    decode(data) {
+      // Parse the whole frame before touching any state, so a truncated one changes nothing.
+      const frame = safeRead(data, (r) => {
+        if (r.u8() !== FrameKind.SNAPSHOT || r.u8() !== PROTOCOL_BINARY) return null
+        const seq = r.u32()
+        const baseSeq = r.u32()
+        const lastSeq = r.u32()
+        const defines = []
+        const defineCount = r.u16()
+        for (let i = 0; i < defineCount; i++) {
+          const slot = r.u16()
+          defines.push([slot, textDecoder.decode(r.bytes(r.u8()))])
+        }
+        const removes = []
+        const removeCount = r.u16()
+        for (let i = 0; i < removeCount; i++) removes.push(r.u16())
+        const upserts = []
+        const upsertCount = r.u16()
+        for (let i = 0; i < upsertCount; i++) {
+          const slot = r.u16()
+          const mask = r.u8()
+          const fields = [null, null, null, null]
+          for (let k = 0; k < 3; k++) {
+            if (mask & (1 << k)) fields[k] = mask & FIELD_ABSOLUTE ? r.i32() : r.i16()
+          }
+          if (mask & FIELD_YAW) fields[3] = r.u16()
+          upserts.push([slot, mask, fields])
+        }
+        return { seq, baseSeq, lastSeq, defines, removes, upserts }
+      })
+      if (!frame) return null
+      const { seq, baseSeq, lastSeq } = frame
+
+      // Defines are sent once, so they stick even when the base is unknown.
+      for (const [slot, id] of frame.defines) ids.set(slot, id)
+
+      const base = baseSeq ? history.get(baseSeq) : null
+      if (baseSeq && !base) {
+        lastDecoded = 0
+        return null
+      }
+      const cur = new Map(base ?? [])
+
+      for (const slot of frame.removes) cur.delete(slot)
+
+      for (const [slot, mask, fields] of frame.upserts) {
+        const prev = cur.get(slot) ?? [0, 0, 0, 0]
+        const q = prev.slice()
+        for (let k = 0; k < 3; k++) {
+          if (fields[k] != null) q[k] = mask & FIELD_ABSOLUTE ? fields[k] : prev[k] + fields[k]
+        }
+        if (fields[3] != null) q[3] = fields[3]
+        cur.set(slot, q)
+      }
+
+      history.set(seq, cur)
+      if (history.size > historySize) history.delete(history.keys().next().value)
+      lastDecoded = seq
+
+      // A slot that left the snapshot is only reused with a fresh define.
+      for (const slot of ids.keys()) {
+        if (!cur.has(slot)) ids.delete(slot)
+      }
+
+      const players = []
+      for (const [slot, q] of cur) {
+        const id = ids.get(slot)
+        if (!id) continue
+        players.push({ id, x: q[0] / POS_SCALE, y: q[1] / POS_SCALE, z: q[2] / POS_SCALE, yaw: wrapAngle((q[3] / YAW_STEPS) * TAU) })
+      }
+      return { seq, lastSeq, players }
+    },
+  }
+}
+
+/** @param {{seq: number, ack?: number, dt: number, keys: Record<string, boolean>, yaw: number, pitch: number, at: number}} msg */
+export function encodeInput(msg) {
+  const w = new Writer(32)
+  w.u8(FrameKind.INPUT)
+  w.u8(PROTOCOL_BINARY)
+  w.u32(msg.seq)
+  w.u32(msg.ack ?? 0)
+  w.u16(Math.max(0, Math.min(0xffff, Math.round((Number(msg.dt) || 0) * DT_SCALE))))
+  let keys = 0
+  KEY_BITS.forEach((k, i) => {
+    if (msg.keys?.[k]) keys |= 1 << i
+  })
+  w.u8(keys)
+  w.i16(Math.round(wrapAngle(msg.yaw) * ANGLE_SCALE))
+  w.i16(Math.round(Math.max(-Math.PI, Math.min(Math.PI, Number(msg.pitch) || 0)) * ANGLE_SCALE))
+  w.f64(Number(msg.at) || 0)
+  return w.finish()
+}
+
+/** @param {ArrayBuffer | ArrayBufferView} data */
+export function decodeInput(data) {
+  return safeRead(data, (r) => {
+    if (r.u8() !== FrameKind.INPUT || r.u8() !== PROTOCOL_BINARY) return null
+    const seq = r.u32()
+    const ack = r.u32()
+    const dt = r.u16() / DT_SCALE
+    const bits = r.u8()
+    const keys = {}
+    KEY_BITS.forEach((k, i) => {
+      keys[k] = !!(bits & (1 << i))
+    })
+    const yaw = r.i16() / ANGLE_SCALE
+    const pitch = r.i16() / ANGLE_SCALE
+    const at = r.f64()
+    return { seq, ack, dt, keys, yaw, pitch, at }
+  })
+}
+
+export function encodeAck(seq) {
+  const w = new Writer(8)
+  w.u8(FrameKind.ACK)
+  w.u8(PROTOCOL_BINARY)
+  w.u32(seq)
+  return w.finish()
+}
+
+/** @param {ArrayBuffer | ArrayBufferView} data */
+export function decodeAck(data) {
+  return safeRead(data, (r) => {
+    if (r.u8() !== FrameKind.ACK || r.u8() !== PROTOCOL_BINARY) return null
+    return r.u32()
+  })
+}
@@ -8,7 +8,10 @@ export const RecipeId = {
   FORGE: 'forge',
   FORGE_TABLE: 'forge_table',
   CHEST: 'chest',
+  CLAIM_FLAG: 'claim_flag',
+  BED: 'bed',
   ROPE: 'rope',
+  FISHING_ROD: 'fishing_rod',
   BACKPACK: 'backpack',
   WOODCUTTER_HAT: 'woodcutter_hat',
   WOODCUTTER_SHIRT: 'woodcutter_shirt',
@@ -23,6 +26,7 @@ export const DURABILITY = {
   PICKAXE_STONE_MAX: 120,
   PICKAXE_METAL_MAX: 300,
   HOE_METAL_MAX: 260,
+  FISHING_ROD_MAX: 60, // catches
   TORCH_MAX: 180, // seconds
 }
 
@@ -32,6 +36,7 @@ export const TOOL_STATS = {
   pickaxe_stone: { dmg: 10, maxDur: DURABILITY.PICKAXE_STONE_MAX },
   pickaxe_metal: { dmg: 15, maxDur: DURABILITY.PICKAXE_METAL_MAX },
   hoe_metal: { dmg: 0, maxDur: DURABILITY.HOE_METAL_MAX },
+  fishing_rod: { dmg: 0, maxDur: DURABILITY.FISHING_ROD_MAX },
 }
 
 export const RECIPES = [
@@ -115,6 +120,28 @@ export const RECIPES = [
       { id: ItemId.STONE, qty: 4 },
     ],
   },
+  {
+    id: RecipeId.CLAIM_FLAG,
+    name: 'Bandeira de Terreno',
+    output: { id: ItemId.CLAIM_FLAG, qty: 1 },
+    // 1 bandeira = 1 chunk reivindicado
+    cost: [
+      { id: ItemId.LOG, qty: 2 },
+      { id: ItemId.ROPE, qty: 2 },
+      { id: ItemId.IRON_INGOT, qty: 1 },
+    ],
+  },
+  {
+    id: RecipeId.BED,
+    name: 'Cama',
+    output: { id: ItemId.BED, qty: 1 },
+    // Colocar a cama define onde o jogador renasce
+    cost: [
+      { id: ItemId.LOG, qty: 4 },
+      { id: ItemId.LEAF, qty: 20 },
+      { id: ItemId.FIBER, qty: 6 },
+    ],
+  },
   {
     id: RecipeId.ROPE,
     name: 'Corda',
@@ -123,6 +150,19 @@ export const RECIPES = [
       { id: ItemId.FIBER, qty: 3 },
     ],
   },
+  {
+    id: RecipeId.FISHING_ROD,
+    name: 'Vara de Pesca',
+    output: {
+      id: ItemId.FISHING_ROD,
+      qty: 1,
+      meta: { tool: 'rod', dur: TOOL_STATS.fishing_rod.maxDur, maxDur: TOOL_STATS.fishing_rod.maxDur },
+    },
+    cost: [
+      { id: ItemId.STICK, qty: 4 },
+      { id: ItemId.ROPE, qty: 2 },
+    ],
+  },
 ]
 
 export const FORGE_TABLE_RECIPES = [
@@ -231,3 +271,16 @@ export const FORGE_TABLE_RECIPES = [
   },
 ]
 
+
+/**
+ * Looks up a recipe in both tables.
+ * `station` tells where it can be crafted: `hand` (anywhere) or `forgeTable` (near a placed forge table).
+ * @param {string} recipeId
+ */
+export function findRecipe(recipeId) {
+  const hand = RECIPES.find((r) => r.id === recipeId)
+  if (hand) return { recipe: hand, station: 'hand' }
+  const table = FORGE_TABLE_RECIPES.find((r) => r.id === recipeId)
+  if (table) return { recipe: table, station: 'forgeTable' }
+  return null
+}
@@ -0,0 +1,73 @@
+/**
+ * Survival meters (hunger + stamina), both 0..SURVIVAL.max. Simulated by the client and kept in the
+ * player save; worlds can turn them off (`worlds.survival`).
+ */
+export const SURVIVAL = {
+  max: 100,
+  /** Hunger lost per second (full to empty in ~25 minutes). */
+  hungerDrainPerSec: 100 / (25 * 60),
+  /** Stamina regained per second while not sprinting (full hunger). */
+  staminaRegenPerSec: 14,
+  /** Seconds after spending stamina before it starts coming back. */
+  staminaRegenDelaySec: 1.2,
+  sprintDrainPerSec: 16,
+  jumpCost: 10,
+  chopCost: 4,
+  /** After running dry, sprinting stays off until stamina is back to this. */
+  exhaustedRecoverAt: 30,
+}
+
+/** Stamina regen multiplier: full above half hunger, down to 20% when starving. */
+export function staminaRegenMult(hunger) {
+  const h = Math.max(0, Math.min(SURVIVAL.max, Number(hunger) || 0))
+  const half = SURVIVAL.max / 2
+  if (h >= half) return 1
+  return 0.2 + 0.8 * (h / half)
+}
+
+/** Save-safe meters (`{hunger, stamina}`); anything missing or invalid starts full. */
+export function normalizeSurvival(v) {
+  const clamp = (n) => (Number.isFinite(n) ? Math.max(0, Math.min(SURVIVAL.max, n)) : SURVIVAL.max)
+  return { hunger: clamp(Number(v?.hunger)), stamina: clamp(Number(v?.stamina)) }
+}
+
+/**
+ * Spends stamina on an action (jump, chop). Returns false (and spends nothing) when there is not
+ * enough. Mutates `st` (`{stamina, restSec}`).
+ */
+export function spendStamina(st, cost) {
+  if (st.stamina < cost) return false
+  st.stamina -= cost
+  st.restSec = 0
+  if (st.stamina <= 0) st.exhausted = true
+  return true
+}
+
+/**
+ * Advances the meters by `dtSec`: hunger drains, sprinting drains stamina, otherwise stamina
+ * regenerates (after a short rest, scaled by hunger). Mutates `st` (`{hunger, stamina, restSec,
+ * exhausted}`).
+ */
+export function stepSurvival(st, dtSec, { sprinting = false } = {}) {
+  const dt = Math.max(0, Number(dtSec) || 0)
+  st.hunger = Math.max(0, st.hunger - SURVIVAL.hungerDrainPerSec * dt)
+
+  if (sprinting) {
+    st.stamina = Math.max(0, st.stamina - SURVIVAL.sprintDrainPerSec * dt)
+    st.restSec = 0
+    if (st.stamina <= 0) st.exhausted = true
+  } else {
+    st.restSec = (st.restSec || 0) + dt
+    if (st.restSec >= SURVIVAL.staminaRegenDelaySec) {
+      const regen = SURVIVAL.staminaRegenPerSec * staminaRegenMult(st.hunger) * dt
+      st.stamina = Math.min(SURVIVAL.max, st.stamina + regen)
+    }
+  }
+
+  if (st.exhausted && st.stamina >= SURVIVAL.exhaustedRecoverAt) st.exhausted = false
+}
+
+/** Sprinting needs stamina left and not being exhausted. */
+export function canSprint(st) {
+  return !st.exhausted && st.stamina > 0
+}
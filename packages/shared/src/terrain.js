@@ -0,0 +1,104 @@
+// Seeded heightmap terrain (rolling hills, unbounded). Client renders/places on it, client
+// and server both ground the player on it. River and lake (per-world generation config)
+// carve their beds; the mine mountain and the mine area stay flat at y=0.
+
+import { isInMineXZ, MINE_MOUNTAIN, MINE_MOUNTAIN_RADIUS, RIVER, riverDistanceAt } from './colliders.js'
+import { normalizeGeneration } from './generation.js'
+
+export const TERRAIN = Object.freeze({
+  seed: 20240,
+  /** Peak hill height (m); hills range roughly [-amplitude, amplitude]. */
+  amplitude: 2.2,
+  /** Octaves: [wavelength (m), weight]. */
+  octaves: Object.freeze([
+    [38, 1],
+    [17, 0.45],
+    [8, 0.16],
+  ]),
+  /** Depth of the river/lake bed at the center line (m, below y=0). */
+  bedDepth: 0.7,
+  /** Distance over which hills fade out next to water/the mountain (m). */
+  shoreBlend: 8,
+})
+
+// Integer hash -> [0, 1). Math.imul keeps it identical on every JS engine.
+function hash2(seed, ix, iz) {
+  let h = (seed ^ Math.imul(ix, 0x27d4eb2d) ^ Math.imul(iz, 0x165667b1)) >>> 0
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b)
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35)
+  h ^= h >>> 16
+  return (h >>> 0) / 4294967296
+}
+
+// Smooth value noise in [-1, 1].
+function valueNoise(seed, x, z) {
+  const ix = Math.floor(x)
+  const iz = Math.floor(z)
+  const fx = x - ix
+  const fz = z - iz
+  const u = fx * fx * (3 - 2 * fx)
+  const v = fz * fz * (3 - 2 * fz)
+
+  const a = hash2(seed, ix, iz)
+  const b = hash2(seed, ix + 1, iz)
+  const c = hash2(seed, ix, iz + 1)
+  const d = hash2(seed, ix + 1, iz + 1)
+  const top = a + (b - a) * u
+  const bottom = c + (d - c) * u
+  return (top + (bottom - top) * v) * 2 - 1
+}
+
+const smoothstep = (e0, e1, x) => {
+  const t = Math.max(0, Math.min(1, (x - e0) / (e1 - e0)))
+  return t * t * (3 - 2 * t)
+}
+
+/**
+ * @param {{seed?: number, generation?: any}} [opts]
+ * @returns {{seed: number, generation: import('./generation.js').Generation, getHeightAt: (x: number, z: number) => number}}
+ */
+export function createTerrain({ seed = TERRAIN.seed, generation } = {}) {
+  const s = Math.floor(Number(seed)) >>> 0
+  const gen = normalizeGeneration(generation)
+  const lake = gen.lake
+  const octaves = TERRAIN.octaves
+  let weightSum = 0
+  for (const [, w] of octaves) weightSum += w
+
+  const hw = RIVER.width * 0.5
+  const blend = TERRAIN.shoreBlend
+
+  function hills(x, z) {
+    let n = 0
+    for (let i = 0; i < octaves.length; i++) {
+      const [len, w] = octaves[i]
+      n += valueNoise((s + i * 0x9e3779b9) >>> 0, x / len, z / len) * w
+    }
+    return (n / weightSum) * TERRAIN.amplitude
+  }
+
+  /** Ground height (y) at world XZ. */
+  function getHeightAt(x, z) {
+    if (!Number.isFinite(x) || !Number.isFinite(z)) return 0
+    if (isInMineXZ(x, z)) return 0
+
+    const dRiver = riverDistanceAt(x, z, gen.riverRadius)
+    const dLake = Math.hypot(x - lake.x, z - lake.z)
+    const dMountain = Math.hypot(x - MINE_MOUNTAIN.center.x, z - MINE_MOUNTAIN.center.z)
+
+    // Hills faded to y=0 at the shores and around the mountain.
+    const mask =
+      smoothstep(hw, hw + blend, dRiver) *
+      smoothstep(lake.radius, lake.radius + blend, dLake) *
+      smoothstep(MINE_MOUNTAIN_RADIUS, MINE_MOUNTAIN_RADIUS + blend, dMountain)
+    const h = mask > 0 ? hills(x, z) * mask : 0
+
+    // Carve beds (deepest at the center line; the lake overlaps the river, keep the deeper one).
+    let carve = 0
+    if (dRiver < hw) carve = 1 - (dRiver / hw) ** 2
+    if (dLake < lake.radius) carve = Math.max(carve, 1 - (dLake / lake.radius) ** 2)
+    return h - carve * TERRAIN.bedDepth
+  }
+
+  return { seed: s, generation: gen, getHeightAt }
+}
@@ -0,0 +1,164 @@
+// Procedural resources per chunk (trees, rocks, sticks, bushes). The layout is a pure
+// function of (seed, generation, chunkX, chunkZ): the client builds the chunks around the player from
+// it and the server looks ids up in it. Only removals are persisted per chunk, so the world
+// has no bounds and nothing is stored for chunks nobody touched.
+
+import { MINE_BOUNDS, MINE_MOUNTAIN, MINE_MOUNTAIN_RADIUS, MINE_TUNNEL, minePointAt, mineSideAt, RIVER, riverDistanceAt } from './colliders.js'
+import { GENERATION_DEFAULTS, normalizeGeneration } from './generation.js'
+import { TERRAIN } from './terrain.js'
+
+/** World chunk edge (m). Chunk state, AOI and streaming all use this grid. */
+export const CHUNK_SIZE = 32
+
+/** Where new players start; kept clear of resources. */
+export const SPAWN = Object.freeze({ x: 0, z: 6 })
+
+/**
+ * Per-kind layout: id prefix, count range per chunk (trees scale with `treeDensity`),
+ * clearing around SPAWN and minimum spacing between entries of the same kind (m).
+ */
+export const WORLDGEN = Object.freeze({
+  tree: Object.freeze({ prefix: 't', min: 5, max: 10, spawnClear: 9, spacing: 2.6 }),
+  rock: Object.freeze({ prefix: 'r', min: 3, max: 6, spawnClear: 6, spacing: 1.2 }),
+  stick: Object.freeze({ prefix: 's', min: 4, max: 9, spawnClear: 5, spacing: 0.8 }),
+  bush: Object.freeze({ prefix: 'b', min: 2, max: 5, spawnClear: 7, spacing: 1.8 }),
+})
+
+/** @typedef {'tree' | 'rock' | 'stick' | 'bush'} ResourceKind */
+/** @typedef {{id: string, x: number, z: number, rot: number, seed: number}} ResourceSpawn */
+
+const KINDS = /** @type {ResourceKind[]} */ (['tree', 'rock', 'stick', 'bush'])
+
+// Same generator as the client's scatter RNG (mulberry32).
+function mulberry32(seed) {
+  let a = seed >>> 0
+  return function () {
+    a = (a + 0x6d2b79f5) | 0
+    let t = Math.imul(a ^ (a >>> 15), 1 | a)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function chunkSeed(seed, chunkX, chunkZ, salt) {
+  let h = (seed ^ Math.imul(chunkX, 0x27d4eb2d) ^ Math.imul(chunkZ, 0x165667b1) ^ Math.imul(salt + 1, 0x3c6ef372)) >>> 0
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b)
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35)
+  return (h ^ (h >>> 16)) >>> 0
+}
+
+/** @param {number} x @param {number} z */
+export function chunkOfXZ(x, z) {
+  return { cx: Math.floor(x / CHUNK_SIZE), cz: Math.floor(z / CHUNK_SIZE) }
+}
+
+/**
+ * True where resources (and grass) may grow: away from water, the mine mountain and the
+ * fenced mine area. Hot path: pass an already normalized generation config.
+ * @param {number} x
+ * @param {number} z
+ * @param {number} [margin]
+ * @param {import('./generation.js').Generation} [generation]
+ */
+export function isOpenGround(x, z, margin = 1.5, generation = GENERATION_DEFAULTS) {
+  const lake = generation.lake
+  if (riverDistanceAt(x, z, generation.riverRadius) < RIVER.width * 0.5 + margin) return false
+  if (Math.hypot(x - lake.x, z - lake.z) < lake.radius + margin) return false
+  if (Math.hypot(x - MINE_MOUNTAIN.center.x, z - MINE_MOUNTAIN.center.z) < MINE_MOUNTAIN_RADIUS + margin) return false
+  const m = margin + 2
+  return !(x > MINE_BOUNDS.minX - m && x < MINE_BOUNDS.maxX + m && z > MINE_BOUNDS.minZ - m && z < MINE_BOUNDS.maxZ + m)
+}
+
+/**
+ * Resources of one chunk. Ids look like `t:<cx>:<cz>:<n>` and are stable for a given seed
+ * and generation config.
+ * @param {{seed?: number, generation?: any, chunkX: number, chunkZ: number}} params
+ * @returns {Record<ResourceKind, ResourceSpawn[]>}
+ */
+export function generateChunk({ seed = TERRAIN.seed, generation, chunkX, chunkZ }) {
+  const s = Math.floor(Number(seed)) >>> 0
+  const gen = normalizeGeneration(generation)
+  const x0 = chunkX * CHUNK_SIZE
+  const z0 = chunkZ * CHUNK_SIZE
+  const out = /** @type {Record<ResourceKind, ResourceSpawn[]>} */ ({ tree: [], rock: [], stick: [], bush: [] })
+
+  for (let k = 0; k < KINDS.length; k++) {
+    const kind = KINDS[k]
+    const def = WORLDGEN[kind]
+    const rng = mulberry32(chunkSeed(s, chunkX, chunkZ, k))
+    const list = out[kind]
+    const base = def.min + Math.floor(rng() * (def.max - def.min + 1))
+    const count = kind === 'tree' ? Math.round(base * gen.treeDensity) : base
+
+    // A few tries per entry; rejected spots (water, spawn, crowding) just thin the chunk.
+    for (let tries = 0; tries < count * 4 && list.length < count; tries++) {
+      const x = x0 + rng() * CHUNK_SIZE
+      const z = z0 + rng() * CHUNK_SIZE
+      const rot = rng() * Math.PI * 2
+      const variant = Math.floor(rng() * 4294967296) >>> 0
+
+      if (Math.hypot(x - SPAWN.x, z - SPAWN.z) < def.spawnClear) continue
+      if (!isOpenGround(x, z, 1.5, gen)) continue
+      if (list.some((o) => Math.hypot(o.x - x, o.z - z) < def.spacing)) continue
+
+      list.push({ id: `${def.prefix}:${chunkX}:${chunkZ}:${list.length}`, x, z, rot, seed: variant })
+    }
+  }
+  return out
+}
+
+/**
+ * Looks up a generated resource by id (the chunk is encoded in the id).
+ * @param {{seed?: number, generation?: any, kind: ResourceKind, id: string}} params
+ * @returns {ResourceSpawn | null}
+ */
+export function findChunkResource({ seed = TERRAIN.seed, generation, kind, id }) {
+  const def = WORLDGEN[kind]
+  if (!def) return null
+  const m = /^([a-z]):(-?\d+):(-?\d+):(\d+)$/.exec(String(id))
+  if (!m || m[1] !== def.prefix) return null
+  const chunkX = Number(m[2])
+  const chunkZ = Number(m[3])
+  if (!Number.isSafeInteger(chunkX) || !Number.isSafeInteger(chunkZ)) return null
+  return generateChunk({ seed, generation, chunkX, chunkZ })[kind].find((r) => r.id === id) ?? null
+}
+
+/**
+ * Iron ore veins along the main mine tunnel, alternating walls: `perRichness` veins scaled by the
+ * world's `oreRichness`, spread over [t0, t1] of the centerline, `wallOffset` × the tunnel half-width out.
+ */
+export const MINE_ORES = Object.freeze({ perRichness: 15, t0: 0.12, t1: 0.94, wallOffset: 0.78 })
+
+/** @param {any} [generation] */
+export function mineOreCount(generation) {
+  return Math.max(1, Math.round(MINE_ORES.perRichness * normalizeGeneration(generation).oreRichness))
+}
+
+/**
+ * Ore veins of a world (ids `'0'`..`'n-1'`, XZ only). The mine is the same in every world, so
+ * only the generation config matters; the client places its meshes on the same spots.
+ * @param {any} [generation]
+ * @returns {{id: string, x: number, z: number}[]}
+ */
+export function mineOreNodes(generation) {
+  const count = mineOreCount(generation)
+  const off = MINE_TUNNEL.radius * MINE_ORES.wallOffset
+  const out = []
+  for (let i = 0; i < count; i++) {
+    const t = MINE_ORES.t0 + (i / Math.max(1, count - 1)) * (MINE_ORES.t1 - MINE_ORES.t0)
+    const { p } = minePointAt(t)
+    const side = mineSideAt(t)
+    const dir = i % 2 === 0 ? 1 : -1
+    out.push({ id: String(i), x: p.x + side.x * dir * off, z: p.z + side.z * dir * off })
+  }
+  return out
+}
+
+/**
+ * @param {{generation?: any, id: string}} params
+ * @returns {{id: string, x: number, z: number} | null}
+ */
+export function findMineOre({ generation, id }) {
+  if (!/^\d+$/.test(String(id))) return null
+  return mineOreNodes(generation)[Number(id)] ?? null
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { advanceCooking, BUFFS, CAMPFIRE_OUTPUT_MAX_STACK, campfireHasItems, COOKING_RECIPES, FOOD_EFFECTS, findCookingRecipe, ITEMS, ItemId } from '../src/index.js'
+
+test('cooking recipes and food reference known items and buffs', () => {
+  for (const r of COOKING_RECIPES) {
+    assert.ok(ITEMS[r.input], r.input)
+    assert.ok(ITEMS[r.output.id], r.output.id)
+    assert.ok(r.seconds > 0 && r.output.qty > 0)
+    // Cooked food is edible; raw food is not.
+    assert.ok(FOOD_EFFECTS[r.output.id], r.output.id)
+  }
+  for (const [id, fx] of Object.entries(FOOD_EFFECTS)) {
+    assert.ok(ITEMS[id], id)
+    assert.ok(BUFFS[fx.buff], fx.buff)
+  }
+  assert.equal(FOOD_EFFECTS[ItemId.RAW_MEAT], undefined)
+  assert.equal(findCookingRecipe(ItemId.LOG), null)
+})
+
+test('each cooking slot runs its own timer', () => {
+  const meat = findCookingRecipe(ItemId.RAW_MEAT)
+  const apple = findCookingRecipe(ItemId.APPLE)
+  const st = { cook: [{ id: ItemId.RAW_MEAT, qty: 2 }, { id: ItemId.APPLE, qty: 1 }, { id: ItemId.LOG, qty: 4 }], prog: [], output: [null, null, null] }
+
+  assert.equal(advanceCooking(st, apple.seconds), 1)
+  assert.equal(st.cook[1], null)
+  assert.deepEqual(st.output[0], { id: ItemId.BAKED_APPLE, qty: 1 })
+  assert.equal(st.prog[0], apple.seconds)
+  assert.equal(st.prog[2], 0) // not food: stays put
+
+  assert.equal(advanceCooking(st, meat.seconds * 2 - apple.seconds), 2)
+  assert.equal(st.cook[0], null)
+  assert.deepEqual(st.output[1], { id: ItemId.COOKED_MEAT, qty: 2 })
+  assert.ok(campfireHasItems(st))
+  assert.ok(!campfireHasItems({ cook: [null], output: [null] }))
+})
+
+test('cooking stops when the output is full', () => {
+  const full = (id) => ({ id, qty: CAMPFIRE_OUTPUT_MAX_STACK })
+  const st = { cook: [{ id: ItemId.RAW_FISH, qty: 3 }], prog: [0], output: [full(ItemId.GLASS), { id: ItemId.COOKED_FISH, qty: CAMPFIRE_OUTPUT_MAX_STACK - 1 }] }
+  const fish = findCookingRecipe(ItemId.RAW_FISH)
+
+  assert.equal(advanceCooking(st, fish.seconds * 10), 1)
+  assert.equal(st.cook[0].qty, 2)
+  assert.equal(st.prog[0], fish.seconds)
+})
@@ -0,0 +1,39 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { CREATURES, creatureKindOf, DAY_CYCLE, isNightHours, ItemId, ITEMS, rollCreatureLoot, worldHoursAt } from '../src/index.js'
+
+test('creature ids carry their kind; player ids are not creatures', () => {
+  assert.equal(creatureKindOf('c:deer:12'), 'deer')
+  assert.equal(creatureKindOf('c:wolf:0'), 'wolf')
+  assert.equal(creatureKindOf('c:bear:1'), null)
+  assert.equal(creatureKindOf('c:deer:x'), null)
+  assert.equal(creatureKindOf('3f2a9c1e-7d7b-4c55-a0a1-8f6a5c2b9e10'), null)
+  assert.equal(creatureKindOf(undefined), null)
+})
+
+test('loot rolls stay within the table and only hold known items', () => {
+  for (const kind of Object.keys(CREATURES)) {
+    const lo = rollCreatureLoot(kind, () => 0)
+    const hi = rollCreatureLoot(kind, () => 0.999)
+    for (const it of [...lo, ...hi]) assert.ok(ITEMS[it.id] && it.qty > 0)
+    for (const l of CREATURES[kind].loot) {
+      assert.equal(lo.find((it) => it.id === l.id)?.qty ?? 0, l.min)
+      assert.equal(hi.find((it) => it.id === l.id)?.qty ?? 0, l.max)
+    }
+  }
+  assert.deepEqual(rollCreatureLoot('rabbit', () => 0), [{ id: ItemId.RAW_MEAT, qty: 1 }])
+})
+
+test('the world clock runs 15 min of day and 5 of night', () => {
+  const day = DAY_CYCLE.realDaySeconds * 1000
+  const cycle = day + DAY_CYCLE.realNightSeconds * 1000
+  assert.equal(worldHoursAt(0), DAY_CYCLE.sunrise)
+  assert.equal(worldHoursAt(day / 2), 12)
+  assert.equal(worldHoursAt(day), DAY_CYCLE.sunset)
+  assert.equal(worldHoursAt(cycle), DAY_CYCLE.sunrise)
+  assert.equal(worldHoursAt(-cycle / 2), worldHoursAt(cycle / 2))
+  assert.equal(isNightHours(worldHoursAt(day - 1)), false)
+  assert.equal(isNightHours(worldHoursAt(day + 1)), true)
+  assert.equal(isNightHours(worldHoursAt(cycle - 1)), true)
+})
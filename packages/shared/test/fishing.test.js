@@ -0,0 +1,26 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { FISH_LOOT, GENERATION_DEFAULTS, ITEMS, ItemId, riverRadiusAt, rollFishCatch, SPAWN, waterBodyAt } from '../src/index.js'
+
+test('water bodies: lake over the river seam, river elsewhere, land in between', () => {
+  const lake = GENERATION_DEFAULTS.lake
+  assert.equal(waterBodyAt(lake.x, lake.z), 'lake')
+  assert.equal(waterBodyAt(-riverRadiusAt(Math.PI), 0), 'river')
+  assert.equal(waterBodyAt(SPAWN.x, SPAWN.z), null)
+  assert.equal(waterBodyAt(lake.x, lake.z, { ...GENERATION_DEFAULTS, lake: { x: 0, z: 300, radius: 10 } }), 'river')
+})
+
+test('fish loot depends on water and time of day', () => {
+  for (const water of Object.keys(FISH_LOOT)) {
+    for (const table of Object.values(FISH_LOOT[water])) for (const e of table) assert.ok(ITEMS[e.id] && e.weight > 0)
+  }
+  const noon = 12
+  const midnight = 0
+
+  // Rolls walk the table in order: the last roll lands on the last entry.
+  assert.deepEqual(rollFishCatch('river', noon, () => 0), [{ id: ItemId.RAW_FISH, qty: 1 }])
+  assert.deepEqual(rollFishCatch('lake', noon, () => 0.999), [{ id: ItemId.LEAF, qty: 1 }])
+  assert.deepEqual(rollFishCatch('lake', midnight, () => 0.6), [{ id: ItemId.CATFISH, qty: 1 }])
+  assert.ok(!FISH_LOOT.river.day.some((e) => e.id === ItemId.CATFISH))
+})
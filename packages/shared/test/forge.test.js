@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { FORGE_FUEL_SECONDS, FORGE_OUTPUT_MAX_STACK, forgeSmeltTarget, ITEMS, ItemId, SMELTING_RECIPES, findSmeltingRecipe } from '../src/index.js'
+
+test('smelting recipes and fuels reference known items', () => {
+  const inputs = new Set()
+  for (const r of SMELTING_RECIPES) {
+    assert.ok(ITEMS[r.input], r.input)
+    assert.ok(ITEMS[r.output.id], r.output.id)
+    assert.ok(r.seconds > 0 && r.output.qty > 0)
+    assert.ok(!inputs.has(r.input), `duplicate input ${r.input}`)
+    inputs.add(r.input)
+  }
+  for (const id of Object.keys(FORGE_FUEL_SECONDS)) assert.ok(ITEMS[id], id)
+  assert.equal(findSmeltingRecipe(ItemId.IRON_ORE)?.output.id, ItemId.IRON_INGOT)
+  assert.equal(findSmeltingRecipe(ItemId.STICK), null)
+})
+
+test('forge smelts the first input whose output fits', () => {
+  const st = {
+    input: [{ id: ItemId.STONE, qty: 3 }, { id: ItemId.SAND, qty: 2 }],
+    output: [{ id: ItemId.SMOOTH_STONE, qty: FORGE_OUTPUT_MAX_STACK }, { id: ItemId.IRON_INGOT, qty: 1 }],
+  }
+  // Smooth stone is full and the other output slot holds ingots: stone can't go, sand can't either.
+  assert.equal(forgeSmeltTarget(st), null)
+
+  // An empty output slot takes anything: first input wins.
+  st.output[1] = null
+  assert.equal(forgeSmeltTarget(st)?.slot, 0)
+
+  // Stone is blocked (no room for smooth stone) but glass still stacks: sand goes first.
+  st.output[1] = { id: ItemId.GLASS, qty: 10 }
+  assert.equal(forgeSmeltTarget(st)?.slot, 1)
+  assert.equal(forgeSmeltTarget(st)?.recipe.output.id, ItemId.GLASS)
+
+  assert.equal(forgeSmeltTarget({ input: [{ id: ItemId.LEAF, qty: 9 }, null], output: [null, null] }), null)
+})
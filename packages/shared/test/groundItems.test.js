@@ -0,0 +1,15 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { GROUND_ITEM, ItemId, normalizeGroundItems } from '../src/index.js'
+
+test('ground piles keep known items with a sane quantity', () => {
+  const items = normalizeGroundItems([null, { id: ItemId.LOG, qty: 12 }, { id: 'nope', qty: 1 }, { id: ItemId.STONE, qty: 101 }, { id: ItemId.LEAF, qty: 2.9 }])
+  assert.deepEqual(items, [{ id: ItemId.LOG, qty: 12 }, { id: ItemId.LEAF, qty: 2 }])
+  assert.deepEqual(normalizeGroundItems({ id: ItemId.LOG, qty: 1 }), [])
+})
+
+test('ground piles are capped at maxStacks', () => {
+  const raw = Array.from({ length: GROUND_ITEM.maxStacks + 3 }, () => ({ id: ItemId.STICK, qty: 1 }))
+  assert.equal(normalizeGroundItems(raw).length, GROUND_ITEM.maxStacks)
+})
@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { fallDamage, HEALTH, MOVEMENT, normalizeHealth, stepVertical } from '../src/index.js'
+
+/** Landing speed of a free fall from `h` meters, through the shared vertical step. */
+function landingVy(h) {
+  const body = { y: h + MOVEMENT.eyeHeight, vy: 0, onGround: false }
+  let vy = 0
+  for (let i = 0; i < 400 && !body.onGround; i++) {
+    vy = body.vy + MOVEMENT.gravity * 0.05
+    stepVertical(body, 0.05, 0)
+  }
+  return vy
+}
+
+test('jumping and short drops are safe, long falls hurt more', () => {
+  assert.equal(fallDamage(-MOVEMENT.jumpSpeed - 0.5), 0)
+  assert.equal(fallDamage(landingVy(1.5)), 0)
+
+  const mid = fallDamage(landingVy(6))
+  const high = fallDamage(landingVy(20))
+  assert.ok(mid > 0 && mid < HEALTH.max, String(mid))
+  assert.ok(high >= HEALTH.max, String(high))
+  assert.equal(fallDamage(5), 0)
+})
+
+test('saved health is clamped and defaults to full', () => {
+  assert.equal(normalizeHealth(undefined), HEALTH.max)
+  assert.equal(normalizeHealth('x'), HEALTH.max)
+  assert.equal(normalizeHealth(-3), 0)
+  assert.equal(normalizeHealth(HEALTH.max + 50), HEALTH.max)
+  assert.equal(normalizeHealth(42), 42)
+})
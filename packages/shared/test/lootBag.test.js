@@ -0,0 +1,18 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { canOpenLootBag, ItemId, LOOT_BAG, normalizeLootBagSlots } from '../src/index.js'
+
+test('bag slots keep known items only, packed and padded', () => {
+  const slots = normalizeLootBagSlots([null, { id: ItemId.LOG, qty: 12 }, { id: 'nope', qty: 1 }, { id: ItemId.STONE, qty: 0 }, { id: ItemId.STICK, qty: 3.7 }])
+  assert.equal(slots.length, LOOT_BAG.slots)
+  assert.deepEqual(slots.slice(0, 3), [{ id: ItemId.LOG, qty: 12 }, { id: ItemId.STICK, qty: 3 }, null])
+  assert.equal(normalizeLootBagSlots('x').filter(Boolean).length, 0)
+})
+
+test('only the owner opens a fresh bag, anyone after the grace period', () => {
+  const droppedAt = 1_000_000
+  assert.equal(canOpenLootBag({ ownerId: 'a', guestId: 'a', droppedAt, now: droppedAt }), true)
+  assert.equal(canOpenLootBag({ ownerId: 'a', guestId: 'b', droppedAt, now: droppedAt + LOOT_BAG.ownerOnlyMs - 1 }), false)
+  assert.equal(canOpenLootBag({ ownerId: 'a', guestId: 'b', droppedAt, now: droppedAt + LOOT_BAG.ownerOnlyMs }), true)
+})
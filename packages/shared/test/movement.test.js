@@ -0,0 +1,170 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  buildMineColliders,
+  buildWorldColliders,
+  isInMineXZ,
+  MINE_BOUNDS,
+  MINE_ORIGIN,
+  MINE_PATH,
+  MINE_TUNNEL,
+  minePointAt,
+  minePortals,
+  MOVEMENT,
+  placedCollider,
+  RIVER,
+  riverRadiusAt,
+  stepMoveXZ,
+  stepVertical,
+  tryJump,
+} from '../src/index.js'
+
+// A few seconds of input like the client sends it: windows of constant keys, variable dt.
+function scriptedInputs() {
+  const cmds = []
+  let seq = 0
+  let yaw = Math.PI
+  const keySets = [
+    { w: true },
+    { w: true, sprint: true },
+    { w: true, d: true },
+    { a: true },
+    { s: true, a: true, sprint: true },
+    {},
+  ]
+  for (let i = 0; i < 240; i++) {
+    yaw += Math.sin(i * 0.37) * 0.05
+    cmds.push({ seq: ++seq, dt: 0.016 + (i % 7) * 0.0047, keys: keySets[Math.floor(i / 17) % keySets.length], yaw })
+  }
+  return cmds
+}
+
+function run(start, cmds, colliders) {
+  const pos = { x: start.x, z: start.z }
+  for (const c of cmds) stepMoveXZ(pos, c.dt, c.keys, c.yaw, colliders)
+  return pos
+}
+
+test('same inputs produce bit-identical positions', () => {
+  const colliders = [...buildWorldColliders(), placedCollider('forge', 4, -6), placedCollider('chest', -3, -10)]
+  const cmds = scriptedInputs()
+  const a = run({ x: 0, z: 6 }, cmds, colliders)
+  // Server side gets the inputs over the wire (JSON) and builds its own collider set.
+  const wire = JSON.parse(JSON.stringify(cmds))
+  const b = run({ x: 0, z: 6 }, wire, [...buildWorldColliders(), placedCollider('forge', 4, -6), placedCollider('chest', -3, -10)])
+  assert.equal(a.x, b.x)
+  assert.equal(a.z, b.z)
+  assert.notDeepEqual(a, { x: 0, z: 6 })
+})
+
+test('replaying unacked inputs from the acked state lands on the predicted position', () => {
+  const colliders = buildWorldColliders()
+  const cmds = scriptedInputs()
+  const predicted = run({ x: 10, z: -4 }, cmds, colliders)
+  for (const acked of [0, 1, 57, 120, cmds.length]) {
+    const server = run({ x: 10, z: -4 }, cmds.slice(0, acked), colliders)
+    const replayed = run(server, cmds.slice(acked), colliders)
+    assert.equal(replayed.x, predicted.x)
+    assert.equal(replayed.z, predicted.z)
+  }
+})
+
+test('collider builders are deterministic', () => {
+  assert.deepEqual(buildWorldColliders(), buildWorldColliders())
+  assert.deepEqual(buildMineColliders(), buildMineColliders())
+})
+
+test('the river is walkable and the map has no outer wall', () => {
+  const colliders = buildWorldColliders()
+  for (const yaw of [0.7, 1.9, 3.1, 4.4]) {
+    const pos = { x: 0, z: 0 }
+    for (let i = 0; i < 600; i++) stepMoveXZ(pos, 0.05, { w: true, sprint: true }, yaw, colliders)
+    // 600 steps ≈ 297m: well past the river loop at any bearing.
+    const a = (Math.atan2(pos.z, pos.x) + Math.PI * 2) % (Math.PI * 2)
+    assert.ok(Math.hypot(pos.x, pos.z) > riverRadiusAt(a) + RIVER.width, `stopped at yaw ${yaw}: ${pos.x}, ${pos.z}`)
+  }
+})
+
+test('the fence keeps surface players out of the mine area', () => {
+  const colliders = buildWorldColliders()
+  // Walk straight at the box from each side.
+  const midX = (MINE_BOUNDS.minX + MINE_BOUNDS.maxX) / 2
+  const midZ = (MINE_BOUNDS.minZ + MINE_BOUNDS.maxZ) / 2
+  const starts = [
+    { x: MINE_BOUNDS.minX - 20, z: midZ + 3, yaw: -Math.PI / 2 },
+    { x: MINE_BOUNDS.maxX + 20, z: midZ - 7, yaw: Math.PI / 2 },
+    { x: midX + 11, z: MINE_BOUNDS.minZ - 20, yaw: Math.PI },
+    { x: midX - 5, z: MINE_BOUNDS.maxZ + 20, yaw: 0 },
+  ]
+  for (const s of starts) {
+    const pos = { x: s.x, z: s.z }
+    for (let i = 0; i < 200; i++) {
+      stepMoveXZ(pos, 0.05, { w: true, sprint: true }, s.yaw, colliders)
+      assert.equal(isInMineXZ(pos.x, pos.z), false, `entered the mine at ${pos.x}, ${pos.z}`)
+    }
+  }
+})
+
+test('placed structures block at their shared radius', () => {
+  const forge = placedCollider('forge', 0, -10)
+  assert.ok(forge)
+  assert.equal(placedCollider('campfire', 0, 0), null)
+  const pos = { x: 0, z: 0 }
+  // yaw 0: W walks towards -Z.
+  for (let i = 0; i < 100; i++) stepMoveXZ(pos, 0.05, { w: true }, 0, [forge])
+  assert.ok(Math.abs(Math.hypot(pos.x - forge.x, pos.z - forge.z) - (forge.r + MOVEMENT.radius)) < 1e-9)
+})
+
+test('mine path passes through its control points and walls contain the player', () => {
+  const first = minePointAt(0).p
+  const last = minePointAt(1).p
+  assert.ok(Math.abs(first.x - (MINE_ORIGIN.x + MINE_PATH[0].x)) < 1e-9 && Math.abs(first.z - (MINE_ORIGIN.z + MINE_PATH[0].z)) < 1e-9)
+  const end = MINE_PATH[MINE_PATH.length - 1]
+  assert.ok(Math.abs(last.x - (MINE_ORIGIN.x + end.x)) < 1e-9 && Math.abs(last.z - (MINE_ORIGIN.z + end.z)) < 1e-9)
+
+  // Walk down the tunnel aiming straight east (+X); walls steer, never let through.
+  const colliders = buildMineColliders()
+  const pos = { x: MINE_ORIGIN.x + 2.2, z: MINE_ORIGIN.z }
+  for (let i = 0; i < 400; i++) {
+    stepMoveXZ(pos, 0.05, { w: true }, -Math.PI / 2, colliders)
+    assert.ok(isInMineXZ(pos.x, pos.z))
+    let best = Infinity
+    for (let k = 0; k <= 400; k++) {
+      const p = minePointAt(k / 400).p
+      best = Math.min(best, Math.hypot(p.x - pos.x, p.z - pos.z))
+    }
+    assert.ok(best < MINE_TUNNEL.radius + 0.05, `left the tunnel at ${pos.x}, ${pos.z}`)
+  }
+})
+
+test('mine portals lead into the mine and back out', () => {
+  const { enter, exit } = minePortals()
+  assert.equal(isInMineXZ(enter.x, enter.z), false)
+  assert.equal(isInMineXZ(enter.to.x, enter.to.z), true)
+  assert.equal(isInMineXZ(exit.x, exit.z), true)
+  assert.equal(isInMineXZ(exit.to.x, exit.to.z), false)
+})
+
+test('jump arc is deterministic and lands on the ground', () => {
+  const body = { y: MOVEMENT.eyeHeight, vy: 0, onGround: true }
+  assert.equal(tryJump(body), true)
+  assert.equal(tryJump(body), false)
+  const trace = []
+  for (let i = 0; i < 60; i++) {
+    stepVertical(body, 1 / 60, 0)
+    trace.push(body.y)
+  }
+  assert.equal(body.onGround, true)
+  assert.equal(body.y, MOVEMENT.eyeHeight)
+  assert.ok(Math.max(...trace) > MOVEMENT.eyeHeight + 1)
+
+  const again = { y: MOVEMENT.eyeHeight, vy: 0, onGround: true }
+  tryJump(again)
+  const trace2 = []
+  for (let i = 0; i < 60; i++) {
+    stepVertical(again, 1 / 60, 0)
+    trace2.push(again.y)
+  }
+  assert.deepEqual(trace2, trace)
+})
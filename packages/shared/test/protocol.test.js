@@ -0,0 +1,71 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { createSnapshotDecoder, createSnapshotEncoder, decodeAck, decodeInput, encodeAck, encodeInput } from '../src/index.js'
+
+const byId = (players) => Object.fromEntries(players.map((p) => [p.id, p]))
+
+test('snapshots round-trip full, delta and removal', () => {
+  const enc = createSnapshotEncoder()
+  const dec = createSnapshotDecoder()
+
+  const first = dec.decode(enc.encode([{ id: 'a', x: 1.5, y: 2, z: -3.25, yaw: 1 }, { id: 'b', x: -400, y: 0, z: 10, yaw: 0 }], { lastSeq: 7 }))
+  assert.equal(first.lastSeq, 7)
+  assert.deepEqual(byId(first.players).a, { id: 'a', x: 1.5, y: 2, z: -3.25, yaw: byId(first.players).a.yaw })
+  assert.ok(Math.abs(byId(first.players).a.yaw - 1) < 1e-3)
+  enc.ack(dec.lastSeq)
+
+  const second = dec.decode(enc.encode([{ id: 'a', x: 2, y: 2, z: -3.25, yaw: 1 }, { id: 'b', x: 400, y: 0, z: 10, yaw: 0 }]))
+  assert.equal(byId(second.players).a.x, 2)
+  assert.equal(byId(second.players).b.x, 400)
+  enc.ack(dec.lastSeq)
+
+  const third = dec.decode(enc.encode([{ id: 'b', x: 400, y: 0, z: 10, yaw: 0 }]))
+  assert.deepEqual(third.players.map((p) => p.id), ['b'])
+})
+
+test('slots are reused after the client acks the removal, so churn never runs out', () => {
+  const enc = createSnapshotEncoder()
+  const dec = createSnapshotDecoder()
+  let frame
+  for (let i = 0; i < 70_000; i++) {
+    frame = dec.decode(enc.encode([{ id: 'keep', x: 0, y: 0, z: 0, yaw: 0 }, { id: `c${i}`, x: i % 100, y: 0, z: 0, yaw: 0 }]))
+    enc.ack(dec.lastSeq)
+  }
+  assert.deepEqual(frame.players.map((p) => p.id).sort(), ['c69999', 'keep'])
+  assert.equal(byId(frame.players).c69999.x, 99)
+})
+
+test('deltas stay right when acks lag behind players leaving and joining', () => {
+  const enc = createSnapshotEncoder()
+  const dec = createSnapshotDecoder()
+  for (let i = 0; i < 500; i++) {
+    const players = [{ id: `p${i}`, x: i, y: 1, z: i * 2, yaw: 0 }, { id: `p${i + 1}`, x: i + 1, y: 1, z: 0, yaw: 0 }]
+    const frame = dec.decode(enc.encode(players))
+    assert.deepEqual(frame.players.map((p) => [p.id, p.x, p.z]).sort(), players.map((p) => [p.id, p.x, p.z]).sort())
+    if (i % 7 === 0) enc.ack(dec.lastSeq)
+  }
+})
+
+test('truncated and garbage frames decode to null without throwing', () => {
+  const input = encodeInput({ seq: 3, ack: 2, dt: 0.016, keys: { w: true, jump: true }, yaw: 0.5, pitch: -0.2, at: 123 })
+  const ok = decodeInput(input)
+  assert.equal(ok.seq, 3)
+  assert.equal(ok.keys.w, true)
+  assert.equal(ok.keys.jump, true)
+  for (let n = 0; n < input.byteLength; n++) assert.equal(decodeInput(input.subarray(0, n)), null)
+  assert.equal(decodeInput(Buffer.from([2, 2])), null)
+  assert.equal(decodeInput(Buffer.from([9, 9, 9, 9])), null)
+
+  const ack = encodeAck(41)
+  assert.equal(decodeAck(ack), 41)
+  assert.equal(decodeAck(ack.subarray(0, 3)), null)
+
+  const enc = createSnapshotEncoder()
+  const dec = createSnapshotDecoder()
+  const snap = enc.encode([{ id: 'a', x: 1, y: 2, z: 3, yaw: 0 }])
+  for (let n = 0; n < snap.byteLength; n++) assert.equal(dec.decode(snap.subarray(0, n)), null)
+  assert.equal(dec.decode(Uint8Array.from([1, 2, 0xff, 0xff, 0xff, 0xff, 0xff])), null)
+  assert.equal(dec.lastSeq, 0)
+  assert.deepEqual(dec.decode(snap).players.map((p) => p.id), ['a'])
+})
@@ -0,0 +1,40 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { canSprint, FOOD_EFFECTS, normalizeSurvival, spendStamina, staminaRegenMult, stepSurvival, SURVIVAL } from '../src/index.js'
+
+test('sprinting drains stamina until exhausted, resting brings it back', () => {
+  const st = { hunger: SURVIVAL.max, stamina: SURVIVAL.max }
+  stepSurvival(st, SURVIVAL.max / SURVIVAL.sprintDrainPerSec + 1, { sprinting: true })
+  assert.equal(st.stamina, 0)
+  assert.equal(canSprint(st), false)
+
+  // No regen during the rest delay, then regen until sprinting is allowed again.
+  stepSurvival(st, SURVIVAL.staminaRegenDelaySec * 0.5)
+  assert.equal(st.stamina, 0)
+  for (let i = 0; i < 100 && !canSprint(st); i++) stepSurvival(st, 0.25)
+  assert.ok(st.stamina >= SURVIVAL.exhaustedRecoverAt)
+  assert.ok(st.hunger < SURVIVAL.max)
+})
+
+test('hunger limits stamina regeneration', () => {
+  assert.equal(staminaRegenMult(SURVIVAL.max), 1)
+  assert.ok(staminaRegenMult(0) > 0 && staminaRegenMult(0) < staminaRegenMult(SURVIVAL.max / 4))
+
+  const fed = { hunger: SURVIVAL.max, stamina: 0, restSec: SURVIVAL.staminaRegenDelaySec }
+  const starving = { hunger: 0, stamina: 0, restSec: SURVIVAL.staminaRegenDelaySec }
+  stepSurvival(fed, 2)
+  stepSurvival(starving, 2)
+  assert.ok(fed.stamina > starving.stamina * 2)
+})
+
+test('actions need enough stamina; saves are clamped and default to full', () => {
+  const st = { hunger: 50, stamina: SURVIVAL.jumpCost - 1 }
+  assert.equal(spendStamina(st, SURVIVAL.jumpCost), false)
+  assert.equal(st.stamina, SURVIVAL.jumpCost - 1)
+  assert.equal(spendStamina(st, SURVIVAL.chopCost), true)
+
+  assert.deepEqual(normalizeSurvival(undefined), { hunger: SURVIVAL.max, stamina: SURVIVAL.max })
+  assert.deepEqual(normalizeSurvival({ hunger: -5, stamina: 999 }), { hunger: 0, stamina: SURVIVAL.max })
+  for (const fx of Object.values(FOOD_EFFECTS)) assert.ok(fx.hunger > 0)
+})
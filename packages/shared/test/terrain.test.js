@@ -0,0 +1,49 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { createTerrain, LAKE, MINE_ORIGIN, MOVEMENT, riverRadiusAt, stepVertical, TERRAIN } from '../src/index.js'
+
+test('heights are deterministic per seed', () => {
+  const a = createTerrain()
+  const b = createTerrain({ seed: TERRAIN.seed })
+  const c = createTerrain({ seed: 7 })
+  let differs = false
+  for (let i = 0; i < 200; i++) {
+    const x = Math.sin(i * 1.3) * 80
+    const z = Math.cos(i * 0.7) * 80
+    assert.equal(a.getHeightAt(x, z), b.getHeightAt(x, z))
+    if (a.getHeightAt(x, z) !== c.getHeightAt(x, z)) differs = true
+  }
+  assert.ok(differs)
+})
+
+test('hills stay within the amplitude and rise somewhere', () => {
+  const t = createTerrain()
+  let max = -Infinity
+  for (let x = -80; x <= 80; x += 4) {
+    for (let z = -80; z <= 80; z += 4) {
+      const h = t.getHeightAt(x, z)
+      assert.ok(Math.abs(h) <= TERRAIN.amplitude + TERRAIN.bedDepth)
+      max = Math.max(max, h)
+    }
+  }
+  assert.ok(max > 0.5)
+})
+
+test('river and lake carve below y=0, the mine stays flat', () => {
+  const t = createTerrain()
+  for (const a of [0, 1, 2.5, 4, 5.5]) {
+    const r = riverRadiusAt(a)
+    assert.ok(t.getHeightAt(Math.cos(a) * r, Math.sin(a) * r) < -TERRAIN.bedDepth * 0.9)
+  }
+  assert.equal(t.getHeightAt(LAKE.center.x, LAKE.center.z), -TERRAIN.bedDepth)
+  assert.equal(t.getHeightAt(MINE_ORIGIN.x + 2, MINE_ORIGIN.z), 0)
+})
+
+test('walking down a gentle slope stays grounded', () => {
+  const body = { y: 1 + MOVEMENT.eyeHeight, vy: 0, onGround: true }
+  for (let i = 0; i < 30; i++) {
+    stepVertical(body, 0.05, 1 - (i + 1) * 0.1)
+    assert.equal(body.onGround, true)
+  }
+})
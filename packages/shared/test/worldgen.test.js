@@ -0,0 +1,106 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  CHUNK_SIZE,
+  createTerrain,
+  findChunkResource,
+  findMineOre,
+  GENERATION_DEFAULTS,
+  generateChunk,
+  isInMineXZ,
+  isOpenGround,
+  LAKE,
+  mineOreNodes,
+  normalizeGeneration,
+  SPAWN,
+  WORLDGEN,
+} from '../src/index.js'
+
+test('chunks are deterministic per seed and stay inside their cell', () => {
+  for (const [chunkX, chunkZ] of [[0, 0], [-1, 2], [3, -3], [40, -75]]) {
+    const a = generateChunk({ chunkX, chunkZ })
+    assert.deepEqual(generateChunk({ chunkX, chunkZ }), a)
+    assert.notDeepEqual(generateChunk({ seed: 99, chunkX, chunkZ }), a)
+    for (const list of Object.values(a)) {
+      for (const r of list) {
+        assert.equal(Math.floor(r.x / CHUNK_SIZE), chunkX)
+        assert.equal(Math.floor(r.z / CHUNK_SIZE), chunkZ)
+      }
+    }
+  }
+})
+
+test('ids are unique and resolve back to their entry', () => {
+  const seen = new Set()
+  for (let chunkX = -2; chunkX <= 2; chunkX++) {
+    for (let chunkZ = -2; chunkZ <= 2; chunkZ++) {
+      const c = generateChunk({ chunkX, chunkZ })
+      for (const kind of Object.keys(WORLDGEN)) {
+        for (const r of c[kind]) {
+          assert.ok(!seen.has(r.id))
+          seen.add(r.id)
+          assert.deepEqual(findChunkResource({ kind, id: r.id }), r)
+        }
+      }
+    }
+  }
+  assert.ok(seen.size > 300)
+  assert.equal(findChunkResource({ kind: 'tree', id: 'r:0:0:0' }), null)
+  assert.equal(findChunkResource({ kind: 'tree', id: '12' }), null)
+})
+
+test('resources avoid the spawn point and water', () => {
+  assert.equal(isOpenGround(LAKE.center.x, LAKE.center.z), false)
+  for (let chunkX = -4; chunkX <= 4; chunkX++) {
+    for (let chunkZ = -4; chunkZ <= 4; chunkZ++) {
+      const c = generateChunk({ chunkX, chunkZ })
+      for (const kind of Object.keys(WORLDGEN)) {
+        for (const r of c[kind]) {
+          assert.ok(Math.hypot(r.x - SPAWN.x, r.z - SPAWN.z) >= WORLDGEN[kind].spawnClear)
+          assert.ok(isOpenGround(r.x, r.z))
+        }
+      }
+    }
+  }
+})
+
+test('generation config is normalized and changes the layout', () => {
+  assert.deepEqual(normalizeGeneration(), GENERATION_DEFAULTS)
+  assert.deepEqual(normalizeGeneration({ treeDensity: 'x', lake: null }), GENERATION_DEFAULTS)
+  const g = normalizeGeneration({ treeDensity: 99, riverRadius: 10, lake: { x: -60, z: 40, radius: 12 } })
+  assert.equal(g.treeDensity, 3)
+  assert.equal(g.riverRadius, 90)
+  assert.deepEqual(g.lake, { x: -60, z: 40, radius: 12 })
+
+  // Default config reproduces the default layout; density scales trees only.
+  assert.deepEqual(generateChunk({ generation: {}, chunkX: 1, chunkZ: 1 }), generateChunk({ chunkX: 1, chunkZ: 1 }))
+  const bare = generateChunk({ generation: { treeDensity: 0 }, chunkX: 1, chunkZ: 1 })
+  assert.equal(bare.tree.length, 0)
+  assert.ok(bare.rock.length > 0)
+
+  // Moving the lake moves its bed and keeps resources out of it.
+  const t = createTerrain({ generation: g })
+  assert.ok(t.getHeightAt(-60, 40) < 0)
+  assert.equal(isOpenGround(-60, 40, 1.5, g), false)
+  assert.equal(isOpenGround(-60, 40), true)
+  for (let chunkX = -3; chunkX <= -1; chunkX++) {
+    for (const r of generateChunk({ generation: g, chunkX, chunkZ: 1 }).tree) {
+      assert.ok(Math.hypot(r.x + 60, r.z - 40) >= 12)
+    }
+  }
+})
+
+test('ore veins follow the mine tunnel and scale with oreRichness', () => {
+  const ores = mineOreNodes()
+  assert.equal(ores.length, 15)
+  assert.deepEqual(ores.map((o) => o.id), ores.map((_, i) => String(i)))
+  for (const o of ores) assert.ok(isInMineXZ(o.x, o.z))
+  assert.equal(mineOreNodes({ oreRichness: 2 }).length, 30)
+
+  assert.deepEqual(findMineOre({ id: '3' }), ores[3])
+  assert.equal(findMineOre({ id: '15' }), null)
+  assert.ok(findMineOre({ generation: { oreRichness: 2 }, id: '15' }))
+  assert.equal(findMineOre({ id: '-1' }), null)
+  assert.equal(findMineOre({ id: 't:0:0:0' }), null)
+})